@@ -15,24 +15,108 @@ const paymentConfig = {
     }
   },
   
+  // Casso bank feed: webhook pushes and the transactions API used for reconciliation
+  casso: {
+    apiKey: process.env.CASSO_API_KEY,
+    apiUrl: process.env.CASSO_API_URL || 'https://oauth.casso.vn/v2',
+    // How far back each reconciliation run re-reads the feed
+    lookbackDays: Number(process.env.CASSO_LOOKBACK_DAYS || 2),
+    requestTimeoutMs: Number(process.env.CASSO_TIMEOUT_MS || 15000)
+  },
+  
+  // Secret keys have no fallback: a provider without one is not started, so its
+  // callbacks cannot be forged with a well-known default
   cardProviders: {
     viettel: {
       partnerId: process.env.VIETTEL_PARTNER_ID || 'viettel_partner_123',
-      secretKey: process.env.VIETTEL_SECRET_KEY || 'viettel_secret_key',
+      secretKey: process.env.VIETTEL_SECRET_KEY,
       apiUrl: process.env.VIETTEL_API_URL || 'https://api.example.com/viettel'
     },
     mobiphone: {
       partnerId: process.env.MOBIPHONE_PARTNER_ID || 'mobiphone_partner_123',
-      secretKey: process.env.MOBIPHONE_SECRET_KEY || 'mobiphone_secret_key',
+      secretKey: process.env.MOBIPHONE_SECRET_KEY,
       apiUrl: process.env.MOBIPHONE_API_URL || 'https://api.example.com/mobiphone'
     },
     vinaphone: {
       partnerId: process.env.VINAPHONE_PARTNER_ID || 'vinaphone_partner_123',
-      secretKey: process.env.VINAPHONE_SECRET_KEY || 'vinaphone_secret_key',
+      secretKey: process.env.VINAPHONE_SECRET_KEY,
       apiUrl: process.env.VINAPHONE_API_URL || 'https://api.example.com/vinaphone'
     }
   },
   
+  // Shared settings for the prepaid card gateways above
+  cardGateway: {
+    // Where providers POST the final result of cards that were accepted as pending
+    callbackUrl: process.env.CARD_CALLBACK_URL || `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/webhooks/payment`,
+    // Percentage of the real card value kept as a penalty when the user declared the wrong denomination
+    wrongDenominationPenaltyPercent: Number(process.env.CARD_WRONG_VALUE_PENALTY_PERCENT || 50),
+    requestTimeoutMs: Number(process.env.CARD_GATEWAY_TIMEOUT_MS || 15000),
+    // How long a card may stay pending while we wait for the provider callback
+    pendingExpiryMs: Number(process.env.CARD_PENDING_EXPIRY_MS || 24 * 60 * 60 * 1000)
+  },
+  
+  // Signing keys have no fallback: an e-wallet without them is not started
+  ewallets: {
+    momo: {
+      partnerCode: process.env.MOMO_PARTNER_CODE || 'MOMO_PARTNER_123',
+      accessKey: process.env.MOMO_ACCESS_KEY || 'momo_access_key',
+      secretKey: process.env.MOMO_SECRET_KEY,
+      apiUrl: process.env.MOMO_API_URL || 'https://test-payment.momo.vn',
+      requestType: process.env.MOMO_REQUEST_TYPE || 'captureWallet'
+    },
+    zalopay: {
+      appId: process.env.ZALOPAY_APP_ID || '2553',
+      key1: process.env.ZALOPAY_KEY1,
+      key2: process.env.ZALOPAY_KEY2,
+      apiUrl: process.env.ZALOPAY_API_URL || 'https://sb-openapi.zalopay.vn'
+    }
+  },
+  
+  // Shared settings for the e-wallets above
+  ewalletGateway: {
+    // Base URL for IPN callbacks; the provider name is appended
+    ipnBaseUrl: process.env.EWALLET_IPN_BASE_URL || `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/webhooks`,
+    // Where the user is sent back to after paying
+    redirectUrl: process.env.EWALLET_REDIRECT_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/topup`,
+    requestTimeoutMs: Number(process.env.EWALLET_GATEWAY_TIMEOUT_MS || 15000),
+    // Pending orders younger than this are left for the IPN to settle
+    reconcileAfterMs: Number(process.env.EWALLET_RECONCILE_AFTER_MS || 10 * 60 * 1000),
+    // Orders still unpaid at the provider after this long are marked failed
+    orderTimeoutMs: Number(process.env.EWALLET_ORDER_TIMEOUT_MS || 4 * 60 * 60 * 1000),
+    // TTL for pending e-wallet requests, longer than the order timeout so reconciliation sees them
+    pendingExpiryMs: Number(process.env.EWALLET_PENDING_EXPIRY_MS || 24 * 60 * 60 * 1000)
+  },
+  
+  // Translator payouts from novel balances
+  payouts: {
+    // VND paid out per 🌾
+    vndPerUnit: Number(process.env.PAYOUT_VND_PER_UNIT || 100),
+    // Smallest payout request, in 🌾
+    minimumAmount: Number(process.env.PAYOUT_MINIMUM_AMOUNT || 100),
+    // Revenue split (percent per staff role) for novels without their own
+    defaultSplit: {
+      translator: 60,
+      editor: 15,
+      proofreader: 10,
+      pj_user: 15
+    }
+  },
+  
+  // TTS narration billed from reader balances
+  ttsBilling: {
+    // 🌾 per 1,000 characters beyond the free allowance
+    luaPerThousandCharacters: Number(process.env.TTS_LUA_PER_1000_CHARS || 2),
+    // Share of the price charged when the audio is already on the CDN (0 = free)
+    cachedPriceRatio: Number(process.env.TTS_CACHED_PRICE_RATIO || 0),
+    // Free characters per calendar month, by role
+    monthlyFreeCharacters: {
+      user: Number(process.env.TTS_FREE_CHARS_USER || 20000),
+      pj_user: Number(process.env.TTS_FREE_CHARS_PJ_USER || 200000),
+      moderator: Number(process.env.TTS_FREE_CHARS_MODERATOR || 200000),
+      admin: Number(process.env.TTS_FREE_CHARS_ADMIN || 1000000)
+    }
+  },
+  
   app: {
     frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
     backendUrl: process.env.BACKEND_URL || 'http://localhost:5000',
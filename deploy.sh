@@ -36,13 +36,6 @@ echo "🔧 Verifying server-only dependencies..."
 # Note: Server imports have been updated to use server/utils instead of src/utils
 # for server-only deployments (slugUtils.js copied to server/utils)
 
-echo "🔧 Applying mongoose ESM patch..."
-if [ -f "fix-mongoose.js" ]; then
-    node fix-mongoose.js || echo "⚠️  mongoose patch skipped"
-else
-    echo "⚠️  fix-mongoose.js not found, skipping patch"
-fi
-
 # Check if we're in a deployment environment where frontend should be built
 # Look for frontend package.json in possible locations
 FRONTEND_LOCATIONS=(
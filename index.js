@@ -15,7 +15,7 @@ import { createServer } from 'vite';
 import isBot from './utils/isBot.js';
 import sirv from 'sirv';
 import fs from 'fs';
-import { cleanupStaleConnections, listConnectedClients, performHealthCheck, closeDuplicateConnections } from './services/sseService.js';
+import { cleanupStaleConnections, listConnectedClients, performHealthCheck, closeDuplicateConnections, startEventFanout } from './services/sseService.js';
 import helmet from 'helmet';
 import { 
   generalLimiter, 
@@ -57,10 +57,22 @@ import webhookRoutes from './routes/webhook.js';
 import userTransactionRoutes from './routes/userTransaction.js';
 import novelTransactionRoutes from './routes/novelTransactions.js';
 import giftRoutes from './routes/gifts.js';
+import ledgerRoutes from './routes/ledger.js';
+import refundRoutes from './routes/refunds.js';
+import payoutRoutes from './routes/payouts.js';
+import audiobookRoutes from './routes/audiobooks.js';
+import glossaryRoutes from './routes/glossary.js';
+import workflowRoutes from './routes/workflow.js';
+import searchRoutes from './routes/search.js';
+import cacheRoutes from './routes/cache.js';
+import jobRoutes from './routes/jobs.js';
+import auditLogRoutes from './routes/auditLogs.js';
 import forumRoutes from './routes/forum.js';
 import ttsRoutes from './routes/tts.js';
 import { initializeTTSService } from './services/ttsService.js';
+import { ensureSearchIndex } from './services/searchService.js';
 import { initScheduler } from './scheduler.js';
+import { startJobWorker } from './services/jobQueue.js';
 
 // Configure ES modules __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -164,9 +176,11 @@ const corsOptions = {
     'Access-Control-Allow-Origin',
     'Access-Control-Allow-Methods',
     'Pragma',
-    'Cache-Control'
+    'Cache-Control',
+    'Idempotency-Key',
+    'Last-Event-ID'
   ],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200, // Some legacy browsers (IE11, various SmartTVs) choke on 204
   maxAge: 600 // Cache preflight requests for 10 minutes
 };
@@ -197,7 +211,7 @@ app.use((req, res, next) => {
   // Handle preflight OPTIONS requests
   if (req.method === 'OPTIONS') {
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, Pragma');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, Cache-Control, Pragma, Last-Event-ID');
     res.header('Access-Control-Max-Age', '86400');
     return res.status(200).end();
   }
@@ -337,10 +351,13 @@ app.use('/api/upload', uploadLimiter, uploadRoutes);
 
 // TTS endpoints - expensive operation, strict limits
 app.use('/api/tts', ttsLimiter, ttsRoutes);
+app.use('/api/audiobooks', audiobookRoutes);
 
 // Payment/top-up endpoints - strict limits for security
 app.use('/api/topup', paymentLimiter, topupRoutes);
 app.use('/api/topup-admin', paymentLimiter, topupAdminRoutes);
+app.use('/api/refunds', paymentLimiter, refundRoutes);
+app.use('/api/payouts', paymentLimiter, payoutRoutes);
 
 // User interaction endpoints - moderate limits
 app.use('/api/comments', interactionLimiter, commentRoutes);
@@ -354,12 +371,19 @@ app.use('/api/novels', novelRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/chapters', chaptersRouter);
 app.use('/api/modules', moduleRoutes);
+app.use('/api/glossary', glossaryRoutes);
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/transactions', userTransactionRoutes);
 app.use('/api/novel-transactions', novelTransactionRoutes);
 app.use('/api/gifts', giftRoutes);
+app.use('/api/ledger', ledgerRoutes);
 
 // Webhooks - no rate limiting (handled by external services)
 app.use('/api/webhooks', webhookRoutes);
@@ -640,6 +664,22 @@ mongoose.connect(process.env.MONGODB_URI)
     } catch (error) {
       console.error('TTS Service initialization failed:', error.message);
     }
+
+    try {
+      await ensureSearchIndex();
+    } catch (error) {
+      console.error('Search index check failed:', error.message);
+    }
+
+    // SSE events published by any instance reach this instance's clients
+    try {
+      await startEventFanout();
+    } catch (error) {
+      console.error('SSE event fan-out failed to start:', error.message);
+    }
+
+    // Run queued background jobs; job types are registered by initScheduler
+    startJobWorker();
   })
   .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -0,0 +1,302 @@
+import crypto from 'crypto';
+import path from 'path';
+import { readSheet } from 'read-excel-file/node';
+
+/**
+ * Bank statement import
+ *
+ * Parses the CSV/Excel statement exports of Vietnamese banks into normalized
+ * bank transactions:
+ *
+ *   {
+ *     transactionId: string,  // bank reference, or a stable hash if the export has none
+ *     amount: number,         // credited amount in VND (debit rows are skipped)
+ *     description: string,    // transfer content as printed by the bank
+ *     date: Date,
+ *     bankName: string,
+ *     bankAccount: string|null,
+ *     source: 'statement'
+ *   }
+ *
+ * Exports start with a few lines of account information, so the header row is
+ * located by its column titles rather than assumed to be the first line.
+ */
+
+/**
+ * Column titles per bank, compared without diacritics or case.
+ * Each field lists its aliases from most to least specific.
+ */
+export const STATEMENT_FORMATS = {
+  // Vietcombank (VCB Digibank / iB@nking)
+  vcb: {
+    bankName: 'Vietcombank',
+    columns: {
+      date: ['ngay giao dich', 'ngay hieu luc', 'transaction date', 'effective date'],
+      reference: ['so tham chieu', 'so ct', 'reference no', 'reference'],
+      credit: ['so tien ghi co', 'ghi co', 'credit amount', 'credit'],
+      debit: ['so tien ghi no', 'ghi no', 'debit amount', 'debit'],
+      description: ['noi dung chi tiet', 'mo ta', 'transactions in detail', 'description']
+    }
+  },
+  // Techcombank (bilingual "Vietnamese/English" column titles)
+  tcb: {
+    bankName: 'Techcombank',
+    columns: {
+      date: ['ngay giao dich', 'transaction date'],
+      reference: ['so but toan', 'transaction no', 'so giao dich'],
+      credit: ['co/credit', 'credit'],
+      debit: ['no/debit', 'debit'],
+      description: ['dien giai', 'details', 'noi dung']
+    }
+  }
+};
+
+const REQUIRED_COLUMNS = ['date', 'credit', 'description'];
+
+/**
+ * Normalize a column title for alias matching
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Lowercase title without diacritics
+ */
+const normalizeTitle = (value) => {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Parse CSV text into rows, honouring quoted fields
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  // Pick the delimiter that appears most in the first lines
+  const sample = content.split(/\r?\n/).slice(0, 20).join('\n');
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: sample.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Parse a VND amount as printed in statements ("1.000.000", "1,000,000.00", 1000000)
+ *
+ * @param {*} value - Cell value
+ * @returns {number} Amount, 0 if empty
+ */
+export const parseStatementAmount = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const text = String(value ?? '').trim();
+  if (!text) {
+    return 0;
+  }
+
+  // VND has no minor unit, so a trailing ".00"/",00" is decoration
+  const withoutDecimals = text.replace(/[.,]\d{1,2}$/, '');
+  const negative = /^-|^\(.*\)$/.test(withoutDecimals);
+  const digits = withoutDecimals.replace(/[^\d]/g, '');
+
+  return digits ? Number(digits) * (negative ? -1 : 1) : 0;
+};
+
+/**
+ * Parse a statement date ("dd/mm/yyyy", "dd-mm-yyyy hh:mm:ss", Date cells)
+ *
+ * @param {*} value - Cell value
+ * @returns {Date|null} Parsed date
+ */
+export const parseStatementDate = (value) => {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const text = String(value ?? '').trim();
+  const match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = match;
+    return new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+};
+
+/**
+ * Locate the header row and map each field to a column index
+ *
+ * @param {Array<Array>} rows - Statement rows
+ * @param {Object} format - Entry of STATEMENT_FORMATS
+ * @returns {Object|null} { headerIndex, columns } or null if the format does not fit
+ */
+const findHeader = (rows, format) => {
+  const searchLimit = Math.min(rows.length, 40);
+
+  for (let headerIndex = 0; headerIndex < searchLimit; headerIndex++) {
+    const titles = rows[headerIndex].map(normalizeTitle);
+    const columns = {};
+    const used = new Set();
+
+    for (const [field, aliases] of Object.entries(format.columns)) {
+      for (const alias of aliases) {
+        const index = titles.findIndex((title, i) => !used.has(i) && title.includes(alias));
+        if (index !== -1) {
+          columns[field] = index;
+          used.add(index);
+          break;
+        }
+      }
+    }
+
+    if (REQUIRED_COLUMNS.every(field => columns[field] !== undefined)) {
+      return { headerIndex, columns };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build a stable ID for statement rows that carry no bank reference,
+ * so importing the same statement twice does not double count
+ */
+const buildRowId = (bankCode, date, amount, description) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${bankCode}|${date?.toISOString()}|${amount}|${description}`)
+    .digest('hex')
+    .slice(0, 16);
+  return `STMT_${bankCode.toUpperCase()}_${hash}`;
+};
+
+/**
+ * Convert statement rows into normalized credit transactions
+ *
+ * @param {Array<Array>} rows - Statement rows
+ * @param {string} [formatCode] - Key of STATEMENT_FORMATS; detected from the header if omitted
+ * @returns {Object} { format, transactions, skipped }
+ */
+export const parseStatementRows = (rows, formatCode) => {
+  const candidates = formatCode ? [formatCode] : Object.keys(STATEMENT_FORMATS);
+
+  for (const code of candidates) {
+    const format = STATEMENT_FORMATS[code];
+    if (!format) {
+      throw new Error(`Unknown bank statement format: ${code}`);
+    }
+
+    const header = findHeader(rows, format);
+    if (!header) {
+      continue;
+    }
+
+    const { headerIndex, columns } = header;
+    const transactions = [];
+    let skipped = 0;
+
+    for (const row of rows.slice(headerIndex + 1)) {
+      const amount = parseStatementAmount(row[columns.credit]);
+      const description = String(row[columns.description] ?? '').trim();
+      const date = parseStatementDate(row[columns.date]);
+
+      // Debit rows, totals and footer lines carry no credit or no date
+      if (amount <= 0 || !description || !date) {
+        skipped++;
+        continue;
+      }
+
+      const reference = columns.reference !== undefined ? String(row[columns.reference] ?? '').trim() : '';
+
+      transactions.push({
+        transactionId: reference || buildRowId(code, date, amount, description),
+        amount,
+        description,
+        date,
+        bankName: format.bankName,
+        bankAccount: null,
+        source: 'statement'
+      });
+    }
+
+    return { format: code, transactions, skipped };
+  }
+
+  throw new Error(formatCode
+    ? `Statement does not match the ${formatCode} format`
+    : 'Could not recognize the bank statement format');
+};
+
+/**
+ * Parse an uploaded bank statement file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options
+ * @param {string} options.filename - Original file name, used to pick CSV or Excel
+ * @param {string} [options.format] - Key of STATEMENT_FORMATS; detected if omitted
+ * @returns {Promise<Object>} { format, transactions, skipped }
+ */
+export const parseBankStatement = async (buffer, { filename, format } = {}) => {
+  const extension = path.extname(filename || '').toLowerCase();
+
+  let rows;
+  if (extension === '.xlsx') {
+    rows = await readSheet(buffer);
+  } else if (extension === '.csv' || extension === '.txt') {
+    rows = parseCsv(buffer.toString('utf8'));
+  } else {
+    throw new Error('Unsupported statement file, please upload a .csv or .xlsx export');
+  }
+
+  return parseStatementRows(rows, format);
+};
@@ -0,0 +1,96 @@
+import axios from 'axios';
+
+/**
+ * Bunny.net storage integration
+ * Files are PUT into the storage zone and served from the pull zone (CDN URL)
+ * under the same path.
+ */
+
+export const bunnyStorageConfig = {
+  storageApiUrl: process.env.BUNNY_STORAGE_API_URL || 'https://storage.bunnycdn.com',
+  storageZone: process.env.BUNNY_STORAGE_ZONE || 'valvrareteam',
+  apiKey: process.env.BUNNY_API_KEY,
+  cdnUrl: process.env.BUNNY_CDN_URL || 'https://valvrareteam.b-cdn.net'
+};
+
+// Helper function to retry axios requests
+const axiosRetry = async (config, maxRetries = 3, delay = 1000) => {
+  let lastError = null;
+  
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await axios(config);
+    } catch (error) {
+      console.error(`Attempt ${attempt + 1}/${maxRetries} failed:`, error.code || error.message);
+      lastError = error;
+      
+      // If we're out of retries, throw the error
+      if (attempt >= maxRetries - 1) throw error;
+      
+      // Wait before next retry with exponential backoff
+      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, attempt)));
+    }
+  }
+};
+
+/**
+ * Upload a buffer to bunny.net storage
+ * @param {Buffer} buffer - File contents
+ * @param {string} storagePath - Path in the storage zone, starting with '/'
+ * @param {string} contentType - MIME type sent to Bunny
+ * @returns {Promise<string>} CDN URL of the uploaded file
+ */
+export const uploadBufferToBunny = async (buffer, storagePath, contentType = 'application/octet-stream') => {
+  const { storageApiUrl, storageZone, apiKey, cdnUrl } = bunnyStorageConfig;
+  if (!apiKey) {
+    throw new Error('Bunny.net API key not configured');
+  }
+
+  const bunnyStorageUrl = `${storageApiUrl}/${storageZone}${storagePath}`;
+  console.log(`[🧪] Final Bunny upload URL: ${bunnyStorageUrl}`);
+
+  // Use axios with retry for the PUT request
+  const uploadResponse = await axiosRetry({
+    method: 'put',
+    url: bunnyStorageUrl,
+    data: buffer,
+    headers: {
+      'AccessKey': apiKey,
+      'Content-Type': contentType,
+      'Content-Length': buffer.length
+    },
+    maxContentLength: Infinity,
+    maxBodyLength: Infinity,
+    timeout: 30000 // 30 second timeout
+  }, 3); // 3 retries
+
+  console.log(`[✅] Bunny upload response:`, uploadResponse.status);
+
+  // Generate and return the CDN URL
+  return `${cdnUrl}${storagePath}`;
+};
+
+/**
+ * Delete a file from bunny.net storage
+ * A file that is already gone counts as deleted.
+ * @param {string} storagePath - Path in the storage zone, starting with '/'
+ */
+export const deleteFromBunny = async (storagePath) => {
+  const { storageApiUrl, storageZone, apiKey } = bunnyStorageConfig;
+  if (!apiKey) {
+    throw new Error('Bunny.net API key not configured');
+  }
+
+  try {
+    await axiosRetry({
+      method: 'delete',
+      url: `${storageApiUrl}/${storageZone}${storagePath}`,
+      headers: { 'AccessKey': apiKey },
+      timeout: 30000
+    }, 3);
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import { createClient, ErrorReply } from 'redis';
+
+/**
+ * Cache backend integration
+ *
+ * utils/cacheStore.js keeps its entries in a backend with this shape:
+ *
+ *   {
+ *     name: string,
+ *     shared: boolean,                          // whether other instances see the same entries
+ *     get(key) => Promise<*>,                   // undefined when missing or expired
+ *     set(key, value, { ttlMs, tags }) => Promise<void>,
+ *     delete(keys) => Promise<void>,
+ *     invalidateTags(tags) => Promise<number>,  // removes every entry carrying one of the tags; returns how many
+ *     acquireLock(key, ttlMs) => Promise<boolean>,
+ *     releaseLock(key) => Promise<void>,
+ *     describe() => Promise<Object>,            // size figures for the stats endpoint
+ *     close() => Promise<void>                  // drop connections so the process can exit
+ *   }
+ *
+ * The memory backend keeps values by reference, like the Maps it replaces.
+ * The Redis backend stores Extended JSON, so ObjectIds and Dates come back as
+ * themselves rather than strings.
+ */
+
+const EJSON = mongoose.mongo.BSON.EJSON;
+
+// Memory backend: entries beyond this evict the oldest
+const DEFAULT_MAX_ENTRIES = 5000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Redis tag sets outlive the entries they list, so a tag can always reach its entries
+const TAG_SET_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A cache that answers slower than this is treated as a miss
+const REDIS_COMMAND_TIMEOUT_MS = 2000;
+const REDIS_CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * In-process backend, the default when no Redis URL is configured
+ */
+export const createMemoryCacheBackend = ({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) => {
+  // key -> { value, expiresAt, tags }
+  const entries = new Map();
+  // tag -> Set of keys
+  const tagIndex = new Map();
+
+  const removeEntry = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) tagIndex.delete(tag);
+    }
+    return true;
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) removeEntry(key);
+    }
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= Date.now()) {
+        removeEntry(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, { ttlMs, tags = [] }) {
+      removeEntry(key);
+      if (entries.size >= maxEntries) {
+        removeEntry(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs, tags });
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(key);
+      }
+    },
+
+    async delete(keys) {
+      keys.forEach(removeEntry);
+    },
+
+    async invalidateTags(tags) {
+      let removed = 0;
+      for (const tag of tags) {
+        const keys = tagIndex.get(tag);
+        if (!keys) continue;
+        for (const key of [...keys]) {
+          if (removeEntry(key)) removed++;
+        }
+      }
+      return removed;
+    },
+
+    // One process: the store's in-flight map already coalesces concurrent loads
+    async acquireLock() {
+      return true;
+    },
+
+    async releaseLock() {},
+
+    async describe() {
+      return { entries: entries.size, tags: tagIndex.size, maxEntries };
+    },
+
+    async close() {}
+  };
+};
+
+/**
+ * Redis (or compatible) backend, shared by every instance pointing at it
+ *
+ * @param {string} url - redis:// or rediss:// URL
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Prepended to every key this backend writes
+ */
+export const createRedisCacheBackend = (url, { prefix = 'cache:' } = {}) => {
+  // While disconnected, commands fail at once instead of queueing, so routes fall back to the database
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { connectTimeout: REDIS_CONNECT_TIMEOUT_MS }
+  }).withCommandOptions({ timeout: REDIS_COMMAND_TIMEOUT_MS });
+
+  // The client reconnects by itself; log when the connection is lost, not every retry
+  let healthy = true;
+  client.on('ready', () => {
+    healthy = true;
+  });
+  client.on('error', (error) => {
+    if (healthy) {
+      console.error(`Redis cache connection error (${new URL(url).host}):`, error.message);
+    }
+    healthy = false;
+  });
+  let closing = false;
+  client.connect().catch(error => {
+    if (!closing) console.error('Redis cache could not connect:', error.message);
+  });
+
+  const command = (...args) => client.sendCommand(args.map(String));
+  const entryKey = (key) => `${prefix}entry:${key}`;
+  const tagKey = (tag) => `${prefix}tag:${tag}`;
+  const lockKey = (key) => `${prefix}lock:${key}`;
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async get(key) {
+      const raw = await command('GET', entryKey(key));
+      return raw === null ? undefined : EJSON.parse(raw, { relaxed: true });
+    },
+
+    async set(key, value, { ttlMs, tags = [] }) {
+      const stored = entryKey(key);
+      await command('SET', stored, EJSON.stringify(value, { relaxed: true }), 'PX', ttlMs);
+      await Promise.all(tags.map(async (tag) => {
+        await command('SADD', tagKey(tag), stored);
+        await command('PEXPIRE', tagKey(tag), Math.max(ttlMs, TAG_SET_TTL_MS));
+      }));
+    },
+
+    async delete(keys) {
+      if (keys.length === 0) return;
+      await command('DEL', ...keys.map(entryKey));
+    },
+
+    async invalidateTags(tags) {
+      let removed = 0;
+      for (const tag of tags) {
+        // Renaming first means entries tagged while we delete land in a fresh set
+        const claimed = `${tagKey(tag)}:invalidating:${process.pid}:${Date.now()}`;
+        try {
+          await command('RENAME', tagKey(tag), claimed);
+        } catch (error) {
+          if (error instanceof ErrorReply && /no such key/i.test(error.message)) continue;
+          throw error;
+        }
+        const members = await command('SMEMBERS', claimed);
+        if (members.length > 0) {
+          removed += await command('DEL', ...members);
+        }
+        await command('DEL', claimed);
+      }
+      return removed;
+    },
+
+    async acquireLock(key, ttlMs) {
+      const reply = await command('SET', lockKey(key), String(process.pid), 'NX', 'PX', ttlMs);
+      return reply === 'OK';
+    },
+
+    async releaseLock(key) {
+      await command('DEL', lockKey(key));
+    },
+
+    async describe() {
+      return { url: new URL(url).host, keys: await command('DBSIZE') };
+    },
+
+    async close() {
+      closing = true;
+      if (client.isOpen) {
+        await client.close();
+      } else {
+        client.destroy();
+      }
+    }
+  };
+};
+
+/**
+ * Pick the backend from the environment: Redis when CACHE_REDIS_URL (or
+ * REDIS_URL) is set, memory otherwise. Run Redis whenever more than one
+ * instance serves traffic, or their caches drift apart.
+ */
+export const selectCacheBackend = () => {
+  const url = process.env.CACHE_REDIS_URL || process.env.REDIS_URL;
+  if (url) {
+    return createRedisCacheBackend(url, { prefix: process.env.CACHE_KEY_PREFIX || 'cache:' });
+  }
+  return createMemoryCacheBackend({
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
+  });
+};
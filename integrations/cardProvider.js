@@ -1,132 +1,255 @@
 import axios from 'axios';
+import crypto from 'crypto';
 import paymentConfig from '../config/paymentConfig.js';
-import { generateCardValidationHash, generateTransactionId } from '../utils/paymentUtils.js';
+import { generateCardValidationHash, generateCardCallbackHash, generateTransactionId } from '../utils/paymentUtils.js';
 
 /**
- * Validate a prepaid card with the card provider's API
- * 
- * @param {string} provider - Card provider name (viettel, mobifone, vinaphone, etc.)
- * @param {string} cardNumber - Card number/serial
- * @param {string} cardPin - Card PIN
- * @returns {Promise<Object>} Validation result with card information
+ * Prepaid card provider integration
+ *
+ * Every card gateway is wrapped in an adapter with the same shape:
+ *
+ *   {
+ *     name: string,
+ *     submitCard({ transactionId, cardNumber, cardPin, declaredValue, callbackUrl }) => Promise<CardResult>,
+ *     verifyCallback(payload) => boolean,
+ *     parseCallback(payload) => CardResult
+ *   }
+ *
+ * CardResult is normalized across providers:
+ *
+ *   {
+ *     status: 'success' | 'pending' | 'failed' | 'wrong_value',
+ *     transactionId: string,          // our transaction ID
+ *     providerTransactionId: string,  // the provider's reference, if any
+ *     cardValue: number,              // real card value in VND (0 if unknown)
+ *     declaredValue: number,          // value the user declared
+ *     message: string
+ *   }
+ *
+ * Cards that cannot be checked synchronously come back as 'pending'; the provider
+ * later POSTs the final result to paymentConfig.cardGateway.callbackUrl.
  */
-export const validatePrepaidCard = async (provider, cardNumber, cardPin) => {
-  try {
-    // Get provider configuration
+
+export const CARD_STATUS = {
+  SUCCESS: 'success',
+  PENDING: 'pending',
+  FAILED: 'failed',
+  WRONG_VALUE: 'wrong_value'
+};
+
+const VALID_STATUSES = Object.values(CARD_STATUS);
+
+/**
+ * Normalize a raw provider response/callback into a CardResult
+ *
+ * @param {Object} data - Raw provider payload
+ * @param {Object} fallback - Values to use when the payload omits them
+ * @returns {Object} CardResult
+ */
+const normalizeCardResult = (data = {}, fallback = {}) => {
+  const status = VALID_STATUSES.includes(data.status) ? data.status : CARD_STATUS.FAILED;
+
+  return {
+    status,
+    transactionId: data.transaction_id || fallback.transactionId,
+    providerTransactionId: data.provider_transaction_id || null,
+    cardValue: Number(data.card_value) || 0,
+    declaredValue: Number(data.declared_value) || fallback.declaredValue || 0,
+    message: data.message || (status === CARD_STATUS.FAILED ? 'Invalid card or PIN' : '')
+  };
+};
+
+/**
+ * Compare two hex hashes in constant time
+ *
+ * @param {string} expected - Expected hash
+ * @param {string} received - Received hash
+ * @returns {boolean} Whether the hashes match
+ */
+const safeHashEquals = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Create an adapter for the Viettel/Mobifone/Vinaphone-style card gateway protocol
+ *
+ * @param {string} provider - Provider key in paymentConfig.cardProviders
+ * @returns {Object} Card provider adapter
+ */
+export const createCardGatewayAdapter = (provider) => {
+  const getConfig = () => {
     const providerConfig = paymentConfig.cardProviders[provider];
     if (!providerConfig) {
       throw new Error(`Unknown card provider: ${provider}`);
     }
-    
-    // Generate validation hash
-    const secureHash = generateCardValidationHash(provider, cardNumber, cardPin);
-    
-    // Create transaction ID
-    const transactionId = generateTransactionId(`CARD_${provider.toUpperCase()}_`);
-    
-    // Prepare validation request
-    const validationData = {
-      partner_id: providerConfig.partnerId,
-      transaction_id: transactionId,
-      card_number: cardNumber,
-      card_pin: cardPin,
-      secure_hash: secureHash
-    };
-    
-    // In a real implementation, send request to card provider API
-    // For demonstration, we're simulating the API response
-    
-    // DEMO ONLY: Simulate API call (replace with actual API call in production)
-    let simulatedResponse;
-    
-    // For demo: consider cards ending with "1111" as valid
-    if (cardNumber.endsWith('1111')) {
-      simulatedResponse = {
-        status: 'success',
-        transaction_id: transactionId,
-        card_value: determineCardValue(cardNumber),
-        message: 'Card validated successfully'
-      };
-    } else {
-      simulatedResponse = {
-        status: 'failed',
+    return providerConfig;
+  };
+
+  return {
+    name: provider,
+
+    async submitCard({ transactionId, cardNumber, cardPin, declaredValue, callbackUrl }) {
+      const providerConfig = getConfig();
+
+      const response = await axios.post(`${providerConfig.apiUrl}/charge`, {
+        partner_id: providerConfig.partnerId,
         transaction_id: transactionId,
-        message: 'Invalid card or PIN'
-      };
+        telco: provider,
+        card_number: cardNumber,
+        card_pin: cardPin,
+        declared_value: declaredValue,
+        callback_url: callbackUrl,
+        secure_hash: generateCardValidationHash(provider, cardNumber, cardPin)
+      }, {
+        timeout: paymentConfig.cardGateway.requestTimeoutMs
+      });
+
+      return normalizeCardResult(response.data, { transactionId, declaredValue });
+    },
+
+    verifyCallback(payload = {}) {
+      const providerConfig = getConfig();
+
+      if (!providerConfig.secretKey) {
+        return false;
+      }
+
+      if (payload.partner_id !== providerConfig.partnerId || !payload.transaction_id) {
+        return false;
+      }
+
+      const expectedHash = generateCardCallbackHash(
+        provider,
+        payload.transaction_id,
+        payload.status,
+        payload.card_value
+      );
+
+      return safeHashEquals(expectedHash, payload.callback_hash);
+    },
+
+    parseCallback(payload = {}) {
+      return normalizeCardResult(payload);
     }
-    
-    // Return validation result
-    return {
-      valid: simulatedResponse.status === 'success',
-      amount: simulatedResponse.card_value || 0,
-      transactionId: transactionId,
-      message: simulatedResponse.message,
-      provider: provider,
-      cardNumber: maskCardNumber(cardNumber)
-    };
-    
-    /* PRODUCTION CODE - Uncomment for real implementation
-    // Send request to card provider API
-    const response = await axios.post(`${providerConfig.apiUrl}/validate`, validationData);
-    
-    // Process response
-    return {
-      valid: response.data.status === 'success',
-      amount: response.data.card_value || 0,
-      transactionId: transactionId,
-      message: response.data.message,
-      provider: provider,
-      cardNumber: maskCardNumber(cardNumber)
-    };
-    */
-  } catch (error) {
-    console.error('Card validation error:', error);
-    return {
-      valid: false,
-      amount: 0,
-      message: error.message || 'Card validation failed',
-      provider: provider
-    };
-  }
+  };
 };
 
 /**
- * For demo purposes: Determine card value based on card number
- * In production, this would come from the card provider's API
- * 
- * @param {string} cardNumber - Card number/serial
- * @returns {number} Card value in VND
+ * Check whether a provider has the secret key its signatures need
+ *
+ * @param {string} provider - Provider key in paymentConfig.cardProviders
+ * @returns {boolean}
  */
-const determineCardValue = (cardNumber) => {
-  // For demo: use last 6 digits to determine value
-  const lastSix = cardNumber.slice(-6);
-  
-  if (lastSix.startsWith('10')) return 10000;
-  if (lastSix.startsWith('20')) return 20000;
-  if (lastSix.startsWith('50')) return 50000;
-  if (lastSix.startsWith('100')) return 100000;
-  if (lastSix.startsWith('200')) return 200000;
-  if (lastSix.startsWith('500')) return 500000;
-  
-  // Default value
-  return 10000;
+export const isCardProviderConfigured = (provider) => {
+  return Boolean(paymentConfig.cardProviders[provider]?.secretKey);
+};
+
+// Registered adapters, keyed by provider name; providers without a secret key are left out
+const adapters = new Map(
+  Object.keys(paymentConfig.cardProviders)
+    .filter(provider => {
+      if (isCardProviderConfigured(provider)) {
+        return true;
+      }
+      console.warn(`Card provider ${provider} is disabled: ${provider.toUpperCase()}_SECRET_KEY is not set`);
+      return false;
+    })
+    .map(provider => [provider, createCardGatewayAdapter(provider)])
+);
+
+/**
+ * Register (or replace) the adapter used for a provider
+ *
+ * @param {string} provider - Provider name
+ * @param {Object} adapter - Object implementing the adapter interface
+ */
+export const registerCardProviderAdapter = (provider, adapter) => {
+  adapters.set(provider, adapter);
+};
+
+/**
+ * Get the adapter for a provider
+ *
+ * @param {string} provider - Provider name
+ * @returns {Object|null} Adapter, or null if the provider is unknown
+ */
+export const getCardProviderAdapter = (provider) => {
+  return adapters.get(provider) || null;
+};
+
+/**
+ * Generate the transaction ID we send to the card provider
+ * The ID must be stored on the top-up request before the card is submitted,
+ * since the provider callback can arrive before the submit call returns.
+ *
+ * @param {string} provider - Card provider name
+ * @returns {string} Card transaction ID
+ */
+export const generateCardTransactionId = (provider) => {
+  return generateTransactionId(`CARD_${String(provider).toUpperCase()}_`);
+};
+
+/**
+ * Submit a prepaid card to the card provider's API
+ *
+ * @param {Object} card - Card submission
+ * @param {string} card.provider - Card provider name (viettel, mobiphone, vinaphone, etc.)
+ * @param {string} card.transactionId - Transaction ID from generateCardTransactionId
+ * @param {string} card.cardNumber - Card number/serial
+ * @param {string} card.cardPin - Card PIN
+ * @param {number} card.declaredValue - Card value declared by the user (VND)
+ * @returns {Promise<Object>} CardResult; request errors come back as 'failed', timeouts as 'pending'
+ */
+export const submitPrepaidCard = async ({ provider, transactionId, cardNumber, cardPin, declaredValue }) => {
+  try {
+    const adapter = getCardProviderAdapter(provider);
+    if (!adapter) {
+      throw new Error(`Unknown card provider: ${provider}`);
+    }
+
+    return await adapter.submitCard({
+      transactionId,
+      cardNumber,
+      cardPin,
+      declaredValue,
+      callbackUrl: paymentConfig.cardGateway.callbackUrl
+    });
+  } catch (error) {
+    console.error('Card submission error:', error.message);
+
+    // On a timeout the provider may still have received the card, so leave it
+    // pending and let the callback (or expiry) decide
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+
+    return {
+      status: timedOut ? CARD_STATUS.PENDING : CARD_STATUS.FAILED,
+      transactionId,
+      providerTransactionId: null,
+      cardValue: 0,
+      declaredValue: declaredValue || 0,
+      message: error.message || 'Card validation failed'
+    };
+  }
 };
 
 /**
  * Mask the card number for security when displaying/storing
- * 
+ *
  * @param {string} cardNumber - Full card number/serial
  * @returns {string} Masked card number
  */
-const maskCardNumber = (cardNumber) => {
-  if (cardNumber.length <= 6) {
+export const maskCardNumber = (cardNumber) => {
+  if (!cardNumber || cardNumber.length <= 6) {
     return '******';
   }
-  
+
   const firstThree = cardNumber.slice(0, 3);
   const lastThree = cardNumber.slice(-3);
   const middleLength = cardNumber.length - 6;
   const maskedMiddle = '*'.repeat(middleLength);
-  
+
   return `${firstThree}${maskedMiddle}${lastThree}`;
-}; 
\ No newline at end of file
+};
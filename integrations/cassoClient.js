@@ -0,0 +1,92 @@
+import axios from 'axios';
+import paymentConfig from '../config/paymentConfig.js';
+
+/**
+ * Casso integration
+ * Casso pushes bank transactions to POST /api/topup/process-bank-transfer and
+ * also exposes them through a paginated API, which the reconciliation job reads
+ * to catch transfers whose webhook was missed.
+ */
+
+/**
+ * Normalize a Casso transaction (webhook or API record) into a bank transaction
+ * The webhook test data and production payloads name some fields differently.
+ *
+ * @param {Object} record - Casso transaction
+ * @returns {Object} Normalized bank transaction
+ */
+export const normalizeCassoTransaction = (record = {}) => {
+  const transactionId = record.transId || record.tid || (record.id ? `CASSO_${record.id}` : null);
+
+  return {
+    transactionId: transactionId ? String(transactionId) : null,
+    amount: Number(record.creditAmount || record.amount) || 0,
+    description: record.description || '',
+    date: new Date(record.when || Date.now()),
+    bankName: record.bankName || 'Unknown',
+    bankAccount: record.bank_sub_acc_id || record.subAccId || null,
+    source: 'casso'
+  };
+};
+
+/**
+ * Check whether the Casso transactions API is configured
+ *
+ * @returns {boolean} Whether an API key is set
+ */
+export const isCassoApiConfigured = () => {
+  return Boolean(paymentConfig.casso.apiKey);
+};
+
+/**
+ * Fetch incoming transactions from the Casso API
+ *
+ * @param {Object} options
+ * @param {Date} options.fromDate - Earliest transaction date to fetch
+ * @param {number} [options.pageSize] - Records per page
+ * @returns {Promise<Array>} Normalized credit transactions
+ */
+export const fetchCassoTransactions = async ({ fromDate, pageSize = 100 }) => {
+  const { apiKey, apiUrl, requestTimeoutMs } = paymentConfig.casso;
+  if (!apiKey) {
+    throw new Error('CASSO_API_KEY is not configured');
+  }
+
+  const transactions = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await axios.get(`${apiUrl}/transactions`, {
+      params: {
+        fromDate: fromDate.toISOString().slice(0, 10),
+        page,
+        pageSize,
+        sort: 'ASC'
+      },
+      headers: {
+        Authorization: `Apikey ${apiKey}`
+      },
+      timeout: requestTimeoutMs
+    });
+
+    if (response.data.error !== 0) {
+      throw new Error(response.data.message || 'Casso API request failed');
+    }
+
+    const { records = [], totalPages: pages = 1 } = response.data.data || {};
+    totalPages = pages;
+
+    for (const record of records) {
+      const transaction = normalizeCassoTransaction(record);
+      // Debits show up with a negative amount
+      if (transaction.transactionId && transaction.amount > 0) {
+        transactions.push(transaction);
+      }
+    }
+
+    page++;
+  } while (page <= totalPages);
+
+  return transactions;
+};
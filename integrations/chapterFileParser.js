@@ -0,0 +1,755 @@
+import path from 'path';
+import { readZip } from '../utils/zip.js';
+import { sanitizeChapterHtml, htmlToPlainText, getAttribute } from '../utils/chapterHtml.js';
+
+/**
+ * Chapter file import
+ *
+ * Splits EPUB, DOCX and plain-text files into chapters:
+ *
+ *   {
+ *     title: string,
+ *     content: string,      // sanitised HTML, embedded images referenced as `import-image:<index>`
+ *     footnotes: [{ id, name, content }]   // markers in the content are written as [name]
+ *   }
+ *
+ * Embedded images are returned separately so the caller can re-host them and
+ * replace the placeholders with their URLs.
+ *
+ * - EPUB: chapters follow the table of contents (nav document, or NCX for
+ *   EPUB 2); without one, each spine document is a chapter.
+ * - DOCX: chapters start at the highest heading level used in the document.
+ * - TXT: chapters start at lines beginning with `#`, footnotes use the
+ *   Markdown `[^1]` / `[^1]: text` syntax.
+ */
+
+export const IMPORT_FORMATS = ['epub', 'docx', 'txt'];
+export const IMAGE_PLACEHOLDER_PREFIX = 'import-image:';
+
+export const MAX_IMPORT_CHAPTERS = 300;
+const MAX_TITLE_LENGTH = 200;
+
+const IMAGE_MEDIA_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Internal references used between parsing and sanitising
+const ARCHIVE_IMAGE_PREFIX = 'archive:';
+const NOTE_START = '\uE000';
+const NOTE_END = '\uE001';
+const NOTE_MARKER_PATTERN = /\uE000([^\uE001]*)\uE001/g;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const decodeXmlEntities = (text) => text
+  .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const noteMarker = (key) => `${NOTE_START}${key}${NOTE_END}`;
+
+/**
+ * Normalise a title for comparison with a heading
+ */
+const normalizeTitle = (text) => htmlToPlainText(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Resolve a path inside an archive relative to the file that references it
+ */
+const resolveArchivePath = (fromFile, href) => {
+  const [target] = decodeURIComponent(href).split('#');
+  return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), target)).replace(/^\/+/, '');
+};
+
+/**
+ * Collect the archive images that end up in imported chapters
+ */
+const createImageCollector = (files, warnings) => {
+  const images = [];
+  const indexByPath = new Map();
+
+  const add = (archivePath) => {
+    if (indexByPath.has(archivePath)) {
+      return `${IMAGE_PLACEHOLDER_PREFIX}${indexByPath.get(archivePath)}`;
+    }
+    const data = files.get(archivePath);
+    const mediaType = IMAGE_MEDIA_TYPES[path.posix.extname(archivePath).slice(1).toLowerCase()];
+    if (!data || !mediaType) {
+      warnings.push(`Skipped image ${archivePath}: ${data ? 'unsupported format' : 'not found in the file'}`);
+      indexByPath.set(archivePath, null);
+      return null;
+    }
+    indexByPath.set(archivePath, images.length);
+    images.push({ name: path.posix.basename(archivePath), data, mediaType });
+    return `${IMAGE_PLACEHOLDER_PREFIX}${images.length - 1}`;
+  };
+
+  // Images that failed once are not reported again
+  const mapImage = (src) => {
+    if (!src.startsWith(ARCHIVE_IMAGE_PREFIX)) {
+      return /^https?:\/\//i.test(src) ? src : null;
+    }
+    const archivePath = src.slice(ARCHIVE_IMAGE_PREFIX.length);
+    if (indexByPath.has(archivePath) && indexByPath.get(archivePath) === null) return null;
+    return add(archivePath);
+  };
+
+  return { images, mapImage };
+};
+
+/**
+ * Turn raw chapter HTML into imported chapters
+ * Sanitises the content, numbers footnote markers per chapter and drops a
+ * leading heading that repeats the title.
+ *
+ * @param {Array<Object>} rawChapters - [{ title, html }]
+ * @param {Map<string, string>} notes - Footnote text by marker key
+ * @param {Object} imageCollector - From createImageCollector
+ * @param {Array<string>} warnings - Collected warnings
+ * @returns {Array<Object>} Chapters
+ */
+const finalizeChapters = (rawChapters, notes, imageCollector, warnings) => {
+  const chapters = [];
+
+  for (const raw of rawChapters) {
+    // Markers are written as plain [n]; a superscript around a reference is dropped
+    const html = raw.html.replace(/<sup\b[^>]*>\s*(\uE000[^\uE001]*\uE001)\s*<\/sup>/g, '$1');
+    let content = sanitizeChapterHtml(html, { mapImage: imageCollector.mapImage });
+    let title = htmlToPlainText(raw.title || '');
+
+    // The reader shows the title itself, so a heading repeating it is removed
+    const leadingHeading = content.match(/^<(h[234])\b[^>]*>([\s\S]*?)<\/\1>\s*/);
+    if (leadingHeading) {
+      const headingText = htmlToPlainText(leadingHeading[2]);
+      if (!title) title = headingText;
+      if (normalizeTitle(headingText) === normalizeTitle(title)) {
+        content = content.slice(leadingHeading[0].length);
+      }
+    }
+
+    const footnotes = [];
+    content = content.replace(NOTE_MARKER_PATTERN, (marker, key) => {
+      const note = notes.get(key);
+      if (!note) return '';
+      const id = footnotes.length + 1;
+      footnotes.push({ id, name: String(id), content: note });
+      return `[${id}]`;
+    });
+
+    title = (title || `Chương ${chapters.length + 1}`).slice(0, MAX_TITLE_LENGTH);
+
+    if (!htmlToPlainText(content) && !content.includes('<img')) {
+      warnings.push(`Skipped "${title}": no content`);
+      continue;
+    }
+
+    chapters.push({ title, content, footnotes });
+  }
+
+  if (chapters.length > MAX_IMPORT_CHAPTERS) {
+    throw new Error(`The file has ${chapters.length} chapters; at most ${MAX_IMPORT_CHAPTERS} can be imported at once`);
+  }
+
+  return chapters;
+};
+
+/**
+ * Find the end of an element whose opening tag ends at `from`
+ *
+ * @returns {number} Index after the closing tag (or the end of the document)
+ */
+const findElementEnd = (html, tag, from) => {
+  const pattern = new RegExp(`<(/?)${escapeRegExp(tag)}\\b((?:[^>"']|"[^"]*"|'[^']*')*?)(/?)>`, 'gi');
+  pattern.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[1]) depth--;
+    else if (!match[3]) depth++;
+    if (depth === 0) return pattern.lastIndex;
+  }
+  return html.length;
+};
+
+/**
+ * Locate the element with an id
+ *
+ * @returns {Object|null} { tag, start, openEnd, end }
+ */
+const findElementById = (html, id) => {
+  const pattern = new RegExp(`<([a-zA-Z][\\w:-]*)\\b(?:[^>"']|"[^"]*"|'[^']*')*?\\s(?:xml:)?id\\s*=\\s*["']${escapeRegExp(id)}["'](?:[^>"']|"[^"]*"|'[^']*')*?(/?)>`, 'i');
+  const match = pattern.exec(html);
+  if (!match) return null;
+  const openEnd = match.index + match[0].length;
+  return {
+    tag: match[1],
+    start: match.index,
+    openEnd,
+    end: match[2] ? openEnd : findElementEnd(html, match[1], openEnd)
+  };
+};
+
+const NOTE_BLOCK_TAGS = /^(p|li|div|aside|dd|dt|section|blockquote)$/i;
+
+/**
+ * Find the block that holds a footnote target
+ * Notes are often marked with an id on their back-link rather than on the
+ * paragraph, so inline targets are widened to the enclosing block.
+ */
+const findNoteBlock = (html, id) => {
+  const element = findElementById(html, id);
+  if (!element || NOTE_BLOCK_TAGS.test(element.tag)) return element;
+
+  const blockPattern = /<(p|li|div|aside|dd)\b(?:[^>"']|"[^"]*"|'[^']*')*?>/gi;
+  const candidates = [];
+  let match;
+  while ((match = blockPattern.exec(html)) !== null && match.index < element.start) {
+    candidates.push({ tag: match[1], start: match.index, openEnd: match.index + match[0].length });
+  }
+  for (let i = candidates.length - 1; i >= 0 && i >= candidates.length - 20; i--) {
+    const end = findElementEnd(html, candidates[i].tag, candidates[i].openEnd);
+    if (end >= element.end) return { ...candidates[i], end };
+  }
+  return element;
+};
+
+/**
+ * Get the text of a footnote block without its back-link and number
+ */
+const extractNoteText = (blockHtml) => {
+  const withoutBackLinks = blockHtml
+    .replace(/<a\b[^>]*>\s*(\[?\(?\s*(\d{1,4}|[*†‡]+|[a-z])\s*\)?\]?\.?|↑|↩︎?|\^)\s*<\/a>/gi, '')
+    .replace(/<a\b[^>]*epub:type\s*=\s*["'][^"']*backlink[^"']*["'][^>]*>[\s\S]*?<\/a>/gi, '');
+  return htmlToPlainText(withoutBackLinks)
+    .replace(/^(\[\s*(\d{1,4}|[*†‡]+)\s*\]|\(\s*(\d{1,4}|[*†‡]+)\s*\)|(\d{1,4}|[*†‡]+)[.)])\s*/, '')
+    .trim();
+};
+
+const FOOTNOTE_TYPES = /\b(footnote|endnote|rearnote|note)\b/i;
+const NOTE_LABEL = /^\s*[[(]?\s*(\d{1,4}|[*†‡]+|[a-z]|note|chú thích)\s*[\])]?\s*$/i;
+
+/**
+ * Parse an EPUB file
+ */
+const parseEpub = (buffer, warnings) => {
+  const files = readZip(buffer);
+  const readText = (name) => files.get(name)?.toString('utf8');
+
+  const container = readText('META-INF/container.xml');
+  const opfPath = container && getAttribute(container.match(/<rootfile\b[^>]*>/i)?.[0] || '', 'full-path');
+  const opf = opfPath && readText(opfPath);
+  if (!opf) {
+    throw new Error('Invalid EPUB: package document not found');
+  }
+
+  const manifest = new Map();
+  for (const [tag] of opf.matchAll(/<(?:opf:)?item\b[^>]*>/gi)) {
+    const id = getAttribute(tag, 'id');
+    const href = getAttribute(tag, 'href');
+    if (!id || !href) continue;
+    manifest.set(id, {
+      path: resolveArchivePath(opfPath, href),
+      mediaType: getAttribute(tag, 'media-type') || '',
+      properties: getAttribute(tag, 'properties') || ''
+    });
+  }
+
+  const navItem = [...manifest.values()].find(item => /\bnav\b/.test(item.properties));
+  const spineTag = opf.match(/<(?:opf:)?spine\b[^>]*>/i)?.[0] || '';
+  const ncxItem = manifest.get(getAttribute(spineTag, 'toc')) ||
+    [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+  // Spine documents, keyed by archive path
+  const documents = [];
+  for (const [tag] of opf.matchAll(/<(?:opf:)?itemref\b[^>]*>/gi)) {
+    const item = manifest.get(getAttribute(tag, 'idref'));
+    if (!item || item === navItem || getAttribute(tag, 'linear') === 'no') continue;
+    if (!/html/.test(item.mediaType)) continue;
+    const source = readText(item.path);
+    if (!source) continue;
+    const body = source.match(/<body\b[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? source;
+    documents.push({
+      path: item.path,
+      title: htmlToPlainText(source.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || ''),
+      html: body
+        // Cover pages wrap their image in SVG, which the sanitiser drops
+        .replace(/<svg\b[\s\S]*?<image\b[^>]*?(?:xlink:)?href\s*=\s*["']([^"']+)["'][\s\S]*?<\/svg>/gi, '<img src="$1" alt="">')
+        .replace(/(<img\b[^>]*?\bsrc\s*=\s*)(["'])([^"']*)\2/gi, (match, prefix, quote, src) =>
+          /^(https?:|data:)/i.test(src) ? match : `${prefix}"${ARCHIVE_IMAGE_PREFIX}${resolveArchivePath(item.path, src)}"`)
+    });
+  }
+  if (documents.length === 0) {
+    throw new Error('Invalid EPUB: no readable documents');
+  }
+  const documentIndex = new Map(documents.map((document, index) => [document.path, index]));
+
+  // Footnotes: noteref links, or marker links ("[1]", "*") to an element marked as a
+  // note or starting with the same marker. Notes are found on the original
+  // documents first so removing them can't shift the positions found later.
+  const notes = new Map();
+  const removals = documents.map(() => []);
+  const noteKeys = new Map();
+  const anchorPattern = /<a\b((?:[^>"']|"[^"]*"|'[^']*')*)>([\s\S]*?)<\/a>/gi;
+
+  const findNoteKey = (document, attributes, label) => {
+    const href = getAttribute(attributes, 'href');
+    if (!href || !href.includes('#') || /^[a-z]+:/i.test(href)) return null;
+
+    const isNoteRef = /noteref/i.test(getAttribute(attributes, 'epub:type') || '');
+    const labelText = htmlToPlainText(label);
+    if (!isNoteRef && !NOTE_LABEL.test(labelText)) return null;
+
+    const [file, fragment] = href.split('#');
+    const targetPath = file ? resolveArchivePath(document.path, file) : document.path;
+    const key = `${targetPath}#${fragment}`;
+    if (noteKeys.has(key)) return noteKeys.get(key);
+
+    const targetIndex = documentIndex.get(targetPath);
+    const targetHtml = targetIndex === undefined ? null : documents[targetIndex].html;
+    const target = targetHtml && findNoteBlock(targetHtml, fragment);
+    let text = null;
+    if (target) {
+      const targetTag = targetHtml.slice(target.start, target.openEnd);
+      const inner = targetHtml.slice(target.openEnd, target.end);
+      const isNote = isNoteRef ||
+        FOOTNOTE_TYPES.test(getAttribute(targetTag, 'epub:type') || '') ||
+        FOOTNOTE_TYPES.test(getAttribute(targetTag, 'class') || '') ||
+        htmlToPlainText(inner).startsWith(labelText.trim());
+      text = isNote ? extractNoteText(inner) : null;
+    }
+
+    noteKeys.set(key, text ? key : null);
+    if (text) {
+      notes.set(key, text);
+      removals[targetIndex].push(target);
+    }
+    return noteKeys.get(key);
+  };
+
+  for (const document of documents) {
+    for (const [, attributes, label] of document.html.matchAll(anchorPattern)) {
+      findNoteKey(document, attributes, label);
+    }
+  }
+
+  // Remove the note bodies, and the now-empty note sections that held them
+  documents.forEach((document, index) => {
+    const ranges = removals[index]
+      .map(({ start, end }) => ({ start, end }))
+      .sort((a, b) => b.start - a.start);
+    let lastStart = Infinity;
+    for (const { start, end } of ranges) {
+      if (end > lastStart) continue;
+      document.html = document.html.slice(0, start) + document.html.slice(end);
+      lastStart = start;
+    }
+    document.html = document.html.replace(
+      /<(aside|section|div|ol)\b[^>]*epub:type\s*=\s*["'][^"']*\b(footnotes|endnotes|rearnotes)\b[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi,
+      section => htmlToPlainText(section.replace(/<h[1-6]\b[\s\S]*?<\/h[1-6]>/gi, '')) ? section : ''
+    );
+  });
+
+  // References become markers that are numbered per chapter
+  for (const document of documents) {
+    document.html = document.html.replace(anchorPattern, (anchor, attributes, label) => {
+      const href = getAttribute(attributes, 'href');
+      if (!href || !href.includes('#') || /^[a-z]+:/i.test(href)) return anchor;
+      const [file, fragment] = href.split('#');
+      const key = noteKeys.get(`${file ? resolveArchivePath(document.path, file) : document.path}#${fragment}`);
+      return key ? noteMarker(key) : anchor;
+    });
+  }
+
+  // Table of contents entries in reading order
+  const tocEntries = [];
+  if (navItem && readText(navItem.path)) {
+    const nav = readText(navItem.path);
+    const tocNav = nav.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i)?.[1] || '';
+    for (const [, attributes, label] of tocNav.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)) {
+      const href = getAttribute(attributes, 'href');
+      if (href) tocEntries.push({ title: htmlToPlainText(label), href: resolveArchivePath(navItem.path, href), fragment: href.split('#')[1] });
+    }
+  } else if (ncxItem && readText(ncxItem.path)) {
+    const ncx = readText(ncxItem.path);
+    for (const [, label, src] of ncx.matchAll(/<navPoint\b[^>]*>\s*<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b[^>]*?src\s*=\s*["']([^"']+)["']/gi)) {
+      tocEntries.push({ title: decodeXmlEntities(label).trim(), href: resolveArchivePath(ncxItem.path, src), fragment: src.split('#')[1] });
+    }
+  }
+
+  // Chapter boundaries as positions in the spine; entries outside it are ignored
+  const boundaries = [];
+  for (const entry of tocEntries) {
+    const index = documentIndex.get(entry.href);
+    if (index === undefined) continue;
+    const offset = entry.fragment ? findElementById(documents[index].html, entry.fragment)?.start ?? 0 : 0;
+    boundaries.push({ index, offset, title: entry.title });
+  }
+  boundaries.sort((a, b) => a.index - b.index || a.offset - b.offset);
+
+  // A volume entry pointing where its first chapter starts gives way to the chapter
+  const uniqueBoundaries = boundaries.filter((boundary, i) => {
+    const next = boundaries[i + 1];
+    return !next || next.index !== boundary.index || next.offset !== boundary.offset;
+  });
+
+  let rawChapters;
+  if (uniqueBoundaries.length === 0) {
+    rawChapters = documents.map(document => ({ title: '', html: document.html }));
+  } else {
+    if (uniqueBoundaries[0].index > 0 || uniqueBoundaries[0].offset > 0) {
+      warnings.push('Content before the first table of contents entry was not imported');
+    }
+    rawChapters = uniqueBoundaries.map((boundary, i) => {
+      const next = uniqueBoundaries[i + 1] || { index: documents.length - 1, offset: Infinity };
+      const parts = [];
+      for (let index = boundary.index; index <= next.index; index++) {
+        const html = documents[index].html;
+        const start = index === boundary.index ? boundary.offset : 0;
+        const end = index === next.index ? Math.min(next.offset, html.length) : html.length;
+        parts.push(html.slice(start, end));
+      }
+      return { title: boundary.title, html: parts.join('\n') };
+    });
+  }
+
+  const imageCollector = createImageCollector(files, warnings);
+  const chapters = finalizeChapters(rawChapters, notes, imageCollector, warnings);
+  return { chapters, images: imageCollector.images };
+};
+
+/**
+ * Iterate the tags and text of an XML document
+ */
+function* xmlTokens(xml) {
+  const pattern = /<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|<[!?][^>]*>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    if (match[5] !== undefined) {
+      yield { type: 'text', text: match[5] };
+    } else if (match[2]) {
+      yield {
+        type: match[1] ? 'close' : (match[4] ? 'empty' : 'open'),
+        name: match[2],
+        attributes: match[3] || ''
+      };
+    }
+  }
+}
+
+const isWordToggleOn = (attributes) => !/w:val\s*=\s*["'](0|false|none)["']/i.test(attributes);
+
+/**
+ * Heading levels of DOCX paragraph styles
+ * Built-in headings are recognised by name, since the style IDs are localised.
+ *
+ * @returns {Map<string, number>} Level by style ID (0 for the Title style)
+ */
+const parseDocxHeadingStyles = (stylesXml) => {
+  const levels = new Map();
+  for (const [, attributes, body] of (stylesXml || '').matchAll(/<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g)) {
+    const styleId = getAttribute(attributes, 'w:styleId');
+    const name = getAttribute(body.match(/<w:name\b[^>]*>/)?.[0] || '', 'w:val') || '';
+    const outline = getAttribute(body.match(/<w:outlineLvl\b[^>]*>/)?.[0] || '', 'w:val');
+    const heading = name.match(/^heading\s*(\d)$/i);
+    if (heading) levels.set(styleId, parseInt(heading[1], 10));
+    else if (/^title$/i.test(name)) levels.set(styleId, 0);
+    else if (outline !== null && parseInt(outline, 10) < 9) levels.set(styleId, parseInt(outline, 10) + 1);
+  }
+  return levels;
+};
+
+/**
+ * Footnote or endnote texts of a DOCX part
+ *
+ * @returns {Map<string, string>} Text by note ID
+ */
+const parseDocxNotes = (notesXml, tag) => {
+  const notes = new Map();
+  const pattern = new RegExp(`<w:${tag}\\b([^>]*)>([\\s\\S]*?)</w:${tag}>`, 'g');
+  for (const [, attributes, body] of (notesXml || '').matchAll(pattern)) {
+    if (/w:type\s*=/.test(attributes)) continue; // separators
+    const paragraphs = body.split(/<\/w:p>/).map(paragraph =>
+      [...paragraph.matchAll(/<w:t\b[^>]*>([^<]*)<\/w:t>/g)].map(([, text]) => decodeXmlEntities(text)).join('')
+    ).filter(text => text.trim());
+    const text = paragraphs.join(' ').replace(/\s+/g, ' ').trim();
+    if (text) notes.set(getAttribute(attributes, 'w:id'), text);
+  }
+  return notes;
+};
+
+/**
+ * Parse a DOCX file
+ */
+const parseDocx = (buffer, warnings, filename) => {
+  const files = readZip(buffer);
+  const readText = (name) => files.get(name)?.toString('utf8');
+
+  const documentXml = readText('word/document.xml');
+  if (!documentXml) {
+    throw new Error('Invalid DOCX: word/document.xml not found');
+  }
+
+  const relationships = new Map();
+  for (const [tag] of (readText('word/_rels/document.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)) {
+    if (getAttribute(tag, 'TargetMode') === 'External') continue;
+    relationships.set(getAttribute(tag, 'Id'), resolveArchivePath('word/document.xml', getAttribute(tag, 'Target') || ''));
+  }
+
+  const headingStyles = parseDocxHeadingStyles(readText('word/styles.xml'));
+  const notes = new Map();
+  for (const [id, text] of parseDocxNotes(readText('word/footnotes.xml'), 'footnote')) notes.set(`footnote-${id}`, text);
+  for (const [id, text] of parseDocxNotes(readText('word/endnotes.xml'), 'endnote')) notes.set(`endnote-${id}`, text);
+
+  // Paragraphs with their heading level (null for body text)
+  const paragraphs = [];
+  const paragraphStack = [];
+  let paragraph = null;
+  let run = null;
+  let inText = false;
+  let inParagraphProperties = false;
+
+  for (const token of xmlTokens(documentXml)) {
+    const { type, name, attributes } = token;
+
+    if (type === 'text') {
+      if (inText && paragraph && run) {
+        const text = escapeHtml(decodeXmlEntities(token.text));
+        paragraph.html += wrapRun(text, run);
+      }
+      continue;
+    }
+
+    switch (name) {
+      case 'w:p':
+        if (type === 'open') {
+          if (paragraph) paragraphStack.push(paragraph);
+          paragraph = { html: '', level: null, align: null };
+        } else if (type === 'close' && paragraph) {
+          paragraphs.push(paragraph);
+          paragraph = paragraphStack.pop() || null;
+        }
+        break;
+      case 'w:pPr':
+        inParagraphProperties = type === 'open';
+        break;
+      case 'w:pStyle':
+        if (paragraph && inParagraphProperties && headingStyles.has(getAttribute(attributes, 'w:val'))) {
+          paragraph.level = headingStyles.get(getAttribute(attributes, 'w:val'));
+        }
+        break;
+      case 'w:outlineLvl':
+        if (paragraph && inParagraphProperties && parseInt(getAttribute(attributes, 'w:val'), 10) < 9) {
+          paragraph.level = parseInt(getAttribute(attributes, 'w:val'), 10) + 1;
+        }
+        break;
+      case 'w:jc':
+        if (paragraph && inParagraphProperties && !run) {
+          paragraph.align = getAttribute(attributes, 'w:val');
+        }
+        break;
+      case 'w:r':
+        run = type === 'open' ? {} : null;
+        break;
+      case 'w:b':
+        if (run) run.bold = isWordToggleOn(attributes);
+        break;
+      case 'w:i':
+        if (run) run.italic = isWordToggleOn(attributes);
+        break;
+      case 'w:u':
+        if (run) run.underline = isWordToggleOn(attributes);
+        break;
+      case 'w:strike':
+      case 'w:dstrike':
+        if (run) run.strike = isWordToggleOn(attributes);
+        break;
+      case 'w:vertAlign':
+        if (run) run.vertAlign = getAttribute(attributes, 'w:val');
+        break;
+      case 'w:t':
+        inText = type === 'open';
+        break;
+      case 'w:tab':
+        if (paragraph && run) paragraph.html += ' ';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (paragraph && run && getAttribute(attributes, 'w:type') !== 'page') paragraph.html += '<br>';
+        break;
+      case 'w:footnoteReference':
+      case 'w:endnoteReference': {
+        const key = `${name === 'w:footnoteReference' ? 'footnote' : 'endnote'}-${getAttribute(attributes, 'w:id')}`;
+        if (paragraph && notes.has(key)) paragraph.html += noteMarker(key);
+        break;
+      }
+      case 'a:blip':
+      case 'v:imagedata': {
+        const target = relationships.get(getAttribute(attributes, 'r:embed') || getAttribute(attributes, 'r:id'));
+        if (paragraph && target) paragraph.html += `<img src="${ARCHIVE_IMAGE_PREFIX}${escapeHtml(target)}" alt="">`;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Chapters start at the highest heading level used; lower ones stay in the text
+  const levels = paragraphs.filter(p => p.level !== null && htmlToPlainText(p.html)).map(p => p.level);
+  const chapterLevel = levels.some(level => level > 0)
+    ? Math.min(...levels.filter(level => level > 0))
+    : (levels.length ? 0 : null);
+
+  const rawChapters = [];
+  let current = null;
+  for (const p of paragraphs) {
+    const html = p.html.replace(/<\/(strong|em|u|s|sub|sup)><\1>/g, '');
+    if (p.level === chapterLevel && chapterLevel !== null && htmlToPlainText(html)) {
+      current = { title: htmlToPlainText(html), html: '' };
+      rawChapters.push(current);
+      continue;
+    }
+    // Nothing above chapter headings (such as the book title) belongs in a chapter
+    if (!html.trim() || (p.level !== null && p.level < chapterLevel)) continue;
+
+    if (!current) {
+      current = { title: path.parse(filename || '').name || '', html: '' };
+      rawChapters.push(current);
+      if (chapterLevel !== null) warnings.push('Content before the first heading was imported as its own chapter');
+    }
+    const style = ['center', 'right'].includes(p.align) ? ` style="text-align: ${p.align};"` : '';
+    current.html += p.level !== null && p.level > (chapterLevel ?? 0)
+      ? `<h3>${html}</h3>\n`
+      : `<p${style}>${html}</p>\n`;
+  }
+
+  const imageCollector = createImageCollector(files, warnings);
+  const chapters = finalizeChapters(rawChapters, notes, imageCollector, warnings);
+  return { chapters, images: imageCollector.images };
+};
+
+/**
+ * Wrap the text of a DOCX run in its formatting
+ */
+const wrapRun = (text, run) => {
+  let html = text;
+  if (run.vertAlign === 'superscript') html = `<sup>${html}</sup>`;
+  if (run.vertAlign === 'subscript') html = `<sub>${html}</sub>`;
+  if (run.strike) html = `<s>${html}</s>`;
+  if (run.underline) html = `<u>${html}</u>`;
+  if (run.italic) html = `<em>${html}</em>`;
+  if (run.bold) html = `<strong>${html}</strong>`;
+  return html;
+};
+
+/**
+ * Parse a plain-text file
+ * One paragraph per line; `#` lines start chapters (deeper `##` levels become
+ * headings inside the chapter when shallower ones exist).
+ */
+const parseText = (buffer, warnings, filename) => {
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  // Footnote definitions are collected first so references can appear before them
+  const notes = new Map();
+  const bodyLines = [];
+  for (const line of lines) {
+    const definition = line.match(/^\s*\[\^([^\]]+)\]:\s*(.*)$/);
+    if (definition) {
+      notes.set(definition[1].trim(), definition[2].trim());
+    } else {
+      bodyLines.push(line);
+    }
+  }
+
+  const headingLevels = bodyLines.map(line => line.match(/^(#{1,6})\s+\S/)?.[1].length).filter(Boolean);
+  const chapterLevel = headingLevels.length ? Math.min(...headingLevels) : null;
+
+  const renderLine = (text) => escapeHtml(text.trim())
+    .replace(/\[\^([^\]]+)\]/g, (reference, label) => notes.has(label.trim()) ? noteMarker(label.trim()) : reference);
+
+  const rawChapters = [];
+  let current = null;
+  for (const line of bodyLines) {
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading && heading[1].length === chapterLevel) {
+      current = { title: heading[2], html: '' };
+      rawChapters.push(current);
+      continue;
+    }
+    if (!line.trim()) continue;
+
+    if (!current) {
+      current = { title: path.parse(filename || '').name || '', html: '' };
+      rawChapters.push(current);
+      if (chapterLevel !== null) warnings.push('Text before the first heading was imported as its own chapter');
+    }
+    current.html += heading
+      ? `<h3>${renderLine(heading[2])}</h3>\n`
+      : `<p>${renderLine(line)}</p>\n`;
+  }
+
+  const chapters = finalizeChapters(rawChapters, notes, createImageCollector(new Map(), warnings), warnings);
+  return { chapters, images: [] };
+};
+
+/**
+ * Detect the format of an uploaded chapter file
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {string} [filename] - Original file name
+ * @returns {string|null} 'epub', 'docx', 'txt' or null
+ */
+export const detectImportFormat = (buffer, filename = '') => {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  if (extension === 'epub' || extension === 'docx') return extension;
+  if (extension === 'txt' || extension === 'md') return 'txt';
+
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034B50;
+  if (isZip) {
+    const head = buffer.subarray(0, 4096).toString('latin1');
+    if (head.includes('application/epub+zip')) return 'epub';
+    if (head.includes('word/') || head.includes('[Content_Types].xml')) return 'docx';
+    return null;
+  }
+  return buffer.subarray(0, 4096).includes(0) ? null : 'txt';
+};
+
+/**
+ * Split an uploaded file into chapters
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Original file name
+ * @param {string} [options.format] - One of IMPORT_FORMATS; detected if omitted
+ * @returns {Object} { format, chapters, images: [{ name, data, mediaType }], warnings }
+ */
+export const parseChapterFile = (buffer, { filename, format } = {}) => {
+  const detected = format || detectImportFormat(buffer, filename);
+  if (!IMPORT_FORMATS.includes(detected)) {
+    throw new Error('Unsupported file, please upload an .epub, .docx or .txt file');
+  }
+
+  const warnings = [];
+  const parsers = { epub: parseEpub, docx: parseDocx, txt: parseText };
+  const { chapters, images } = parsers[detected](buffer, warnings, filename);
+
+  if (chapters.length === 0) {
+    throw new Error('No chapters found in the file');
+  }
+
+  return { format: detected, chapters, images, warnings };
+};
@@ -0,0 +1,183 @@
+import os from 'os';
+import SseEvent from '../models/SseEvent.js';
+import Counter from '../models/Counter.js';
+
+/**
+ * Event bus integration
+ *
+ * services/sseService.js publishes server-sent events through a bus so that
+ * clients connected to any instance receive them. A bus has this shape:
+ *
+ *   {
+ *     name: string,
+ *     start(onEvent) => Promise<void>,      // onEvent(BusEvent) for every event, this instance's included
+ *     publish({ event, data, userId }) => Promise<BusEvent>,
+ *     replaySince(seq, { userId, limit }) => Promise<{ events, complete }>,
+ *     stop() => Promise<void>
+ *   }
+ *
+ * BusEvent is { seq, event, data, userId }: seq increases across instances and
+ * is what clients send back as Last-Event-ID. userId is null for broadcasts.
+ */
+
+const EVENT_SEQUENCE = 'sse_events';
+
+// Wait before reopening a change stream that failed
+const RESTART_DELAY_MS = 5000;
+
+// Seqs remembered so an event is not delivered twice (published here, then seen on the stream)
+const DELIVERED_MEMORY = 2000;
+
+// How far below a client's last seq an event stored after it can be; seqs are
+// handed out before the insert, so concurrent publishers store slightly out of order
+const REPLAY_REORDER_WINDOW = 100;
+
+// Standalone servers cannot open change streams (no replica set oplog)
+const CHANGE_STREAM_UNSUPPORTED_CODES = new Set([40573, 40324]);
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const toBusEvent = (doc) => ({
+  seq: doc.seq,
+  event: doc.event,
+  data: doc.data,
+  userId: doc.userId || null
+});
+
+/**
+ * Bus over the capped SseEvent collection, watched with a change stream
+ * Needs no infrastructure beyond MongoDB. Against a standalone server, which
+ * has no change streams, it still logs events for replay but only reaches
+ * this instance's clients.
+ */
+export const createMongoEventBus = () => {
+  let stream = null;
+  let stopped = false;
+  let resumeToken = null;
+  let restartTimer = null;
+  let onEvent = null;
+  const delivered = new Set();
+
+  const deliver = (busEvent) => {
+    if (!onEvent || delivered.has(busEvent.seq)) return;
+    delivered.add(busEvent.seq);
+    if (delivered.size > DELIVERED_MEMORY) {
+      delivered.delete(delivered.values().next().value);
+    }
+    onEvent(busEvent);
+  };
+
+  const openStream = () => {
+    if (stopped) return;
+
+    const options = resumeToken ? { resumeAfter: resumeToken } : {};
+    stream = SseEvent.watch([{ $match: { operationType: 'insert' } }], options);
+
+    stream.on('change', (change) => {
+      resumeToken = change._id;
+      deliver(toBusEvent(change.fullDocument));
+    });
+
+    stream.on('error', (error) => {
+      stream?.close().catch(() => {});
+      stream = null;
+
+      if (CHANGE_STREAM_UNSUPPORTED_CODES.has(error.code)) {
+        console.warn('SSE event bus: change streams are not available, events reach this instance only');
+        return;
+      }
+      // The resume point may have aged out of the oplog; start from now
+      if (error.code === 286 || error.code === 280) {
+        resumeToken = null;
+      }
+      console.error('SSE event bus change stream error:', error.message);
+      restartTimer = setTimeout(openStream, RESTART_DELAY_MS);
+      restartTimer.unref();
+    });
+  };
+
+  return {
+    name: 'mongodb',
+
+    async start(handler) {
+      onEvent = handler;
+      stopped = false;
+      openStream();
+    },
+
+    async publish({ event, data, userId = null }) {
+      const seq = await Counter.next(EVENT_SEQUENCE);
+      const doc = await SseEvent.create({
+        seq,
+        event,
+        data,
+        userId: userId ? String(userId) : null,
+        origin: INSTANCE_ID
+      });
+      // This instance's clients get it now; the stream copy is skipped
+      const busEvent = toBusEvent(doc.toObject());
+      deliver(busEvent);
+      return busEvent;
+    },
+
+    async replaySince(seq, { userId = null, limit = 500 } = {}) {
+      const audience = userId ? [{ userId: null }, { userId: String(userId) }] : [{ userId: null }];
+
+      // Walk the log newest first in insertion order back to the client's last event:
+      // everything stored after it was missed, whatever its seq
+      const cursor = SseEvent.find({ $or: audience }).sort({ $natural: -1 }).lean().cursor();
+      const storedAfter = [];
+      let foundLast = false;
+      let reachedLogStart = true;
+      let truncated = false;
+      try {
+        for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+          if (doc.seq === seq) {
+            foundLast = true;
+            reachedLogStart = false;
+            break;
+          }
+          // Too far below the client's last event to have been stored after it
+          if (doc.seq <= seq - REPLAY_REORDER_WINDOW) {
+            reachedLogStart = false;
+            break;
+          }
+          if (storedAfter.length === limit) {
+            truncated = true;
+            reachedLogStart = false;
+            break;
+          }
+          storedAfter.push(doc);
+        }
+      } finally {
+        await cursor.close();
+      }
+
+      // Without the client's last event in the log, fall back to comparing seqs
+      const missed = foundLast ? storedAfter : storedAfter.filter(doc => doc.seq > seq);
+
+      // Events after seq were already dropped from the capped log, or there are too many to send
+      const oldest = reachedLogStart ? await SseEvent.findOne({}, { seq: 1 }).sort({ $natural: 1 }).lean() : null;
+      const complete = !(oldest && oldest.seq > seq + 1) && !truncated;
+      return { events: missed.reverse().map(toBusEvent), complete };
+    },
+
+    async stop() {
+      stopped = true;
+      clearTimeout(restartTimer);
+      await stream?.close();
+      stream = null;
+    }
+  };
+};
+
+/**
+ * Pick the bus from the environment (SSE_EVENT_BUS); MongoDB is the only one so far
+ */
+export const selectEventBus = () => {
+  const name = process.env.SSE_EVENT_BUS || 'mongodb';
+  if (name !== 'mongodb') {
+    throw new Error(`Unknown SSE event bus "${name}"`);
+  }
+  return createMongoEventBus();
+};
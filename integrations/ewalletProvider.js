@@ -0,0 +1,357 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import paymentConfig from '../config/paymentConfig.js';
+import { generateHmacSignature, generateTransactionId } from '../utils/paymentUtils.js';
+
+/**
+ * E-wallet (MoMo, ZaloPay) integration
+ *
+ * Every e-wallet is wrapped in an adapter with the same shape:
+ *
+ *   {
+ *     name: string,
+ *     generateOrderId() => string,
+ *     createOrder({ orderId, amount, description, userId, ipnUrl, redirectUrl }) => Promise<{ payUrl, deeplink, qrCode, providerOrderId }>,
+ *     queryOrder(orderId) => Promise<EwalletResult>,
+ *     isConfigured() => boolean,
+ *     verifyIpn(payload) => boolean,
+ *     parseIpn(payload) => EwalletResult,
+ *     ipnResponse(accepted) => { status, body }
+ *   }
+ *
+ * EwalletResult is normalized across providers:
+ *
+ *   {
+ *     status: 'success' | 'pending' | 'failed',
+ *     orderId: string,                // our order ID
+ *     providerTransactionId: string,  // the provider's transaction reference, if any
+ *     amount: number,                 // amount paid in VND (0 if unknown)
+ *     message: string
+ *   }
+ */
+
+export const EWALLET_STATUS = {
+  SUCCESS: 'success',
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+/**
+ * Compare two hex signatures in constant time
+ *
+ * @param {string} expected - Expected signature
+ * @param {string} received - Received signature
+ * @returns {boolean} Whether the signatures match
+ */
+const safeSignatureEquals = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// MoMo signs `key=value` pairs joined with '&', in alphabetical key order
+export const MOMO_CREATE_SIGNATURE_FIELDS = [
+  'accessKey', 'amount', 'extraData', 'ipnUrl', 'orderId', 'orderInfo',
+  'partnerCode', 'redirectUrl', 'requestId', 'requestType'
+];
+export const MOMO_QUERY_SIGNATURE_FIELDS = ['accessKey', 'orderId', 'partnerCode', 'requestId'];
+export const MOMO_RESULT_SIGNATURE_FIELDS = [
+  'accessKey', 'amount', 'extraData', 'message', 'orderId', 'orderInfo', 'orderType',
+  'partnerCode', 'payType', 'requestId', 'responseTime', 'resultCode', 'transId'
+];
+
+/**
+ * Sign a MoMo payload
+ *
+ * @param {Array<string>} fields - Fields included in the signature, in order
+ * @param {Object} values - Payload values (accessKey is taken from the config)
+ * @returns {string} Signature
+ */
+export const signMomoPayload = (fields, values) => {
+  const { accessKey, secretKey } = paymentConfig.ewallets.momo;
+  const raw = fields
+    .map(field => `${field}=${field === 'accessKey' ? accessKey : (values[field] ?? '')}`)
+    .join('&');
+  return generateHmacSignature(raw, secretKey);
+};
+
+/**
+ * Map a MoMo resultCode to a normalized status
+ * 0 is paid; 1000 (waiting for the user), 7000 and 7002 (processing) are pending.
+ *
+ * @param {number} resultCode - MoMo result code
+ * @returns {string} Normalized status
+ */
+const getMomoStatus = (resultCode) => {
+  const code = Number(resultCode);
+  if (code === 0) {
+    return EWALLET_STATUS.SUCCESS;
+  }
+  if ([1000, 7000, 7002].includes(code)) {
+    return EWALLET_STATUS.PENDING;
+  }
+  return EWALLET_STATUS.FAILED;
+};
+
+const momoAdapter = {
+  name: 'momo',
+
+  isConfigured() {
+    return Boolean(paymentConfig.ewallets.momo.secretKey);
+  },
+
+  generateOrderId() {
+    return generateTransactionId('MOMO_');
+  },
+
+  async createOrder({ orderId, amount, description, ipnUrl, redirectUrl }) {
+    const config = paymentConfig.ewallets.momo;
+
+    const payload = {
+      partnerCode: config.partnerCode,
+      requestId: orderId,
+      amount,
+      orderId,
+      orderInfo: description,
+      redirectUrl,
+      ipnUrl,
+      requestType: config.requestType,
+      extraData: '',
+      lang: 'vi'
+    };
+    payload.signature = signMomoPayload(MOMO_CREATE_SIGNATURE_FIELDS, payload);
+
+    const response = await axios.post(`${config.apiUrl}/v2/gateway/api/create`, payload, {
+      timeout: paymentConfig.ewalletGateway.requestTimeoutMs
+    });
+
+    if (Number(response.data.resultCode) !== 0) {
+      throw new Error(response.data.message || 'MoMo order creation failed');
+    }
+
+    return {
+      payUrl: response.data.payUrl,
+      deeplink: response.data.deeplink || null,
+      qrCode: response.data.qrCodeUrl || null,
+      providerOrderId: orderId
+    };
+  },
+
+  async queryOrder(orderId) {
+    const config = paymentConfig.ewallets.momo;
+
+    const payload = {
+      partnerCode: config.partnerCode,
+      requestId: generateTransactionId('MOMOQ_'),
+      orderId,
+      lang: 'vi'
+    };
+    payload.signature = signMomoPayload(MOMO_QUERY_SIGNATURE_FIELDS, payload);
+
+    const response = await axios.post(`${config.apiUrl}/v2/gateway/api/query`, payload, {
+      timeout: paymentConfig.ewalletGateway.requestTimeoutMs
+    });
+
+    return this.parseIpn(response.data);
+  },
+
+  verifyIpn(payload = {}) {
+    if (!this.isConfigured()) {
+      return false;
+    }
+    if (payload.partnerCode !== paymentConfig.ewallets.momo.partnerCode || !payload.orderId) {
+      return false;
+    }
+    return safeSignatureEquals(signMomoPayload(MOMO_RESULT_SIGNATURE_FIELDS, payload), payload.signature);
+  },
+
+  parseIpn(payload = {}) {
+    return {
+      status: getMomoStatus(payload.resultCode),
+      orderId: payload.orderId,
+      providerTransactionId: payload.transId ? String(payload.transId) : null,
+      amount: Number(payload.amount) || 0,
+      message: payload.message || ''
+    };
+  },
+
+  // MoMo only needs an empty 204 to stop retrying
+  ipnResponse(accepted) {
+    return accepted
+      ? { status: 204, body: null }
+      : { status: 401, body: { message: 'Invalid signature' } };
+  }
+};
+
+/**
+ * Get today's date as yymmdd in Vietnam time, the required app_trans_id prefix
+ *
+ * @returns {string} Date prefix
+ */
+const getZaloPayDatePrefix = () => {
+  const vietnamTime = new Date(Date.now() + 7 * 60 * 60 * 1000);
+  return vietnamTime.toISOString().slice(2, 10).replace(/-/g, '');
+};
+
+/**
+ * Map a ZaloPay return_code to a normalized status
+ * 1 is paid, 2 is failed and 3 is still processing.
+ *
+ * @param {number} returnCode - ZaloPay return code
+ * @returns {string} Normalized status
+ */
+const getZaloPayStatus = (returnCode) => {
+  const code = Number(returnCode);
+  if (code === 1) {
+    return EWALLET_STATUS.SUCCESS;
+  }
+  if (code === 3) {
+    return EWALLET_STATUS.PENDING;
+  }
+  return EWALLET_STATUS.FAILED;
+};
+
+const zalopayAdapter = {
+  name: 'zalopay',
+
+  isConfigured() {
+    const { key1, key2 } = paymentConfig.ewallets.zalopay;
+    return Boolean(key1 && key2);
+  },
+
+  generateOrderId() {
+    return `${getZaloPayDatePrefix()}_${generateTransactionId()}`;
+  },
+
+  async createOrder({ orderId, amount, description, userId, ipnUrl, redirectUrl }) {
+    const config = paymentConfig.ewallets.zalopay;
+
+    const order = {
+      app_id: config.appId,
+      app_trans_id: orderId,
+      app_user: String(userId),
+      app_time: Date.now(),
+      amount,
+      item: '[]',
+      embed_data: JSON.stringify({ redirecturl: redirectUrl }),
+      description,
+      bank_code: '',
+      callback_url: ipnUrl
+    };
+    order.mac = generateHmacSignature(
+      [order.app_id, order.app_trans_id, order.app_user, order.amount, order.app_time, order.embed_data, order.item].join('|'),
+      config.key1
+    );
+
+    const response = await axios.post(`${config.apiUrl}/v2/create`, new URLSearchParams(order), {
+      timeout: paymentConfig.ewalletGateway.requestTimeoutMs
+    });
+
+    if (Number(response.data.return_code) !== 1) {
+      throw new Error(response.data.sub_return_message || response.data.return_message || 'ZaloPay order creation failed');
+    }
+
+    return {
+      payUrl: response.data.order_url,
+      deeplink: null,
+      qrCode: response.data.qr_code || null,
+      providerOrderId: response.data.zp_trans_token || null
+    };
+  },
+
+  async queryOrder(orderId) {
+    const config = paymentConfig.ewallets.zalopay;
+
+    const query = {
+      app_id: config.appId,
+      app_trans_id: orderId,
+      mac: generateHmacSignature(`${config.appId}|${orderId}|${config.key1}`, config.key1)
+    };
+
+    const response = await axios.post(`${config.apiUrl}/v2/query`, new URLSearchParams(query), {
+      timeout: paymentConfig.ewalletGateway.requestTimeoutMs
+    });
+
+    return {
+      status: getZaloPayStatus(response.data.return_code),
+      orderId,
+      providerTransactionId: response.data.zp_trans_id ? String(response.data.zp_trans_id) : null,
+      amount: Number(response.data.amount) || 0,
+      message: response.data.sub_return_message || response.data.return_message || ''
+    };
+  },
+
+  verifyIpn(payload = {}) {
+    if (!this.isConfigured() || typeof payload.data !== 'string') {
+      return false;
+    }
+    const expectedMac = generateHmacSignature(payload.data, paymentConfig.ewallets.zalopay.key2);
+    return safeSignatureEquals(expectedMac, payload.mac);
+  },
+
+  // ZaloPay only calls back for successful payments
+  parseIpn(payload = {}) {
+    const data = JSON.parse(payload.data);
+    return {
+      status: EWALLET_STATUS.SUCCESS,
+      orderId: data.app_trans_id,
+      providerTransactionId: data.zp_trans_id ? String(data.zp_trans_id) : null,
+      amount: Number(data.amount) || 0,
+      message: ''
+    };
+  },
+
+  // ZaloPay reads the outcome from return_code and always expects HTTP 200
+  ipnResponse(accepted) {
+    return {
+      status: 200,
+      body: accepted
+        ? { return_code: 1, return_message: 'success' }
+        : { return_code: -1, return_message: 'mac not equal' }
+    };
+  }
+};
+
+// Registered adapters, keyed by e-wallet name (TopUpRequest.subMethod); e-wallets without keys are left out
+const adapters = new Map(
+  [momoAdapter, zalopayAdapter]
+    .filter(adapter => {
+      if (adapter.isConfigured()) {
+        return true;
+      }
+      console.warn(`E-wallet ${adapter.name} is disabled: its signing keys are not set`);
+      return false;
+    })
+    .map(adapter => [adapter.name, adapter])
+);
+
+/**
+ * Register (or replace) the adapter used for an e-wallet
+ *
+ * @param {string} name - E-wallet name
+ * @param {Object} adapter - Object implementing the adapter interface
+ */
+export const registerEwalletAdapter = (name, adapter) => {
+  adapters.set(name, adapter);
+};
+
+/**
+ * Get the adapter for an e-wallet
+ *
+ * @param {string} name - E-wallet name
+ * @returns {Object|null} Adapter, or null if the e-wallet is unknown
+ */
+export const getEwalletAdapter = (name) => {
+  return adapters.get(name) || null;
+};
+
+/**
+ * Get the IPN URL a provider should notify for its orders
+ *
+ * @param {string} name - E-wallet name
+ * @returns {string} IPN URL
+ */
+export const getEwalletIpnUrl = (name) => {
+  return `${paymentConfig.ewalletGateway.ipnBaseUrl}/${name}`;
+};
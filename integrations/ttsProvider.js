@@ -0,0 +1,359 @@
+import { spawn } from 'child_process';
+import { MAX_CHUNK_BYTES } from '../utils/narrationText.js';
+
+/**
+ * Text-to-speech provider integration
+ *
+ * Every TTS engine is wrapped in an adapter with the same shape:
+ *
+ *   {
+ *     name: string,
+ *     maxBytes: number,                 // largest UTF-8 text accepted by one synthesize call
+ *     pricing: { costPerCharacterUSD }, // what the provider charges us
+ *     initialize() => Promise<boolean>, // whether the provider can be used
+ *     isAvailable() => boolean,
+ *     listVoices() => Array<TTSVoice>,
+ *     synthesize({ text, voice, languageCode, audioConfig }) => Promise<Buffer>  // one MP3 file
+ *   }
+ *
+ * Providers that can report where each sentence starts also implement
+ *
+ *     synthesizeWithMarks({ segments, voice, languageCode, audioConfig }) => Promise<{ audio, marks }>
+ *
+ * where segments are the chunk's sentences ({ text }) and marks[i] is the time
+ * in ms at which segment i starts in the returned audio (null if not reported).
+ *
+ * TTSVoice describes a voice offered to readers:
+ *
+ *   {
+ *     value: string,          // public voice name, unique across providers
+ *     label: string,
+ *     gender: 'FEMALE' | 'MALE',
+ *     description: string,
+ *     providerVoice: string,  // the provider's own voice ID
+ *     sampleRate: number
+ *   }
+ *
+ * All adapters return MP3 at the same sample rate so their chunks can be stitched.
+ */
+
+const OUTPUT_SAMPLE_RATE = 24000;
+
+const GOOGLE_VOICES = [
+  {
+    value: 'nu',
+    label: 'Nữ',
+    gender: 'FEMALE',
+    description: 'Giọng nữ tiếng Việt (Standard quality)',
+    providerVoice: 'vi-VN-Standard-A',
+    sampleRate: OUTPUT_SAMPLE_RATE
+  },
+  {
+    value: 'nam',
+    label: 'Nam',
+    gender: 'MALE',
+    description: 'Giọng nam tiếng Việt (Standard quality)',
+    providerVoice: 'vi-VN-Standard-D',
+    sampleRate: OUTPUT_SAMPLE_RATE
+  }
+];
+
+// Google Cloud TTS rejects inputs (text or SSML) over 5000 bytes
+const GOOGLE_MAX_INPUT_BYTES = 5000;
+
+const escapeSsml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const googleAdapter = (() => {
+  let client = null;
+  // SSML mark timepoints are only returned by the v1beta1 API
+  let timepointClient = null;
+
+  const buildAudioConfig = (audioConfig) => ({
+    audioEncoding: 'MP3',
+    speakingRate: audioConfig.speakingRate || 1.0,
+    pitch: audioConfig.pitch || 0.0,
+    volumeGainDb: audioConfig.volumeGainDb || 0.0,
+    sampleRateHertz: OUTPUT_SAMPLE_RATE
+  });
+
+  return {
+    name: 'google',
+    // Google Cloud TTS rejects requests over 5000 bytes
+    maxBytes: MAX_CHUNK_BYTES,
+    pricing: { costPerCharacterUSD: 0.000004 }, // $4 per 1M characters
+
+    async initialize() {
+      try {
+        const { TextToSpeechClient, v1beta1 } = await import('@google-cloud/text-to-speech');
+
+        const clientConfig = {
+          projectId: process.env.GOOGLE_CLOUD_PROJECT_ID || 'tts-valvrareteam',
+          quotaProjectId: process.env.GOOGLE_CLOUD_PROJECT_ID || 'tts-valvrareteam'
+        };
+
+        // Use service account JSON from environment variable
+        if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
+          clientConfig.credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
+        }
+
+        const candidate = new TextToSpeechClient(clientConfig);
+
+        // Test the connection by listing voices
+        await candidate.listVoices({ languageCode: 'vi-VN' });
+        client = candidate;
+        timepointClient = new v1beta1.TextToSpeechClient(clientConfig);
+        console.log('Google Cloud TTS client initialized successfully');
+        return true;
+      } catch (error) {
+        console.error('Failed to initialize Google Cloud TTS client:', error.message);
+        console.log('Google voices will be unavailable until credentials are configured');
+        return false;
+      }
+    },
+
+    isAvailable() {
+      return client !== null;
+    },
+
+    listVoices() {
+      return GOOGLE_VOICES;
+    },
+
+    async synthesize({ text, voice, languageCode = 'vi-VN', audioConfig = {} }) {
+      if (!client) {
+        throw new Error('Google Cloud TTS service is not properly configured. Please check credentials and try again.');
+      }
+
+      try {
+        const [response] = await client.synthesizeSpeech({
+          input: { text },
+          voice: { languageCode, name: voice.providerVoice },
+          audioConfig: buildAudioConfig(audioConfig)
+        });
+        return Buffer.from(response.audioContent);
+      } catch (googleError) {
+        console.error('Google Cloud TTS API error:', googleError);
+        throw new Error(`Google Cloud TTS failed: ${googleError.message}`);
+      }
+    },
+
+    async synthesizeWithMarks({ segments, voice, languageCode = 'vi-VN', audioConfig = {} }) {
+      const text = segments.map(segment => segment.text).join(' ');
+      const ssml = `<speak>${segments.map((segment, i) => `<mark name="${i}"/>${escapeSsml(segment.text)}`).join(' ')}</speak>`;
+
+      // Marks and escaping can push a full chunk over the limit; it is then read without marks
+      if (!timepointClient || Buffer.byteLength(ssml, 'utf8') > GOOGLE_MAX_INPUT_BYTES) {
+        return { audio: await this.synthesize({ text, voice, languageCode, audioConfig }), marks: [] };
+      }
+
+      try {
+        const [response] = await timepointClient.synthesizeSpeech({
+          input: { ssml },
+          voice: { languageCode, name: voice.providerVoice },
+          audioConfig: buildAudioConfig(audioConfig),
+          enableTimePointing: ['SSML_MARK']
+        });
+
+        const marks = segments.map(() => null);
+        for (const timepoint of response.timepoints || []) {
+          const index = Number(timepoint.markName);
+          if (Number.isInteger(index) && index >= 0 && index < marks.length) {
+            marks[index] = Math.round(Number(timepoint.timeSeconds) * 1000);
+          }
+        }
+
+        return { audio: Buffer.from(response.audioContent), marks };
+      } catch (googleError) {
+        console.error('Google Cloud TTS API error:', googleError);
+        throw new Error(`Google Cloud TTS failed: ${googleError.message}`);
+      }
+    }
+  };
+})();
+
+// Offline engine settings; TTS_LOCAL_ENGINE is 'espeak-ng' or 'piper'
+const LOCAL_ENGINE_CONFIG = {
+  engine: process.env.TTS_LOCAL_ENGINE || 'espeak-ng',
+  binary: process.env.TTS_LOCAL_BINARY || process.env.TTS_LOCAL_ENGINE || 'espeak-ng',
+  ffmpegPath: process.env.TTS_FFMPEG_PATH || 'ffmpeg',
+  // Piper voice models (.onnx) and the sample rate they produce
+  piperModels: {
+    FEMALE: process.env.TTS_PIPER_MODEL_NU,
+    MALE: process.env.TTS_PIPER_MODEL_NAM
+  },
+  piperSampleRate: Number(process.env.TTS_PIPER_SAMPLE_RATE || 22050),
+  timeoutMs: Number(process.env.TTS_LOCAL_TIMEOUT_MS || 120000)
+};
+
+/**
+ * Run a command with stdin input and collect its stdout
+ *
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {Buffer|string} [input] - Data written to stdin
+ * @returns {Promise<Buffer>} stdout
+ */
+const runProcess = (command, args, input) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  const stdout = [];
+  const stderr = [];
+
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    reject(new Error(`${command} timed out after ${LOCAL_ENGINE_CONFIG.timeoutMs}ms`));
+  }, LOCAL_ENGINE_CONFIG.timeoutMs);
+
+  child.stdout.on('data', data => stdout.push(data));
+  child.stderr.on('data', data => stderr.push(data));
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    reject(error);
+  });
+  child.on('close', (code) => {
+    clearTimeout(timer);
+    if (code !== 0) {
+      reject(new Error(`${command} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+      return;
+    }
+    resolve(Buffer.concat(stdout));
+  });
+
+  // The engine may exit before reading everything, e.g. on a bad argument
+  child.stdin.on('error', () => {});
+  child.stdin.end(input);
+});
+
+const localAdapter = (() => {
+  let available = false;
+  const isPiper = LOCAL_ENGINE_CONFIG.engine === 'piper';
+
+  const voices = [
+    {
+      value: 'local-nu',
+      label: 'Nữ (offline)',
+      gender: 'FEMALE',
+      description: 'Giọng nữ tiếng Việt tổng hợp offline',
+      providerVoice: isPiper ? LOCAL_ENGINE_CONFIG.piperModels.FEMALE : 'vi+f3',
+      sampleRate: OUTPUT_SAMPLE_RATE
+    },
+    {
+      value: 'local-nam',
+      label: 'Nam (offline)',
+      gender: 'MALE',
+      description: 'Giọng nam tiếng Việt tổng hợp offline',
+      providerVoice: isPiper ? LOCAL_ENGINE_CONFIG.piperModels.MALE : 'vi+m3',
+      sampleRate: OUTPUT_SAMPLE_RATE
+    }
+  ].filter(voice => voice.providerVoice);
+
+  /**
+   * Produce raw engine output and the ffmpeg input options that describe it
+   */
+  const runEngine = async (text, voice, audioConfig) => {
+    const speakingRate = audioConfig.speakingRate || 1.0;
+
+    if (isPiper) {
+      const pcm = await runProcess(LOCAL_ENGINE_CONFIG.binary, [
+        '--model', voice.providerVoice,
+        '--length_scale', String(1 / speakingRate),
+        '--output_raw'
+      ], text);
+      return { audio: pcm, inputArgs: ['-f', 's16le', '-ar', String(LOCAL_ENGINE_CONFIG.piperSampleRate), '-ac', '1'] };
+    }
+
+    // espeak-ng: 175 words per minute is normal speed, pitch 0-99 with 50 as neutral
+    const pitch = Math.min(99, Math.max(0, Math.round(50 + (audioConfig.pitch || 0) * 2.5)));
+    const wav = await runProcess(LOCAL_ENGINE_CONFIG.binary, [
+      '-v', voice.providerVoice,
+      '-s', String(Math.round(175 * speakingRate)),
+      '-p', String(pitch),
+      '--stdin',
+      '--stdout'
+    ], text);
+    return { audio: wav, inputArgs: [] };
+  };
+
+  return {
+    name: 'local',
+    maxBytes: 20000,
+    pricing: { costPerCharacterUSD: 0 },
+
+    async initialize() {
+      try {
+        await runProcess(LOCAL_ENGINE_CONFIG.binary, ['--version']);
+        await runProcess(LOCAL_ENGINE_CONFIG.ffmpegPath, ['-version']);
+        available = voices.length > 0;
+        if (available) {
+          console.log(`Local TTS engine (${LOCAL_ENGINE_CONFIG.engine}) initialized successfully`);
+        }
+        return available;
+      } catch (error) {
+        console.log(`Local TTS engine (${LOCAL_ENGINE_CONFIG.engine}) not available: ${error.message}`);
+        return false;
+      }
+    },
+
+    isAvailable() {
+      return available;
+    },
+
+    listVoices() {
+      return voices;
+    },
+
+    async synthesize({ text, voice, audioConfig = {} }) {
+      const { audio, inputArgs } = await runEngine(text, voice, audioConfig);
+
+      return runProcess(LOCAL_ENGINE_CONFIG.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        ...inputArgs,
+        '-i', 'pipe:0',
+        ...(audioConfig.volumeGainDb ? ['-af', `volume=${audioConfig.volumeGainDb}dB`] : []),
+        '-ar', String(OUTPUT_SAMPLE_RATE),
+        '-ac', '1',
+        '-b:a', '64k',
+        '-f', 'mp3',
+        'pipe:1'
+      ], audio);
+    }
+  };
+})();
+
+// Registered adapters, keyed by provider name, in order of preference
+const adapters = new Map([
+  [googleAdapter.name, googleAdapter],
+  [localAdapter.name, localAdapter]
+]);
+
+/**
+ * Register (or replace) a TTS provider adapter
+ *
+ * @param {Object} adapter - Object implementing the adapter interface
+ */
+export const registerTTSProvider = (adapter) => {
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Get the adapter for a provider
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} Adapter, or null if the provider is unknown
+ */
+export const getTTSProvider = (name) => {
+  return adapters.get(name) || null;
+};
+
+/**
+ * Get every registered adapter
+ *
+ * @returns {Array<Object>} Adapters in order of preference
+ */
+export const getTTSProviders = () => {
+  return [...adapters.values()];
+};
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+
+/**
+ * Idempotency middleware for money-moving endpoints
+ * Must be used after auth middleware to access req.user
+ *
+ * Clients send an Idempotency-Key header (any unique string, e.g. a UUID per
+ * click). The first response for a key and user is stored and replayed on
+ * retries; reusing the key with a different payload is rejected. Requests
+ * without the header are processed normally.
+ */
+
+// How long a completed response is replayed
+const KEY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// A key still "processing" after this long belongs to a crashed request and may be retried
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000; // 2 minutes
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serialize a value with sorted object keys so equal payloads hash equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}|${req.baseUrl}${req.path}|${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Try to take the key for this request
+ *
+ * @returns {Promise<Object>} { record, acquired } - acquired is false if the key already exists
+ */
+const acquireKey = async ({ key, userId, method, path, requestHash }) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      user: userId,
+      method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+    return { record, acquired: true };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // Take over a lock left behind by a request that never finished
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    {
+      user: userId,
+      key,
+      requestHash,
+      status: 'processing',
+      lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+    },
+    { $set: { lockedAt: new Date() } },
+    { new: true }
+  );
+  if (takenOver) {
+    return { record: takenOver, acquired: true };
+  }
+
+  const record = await IdempotencyKey.findOne({ user: userId, key });
+  return { record, acquired: false };
+};
+
+/**
+ * Replay, reject or record a request carrying an Idempotency-Key header
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: 'Idempotency-Key không hợp lệ' });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, acquired } = await acquireKey({
+      key,
+      userId: req.user._id,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash
+    });
+
+    if (!acquired) {
+      // The record expired between the insert attempt and the lookup
+      if (!record) {
+        return res.status(409).json({ message: 'Yêu cầu đang được xử lý, vui lòng thử lại' });
+      }
+
+      if (record.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key đã được dùng cho một yêu cầu khác' });
+      }
+
+      if (record.status === 'processing') {
+        res.set('Retry-After', '2');
+        return res.status(409).json({ message: 'Yêu cầu đang được xử lý, vui lòng thử lại' });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    let settled = false;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      settled = true;
+      res.json = originalJson;
+
+      // Server errors are not stored so the client can retry them
+      const persist = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+        );
+
+      // Store the response before sending it so an immediate retry replays it
+      persist
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // Release the key if the handler finished without a JSON response
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(error => console.error('Failed to release idempotency key:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check failed:', error);
+    res.status(500).json({ message: 'Lỗi máy chủ' });
+  }
+};
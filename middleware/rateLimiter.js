@@ -111,6 +111,18 @@ export const paymentLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// EPUB export rate limiter - each export loads and packages a whole module or novel
+export const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 exports per hour
+  message: {
+    error: 'Too many export requests from this IP, please try again later.',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Speed limiter - gradually slows down repeated requests
 export const speedLimiter = slowDown({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -131,6 +143,7 @@ export default {
   ttsLimiter,
   interactionLimiter,
   paymentLimiter,
+  exportLimiter,
   speedLimiter
 };
 
@@ -0,0 +1,78 @@
+import Gift from '../models/Gift.js';
+import GiftTransaction from '../models/GiftTransaction.js';
+import NovelGift from '../models/NovelGift.js';
+
+/**
+ * Seed the gift catalog (formerly scripts/initializeGifts.js)
+ */
+
+export const description = 'Seed the default gift catalog when no gifts exist';
+
+const defaultGifts = [
+  {
+    name: 'Hoa anh đào',
+    icon: '🌸',
+    price: 10,
+    order: 1
+  },
+  {
+    name: 'Cà phê',
+    icon: '☕',
+    price: 50,
+    order: 2
+  },
+  {
+    name: 'Bánh ngọt',
+    icon: '🍰',
+    price: 100,
+    order: 3
+  },
+  {
+    name: 'Gấu bông',
+    icon: '🧸',
+    price: 500,
+    order: 4
+  },
+  {
+    name: 'Kim cương',
+    icon: '💎',
+    price: 1000,
+    order: 5
+  }
+];
+
+export const up = async ({ dryRun, log }) => {
+  const existing = await Gift.countDocuments();
+  if (existing > 0) {
+    log(`${existing} gifts already exist, skipping`);
+    return { inserted: 0 };
+  }
+
+  if (!dryRun) {
+    await Gift.insertMany(defaultGifts);
+  }
+  defaultGifts.forEach(gift => log(`${gift.icon} ${gift.name} - ${gift.price} 🌾`));
+  return { inserted: defaultGifts.length };
+};
+
+// Removes the default gifts nobody has sent yet; sent gifts stay for their history
+export const down = async ({ dryRun, log }) => {
+  const gifts = await Gift.find({
+    $or: defaultGifts.map(({ name, icon }) => ({ name, icon }))
+  }).select('_id name').lean();
+
+  const removable = [];
+  for (const gift of gifts) {
+    const used = await GiftTransaction.exists({ giftId: gift._id }) || await NovelGift.exists({ giftId: gift._id });
+    if (used) {
+      log(`keeping "${gift.name}", it has been sent`);
+    } else {
+      removable.push(gift._id);
+    }
+  }
+
+  if (!dryRun && removable.length > 0) {
+    await Gift.deleteMany({ _id: { $in: removable } });
+  }
+  return { removed: removable.length, kept: gifts.length - removable.length };
+};
@@ -0,0 +1,69 @@
+import Novel from '../models/Novel.js';
+
+/**
+ * Give every novel its slug and shortId8 (formerly POST /api/novels/backfill-slugs)
+ * Irreversible: the previous slugs are not kept.
+ */
+
+export const description = 'Backfill slug and shortId8 for existing novels';
+
+const slugifyTitle = (title) => {
+  const base = (title || 'novel')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 80) || 'novel';
+  return base;
+};
+
+export const up = async ({ dryRun, log }) => {
+  const cursor = Novel.find({}).select('_id title slug shortId8').lean().cursor();
+  let total = 0;
+  let updated = 0;
+  let skipped = 0;
+  const errors = [];
+
+  for await (const doc of cursor) {
+    total++;
+    const idStr = doc._id.toString();
+    const shortId8 = idStr.slice(-8).toLowerCase();
+    const desiredSlug = `${slugifyTitle(doc.title)}-${shortId8}`;
+
+    const needsUpdate = (doc.shortId8 !== shortId8) || (doc.slug !== desiredSlug);
+    if (!needsUpdate) {
+      skipped++;
+      continue;
+    }
+
+    if (dryRun) {
+      updated++;
+      continue;
+    }
+
+    try {
+      await Novel.updateOne({ _id: doc._id }, { $set: { shortId8, slug: desiredSlug } });
+      updated++;
+    } catch (e) {
+      // In the unlikely case of a slug collision, append last 4 of ObjectId to guarantee uniqueness
+      if (e && e.code === 11000) {
+        const fallbackSlug = `${slugifyTitle(doc.title)}-${shortId8}-${idStr.slice(-4).toLowerCase()}`;
+        try {
+          await Novel.updateOne({ _id: doc._id }, { $set: { shortId8, slug: fallbackSlug } });
+          updated++;
+        } catch (e2) {
+          errors.push({ id: doc._id, error: e2.message });
+        }
+      } else {
+        errors.push({ id: doc._id, error: e.message });
+      }
+    }
+  }
+
+  errors.forEach(({ id, error }) => log(`novel ${id}: ${error}`));
+  // Failing here keeps the migration pending, so it runs again once the slugs are fixed
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} of ${total} novels could not be given a slug`);
+  }
+  return { total, updated, skipped };
+};
@@ -0,0 +1,87 @@
+import Chapter from '../models/Chapter.js';
+import Novel from '../models/Novel.js';
+import { calculateWordCount } from '../utils/wordCount.js';
+import { recalculateNovelWordCount } from '../services/wordCountService.js';
+import { clearNovelCaches } from '../utils/cacheUtils.js';
+
+/**
+ * Count words of chapters saved before word counts existed, then recompute
+ * every novel total (formerly POST /api/chapters/batch-update-wordcount and
+ * POST /api/chapters/fix-novel-wordcounts). Irreversible: counts are derived data.
+ */
+
+export const description = 'Backfill chapter word counts and recalculate novel totals';
+
+const BATCH_SIZE = 50;
+
+export const up = async ({ dryRun, log }) => {
+  // Chapters with 0 word count but have content
+  const chaptersToUpdate = await Chapter.find({
+    wordCount: 0,
+    content: { $exists: true, $ne: '' }
+  }).select('_id content').lean();
+
+  log(`Found ${chaptersToUpdate.length} chapters without a word count`);
+
+  let chaptersUpdated = 0;
+  for (let i = 0; i < chaptersToUpdate.length; i += BATCH_SIZE) {
+    const bulkOps = [];
+    for (const chapter of chaptersToUpdate.slice(i, i + BATCH_SIZE)) {
+      const wordCount = calculateWordCount(chapter.content);
+      if (wordCount > 0) {
+        bulkOps.push({
+          updateOne: {
+            filter: { _id: chapter._id },
+            update: { $set: { wordCount } }
+          }
+        });
+      }
+    }
+
+    if (bulkOps.length === 0) continue;
+    if (dryRun) {
+      chaptersUpdated += bulkOps.length;
+    } else {
+      const result = await Chapter.bulkWrite(bulkOps);
+      chaptersUpdated += result.modifiedCount;
+    }
+  }
+
+  // Recalculate every novel with chapters; this also catches novels whose
+  // chapter counts were right but whose total was not
+  const novelsWithChapters = await Chapter.aggregate([
+    { $group: { _id: '$novelId', totalWords: { $sum: '$wordCount' } } }
+  ]);
+
+  log(`Recalculating word counts for ${novelsWithChapters.length} novels`);
+
+  let novelsRecalculated = 0;
+  let novelsWithWrongTotal = 0;
+  let novelsFailed = 0;
+  for (const novelGroup of novelsWithChapters) {
+    try {
+      const novel = await Novel.findById(novelGroup._id).select('wordCount').lean();
+      if (novel && novel.wordCount !== novelGroup.totalWords) {
+        novelsWithWrongTotal++;
+      }
+      if (!dryRun) {
+        await recalculateNovelWordCount(novelGroup._id);
+      }
+      novelsRecalculated++;
+    } catch (error) {
+      novelsFailed++;
+      log(`Failed to recalculate word count for novel ${novelGroup._id}: ${error.message}`);
+    }
+  }
+
+  // Failing here keeps the migration pending, so it runs again
+  if (novelsFailed > 0) {
+    throw new Error(`${novelsFailed} of ${novelsWithChapters.length} novels could not be recalculated`);
+  }
+
+  if (!dryRun) {
+    await clearNovelCaches();
+  }
+
+  return { chaptersUpdated, novelsRecalculated, novelsWithWrongTotal };
+};
@@ -0,0 +1,65 @@
+import Module from '../models/Module.js';
+import { calculateAndUpdateModuleRentBalance, computeModuleRentBalance } from '../services/moduleRentService.js';
+
+/**
+ * Recalculate every module's rent balance from its paid chapters
+ * (formerly POST /api/modules/recalculate-rent-balance). Irreversible: it
+ * also switches rent modules whose paid content fell below the threshold to published.
+ */
+
+export const description = 'Recalculate rentBalance for all modules';
+
+const BATCH_SIZE = 10;
+
+// Report what the recalculation would change, without writing
+const previewModule = async (module, log) => {
+  const calculated = await computeModuleRentBalance(module._id);
+  if (!calculated) {
+    return false;
+  }
+
+  const changes = [];
+  if (calculated.rentBalance !== calculated.previousRentBalance) {
+    changes.push(`rentBalance ${calculated.previousRentBalance} -> ${calculated.rentBalance}`);
+  }
+  if (calculated.mode !== calculated.previousMode) {
+    changes.push(`mode ${calculated.previousMode} -> ${calculated.mode}`);
+  }
+  if (changes.length > 0) {
+    log(`Module ${module._id} (${module.title}): ${changes.join(', ')}`);
+  }
+  return changes.length > 0;
+};
+
+export const up = async ({ dryRun, log }) => {
+  const modules = await Module.find({}).select('_id title').lean();
+
+  let updatedCount = 0;
+  let errorCount = 0;
+
+  // Process modules in batches to avoid overwhelming the database
+  for (let i = 0; i < modules.length; i += BATCH_SIZE) {
+    await Promise.all(modules.slice(i, i + BATCH_SIZE).map(async (module) => {
+      try {
+        if (dryRun) {
+          if (await previewModule(module, log)) updatedCount++;
+        } else {
+          await calculateAndUpdateModuleRentBalance(module._id);
+          updatedCount++;
+        }
+      } catch (error) {
+        errorCount++;
+        log(`Error updating module ${module._id} (${module.title}): ${error.message}`);
+      }
+    }));
+  }
+
+  // Failing here keeps the migration pending, so it runs again
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} of ${modules.length} modules could not be recalculated`);
+  }
+
+  return dryRun
+    ? { totalModules: modules.length, wouldChangeCount: updatedCount }
+    : { totalModules: modules.length, updatedCount };
+};
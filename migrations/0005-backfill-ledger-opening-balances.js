@@ -0,0 +1,24 @@
+import { backfillOpeningBalances, checkBalanceInvariants } from '../services/ledgerService.js';
+
+/**
+ * Record existing User.balance, Novel.novelBalance and Novel.novelBudget values
+ * as opening ledger entries (formerly scripts/backfillLedgerOpeningBalances.js).
+ * Accounts that already have entries are skipped. Irreversible: opening entries
+ * are part of the ledger.
+ */
+
+export const description = 'Record existing balances as opening ledger entries';
+
+export const up = async ({ dryRun, log }) => {
+  const backfilled = await backfillOpeningBalances({ dryRun });
+  log(`${dryRun ? 'Would record' : 'Recorded'} opening balances:`, backfilled);
+
+  // The check records discrepancies, so it only runs for real
+  if (dryRun) {
+    return { backfilled };
+  }
+
+  const invariants = await checkBalanceInvariants();
+  log('Invariant check:', invariants);
+  return { backfilled, invariants };
+};
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+/**
+ * AudiobookJob Schema
+ * Queued narration of a chapter or a whole module, processed by the audiobook
+ * worker one chapter at a time. Chapters that fail are retried with backoff.
+ */
+const audiobookJobChapterSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  title: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'done', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  audio: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChapterAudio'
+  }
+}, { _id: false });
+
+const audiobookJobSchema = new mongoose.Schema({
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module'
+  },
+  targetType: {
+    type: String,
+    enum: ['chapter', 'module'],
+    required: true
+  },
+  // Voice name from the TTS voice catalog; its provider is resolved when the job runs
+  voice: {
+    type: String,
+    default: 'nu'
+  },
+  // Regenerate chapters even if a ready asset exists for the same text
+  force: {
+    type: Boolean,
+    default: false
+  },
+  chapters: {
+    type: [audiobookJobChapterSchema],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Runs of the job so far; each run retries the chapters still pending
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Heartbeat of the worker processing the job, to recover jobs of crashed workers
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+// 1. Worker queue
+audiobookJobSchema.index({ status: 1, nextRunAt: 1 });
+
+// 2. Jobs of a novel
+audiobookJobSchema.index({ novel: 1, createdAt: -1 });
+
+const AudiobookJob = mongoose.model('AudiobookJob', audiobookJobSchema);
+
+export default AudiobookJob;
@@ -0,0 +1,115 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog Schema
+ * Append-only trail of privileged admin and moderator actions. Each entry
+ * records who acted on what, the changed fields before and after, and why.
+ * Entries are never updated or deleted by the app; the hooks below reject it.
+ */
+export const AUDIT_ACTIONS = [
+  'user.ban',
+  'user.unban',
+  'topup_request.confirm',
+  'topup_request.decline',
+  'topup_admin.revoke',
+  'novel.balance_update',
+  'module.rent_balance_update',
+  'comment.admin_delete',
+  'forum_post.approve',
+  'forum_post.reject',
+  'report.resolve'
+];
+
+export const AUDIT_TARGET_TYPES = ['user', 'topup_request', 'topup_admin', 'novel', 'module', 'comment', 'forum_post', 'report'];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied at write time so the entry still reads right after a rename or role change
+  actorUsername: {
+    type: String
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable name of the target (username, novel title, ...)
+  targetLabel: {
+    type: String
+  },
+  // Values of the changed fields only
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Entries can only be created
+const rejectChange = function(next) {
+  next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, rejectChange);
+});
+
+// Indexes for efficient queries
+// 1. Chronological listing
+auditLogSchema.index({ createdAt: -1 });
+
+// 2. Actions of one moderator
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+// 3. History of one target
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// 4. Filtering by action
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -52,11 +52,78 @@ const chapterSchema = new mongoose.Schema({
     default: false,
     immutable: true // This field cannot be changed after creation
   },
+  // Scheduled release: a draft chapter is switched to scheduledMode at publishAt
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  scheduledMode: {
+    type: String,
+    enum: ['published', 'protected', null],
+    default: null
+  },
   wordCount: {
     type: Number,
     default: 0,
     min: 0
   },
+  // Editorial pipeline: translating -> editing -> proofreading -> ready
+  // Chapters from before the pipeline have no stage and count as ready
+  workflow: {
+    stage: {
+      type: String,
+      enum: ['translating', 'editing', 'proofreading', 'ready', null],
+      default: null
+    },
+    // Staff member working on the current stage; the claim lapses at expiresAt
+    claim: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      stage: {
+        type: String,
+        default: null
+      },
+      claimedAt: {
+        type: Date,
+        default: null
+      },
+      expiresAt: {
+        type: Date,
+        default: null
+      }
+    },
+    history: [{
+      from: String,
+      to: String,
+      action: {
+        type: String,
+        enum: ['complete', 'set']
+      },
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Set when an admin publishes the chapter before it is ready
+    publishOverride: {
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      at: {
+        type: Date,
+        default: null
+      }
+    }
+  },
   chapterBalance: {
     type: Number,
     default: 0,
@@ -106,6 +173,10 @@ const chapterSchema = new mongoose.Schema({
 chapterSchema.index({ novelId: 1 });
 // Index for moduleId and order, but not unique across all modules
 chapterSchema.index({ moduleId: 1, order: 1 });
+// Index for the scheduled publishing job and upcoming release lists
+chapterSchema.index({ publishAt: 1 }, { partialFilterExpression: { publishAt: { $type: 'date' } } });
+// Index for the job that releases expired workflow claims
+chapterSchema.index({ 'workflow.claim.expiresAt': 1 }, { partialFilterExpression: { 'workflow.claim.expiresAt': { $type: 'date' } } });
 
 // Atomic increment operation for views to prevent race conditions
 chapterSchema.methods.incrementViews = async function() {
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+/**
+ * ChapterAudio Schema
+ * Pre-generated narration of a whole chapter in one voice. The asset is marked
+ * stale when the chapter content changes, so it is never served for a newer text.
+ */
+const chapterAudioSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module'
+  },
+  // Voice name from the TTS voice catalog (e.g. 'nu', 'nam', 'local-nu')
+  voice: {
+    type: String,
+    required: true
+  },
+  // sha256 of the narrated text, to tell whether the chapter changed since generation
+  contentHash: {
+    type: String,
+    required: true
+  },
+  audioUrl: {
+    type: String,
+    required: true
+  },
+  // Sentence timing map (JSON) stored next to the audio
+  timingsUrl: {
+    type: String
+  },
+  characterCount: {
+    type: Number,
+    default: 0
+  },
+  chunkCount: {
+    type: Number,
+    default: 0
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  // Duration in seconds, measured from the MP3 frames
+  duration: {
+    type: Number,
+    default: 0
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['ready', 'stale'],
+    default: 'ready'
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AudiobookJob'
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  invalidatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One asset per chapter and voice
+chapterAudioSchema.index({ chapter: 1, voice: 1 }, { unique: true });
+chapterAudioSchema.index({ novel: 1, module: 1 });
+
+const ChapterAudio = mongoose.model('ChapterAudio', chapterAudioSchema);
+
+export default ChapterAudio;
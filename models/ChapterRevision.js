@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * ChapterRevision Schema
+ * Snapshot of a chapter's title, content and footnotes after a save. Revisions
+ * are numbered per chapter from 1; the highest number matches the current chapter.
+ */
+const chapterRevisionSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 'baseline' records the state of a chapter that existed before revisions were kept
+  action: {
+    type: String,
+    enum: ['create', 'edit', 'rollback', 'baseline'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  footnotes: [{
+    _id: false,
+    id: Number,
+    name: String,
+    content: String
+  }],
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // Change from the previous revision (0 for the first one)
+  wordCountDelta: {
+    type: Number,
+    default: 0
+  },
+  // Null for baseline revisions, whose author is unknown
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Revision restored by a rollback
+  restoredFrom: {
+    type: Number
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+chapterRevisionSchema.index({ chapter: 1, revisionNumber: -1 }, { unique: true });
+
+const ChapterRevision = mongoose.model('ChapterRevision', chapterRevisionSchema);
+
+export default ChapterRevision;
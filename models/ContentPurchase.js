@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+/**
+ * ContentPurchase Schema
+ * Tracks permanent per-user unlocks of paid chapters and paid modules.
+ * Unlike ModuleRental, a purchase never expires.
+ */
+const contentPurchaseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: ['chapter', 'module'],
+    required: true
+  },
+  // Only set for chapter purchases
+  chapterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  // Always set: the purchased module, or the module containing the purchased chapter
+  moduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  novelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Reference to the contribution history record
+  contributionHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContributionHistory',
+    required: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+// 1. A user can only buy a given chapter once
+contentPurchaseSchema.index({ userId: 1, chapterId: 1 }, {
+  unique: true,
+  partialFilterExpression: { contentType: 'chapter' }
+});
+
+// 2. A user can only buy a given module once
+contentPurchaseSchema.index({ userId: 1, moduleId: 1 }, {
+  unique: true,
+  partialFilterExpression: { contentType: 'module' }
+});
+
+// 3. Index for novel-based queries
+contentPurchaseSchema.index({ novelId: 1, createdAt: -1 });
+
+// 4. Index for user-based queries
+contentPurchaseSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to find the module purchase for a user
+contentPurchaseSchema.statics.findModulePurchase = function(userId, moduleId) {
+  return this.findOne({
+    userId,
+    moduleId,
+    contentType: 'module'
+  });
+};
+
+// Static method to find the purchase that grants a user access to a chapter.
+// Either the chapter itself or its whole module may have been bought.
+contentPurchaseSchema.statics.findPurchaseForUserChapter = function(userId, chapterId, moduleId) {
+  return this.findOne({
+    userId,
+    $or: [
+      { contentType: 'chapter', chapterId },
+      { contentType: 'module', moduleId }
+    ]
+  });
+};
+
+const ContentPurchase = mongoose.model('ContentPurchase', contentPurchaseSchema);
+
+export default ContentPurchase;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * Counter Schema
+ * Named sequences shared by every instance, e.g. the IDs of SSE events.
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Take the next value of a sequence; the first value is 1
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  ).lean();
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * GlossaryTerm Schema
+ * A translation glossary entry of a novel: how a source term (character name,
+ * place, skill...) is rendered in Vietnamese, and variants that should no
+ * longer appear in chapters.
+ */
+const glossaryTermSchema = new mongoose.Schema({
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  // Term in the original language, e.g. 莉莉丝 or Lilith
+  sourceTerm: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Rendering the team agreed on
+  preferred: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Renderings that must be replaced by the preferred one
+  forbiddenVariants: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }],
+  notes: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  // Names are usually matched ignoring case; set for terms that only differ by it
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+glossaryTermSchema.index({ novel: 1, sourceTerm: 1 }, { unique: true });
+
+const GlossaryTerm = mongoose.model('GlossaryTerm', glossaryTermSchema);
+
+export default GlossaryTerm;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Schema
+ * Background work queued by request handlers and scheduled tasks and run by
+ * the job worker of any instance (services/jobQueue.js). A job that keeps
+ * failing ends up dead and stays here until an admin retries or deletes it.
+ */
+const jobAttemptErrorSchema = new mongoose.Schema({
+  attempt: {
+    type: Number
+  },
+  message: {
+    type: String
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const jobSchema = new mongoose.Schema({
+  // Registered job type, e.g. 'notifications.new-chapter'
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker holding the job and its heartbeat, to recover jobs of crashed workers
+  lockedBy: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  // Most recent failures, newest last
+  errorHistory: {
+    type: [jobAttemptErrorSchema],
+    default: []
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+// 1. Worker queue
+jobSchema.index({ status: 1, nextRunAt: 1 });
+
+// 2. Admin listing by type
+jobSchema.index({ name: 1, status: 1, createdAt: -1 });
+
+// 3. Completed jobs are kept for a week
+jobSchema.index({ finishedAt: 1 }, {
+  expireAfterSeconds: 7 * 24 * 60 * 60,
+  partialFilterExpression: { status: 'completed' }
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { LEDGER_ACCOUNT_TYPES } from './LedgerEntry.js';
+
+/**
+ * LedgerDiscrepancy Schema
+ * Raised by the nightly invariant check when a stored balance
+ * (User.balance, Novel.novelBalance, Novel.novelBudget) disagrees with the ledger.
+ */
+const ledgerDiscrepancySchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: LEDGER_ACCOUNT_TYPES,
+    required: true
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  storedBalance: {
+    type: Number,
+    required: true
+  },
+  ledgerBalance: {
+    type: Number,
+    required: true
+  },
+  // storedBalance - ledgerBalance
+  difference: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastCheckedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date
+  },
+  note: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// At most one open discrepancy per account
+ledgerDiscrepancySchema.index(
+  { accountType: 1, accountId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+ledgerDiscrepancySchema.index({ status: 1, detectedAt: -1 });
+
+const LedgerDiscrepancy = mongoose.model('LedgerDiscrepancy', ledgerDiscrepancySchema);
+
+export default LedgerDiscrepancy;
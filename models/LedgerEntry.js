@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+
+/**
+ * LedgerEntry Schema
+ * Double-entry journal for every movement of 🌾 between accounts.
+ * Each entry has two or more lines whose amounts sum to zero; a positive
+ * amount increases the account, a negative amount decreases it.
+ *
+ * Accounts:
+ *  - user_wallet (accountId = User)     mirrors User.balance
+ *  - novel_balance (accountId = Novel)  mirrors Novel.novelBalance
+ *  - novel_budget (accountId = Novel)   mirrors Novel.novelBudget
+ *  - platform                           issues 🌾 for top-ups and unlock budget, takes back paid-out 🌾;
+ *                                       negative = 🌾 in circulation
+ *  - tts                                collects TTS charges
+ */
+export const LEDGER_ACCOUNT_TYPES = ['user_wallet', 'novel_balance', 'novel_budget', 'platform', 'tts'];
+
+const ledgerLineSchema = new mongoose.Schema({
+  accountType: {
+    type: String,
+    enum: LEDGER_ACCOUNT_TYPES,
+    required: true
+  },
+  // Set for per-user and per-novel accounts, null for platform-wide accounts
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Materialized balance after this line, for accounts that have one
+  balanceAfter: {
+    type: Number
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'topup', 'admin_topup', 'request', 'contribution', 'refund', 'gift', 'rental', 'purchase',
+      'unlock', 'tts', 'payout', 'adjustment', 'opening_balance', 'other'
+    ],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sourceModel: {
+    type: String
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// An entry must move 🌾 between at least two accounts and net to zero
+ledgerEntrySchema.pre('validate', function(next) {
+  if (!this.lines || this.lines.length < 2) {
+    return next(new Error('Ledger entry needs at least two lines'));
+  }
+
+  const total = this.lines.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total) > 1e-9) {
+    return next(new Error(`Unbalanced ledger entry: lines sum to ${total}`));
+  }
+
+  next();
+});
+
+// Indexes for efficient queries
+// 1. Balance derivation per account
+ledgerEntrySchema.index({ 'lines.accountType': 1, 'lines.accountId': 1 });
+
+// 2. Entries created by a given source document
+ledgerEntrySchema.index({ sourceModel: 1, sourceId: 1 });
+
+// 3. Chronological listing
+ledgerEntrySchema.index({ createdAt: -1 });
+
+// Static method to derive the balance of one account from its entries
+ledgerEntrySchema.statics.getAccountBalance = async function(accountType, accountId = null) {
+  const [result] = await this.aggregate([
+    { $match: { lines: { $elemMatch: { accountType, accountId } } } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.accountType': accountType, 'lines.accountId': accountId } },
+    { $group: { _id: null, balance: { $sum: '$lines.amount' } } }
+  ]);
+  return result?.balance || 0;
+};
+
+// Static method to derive the balances of every account of a type, keyed by accountId
+ledgerEntrySchema.statics.getAccountBalances = async function(accountType) {
+  const results = await this.aggregate([
+    { $match: { 'lines.accountType': accountType } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.accountType': accountType } },
+    { $group: { _id: '$lines.accountId', balance: { $sum: '$lines.amount' } } }
+  ]).allowDiskUse(true);
+
+  return new Map(results.map(result => [String(result._id), result.balance]));
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
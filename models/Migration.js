@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * Migration Schema
+ * One document per applied migration from migrations/; rolling a migration
+ * back removes its document.
+ */
+const migrationSchema = new mongoose.Schema({
+  // Leading number of the file name, e.g. '0002'
+  version: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: {
+    type: Number
+  },
+  // Summary returned by the migration's up()
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Host and process that applied it
+  appliedBy: {
+    type: String
+  }
+}, {
+  versionKey: false
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+export default Migration;
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * MigrationLock Schema
+ * A single lease document held while migrations run, so two deploys starting
+ * together do not apply the same migration twice. The holder renews it; an
+ * expired lease belongs to a run that died and can be taken over.
+ */
+const migrationLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+}, {
+  versionKey: false
+});
+
+const MigrationLock = mongoose.model('MigrationLock', migrationLockSchema);
+
+export default MigrationLock;
@@ -27,6 +27,16 @@ const moduleSchema = new mongoose.Schema({
     enum: ['published', 'paid', 'rent', 'draft'],
     default: 'published'
   },
+  // Scheduled release: a draft module is switched to scheduledMode at publishAt
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  scheduledMode: {
+    type: String,
+    enum: ['published', 'rent', null],
+    default: null
+  },
   moduleBalance: {
     type: Number,
     default: 0,
@@ -63,6 +73,9 @@ const moduleSchema = new mongoose.Schema({
 // Create a compound index for novelId and order to ensure unique ordering within a novel
 moduleSchema.index({ novelId: 1, order: 1 }, { unique: true });
 
+// Index for the scheduled publishing job and upcoming release lists
+moduleSchema.index({ publishAt: 1 }, { partialFilterExpression: { publishAt: { $type: 'date' } } });
+
 const Module = mongoose.model('Module', moduleSchema);
 
 export default Module;
\ No newline at end of file
@@ -42,6 +42,16 @@ const novelSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Percent of each payout per staff role; falls back to the platform default when unset
+  revenueSplit: {
+    type: {
+      translator: { type: Number, min: 0, max: 100 },
+      editor: { type: Number, min: 0, max: 100 },
+      proofreader: { type: Number, min: 0, max: 100 },
+      pj_user: { type: Number, min: 0, max: 100 }
+    },
+    default: undefined
+  },
   wordCount: {
     type: Number,
     default: 0,
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+/**
+ * PayoutRequest Schema
+ * Pays part of a novel's balance out to its active staff. The amount is split
+ * between the staff when the request is created; an admin approves it after
+ * transferring the money to each recipient's payout account.
+ */
+const payoutAllocationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Roles the user holds on the novel, e.g. ['translator', 'editor']
+  roles: [{
+    type: String,
+    enum: ['translator', 'editor', 'proofreader', 'pj_user']
+  }],
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // 🌾 allocated to this user
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // VND to transfer
+  moneyAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Copy of the payout account at the time of approval
+  payoutAccount: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Bank/e-wallet reference of the transfer, filled in by the admin
+  transferReference: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const payoutRequestSchema = new mongoose.Schema({
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  moneyAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // VND per 🌾 used for this payout
+  rate: {
+    type: Number,
+    required: true
+  },
+  // Role percentages used to compute the allocations
+  split: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  allocations: {
+    type: [payoutAllocationSchema],
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+// 1. Admin review queue
+payoutRequestSchema.index({ status: 1, createdAt: 1 });
+
+// 2. Payouts of a novel
+payoutRequestSchema.index({ novel: 1, createdAt: -1 });
+
+// 3. Staff statements
+payoutRequestSchema.index({ 'allocations.user': 1, status: 1, paidAt: -1 });
+
+// Static method to sum the 🌾 of a novel's pending payouts
+payoutRequestSchema.statics.getPendingAmount = async function(novelId) {
+  const [result] = await this.aggregate([
+    { $match: { novel: new mongoose.Types.ObjectId(novelId), status: 'pending' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result?.total || 0;
+};
+
+const PayoutRequest = mongoose.model('PayoutRequest', payoutRequestSchema);
+
+export default PayoutRequest;
@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+/**
+ * RefundRequest Schema
+ * A request to reverse a top-up, module rental or gift, reviewed by an admin.
+ * Chargebacks (a payment provider reversing a top-up) are recorded here too,
+ * created and settled directly by an admin.
+ */
+const refundRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['refund', 'chargeback'],
+    default: 'refund'
+  },
+  targetType: {
+    type: String,
+    enum: ['topup', 'rental', 'gift'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    required: true
+  },
+  targetModel: {
+    type: String,
+    enum: ['TopUpRequest', 'ModuleRental', 'GiftTransaction'],
+    required: true
+  },
+  // Set for rentals and gifts, whose 🌾 is clawed back from the novel
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel'
+  },
+  // 🌾 moved by the original transaction
+  originalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 🌾 the user asks to reverse (partial refunds ask for less than the original)
+  requestedAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 🌾 actually reversed once approved
+  approvedAmount: {
+    type: Number,
+    min: 0
+  },
+  // Top-ups only: VND to return to the user, proportional to approvedAmount
+  moneyAmount: {
+    type: Number,
+    min: 0
+  },
+  // Chargebacks only: 🌾 that could not be recovered because the user had already spent it
+  unrecoveredAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  adminNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+// 1. Admin review queue
+refundRequestSchema.index({ status: 1, createdAt: 1 });
+
+// 2. User's own refund requests
+refundRequestSchema.index({ user: 1, createdAt: -1 });
+
+// 3. Refunds of a given transaction; only one may be pending at a time
+refundRequestSchema.index({ targetModel: 1, targetId: 1, status: 1 });
+refundRequestSchema.index(
+  { targetModel: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Static method to sum the 🌾 already reversed for a transaction
+refundRequestSchema.statics.getRefundedAmount = async function(targetModel, targetId, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { targetModel, targetId: new mongoose.Types.ObjectId(targetId), status: 'approved' } },
+    { $group: { _id: null, total: { $sum: { $add: ['$approvedAmount', '$unrecoveredAmount'] } } } }
+  ]).session(session);
+  return result?.total || 0;
+};
+
+const RefundRequest = mongoose.model('RefundRequest', refundRequestSchema);
+
+export default RefundRequest;
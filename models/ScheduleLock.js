@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+/**
+ * ScheduleLock Schema
+ * One document per scheduled task. Every instance fires the same cron
+ * schedules; the instance that claims a tick's slot here is the one that runs it.
+ */
+const scheduleLockSchema = new mongoose.Schema({
+  // Schedule name
+  _id: {
+    type: String,
+    required: true
+  },
+  // Last claimed tick, as a slot number (see services/jobQueue.js)
+  slot: {
+    type: Number,
+    default: 0
+  },
+  running: {
+    type: Boolean,
+    default: false
+  },
+  owner: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  }
+}, {
+  versionKey: false
+});
+
+const ScheduleLock = mongoose.model('ScheduleLock', scheduleLockSchema);
+
+export default ScheduleLock;
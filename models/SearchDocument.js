@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+/**
+ * SearchDocument Schema
+ * Search index entry of a novel (chapter: null) or of one of its chapters.
+ * Text fields hold Vietnamese-folded copies (no diacritics, lower case) so
+ * queries typed without accents match. The novel's facet fields are copied
+ * onto its chapter entries so filters apply to both.
+ * Kept in sync by services/searchService.js.
+ */
+const searchDocumentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['novel', 'chapter'],
+    required: true
+  },
+  novel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Novel',
+    required: true
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    default: null
+  },
+  title: { type: String, default: '' },
+  alternativeTitles: { type: String, default: '' },
+  author: { type: String, default: '' },
+  illustrator: { type: String, default: '' },
+  description: { type: String, default: '' },
+  chapterTitle: { type: String, default: '' },
+  // Only set for chapters anyone can read, so paid text never shows in results
+  content: { type: String, default: '' },
+  // Distinct words of the fields above; every query term must be one of them
+  tokens: [{ type: String }],
+  genres: [{ type: String }],
+  status: { type: String },
+  ttsEnabled: { type: Boolean, default: false },
+  wordCount: { type: Number, default: 0 },
+  indexedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchDocumentSchema.index({ novel: 1, chapter: 1 }, { unique: true });
+searchDocumentSchema.index({ module: 1 }, { partialFilterExpression: { module: { $type: 'objectId' } } });
+searchDocumentSchema.index(
+  {
+    title: 'text',
+    alternativeTitles: 'text',
+    author: 'text',
+    illustrator: 'text',
+    description: 'text',
+    chapterTitle: 'text',
+    content: 'text'
+  },
+  {
+    name: 'search_text',
+    // Folded Vietnamese has no stemmer or stop words to apply
+    default_language: 'none',
+    language_override: 'searchLanguage',
+    weights: {
+      title: 10,
+      alternativeTitles: 8,
+      author: 5,
+      illustrator: 3,
+      chapterTitle: 4,
+      description: 2,
+      content: 1
+    }
+  }
+);
+
+const SearchDocument = mongoose.model('SearchDocument', searchDocumentSchema);
+
+export default SearchDocument;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// The log keeps the newest events only; clients away longer refetch instead of replaying
+const EVENT_LOG_MAX_BYTES = Number(process.env.SSE_EVENT_LOG_BYTES) || 64 * 1024 * 1024;
+const EVENT_LOG_MAX_EVENTS = Number(process.env.SSE_EVENT_LOG_MAX) || 50000;
+
+/**
+ * SseEvent Schema
+ * Every server-sent event published by any instance, in a capped collection.
+ * Instances tail it through a change stream to reach their own clients, and
+ * reconnecting clients replay what was stored after their Last-Event-ID.
+ */
+const sseEventSchema = new mongoose.Schema({
+  // Increasing across all instances (Counter 'sse_events'); sent as the SSE id
+  seq: {
+    type: Number,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Set for events meant only for one user's connections
+  userId: {
+    type: String,
+    default: null
+  },
+  // Instance that published the event (hostname:pid)
+  origin: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: EVENT_LOG_MAX_BYTES, max: EVENT_LOG_MAX_EVENTS },
+  versionKey: false
+});
+
+sseEventSchema.index({ seq: 1 });
+
+const SseEvent = mongoose.model('SseEvent', sseEventSchema);
+
+export default SseEvent;
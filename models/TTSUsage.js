@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
 
 const TTSUsageSchema = new mongoose.Schema({
     userId: {
@@ -12,14 +13,20 @@ const TTSUsageSchema = new mongoose.Schema({
         ref: 'Chapter',
         required: false // Not all TTS usage is chapter-related
     },
+    novelId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Novel',
+        required: false
+    },
     characterCount: {
         type: Number,
         required: true,
         min: 1
     },
+    // Only kept for short texts; long chapters are identified by textHash
     text: {
         type: String,
-        required: true,
+        required: false,
         maxLength: 100000
     },
     textHash: {
@@ -29,7 +36,8 @@ const TTSUsageSchema = new mongoose.Schema({
     },
     voiceName: {
         type: String,
-        required: true,
+        // Known once the audio exists; pending and failed records have none
+        required: function() { return this.status === 'completed' || this.status === 'cached'; },
         enum: [
             'vi-VN-Standard-A', 'vi-VN-Standard-B', 'vi-VN-Standard-C', 'vi-VN-Standard-D',
             'vi-VN-Wavenet-A', 'vi-VN-Wavenet-B', 'vi-VN-Wavenet-C', 'vi-VN-Wavenet-D',
@@ -63,7 +71,7 @@ const TTSUsageSchema = new mongoose.Schema({
     },
     audioUrl: {
         type: String,
-        required: true
+        required: function() { return this.status === 'completed' || this.status === 'cached'; }
     },
     audioFileSize: {
         type: Number, // File size in bytes
@@ -82,6 +90,29 @@ const TTSUsageSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Characters covered by the monthly free allowance
+    freeCharacters: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Characters paid for in 🌾 (after the cache discount)
+    billableCharacters: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // 🌾 charged to the user
+    chargedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'UserTransaction',
+        required: false
+    },
     processingTimeMs: {
         type: Number, // Time taken to generate TTS
         required: false
@@ -137,9 +168,9 @@ TTSUsageSchema.statics.getUserUsage = async function(userId, startDate, endDate)
                 userId: new mongoose.Types.ObjectId(userId),
                 createdAt: {
                     $gte: startDate,
-                    $lte: endDate
+                    $lt: endDate
                 },
-                status: 'completed'
+                status: { $in: ['completed', 'cached'] }
             }
         },
         {
@@ -148,6 +179,9 @@ TTSUsageSchema.statics.getUserUsage = async function(userId, startDate, endDate)
                 totalCharacters: { $sum: '$characterCount' },
                 totalRequests: { $sum: 1 },
                 totalCostVND: { $sum: '$costVND' },
+                totalCharged: { $sum: '$chargedAmount' },
+                freeCharacters: { $sum: '$freeCharacters' },
+                billableCharacters: { $sum: '$billableCharacters' },
                 cacheHits: {
                     $sum: {
                         $cond: ['$cacheHit', 1, 0]
@@ -163,6 +197,9 @@ TTSUsageSchema.statics.getUserUsage = async function(userId, startDate, endDate)
         totalCharacters: 0,
         totalRequests: 0,
         totalCostVND: 0,
+        totalCharged: 0,
+        freeCharacters: 0,
+        billableCharacters: 0,
         cacheHits: 0,
         avgProcessingTime: 0
     };
@@ -177,7 +214,7 @@ TTSUsageSchema.statics.getVoiceUsageStats = async function(userId, days = 30) {
             $match: {
                 userId: new mongoose.Types.ObjectId(userId),
                 createdAt: { $gte: startDate },
-                status: 'completed'
+                status: { $in: ['completed', 'cached'] }
             }
         },
         {
@@ -197,8 +234,7 @@ TTSUsageSchema.statics.getVoiceUsageStats = async function(userId, days = 30) {
 
 // Pre-save middleware to update textHash and updatedAt
 TTSUsageSchema.pre('save', function(next) {
-    if (this.isModified('text')) {
-        const crypto = require('crypto');
+    if (this.isModified('text') && this.text) {
         this.textHash = crypto.createHash('sha256').update(this.text).digest('hex');
     }
     this.updatedAt = new Date();
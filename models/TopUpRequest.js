@@ -67,6 +67,8 @@ const topUpRequestSchema = new mongoose.Schema({
     amount: Number,
     description: String,
     date: Date,
+    // Where the transfer was reported from: 'casso', 'statement' or 'queue'
+    source: String,
     matched: {
       type: Boolean,
       default: false
@@ -81,6 +83,10 @@ topUpRequestSchema.index({ user: 1, createdAt: -1 });
 topUpRequestSchema.index({ status: 1 });
 topUpRequestSchema.index({ paymentMethod: 1 });
 topUpRequestSchema.index({ 'details.transferContent': 1 });
+topUpRequestSchema.index({ 'details.transactionId': 1 });
+topUpRequestSchema.index({ 'details.orderId': 1 });
+topUpRequestSchema.index({ 'bankTransactions.transactionId': 1 });
+topUpRequestSchema.index({ 'bankTransactions.amount': 1, 'bankTransactions.date': 1 });
 topUpRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 const TopUpRequest = mongoose.model('TopUpRequest', topUpRequestSchema);
@@ -62,6 +62,21 @@ const userSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Where translator payouts are sent; never returned unless explicitly selected
+  payoutAccount: {
+    type: {
+      method: {
+        type: String,
+        enum: ['bank', 'momo', 'zalopay']
+      },
+      bankName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      accountName: { type: String, trim: true },
+      updatedAt: { type: Date }
+    },
+    default: undefined,
+    select: false
+  },
   isBanned: {
     type: Boolean,
     default: false
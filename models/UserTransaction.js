@@ -17,7 +17,7 @@ const userTransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['topup', 'admin_topup', 'request', 'contribution', 'refund', 'gift', 'rental', 'other'],
+    enum: ['topup', 'admin_topup', 'request', 'contribution', 'refund', 'gift', 'rental', 'purchase', 'tts', 'other'],
     required: true,
     index: true
   },
@@ -35,7 +35,7 @@ const userTransactionSchema = new mongoose.Schema({
   },
   sourceModel: {
     type: String,
-    enum: ['TopUpRequest', 'TopUpAdmin', 'Request', 'Contribution', 'Novel', 'GiftTransaction', 'ModuleRental', null]
+    enum: ['TopUpRequest', 'TopUpAdmin', 'Request', 'Contribution', 'Novel', 'GiftTransaction', 'ModuleRental', 'ContentPurchase', 'RefundRequest', 'TTSUsage', null]
   },
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
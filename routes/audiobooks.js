@@ -0,0 +1,202 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth, optionalAuth } from '../middleware/auth.js';
+import AudiobookJob from '../models/AudiobookJob.js';
+import ChapterAudio from '../models/ChapterAudio.js';
+import Novel from '../models/Novel.js';
+import {
+  enqueueAudiobookJob,
+  retryAudiobookJob,
+  processAudiobookQueue,
+  canManageAudiobooks
+} from '../services/audiobookService.js';
+import { loadChapterForAccess, resolveChapterAccess } from '../services/chapterAccessService.js';
+
+const router = express.Router();
+
+/**
+ * Send an audiobook service error with its status, or a generic 500
+ */
+const handleAudiobookError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Load a job and check that the user may manage its novel
+ * @returns {Promise<Object|null>} The job, or null after sending an error response
+ */
+const loadManageableJob = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+    res.status(400).json({ message: 'ID tác vụ không hợp lệ' });
+    return null;
+  }
+
+  const job = await AudiobookJob.findById(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ message: 'Tác vụ không tồn tại' });
+    return null;
+  }
+
+  const novel = await Novel.findById(job.novel).select('active').lean();
+  if (!novel || !canManageAudiobooks(req.user, novel)) {
+    res.status(403).json({ message: 'Truy cập bị từ chối' });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * Queue audio generation for a chapter or a whole module
+ * @route POST /api/audiobooks/jobs
+ */
+router.post('/jobs', auth, async (req, res) => {
+  try {
+    const { novelId, moduleId, chapterId, voice, force } = req.body;
+    const { job, created } = await enqueueAudiobookJob({ novelId, moduleId, chapterId, voice, force }, req.user);
+
+    // Start right away instead of waiting for the next scheduler tick
+    if (created) {
+      processAudiobookQueue().catch(error => console.error('Audiobook queue error:', error));
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Đã thêm vào hàng đợi tạo audio' : 'Tác vụ này đã có trong hàng đợi',
+      job
+    });
+  } catch (error) {
+    handleAudiobookError(res, error, 'Lỗi khi tạo tác vụ audio');
+  }
+});
+
+/**
+ * Get the audiobook jobs of a novel
+ * @route GET /api/audiobooks/jobs?novelId=
+ */
+router.get('/jobs', auth, async (req, res) => {
+  try {
+    const { novelId, status } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(novelId)) {
+      return res.status(400).json({ message: 'ID truyện không hợp lệ' });
+    }
+
+    const novel = await Novel.findById(novelId).select('active').lean();
+    if (!novel) {
+      return res.status(404).json({ message: 'Truyện không tồn tại' });
+    }
+    if (!canManageAudiobooks(req.user, novel)) {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+
+    const jobs = await AudiobookJob.find({ novel: novelId, ...(status && { status }) })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('module', 'title')
+      .populate('requestedBy', 'username displayName')
+      .lean();
+
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Failed to fetch audiobook jobs:', error);
+    res.status(500).json({ message: 'Lỗi khi tải danh sách tác vụ audio' });
+  }
+});
+
+/**
+ * Get one audiobook job with per-chapter progress
+ * @route GET /api/audiobooks/jobs/:jobId
+ */
+router.get('/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const job = await loadManageableJob(req, res);
+    if (!job) return;
+
+    await job.populate('chapters.audio', 'audioUrl timingsUrl status duration');
+    res.json(job);
+  } catch (error) {
+    console.error('Failed to fetch audiobook job:', error);
+    res.status(500).json({ message: 'Lỗi khi tải tác vụ audio' });
+  }
+});
+
+/**
+ * Retry the failed chapters of a finished job
+ * @route POST /api/audiobooks/jobs/:jobId/retry
+ */
+router.post('/jobs/:jobId/retry', auth, async (req, res) => {
+  try {
+    const job = await loadManageableJob(req, res);
+    if (!job) return;
+
+    const retried = await retryAudiobookJob(job._id);
+    processAudiobookQueue().catch(error => console.error('Audiobook queue error:', error));
+
+    res.json({ message: 'Đã đưa các chương lỗi vào hàng đợi', job: retried });
+  } catch (error) {
+    handleAudiobookError(res, error, 'Lỗi khi chạy lại tác vụ audio');
+  }
+});
+
+/**
+ * Cancel a queued or running job
+ * Chapters already narrated keep their audio.
+ * @route DELETE /api/audiobooks/jobs/:jobId
+ */
+router.delete('/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const job = await loadManageableJob(req, res);
+    if (!job) return;
+
+    const cancelled = await AudiobookJob.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'cancelled', finishedAt: new Date() }, $unset: { lockedAt: 1 } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(400).json({ message: 'Tác vụ đã kết thúc' });
+    }
+
+    res.json({ message: 'Đã hủy tác vụ audio', job: cancelled });
+  } catch (error) {
+    console.error('Failed to cancel audiobook job:', error);
+    res.status(500).json({ message: 'Lỗi khi hủy tác vụ audio' });
+  }
+});
+
+/**
+ * Get the pre-generated audio of a chapter for readers who can read it
+ * @route GET /api/audiobooks/chapters/:chapterId?voice=nu
+ */
+router.get('/chapters/:chapterId', optionalAuth, async (req, res) => {
+  try {
+    const chapter = await loadChapterForAccess(req.params.chapterId);
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    const access = await resolveChapterAccess(req.user, chapter);
+    if (!access.hasAccess) {
+      return res.status(403).json({ message: access.accessMessage, accessReason: access.reason });
+    }
+
+    const query = { chapter: chapter._id, status: 'ready' };
+    if (req.query.voice) {
+      query.voice = req.query.voice;
+    }
+
+    const audios = await ChapterAudio.find(query)
+      .select('voice audioUrl timingsUrl duration durationMs characterCount generatedAt')
+      .lean();
+
+    res.json({ chapterId: chapter._id, audios });
+  } catch (error) {
+    console.error('Failed to fetch chapter audio:', error);
+    res.status(500).json({ message: 'Lỗi khi tải audio của chương' });
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import admin from '../middleware/admin.js';
+import { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditLog.js';
+import { findAuditLogs, writeAuditLogCsv } from '../services/auditLogService.js';
+
+const router = express.Router();
+
+/**
+ * Send an audit log service error with its status, or a generic 500
+ */
+const handleAuditLogError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Read the filters shared by the list and the export
+ */
+const readFilters = (query) => {
+  const { actor, action, targetType, targetId, from, to } = query;
+  return { actor, action, targetType, targetId, from, to };
+};
+
+/**
+ * Actions and target types that can be filtered on (admin only)
+ * @route GET /api/audit-logs/options
+ */
+router.get('/options', [auth, admin], (req, res) => {
+  res.json({ actions: AUDIT_ACTIONS, targetTypes: AUDIT_TARGET_TYPES });
+});
+
+/**
+ * Export matching entries as CSV, newest first (admin only)
+ * @route GET /api/audit-logs/export?actor=&action=&targetType=&targetId=&from=&to=
+ */
+router.get('/export', [auth, admin], async (req, res) => {
+  try {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    await writeAuditLogCsv(readFilters(req.query), res);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Audit log export failed mid-stream:', error);
+      return res.end();
+    }
+    res.removeHeader('Content-Disposition');
+    handleAuditLogError(res, error, 'Lỗi khi xuất nhật ký quản trị');
+  }
+});
+
+/**
+ * List entries, newest first (admin only)
+ * @route GET /api/audit-logs?actor=&action=&targetType=&targetId=&from=&to=&limit=50&offset=0
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+    const { entries, total } = await findAuditLogs(readFilters(req.query), { limit, offset });
+    res.json({ entries, total, limit, offset });
+  } catch (error) {
+    handleAuditLogError(res, error, 'Lỗi khi tải nhật ký quản trị');
+  }
+});
+
+export default router;
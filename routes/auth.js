@@ -341,7 +341,7 @@ router.post('/logout', auth, async (req, res) => {
       await user.save();
       
       // Clear all user caches after logout
-      clearAllUserCaches(user);
+      await clearAllUserCaches(user);
     }
 
     res.cookie('token', '', {
@@ -628,7 +628,7 @@ router.post('/reset-password/:token', async (req, res) => {
     await user.save();
 
     // Clear all user caches after password reset
-    clearAllUserCaches(user);
+    await clearAllUserCaches(user);
 
     res.json({ message: 'Password reset successful' });
   } catch (error) {
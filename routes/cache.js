@@ -0,0 +1,22 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import admin from '../middleware/admin.js';
+import { getCacheStats } from '../utils/cacheStore.js';
+
+const router = express.Router();
+
+/**
+ * Cache backend, hit/miss counters per namespace and invalidation counts (admin only)
+ * Counters are per instance and reset on restart.
+ * @route GET /api/cache/stats
+ */
+router.get('/stats', [auth, admin], async (req, res) => {
+  try {
+    res.json(await getCacheStats());
+  } catch (error) {
+    console.error('Error getting cache stats:', error);
+    res.status(500).json({ message: 'Lỗi khi tải thống kê bộ nhớ đệm' });
+  }
+});
+
+export default router;
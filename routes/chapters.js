@@ -22,21 +22,44 @@
 import express from 'express';
 import Chapter from '../models/Chapter.js';
 import { auth, optionalAuth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import admin from '../middleware/admin.js';
 import Module from '../models/Module.js';
 import Novel from '../models/Novel.js';
 import mongoose from 'mongoose';
 import UserChapterInteraction from '../models/UserChapterInteraction.js';
-import ModuleRental from '../models/ModuleRental.js';
-import { calculateAndUpdateModuleRentBalance, conditionallyRecalculateRentBalance } from './modules.js';
+import ContentPurchase from '../models/ContentPurchase.js';
+import ContributionHistory from '../models/ContributionHistory.js';
+import User from '../models/User.js';
+import { calculateAndUpdateModuleRentBalance, conditionallyRecalculateRentBalance } from '../services/moduleRentService.js';
 
 // Import the novel cache clearing function
 import { clearNovelCaches, clearChapterCaches, notifyAllClients } from '../utils/cacheUtils.js';
 import { createNewChapterNotifications } from '../services/notificationService.js';
+import { resolveChapterAccess, canUserSeeDraftChapters, hasChapterRole } from '../services/chapterAccessService.js';
 import { populateStaffNames } from '../utils/populateStaffNames.js';
-import { getCachedUserByUsername } from '../utils/userCache.js';
-import { initializeCacheReferences } from '../utils/chapterCacheUtils.js';
+import { getCachedUserByUsername, clearUserCache } from '../utils/userCache.js';
+import { clearContributionHistoryCache } from './novels.js';
+import { createPurchaseTransactions } from './userTransaction.js';
+import { postUserToNovelPayment } from '../services/ledgerService.js';
+import { chapterCommentsCache, chapterCommentsTag } from '../utils/chapterCacheUtils.js';
+import { createCache, invalidateCacheTags, chapterTag, novelTag, userTag, ALL_CHAPTERS_TAG, ALL_USERS_TAG } from '../utils/cacheStore.js';
 import { createUniqueSlug } from '../utils/slugUtils.js';
+import { parsePublishSchedule, getUpcomingReleases, SCHEDULABLE_CHAPTER_MODES } from '../services/scheduledPublishingService.js';
+import { invalidateChapterAudio } from '../services/audiobookService.js';
+import { buildInitialWorkflow, checkPublishAllowed, notifyNovelStaff } from '../services/chapterWorkflowService.js';
+import { queueSearchIndexUpdate } from '../services/searchService.js';
+import { recalculateNovelWordCount } from '../services/wordCountService.js';
+import { calculateWordCount } from '../utils/wordCount.js';
+import ChapterRevision from '../models/ChapterRevision.js';
+import {
+  hasRevisionChanges,
+  recordChapterRevision,
+  ensureBaselineRevision,
+  listChapterRevisions,
+  getChapterRevision,
+  diffChapterRevisions
+} from '../services/chapterRevisionService.js';
 
 const router = express.Router();
 
@@ -50,7 +73,7 @@ router.post('/clear-user-cache/:userId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
     
-    const clearedCount = clearUserCaches(userId);
+    const clearedCount = await clearUserCaches(userId);
     
     res.json({ 
       message: 'User caches cleared successfully',
@@ -62,96 +85,41 @@ router.post('/clear-user-cache/:userId', auth, async (req, res) => {
   }
 });
 
-// Simple in-memory cache for slug lookups to avoid repeated DB queries
-const slugCache = new Map();
-const CACHE_TTL = 1000 * 60 * 10; // 10 minutes
-const MAX_CACHE_SIZE = 1000;
-
-// Query deduplication cache to prevent multiple identical requests
-const pendingQueries = new Map();
-
-// Result cache for storing query results
-const resultCache = new Map();
-const RESULT_CACHE_TTL = 1000 * 45; // 45 seconds for main chapter queries
-
-// User lookup cache to prevent duplicate user queries
-const userCache = new Map();
-const USER_CACHE_TTL = 1000 * 60 * 10; // 10 minutes for user data
-
-// Comments cache to prevent duplicate comment queries
-const commentsCache = new Map();
-const COMMENTS_CACHE_TTL = 1000 * 60 * 2; // 2 minutes
-const MAX_COMMENTS_CACHE_SIZE = 500;
-
-// Chapter interaction cache for view tracking
-const chapterInteractionCache = new Map();
-const INTERACTION_CACHE_TTL = 1000 * 60 * 5; // 5 minutes
-
-// Username lookup cache for frequent username queries
-const usernameCache = new Map();
-const USERNAME_CACHE_TTL = 1000 * 60 * 10; // 10 minutes
-
-// User permission cache for frequent permission checks
-const userPermissionCache = new Map();
-const USER_PERMISSION_CACHE_TTL = 1000 * 60 * 15; // 15 minutes for permission data
-
-// Initialize cache references for shared utilities
-initializeCacheReferences({
-  commentsCache,
-  userCache,
-  chapterInteractionCache,
-  usernameCache,
-  userPermissionCache
-});
+// Slug -> chapter ID lookups
+const slugCache = createCache('chapter-slugs', { ttl: 60 * 10 }); // 10 minutes
+
+// Chapter query results per reader; concurrent identical requests share one query
+const RESULT_CACHE_TTL = 45; // seconds
+const resultCache = createCache('chapter-queries', { ttl: RESULT_CACHE_TTL });
+
+// Staff shown on chapters
+const staffUserCache = createCache('chapter-staff-users', { ttl: 60 * 10 }); // 10 minutes
+
+// Readers' interaction with a chapter, for view tracking
+const chapterInteractionCache = createCache('chapter-reader-interactions', { ttl: 60 * 5 }); // 5 minutes
 
-// Optimized user lookup with caching and deduplication
+// Optimized user lookup with caching
 const getCachedUsers = async (userIds) => {
   if (!userIds || userIds.length === 0) return [];
   
   // Normalize user IDs to strings and remove duplicates
   const normalizedIds = [...new Set(userIds.map(id => typeof id === 'object' ? id.toString() : id))];
   
-  const results = [];
-  const uncachedIds = [];
-  
-  // Check cache first
-  for (const userId of normalizedIds) {
-    const cached = userCache.get(userId);
-    if (cached && Date.now() - cached.timestamp < USER_CACHE_TTL) {
-      results.push(cached.data);
-    } else {
-      uncachedIds.push(userId);
-    }
-  }
+  const cached = await Promise.all(normalizedIds.map(userId => staffUserCache.get(userId)));
+  const results = cached.filter(Boolean);
+  const uncachedIds = normalizedIds.filter((userId, index) => !cached[index]);
   
-  // Deduplicate database queries using the same pattern as chapter queries
   if (uncachedIds.length > 0) {
-    const cacheKey = `users:${uncachedIds.sort().join(',')}`;
-    const freshUsers = await dedupQuery(cacheKey, async () => {
-      const User = mongoose.model('User');
-      return await User.find({
-        _id: { $in: uncachedIds.map(id => mongoose.Types.ObjectId.createFromHexString(id)) }
-      }).select('displayName username userNumber avatar role').lean();
-    });
+    const User = mongoose.model('User');
+    const freshUsers = await User.find({
+      _id: { $in: uncachedIds.map(id => mongoose.Types.ObjectId.createFromHexString(id)) }
+    }).select('displayName username userNumber avatar role').lean();
     
     // Cache the fresh results
-    for (const user of freshUsers) {
-      userCache.set(user._id.toString(), {
-        data: user,
-        timestamp: Date.now()
-      });
-      results.push(user);
-    }
-    
-    // Clean up cache periodically
-    if (userCache.size > 1000) {
-      const cutoff = Date.now() - (USER_CACHE_TTL * 2);
-      for (const [key, value] of userCache.entries()) {
-        if (value.timestamp < cutoff) {
-          userCache.delete(key);
-        }
-      }
-    }
+    await Promise.all(freshUsers.map(user => staffUserCache.set(user._id.toString(), user, {
+      tags: [userTag(user._id)]
+    })));
+    results.push(...freshUsers);
   }
   
   return results;
@@ -159,12 +127,12 @@ const getCachedUsers = async (userIds) => {
 
 // Optimized comments lookup with caching
 const getCachedComments = async (chapterId, novelId, userId = null, page = 1, limit = 10) => {
-  const cacheKey = `comments_${chapterId}_${novelId}_${userId || 'anon'}_${page}_${limit}`;
+  const cacheKey = `${chapterId}_${novelId}_${userId || 'anon'}_${page}_${limit}`;
   
   // Check cache first
-  const cached = commentsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < COMMENTS_CACHE_TTL) {
-    return cached.data;
+  const cached = await chapterCommentsCache.get(cacheKey);
+  if (cached) {
+    return cached;
   }
   
   try {
@@ -267,7 +235,7 @@ const getCachedComments = async (chapterId, novelId, userId = null, page = 1, li
         hasMore: false
       };
       
-      setCachedComments(cacheKey, result);
+      await setCachedComments(cacheKey, chapterId, userId, result);
       return result;
     }
 
@@ -378,7 +346,7 @@ const getCachedComments = async (chapterId, novelId, userId = null, page = 1, li
     };
     
     // Cache the result
-    setCachedComments(cacheKey, result);
+    await setCachedComments(cacheKey, chapterId, userId, result);
     
     return result;
     
@@ -394,42 +362,22 @@ const getCachedComments = async (chapterId, novelId, userId = null, page = 1, li
   }
 };
 
-const setCachedComments = (cacheKey, data) => {
-  // Remove oldest entries if cache is too large
-  if (commentsCache.size >= MAX_COMMENTS_CACHE_SIZE) {
-    const oldestKey = commentsCache.keys().next().value;
-    commentsCache.delete(oldestKey);
-  }
-  
-  commentsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
+// Entries are per reader, since replies carry the reader's likes
+const setCachedComments = (cacheKey, chapterId, userId, data) => {
+  return chapterCommentsCache.set(cacheKey, data, {
+    tags: [chapterCommentsTag(chapterId), userId && userTag(userId)]
   });
 };
 
-// Clear comments cache for a specific chapter
-const clearCommentsCache = (chapterId, novelId = null) => {
-  const keysToDelete = [];
-  for (const [key, value] of commentsCache.entries()) {
-    // Clear all cache entries that contain this chapterId
-    if (key.includes(`comments_${chapterId}_`) || 
-        (novelId && key.includes(`comments_${chapterId}_${novelId}_`))) {
-      keysToDelete.push(key);
-    }
-  }
-  keysToDelete.forEach(key => commentsCache.delete(key));
-  
-};
-
 // Cache chapter interaction to reduce duplicate queries
 const getCachedChapterInteraction = async (userId, chapterId) => {
   if (!userId || !chapterId) return null;
   
-  const cacheKey = `interaction_${userId}_${chapterId}`;
-  const cached = chapterInteractionCache.get(cacheKey);
+  const cacheKey = `${userId}:${chapterId}`;
+  const cached = await chapterInteractionCache.get(cacheKey);
   
-  if (cached && Date.now() - cached.timestamp < INTERACTION_CACHE_TTL) {
-    return cached.data;
+  if (cached !== undefined) {
+    return cached;
   }
   
   try {
@@ -440,9 +388,8 @@ const getCachedChapterInteraction = async (userId, chapterId) => {
     }).lean();
     
     // Cache the result (including null)
-    chapterInteractionCache.set(cacheKey, {
-      data: interaction,
-      timestamp: Date.now()
+    await chapterInteractionCache.set(cacheKey, interaction, {
+      tags: [userTag(userId), chapterTag(chapterId)]
     });
     
     return interaction;
@@ -454,8 +401,7 @@ const getCachedChapterInteraction = async (userId, chapterId) => {
 
 // Clear interaction cache for a user-chapter pair
 const clearChapterInteractionCache = (userId, chapterId) => {
-  const cacheKey = `interaction_${userId}_${chapterId}`;
-  chapterInteractionCache.delete(cacheKey);
+  return chapterInteractionCache.del(`${userId}:${chapterId}`);
 };
 
 // Use global user cache for permission checks instead of local cache
@@ -472,234 +418,30 @@ const getCachedUserPermissions = async (username) => {
   }
 };
 
+
 /**
- * Server-side word counting function that replicates TinyMCE's algorithm
- * @param {string} htmlContent - HTML content to count words in
- * @returns {number} Word count using TinyMCE-compatible algorithm
+ * Run a query once per key and cache its result
+ * @param {string} key - Cache key
+ * @param {Function} queryFn - async () => result
+ * @param {Object} options - { ttl (seconds), tags (array or result => array) }
  */
-const calculateWordCount = (htmlContent) => {
-  if (!htmlContent || typeof htmlContent !== 'string') return 0;
-  
-  // Step 1: Extract text from HTML exactly like TinyMCE
-  const tempDiv = { innerHTML: htmlContent };
-  // Simple HTML tag removal for server-side processing
-  let text = htmlContent.replace(/<[^>]*>/g, ' ');
-  
-  if (!text.trim()) return 0;
-  
-  // Step 2: Handle HTML entities
-  text = text.replace(/&nbsp;/g, ' ')
-             .replace(/&amp;/g, '&')
-             .replace(/&lt;/g, '<')
-             .replace(/&gt;/g, '>')
-             .replace(/&quot;/g, '"')
-             .replace(/&#39;/g, "'")
-             .replace(/&apos;/g, "'");
-  
-  // Step 3: Use TinyMCE's word counting approach
-  const wordRegex = /[\w\u00C0-\u024F\u1E00-\u1EFF\u0100-\u017F\u0180-\u024F\u0250-\u02AF\u1D00-\u1D7F\u1D80-\u1DBF]+/g;
-  
-  // Step 4: Find all word matches
-  const matches = text.match(wordRegex);
-  
-  if (!matches) return 0;
-  
-  // Step 5: Filter matches like TinyMCE does
-  const filteredMatches = matches.filter(match => {
-    // Filter out single standalone digits
-    if (match.length === 1 && /^\d$/.test(match)) {
-      return false;
-    }
-    
-    // Filter out single standalone letters that are likely not words
-    if (match.length === 1 && /^[a-zA-Z]$/.test(match)) {
-      return false;
-    }
-    
-    return true;
-  });
-  
-  return filteredMatches.length;
-};
-
-// Helper function to manage cache
-const getCachedSlug = (slug) => {
-  const cached = slugCache.get(slug);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
-
-const setCachedSlug = (slug, data) => {
-  // Remove oldest entries if cache is too large
-  if (slugCache.size >= MAX_CACHE_SIZE) {
-    const oldestKey = slugCache.keys().next().value;
-    slugCache.delete(oldestKey);
-  }
-  
-  slugCache.set(slug, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const dedupQuery = (key, queryFn, options = {}) => resultCache.wrap(key, queryFn, options);
 
-// Query deduplication and caching helper
-const dedupQuery = async (key, queryFn, ttl = RESULT_CACHE_TTL) => {
-  // Check if we have a cached result first
-  const cached = resultCache.get(key);
-  if (cached && Date.now() - cached.timestamp < ttl) {
-    return cached.data;
-  }
-  
-  // If query is already pending, wait for it
-  if (pendingQueries.has(key)) {
-    return await pendingQueries.get(key);
-  }
-  
-  // Start new query
-  const queryPromise = queryFn();
-  pendingQueries.set(key, queryPromise);
-  
-  try {
-    const result = await queryPromise;
-    
-    // Cache the result
-    resultCache.set(key, {
-      data: result,
-      timestamp: Date.now()
-    });
-    
-    // Clean up old cache entries periodically
-    if (resultCache.size > 100) {
-      const cutoff = Date.now() - (ttl * 2);
-      for (const [cacheKey, value] of resultCache.entries()) {
-        if (value.timestamp < cutoff) {
-          resultCache.delete(cacheKey);
-        }
-      }
-    }
-    
-    return result;
-  } finally {
-    // Clean up pending query
-    pendingQueries.delete(key);
-  }
-};
+/**
+ * Tags of a chapter query result: the chapter, its novel and the reader
+ * The novel tag covers the sibling chapters and module listed with it.
+ */
+const chapterQueryTags = (chapterId, userId) => (chapter) => [
+  chapterTag(chapterId),
+  chapter?.novelId && novelTag(chapter.novelId),
+  userId && userId !== 'anonymous' && userTag(userId)
+];
 
 // Helper function to clear user-specific caches
-const clearUserCaches = (userId) => {
-  let clearedCount = 0;
-  
-  // Clear pending queries for this user AND anonymous queries (critical for login transition)
-  for (const [key, promise] of pendingQueries.entries()) {
-    if (key.includes(`:user:${userId}`) || key.includes(`:user:anonymous`)) {
-      pendingQueries.delete(key);
-      clearedCount++;
-    }
-  }
-  
-  // Clear result cache for this user
-  for (const [key, value] of resultCache.entries()) {
-    if (key.includes(`:user:${userId}`) || key.includes(`:user:anonymous`)) {
-      resultCache.delete(key);
-      clearedCount++;
-    }
-  }
-  
-  // Clear user cache
-  if (userCache.has(userId)) {
-    userCache.delete(userId);
-    clearedCount++;
-  }
-  
-  // Clear username cache (in case user changes username)
-  for (const [key, value] of usernameCache.entries()) {
-    if (value.data && value.data._id && value.data._id.toString() === userId) {
-      usernameCache.delete(key);
-      clearedCount++;
-    }
-  }
-  
-  // Clear user permission cache for this user
-  for (const [key, value] of userPermissionCache.entries()) {
-    if (key.includes(`user:${userId}:`)) {
-      userPermissionCache.delete(key);
-      clearedCount++;
-    }
-  }
-  
-  // Clear comments cache for this user
-  const commentKeysToDelete = [];
-  for (const [key, value] of commentsCache.entries()) {
-    if (key.includes(`_${userId}_`) || key.includes(`_anon_`)) {
-      commentKeysToDelete.push(key);
-    }
-  }
-  commentKeysToDelete.forEach(key => {
-    commentsCache.delete(key);
-    clearedCount++;
-  });
-  
-  // Clear interaction cache for this user
-  const interactionKeysToDelete = [];
-  for (const [key, value] of chapterInteractionCache.entries()) {
-    if (key.includes(`interaction_${userId}_`)) {
-      interactionKeysToDelete.push(key);
-    }
-  }
-  interactionKeysToDelete.forEach(key => {
-    chapterInteractionCache.delete(key);
-    clearedCount++;
-  });
-  
-  return clearedCount;
-};
+// Chapter results, comment pages and interactions of the user all carry its tag
+const clearUserCaches = (userId) => invalidateCacheTags(userTag(userId));
 
 // Comprehensive cache clearing for chapter operations
-/**
- * Check if a user is assigned to a specific chapter as translator, editor, or proofreader
- * @param {Object} chapter - Chapter object with staff assignments
- * @param {Object} user - User object with role and _id
- * @returns {boolean} - True if user is assigned to this specific chapter
- */
-const hasChapterRole = (chapter, user) => {
-  if (!user || !chapter) return false;
-  
-  // Check all possible user identifiers against chapter staff assignments
-  const userIdentifiers = [
-    user._id?.toString(),
-    user.id?.toString(), 
-    user.username,
-    user.displayName,
-    user.userNumber?.toString()
-  ].filter(Boolean);
-  
-  // Check if user is assigned as translator, editor, or proofreader on this chapter
-  const staffFields = ['translator', 'editor', 'proofreader'];
-  
-  return staffFields.some(field => {
-    const staffValue = chapter[field];
-    if (!staffValue) return false;
-    
-    // Handle case where staff value is an object (populated user)
-    if (typeof staffValue === 'object' && staffValue !== null) {
-      const staffIdentifiers = [
-        staffValue._id?.toString(),
-        staffValue.id?.toString(),
-        staffValue.username,
-        staffValue.displayName,
-        staffValue.userNumber?.toString()
-      ].filter(Boolean);
-      
-      return userIdentifiers.some(userId => staffIdentifiers.includes(userId));
-    }
-    
-    // Handle case where staff value is a primitive (user ID, username, etc.)
-    return userIdentifiers.includes(staffValue?.toString());
-  });
-};
-
 /**
  * Check if a user can edit a specific chapter
  * Admins, moderators, pj_users for the novel, and users assigned to the chapter can edit
@@ -730,75 +472,33 @@ const canEditChapter = (chapter, novel, user) => {
   return hasChapterRole(chapter, user);
 };
 
-const clearChapterRelatedCaches = (chapterId, novelId = null, userId = null) => {
-  let clearedCount = 0;
-  
-  // Clear chapter-specific caches
-  clearChapterCaches(chapterId);
-  
-  // Clear comments cache for this chapter
-  clearCommentsCache(chapterId, novelId);
-  
-  // Clear interaction cache if user specified
-  if (userId) {
-    clearChapterInteractionCache(userId, chapterId);
-  }
-  
-  // Clear relevant query deduplication cache
-  for (const [key, promise] of pendingQueries.entries()) {
-    if (key.includes(`chapter:${chapterId}`) || 
-        key.includes(`chapter_full_optimized:${chapterId}`) ||
-        (novelId && key.includes(`comments_${novelId}`))) {
-      pendingQueries.delete(key);
-      clearedCount++;
-    }
-  }
-  
-  // Clear result cache for this chapter
-  for (const [key, value] of resultCache.entries()) {
-    if (key.includes(`chapter:${chapterId}`) || 
-        key.includes(`chapter_full_optimized:${chapterId}`) ||
-        (novelId && key.includes(`comments_${novelId}`))) {
-      resultCache.delete(key);
-      clearedCount++;
-    }
-  }
+const clearChapterRelatedCaches = async (chapterId, novelId = null, userId = null) => {
+  // Chapter results, slugs and interactions are tagged with the chapter
+  await clearChapterCaches(chapterId, novelId);
   
+  // Comment pages of the chapter
+  await invalidateCacheTags(chapterCommentsTag(chapterId));
 };
 
 /**
- * Get appropriate access message for denied chapter access
- * @param {Object} chapterData - Chapter data with mode and module info
- * @param {Object} user - Current user object (can be null)
- * @returns {string} Access denial message
+ * Announce a chapter change to clients
+ * Draft chapters, and chapters of a draft module, only reach the novel's staff.
+ * @param {Object} chapter - Chapter with mode, moduleId and novelId
+ * @param {string} eventName - SSE event name
+ * @param {Object} data - Event payload
+ * @param {string} moduleMode - Mode of the chapter's module, when already loaded
  */
-const getAccessMessage = (chapterData, user) => {
-  if (!user) {
-    if (chapterData.mode === 'protected') {
-      return 'Vui lòng đăng nhập để đọc chương này.';
-    }
-    if (chapterData.mode === 'paid') {
-      return `Chương này yêu cầu thanh toán ${chapterData.chapterBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập.`;
-    }
-    if (chapterData.module?.mode === 'paid') {
-      return `Module này yêu cầu thanh toán ${chapterData.module.moduleBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập với giá ${chapterData.module.rentBalance || 0} 🌾.`;
+const announceChapterEvent = async (chapter, eventName, data, moduleMode = null) => {
+  try {
+    const mode = moduleMode ?? (await Module.findById(chapter.moduleId).select('mode').lean())?.mode;
+    if (chapter.mode === 'draft' || mode === 'draft') {
+      await notifyNovelStaff(chapter.novelId, eventName, data, chapter);
+    } else {
+      notifyAllClients(eventName, data);
     }
-    return 'Vui lòng đăng nhập để truy cập nội dung này.';
-  }
-
-  if (chapterData.mode === 'draft') {
-    return 'Chương này đang ở chế độ nháp và không khả dụng cho người dùng.';
-  }
-  
-  if (chapterData.mode === 'paid') {
-    return `Chương này yêu cầu thanh toán ${chapterData.chapterBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập.`;
-  }
-  
-  if (chapterData.module?.mode === 'paid') {
-    return `Module này yêu cầu thanh toán ${chapterData.module.moduleBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập với giá ${chapterData.module.rentBalance || 0} 🌾.`;
+  } catch (error) {
+    console.error(`Error announcing ${eventName}:`, error);
   }
-  
-  return 'Bạn không có quyền truy cập nội dung này.';
 };
 
 /**
@@ -854,7 +554,7 @@ router.get("/slug/:slug", async (req, res) => {
     const { slug } = req.params;
     
     // Check cache first
-    const cached = getCachedSlug(slug);
+    const cached = await slugCache.get(slug);
     if (cached) {
       return res.json(cached);
     }
@@ -966,7 +666,7 @@ router.get("/slug/:slug", async (req, res) => {
     
     if (result) {
       // Cache the result for future requests
-      setCachedSlug(slug, result);
+      await slugCache.set(slug, result, { tags: [chapterTag(result.id)] });
       return res.json(result);
     }
     
@@ -999,6 +699,34 @@ router.get('/novel/:novelId', async (req, res) => {
   }
 });
 
+/**
+ * Get a novel's upcoming scheduled chapter and module releases (novel staff only)
+ * Scheduled items are still drafts, so their titles are not public yet.
+ * @route GET /api/chapters/novel/:novelId/scheduled
+ */
+router.get('/novel/:novelId/scheduled', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.novelId)) {
+      return res.status(400).json({ message: 'Invalid novel ID format' });
+    }
+
+    const novel = await Novel.findById(req.params.novelId).select('active').lean();
+    if (!novel) {
+      return res.status(404).json({ message: 'Novel not found' });
+    }
+
+    if (!canUserSeeDraftChapters(req.user, novel)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const releases = await getUpcomingReleases(req.params.novelId);
+    res.json({ releases });
+  } catch (err) {
+    console.error('Error fetching scheduled releases:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
 // Get chapter count for a specific user
 router.get('/count/user/:userId', async (req, res) => {
   try {
@@ -1318,98 +1046,21 @@ router.get('/:id', optionalAuth, async (req, res) => {
         }
       ]);
       return chapter;
-    }, 1000 * 30); // Cache for 30 seconds - now with actual result caching!
+    }, { ttl: 30, tags: chapterQueryTags(req.params.id, userId) });
 
     if (!chapterData) {
       return res.status(404).json({ message: 'Chapter not found' });
     }
 
     // Check if user can access this chapter content
-    const user = req.user; // Will be undefined if not authenticated
-    let hasAccess = false;
-    let accessReason = '';
-
-    // Admin, moderator always have access
-    if (user && (user.role === 'admin' || user.role === 'moderator')) {
-      hasAccess = true;
-      accessReason = 'admin/moderator';
-    }
-    // PJ_user for their assigned novels
-    else if (user && user.role === 'pj_user' && chapterData.novel?.active?.pj_user) {
-      const isAuthorized = chapterData.novel.active.pj_user.includes(user._id.toString()) || 
-                          chapterData.novel.active.pj_user.includes(user.username);
-      if (isAuthorized) {
-        hasAccess = true;
-        accessReason = 'pj_user';
-      }
+    const user = req.user;
+    const access = await resolveChapterAccess(user, chapterData);
+    const hasAccess = access.hasAccess;
+    if (access.rentalInfo) {
+      chapterData.rentalInfo = access.rentalInfo;
     }
-    
-    // CRITICAL FIX: Check module-level access FIRST before individual chapter access
-    // If module is paid, user must have rental access regardless of individual chapter mode
-    if (!hasAccess && chapterData.module?.mode === 'paid') {
-      if (user && chapterData.moduleId) {
-        const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapterData.moduleId);
-        
-        if (activeRental && activeRental.isValid()) {
-          hasAccess = true;
-          accessReason = 'module-rental';
-          
-          // Add rental information to the response
-          chapterData.rentalInfo = {
-            hasActiveRental: true,
-            endTime: activeRental.endTime,
-            timeRemaining: Math.max(0, activeRental.endTime - new Date())
-          };
-        }
-      }
-      // If module is paid and user doesn't have rental access, deny access regardless of chapter mode
-      // This prevents published chapters in paid modules from being accessible without payment
-    }
-    
-    // Check mode-based access for regular users ONLY if module is not paid OR user has module access
-    if (!hasAccess && chapterData.module?.mode !== 'paid') {
-      switch (chapterData.mode) {
-        case 'published':
-          hasAccess = true;
-          accessReason = 'published';
-          break;
-        case 'protected':
-          if (user) {
-            hasAccess = true;
-            accessReason = 'protected-authenticated';
-          }
-          break;
-        case 'draft':
-          // Draft is accessible to admin/mod/assigned pj_user (already checked above)
-          // Also check if user has chapter-specific roles
-          if (user) {
-            const userCanSeeDraft = canUserSeeDraftChapters(user, chapterData.novel, chapterData);
-            if (userCanSeeDraft) {
-              hasAccess = true;
-              accessReason = 'draft-staff-access';
-            }
-          }
-          break;
-        case 'paid':
-          // Individual paid chapters in non-paid modules
-          // Check if user has active rental for this module
-          if (user && chapterData.moduleId) {
-            const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapterData.moduleId);
-            
-            if (activeRental && activeRental.isValid()) {
-              hasAccess = true;
-              accessReason = 'rental';
-              
-              // Add rental information to the response
-              chapterData.rentalInfo = {
-                hasActiveRental: true,
-                endTime: activeRental.endTime,
-                timeRemaining: Math.max(0, activeRental.endTime - new Date())
-              };
-            }
-          }
-          break;
-      }
+    if (access.purchaseInfo) {
+      chapterData.purchaseInfo = access.purchaseInfo;
     }
 
 
@@ -1426,7 +1077,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
         chapter: {
           ...chapterWithoutContent,
           accessDenied: true,
-          accessMessage: getAccessMessage(chapterData, user)
+          accessMessage: access.accessMessage
         }
       };
       
@@ -1456,7 +1107,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
           } else {
             // Check if last view was more than 4 hours ago
             const fourHours = 4 * 60 * 60 * 1000; // 4 hours in milliseconds
-            const timeSinceLastView = Date.now() - existingInteraction.lastReadAt.getTime();
+            const timeSinceLastView = Date.now() - new Date(existingInteraction.lastReadAt).getTime();
             shouldIncrementView = timeSinceLastView > fourHours;
           }
           
@@ -1485,7 +1136,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
             );
             
             // Clear the interaction cache since we just updated it
-            clearChapterInteractionCache(req.user._id.toString(), req.params.id);
+            await clearChapterInteractionCache(req.user._id.toString(), req.params.id);
           }
         } else {
           // For anonymous users, implement server-side rate limiting using IP address
@@ -1534,7 +1185,169 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
-// Create a new chapter (admin, moderator, or pj_user managing the novel)
+/**
+ * Permanently purchase a paid chapter with the user's own balance
+ * @route POST /api/chapters/:id/purchase
+ */
+router.post('/:id/purchase', auth, idempotency, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid chapter ID format' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const chapterId = req.params.id;
+    const userId = req.user._id;
+
+    const chapter = await Chapter.findById(chapterId)
+      .select('title mode chapterBalance moduleId novelId')
+      .session(session);
+
+    if (!chapter) {
+      return res.status(404).json({ message: 'Chapter not found' });
+    }
+
+    // Only individually paid chapters can be bought
+    if (chapter.mode !== 'paid' || !chapter.chapterBalance || chapter.chapterBalance <= 0) {
+      return res.status(400).json({ message: 'Chương này không cần mua' });
+    }
+
+    const module = await Module.findById(chapter.moduleId)
+      .select('title mode')
+      .session(session);
+
+    // Chapters inside a paid module are gated by the module itself
+    if (module?.mode === 'paid') {
+      return res.status(400).json({ message: 'Chương này thuộc tập trả phí, vui lòng mua cả tập' });
+    }
+
+    // Check if user already owns this chapter (directly or through its module)
+    const existingPurchase = await ContentPurchase.findPurchaseForUserChapter(userId, chapter._id, chapter.moduleId)
+      .session(session);
+    if (existingPurchase) {
+      return res.status(400).json({ message: 'Bạn đã mua chương này rồi' });
+    }
+
+    // Get user and check balance
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.balance < chapter.chapterBalance) {
+      return res.status(400).json({ 
+        message: `Số dư không đủ. Cần ${chapter.chapterBalance} 🌾, bạn có ${user.balance} 🌾` 
+      });
+    }
+
+    const novel = await Novel.findById(chapter.novelId).select('_id').session(session);
+    if (!novel) {
+      throw new Error('Novel not found');
+    }
+
+    const purchase = new ContentPurchase({
+      userId: userId,
+      contentType: 'chapter',
+      chapterId: chapter._id,
+      moduleId: chapter.moduleId,
+      novelId: novel._id,
+      amountPaid: chapter.chapterBalance
+    });
+
+    // Move the price from the user to the novel balance and budget
+    const { userBalanceAfter, novelBalanceAfter, novelBudgetAfter } = await postUserToNovelPayment({
+      userId,
+      novelId: novel._id,
+      amount: chapter.chapterBalance,
+      type: 'purchase',
+      description: `Mua vĩnh viễn ${chapter.title}`,
+      sourceId: purchase._id,
+      sourceModel: 'ContentPurchase',
+      performedBy: userId
+    }, session);
+
+    // Create contribution history record
+    const contributionHistory = new ContributionHistory({
+      novelId: novel._id,
+      userId: userId,
+      amount: chapter.chapterBalance,
+      note: `Mua vĩnh viễn ${chapter.title}`,
+      budgetAfter: novelBudgetAfter,
+      balanceAfter: novelBalanceAfter,
+      type: 'user'
+    });
+    await contributionHistory.save({ session });
+
+    purchase.contributionHistoryId = contributionHistory._id;
+    await purchase.save({ session });
+
+    // Create both user and novel transaction records for the purchase
+    await createPurchaseTransactions({
+      userId: userId,
+      novelId: novel._id,
+      contentType: 'chapter',
+      contentTitle: chapter.title,
+      purchaseAmount: chapter.chapterBalance,
+      novelBalanceAfter,
+      purchaseId: purchase._id,
+      username: user.displayName || user.username
+    }, session);
+
+    await session.commitTransaction();
+
+    // Clear caches affected by the balance changes
+    await clearUserCache(userId, user.username);
+    await clearChapterRelatedCaches(chapterId, novel._id.toString(), userId.toString());
+    await clearNovelCaches(novel._id);
+    await clearContributionHistoryCache(novel._id);
+
+    // Check for auto-unlock since the purchase increases novelBudget
+    try {
+      const { checkAndUnlockContent } = await import('./novels.js');
+      await checkAndUnlockContent(novel._id);
+    } catch (unlockError) {
+      console.error('Error checking auto-unlock after chapter purchase:', unlockError);
+      // Don't fail the purchase if auto-unlock check fails
+    }
+
+    res.json({
+      message: 'Chapter purchased successfully',
+      purchase: {
+        _id: purchase._id,
+        contentType: purchase.contentType,
+        chapterId: purchase.chapterId,
+        moduleId: purchase.moduleId,
+        amountPaid: purchase.amountPaid,
+        purchasedAt: purchase.createdAt
+      },
+      userBalance: userBalanceAfter
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Error purchasing chapter:', err);
+
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Bạn đã mua chương này rồi' });
+    }
+
+    if (err.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: err.message });
+    }
+
+    res.status(500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Create a new chapter (admin, moderator, or pj_user managing the novel)
+ * New chapters start the workflow at translating, so creating one in a public
+ * mode is refused unless an admin sends overrideWorkflow: true.
+ * @route POST /api/chapters
+ */
 router.post('/', auth, async (req, res) => {
   try {
     const { 
@@ -1547,7 +1360,8 @@ router.post('/', auth, async (req, res) => {
       proofreader,
       mode,
       footnotes,
-      chapterBalance
+      chapterBalance,
+      overrideWorkflow
     } = req.body;
     
     // Check if user has permission (admin, moderator, pj_user managing this novel, or novel staff)
@@ -1643,6 +1457,16 @@ router.post('/', auth, async (req, res) => {
       });
     }
 
+    // Drafts can be scheduled to go live later
+    const schedule = parsePublishSchedule(req.body, mode || 'published', SCHEDULABLE_CHAPTER_MODES);
+
+    let workflow;
+    try {
+      workflow = buildInitialWorkflow(mode || 'published', req.user, overrideWorkflow === true);
+    } catch (workflowError) {
+      return res.status(workflowError.status).json({ message: workflowError.message, code: workflowError.code });
+    }
+
     const order = moduleData.lastChapterOrder + 1;
 
     // Calculate word count for the chapter content
@@ -1664,12 +1488,21 @@ router.post('/', auth, async (req, res) => {
       views: 0,
       footnotes: footnotes || [],
       chapterBalance: mode === 'paid' ? (chapterBalance || 0) : 0,
-      wordCount: calculatedWordCount
+      wordCount: calculatedWordCount,
+      workflow,
+      ...schedule
     });
 
     // Save the chapter
     const newChapter = await chapter.save();
 
+    // First revision of the history
+    try {
+      await recordChapterRevision(newChapter, { action: 'create', user: req.user });
+    } catch (revisionError) {
+      console.error('Error recording initial chapter revision:', revisionError);
+    }
+
     // Check if this is a draft chapter - draft chapters should not update novel timestamp or send notifications
     const isDraftChapter = (mode === 'draft');
 
@@ -1686,7 +1519,7 @@ router.post('/', auth, async (req, res) => {
       recalculateNovelWordCount(novelId),
       
       // Clear novel caches
-      clearNovelCaches()
+      clearNovelCaches(novelId)
     ];
 
     // Only update novel timestamp if this is NOT a draft chapter
@@ -1719,6 +1552,8 @@ router.post('/', auth, async (req, res) => {
       }
     });
 
+    queueSearchIndexUpdate({ chapterId: newChapter._id });
+
     // Get novel info for the notification
     const novel = await Novel.findById(novelId).select('title');
 
@@ -1733,16 +1568,16 @@ router.post('/', auth, async (req, res) => {
       );
     }
 
-    // Always notify all clients about the new chapter (including drafts)
-    // This ensures the novel detail page updates immediately
-    notifyAllClients('new_chapter', {
+    // Notify clients about the new chapter so the novel detail page updates immediately
+    // Drafts only reach the novel's staff
+    await announceChapterEvent(newChapter, 'new_chapter', {
       chapterId: newChapter._id,
       chapterTitle: newChapter.title,
       novelId: novelId,
       novelTitle: novel?.title || 'Unknown Novel',
       isDraft: isDraftChapter, // Add flag to distinguish draft chapters
       timestamp: new Date().toISOString()
-    });
+    }, moduleData.mode);
 
     // Check for auto-unlock if a paid chapter was created
     if (mode === 'paid') {
@@ -1752,23 +1587,8 @@ router.post('/', auth, async (req, res) => {
         await checkAndUnlockContent(novelId);
         
         // IMPORTANT: Clear all relevant caches after auto-unlock to prevent stale data
-        clearChapterCaches(newChapter._id.toString());
-        
-        // Clear slug cache entries for this chapter to prevent stale mode caching
-        const chapterIdString = newChapter._id.toString();
-        const keysToDelete = [];
-        for (const [key, value] of slugCache.entries()) {
-          if (value.data && value.data.id && value.data.id.toString() === chapterIdString) {
-            keysToDelete.push(key);
-          }
-        }
-        keysToDelete.forEach(key => slugCache.delete(key));
-        
-        // Clear query deduplication cache for this chapter
-        pendingQueries.delete(`chapter:${newChapter._id}`);
-        
-        // Also clear the full-optimized endpoint cache
-        pendingQueries.delete(`chapter_full_optimized:${newChapter._id}:user:anonymous`);
+        // Slug lookups and chapter results are tagged with the chapter
+        await clearChapterCaches(newChapter._id.toString(), novelId);
       } catch (unlockError) {
         console.error('Error during auto-unlock after paid chapter creation:', unlockError);
         // Don't fail the chapter creation if auto-unlock fails
@@ -1788,81 +1608,11 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
-/**
- * Helper function to recalculate and update novel word count with retry logic
- * @param {string} novelId - The novel ID
- * @param {object} session - MongoDB session (optional)
- * @param {number} maxRetries - Maximum number of retry attempts
- */
-const recalculateNovelWordCount = async (novelId, session = null, maxRetries = 3) => {
-  let attempt = 0;
-  
-  while (attempt < maxRetries) {
-    try {
-      // Ensure novelId is a proper ObjectId (handle both string and ObjectId inputs)
-      const novelObjectId = mongoose.Types.ObjectId.isValid(novelId) 
-        ? (typeof novelId === 'string' ? mongoose.Types.ObjectId.createFromHexString(novelId) : novelId)
-        : null;
-      
-      if (!novelObjectId) {
-        throw new Error('Invalid novelId provided to recalculateNovelWordCount');
-      }
-      
-      // Aggregate total word count from all chapters in this novel
-      const result = await Chapter.aggregate([
-        { $match: { novelId: novelObjectId } },
-        { 
-          $group: {
-            _id: null,
-            totalWordCount: { $sum: '$wordCount' }
-          }
-        }
-      ]).session(session);
-
-      const totalWordCount = result.length > 0 ? result[0].totalWordCount : 0;
-
-      // Update the novel with the new word count using retry-safe options
-      await Novel.findByIdAndUpdate(
-        novelObjectId,
-        { wordCount: totalWordCount },
-        { 
-          session,
-          // Add options to handle write conflicts better
-          upsert: false,
-          new: true,
-          maxTimeMS: 5000 // 5 second timeout
-        }
-      );
-
-      return totalWordCount;
-    } catch (error) {
-      attempt++;
-      
-      // Check if this is a transient error that can be retried
-      const isRetryableError = error.errorLabels?.includes('TransientTransactionError') ||
-                              error.code === 112 || // WriteConflict
-                              error.code === 11000 || // DuplicateKey
-                              error.code === 16500; // InterruptedAtShutdown
-      
-      if (isRetryableError && attempt < maxRetries) {
-        console.warn(`Retrying novel word count update (attempt ${attempt}/${maxRetries}) for novel ${novelId}:`, error.message);
-        
-        // Exponential backoff with jitter
-        const baseDelay = Math.pow(2, attempt - 1) * 100; // 100ms, 200ms, 400ms
-        const jitter = Math.random() * 50; // Add up to 50ms random jitter
-        await new Promise(resolve => setTimeout(resolve, baseDelay + jitter));
-        
-        continue;
-      }
-      
-      console.error(`Error recalculating novel word count after ${attempt} attempts:`, error);
-      throw error;
-    }
-  }
-};
 
 /**
  * Update a chapter with retry logic for transaction conflicts
+ * Publishing a draft requires its workflow stage to be ready; admins may send
+ * overrideWorkflow: true to publish (or schedule) it anyway.
  * @route PUT /api/chapters/:id
  */
 router.put('/:id', auth, async (req, res) => {
@@ -1972,11 +1722,31 @@ router.put('/:id', auth, async (req, res) => {
       // This ensures the chapter shows the correct "published" date rather than creation date
       // For all other updates, preserve the existing timestamp
       
+      // Drafts only go public once the workflow reaches ready, unless an admin overrides.
+      // Scheduling a draft is allowed; the scheduler waits for the chapter to be ready.
+      const requestedSchedule = req.body.publishAt !== undefined && req.body.publishAt !== null && req.body.publishAt !== '';
+      let publishOverride = null;
+      if (isDraftModeChanging || (requestedSchedule && req.body.overrideWorkflow)) {
+        try {
+          publishOverride = checkPublishAllowed(existingChapter, req.user, req.body.overrideWorkflow === true);
+        } catch (workflowError) {
+          await session.abortTransaction();
+          return res.status(workflowError.status).json({ message: workflowError.message, code: workflowError.code });
+        }
+      }
+      const isReturningToDraft = mode === 'draft' && existingChapter.mode !== 'draft';
+
       // Log timestamp update for tracking
       if (isDraftModeChanging) {
         console.log(`Updating chapter timestamp for "${existingChapter.title}" due to mode change from draft to ${mode}`);
       }
 
+      // Publishing a draft by hand cancels its schedule
+      const resultingMode = mode || existingChapter.mode;
+      const schedule = resultingMode !== 'draft' && existingChapter.publishAt
+        ? { publishAt: null, scheduledMode: null }
+        : parsePublishSchedule(req.body, resultingMode, SCHEDULABLE_CHAPTER_MODES);
+
       // Check if title changed to generate new slug
       let titleChanged = false;
       if (title && title !== existingChapter.title) {
@@ -1994,6 +1764,10 @@ router.put('/:id', auth, async (req, res) => {
         chapterBalance: finalChapterBalance,
         footnotes,
         wordCount: finalWordCount, // Use calculated or provided word count
+        ...schedule,
+        ...(publishOverride && { 'workflow.publishOverride': publishOverride }),
+        // An override only covers the release it was given for
+        ...(isReturningToDraft && { 'workflow.publishOverride': { by: null, at: null } }),
         // ONLY update timestamp if mode is changing from draft to another mode
         ...(isDraftModeChanging && { updatedAt: new Date() })
       };
@@ -2010,6 +1784,12 @@ router.put('/:id', auth, async (req, res) => {
         }
       );
 
+      // Keep the text of every save so edits can be compared and undone
+      if (hasRevisionChanges(existingChapter, updatedChapter)) {
+        await ensureBaselineRevision(existingChapter, session);
+        await recordChapterRevision(updatedChapter, { action: 'edit', user: req.user }, session);
+      }
+
       // Only recalculate novel word count if content or word count actually changed
       if (shouldRecalculateWordCount) {
         await recalculateNovelWordCount(existingChapter.novelId, session);
@@ -2052,21 +1832,21 @@ router.put('/:id', auth, async (req, res) => {
         newSlug = createUniqueSlug(updatedChapter.title, updatedChapter._id);
       }
 
+      // Pre-generated narration no longer matches the text
+      if (contentChanged) {
+        try {
+          await invalidateChapterAudio(updatedChapter._id);
+        } catch (audioError) {
+          console.error('Error invalidating chapter audio:', audioError);
+        }
+      }
+
       // Clear novel caches
-      clearNovelCaches();
+      await clearNovelCaches(existingChapter.novelId);
       
       // Clear all chapter-related caches comprehensively
-      clearChapterRelatedCaches(updatedChapter._id.toString(), existingChapter.novelId.toString(), req.user._id.toString());
-      
-      // Clear slug cache entries for this chapter to prevent stale data
-      const chapterIdString = updatedChapter._id.toString();
-      const keysToDelete = [];
-      for (const [key, value] of slugCache.entries()) {
-        if (value.data && value.data.id && value.data.id.toString() === chapterIdString) {
-          keysToDelete.push(key);
-        }
-      }
-      keysToDelete.forEach(key => slugCache.delete(key));
+      await clearChapterRelatedCaches(updatedChapter._id.toString(), existingChapter.novelId.toString(), req.user._id.toString());
+      queueSearchIndexUpdate({ chapterId: updatedChapter._id });
 
       // Send notifications and SSE updates for draft chapters becoming public
       if (isDraftBecomingPublic) {
@@ -2081,8 +1861,8 @@ router.put('/:id', auth, async (req, res) => {
             updatedChapter.title
           );
 
-          // Notify all clients about the chapter becoming public
-          notifyAllClients('new_chapter', {
+          // Notify clients about the chapter becoming public (staff only while its module is a draft)
+          await announceChapterEvent(updatedChapter, 'new_chapter', {
             chapterId: updatedChapter._id,
             chapterTitle: updatedChapter.title,
             novelId: existingChapter.novelId,
@@ -2110,27 +1890,7 @@ router.put('/:id', auth, async (req, res) => {
           await checkAndUnlockContent(existingChapter.novelId);
           
           // Clear caches again after potential auto-unlock
-          clearNovelCaches();
-          clearChapterCaches(updatedChapter._id.toString());
-          
-          // Clear slug cache entries for this chapter to prevent stale mode caching
-          const chapterIdString = updatedChapter._id.toString();
-          const keysToDelete = [];
-          for (const [key, value] of slugCache.entries()) {
-            if (value.data && value.data.id && value.data.id.toString() === chapterIdString) {
-              keysToDelete.push(key);
-            }
-          }
-          keysToDelete.forEach(key => slugCache.delete(key));
-          
-                // Clear query deduplication cache for this chapter
-      pendingQueries.delete(`chapter:${updatedChapter._id}`);
-      
-      // Also clear the full-optimized endpoint cache
-      pendingQueries.delete(`chapter_full_optimized:${updatedChapter._id}:user:anonymous`);
-      if (req.user && req.user._id) {
-        pendingQueries.delete(`chapter_full_optimized:${updatedChapter._id}:user:${req.user._id}`);
-      }
+          await clearChapterCaches(updatedChapter._id.toString(), existingChapter.novelId);
         } catch (unlockError) {
           console.error('Error during auto-unlock after chapterBalance change:', unlockError);
           // Don't fail the chapter update if auto-unlock fails
@@ -2155,7 +1915,7 @@ router.put('/:id', auth, async (req, res) => {
       }
 
       // Notify clients of the update
-      notifyAllClients('update', {
+      await announceChapterEvent(updatedChapter, 'update', {
         type: 'chapter_updated',
         novelId: existingChapter.novelId,
         chapterId: updatedChapter._id,
@@ -2207,6 +1967,184 @@ router.put('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * Load a chapter and its novel and check that the user may edit the chapter
+ * @returns {Promise<Object|null>} { chapter, novel }, or null after sending an error response
+ */
+const loadEditableChapter = async (req, res, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: 'Invalid chapter ID format' });
+    return null;
+  }
+
+  const chapter = await Chapter.findById(req.params.id).session(session);
+  if (!chapter) {
+    res.status(404).json({ message: 'Chapter not found' });
+    return null;
+  }
+
+  const novel = await Novel.findById(chapter.novelId).select('active').session(session);
+  if (!canEditChapter(chapter, novel, req.user)) {
+    res.status(403).json({ message: 'Access denied. You do not have permission to edit this chapter.' });
+    return null;
+  }
+
+  return { chapter, novel };
+};
+
+/**
+ * List the revision history of a chapter
+ * @route GET /api/chapters/:id/revisions?page=&limit=
+ */
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const loaded = await loadEditableChapter(req, res);
+    if (!loaded) return;
+
+    const result = await listChapterRevisions(loaded.chapter._id, req.query);
+    res.json(result);
+  } catch (err) {
+    console.error('Error fetching chapter revisions:', err);
+    res.status(500).json({ message: 'Lỗi khi tải lịch sử chỉnh sửa' });
+  }
+});
+
+/**
+ * Word-level diff between two revisions of a chapter
+ * Defaults to the latest revision against the one before it.
+ * @route GET /api/chapters/:id/revisions/diff?from=&to=
+ */
+router.get('/:id/revisions/diff', auth, async (req, res) => {
+  try {
+    const loaded = await loadEditableChapter(req, res);
+    if (!loaded) return;
+
+    const diff = await diffChapterRevisions(loaded.chapter._id, req.query.from, req.query.to);
+    res.json(diff);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error diffing chapter revisions:', err);
+    res.status(500).json({ message: 'Lỗi khi so sánh phiên bản' });
+  }
+});
+
+/**
+ * Get one revision of a chapter with its content
+ * @route GET /api/chapters/:id/revisions/:revisionNumber
+ */
+router.get('/:id/revisions/:revisionNumber', auth, async (req, res) => {
+  try {
+    const loaded = await loadEditableChapter(req, res);
+    if (!loaded) return;
+
+    const revision = await getChapterRevision(loaded.chapter._id, req.params.revisionNumber);
+    res.json(revision);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error fetching chapter revision:', err);
+    res.status(500).json({ message: 'Lỗi khi tải phiên bản' });
+  }
+});
+
+/**
+ * Restore the title, content and footnotes of a revision
+ * The rollback is saved as a new revision, so it can be undone in turn.
+ * @route POST /api/chapters/:id/revisions/:revisionNumber/rollback
+ */
+router.post('/:id/revisions/:revisionNumber/rollback', auth, async (req, res) => {
+  const session = await mongoose.startSession();
+  let transactionCommitted = false;
+
+  try {
+    session.startTransaction();
+
+    const loaded = await loadEditableChapter(req, res, session);
+    if (!loaded) {
+      await session.abortTransaction();
+      return;
+    }
+    const { chapter: existingChapter } = loaded;
+
+    const revision = await getChapterRevision(existingChapter._id, req.params.revisionNumber, session);
+    const restored = {
+      title: revision.title,
+      content: revision.content,
+      footnotes: revision.footnotes,
+      wordCount: revision.wordCount
+    };
+
+    if (!hasRevisionChanges(existingChapter, restored)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: 'Chương đang giống phiên bản này' });
+    }
+
+    await ensureBaselineRevision(existingChapter, session);
+
+    const updatedChapter = await Chapter.findByIdAndUpdate(
+      existingChapter._id,
+      restored,
+      { new: true, session, runValidators: true, maxTimeMS: 5000 }
+    );
+
+    const rollbackRevision = await recordChapterRevision(updatedChapter, {
+      action: 'rollback',
+      user: req.user,
+      restoredFrom: revision.revisionNumber
+    }, session);
+
+    if (updatedChapter.wordCount !== existingChapter.wordCount) {
+      await recalculateNovelWordCount(existingChapter.novelId, session);
+    }
+
+    await session.commitTransaction();
+    transactionCommitted = true;
+
+    // Same side effects as a normal edit
+    if (updatedChapter.content !== existingChapter.content) {
+      try {
+        await invalidateChapterAudio(updatedChapter._id);
+      } catch (audioError) {
+        console.error('Error invalidating chapter audio:', audioError);
+      }
+    }
+
+    await clearNovelCaches(existingChapter.novelId);
+    await clearChapterRelatedCaches(updatedChapter._id.toString(), existingChapter.novelId.toString(), req.user._id.toString());
+    queueSearchIndexUpdate({ chapterId: updatedChapter._id });
+
+    await announceChapterEvent(updatedChapter, 'update', {
+      type: 'chapter_updated',
+      novelId: existingChapter.novelId,
+      chapterId: updatedChapter._id,
+      chapterTitle: updatedChapter.title,
+      timestamp: new Date().toISOString()
+    });
+
+    const response = await populateStaffNames(updatedChapter.toObject());
+    if (updatedChapter.title !== existingChapter.title) {
+      response.newSlug = createUniqueSlug(updatedChapter.title, updatedChapter._id);
+    }
+    response.revisionNumber = rollbackRevision.revisionNumber;
+
+    res.json(response);
+  } catch (err) {
+    if (!transactionCommitted && session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error rolling back chapter:', err);
+    res.status(500).json({ message: 'Lỗi khi khôi phục phiên bản' });
+  } finally {
+    session.endSession();
+  }
+});
+
 /**
  * Delete a chapter with retry logic for transaction conflicts
  * @route DELETE /api/chapters/:id
@@ -2278,6 +2216,9 @@ router.delete('/:id', auth, async (req, res) => {
         { session }
       );
 
+      // Delete the revision history of this chapter
+      await ChapterRevision.deleteMany({ chapter: chapterId }, { session });
+
       // Recalculate novel word count with retry logic
       await recalculateNovelWordCount(novelId, session);
       
@@ -2293,22 +2234,14 @@ router.delete('/:id', auth, async (req, res) => {
       transactionCommitted = true;
 
       // Clear novel caches
-      clearNovelCaches();
+      await clearNovelCaches(novelId);
       
       // Clear all chapter-related caches comprehensively
-      clearChapterRelatedCaches(chapterId, novelId.toString());
-      
-      // Clear slug cache entries for this chapter
-      const keysToDelete = [];
-      for (const [key, value] of slugCache.entries()) {
-        if (value.data && value.data.id && value.data.id.toString() === chapterId) {
-          keysToDelete.push(key);
-        }
-      }
-      keysToDelete.forEach(key => slugCache.delete(key));
+      await clearChapterRelatedCaches(chapterId, novelId.toString());
+      queueSearchIndexUpdate({ chapterId });
 
       // Notify clients of the chapter deletion
-      notifyAllClients('update', {
+      await announceChapterEvent(chapter, 'update', {
         type: 'chapter_deleted',
         novelId: novelId,
         chapterId: chapterId,
@@ -2476,92 +2409,15 @@ router.get('/:id/full', optionalAuth, async (req, res) => {
     // Log successful chapter fetch
     console.log(`Fetched chapter: "${chapter.title}" (ID: ${chapter._id})`);
     
-    // CRITICAL: Add access control logic for rental system
+    // Check if user can access this chapter content (shared access policy)
     const user = req.user;
-    let hasAccess = false;
-    let accessReason = '';
-
-    // Admin, moderator always have access
-    if (user && (user.role === 'admin' || user.role === 'moderator')) {
-      hasAccess = true;
-      accessReason = 'admin/moderator';
-    }
-    // PJ_user for their assigned novels
-    else if (user && user.role === 'pj_user' && chapter.novel?.active?.pj_user) {
-      const isAuthorized = chapter.novel.active.pj_user.includes(user._id.toString()) || 
-                          chapter.novel.active.pj_user.includes(user.username);
-      if (isAuthorized) {
-        hasAccess = true;
-        accessReason = 'pj_user';
-      }
+    const access = await resolveChapterAccess(user, chapter);
+    const hasAccess = access.hasAccess;
+    if (access.rentalInfo) {
+      chapter.rentalInfo = access.rentalInfo;
     }
-    
-    // CRITICAL FIX: Check module-level access FIRST before individual chapter access
-    // If module is paid, user must have rental access regardless of individual chapter mode
-    if (!hasAccess && chapter.module?.mode === 'paid') {
-      if (user && chapter.moduleId) {
-        const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapter.moduleId);
-        
-        if (activeRental && activeRental.isValid()) {
-          hasAccess = true;
-          accessReason = 'module-rental';
-          
-          // Add rental information to the response
-          chapter.rentalInfo = {
-            hasActiveRental: true,
-            endTime: activeRental.endTime,
-            timeRemaining: Math.max(0, activeRental.endTime - new Date())
-          };
-        }
-      }
-      // If module is paid and user doesn't have rental access, deny access regardless of chapter mode
-      // This prevents published chapters in paid modules from being accessible without payment
-    }
-    
-    // Check mode-based access for regular users ONLY if module is not paid OR user has module access
-    if (!hasAccess && chapter.module?.mode !== 'paid') {
-      switch (chapter.mode) {
-        case 'published':
-          hasAccess = true;
-          accessReason = 'published';
-          break;
-        case 'protected':
-          if (user) {
-            hasAccess = true;
-            accessReason = 'protected-authenticated';
-          }
-          break;
-        case 'draft':
-          // Draft is accessible to admin/mod/assigned pj_user (already checked above)
-          // Also check if user has chapter-specific roles
-          if (user) {
-            const userCanSeeDraft = canUserSeeDraftChapters(user, chapterData.novel, chapterData);
-            if (userCanSeeDraft) {
-              hasAccess = true;
-              accessReason = 'draft-staff-access';
-            }
-          }
-          break;
-        case 'paid':
-          // Individual paid chapters in non-paid modules
-          // Check if user has active rental for this module
-          if (user && chapter.moduleId) {
-            const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapter.moduleId);
-            
-            if (activeRental && activeRental.isValid()) {
-              hasAccess = true;
-              accessReason = 'rental';
-              
-              // Add rental information to the response
-              chapter.rentalInfo = {
-                hasActiveRental: true,
-                endTime: activeRental.endTime,
-                timeRemaining: Math.max(0, activeRental.endTime - new Date())
-              };
-            }
-          }
-          break;
-      }
+    if (access.purchaseInfo) {
+      chapter.purchaseInfo = access.purchaseInfo;
     }
 
     // OPTIMIZATION: Use cached user lookup for staff names
@@ -2606,7 +2462,7 @@ router.get('/:id/full', optionalAuth, async (req, res) => {
         chapter: {
           ...chapterWithoutContent,
           accessDenied: true,
-          accessMessage: getAccessMessage(chapter, user)
+          accessMessage: access.accessMessage
         },
         interactions
       });
@@ -2643,160 +2499,6 @@ router.get('/:id/full', optionalAuth, async (req, res) => {
   }
 });
 
-/**
- * Batch update word counts for chapters with 0 word count
- * @route POST /api/chapters/batch-update-wordcount
- */
-router.post('/batch-update-wordcount', auth, async (req, res) => {
-  // Only allow admins to run this batch operation
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-  }
-
-  try {
-    // Find all chapters with 0 word count but have content
-    const chaptersToUpdate = await Chapter.find({
-      wordCount: 0,
-      content: { $exists: true, $ne: '' }
-    }).select('_id content novelId').lean();
-
-    console.log(`Found ${chaptersToUpdate.length} chapters to update word counts for.`);
-
-    let updatedCount = 0;
-    const batchSize = 50; // Process in batches to avoid overwhelming the database
-    
-    if (chaptersToUpdate.length > 0) {
-      for (let i = 0; i < chaptersToUpdate.length; i += batchSize) {
-        const batch = chaptersToUpdate.slice(i, i + batchSize);
-        const bulkOps = [];
-
-        for (const chapter of batch) {
-          const wordCount = calculateWordCount(chapter.content);
-          if (wordCount > 0) {
-            bulkOps.push({
-              updateOne: {
-                filter: { _id: chapter._id },
-                update: { $set: { wordCount: wordCount } }
-              }
-            });
-          }
-        }
-
-        if (bulkOps.length > 0) {
-          const result = await Chapter.bulkWrite(bulkOps);
-          updatedCount += result.modifiedCount;
-        }
-
-        console.log(`Processed batch ${Math.floor(i / batchSize) + 1} of ${Math.ceil(chaptersToUpdate.length / batchSize)}`);
-      }
-    }
-
-    // Now find ALL novels that have chapters and recalculate their word counts
-    // This catches novels with correct chapter word counts but wrong novel totals
-    const novelsWithChapters = await Chapter.aggregate([
-      {
-        $group: {
-          _id: '$novelId'
-        }
-      }
-    ]);
-
-    console.log(`Recalculating word counts for ${novelsWithChapters.length} novels with chapters...`);
-
-    let novelsRecalculated = 0;
-    for (const novelGroup of novelsWithChapters) {
-      try {
-        await recalculateNovelWordCount(novelGroup._id);
-        novelsRecalculated++;
-      } catch (error) {
-        console.error(`Failed to recalculate word count for novel ${novelGroup._id}:`, error);
-      }
-    }
-
-    // Clear caches
-    clearNovelCaches();
-
-    res.json({
-      message: `Successfully updated word counts for ${updatedCount} chapters and recalculated ${novelsRecalculated} novel word counts.`,
-      updated: updatedCount,
-      novelsRecalculated: novelsRecalculated
-    });
-
-  } catch (error) {
-    console.error('Error in batch word count update:', error);
-    res.status(500).json({ 
-      message: 'Error updating word counts', 
-      error: error.message 
-    });
-  }
-});
-
-/**
- * Fix novel word counts specifically - recalculate all novels that have chapters
- * @route POST /api/chapters/fix-novel-wordcounts
- */
-router.post('/fix-novel-wordcounts', auth, async (req, res) => {
-  // Only allow admins to run this batch operation
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
-  }
-
-  try {
-    // Find all novels that have chapters
-    const novelsWithChapters = await Chapter.aggregate([
-      {
-        $group: {
-          _id: '$novelId',
-          chapterCount: { $sum: 1 },
-          totalWords: { $sum: '$wordCount' }
-        }
-      }
-    ]);
-
-    console.log(`Found ${novelsWithChapters.length} novels with chapters to recalculate.`);
-
-    let novelsRecalculated = 0;
-    let novelsWith0WordCount = 0;
-
-    for (const novelGroup of novelsWithChapters) {
-      try {
-        // Get current novel word count
-        const currentNovel = await Novel.findById(novelGroup._id).select('wordCount title').lean();
-        
-        if (currentNovel) {
-          console.log(`Novel "${currentNovel.title}": Current DB=${currentNovel.wordCount}, Calculated=${novelGroup.totalWords}, Chapters=${novelGroup.chapterCount}`);
-          
-          if (currentNovel.wordCount === 0 && novelGroup.totalWords > 0) {
-            novelsWith0WordCount++;
-          }
-        }
-
-        await recalculateNovelWordCount(novelGroup._id);
-        novelsRecalculated++;
-      } catch (error) {
-        console.error(`Failed to recalculate word count for novel ${novelGroup._id}:`, error);
-      }
-    }
-
-    // Clear caches
-    clearNovelCaches();
-
-    res.json({
-      message: `Successfully recalculated word counts for ${novelsRecalculated} novels. Found ${novelsWith0WordCount} novels with 0 word count that should have had totals.`,
-      novelsRecalculated: novelsRecalculated,
-      novelsWith0Fixed: novelsWith0WordCount,
-      totalNovelsWithChapters: novelsWithChapters.length
-    });
-
-  } catch (error) {
-    console.error('Error in novel word count fix:', error);
-    res.status(500).json({ 
-      message: 'Error fixing novel word counts', 
-      error: error.message 
-    });
-  }
-});
-
 /**
  * Get chapter with all related data (optimized single query) - INCLUDES ALL NAVIGATION AND MODULE CHAPTERS
  * @route GET /api/chapters/:chapterId/full-optimized
@@ -2816,11 +2518,6 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
     // For authenticated users, ensure we're not using stale anonymous cache
     const cacheKey = `chapter_full_optimized:${chapterId}:user:${userId || 'anonymous'}`;
     
-    // If user just logged in, clear any anonymous cache for this chapter
-    if (userId && pendingQueries.has(`chapter_full_optimized:${chapterId}:user:anonymous`)) {
-      pendingQueries.delete(`chapter_full_optimized:${chapterId}:user:anonymous`);
-    }
-    
     const chapterData = await dedupQuery(cacheKey, async () => {
       // Single aggregation pipeline that gets everything INCLUDING all module chapters
       const pipeline = [
@@ -3042,7 +2739,7 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
 
       const [result] = await Chapter.aggregate(pipeline);
       return result;
-    }, 1000 * 45); // Cache for 45 seconds - now with actual result caching!
+    }, { tags: chapterQueryTags(chapterId, userId) });
     
     if (!chapterData) {
       console.log(`Chapter not found (ID: ${chapterId})`);
@@ -3050,147 +2747,17 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
     }
     
 
-    // CRITICAL: Add access control logic for rental system
+    // Check if user can access this chapter content (shared access policy)
     const user = req.user;
-    let hasAccess = false;
-    let accessReason = '';
-
-    // Admin, moderator always have access
-    if (user && (user.role === 'admin' || user.role === 'moderator')) {
-      hasAccess = true;
-      accessReason = 'admin/moderator';
-    }
-    // PJ_user for their assigned novels
-    else if (user && user.role === 'pj_user' && chapterData.novel?.active?.pj_user) {
-      const isAuthorized = chapterData.novel.active.pj_user.includes(user._id.toString()) || 
-                          chapterData.novel.active.pj_user.includes(user.username);
-      if (isAuthorized) {
-        hasAccess = true;
-        accessReason = 'pj_user';
-      }
+    const access = await resolveChapterAccess(user, chapterData);
+    const hasAccess = access.hasAccess;
+    if (access.rentalInfo) {
+      chapterData.rentalInfo = access.rentalInfo;
     }
-    
-    // CRITICAL FIX: Check module-level access FIRST before individual chapter access
-    // If module is paid, user must have rental access regardless of individual chapter mode
-    if (!hasAccess && chapterData.module?.mode === 'paid') {
-      if (user && chapterData.moduleId) {
-        const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapterData.moduleId);
-        
-        if (activeRental && activeRental.isValid()) {
-          hasAccess = true;
-          accessReason = 'module-rental';
-          
-          // Add rental information to the response
-          chapterData.rentalInfo = {
-            hasActiveRental: true,
-            endTime: activeRental.endTime,
-            timeRemaining: Math.max(0, activeRental.endTime - new Date())
-          };
-        }
-      }
-      // If module is paid and user doesn't have rental access, deny access regardless of chapter mode
-      // This prevents published chapters in paid modules from being accessible without payment
-    }
-    
-    // Check mode-based access for regular users ONLY if module is not paid OR user has module access
-    if (!hasAccess && chapterData.module?.mode !== 'paid') {
-      switch (chapterData.mode) {
-        case 'published':
-          hasAccess = true;
-          accessReason = 'published';
-          break;
-        case 'protected':
-          if (user) {
-            hasAccess = true;
-            accessReason = 'protected-authenticated';
-          }
-          break;
-        case 'draft':
-          // Draft is accessible to admin/mod/assigned pj_user (already checked above)
-          // Also check if user has chapter-specific roles
-          if (user) {
-            const userCanSeeDraft = canUserSeeDraftChapters(user, chapterData.novel, chapterData);
-            if (userCanSeeDraft) {
-              hasAccess = true;
-              accessReason = 'draft-staff-access';
-            }
-          }
-          break;
-        case 'paid':
-          // Individual paid chapters in non-paid modules
-          // Check if user has active rental for this module
-          if (user && chapterData.moduleId) {
-            const activeRental = await ModuleRental.findActiveRentalForUserModule(user._id, chapterData.moduleId);
-            
-            if (activeRental && activeRental.isValid()) {
-              hasAccess = true;
-              accessReason = 'rental';
-              
-              // Add rental information to the response
-              chapterData.rentalInfo = {
-                hasActiveRental: true,
-                endTime: activeRental.endTime,
-                timeRemaining: Math.max(0, activeRental.endTime - new Date())
-              };
-            }
-          }
-          break;
-      }
+    if (access.purchaseInfo) {
+      chapterData.purchaseInfo = access.purchaseInfo;
     }
 
-    // Helper function to check if user can see draft chapters
-    const canUserSeeDraftChapters = (user, novel, chapter = null) => {
-      if (!user) return false;
-      
-      // Admin and moderator can see all draft chapters
-      if (user.role === 'admin' || user.role === 'moderator') {
-        return true;
-      }
-      
-      // pj_user can see draft chapters for their assigned novels
-      if (user.role === 'pj_user' && novel?.active?.pj_user) {
-        const isAuthorized = novel.active.pj_user.includes(user._id.toString()) || 
-                            novel.active.pj_user.includes(user.username);
-        if (isAuthorized) {
-          return true;
-        }
-      }
-      
-      // Users with translator, editor, or proofreader roles can see draft chapters they're assigned to
-      // BUT anyone with novel-level translator/editor/proofreader roles can see ALL draft chapters for that novel
-      if (novel?.active) {
-        const checkUserInStaffList = (staffList) => {
-          if (!staffList || !Array.isArray(staffList)) return false;
-          return staffList.some(staffValue => {
-            if (typeof staffValue === 'object' && staffValue !== null) {
-              return staffValue._id?.toString() === user._id?.toString() ||
-                     staffValue.username === user.username ||
-                     staffValue.displayName === user.displayName ||
-                     staffValue.userNumber?.toString() === user.userNumber?.toString();
-            }
-            return staffValue?.toString() === user._id?.toString() ||
-                   staffValue === user.username ||
-                   staffValue === user.displayName ||
-                   staffValue?.toString() === user.userNumber?.toString();
-          });
-        };
-        
-        // Check if user has novel-level translator, editor, or proofreader roles
-        if (checkUserInStaffList(novel.active.translator) ||
-            checkUserInStaffList(novel.active.editor) ||
-            checkUserInStaffList(novel.active.proofreader)) {
-          return true;
-        }
-      }
-      
-      // If a specific chapter is provided, also check chapter-specific roles
-      if (chapter) {
-        return hasChapterRole(chapter, user);
-      }
-      
-      return false;
-    };
-    
     // Filter function for draft chapters
     const shouldShowChapter = (chapter) => {
       if (chapter.mode !== 'draft') {
@@ -3262,7 +2829,7 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
         chapter: {
           ...chapterWithoutContent,
           accessDenied: true,
-          accessMessage: getAccessMessage(chapterData, user)
+          accessMessage: access.accessMessage
         },
         interactions,
         moduleChapters: chapterData.allModuleChapters || []
@@ -3299,7 +2866,7 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
           } else {
             // Check if last view was more than 4 hours ago
             const fourHours = 4 * 60 * 60 * 1000; // 4 hours in milliseconds
-            const timeSinceLastView = Date.now() - existingInteraction.lastReadAt.getTime();
+            const timeSinceLastView = Date.now() - new Date(existingInteraction.lastReadAt).getTime();
             shouldIncrementView = timeSinceLastView > fourHours;
           }
           
@@ -3328,7 +2895,7 @@ router.get('/:chapterId/full-optimized', optionalAuth, async (req, res) => {
             );
             
             // Clear the interaction cache since we just updated it
-            clearChapterInteractionCache(userId.toString(), chapterId);
+            await clearChapterInteractionCache(userId.toString(), chapterId);
           }
         } else {
           // For anonymous users, implement server-side rate limiting using IP address
@@ -3436,15 +3003,8 @@ router.post('/admin/clear-cache', auth, async (req, res) => {
   }
   
   try {
-    // Clear all caches
-    slugCache.clear();
-    userCache.clear();
-    commentsCache.clear();
-    chapterInteractionCache.clear();
-    usernameCache.clear();
-    userPermissionCache.clear();
-    pendingQueries.clear();
-    resultCache.clear();
+    // Clear all caches: chapter entries, comment pages and user lookups
+    await invalidateCacheTags(ALL_CHAPTERS_TAG, 'chapter-comments:*', ALL_USERS_TAG);
     
     // Clear global view cache if it exists
     if (global.viewIPCache) {
@@ -3,9 +3,11 @@ import { auth, checkBan } from '../middleware/auth.js';
 import Comment from '../models/Comment.js';
 import { broadcastEvent } from '../services/sseService.js';
 import { createCommentReplyNotification, createFollowCommentNotifications, createLikedCommentNotification, createLikedForumCommentNotification, createCommentDeletionNotification, createForumPostCommentNotification } from '../services/notificationService.js';
+import { recordAuditLog, snapshotFields } from '../services/auditLogService.js';
 import { clearChapterCommentsCache, extractCommentIdentifiers } from '../utils/chapterCacheUtils.js';
 import { batchGetUsers } from '../utils/batchUserCache.js';
 import { validateNovelExists } from '../utils/novelValidation.js';
+import { createCache, invalidateCacheTags, novelTag, userTag } from '../utils/cacheStore.js';
 import ForumPost from '../models/ForumPost.js';
 import { clearForumPostsCache } from './forum.js';
 
@@ -43,95 +45,61 @@ const getNovelRoles = async (novel, userIds) => {
 
 const router = express.Router();
 
-// Simple in-memory cache for recent comments
-const recentCommentsCache = new Map();
-const RECENT_COMMENTS_CACHE_TTL = 1000 * 60 * 2; // 2 minutes
-const MAX_RECENT_COMMENTS_CACHE_SIZE = 50;
+// Latest comments across the site, per limit
+const RECENT_COMMENTS_TAG = 'recent-comments';
+const recentCommentsCache = createCache('recent-comments', { ttl: 60 * 2 }); // 2 minutes
 
-// Cache for chapter IDs to avoid repeated queries
-const chapterIdsCache = new Map();
-const CHAPTER_IDS_CACHE_TTL = 1000 * 60 * 15; // 15 minutes - chapters don't change frequently
-const MAX_CHAPTER_IDS_CACHE_SIZE = 100;
+// Chapter IDs of a novel, to find its chapter comments
+const CHAPTER_IDS_TAG = 'novel-chapter-ids';
+const chapterIdsCache = createCache('novel-chapter-ids', { ttl: 60 * 15 }); // 15 minutes
 
-// Cache for novel comments (main caching for performance)
-const novelCommentsCache = new Map();
-const NOVEL_COMMENTS_CACHE_TTL = 1000 * 60 * 5; // 5 minutes - balance between freshness and performance
-const MAX_NOVEL_COMMENTS_CACHE_SIZE = 100;
+// Comment pages of a novel (main caching for performance)
+const novelCommentsTag = (novelId) => `novel-comments:${novelId}`;
+const novelCommentsCache = createCache('novel-comments', { ttl: 60 * 5 }); // 5 minutes
 
-// Cache for user basic info to avoid repeated user lookups
-const userBasicInfoCache = new Map();
-const USER_BASIC_INFO_CACHE_TTL = 1000 * 60 * 10; // 10 minutes
-const MAX_USER_BASIC_INFO_CACHE_SIZE = 500;
+// Basic info of comment authors
+const USER_BASIC_INFO_TAG = 'user-basic-info';
+const userBasicInfoCache = createCache('user-basic-info', { ttl: 60 * 10 }); // 10 minutes
 
 // Query deduplication cache
 const pendingCommentsQueries = new Map();
 
 // Helper function to manage recent comments cache
-const getCachedRecentComments = (limit) => {
-  const cached = recentCommentsCache.get(`recent_${limit}`);
-  if (cached && Date.now() - cached.timestamp < RECENT_COMMENTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedRecentComments = (limit) => recentCommentsCache.get(`recent_${limit}`);
 
 const setCachedRecentComments = (limit, data) => {
-  if (recentCommentsCache.size >= MAX_RECENT_COMMENTS_CACHE_SIZE) {
-    const oldestKey = recentCommentsCache.keys().next().value;
-    recentCommentsCache.delete(oldestKey);
-  }
-  
-  recentCommentsCache.set(`recent_${limit}`, {
-    data,
-    timestamp: Date.now()
-  });
+  return recentCommentsCache.set(`recent_${limit}`, data, { tags: [RECENT_COMMENTS_TAG] });
 };
 
 // Helper functions to manage novel comments cache
+const novelCommentsKey = (novelId, sort, userId, page, limit, hideChapterComments) => {
+  return `${novelId}_${sort}_${userId || 'anonymous'}_${page}_${limit}_${hideChapterComments}`;
+};
+
 const getCachedNovelComments = (novelId, sort, userId, page = 1, limit = 10, hideChapterComments = false) => {
-  const cacheKey = `novel_${novelId}_${sort}_${userId || 'anonymous'}_${page}_${limit}_${hideChapterComments}`;
-  const cached = novelCommentsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < NOVEL_COMMENTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
+  return novelCommentsCache.get(novelCommentsKey(novelId, sort, userId, page, limit, hideChapterComments));
 };
 
 const setCachedNovelComments = (novelId, sort, userId, page, limit, hideChapterComments, data) => {
-  if (novelCommentsCache.size >= MAX_NOVEL_COMMENTS_CACHE_SIZE) {
-    const oldestKey = novelCommentsCache.keys().next().value;
-    novelCommentsCache.delete(oldestKey);
-  }
-  
-  const cacheKey = `novel_${novelId}_${sort}_${userId || 'anonymous'}_${page}_${limit}_${hideChapterComments}`;
-  novelCommentsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
+  return novelCommentsCache.set(novelCommentsKey(novelId, sort, userId, page, limit, hideChapterComments), data, {
+    tags: [novelCommentsTag(novelId)]
   });
 };
 
+// Clear all cached versions for a novel (different sorts, users, pages, and limits), or for every novel
 const clearNovelCommentsCache = (novelId = null) => {
-  if (novelId) {
-    // Clear all cached versions for this novel (different sorts, users, pages, and limits)
-    for (const [key] of novelCommentsCache) {
-      if (key.startsWith(`novel_${novelId}_`)) {
-        novelCommentsCache.delete(key);
-      }
-    }
-  } else {
-    novelCommentsCache.clear();
-  }
+  return invalidateCacheTags(novelId ? novelCommentsTag(novelId) : 'novel-comments:*');
 };
 
 // Helper functions to manage user basic info cache
-const getCachedUserBasicInfo = (userIds) => {
+const getCachedUserBasicInfo = async (userIds) => {
   const results = {};
   const missingIds = [];
   
-  userIds.forEach(userId => {
-    const cached = userBasicInfoCache.get(userId.toString());
-    if (cached && Date.now() - cached.timestamp < USER_BASIC_INFO_CACHE_TTL) {
-      results[userId.toString()] = cached.data;
+  const cached = await Promise.all(userIds.map(userId => userBasicInfoCache.get(userId.toString())));
+  userIds.forEach((userId, index) => {
+    if (cached[index]) {
+      results[userId.toString()] = cached[index];
     } else {
       missingIds.push(userId);
     }
@@ -141,32 +109,18 @@ const getCachedUserBasicInfo = (userIds) => {
 };
 
 const setCachedUserBasicInfo = (users) => {
-  users.forEach(user => {
-    if (userBasicInfoCache.size >= MAX_USER_BASIC_INFO_CACHE_SIZE) {
-      const oldestKey = userBasicInfoCache.keys().next().value;
-      userBasicInfoCache.delete(oldestKey);
-    }
-    
-    userBasicInfoCache.set(user._id.toString(), {
-      data: {
-        _id: user._id,
-        username: user.username,
-        displayName: user.displayName,
-        avatar: user.avatar,
-        role: user.role,
-        userNumber: user.userNumber
-      },
-      timestamp: Date.now()
-    });
-  });
+  return Promise.all(users.map(user => userBasicInfoCache.set(user._id.toString(), {
+    _id: user._id,
+    username: user.username,
+    displayName: user.displayName,
+    avatar: user.avatar,
+    role: user.role,
+    userNumber: user.userNumber
+  }, { tags: [USER_BASIC_INFO_TAG, userTag(user._id)] })));
 };
 
 const clearUserBasicInfoCache = (userId = null) => {
-  if (userId) {
-    userBasicInfoCache.delete(userId.toString());
-  } else {
-    userBasicInfoCache.clear();
-  }
+  return userId ? userBasicInfoCache.del(userId.toString()) : invalidateCacheTags(USER_BASIC_INFO_TAG);
 };
 
 // Query deduplication helper for comments
@@ -187,46 +141,30 @@ const dedupCommentsQuery = async (key, queryFn) => {
 };
 
 // Clear recent comments cache (call this when new comments are added)
-const clearRecentCommentsCache = () => {
-  recentCommentsCache.clear();
-};
+const clearRecentCommentsCache = () => invalidateCacheTags(RECENT_COMMENTS_TAG);
 
-// Clear all comment-related caches
 // Chapter IDs cache helpers
-const getCachedChapterIds = (novelId) => {
-  const cached = chapterIdsCache.get(novelId);
-  if (cached && Date.now() - cached.timestamp < CHAPTER_IDS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedChapterIds = (novelId) => chapterIdsCache.get(novelId);
 
+// Tagged with the novel, so adding or removing a chapter clears it
 const setCachedChapterIds = (novelId, data) => {
-  if (chapterIdsCache.size >= MAX_CHAPTER_IDS_CACHE_SIZE) {
-    const oldestKey = chapterIdsCache.keys().next().value;
-    chapterIdsCache.delete(oldestKey);
-  }
-  
-  chapterIdsCache.set(novelId, {
-    data,
-    timestamp: Date.now()
-  });
+  return chapterIdsCache.set(novelId, data, { tags: [CHAPTER_IDS_TAG, novelTag(novelId)] });
 };
 
 const clearChapterIdsCache = (novelId = null) => {
-  if (novelId) {
-    chapterIdsCache.delete(novelId);
-  } else {
-    chapterIdsCache.clear();
-  }
+  return novelId ? chapterIdsCache.del(novelId) : invalidateCacheTags(CHAPTER_IDS_TAG);
 };
 
-const clearAllCommentCaches = () => {
-  recentCommentsCache.clear();
-  chapterIdsCache.clear();
-  novelCommentsCache.clear();
-  userBasicInfoCache.clear();
+// Clear all comment-related caches
+const clearAllCommentCaches = async () => {
   pendingCommentsQueries.clear();
+  await Promise.all([
+    clearRecentCommentsCache(),
+    clearChapterIdsCache(),
+    clearNovelCommentsCache(),
+    clearUserBasicInfoCache(),
+    invalidateCacheTags('chapter-comments:*')
+  ]);
 };
 
 // Clear user stats cache when user actions change
@@ -235,7 +173,7 @@ const clearUserStatsCache = async (userId) => {
     // Import and call the user stats cache clearing function
     const { clearUserStatsCache: clearStats } = await import('./users.js');
     if (clearStats) {
-      clearStats(userId);
+      await clearStats(userId);
     }
   } catch (error) {
     // Silently fail if user stats cache is not available
@@ -283,19 +221,19 @@ const clearCachesForComment = async (comment, knownNovelId = null) => {
 
     // Clear caches for the specific novel
     if (novelId) {
-      clearNovelCommentsCache(novelId);
+      await clearNovelCommentsCache(novelId);
     }
 
     // Clear chapter-specific comment caches if this is a chapter comment
     if (chapterId && comment.contentType === 'chapters') {
-      clearChapterCommentsCache(chapterId, novelId);
+      await clearChapterCommentsCache(chapterId, novelId);
       
       // CRITICAL: Also clear chapter full-optimized cache since comments affect the page
       // Import the chapter caches utility if available
       try {
         const { clearChapterCaches } = await import('../utils/cacheUtils.js');
         if (typeof clearChapterCaches === 'function') {
-          clearChapterCaches(chapterId);
+          await clearChapterCaches(chapterId);
         }
       } catch (importError) {
         console.warn('Could not import chapter cache utils:', importError.message);
@@ -303,12 +241,12 @@ const clearCachesForComment = async (comment, knownNovelId = null) => {
     }
 
     // Also clear recent comments cache since comments have changed
-    clearRecentCommentsCache();
+    await clearRecentCommentsCache();
     
   } catch (error) {
     console.warn('Error clearing caches for comment:', error);
     // Fallback to clearing all caches if specific clearing fails
-    clearAllCommentCaches();
+    await clearAllCommentCaches();
   }
 };
 
@@ -361,7 +299,7 @@ router.get('/novel/:novelId', async (req, res) => {
     const hideChapters = hideChapterComments === 'true';
 
     // Check cache first (include all parameters in cache key)
-    const cachedComments = getCachedNovelComments(novelId, sort, userId, pageNum, limitNum, hideChapters);
+    const cachedComments = await getCachedNovelComments(novelId, sort, userId, pageNum, limitNum, hideChapters);
     if (cachedComments) {
       return res.json(cachedComments);
     }
@@ -372,12 +310,12 @@ router.get('/novel/:novelId', async (req, res) => {
     const result = await dedupCommentsQuery(cacheKey, async () => {
 
       // Get all chapter IDs for this novel (with caching)
-      let chapterIds = getCachedChapterIds(novelId);
+      let chapterIds = await getCachedChapterIds(novelId);
       if (!chapterIds) {
         const Chapter = (await import('../models/Chapter.js')).default;
         const chapters = await Chapter.find({ novelId }, '_id').lean();
         chapterIds = chapters.map(ch => ch._id.toString());
-        setCachedChapterIds(novelId, chapterIds);
+        await setCachedChapterIds(novelId, chapterIds);
       }
 
       // Build the aggregation pipeline with proper sorting and filtering
@@ -757,7 +695,7 @@ router.get('/novel/:novelId', async (req, res) => {
     });
 
     // Cache the result for future requests
-    setCachedNovelComments(novelId, sort, userId, pageNum, limitNum, hideChapters, result);
+    await setCachedNovelComments(novelId, sort, userId, pageNum, limitNum, hideChapters, result);
     
     res.json(result);
   } catch (err) {
@@ -1176,7 +1114,7 @@ router.get('/recent', async (req, res) => {
     // Use query deduplication to prevent multiple identical requests
     const recentComments = await dedupCommentsQuery(`recent_${limit}`, async () => {
       // Check if recent comments are cached
-      const cachedComments = getCachedRecentComments(limit);
+      const cachedComments = await getCachedRecentComments(limit);
       if (cachedComments) {
         return cachedComments;
       }
@@ -1351,7 +1289,7 @@ router.get('/recent', async (req, res) => {
       ]);
 
       // Cache the result
-      setCachedRecentComments(limit, comments);
+      await setCachedRecentComments(limit, comments);
       return comments;
     });
 
@@ -1431,7 +1369,7 @@ router.post('/:commentId/replies', auth, checkBan, async (req, res) => {
     if (parentComment.contentType === 'forum') {
       await updateForumPostCommentCount(parentComment.contentId);
       // Clear forum posts cache so homepage shows updated comment count
-      clearForumPostsCache();
+      await clearForumPostsCache();
     }
     
     // Populate user info
@@ -1890,7 +1828,7 @@ router.post('/:contentType/:contentId', auth, checkBan, async (req, res) => {
     if (contentType === 'forum') {
       await updateForumPostCommentCount(contentId);
       // Clear forum posts cache so homepage shows updated comment count
-      clearForumPostsCache();
+      await clearForumPostsCache();
     }
 
     // Populate user info
@@ -2041,6 +1979,10 @@ router.delete('/:commentId', auth, async (req, res) => {
       }
     }
 
+    const auditedFields = ['isDeleted', 'adminDeleted', 'deletionReason'];
+    const before = snapshotFields(comment, auditedFields);
+    let cascadedReplies = 0;
+
     if (isModAction) {
       // Admin/Moderator deletion - remove from interface but keep in DB
       comment.isDeleted = true;
@@ -2053,7 +1995,7 @@ router.delete('/:commentId', auth, async (req, res) => {
       
       // If it's a root comment, apply the same to all replies (admin deletion cascades)
       if (!comment.parentId) {
-        await Comment.updateMany(
+        const cascade = await Comment.updateMany(
           { parentId: comment._id },
           { 
             isDeleted: true, 
@@ -2063,6 +2005,7 @@ router.delete('/:commentId', auth, async (req, res) => {
             deletedAt: new Date()
           }
         );
+        cascadedReplies = cascade.modifiedCount;
       }
 
       // Send notification to comment owner if it's not their own comment
@@ -2093,6 +2036,23 @@ router.delete('/:commentId', auth, async (req, res) => {
     }
 
     await comment.save();
+
+    if (isModAction) {
+      await recordAuditLog(req, {
+        action: 'comment.admin_delete',
+        targetType: 'comment',
+        targetId: comment._id,
+        before,
+        after: snapshotFields(comment, auditedFields),
+        reason,
+        metadata: {
+          author: comment.user,
+          contentType: comment.contentType,
+          contentId: comment.contentId,
+          cascadedReplies
+        }
+      });
+    }
     
     // Clear targeted caches for this comment (pass novelId to avoid extra lookup)
     await clearCachesForComment(comment, novelId);
@@ -2104,7 +2064,7 @@ router.delete('/:commentId', auth, async (req, res) => {
     if (comment.contentType === 'forum') {
       await updateForumPostCommentCount(comment.contentId);
       // Clear forum posts cache so homepage shows updated comment count
-      clearForumPostsCache();
+      await clearForumPostsCache();
     }
     
     res.json({ 
@@ -1,5 +1,6 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import Contribution from '../models/Contribution.js';
 import Request from '../models/Request.js';
 import User from '../models/User.js';
@@ -7,6 +8,7 @@ import mongoose from 'mongoose';
 import { createNovelTransaction } from './novelTransactions.js';
 import { createTransaction } from './userTransaction.js';
 import { clearUserCache } from '../utils/userCache.js';
+import { postPlatformCredit } from '../services/ledgerService.js';
 import ContributionHistory from '../models/ContributionHistory.js';
 
 const router = express.Router();
@@ -47,7 +49,7 @@ async function withTransactionRetry(operation, maxRetries = 3) {
  * Create a new contribution to a request
  * @route POST /api/contributions
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
   try {
     const result = await withTransactionRetry(async () => {
       const session = await mongoose.startSession();
@@ -102,13 +104,20 @@ router.post('/', auth, async (req, res) => {
         const newContribution = new Contribution(contributionData);
         await newContribution.save({ session });
         
-        // Deduct contribution amount from user balance
-        user.balance -= amount;
-        await user.save({ session });
-        console.log(`💰 [Market Contribution] User balance after contribution: ${user.balance} 🌾`);
+        // Hold the contribution in escrow until the request is approved or declined
+        const { balanceAfter } = await postPlatformCredit({
+          userId: user._id,
+          amount: -Number(amount),
+          type: 'contribution',
+          description: `Đóng góp cho yêu cầu: ${request.title || 'Yêu cầu không có tiêu đề'}`,
+          sourceId: newContribution._id,
+          sourceModel: 'Contribution',
+          performedBy: req.user._id
+        }, session);
+        console.log(`💰 [Market Contribution] User balance after contribution: ${balanceAfter} 🌾`);
         
         // Clear user cache to ensure fresh balance is returned by API calls
-        clearUserCache(user._id, user.username);
+        await clearUserCache(user._id, user.username);
         console.log(`🗑️ [Market Contribution] Cleared user cache for ${user.username} (ID: ${user._id})`);
         console.log(`📡 [Market Contribution] Dispatching balanceUpdated event for ${user.username}`);
         
@@ -121,7 +130,7 @@ router.post('/', auth, async (req, res) => {
           sourceId: newContribution._id,
           sourceModel: 'Contribution',
           performedById: req.user._id,
-          balanceAfter: user.balance
+          balanceAfter
         }, session);
         
         // Populate user data before sending response
@@ -154,7 +163,7 @@ router.post('/', auth, async (req, res) => {
     if (error.message === 'User not found') {
       return res.status(404).json({ message: error.message });
     }
-    if (error.message === 'Insufficient balance') {
+    if (error.message === 'Insufficient balance' || error.code === 'INSUFFICIENT_BALANCE') {
       return res.status(400).json({ message: error.message });
     }
     
@@ -373,12 +382,19 @@ router.post('/request/:requestId/decline-all', auth, async (req, res) => {
             console.log(`💰 [Contribution Refund] Refunding ${contribution.amount} 🌾 to ${user.username}`);
             console.log(`💰 [Contribution Refund] User balance before refund: ${user.balance} 🌾`);
             
-            user.balance += contribution.amount;
-            await user.save({ session });
-            console.log(`💰 [Contribution Refund] User balance after refund: ${user.balance} 🌾`);
+            const { balanceAfter } = await postPlatformCredit({
+              userId: user._id,
+              amount: contribution.amount,
+              type: 'refund',
+              description: `Hoàn tiền đóng góp cho yêu cầu: ${request.title || 'Yêu cầu không có tiêu đề'} (bị từ chối)`,
+              sourceId: contribution._id,
+              sourceModel: 'Contribution',
+              performedBy: req.user._id
+            }, session);
+            console.log(`💰 [Contribution Refund] User balance after refund: ${balanceAfter} 🌾`);
             
             // Clear user cache to ensure fresh balance is returned by API calls
-            clearUserCache(user._id, user.username);
+            await clearUserCache(user._id, user.username);
             console.log(`🗑️ [Contribution Refund] Cleared user cache for ${user.username} (ID: ${user._id})`);
             
             // Record refund transaction
@@ -390,7 +406,7 @@ router.post('/request/:requestId/decline-all', auth, async (req, res) => {
               sourceId: contribution._id,
               sourceModel: 'Contribution',
               performedById: req.user._id,
-              balanceAfter: user.balance
+              balanceAfter
             }, session);
           }
         }
@@ -3,6 +3,7 @@ import { auth, checkBan } from '../middleware/auth.js';
 import ForumPost from '../models/ForumPost.js';
 import { clearAllCommentCaches } from './comments.js';
 import { batchGetUsers } from '../utils/batchUserCache.js';
+import { createCache, invalidateCacheTags } from '../utils/cacheStore.js';
 import Comment from '../models/Comment.js';
 import Notification from '../models/Notification.js';
 import { 
@@ -12,39 +13,23 @@ import {
   createForumPostDeletedNotification 
 } from '../services/notificationService.js';
 import { broadcastEvent } from '../services/sseService.js';
+import { recordAuditLog, snapshotFields } from '../services/auditLogService.js';
 
 const router = express.Router();
 
-// Cache for forum posts
-const forumPostsCache = new Map();
-const FORUM_POSTS_CACHE_TTL = 1000 * 60 * 5; // 5 minutes
-const MAX_FORUM_POSTS_CACHE_SIZE = 50;
-
-// Helper function to manage forum posts cache
-const getCachedForumPosts = (page, limit) => {
-  const cacheKey = `posts_${page}_${limit}`;
-  const cached = forumPostsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < FORUM_POSTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+// Forum post pages, tagged so any post change clears every page
+const FORUM_POSTS_TAG = 'forum-posts';
+const forumPostsCache = createCache('forum-posts', { ttl: 60 * 5 }); // 5 minutes
 
-const setCachedForumPosts = (page, limit, data) => {
-  if (forumPostsCache.size >= MAX_FORUM_POSTS_CACHE_SIZE) {
-    const oldestKey = forumPostsCache.keys().next().value;
-    forumPostsCache.delete(oldestKey);
-  }
-  
-  const cacheKey = `posts_${page}_${limit}`;
-  forumPostsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const clearForumPostsCache = () => invalidateCacheTags(FORUM_POSTS_TAG);
+
+// Fields approving or rejecting a post changes, recorded in the audit log
+const MODERATION_AUDIT_FIELDS = ['isPending', 'approvedBy', 'approvedAt', 'rejectedBy', 'rejectedAt', 'rejectionReason'];
 
-const clearForumPostsCache = () => {
-  forumPostsCache.clear();
+// Moderation fields of a post as stored, before it is approved or rejected
+const snapshotModeration = async (postId) => {
+  const post = await ForumPost.findById(postId).select(MODERATION_AUDIT_FIELDS.join(' ')).lean();
+  return snapshotFields(post, MODERATION_AUDIT_FIELDS);
 };
 
 /**
@@ -84,9 +69,9 @@ router.get('/posts', async (req, res) => {
 
     // Create cache key that includes homepage filter
     const cacheKey = `posts_${pageNum}_${limitNum}_${showOnHomepage || 'all'}`;
-    const cachedPosts = forumPostsCache.get(cacheKey);
-    if (cachedPosts && Date.now() - cachedPosts.timestamp < FORUM_POSTS_CACHE_TTL) {
-      return res.json(cachedPosts.data);
+    const cachedPosts = await forumPostsCache.get(cacheKey);
+    if (cachedPosts) {
+      return res.json(cachedPosts);
     }
 
     // Get total count with filters
@@ -128,10 +113,7 @@ router.get('/posts', async (req, res) => {
     };
 
     // Cache the result with the new cache key
-    forumPostsCache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
+    await forumPostsCache.set(cacheKey, result, { tags: [FORUM_POSTS_TAG] });
 
     res.json(result);
   } catch (error) {
@@ -233,7 +215,7 @@ router.post('/posts', auth, checkBan, async (req, res) => {
 
     // Only clear forum posts cache if post was approved immediately
     if (!post.isPending) {
-      clearForumPostsCache();
+      await clearForumPostsCache();
     } else {
       // Clear admin cache since a new pending post was created
       const { clearAdminCache } = await import('./users.js');
@@ -320,7 +302,7 @@ router.patch('/posts/:slug', auth, checkBan, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     // Populate author info for response
     await post.populate('author', 'username displayName avatar role userNumber');
@@ -417,10 +399,10 @@ router.delete('/posts/:slug', auth, async (req, res) => {
     }
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     // Also clear comment caches since comments will be affected
-    clearAllCommentCaches();
+    await clearAllCommentCaches();
 
     res.json({ 
       message: 'Post deleted successfully',
@@ -455,7 +437,7 @@ router.post('/posts/:slug/pin', auth, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     res.json({
       isPinned: post.isPinned,
@@ -490,7 +472,7 @@ router.post('/posts/id/:id/pin', auth, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     res.json({
       isPinned: post.isPinned,
@@ -525,7 +507,7 @@ router.post('/posts/:slug/lock', auth, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     res.json({
       isLocked: post.isLocked,
@@ -564,7 +546,7 @@ router.patch('/posts/:slug/toggle-comments', auth, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     res.json({
       commentsDisabled: post.commentsDisabled,
@@ -603,7 +585,7 @@ router.patch('/posts/:slug/toggle-homepage', auth, async (req, res) => {
     await post.save();
 
     // Clear forum posts cache
-    clearForumPostsCache();
+    await clearForumPostsCache();
 
     res.json({
       showOnHomepage: post.showOnHomepage,
@@ -693,10 +675,21 @@ router.post('/posts/:id/approve', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only administrators and moderators can approve posts' });
     }
 
+    const before = await snapshotModeration(id);
     const post = await ForumPost.approvePost(id, req.user._id);
 
+    await recordAuditLog(req, {
+      action: 'forum_post.approve',
+      targetType: 'forum_post',
+      targetId: post._id,
+      targetLabel: post.title,
+      before,
+      after: snapshotFields(post, MODERATION_AUDIT_FIELDS),
+      metadata: { author: post.author }
+    });
+
     // Clear forum posts cache since we now have a new approved post
-    clearForumPostsCache();
+    await clearForumPostsCache();
     
     // Clear admin cache since pending posts count changed
     const { clearAdminCache } = await import('./users.js');
@@ -753,7 +746,19 @@ router.post('/posts/:id/reject', auth, async (req, res) => {
       return res.status(403).json({ message: 'Only administrators and moderators can reject posts' });
     }
 
+    const before = await snapshotModeration(id);
     const post = await ForumPost.rejectPost(id, req.user._id, reason);
+
+    await recordAuditLog(req, {
+      action: 'forum_post.reject',
+      targetType: 'forum_post',
+      targetId: post._id,
+      targetLabel: post.title,
+      before,
+      after: snapshotFields(post, MODERATION_AUDIT_FIELDS),
+      reason,
+      metadata: { author: post.author }
+    });
     
     // Clear admin cache since pending posts count changed
     const { clearAdminCache } = await import('./users.js');
@@ -1,5 +1,6 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import Gift from '../models/Gift.js';
 import NovelGift from '../models/NovelGift.js';
 import GiftTransaction from '../models/GiftTransaction.js';
@@ -9,44 +10,25 @@ import ContributionHistory from '../models/ContributionHistory.js';
 import { createGiftTransactions } from './novelTransactions.js';
 import { clearContributionHistoryCache } from './novels.js';
 import { clearNovelCaches } from '../utils/cacheUtils.js';
+import { createCache, novelTag } from '../utils/cacheStore.js';
+import { postUserToNovelPayment } from '../services/ledgerService.js';
 import mongoose from 'mongoose';
 
 const router = express.Router();
 
-// Simple in-memory cache for gifts to avoid repeated aggregations
-const giftsCache = new Map();
-const GIFTS_CACHE_TTL = 1000 * 60 * 2; // 2 minutes (shorter for dynamic data)
-const MAX_GIFTS_CACHE_SIZE = 500;
+// Gift counts of a novel, to avoid repeated aggregations
+const giftsCache = createCache('novel-gifts', { ttl: 60 * 2 }); // 2 minutes (shorter for dynamic data)
 
 // Query deduplication cache
 const pendingGiftQueries = new Map();
 
 // Helper function to manage gifts cache
-const getCachedGifts = (novelId) => {
-  const cached = giftsCache.get(novelId);
-  if (cached && Date.now() - cached.timestamp < GIFTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedGifts = (novelId) => giftsCache.get(novelId);
 
-const setCachedGifts = (novelId, data) => {
-  // Remove oldest entries if cache is too large
-  if (giftsCache.size >= MAX_GIFTS_CACHE_SIZE) {
-    const oldestKey = giftsCache.keys().next().value;
-    giftsCache.delete(oldestKey);
-  }
-  
-  giftsCache.set(novelId, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const setCachedGifts = (novelId, data) => giftsCache.set(novelId, data, { tags: [novelTag(novelId)] });
 
 // Clear gifts cache for a specific novel
-const clearGiftsCache = (novelId) => {
-  giftsCache.delete(novelId);
-};
+export const clearGiftsCache = (novelId) => giftsCache.del(novelId);
 
 // Query deduplication helper for gifts
 const dedupGiftQuery = async (key, queryFn) => {
@@ -82,7 +64,7 @@ router.get('/novel/:novelId', async (req, res) => {
     const { novelId } = req.params;
     
     // Check cache first
-    const cached = getCachedGifts(novelId);
+    const cached = await getCachedGifts(novelId);
     if (cached) {
       return res.json(cached);
     }
@@ -134,7 +116,7 @@ router.get('/novel/:novelId', async (req, res) => {
     });
 
     // Cache the result for future requests
-    setCachedGifts(novelId, giftCounts);
+    await setCachedGifts(novelId, giftCounts);
     
     res.json(giftCounts);
   } catch (error) {
@@ -144,7 +126,7 @@ router.get('/novel/:novelId', async (req, res) => {
 });
 
 // Send a gift to a novel
-router.post('/send', auth, async (req, res) => {
+router.post('/send', auth, idempotency, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -187,25 +169,28 @@ router.post('/send', auth, async (req, res) => {
       return res.status(404).json({ message: 'Truyện không tồn tại' });
     }
 
-    // Calculate balances
-    const userBalanceBefore = user.balance;
-    const userBalanceAfter = userBalanceBefore - gift.price;
-    const novelBalanceBefore = novel.novelBalance || 0;
-    const novelBalanceAfter = novelBalanceBefore + gift.price;
-
-    // Update user balance
-    await User.findByIdAndUpdate(
+    const giftTransaction = new GiftTransaction({
       userId,
-      { $inc: { balance: -gift.price } },
-      { session }
-    );
+      novelId,
+      giftId,
+      amount: gift.price
+    });
 
-    // Update novel balance (only novelBalance, not novelBudget)
-    await Novel.findByIdAndUpdate(
+    // Move the gift price from the user to the novel (only novelBalance, not novelBudget)
+    const payment = await postUserToNovelPayment({
+      userId,
       novelId,
-      { $inc: { novelBalance: gift.price } },
-      { session }
-    );
+      amount: gift.price,
+      fundsBudget: false,
+      type: 'gift',
+      description: `Quà tặng ${gift.icon} ${gift.name} cho truyện "${novel.title}"`,
+      sourceId: giftTransaction._id,
+      sourceModel: 'GiftTransaction',
+      performedBy: userId
+    }, session);
+
+    const userBalanceAfter = payment.userBalanceAfter;
+    const novelBalanceAfter = payment.novelBalanceAfter;
 
     // Update or create novel gift count
     await NovelGift.findOneAndUpdate(
@@ -215,16 +200,10 @@ router.post('/send', auth, async (req, res) => {
     );
 
     // Create gift transaction record
-    const giftTransaction = new GiftTransaction({
-      userId,
-      novelId,
-      giftId,
-      amount: gift.price,
-      userBalanceBefore,
-      userBalanceAfter,
-      novelBalanceBefore,
-      novelBalanceAfter
-    });
+    giftTransaction.userBalanceBefore = userBalanceAfter + gift.price;
+    giftTransaction.userBalanceAfter = userBalanceAfter;
+    giftTransaction.novelBalanceBefore = novelBalanceAfter - gift.price;
+    giftTransaction.novelBalanceAfter = novelBalanceAfter;
     await giftTransaction.save({ session });
 
     // Create both user and novel transaction records for the gift
@@ -259,13 +238,13 @@ router.post('/send', auth, async (req, res) => {
     await session.commitTransaction();
 
     // Clear all novel-related caches since gift data affects complete novel response
-    clearNovelCaches();
+    await clearNovelCaches(novelId);
     
     // Clear gifts cache for this novel since counts have changed
-    clearGiftsCache(novelId);
+    await clearGiftsCache(novelId);
     
     // Clear contribution history cache since a gift contribution was made
-    clearContributionHistoryCache(novelId);
+    await clearContributionHistoryCache(novelId);
 
     res.json({
       message: `Đã tặng ${gift.icon} ${gift.name} thành công!`,
@@ -280,6 +259,9 @@ router.post('/send', auth, async (req, res) => {
 
   } catch (error) {
     await session.abortTransaction();
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error sending gift:', error);
     res.status(500).json({ message: 'Lỗi khi gửi quà tặng' });
   } finally {
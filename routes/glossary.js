@@ -0,0 +1,92 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  listGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  lintChapter
+} from '../services/glossaryService.js';
+
+const router = express.Router();
+
+/**
+ * Send a glossary service error with its status, or a generic 500
+ */
+const handleGlossaryError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * List a novel's glossary (novel staff only)
+ * @route GET /api/glossary/novels/:novelId/terms?search=
+ */
+router.get('/novels/:novelId/terms', auth, async (req, res) => {
+  try {
+    const terms = await listGlossaryTerms(req.params.novelId, req.user, { search: req.query.search });
+    res.json({ terms });
+  } catch (error) {
+    handleGlossaryError(res, error, 'Lỗi khi tải bảng thuật ngữ');
+  }
+});
+
+/**
+ * Add a glossary term
+ * @route POST /api/glossary/novels/:novelId/terms
+ */
+router.post('/novels/:novelId/terms', auth, async (req, res) => {
+  try {
+    const term = await createGlossaryTerm(req.params.novelId, req.body, req.user);
+    res.status(201).json({ term });
+  } catch (error) {
+    handleGlossaryError(res, error, 'Lỗi khi thêm thuật ngữ');
+  }
+});
+
+/**
+ * Update a glossary term
+ * @route PUT /api/glossary/novels/:novelId/terms/:termId
+ */
+router.put('/novels/:novelId/terms/:termId', auth, async (req, res) => {
+  try {
+    const term = await updateGlossaryTerm(req.params.novelId, req.params.termId, req.body, req.user);
+    res.json({ term });
+  } catch (error) {
+    handleGlossaryError(res, error, 'Lỗi khi cập nhật thuật ngữ');
+  }
+});
+
+/**
+ * Delete a glossary term
+ * @route DELETE /api/glossary/novels/:novelId/terms/:termId
+ */
+router.delete('/novels/:novelId/terms/:termId', auth, async (req, res) => {
+  try {
+    await deleteGlossaryTerm(req.params.novelId, req.params.termId, req.user);
+    res.json({ message: 'Đã xóa thuật ngữ' });
+  } catch (error) {
+    handleGlossaryError(res, error, 'Lỗi khi xóa thuật ngữ');
+  }
+});
+
+/**
+ * Check a chapter against the glossary and for untranslated text and unbalanced quotes
+ * Body: { chapterId } for a saved chapter, { content } for a draft body before saving
+ * (with chapterId too when editing that chapter). Offsets index into the checked HTML.
+ * @route POST /api/glossary/novels/:novelId/lint
+ */
+router.post('/novels/:novelId/lint', auth, async (req, res) => {
+  try {
+    const { chapterId, content } = req.body;
+    const result = await lintChapter(req.params.novelId, { chapterId, content }, req.user);
+    res.json(result);
+  } catch (error) {
+    handleGlossaryError(res, error, 'Lỗi khi kiểm tra chương');
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import admin from '../middleware/admin.js';
+import Job from '../models/Job.js';
+import { retryJob, getJobCounts, getJobTypes, getScheduleLocks } from '../services/jobQueue.js';
+
+const router = express.Router();
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+/**
+ * Send a job queue error with its status, or a generic 500
+ */
+const handleJobError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Job counts per type and status, registered types and schedule locks (admin only)
+ * @route GET /api/jobs/stats
+ */
+router.get('/stats', [auth, admin], async (req, res) => {
+  try {
+    const [counts, schedules] = await Promise.all([getJobCounts(), getScheduleLocks()]);
+    res.json({ counts, types: getJobTypes(), schedules });
+  } catch (error) {
+    handleJobError(res, error, 'Lỗi khi tải thống kê tác vụ nền');
+  }
+});
+
+/**
+ * List jobs, newest first (admin only)
+ * @route GET /api/jobs?status=dead&name=&limit=50&offset=0
+ */
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { status, name, limit = 50, offset = 0 } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ message: 'Trạng thái không hợp lệ' });
+    }
+
+    const query = {
+      ...(status && { status }),
+      ...(name && { name: String(name) })
+    };
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .sort({ createdAt: -1 })
+        .skip(Math.max(0, parseInt(offset) || 0))
+        .limit(Math.min(200, Math.max(1, parseInt(limit) || 50)))
+        .lean(),
+      Job.countDocuments(query)
+    ]);
+
+    res.json({ jobs, total });
+  } catch (error) {
+    handleJobError(res, error, 'Lỗi khi tải danh sách tác vụ nền');
+  }
+});
+
+/**
+ * Get one job with its payload and failure history (admin only)
+ * @route GET /api/jobs/:jobId
+ */
+router.get('/:jobId', [auth, admin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ message: 'ID tác vụ không hợp lệ' });
+    }
+
+    const job = await Job.findById(req.params.jobId).lean();
+    if (!job) {
+      return res.status(404).json({ message: 'Tác vụ không tồn tại' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    handleJobError(res, error, 'Lỗi khi tải tác vụ nền');
+  }
+});
+
+/**
+ * Requeue a dead job with a fresh set of attempts (admin only)
+ * @route POST /api/jobs/:jobId/retry
+ */
+router.post('/:jobId/retry', [auth, admin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ message: 'ID tác vụ không hợp lệ' });
+    }
+
+    const job = await retryJob(req.params.jobId);
+    res.json({ message: 'Đã đưa tác vụ vào hàng đợi', job });
+  } catch (error) {
+    handleJobError(res, error, 'Lỗi khi chạy lại tác vụ nền');
+  }
+});
+
+/**
+ * Discard a dead job (admin only)
+ * @route DELETE /api/jobs/:jobId
+ */
+router.delete('/:jobId', [auth, admin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({ message: 'ID tác vụ không hợp lệ' });
+    }
+
+    const job = await Job.findOneAndDelete({ _id: req.params.jobId, status: 'dead' });
+    if (!job) {
+      return res.status(404).json({ message: 'Chỉ có thể xóa tác vụ đã thất bại' });
+    }
+
+    res.json({ message: 'Đã xóa tác vụ' });
+  } catch (error) {
+    handleJobError(res, error, 'Lỗi khi xóa tác vụ nền');
+  }
+});
+
+export default router;
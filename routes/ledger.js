@@ -0,0 +1,102 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import LedgerEntry, { LEDGER_ACCOUNT_TYPES } from '../models/LedgerEntry.js';
+import LedgerDiscrepancy from '../models/LedgerDiscrepancy.js';
+import { checkBalanceInvariants } from '../services/ledgerService.js';
+
+const router = express.Router();
+
+/**
+ * Get balance discrepancies found by the invariant check (admin only)
+ * @route GET /api/ledger/discrepancies
+ */
+router.get('/discrepancies', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    const { status = 'open', limit = 50, offset = 0 } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const [discrepancies, total] = await Promise.all([
+      LedgerDiscrepancy.find(query)
+        .sort({ detectedAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit))
+        .lean(),
+      LedgerDiscrepancy.countDocuments(query)
+    ]);
+
+    res.json({ discrepancies, total });
+  } catch (error) {
+    console.error('Error fetching ledger discrepancies:', error);
+    res.status(500).json({ message: 'Failed to fetch ledger discrepancies' });
+  }
+});
+
+/**
+ * Run the balance invariant check now (admin only)
+ * @route POST /api/ledger/check
+ */
+router.post('/check', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    const summary = await checkBalanceInvariants();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error running ledger invariant check:', error);
+    res.status(500).json({ message: 'Failed to run ledger check' });
+  }
+});
+
+/**
+ * Get the derived balance and recent entries of an account (admin only)
+ * Platform-wide accounts (platform, tts) use "-" as accountId.
+ * @route GET /api/ledger/accounts/:accountType/:accountId
+ */
+router.get('/accounts/:accountType/:accountId', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Permission denied' });
+    }
+
+    const { accountType } = req.params;
+    if (!LEDGER_ACCOUNT_TYPES.includes(accountType)) {
+      return res.status(400).json({ message: 'Invalid account type' });
+    }
+
+    let accountId = null;
+    if (req.params.accountId !== '-') {
+      if (!mongoose.Types.ObjectId.isValid(req.params.accountId)) {
+        return res.status(400).json({ message: 'Invalid account ID' });
+      }
+      accountId = new mongoose.Types.ObjectId(req.params.accountId);
+    }
+
+    const { limit = 20, offset = 0 } = req.query;
+    const accountFilter = { lines: { $elemMatch: { accountType, accountId } } };
+
+    const [balance, entries, total] = await Promise.all([
+      LedgerEntry.getAccountBalance(accountType, accountId),
+      LedgerEntry.find(accountFilter)
+        .sort({ createdAt: -1 })
+        .skip(parseInt(offset))
+        .limit(parseInt(limit))
+        .populate('performedBy', 'username')
+        .lean(),
+      LedgerEntry.countDocuments(accountFilter)
+    ]);
+
+    res.json({ accountType, accountId, balance, entries, total });
+  } catch (error) {
+    console.error('Error fetching ledger account:', error);
+    res.status(500).json({ message: 'Failed to fetch ledger account' });
+  }
+});
+
+export default router;
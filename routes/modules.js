@@ -1,6 +1,7 @@
 import express from 'express';
 import Module from '../models/Module.js';
 import { auth, optionalAuth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import admin from '../middleware/admin.js';
 import Chapter from '../models/Chapter.js';
 import { clearNovelCaches, notifyAllClients } from '../utils/cacheUtils.js';
@@ -9,240 +10,61 @@ import { createNewChapterNotifications } from '../services/notificationService.j
 import Novel from '../models/Novel.js';
 import mongoose from 'mongoose';
 import ModuleRental from '../models/ModuleRental.js';
+import Job from '../models/Job.js';
+import ContentPurchase from '../models/ContentPurchase.js';
 import ContributionHistory from '../models/ContributionHistory.js';
 import User from '../models/User.js';
-import { createRentalTransactions } from './userTransaction.js';
+import { createRentalTransactions, createPurchaseTransactions } from './userTransaction.js';
+import { clearUserCache } from '../utils/userCache.js';
+import { resolveModuleAccess } from '../services/chapterAccessService.js';
+import { notifyNovelStaff } from '../services/chapterWorkflowService.js';
+import { postUserToNovelPayment } from '../services/ledgerService.js';
+import { parsePublishSchedule, SCHEDULABLE_MODULE_MODES } from '../services/scheduledPublishingService.js';
+import { exportModuleEpub } from '../services/epubExportService.js';
+import { previewChapterImport, importChapters } from '../services/chapterImportService.js';
+import { queueSearchIndexUpdate } from '../services/searchService.js';
+import { foldText, parseSearchQuery, buildDiacriticInsensitivePattern } from '../utils/searchText.js';
+import { exportLimiter, uploadLimiter } from '../middleware/rateLimiter.js';
+import multer from 'multer';
+import { recordAuditLog } from '../services/auditLogService.js';
+import {
+  calculateAndUpdateModuleRentBalance,
+  RENTAL_CLEANUP_JOB,
+  RENTAL_CLEANUP_INTERVAL_MINUTES
+} from '../services/moduleRentService.js';
 
 /**
- * Calculate and update rentBalance for a module
- * rentBalance = (sum of all chapterBalance of paid chapters within that module) / 10
- * Auto-switches rent modules to published when total paid chapter balance ≤ 200
- * 
- * IMPORTANT: This function should ONLY be used when:
- * - Initially setting a module to 'rent' mode
- * - Adding paid chapters to a module
- * - Removing paid chapters from a module
- * - Moving paid chapters between modules
- * - Admin utility for recalculation
- * 
- * DO NOT use this function when chapters are unlocked (changed from 'paid' to 'published').
- * For that case, use checkAndSwitchRentModuleToPublished() instead.
- * 
- * @param {string} moduleId - The module ID
- * @param {object} session - MongoDB session (optional)
- * @returns {Promise<number>} The calculated rentBalance
+ * Send an exported EPUB as a download
+ * @param {Object} res - Express response
+ * @param {Object} epub - { data, filename, chapterCount } from epubExportService
  */
-const calculateAndUpdateModuleRentBalance = async (moduleId, session = null) => {
-  try {
-    // Validate moduleId
-    if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
-      throw new Error(`Invalid module ID: ${moduleId}`);
-    }
-
-    // Convert moduleId to string if it's an ObjectId
-    const moduleIdString = String(moduleId);
-
-    // Get module info first to check current mode
-    const module = await Module.findById(moduleIdString).session(session);
-    if (!module) {
-      console.warn(`Module ${moduleIdString} not found, skipping rentBalance calculation`);
-      return 0;
-    }
-
-    // Create ObjectId for aggregation
-    const moduleObjectId = mongoose.Types.ObjectId.createFromHexString(moduleIdString);
-
-    // Get all paid chapters in this module using aggregation for better performance
-    const paidChaptersResult = await Chapter.aggregate([
-      {
-        $match: {
-          moduleId: moduleObjectId,
-          mode: 'paid',
-          chapterBalance: { $gt: 0 }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalBalance: { $sum: '$chapterBalance' },
-          chapterCount: { $sum: 1 }
-        }
-      }
-    ]).session(session);
-
-    // Calculate total chapterBalance
-    const totalChapterBalance = paidChaptersResult.length > 0 ? 
-      (paidChaptersResult[0].totalBalance || 0) : 0;
-    const chapterCount = paidChaptersResult.length > 0 ? 
-      (paidChaptersResult[0].chapterCount || 0) : 0;
-
-    // Calculate rentBalance = totalChapterBalance / 10 (rounded down)
-    const calculatedRentBalance = Math.max(0, Math.floor(totalChapterBalance / 10));
-
-    // Prepare update data
-    const updateData = { 
-      rentBalance: calculatedRentBalance,
-      updatedAt: new Date()
-    };
-
-    // Auto-switch from rent to published if total paid chapter balance ≤ 200 OR ≤ current rentBalance
-    if (module.mode === 'rent' && (totalChapterBalance <= 200 || totalChapterBalance <= module.rentBalance)) {
-      updateData.mode = 'published';
-      const reason = totalChapterBalance <= 200 ? 
-        `total paid chapter balance: ${totalChapterBalance} ≤ 200 🌾` : 
-        `total paid chapter balance: ${totalChapterBalance} ≤ current rentBalance: ${module.rentBalance} 🌾`;
-    }
-
-    // Update the module's rentBalance and potentially mode
-    const updatedModule = await Module.findByIdAndUpdate(
-      moduleIdString,
-      updateData,
-      { new: true, session }
-    );
-
-    if (!updatedModule) {
-      throw new Error(`Failed to update module ${moduleIdString}`);
-    }
-
-    console.log(`Updated module ${moduleIdString} rentBalance: ${calculatedRentBalance} 🌾 (from ${chapterCount} paid chapters totaling ${totalChapterBalance} 🌾)${updateData.mode ? ` - Mode changed to: ${updateData.mode}` : ''}`);
-    
-    return calculatedRentBalance;
-  } catch (error) {
-    console.error(`Error calculating module rentBalance for ${moduleId}:`, error);
-    throw error;
-  }
-};
-
-/**
- * Check if a rent module should be auto-switched to published mode
- * This function checks if total paid chapter balance ≤ 200 OR ≤ current rentBalance and switches the module
- * WITHOUT recalculating the rentBalance (rentBalance should remain unchanged when chapters are unlocked)
- * @param {string} moduleId - The module ID
- * @param {object} session - MongoDB session (optional)
- * @returns {Promise<boolean>} Whether the module was switched to published mode
- */
-const checkAndSwitchRentModuleToPublished = async (moduleId, session = null) => {
-  try {
-    // Validate moduleId
-    if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
-      throw new Error(`Invalid module ID: ${moduleId}`);
-    }
-
-    // Convert moduleId to string if it's an ObjectId
-    const moduleIdString = String(moduleId);
-
-    // Get module info first to check current mode
-    const module = await Module.findById(moduleIdString).session(session);
-    if (!module || module.mode !== 'rent') {
-      // Only process rent modules
-      return false;
-    }
-
-    // Create ObjectId for aggregation
-    const moduleObjectId = mongoose.Types.ObjectId.createFromHexString(moduleIdString);
-
-    // Get all paid chapters in this module to check total balance
-    const paidChaptersResult = await Chapter.aggregate([
-      {
-        $match: {
-          moduleId: moduleObjectId,
-          mode: 'paid',
-          chapterBalance: { $gt: 0 }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalBalance: { $sum: '$chapterBalance' }
-        }
-      }
-    ]).session(session);
-
-    // Calculate total chapterBalance
-    const totalChapterBalance = paidChaptersResult.length > 0 ? 
-      (paidChaptersResult[0].totalBalance || 0) : 0;
-
-    // Auto-switch from rent to published if total paid chapter balance ≤ 200 OR ≤ current rentBalance
-    if (totalChapterBalance <= 200 || totalChapterBalance <= module.rentBalance) {
-      const updatedModule = await Module.findByIdAndUpdate(
-        moduleIdString,
-        { 
-          mode: 'published',
-          updatedAt: new Date()
-        },
-        { session, new: true }
-      );
-      
-      const reason = totalChapterBalance <= 200 ? 
-        `total paid chapter balance: ${totalChapterBalance} ≤ 200 🌾` : 
-        `total paid chapter balance: ${totalChapterBalance} ≤ current rentBalance: ${module.rentBalance} 🌾`;
-      console.log(`Auto-switched module ${moduleIdString} from rent to published mode (${reason})`);
-      
-      // Send real-time notification to clients about the mode change
-      // Note: This is called within a transaction, so we'll send the notification after the transaction commits
-      // For now, we'll return the module info so the caller can send the notification
-      return { switched: true, module: updatedModule };
-    }
-
-    return { switched: false };
-  } catch (error) {
-    console.error(`Error checking rent module ${moduleId} for auto-switching:`, error);
-    throw error;
-  }
-};
-
-/**
- * Conditionally recalculate rent balance for a module based on its recalculateRentOnUnlock setting
- * This function should be called when chapters are unlocked via contribution
- * @param {string} moduleId - The module ID
- * @param {object} session - MongoDB session (optional)
- * @returns {Promise<number>} The calculated rentBalance (0 if not recalculated)
- */
-const conditionallyRecalculateRentBalance = async (moduleId, session = null) => {
-  try {
-    // Validate moduleId
-    if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
-      throw new Error(`Invalid module ID: ${moduleId}`);
-    }
-
-    // Convert moduleId to string if it's an ObjectId
-    const moduleIdString = String(moduleId);
-
-    // Get module info first to check settings
-    const module = await Module.findById(moduleIdString).session(session);
-    if (!module) {
-      console.warn(`Module ${moduleIdString} not found, skipping rent balance recalculation`);
-      return 0;
-    }
-
-    // Only recalculate if module is in rent mode and has the recalculateRentOnUnlock flag enabled
-    if (module.mode === 'rent' && module.recalculateRentOnUnlock) {
-      console.log(`Recalculating rent balance for module ${moduleIdString} due to chapter unlock (recalculateRentOnUnlock enabled)`);
-      return await calculateAndUpdateModuleRentBalance(moduleIdString, session);
-    }
-
-    // If not in rent mode or flag is disabled, still check for auto-switching to published
-    if (module.mode === 'rent') {
-      const switchResult = await checkAndSwitchRentModuleToPublished(moduleIdString, session);
-      if (switchResult.switched) {
-        console.log(`Module ${moduleIdString} switched to published mode due to chapter unlock`);
-      }
-    }
-
-    return 0;
-  } catch (error) {
-    console.error(`Error conditionally recalculating rent balance for module ${moduleId}:`, error);
-    throw error;
-  }
+const sendEpub = (res, { data, filename, chapterCount }) => {
+  res.set({
+    'Content-Type': 'application/epub+zip',
+    'Content-Length': data.length,
+    'Content-Disposition': `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    'X-Chapter-Count': String(chapterCount),
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(data);
 };
 
 /**
  * Export the new functions so they can be used by other route files
  */
-export { calculateAndUpdateModuleRentBalance, checkAndSwitchRentModuleToPublished, conditionallyRecalculateRentBalance };
+export { sendEpub };
 
 const router = express.Router();
 
+// Chapter import files are parsed in memory and never written to disk
+const chapterImportUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 30 * 1024 * 1024, // 30MB file size limit
+    files: 1
+  }
+});
+
 // Query deduplication cache to prevent multiple identical requests
 const pendingQueries = new Map();
 
@@ -373,50 +195,6 @@ const filterModulesByVisibility = (modules, user, novel = null) => {
   });
 };
 
-// Cache for cleanup operations to avoid running them too frequently
-let lastCleanupTime = 0;
-const CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutes
-const BACKGROUND_CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes for background cleanup
-
-/**
- * Runs cleanup if enough time has passed since last cleanup
- */
-const runCleanupIfNeeded = async () => {
-  const now = Date.now();
-  if (now - lastCleanupTime > CLEANUP_INTERVAL) {
-    try {
-      const result = await ModuleRental.cleanupExpiredRentals();
-      lastCleanupTime = now;
-      if (result.modifiedCount > 0) {
-        console.log(`Cleaned up ${result.modifiedCount} expired rentals`);
-      }
-    } catch (error) {
-      console.error('Error during rental cleanup:', error);
-    }
-  }
-};
-
-/**
- * Starts background rental cleanup process
- * This ensures rentals are cleaned up regularly even without API calls
- */
-const startBackgroundCleanup = () => {
-  // Run initial cleanup after 1 minute (silent in production)
-  setTimeout(async () => {
-    await runCleanupIfNeeded();
-  }, 60000);
-
-  // Then run cleanup every 30 minutes (silent in production)
-  setInterval(async () => {
-    await runCleanupIfNeeded();
-  }, BACKGROUND_CLEANUP_INTERVAL);
-  
-  // Background rental cleanup started (silent in production)
-};
-
-// Start background cleanup when module loads
-startBackgroundCleanup();
-
 /**
  * Search modules with novel information
  * @route GET /api/modules/search
@@ -429,8 +207,12 @@ router.get('/search', auth, async (req, res) => {
       return res.json([]);
     }
     
-    // Split query into individual keywords for flexible matching
-    const keywords = query.trim().toLowerCase().split(/\s+/);
+    // Split query into folded keywords; each matches its letters with any diacritics
+    const keywords = parseSearchQuery(query);
+    if (keywords.length === 0) {
+      return res.json([]);
+    }
+    const keywordPatterns = keywords.map(buildDiacriticInsensitivePattern);
     
     // Search modules and populate novel information
     const modules = await Module.aggregate([
@@ -463,7 +245,7 @@ router.get('/search', auth, async (req, res) => {
           $expr: {
             $allElementsTrue: {
               $map: {
-                input: keywords,
+                input: keywordPatterns,
                 as: 'keyword',
                 in: {
                   $regexMatch: {
@@ -488,7 +270,7 @@ router.get('/search', auth, async (req, res) => {
                   {
                     $size: {
                       $filter: {
-                        input: keywords,
+                        input: keywordPatterns,
                         as: 'keyword',
                         cond: {
                           $regexMatch: {
@@ -509,7 +291,7 @@ router.get('/search', auth, async (req, res) => {
                   {
                     $size: {
                       $filter: {
-                        input: keywords,
+                        input: keywordPatterns,
                         as: 'keyword',
                         cond: {
                           $regexMatch: {
@@ -569,44 +351,9 @@ router.get('/search', auth, async (req, res) => {
         
         const combinedText = `${module.novelId.title} - ${module.title}`.toLowerCase();
         
-        // Check if all keywords are present in combined text
-        const keywordResults = keywords.map(keyword => {
-          // Normalize the text by replacing various dash types with regular spaces
-          const normalizedText = combinedText
-            .replace(/[–—−]/g, ' ') // Replace em dash, en dash, minus with space
-            .replace(/\s+/g, ' ')   // Replace multiple spaces with single space
-            .trim();
-          
-          // Normalize both text and keyword for Vietnamese characters
-          const normalizeVietnamese = (text) => {
-            return text
-              .normalize('NFD') // Decompose characters
-              .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
-              .normalize('NFC') // Recompose
-              .toLowerCase();
-          };
-          
-          // Try multiple matching strategies
-          const strategies = [
-            // Strategy 1: Direct match
-            () => normalizedText.includes(keyword.toLowerCase()),
-            
-            // Strategy 2: Unicode normalized match
-            () => normalizeVietnamese(normalizedText).includes(normalizeVietnamese(keyword)),
-            
-            // Strategy 3: Vietnamese character tolerant
-            () => {
-              if (keyword.toLowerCase() === 'tập' || keyword.toLowerCase() === 'tap') {
-                return normalizedText.includes('tập') || normalizedText.includes('tap');
-              }
-              return false;
-            }
-          ];
-          
-          return strategies.some(strategy => strategy());
-        });
-        
-        return keywordResults.every(result => result);
+        // Check if all keywords are present in the folded combined text
+        const foldedText = foldText(combinedText);
+        return keywords.every(keyword => foldedText.includes(keyword));
       });
 
       // Sort by relevance and return top results
@@ -873,6 +620,60 @@ router.get('/:novelId/modules', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * Download a module as an EPUB with the chapters the user can read
+ * @route GET /api/modules/:novelId/modules/:moduleId/export.epub
+ */
+router.get('/:novelId/modules/:moduleId/export.epub', exportLimiter, optionalAuth, async (req, res) => {
+  try {
+    const epub = await exportModuleEpub(req.params.novelId, req.params.moduleId, req.user);
+    sendEpub(res, epub);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error exporting module EPUB:', err);
+    res.status(500).json({ message: 'Lỗi khi xuất EPUB' });
+  }
+});
+
+/**
+ * Import chapters into a module from an EPUB, DOCX or TXT file ("file" field)
+ * Without confirm=true this is a dry run returning the chapters that would be
+ * created and the file's hash; sending the same file with confirm=true and that
+ * fileHash creates them (mode: draft by default, published or protected).
+ * Imported chapters start the workflow at translating, so a public mode needs
+ * an admin sending overrideWorkflow=true.
+ * @route POST /api/modules/:novelId/modules/:moduleId/import
+ */
+router.post('/:novelId/modules/:moduleId/import', uploadLimiter, auth, chapterImportUpload.single('file'), async (req, res) => {
+  try {
+    const { novelId, moduleId } = req.params;
+    const { confirm, fileHash, mode, translator, editor, proofreader, overrideWorkflow } = req.body;
+
+    if (confirm !== 'true' && confirm !== true) {
+      const preview = await previewChapterImport(novelId, moduleId, req.user, req.file);
+      return res.json({ dryRun: true, ...preview });
+    }
+
+    const result = await importChapters(novelId, moduleId, req.user, req.file, {
+      fileHash,
+      mode,
+      translator,
+      editor,
+      proofreader,
+      overrideWorkflow: overrideWorkflow === 'true' || overrideWorkflow === true
+    });
+    res.status(201).json({ dryRun: false, ...result });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+    console.error('Error importing chapters:', err);
+    res.status(500).json({ message: 'Lỗi khi nhập chương' });
+  }
+});
+
 // Get a specific module
 router.get('/:novelId/modules/:moduleId', async (req, res) => {
   try {
@@ -980,7 +781,7 @@ router.put('/:novelId/modules/reorder', auth, async (req, res) => {
     await session.commitTransaction();
     
     // Clear novel caches
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
 
     // Return the updated modules order
     const updatedModules = await Module.find({ novelId }).sort('order');
@@ -1056,6 +857,9 @@ router.post('/:novelId/modules', auth, async (req, res) => {
       }
     }
 
+    // Drafts can be scheduled to go live later
+    const schedule = parsePublishSchedule(req.body, req.body.mode || 'published', SCHEDULABLE_MODULE_MODES);
+
     // Find the highest order number for this novel
     const modules = await Module.find({ novelId: req.params.novelId })
       .sort('-order')
@@ -1075,7 +879,8 @@ router.post('/:novelId/modules', auth, async (req, res) => {
       mode: req.body.mode || 'published',
       moduleBalance: req.body.mode === 'paid' ? (parseInt(req.body.moduleBalance) || 0) : 0,
       recalculateRentOnUnlock: req.body.mode === 'rent' ? (req.body.recalculateRentOnUnlock || false) : false,
-      rentBalance: 0 // Will be calculated automatically based on paid chapters
+      rentBalance: 0, // Will be calculated automatically based on paid chapters
+      ...schedule
     });
 
     // Save the module
@@ -1093,7 +898,7 @@ router.post('/:novelId/modules', auth, async (req, res) => {
     }
     
     // Clear novel caches in one operation
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
 
     // Check for auto-unlock if a paid module was created
     if (req.body.mode === 'paid') {
@@ -1102,9 +907,13 @@ router.post('/:novelId/modules', auth, async (req, res) => {
       await checkAndUnlockContent(req.params.novelId);
     }
     
-    // Send real-time notification about the new module
+    // Send real-time notification about the new module; draft modules only reach the novel's staff
+    const notifyModuleAudience = newModule.mode === 'draft'
+      ? (eventName, data) => notifyNovelStaff(req.params.novelId, eventName, data)
+      : notifyAllClients;
+
     // Use both specific event and generic 'update' as fallback for SSE connection timing issues
-    notifyAllClients('new_module', {
+    await notifyModuleAudience('new_module', {
       moduleId: newModule._id,
       moduleTitle: newModule.title,
       novelId: req.params.novelId,
@@ -1114,7 +923,7 @@ router.post('/:novelId/modules', auth, async (req, res) => {
     
     // FALLBACK: Also send generic 'update' event that existing handlers already catch
     // This ensures UI updates even if SSE connection timing is problematic
-    notifyAllClients('update', {
+    await notifyModuleAudience('update', {
       type: 'module_created',
       novelId: req.params.novelId,
       moduleId: newModule._id,
@@ -1178,6 +987,12 @@ router.put('/:novelId/modules/:moduleId', auth, async (req, res) => {
       }
     }
 
+    // Publishing a draft by hand cancels its schedule
+    const resultingMode = req.body.mode || 'published';
+    const schedule = resultingMode !== 'draft' && currentModule.publishAt
+      ? { publishAt: null, scheduledMode: null }
+      : parsePublishSchedule(req.body, resultingMode, SCHEDULABLE_MODULE_MODES);
+
     const updateData = {
       title: req.body.title,
       illustration: req.body.illustration || undefined, // Use undefined if empty to trigger default
@@ -1185,6 +1000,7 @@ router.put('/:novelId/modules/:moduleId', auth, async (req, res) => {
       moduleBalance: req.body.mode === 'paid' ? (parseInt(req.body.moduleBalance) || 0) : 0,
       recalculateRentOnUnlock: req.body.mode === 'rent' ? (req.body.recalculateRentOnUnlock || false) : false,
       // rentBalance is calculated automatically, not set manually
+      ...schedule,
       updatedAt: new Date()
     };
 
@@ -1200,7 +1016,7 @@ router.put('/:novelId/modules/:moduleId', auth, async (req, res) => {
     }
     
     // Clear novel caches to ensure fresh data on next request
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
 
     // Send real-time notification if module mode changed
     if (currentModule.mode !== req.body.mode) {
@@ -1351,6 +1167,9 @@ router.put('/:novelId/modules/:moduleId', auth, async (req, res) => {
           // Don't fail the module update if rent balance calculation fails
         }
       }
+
+      // Which of the module's chapters are searchable depends on its mode
+      queueSearchIndexUpdate({ moduleId: req.params.moduleId });
     }
     
     res.json(updatedModule);
@@ -1431,7 +1250,8 @@ router.delete('/:novelId/modules/:moduleId', auth, async (req, res) => {
     );
     
     // Clear novel caches to ensure fresh data on next request
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
+    queueSearchIndexUpdate({ moduleId: module._id, novelId: req.params.novelId });
     
     // Return success with minimal data to reduce response size
     res.json({ 
@@ -1490,7 +1310,8 @@ router.post('/:novelId/modules/:moduleId/chapters/:chapterId', auth, async (req,
       });
 
     // Clear novel caches to ensure fresh data on next request
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
+    queueSearchIndexUpdate({ chapterId: req.params.chapterId });
 
     res.json(updatedModule);
   } catch (err) {
@@ -1526,7 +1347,7 @@ router.delete('/:novelId/modules/:moduleId/chapters/:chapterId', auth, async (re
     }
     
     // Clear novel caches to ensure fresh data on next request
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
     
     res.json(updatedModule);
   } catch (err) {
@@ -1628,7 +1449,7 @@ router.put('/:novelId/modules/:moduleId/chapters/:chapterId/reorder', auth, asyn
     await session.commitTransaction();
     
     // Clear novel caches
-    clearNovelCaches();
+    await clearNovelCaches(req.params.novelId);
 
     // Return lightweight response with just the swapped chapters
     res.json({
@@ -1661,24 +1482,36 @@ router.patch('/:moduleId/rent-balance', auth, admin, async (req, res) => {
       return res.status(400).json({ message: 'Giá mở tạm thời phải là số không âm' });
     }
 
+    // Returns the module as it was, for the audit log
     const module = await Module.findByIdAndUpdate(
       moduleId,
       { rentBalance },
-      { new: true, runValidators: true }
+      { new: false, runValidators: true }
     );
 
     if (!module) {
       return res.status(404).json({ message: 'Module not found' });
     }
 
+    await recordAuditLog(req, {
+      action: 'module.rent_balance_update',
+      targetType: 'module',
+      targetId: module._id,
+      targetLabel: module.title,
+      before: { rentBalance: module.rentBalance },
+      after: { rentBalance },
+      reason: req.body.reason,
+      metadata: { novelId: module.novelId }
+    });
+
     // Clear novel caches
-    clearNovelCaches();
+    await clearNovelCaches(module.novelId);
 
     res.json({ 
       message: 'Rent balance updated successfully',
       module: {
         _id: module._id,
-        rentBalance: module.rentBalance
+        rentBalance
       }
     });
   } catch (err) {
@@ -1691,7 +1524,7 @@ router.patch('/:moduleId/rent-balance', auth, admin, async (req, res) => {
  * Rent a module for 1 week
  * @route POST /api/modules/:moduleId/rent
  */
-router.post('/:moduleId/rent', auth, async (req, res) => {
+router.post('/:moduleId/rent', auth, idempotency, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -1755,15 +1588,7 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
       });
     }
 
-    // Deduct from user balance
-    user.balance -= module.rentBalance;
-    await user.save({ session });
-
-    // Add to novel balance and budget
     const novel = module.novelId;
-    novel.novelBalance += module.rentBalance;
-    novel.novelBudget += module.rentBalance;
-    await novel.save({ session });
 
     // Create rental record with explicit endTime (1 week from now)
     const startTime = new Date();
@@ -1777,6 +1602,19 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
       startTime: startTime,
       endTime: endTime
     });
+
+    // Move the rent from the user to the novel balance and budget
+    const { userBalanceAfter, novelBalanceAfter, novelBudgetAfter } = await postUserToNovelPayment({
+      userId,
+      novelId: novel._id,
+      amount: module.rentBalance,
+      type: 'rental',
+      description: `Mở tạm thời ${module.title} trong 1 tuần`,
+      sourceId: rental._id,
+      sourceModel: 'ModuleRental',
+      performedBy: userId
+    }, session);
+
     await rental.save({ session });
 
     // Create contribution history record
@@ -1785,8 +1623,8 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
       userId: userId,
       amount: module.rentBalance,
       note: `Mở tạm thời ${module.title} trong 1 tuần`,
-      budgetAfter: novel.novelBudget,
-      balanceAfter: novel.novelBalance,
+      budgetAfter: novelBudgetAfter,
+      balanceAfter: novelBalanceAfter,
       type: 'user'
     });
     await contributionHistory.save({ session });
@@ -1801,8 +1639,8 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
       novelId: novel._id,
       moduleTitle: module.title,
       rentalAmount: module.rentBalance,
-      userBalanceAfter: user.balance,
-      novelBalanceAfter: novel.novelBalance,
+      userBalanceAfter,
+      novelBalanceAfter,
       rentalId: rental._id,
       username: user.displayName || user.username
     }, session);
@@ -1810,10 +1648,10 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
     await session.commitTransaction();
 
     // Clear novel caches
-    clearNovelCaches();
+    await clearNovelCaches(novel._id);
     
     // Clear contribution history cache since rental income affects novel budget
-    clearContributionHistoryCache(novel._id);
+    await clearContributionHistoryCache(novel._id);
 
     // Check for auto-unlock since rental increases novelBudget
     try {
@@ -1834,7 +1672,7 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
         endTime: rental.endTime,
         timeRemaining: rental.endTime - new Date()
       },
-      userBalance: user.balance
+      userBalance: userBalanceAfter
     });
 
   } catch (err) {
@@ -1844,6 +1682,10 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
     if (err.code === 11000) {
       return res.status(400).json({ message: 'Bạn đã mở tạm thời tập này rồi' });
     }
+
+    if (err.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: err.message });
+    }
     
     res.status(500).json({ message: err.message });
   } finally {
@@ -1851,6 +1693,173 @@ router.post('/:moduleId/rent', auth, async (req, res) => {
   }
 });
 
+/**
+ * Permanently purchase a paid module with the user's own balance
+ * @route POST /api/modules/:moduleId/purchase
+ */
+router.post('/:moduleId/purchase', auth, idempotency, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { moduleId } = req.params;
+    const userId = req.user._id;
+
+    // Get module with novel information
+    const module = await Module.findById(moduleId)
+      .populate('novelId', 'novelBalance novelBudget')
+      .session(session);
+
+    if (!module) {
+      return res.status(404).json({ message: 'Module not found' });
+    }
+
+    // Only paid modules can be bought outright
+    if (module.mode !== 'paid' || !module.moduleBalance || module.moduleBalance <= 0) {
+      return res.status(400).json({ message: 'Tập này không cần mua' });
+    }
+
+    // Check if user already owns this module
+    const existingPurchase = await ContentPurchase.findModulePurchase(userId, moduleId).session(session);
+    if (existingPurchase) {
+      return res.status(400).json({ message: 'Bạn đã mua tập này rồi' });
+    }
+
+    // Get user and check balance
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.balance < module.moduleBalance) {
+      return res.status(400).json({ 
+        message: `Số dư không đủ. Cần ${module.moduleBalance} 🌾, bạn có ${user.balance} 🌾` 
+      });
+    }
+
+    const novel = module.novelId;
+
+    const purchase = new ContentPurchase({
+      userId: userId,
+      contentType: 'module',
+      moduleId: module._id,
+      novelId: novel._id,
+      amountPaid: module.moduleBalance
+    });
+
+    // Move the price from the user to the novel balance and budget
+    const { userBalanceAfter, novelBalanceAfter, novelBudgetAfter } = await postUserToNovelPayment({
+      userId,
+      novelId: novel._id,
+      amount: module.moduleBalance,
+      type: 'purchase',
+      description: `Mua vĩnh viễn ${module.title}`,
+      sourceId: purchase._id,
+      sourceModel: 'ContentPurchase',
+      performedBy: userId
+    }, session);
+
+    // Create contribution history record
+    const contributionHistory = new ContributionHistory({
+      novelId: novel._id,
+      userId: userId,
+      amount: module.moduleBalance,
+      note: `Mua vĩnh viễn ${module.title}`,
+      budgetAfter: novelBudgetAfter,
+      balanceAfter: novelBalanceAfter,
+      type: 'user'
+    });
+    await contributionHistory.save({ session });
+
+    purchase.contributionHistoryId = contributionHistory._id;
+    await purchase.save({ session });
+
+    // Create both user and novel transaction records for the purchase
+    await createPurchaseTransactions({
+      userId: userId,
+      novelId: novel._id,
+      contentType: 'module',
+      contentTitle: module.title,
+      purchaseAmount: module.moduleBalance,
+      novelBalanceAfter,
+      purchaseId: purchase._id,
+      username: user.displayName || user.username
+    }, session);
+
+    await session.commitTransaction();
+
+    // Clear caches affected by the balance changes
+    await clearUserCache(userId, user.username);
+    await clearNovelCaches(novel._id);
+    await clearContributionHistoryCache(novel._id);
+
+    // Check for auto-unlock since the purchase increases novelBudget
+    try {
+      const { checkAndUnlockContent } = await import('./novels.js');
+      await checkAndUnlockContent(novel._id);
+    } catch (unlockError) {
+      console.error('Error checking auto-unlock after module purchase:', unlockError);
+      // Don't fail the purchase if auto-unlock check fails
+    }
+
+    res.json({
+      message: 'Module purchased successfully',
+      purchase: {
+        _id: purchase._id,
+        contentType: purchase.contentType,
+        moduleId: purchase.moduleId,
+        amountPaid: purchase.amountPaid,
+        purchasedAt: purchase.createdAt
+      },
+      userBalance: userBalanceAfter
+    });
+
+  } catch (err) {
+    await session.abortTransaction();
+    console.error('Error purchasing module:', err);
+    
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'Bạn đã mua tập này rồi' });
+    }
+
+    if (err.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: err.message });
+    }
+    
+    res.status(500).json({ message: err.message });
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * Get the current user's permanent purchases for a novel
+ * @route GET /api/modules/:novelId/purchases
+ */
+router.get('/:novelId/purchases', auth, async (req, res) => {
+  try {
+    const { novelId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(novelId)) {
+      return res.status(400).json({ message: 'Invalid novel ID format' });
+    }
+
+    const purchases = await ContentPurchase.find({ userId: req.user._id, novelId })
+      .select('contentType chapterId moduleId amountPaid createdAt')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      moduleIds: purchases.filter(p => p.contentType === 'module').map(p => p.moduleId),
+      chapterIds: purchases.filter(p => p.contentType === 'chapter').map(p => p.chapterId),
+      purchases
+    });
+  } catch (err) {
+    console.error('Error getting user purchases:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
 /**
  * Get user's active rentals
  * @route GET /api/modules/rentals/active
@@ -1859,9 +1868,6 @@ router.get('/rentals/active', auth, async (req, res) => {
   try {
     const userId = req.user._id;
 
-    // Cleanup expired rentals if needed (cached to avoid frequent calls)
-    await runCleanupIfNeeded();
-
     const rentals = await ModuleRental.findActiveRentalsForUser(userId)
       .populate('moduleId', 'title illustration rentBalance')
       .populate('novelId', 'title')
@@ -1893,30 +1899,43 @@ router.get('/rentals/active', auth, async (req, res) => {
 router.get('/:moduleId/rental-status', auth, async (req, res) => {
   try {
     const { moduleId } = req.params;
-    const userId = req.user._id;
 
-    const rental = await ModuleRental.findActiveRentalForUserModule(userId, moduleId);
+    if (!mongoose.Types.ObjectId.isValid(moduleId)) {
+      return res.status(400).json({ message: 'Invalid module ID format' });
+    }
+
+    const module = await Module.findById(moduleId)
+      .select('mode moduleBalance rentBalance novelId')
+      .populate('novelId', 'active')
+      .lean();
 
-    if (!rental) {
-      return res.json({ hasActiveRental: false });
+    if (!module) {
+      return res.status(404).json({ message: 'Module not found' });
     }
 
-    // Check if rental is still valid
-    if (!rental.isValid()) {
-      // Expire the rental
-      await rental.expire();
-      return res.json({ hasActiveRental: false });
+    // Resolve module access through the shared access policy
+    const access = await resolveModuleAccess(req.user, module, module.novelId);
+    const { rental } = access;
+
+    // Expire a rental whose time ran out before the cleanup job got to it
+    if (access.staleRental) {
+      await access.staleRental.expire();
     }
 
     res.json({
-      hasActiveRental: true,
-      rental: {
-        _id: rental._id,
-        startTime: rental.startTime,
-        endTime: rental.endTime,
-        timeRemaining: Math.max(0, rental.endTime - new Date()),
-        amountPaid: rental.amountPaid
-      }
+      hasActiveRental: !!rental,
+      hasAccess: access.hasAccess,
+      accessReason: access.reason,
+      purchased: access.purchaseInfo.purchased,
+      ...(rental && {
+        rental: {
+          _id: rental._id,
+          startTime: rental.startTime,
+          endTime: rental.endTime,
+          timeRemaining: Math.max(0, rental.endTime - new Date()),
+          amountPaid: rental.amountPaid
+        }
+      })
     });
   } catch (err) {
     console.error('Error checking rental status:', err);
@@ -1944,46 +1963,37 @@ router.post('/rentals/cleanup', auth, admin, async (req, res) => {
   }
 });
 
-/**
- * Force cleanup of expired rentals regardless of cache (for system maintenance)
- * @route POST /api/modules/rentals/force-cleanup
- */
-router.post('/rentals/force-cleanup', auth, admin, async (req, res) => {
-  try {
-    // Reset cleanup timer to force immediate cleanup
-    lastCleanupTime = 0;
-    await runCleanupIfNeeded();
-    
-    // Get the actual cleanup result
-    const result = await ModuleRental.cleanupExpiredRentals();
-    
-    res.json({
-      message: 'Force cleanup completed successfully',
-      modifiedCount: result.modifiedCount,
-      timestamp: new Date().toISOString()
-    });
-  } catch (err) {
-    console.error('Error during force cleanup:', err);
-    res.status(500).json({ message: err.message });
-  }
-});
-
 /**
  * Get rental cleanup status and next cleanup time
+ * Cleanup runs as a scheduled background job on one instance at a time.
  * @route GET /api/modules/rentals/cleanup-status
  */
 router.get('/rentals/cleanup-status', auth, admin, async (req, res) => {
   try {
+    const [lastRun, pendingJobs, deadJobs] = await Promise.all([
+      Job.findOne({ name: RENTAL_CLEANUP_JOB, status: 'completed' })
+        .sort({ finishedAt: -1 })
+        .select('finishedAt result')
+        .lean(),
+      Job.countDocuments({ name: RENTAL_CLEANUP_JOB, status: { $in: ['queued', 'running'] } }),
+      Job.countDocuments({ name: RENTAL_CLEANUP_JOB, status: 'dead' })
+    ]);
+
     const now = Date.now();
-    const timeSinceLastCleanup = now - lastCleanupTime;
-    const timeUntilNextCleanup = Math.max(0, CLEANUP_INTERVAL - timeSinceLastCleanup);
+    const cleanupInterval = RENTAL_CLEANUP_INTERVAL_MINUTES * 60 * 1000;
+    const lastCleanupTime = lastRun?.finishedAt ? lastRun.finishedAt.getTime() : null;
+    // The schedule fires on the wall-clock multiples of its interval
+    const timeUntilNextCleanup = cleanupInterval - (now % cleanupInterval);
     
     res.json({
       lastCleanupTime: lastCleanupTime ? new Date(lastCleanupTime).toISOString() : null,
-      timeSinceLastCleanup: timeSinceLastCleanup,
+      timeSinceLastCleanup: lastCleanupTime ? now - lastCleanupTime : null,
       timeUntilNextCleanup: timeUntilNextCleanup,
-      cleanupInterval: CLEANUP_INTERVAL,
-      nextCleanupIn: Math.ceil(timeUntilNextCleanup / 60000) + ' minutes'
+      cleanupInterval: cleanupInterval,
+      nextCleanupIn: Math.ceil(timeUntilNextCleanup / 60000) + ' minutes',
+      lastResult: lastRun?.result || null,
+      pendingJobs,
+      deadJobs
     });
   } catch (err) {
     console.error('Error getting cleanup status:', err);
@@ -1991,56 +2001,11 @@ router.get('/rentals/cleanup-status', auth, admin, async (req, res) => {
   }
 });
 
-/**
- * Recalculate rent balance for all modules (Admin utility endpoint)
- * @route POST /api/modules/recalculate-rent-balance
- */
-router.post('/recalculate-rent-balance', auth, admin, async (req, res) => {
-  try {
-    // Get all modules
-    const modules = await Module.find({}).select('_id title');
-    
-    let updatedCount = 0;
-    const errors = [];
-    
-    // Process modules in batches to avoid overwhelming the database
-    const batchSize = 10;
-    for (let i = 0; i < modules.length; i += batchSize) {
-      const batch = modules.slice(i, i + batchSize);
-      
-      await Promise.all(batch.map(async (module) => {
-        try {
-          await calculateAndUpdateModuleRentBalance(module._id);
-          updatedCount++;
-        } catch (error) {
-          console.error(`Error updating module ${module._id}:`, error);
-          errors.push({
-            moduleId: module._id,
-            title: module.title,
-            error: error.message
-          });
-        }
-      }));
-    }
-    
-    res.json({
-      message: 'Rent balance recalculation completed',
-      totalModules: modules.length,
-      updatedCount: updatedCount,
-      errorCount: errors.length,
-      errors: errors.length > 0 ? errors : undefined
-    });
-  } catch (err) {
-    console.error('Error recalculating all module rent balances:', err);
-    res.status(500).json({ message: err.message });
-  }
-});
-
 /**
  * Get rental counts for rent-mode modules in a novel (admin/moderator/pj_user only)
  * 
  * Optimizations:
- * - Only queries modules in 'rent' mode to reduce database load
+ * - Counts only rentals whose end time has not passed, so lagging cleanup cannot inflate them
  * - Runs rental cleanup before fetching counts to ensure accuracy
  * - Returns empty object immediately if no rent-mode modules exist
  * 
@@ -2099,9 +2064,6 @@ router.get('/:novelId/rental-counts', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view rental statistics' });
     }
 
-    // Cleanup expired rentals if needed (cached to avoid frequent calls)
-    await runCleanupIfNeeded();
-
     // Only get modules that are in 'rent' mode for this novel
     const rentModeModules = await Module.find({ 
       novelId, 
@@ -1,10 +1,12 @@
 import express from "express";
 import Novel from "../models/Novel.js";
 import { auth, optionalAuth } from "../middleware/auth.js";
+import { idempotency } from "../middleware/idempotency.js";
 import admin from "../middleware/admin.js";
 import Chapter from "../models/Chapter.js";
 import Module from "../models/Module.js";
-import { cache, clearNovelCaches, notifyAllClients, shouldBypassCache, registerCacheMap } from '../utils/cacheUtils.js';
+import { cache, clearNovelCaches, notifyAllClients, shouldBypassCache } from '../utils/cacheUtils.js';
+import { createCache, invalidateCacheTags, novelTag, userTag, NOVEL_LISTS_TAG } from '../utils/cacheStore.js';
 import { clearNovelCommentsCache, getCachedUserBasicInfo, setCachedUserBasicInfo, clearUserBasicInfoCache } from './comments.js';
 import UserNovelInteraction from '../models/UserNovelInteraction.js';
 
@@ -119,7 +121,7 @@ const filterModulesByVisibility = (modules, user, novel = null) => {
     return userCanSeeDrafts;
   });
 };
-import { addClient, removeClient, sseClients, broadcastEvent, listConnectedClients, performHealthCheck, analyzeTabBehavior, getTabConnectionHistory, isTabBlocked, trackIgnoredDuplicate } from '../services/sseService.js';
+import { addClient, removeClient, replayMissedEvents, sseClients, broadcastEvent, listConnectedClients, performHealthCheck, analyzeTabBehavior, getTabConnectionHistory, isTabBlocked, trackIgnoredDuplicate } from '../services/sseService.js';
 import Request from '../models/Request.js';
 import Contribution from '../models/Contribution.js';
 import { createNovelTransaction } from '../routes/novelTransactions.js';
@@ -131,21 +133,23 @@ import Gift from '../models/Gift.js';
 import UserChapterInteraction from '../models/UserChapterInteraction.js';
 import { getCachedUserByUsername, clearUserCache } from '../utils/userCache.js';
 import { populateStaffNames } from '../utils/populateStaffNames.js';
-import { checkAndSwitchRentModuleToPublished, conditionallyRecalculateRentBalance } from './modules.js';
+import { sendEpub } from './modules.js';
+import { checkAndSwitchRentModuleToPublished, conditionallyRecalculateRentBalance } from '../services/moduleRentService.js';
+import { exportNovelEpub } from '../services/epubExportService.js';
+import { exportLimiter } from '../middleware/rateLimiter.js';
 import { clearNovelExistsCache } from '../utils/novelValidation.js';
+import { postLedgerEntry, postUserToNovelPayment, ledgerAccounts } from '../services/ledgerService.js';
+import { suggestNovels, queueSearchIndexUpdate } from '../services/searchService.js';
+import { recordAuditLog } from '../services/auditLogService.js';
 
 /**
- * Import the functions from modules.js
+ * Rent balance functions from services/moduleRentService.js
  * - calculateAndUpdateModuleRentBalance: For initial rentBalance calculation when module is set to rent mode
  * - checkAndSwitchRentModuleToPublished: For checking auto-switch without recalculating rentBalance
  */
 
 const router = express.Router();
 
-// Query deduplication cache to prevent multiple identical requests
-const pendingQueries = new Map();
-
-
 /**
  * Utility function to validate ObjectId and send error response if invalid
  */
@@ -157,110 +161,27 @@ const validateObjectId = (id, res, fieldName = 'ID') => {
   return true;
 };
 
-// Enhanced query deduplication with caching
-const queryCacheMap = new Map();
-const QUERY_CACHE_TTL = 1000 * 60 * 5; // 5 minutes cache
-
-// Register the cache map so it can be cleared by cacheUtils
-registerCacheMap(queryCacheMap);
+// Route query results; concurrent identical requests share one query
+const QUERY_CACHE_TTL = 60 * 5; // 5 minutes
+const queryCache = createCache('novel-queries', { ttl: QUERY_CACHE_TTL });
 
 // Export function to clear specific cache entries
-export const clearSpecificNovelCache = (cacheKey) => {
-  const hadCache = queryCacheMap.has(cacheKey);
-  const hadPending = pendingQueries.has(cacheKey);
-  
-  queryCacheMap.delete(cacheKey);
-  pendingQueries.delete(cacheKey);
-  
-  if (process.env.NODE_ENV === 'development') {
-  }
-};
-
-// Cache for contribution history to reduce database queries
-const contributionHistoryCache = new Map();
-const CONTRIBUTION_HISTORY_CACHE_TTL = 1000 * 60 * 5; // 5 minutes - balance between freshness and performance
-const MAX_CONTRIBUTION_HISTORY_CACHE_SIZE = 100;
-
-// Register contribution history cache so it can be cleared
-registerCacheMap(contributionHistoryCache);
-
-// Helper functions for contribution history caching
-const getCachedContributionHistory = (novelId, page, limit) => {
-  const cacheKey = `contribution_history_${novelId}_${page}_${limit}`;
-  const cached = contributionHistoryCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CONTRIBUTION_HISTORY_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+export const clearSpecificNovelCache = (cacheKey) => queryCache.del(cacheKey);
 
-const setCachedContributionHistory = (novelId, page, limit, data) => {
-  if (contributionHistoryCache.size >= MAX_CONTRIBUTION_HISTORY_CACHE_SIZE) {
-    const oldestKey = contributionHistoryCache.keys().next().value;
-    contributionHistoryCache.delete(oldestKey);
-  }
-  
-  const cacheKey = `contribution_history_${novelId}_${page}_${limit}`;
-  contributionHistoryCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
-};
+// Contribution history pages of a novel, cleared whenever its balance changes
+const contributionHistoryTag = (novelId) => `novel-contributions:${novelId}`;
 
 const clearContributionHistoryCache = (novelId = null) => {
-  if (novelId) {
-    // Clear all cached versions for this novel (different pages/limits)
-    for (const [key] of contributionHistoryCache) {
-      if (key.startsWith(`contribution_history_${novelId}_`)) {
-        contributionHistoryCache.delete(key);
-      }
-    }
-  } else {
-    contributionHistoryCache.clear();
-  }
+  return invalidateCacheTags(novelId ? contributionHistoryTag(novelId) : 'novel-contributions:*');
 };
 
-const dedupQuery = async (key, queryFn, cacheTtl = QUERY_CACHE_TTL) => {
-  // Check cache first
-  const cached = queryCacheMap.get(key);
-  if (cached && Date.now() - cached.timestamp < cacheTtl) {
-    return cached.data;
-  }
-  
-  // If query is already pending, wait for it
-  if (pendingQueries.has(key)) {
-    return await pendingQueries.get(key);
-  }
-  
-  // Start new query
-  const queryPromise = queryFn();
-  pendingQueries.set(key, queryPromise);
-  
-  try {
-    const result = await queryPromise;
-    
-    // Cache the result
-    queryCacheMap.set(key, {
-      data: result,
-      timestamp: Date.now()
-    });
-    
-    // Clean up old cache entries periodically
-    if (queryCacheMap.size > 1000) {
-      const cutoff = Date.now() - (cacheTtl * 2);
-      for (const [k, v] of queryCacheMap.entries()) {
-        if (v.timestamp < cutoff) {
-          queryCacheMap.delete(k);
-        }
-      }
-    }
-    
-    return result;
-  } finally {
-    // Clean up pending query
-    pendingQueries.delete(key);
-  }
-};
+/**
+ * Run a query once per key and cache its result
+ * @param {string} key - Cache key
+ * @param {Function} queryFn - async () => result
+ * @param {Object} options - { ttl (seconds), tags (array or result => array) }
+ */
+const dedupQuery = (key, queryFn, options = {}) => queryCache.wrap(key, queryFn, options);
 
 // Add debug endpoint before SSE endpoint
 router.get('/debug/tab/:tabId', async (req, res) => {
@@ -453,6 +374,14 @@ router.get('/sse', async (req, res) => {
     return;
   }
 
+  // Catch up a reconnecting client on events it missed (EventSource sends Last-Event-ID itself)
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId) {
+    replayMissedEvents(client, lastEventId).catch(error => {
+      console.error('Failed to replay missed SSE events:', error);
+    });
+  }
+
   // Send a ping every 15 seconds to keep the connection alive
   const pingInterval = setInterval(() => {
     // Skip ping if cleanup already happened
@@ -610,7 +539,11 @@ router.get("/slug/:slug", async (req, res) => {
     }
 
     return null; // Not found
-    }, 1000 * 60 * 10); // Cache for 10 minutes
+    }, {
+      ttl: 60 * 10, // Cache for 10 minutes
+      // A slug that matches nothing yet may belong to the next novel created
+      tags: (found) => (found ? [novelTag(found.id)] : [NOVEL_LISTS_TAG])
+    });
     
     if (!result) {
       return res.status(404).json({ message: 'Novel not found' });
@@ -624,76 +557,8 @@ router.get("/slug/:slug", async (req, res) => {
 });
 
 /**
- * Admin-only: Backfill slug and shortId8 for all existing novels
- * Usage:
- * POST /api/novels/backfill-slugs?dryRun=true|false
- */
-router.post('/backfill-slugs', [auth, admin], async (req, res) => {
-  try {
-    const dryRun = String(req.query.dryRun || 'false') === 'true';
-
-    const slugifyTitle = (title) => {
-      const base = (title || 'novel')
-        .toLowerCase()
-        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/^-+|-+$/g, '')
-        .substring(0, 80) || 'novel';
-      return base;
-    };
-
-    const cursor = Novel.find({}).select('_id title slug shortId8').lean().cursor();
-    let total = 0;
-    let updated = 0;
-    let skipped = 0;
-    const errors = [];
-
-    for await (const doc of cursor) {
-      total++;
-      const idStr = doc._id.toString();
-      const shortId8 = idStr.slice(-8).toLowerCase();
-      const desiredSlug = `${slugifyTitle(doc.title)}-${shortId8}`;
-
-      const needsUpdate = (doc.shortId8 !== shortId8) || (doc.slug !== desiredSlug);
-      if (!needsUpdate) {
-        skipped++;
-        continue;
-      }
-
-      if (dryRun) {
-        updated++;
-        continue;
-      }
-
-      try {
-        await Novel.updateOne({ _id: doc._id }, { $set: { shortId8, slug: desiredSlug } });
-        updated++;
-      } catch (e) {
-        // In the unlikely case of a slug collision, append last 4 of ObjectId to guarantee uniqueness
-        if (e && e.code === 11000) {
-          const fallbackSlug = `${slugifyTitle(doc.title)}-${shortId8}-${idStr.slice(-4).toLowerCase()}`;
-          try {
-            await Novel.updateOne({ _id: doc._id }, { $set: { shortId8, slug: fallbackSlug } });
-            updated++;
-          } catch (e2) {
-            errors.push({ id: doc._id, error: e2.message });
-          }
-        } else {
-          errors.push({ id: doc._id, error: e.message });
-        }
-      }
-    }
-
-    res.json({ total, updated, skipped, dryRun, errorsCount: errors.length, errors });
-  } catch (err) {
-    console.error('Error backfilling slugs:', err);
-    res.status(500).json({ message: err.message });
-  }
-});
-
-/**
- * Search novels by title
- * Supports partial matches and case-insensitive search
+ * Search novels by title, author or chapter text, with or without diacritics
+ * Quick results for the search box; GET /api/search has facets and paging.
  * @route GET /api/novels/search
  */
 router.get("/search", async (req, res) => {
@@ -703,65 +568,12 @@ router.get("/search", async (req, res) => {
       return res.status(400).json({ message: "Search query is required" });
     }
 
-    // Split search terms and create regex pattern
-    const searchTerms = title.split(" ").filter((term) => term.length > 0);
-    const searchPattern = searchTerms.map((term) => `(?=.*${term})`).join("");
-
-    const novels = await Novel.aggregate([
-      {
-        $match: {
-          $or: [
-            // Match main title
-            { title: { $regex: searchPattern, $options: "i" } },
-            // Match alternative titles if they exist
-            { alternativeTitles: { $regex: searchPattern, $options: "i" } },
-          ],
-        }
-      },
-      // Lookup chapters to get accurate count
-      {
-        $lookup: {
-          from: 'chapters',
-          let: { novelId: '$_id' },
-          pipeline: [
-            {
-              $match: {
-                $expr: { $eq: ['$novelId', '$$novelId'] }
-              }
-            },
-            {
-              $count: 'total'
-            }
-          ],
-          as: 'chapterCount'
-        }
-      },
-      // Add chapter count field
-      {
-        $addFields: {
-          totalChapters: {
-            $cond: {
-              if: { $gt: [{ $size: '$chapterCount' }, 0] },
-              then: { $arrayElemAt: ['$chapterCount.total', 0] },
-              else: 0
-            }
-          }
-        }
-      },
-      {
-        $project: {
-          title: 1,
-          illustration: 1,
-          author: 1,
-          status: 1,
-          totalChapters: 1
-        }
-      },
-      { $limit: 10 }
-    ]);
-
+    const novels = await suggestNovels(title, 10);
     res.json(novels);
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
     res.status(500).json({ message: err.message });
   }
 });
@@ -781,7 +593,7 @@ router.get("/vietnamese", async (req, res) => {
     const bypass = shouldBypassCache(req.path, req.query);
     
     const cacheKey = `vietnamese_novels_${page}_${limit}_${sortOrder}`;
-    const cachedData = bypass ? null : cache.get(cacheKey);
+    const cachedData = bypass ? null : await cache.get(cacheKey);
     
     if (cachedData && !bypass) {
       return res.json(cachedData);
@@ -963,7 +775,7 @@ router.get("/vietnamese", async (req, res) => {
 
     // Cache the response
     if (!bypass) {
-      cache.set(cacheKey, response);
+      await cache.set(cacheKey, response, { tags: [NOVEL_LISTS_TAG] });
     }
 
     res.json(response);
@@ -994,7 +806,7 @@ router.get("/hot", async (req, res) => {
     
     // Only check cache if not bypassing
     const cacheKey = `hot_novels_${timeRange}`;
-    const cachedData = bypass ? null : cache.get(cacheKey);
+    const cachedData = bypass ? null : await cache.get(cacheKey);
     
     if (cachedData && !bypass) {
       return res.json(cachedData);
@@ -1272,7 +1084,7 @@ router.get("/hot", async (req, res) => {
     
     // Cache the result only if not bypassing
     if (!bypass) {
-      cache.set(cacheKey, result);
+      await cache.set(cacheKey, result, { tags: [NOVEL_LISTS_TAG] });
     }
     
     res.json(result);
@@ -1563,7 +1375,7 @@ router.get("/", optionalAuth, async (req, res) => {
       // Generate cache key based on pagination and request type
       const requestType = isNovelDirectoryRequest ? 'directory' : 'homepage';
       const cacheKey = `novels_page_${page}_limit_${limit}_${requestType}`;
-      const cachedData = bypass ? null : cache.get(cacheKey);
+      const cachedData = bypass ? null : await cache.get(cacheKey);
       
       if (cachedData && !bypass) {
         return res.json(cachedData);
@@ -1719,7 +1531,7 @@ router.get("/", optionalAuth, async (req, res) => {
 
       // Cache the response
       if (!bypass) {
-        cache.set(cacheKey, response);
+        await cache.set(cacheKey, response, { tags: [NOVEL_LISTS_TAG] });
         console.log('Cached lightweight novel list data');
       }
 
@@ -1730,7 +1542,7 @@ router.get("/", optionalAuth, async (req, res) => {
     // Note: pj_user can reach this section for public browsing (homepage, novel directory)
     // Generate cache key based on pagination, user role, and paid content info
     const cacheKey = `novels_page_${page}_limit_${limit}_${req.user?.role || 'guest'}_paid_${includePaidInfo}`;
-    const cachedData = bypass ? null : cache.get(cacheKey);
+    const cachedData = bypass ? null : await cache.get(cacheKey);
     
     if (cachedData && !bypass) {
       return res.json(cachedData);
@@ -1956,7 +1768,7 @@ router.get("/", optionalAuth, async (req, res) => {
 
     // Cache the response only if not bypassing
     if (!bypass) {
-      cache.set(cacheKey, response);
+      await cache.set(cacheKey, response, { tags: [NOVEL_LISTS_TAG] });
       console.log('Cached novel list data');
     } else {
       console.log('Not caching novel list per configuration');
@@ -2078,7 +1890,8 @@ router.post("/", [auth, admin], async (req, res) => {
     const newNovel = await novel.save();
     
     // Clear all novel-related caches after creating new novel
-    clearNovelCaches();
+    await clearNovelCaches(newNovel._id);
+    queueSearchIndexUpdate({ novelId: newNovel._id });
     
     // Explicitly notify clients about the new novel
     notifyAllClients('new_novel', { 
@@ -2226,7 +2039,7 @@ router.get("/:id", optionalAuth, async (req, res) => {
         novel: populatedNovel,
         modules: filteredModules
       };
-    });
+    }, { tags: [novelTag(novelId)] });
 
     // Handle deduplication errors
     if (result.error) {
@@ -2485,18 +2298,18 @@ router.put("/:id", [auth, admin], async (req, res) => {
     const updatedNovel = await novel.save();
 
           // Clear novel caches
-      clearNovelCaches();
+      await clearNovelCaches(novelId);
+      queueSearchIndexUpdate({ novelId: updatedNovel._id });
       
       // Clear contribution history cache since a contribution was made
-      clearContributionHistoryCache(novelId);
+      await clearContributionHistoryCache(novelId);
 
       // Notify SSE clients about the update
-    notifyAllClients({
-      type: 'novel-updated',
-      data: {
-        novelId: updatedNovel._id,
-        updatedAt: updatedNovel.updatedAt
-      }
+    notifyAllClients('update', {
+      type: 'novel_updated',
+      novelId: updatedNovel._id,
+      updatedAt: updatedNovel.updatedAt,
+      timestamp: new Date().toISOString()
     });
 
     res.json(updatedNovel);
@@ -2669,13 +2482,14 @@ router.delete("/:id", auth, async (req, res) => {
     await session.commitTransaction();
 
     // Clear all novel-related caches after deletion
-    clearNovelCaches();
+    await clearNovelCaches(novelId);
+    queueSearchIndexUpdate({ novelId });
     
     // Clear comments cache for this novel
-    clearNovelCommentsCache(novelId);
+    await clearNovelCommentsCache(novelId);
     
     // Clear contribution history cache for this novel
-    clearContributionHistoryCache(novelId);
+    await clearContributionHistoryCache(novelId);
     
     // Send special notification about novel deletion
     notifyAllClients('novel_deleted', { 
@@ -2729,61 +2543,63 @@ router.patch("/:id/balance", auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid balance value' });
     }
     
-    // Optimized: Get old balance and update in a single atomic operation
-    const result = await Novel.findOneAndUpdate(
-      { _id: novelId },
-      [
-        {
-          $set: {
-            // Store old balance before updating
-            oldBalance: { $ifNull: ['$novelBalance', 0] },
-            novelBalance: novelBalance
-          }
-        }
-      ],
-      { 
-        new: true, 
-        session,
-        // Return both old and new values
-        projection: { 
-          title: 1, 
-          novelBalance: 1, 
-          oldBalance: 1,
-          novelBudget: 1,
-          updatedAt: 1
-        }
-      }
-    );
+    const novel = await Novel.findById(novelId)
+      .select('title novelBalance novelBudget updatedAt')
+      .session(session);
     
-    if (!result) {
+    if (!novel) {
       await session.abortTransaction();
       return res.status(404).json({ message: 'Novel not found' });
     }
     
-    const oldBalance = result.oldBalance || 0;
-    const change = novelBalance - oldBalance;
+    const oldBalance = novel.novelBalance || 0;
+    const change = Number(novelBalance) - oldBalance;
     
     // Only record transaction if there was actually a change
     if (change !== 0) {
+      // The platform absorbs manual corrections so the ledger stays balanced
+      await postLedgerEntry({
+        type: 'adjustment',
+        description: 'Admin điều chỉnh số dư thủ công',
+        lines: [
+          { ...ledgerAccounts.novelBalance(novel._id), amount: change },
+          { ...ledgerAccounts.platform(), amount: -change }
+        ],
+        sourceId: novel._id,
+        sourceModel: 'Novel',
+        performedBy: req.user._id
+      }, session);
+
       await createNovelTransaction({
         novel: novelId,
         amount: change,
         type: 'admin',
         description: 'Admin điều chỉnh số dư thủ công',
-        balanceAfter: novelBalance,
+        balanceAfter: Number(novelBalance),
         performedBy: req.user._id
       }, session);
+
+      await recordAuditLog(req, {
+        action: 'novel.balance_update',
+        targetType: 'novel',
+        targetId: novel._id,
+        targetLabel: novel.title,
+        before: { novelBalance: oldBalance },
+        after: { novelBalance: Number(novelBalance) },
+        reason: req.body.reason
+      }, { session });
     }
     
     await session.commitTransaction();
     
     // Clear contribution history cache since novel balance was manually adjusted
     if (change !== 0) {
-      clearContributionHistoryCache(novelId);
+      await clearContributionHistoryCache(novelId);
     }
     
-    // Remove the temporary oldBalance field from response
-    const { oldBalance: _, ...responseNovel } = result.toObject();
+    const responseNovel = await Novel.findById(novelId)
+      .select('title novelBalance novelBudget updatedAt')
+      .lean();
     
     // Return enriched response with change information for frontend optimization
     res.json({
@@ -2833,7 +2649,7 @@ router.patch("/:id/rental", auth, async (req, res) => {
     await novel.save({ timestamps: false });
     
     // Clear all novel-related caches after rental status update
-    clearNovelCaches();
+    await clearNovelCaches(novel._id);
     
     res.json({ 
               message: availableForRent ? 'Đã bật chế độ mở tạm thời' : 'Đã tắt chế độ mở tạm thời',
@@ -2851,7 +2667,7 @@ router.patch("/:id/rental", auth, async (req, res) => {
 router.get("/refresh", auth, async (req, res) => {
   try {
     // Clear all novel caches
-    clearNovelCaches();
+    await clearNovelCaches();
     
     // Notify clients
     notifyAllClients('refresh', { 
@@ -3234,7 +3050,7 @@ router.get('/:novelId/contributions', async (req, res) => {
  * Contribute to novel budget
  * @route POST /api/novels/:id/contribute
  */
-router.post("/:id/contribute", auth, async (req, res) => {
+router.post("/:id/contribute", auth, idempotency, async (req, res) => {
   try {
     const novelId = req.params.id;
     
@@ -3271,24 +3087,26 @@ router.post("/:id/contribute", auth, async (req, res) => {
     let autoUnlockResult = { unlockedContent: [], finalBudget: 0 };
 
     try {
-      // Deduct from user balance
-      await User.findByIdAndUpdate(userId, {
-        $inc: { balance: -amount }
-      }, { session });
-
-      // Get updated user balance for transaction recording
-      const updatedUser = await User.findById(userId).session(session);
+      // Move the contribution from the user to the novel budget and balance
+      const payment = await postUserToNovelPayment({
+        userId,
+        novelId: novel._id,
+        amount: Number(amount),
+        type: 'contribution',
+        description: `Đóng góp cho truyện: ${novel.title}`,
+        sourceId: novel._id,
+        sourceModel: 'Novel',
+        performedBy: userId,
+        metadata: note ? { note } : undefined
+      }, session);
 
       // Clear user cache to ensure fresh balance is returned by API calls
-      clearUserCache(userId, user.username);
+      await clearUserCache(userId, user.username);
 
-      // Add to novel budget and balance
-      const updatedNovel = await Novel.findByIdAndUpdate(novelId, {
-        $inc: { 
-          novelBudget: amount,
-          novelBalance: amount 
-        }
-      }, { session, new: true });
+      const updatedNovel = {
+        novelBalance: payment.novelBalanceAfter,
+        novelBudget: payment.novelBudgetAfter
+      };
 
       // Create contribution record
       await ContributionHistory.create([{
@@ -3319,7 +3137,7 @@ router.post("/:id/contribute", auth, async (req, res) => {
         sourceId: novelId,
         sourceModel: 'Novel',
         performedById: userId,
-        balanceAfter: updatedUser.balance
+        balanceAfter: payment.userBalanceAfter
       }, session);
 
       // Perform auto-unlock within the same transaction
@@ -3329,10 +3147,11 @@ router.post("/:id/contribute", auth, async (req, res) => {
       await session.commitTransaction();
 
       // Clear caches and notify clients after successful transaction
-      clearNovelCaches();
-      clearContributionHistoryCache(novelId);
+      await clearNovelCaches(novelId);
+      await clearContributionHistoryCache(novelId);
       
       if (autoUnlockResult.unlockedContent.length > 0 || autoUnlockResult.switchedModules.length > 0) {
+        queueUnlockedContentForSearch(autoUnlockResult);
         
         // Send notifications for unlocked content
         autoUnlockResult.unlockedContent.forEach(content => {
@@ -3397,11 +3216,24 @@ router.post("/:id/contribute", auth, async (req, res) => {
     }
 
   } catch (err) {
+    if (err.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: "Số dư không đủ để thực hiện đóng góp này" });
+    }
     console.error("Error contributing to novel:", err);
     res.status(500).json({ message: err.message });
   }
 });
 
+/**
+ * Queue unlocked chapters and modules for the search index, their text is now free to read
+ */
+function queueUnlockedContentForSearch(result) {
+  (result.unlockedContent || []).forEach(content => queueSearchIndexUpdate(
+    content.type === 'module' ? { moduleId: content.moduleId } : { chapterId: content.chapterId }
+  ));
+  (result.switchedModules || []).forEach(module => queueSearchIndexUpdate({ moduleId: module._id }));
+}
+
 /**
  * Internal function to perform auto-unlock within an existing transaction
  * Returns unlocked content and final budget for the calling transaction
@@ -3559,17 +3391,24 @@ async function performAutoUnlockInTransaction(novelId, session) {
       }
     }
 
-    // Update novel budget and timestamp if anything was unlocked
+    // Spend the cost of the unlocked content from the novel budget
+    const spentBudget = novel.novelBudget - remainingBudget;
+    await postLedgerEntry({
+      type: 'unlock',
+      description: `Mở khóa tự động ${unlockedContent.length} nội dung`,
+      lines: [
+        { ...ledgerAccounts.novelBudget(novel._id), amount: -spentBudget },
+        { ...ledgerAccounts.platform(), amount: spentBudget }
+      ],
+      sourceId: novel._id,
+      sourceModel: 'Novel',
+      metadata: { unlockedContent: unlockedContent.map(({ type, title, cost }) => ({ type, title, cost })) }
+    }, session);
+
+    // Update timestamp if anything was unlocked
     if (shouldUpdateTimestamp) {
-      const newTimestamp = new Date();
       await Novel.findByIdAndUpdate(novelId, { 
-        novelBudget: remainingBudget,
-        updatedAt: newTimestamp
-      }, { session });
-    } else {
-      // Just update budget without timestamp
-      await Novel.findByIdAndUpdate(novelId, { 
-        novelBudget: remainingBudget
+        updatedAt: new Date()
       }, { session });
     }
 
@@ -3599,11 +3438,6 @@ router.get("/:id/contribution-history", async (req, res) => {
     const limit = Math.min(limitRaw, 100); // hard cap to avoid excessive loads
     const skip = (page - 1) * limit;
 
-    // Check cache first
-    const cachedData = getCachedContributionHistory(novelId, page, limit);
-    if (cachedData) {
-      return res.json(cachedData);
-    }
 
     // Use query deduplication to prevent multiple identical requests
     const cacheKey = `contribution_history_${novelId}_${page}_${limit}`;
@@ -3646,7 +3480,7 @@ router.get("/:id/contribution-history", async (req, res) => {
         .filter(userId => userId) // Filter out null/undefined userIds (system contributions)
       )];
 
-      const { results: cachedUsers, missingIds } = getCachedUserBasicInfo(userIds);
+      const { results: cachedUsers, missingIds } = await getCachedUserBasicInfo(userIds);
       
       // Fetch missing users from database
       let freshUsers = [];
@@ -3658,7 +3492,7 @@ router.get("/:id/contribution-history", async (req, res) => {
         ).lean();
         
         // Cache the fresh users
-        setCachedUserBasicInfo(freshUsers);
+        await setCachedUserBasicInfo(freshUsers);
         
         // Add to results
         freshUsers.forEach(user => {
@@ -3695,16 +3529,13 @@ router.get("/:id/contribution-history", async (req, res) => {
           hasNext: page < totalPages
         }
       };
-    });
+    }, { tags: [contributionHistoryTag(novelId)] });
 
     // Handle deduplication errors
     if (result.error) {
       return res.status(result.status).json({ message: result.error });
     }
 
-    // Cache the result for future requests
-    setCachedContributionHistory(novelId, page, limit, result);
-
     res.json(result);
 
   } catch (err) {
@@ -3737,8 +3568,9 @@ export async function checkAndUnlockContent(novelId) {
     // Clear caches and notify clients after successful transaction
     if (result && result.unlockedContent && result.unlockedContent.length > 0 || 
         result && result.switchedModules && result.switchedModules.length > 0) {
-      clearNovelCaches();
-      clearContributionHistoryCache(novelId);
+      await clearNovelCaches(novelId);
+      await clearContributionHistoryCache(novelId);
+      queueUnlockedContentForSearch(result);
       
       // Send notifications for unlocked content
       if (result.unlockedContent) {
@@ -3796,6 +3628,23 @@ export async function checkAndUnlockContent(novelId) {
   }
 }
 
+/**
+ * Download a whole novel as an EPUB with the chapters the user can read
+ * @route GET /api/novels/:id/export.epub
+ */
+router.get("/:id/export.epub", exportLimiter, optionalAuth, async (req, res) => {
+  try {
+    const epub = await exportNovelEpub(req.params.id, req.user);
+    sendEpub(res, epub);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error('Error exporting novel EPUB:', err);
+    res.status(500).json({ message: 'Lỗi khi xuất EPUB' });
+  }
+});
+
 /**
  * Get complete novel page data in a single optimized request
  * @route GET /api/novels/:id/complete
@@ -3813,7 +3662,7 @@ router.get("/:id/complete", optionalAuth, async (req, res) => {
     
     // Enhanced caching with longer TTL for complete data
     const cacheKey = `novel-complete:${novelId}:${userId || 'guest'}`;
-    const cacheTTL = 1000 * 60 * 10; // 10 minutes for complete data
+    const cacheTTL = 60 * 10; // 10 minutes for complete data
     
     // Use query deduplication with enhanced caching
     const result = await dedupQuery(cacheKey, async () => {
@@ -3973,7 +3822,7 @@ router.get("/:id/complete", optionalAuth, async (req, res) => {
         interactions,
         contributionHistory
       };
-    }, cacheTTL);
+    }, { ttl: cacheTTL, tags: [novelTag(novelId), contributionHistoryTag(novelId)] });
 
     // Handle deduplication errors
     if (result.error) {
@@ -4016,7 +3865,7 @@ router.get("/homepage", async (req, res) => {
     const cacheKey = `homepage_${page}_${limit}_${timeRange}_${userId || 'guest'}`;
     
     if (!bypass) {
-      const cachedData = cache.get(cacheKey);
+      const cachedData = await cache.get(cacheKey);
       if (cachedData) {
         return res.json(cachedData);
       }
@@ -4185,7 +4034,7 @@ router.get("/homepage", async (req, res) => {
             console.warn('Hot novels query failed, returning empty array:', err);
             return [];
           }
-        }),
+        }, { tags: [NOVEL_LISTS_TAG] }),
 
         // 3. Recent comments (optimized with proper title lookups)
         dedupQuery(`recent_comments_10`, async () => {
@@ -4411,11 +4260,11 @@ router.get("/homepage", async (req, res) => {
         recentComments: recentComments || [],
         readingHistory: readingHistory || []
       };
-    });
+    }, { tags: [NOVEL_LISTS_TAG, userId && userTag(userId)] });
 
     // Cache the result only if not bypassing
     if (!bypass) {
-      cache.set(cacheKey, result, 1000 * 60 * 2); // 2 minutes cache
+      await cache.set(cacheKey, result, { ttl: 60 * 2, tags: [NOVEL_LISTS_TAG, userId && userTag(userId)] }); // 2 minutes cache
     }
 
     res.json(result);
@@ -4455,7 +4304,7 @@ router.get("/:id/dashboard", optionalAuth, async (req, res) => {
     
     // Try to get from cache first (short TTL for dashboard data)
     if (!bypass) {
-      const cachedData = cache.get(cacheKey);
+      const cachedData = await cache.get(cacheKey);
       if (cachedData) {
         return res.json(cachedData);
       }
@@ -4668,7 +4517,7 @@ router.get("/:id/dashboard", optionalAuth, async (req, res) => {
         chapters: moduleId ? (dashboardData.moduleChapters || []) : [],
         selectedModule: dashboardData.selectedModule || null
       };
-    });
+    }, { tags: [novelTag(novelId)] });
 
     // Handle deduplication errors
     if (result.error) {
@@ -4677,7 +4526,7 @@ router.get("/:id/dashboard", optionalAuth, async (req, res) => {
 
     // Cache the result for a short time (30 seconds for dashboard data)
     if (!bypass) {
-      cache.set(cacheKey, result, 1000 * 30); // 30 seconds cache
+      await cache.set(cacheKey, result, { ttl: 30, tags: [novelTag(novelId)] }); // 30 seconds cache
     }
 
     // Return dashboard data
@@ -4721,10 +4570,10 @@ router.post("/:id/auto-unlock", auth, async (req, res) => {
     const result = await checkAndUnlockContent(novelId);
 
     // Clear novel caches after manual unlock
-    clearNovelCaches();
+    await clearNovelCaches(novelId);
     
     // Clear contribution history cache to ensure fresh data shows up immediately
-    clearContributionHistoryCache(novelId);
+    await clearContributionHistoryCache(novelId);
 
     // Notify clients of the update
     notifyAllClients('novel_budget_updated', { 
@@ -0,0 +1,375 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import User from '../models/User.js';
+import Novel from '../models/Novel.js';
+import PayoutRequest from '../models/PayoutRequest.js';
+import paymentConfig from '../config/paymentConfig.js';
+import {
+  createPayoutRequest,
+  approvePayoutRequest,
+  rejectPayoutRequest,
+  getEarningsStatement,
+  getRevenueSplit,
+  validateRevenueSplit,
+  resolveNovelStaffUserIds,
+  isPayoutStaff
+} from '../services/payoutService.js';
+import { isUserInStaffList } from '../services/chapterAccessService.js';
+import { clearNovelCaches } from '../utils/cacheUtils.js';
+import { clearContributionHistoryCache } from './novels.js';
+
+const router = express.Router();
+
+/**
+ * Send a payout service error with its status, or a generic 500
+ */
+const handlePayoutError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Parse a YYYY-MM month into the first instant of that month (Vietnam time)
+ */
+const parseMonth = (value, offset = 0) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1 + offset, 1) - 7 * 60 * 60 * 1000);
+};
+
+/**
+ * Get the current user's payout account
+ * @route GET /api/payouts/account
+ */
+router.get('/account', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+payoutAccount').lean();
+    res.json({ payoutAccount: user?.payoutAccount || null });
+  } catch (error) {
+    console.error('Failed to fetch payout account:', error);
+    res.status(500).json({ message: 'Lỗi khi tải tài khoản nhận tiền' });
+  }
+});
+
+/**
+ * Set the current user's payout account
+ * @route PUT /api/payouts/account
+ */
+router.put('/account', auth, async (req, res) => {
+  try {
+    const { method, bankName, accountNumber, accountName } = req.body;
+
+    if (!['bank', 'momo', 'zalopay'].includes(method)) {
+      return res.status(400).json({ message: 'Phương thức nhận tiền không hợp lệ' });
+    }
+    if (!accountNumber?.trim() || !accountName?.trim()) {
+      return res.status(400).json({ message: 'Vui lòng nhập số tài khoản và tên chủ tài khoản' });
+    }
+    if (method === 'bank' && !bankName?.trim()) {
+      return res.status(400).json({ message: 'Vui lòng chọn ngân hàng' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        payoutAccount: {
+          method,
+          bankName: method === 'bank' ? bankName.trim() : undefined,
+          accountNumber: accountNumber.trim(),
+          accountName: accountName.trim(),
+          updatedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('+payoutAccount').lean();
+
+    res.json({ message: 'Đã cập nhật tài khoản nhận tiền', payoutAccount: user.payoutAccount });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Failed to update payout account:', error);
+    res.status(500).json({ message: 'Lỗi khi cập nhật tài khoản nhận tiền' });
+  }
+});
+
+/**
+ * Get a novel's revenue split and the staff it applies to
+ * @route GET /api/payouts/novels/:novelId/split
+ */
+router.get('/novels/:novelId/split', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.novelId)) {
+      return res.status(400).json({ message: 'ID truyện không hợp lệ' });
+    }
+
+    const novel = await Novel.findById(req.params.novelId)
+      .select('title active revenueSplit novelBalance')
+      .lean();
+    if (!novel) {
+      return res.status(404).json({ message: 'Truyện không tồn tại' });
+    }
+
+    if (req.user.role !== 'admin' && !isPayoutStaff(req.user, novel)) {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+
+    res.json({
+      split: getRevenueSplit(novel),
+      isDefault: !novel.revenueSplit,
+      staff: await resolveNovelStaffUserIds(novel),
+      novelBalance: novel.novelBalance || 0,
+      pendingPayoutAmount: await PayoutRequest.getPendingAmount(novel._id),
+      minimumAmount: paymentConfig.payouts.minimumAmount,
+      vndPerUnit: paymentConfig.payouts.vndPerUnit
+    });
+  } catch (error) {
+    console.error('Failed to fetch revenue split:', error);
+    res.status(500).json({ message: 'Lỗi khi tải tỉ lệ chia doanh thu' });
+  }
+});
+
+/**
+ * Set a novel's revenue split (Admin or the novel's project owner)
+ * @route PUT /api/payouts/novels/:novelId/split
+ */
+router.put('/novels/:novelId/split', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.novelId)) {
+      return res.status(400).json({ message: 'ID truyện không hợp lệ' });
+    }
+
+    const novel = await Novel.findById(req.params.novelId).select('active revenueSplit');
+    if (!novel) {
+      return res.status(404).json({ message: 'Truyện không tồn tại' });
+    }
+
+    const isProjectOwner = isUserInStaffList(novel.active?.pj_user, req.user);
+    if (req.user.role !== 'admin' && !isProjectOwner) {
+      return res.status(403).json({ message: 'Chỉ admin hoặc chủ dự án mới có thể thay đổi tỉ lệ chia' });
+    }
+
+    novel.revenueSplit = validateRevenueSplit(req.body);
+    await novel.save();
+
+    await clearNovelCaches(novel._id);
+
+    res.json({ message: 'Đã cập nhật tỉ lệ chia doanh thu', split: getRevenueSplit(novel) });
+  } catch (error) {
+    handlePayoutError(res, error, 'Lỗi khi cập nhật tỉ lệ chia doanh thu');
+  }
+});
+
+/**
+ * Request a payout from a novel's balance
+ * @route POST /api/payouts/requests
+ */
+router.post('/requests', auth, idempotency, async (req, res) => {
+  try {
+    const { novelId, amount, note } = req.body;
+    const payout = await createPayoutRequest({ novelId, amount, note }, req.user);
+    res.status(201).json(payout);
+  } catch (error) {
+    handlePayoutError(res, error, 'Lỗi khi tạo yêu cầu rút tiền');
+  }
+});
+
+/**
+ * Get payout requests the current user created or is paid by
+ * @route GET /api/payouts/requests/my
+ */
+router.get('/requests/my', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { $or: [{ requestedBy: req.user._id }, { 'allocations.user': req.user._id }] };
+
+    const [payouts, total] = await Promise.all([
+      PayoutRequest.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('novel', 'title')
+        .populate('requestedBy', 'username displayName')
+        .populate('allocations.user', 'username displayName')
+        .lean(),
+      PayoutRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch payout requests:', error);
+    res.status(500).json({ message: 'Lỗi khi tải yêu cầu rút tiền' });
+  }
+});
+
+/**
+ * Cancel a pending payout request the current user created
+ * @route DELETE /api/payouts/requests/:payoutId
+ */
+router.delete('/requests/:payoutId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.payoutId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const payout = await PayoutRequest.findOneAndUpdate(
+      { _id: req.params.payoutId, requestedBy: req.user._id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!payout) {
+      return res.status(404).json({ message: 'Yêu cầu không tồn tại hoặc đã được xử lý' });
+    }
+
+    res.json({ message: 'Đã hủy yêu cầu rút tiền', payout });
+  } catch (error) {
+    console.error('Failed to cancel payout request:', error);
+    res.status(500).json({ message: 'Lỗi khi hủy yêu cầu rút tiền' });
+  }
+});
+
+/**
+ * Get the payout review queue (Admin only)
+ * Recipients' payout accounts are included so the admin can make the transfers.
+ * @route GET /api/payouts/admin/requests
+ */
+router.get('/admin/requests', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+
+    const { status = 'pending' } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = status === 'all' ? {} : { status };
+
+    const [payouts, total] = await Promise.all([
+      PayoutRequest.find(query)
+        // Oldest first so the queue is worked in order
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('novel', 'title novelBalance')
+        .populate('requestedBy', 'username displayName')
+        .populate('reviewedBy', 'username displayName')
+        .populate('allocations.user', 'username displayName payoutAccount')
+        .lean(),
+      PayoutRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      payouts,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch payout queue:', error);
+    res.status(500).json({ message: 'Lỗi khi tải danh sách rút tiền' });
+  }
+});
+
+/**
+ * Mark a payout as paid after transferring the money (Admin only)
+ * @route POST /api/payouts/requests/:payoutId/approve
+ */
+router.post('/requests/:payoutId/approve', auth, idempotency, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.payoutId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const { transferReferences, note } = req.body;
+    const payout = await approvePayoutRequest(req.params.payoutId, req.user, { transferReferences, note });
+
+    await clearNovelCaches(payout.novel);
+    await clearContributionHistoryCache(payout.novel);
+
+    res.json({ message: `Đã chi trả ${payout.amount} 🌾 (${payout.moneyAmount.toLocaleString('vi-VN')} VND)`, payout });
+  } catch (error) {
+    handlePayoutError(res, error, 'Lỗi khi duyệt yêu cầu rút tiền');
+  }
+});
+
+/**
+ * Reject a payout request (Admin only)
+ * @route POST /api/payouts/requests/:payoutId/reject
+ */
+router.post('/requests/:payoutId/reject', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.payoutId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const payout = await rejectPayoutRequest(req.params.payoutId, req.user, req.body.note);
+    res.json({ message: 'Đã từ chối yêu cầu rút tiền', payout });
+  } catch (error) {
+    handlePayoutError(res, error, 'Lỗi khi từ chối yêu cầu rút tiền');
+  }
+});
+
+/**
+ * Get the current user's earnings per novel per month
+ * Admins can pass userId to see another staff member's statement.
+ * @route GET /api/payouts/statement?from=YYYY-MM&to=YYYY-MM
+ */
+router.get('/statement', auth, async (req, res) => {
+  try {
+    const { from, to, userId } = req.query;
+
+    if ((from && !parseMonth(from)) || (to && !parseMonth(to))) {
+      return res.status(400).json({ message: 'Tháng phải có dạng YYYY-MM' });
+    }
+
+    let statementUserId = req.user._id;
+    if (userId && userId !== req.user._id.toString()) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'Truy cập bị từ chối' });
+      }
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: 'ID người dùng không hợp lệ' });
+      }
+      statementUserId = userId;
+    }
+
+    const statement = await getEarningsStatement(statementUserId, {
+      from: from ? parseMonth(from) : undefined,
+      // Include the whole "to" month
+      to: to ? parseMonth(to, 1) : undefined
+    });
+
+    res.json(statement);
+  } catch (error) {
+    console.error('Failed to fetch earnings statement:', error);
+    res.status(500).json({ message: 'Lỗi khi tải sao kê thu nhập' });
+  }
+});
+
+export default router;
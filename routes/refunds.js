@@ -0,0 +1,255 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import RefundRequest from '../models/RefundRequest.js';
+import {
+  createRefundRequest,
+  approveRefundRequest,
+  rejectRefundRequest,
+  recordChargeback,
+  REFUND_WINDOW_DAYS
+} from '../services/refundService.js';
+import { clearNovelCaches } from '../utils/cacheUtils.js';
+import { clearContributionHistoryCache } from './novels.js';
+import { clearGiftsCache } from './gifts.js';
+
+const router = express.Router();
+
+/**
+ * Send a refund service error with its status, or a generic 500
+ */
+const handleRefundError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Clear caches that show novel balances after 🌾 was moved back from a novel
+ */
+const clearRefundCaches = async (refund) => {
+  if (!refund.novel) {
+    return;
+  }
+  await clearNovelCaches(refund.novel);
+  await clearContributionHistoryCache(refund.novel);
+  if (refund.targetType === 'gift') {
+    await clearGiftsCache(refund.novel.toString());
+  }
+};
+
+/**
+ * Request a refund for one of the user's top-ups, rentals or gifts
+ * @route POST /api/refunds
+ */
+router.post('/', auth, idempotency, async (req, res) => {
+  try {
+    const { targetType, targetId, amount, reason } = req.body;
+
+    const refund = await createRefundRequest({
+      user: req.user,
+      targetType,
+      targetId,
+      amount,
+      reason
+    });
+
+    res.status(201).json(refund);
+  } catch (error) {
+    handleRefundError(res, error, 'Lỗi khi tạo yêu cầu hoàn tiền');
+  }
+});
+
+/**
+ * Get the current user's refund requests
+ * @route GET /api/refunds/my
+ */
+router.get('/my', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const [refunds, total] = await Promise.all([
+      RefundRequest.find({ user: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('novel', 'title')
+        .lean(),
+      RefundRequest.countDocuments({ user: req.user._id })
+    ]);
+
+    res.json({
+      refunds,
+      refundWindowDays: REFUND_WINDOW_DAYS,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch refund requests:', error);
+    res.status(500).json({ message: 'Lỗi khi tải yêu cầu hoàn tiền' });
+  }
+});
+
+/**
+ * Cancel the user's own pending refund request
+ * @route DELETE /api/refunds/:refundId
+ */
+router.delete('/:refundId', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const refund = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.refundId, user: req.user._id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!refund) {
+      return res.status(404).json({ message: 'Yêu cầu không tồn tại hoặc đã được xử lý' });
+    }
+
+    res.json({ message: 'Đã hủy yêu cầu hoàn tiền', refund });
+  } catch (error) {
+    console.error('Failed to cancel refund request:', error);
+    res.status(500).json({ message: 'Lỗi khi hủy yêu cầu hoàn tiền' });
+  }
+});
+
+/**
+ * Get the refund review queue (Admin only)
+ * @route GET /api/refunds/admin
+ */
+router.get('/admin', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+
+    const { status = 'pending', targetType, kind } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (kind) {
+      query.kind = kind;
+    }
+
+    const [refunds, total] = await Promise.all([
+      RefundRequest.find(query)
+        // Oldest first so the queue is worked in order
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('user', 'username displayName balance')
+        .populate('novel', 'title novelBalance novelBudget')
+        .populate('reviewedBy', 'username displayName')
+        .populate('targetId')
+        .lean(),
+      RefundRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      refunds,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Failed to fetch refund queue:', error);
+    res.status(500).json({ message: 'Lỗi khi tải danh sách hoàn tiền' });
+  }
+});
+
+/**
+ * Approve a refund request, optionally for a smaller amount (Admin only)
+ * @route POST /api/refunds/:refundId/approve
+ */
+router.post('/:refundId/approve', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const { amount, note } = req.body;
+    const refund = await approveRefundRequest(req.params.refundId, req.user, { amount, note });
+
+    await clearRefundCaches(refund);
+
+    res.json({
+      message: refund.approvedAmount < refund.requestedAmount
+        ? `Đã hoàn một phần ${refund.approvedAmount} 🌾`
+        : `Đã hoàn ${refund.approvedAmount} 🌾`,
+      refund
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'Lỗi khi duyệt yêu cầu hoàn tiền');
+  }
+});
+
+/**
+ * Reject a refund request (Admin only)
+ * @route POST /api/refunds/:refundId/reject
+ */
+router.post('/:refundId/reject', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.refundId)) {
+      return res.status(400).json({ message: 'ID yêu cầu không hợp lệ' });
+    }
+
+    const refund = await rejectRefundRequest(req.params.refundId, req.user, req.body.note);
+    res.json({ message: 'Đã từ chối yêu cầu hoàn tiền', refund });
+  } catch (error) {
+    handleRefundError(res, error, 'Lỗi khi từ chối yêu cầu hoàn tiền');
+  }
+});
+
+/**
+ * Record a chargeback on a top-up and take the 🌾 back (Admin only)
+ * @route POST /api/refunds/chargebacks
+ */
+router.post('/chargebacks', auth, idempotency, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+
+    const { topUpRequestId, amount, note } = req.body;
+    const refund = await recordChargeback({ topUpRequestId, amount, note }, req.user);
+
+    res.status(201).json({
+      message: refund.unrecoveredAmount > 0
+        ? `Đã thu hồi ${refund.approvedAmount} 🌾, còn ${refund.unrecoveredAmount} 🌾 không thu hồi được`
+        : `Đã thu hồi ${refund.approvedAmount} 🌾`,
+      refund
+    });
+  } catch (error) {
+    handleRefundError(res, error, 'Lỗi khi ghi nhận chargeback');
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import Report from '../models/Report.js';
 import { auth, checkRole } from '../middleware/auth.js';
 import { createReportFeedbackNotification } from '../services/notificationService.js';
 import { broadcastEvent } from '../services/sseService.js';
+import { recordAuditLog, snapshotFields } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -92,8 +93,24 @@ router.put('/:id/resolve', auth, checkRole(['admin', 'moderator']), async (req,
       return res.status(404).json({ message: 'Report not found' });
     }
     
+    const before = snapshotFields(report, ['status']);
     report.status = 'resolved';
     await report.save();
+
+    await recordAuditLog(req, {
+      action: 'report.resolve',
+      targetType: 'report',
+      targetId: report._id,
+      targetLabel: report.contentTitle,
+      before,
+      after: snapshotFields(report, ['status']),
+      reason: responseMessage,
+      metadata: {
+        contentType: report.contentType,
+        contentId: report.contentId,
+        reportType: report.reportType
+      }
+    });
     
     // Clear admin cache since pending reports count changed
     const { clearAdminCache } = await import('./users.js');
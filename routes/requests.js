@@ -1,5 +1,6 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import Request from '../models/Request.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
@@ -7,32 +8,21 @@ import { createTransaction } from './userTransaction.js';
 import { createNovelTransaction } from './novelTransactions.js';
 import ContributionHistory from '../models/ContributionHistory.js';
 import { clearUserCache } from '../utils/userCache.js';
+import { createCache, invalidateCacheTags } from '../utils/cacheStore.js';
+import { postLedgerEntry, postPlatformCredit, getBalanceAfter, ledgerAccounts } from '../services/ledgerService.js';
 import { clearContributionHistoryCache } from './novels.js';
 
 const router = express.Router();
 
-// Simple in-memory cache for requests
-const requestsCache = new Map();
-const REQUESTS_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
+// Request listings, per sort and filter
+const REQUESTS_TAG = 'requests';
+const requestsCache = createCache('requests', { ttl: 60 * 2 }); // 2 minutes
 
-const getCachedRequests = (cacheKey) => {
-  const cached = requestsCache.get(cacheKey);
-  if (cached && (Date.now() - cached.timestamp) < REQUESTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedRequests = (cacheKey) => requestsCache.get(cacheKey);
 
-const setCachedRequests = (cacheKey, data) => {
-  requestsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const setCachedRequests = (cacheKey, data) => requestsCache.set(cacheKey, data, { tags: [REQUESTS_TAG] });
 
-const clearRequestsCache = () => {
-  requestsCache.clear();
-};
+const clearRequestsCache = () => invalidateCacheTags(REQUESTS_TAG);
 
 /**
  * Get all requests
@@ -47,7 +37,7 @@ router.get('/', async (req, res) => {
     const cacheKey = `requests_${sort}_${includeAll}`;
     
     // Check cache first
-    const cachedResult = getCachedRequests(cacheKey);
+    const cachedResult = await getCachedRequests(cacheKey);
     if (cachedResult) {
       return res.json(cachedResult);
     }
@@ -91,7 +81,7 @@ router.get('/', async (req, res) => {
     }
     
     // Cache the result
-    setCachedRequests(cacheKey, requests);
+    await setCachedRequests(cacheKey, requests);
     
     return res.json(requests);
   } catch (error) {
@@ -104,7 +94,7 @@ router.get('/', async (req, res) => {
  * Create a new request
  * @route POST /api/requests
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -164,26 +154,30 @@ router.post('/', auth, async (req, res) => {
     await newRequest.save({ session });
     
     // Clear requests cache since new request was created
-    clearRequestsCache();
+    await clearRequestsCache();
     
     // Only deduct deposit for non-web requests
     if (type !== 'web') {
-      // Store old balance for transaction record
-      const oldBalance = user.balance;
-      
-          // Deduct deposit from user balance
-    user.balance -= deposit;
-    await user.save({ session });
-    
-    // Clear user cache to ensure fresh balance is returned by API calls
-    clearUserCache(user._id, user.username);
-      
       // Record the transaction in UserTransaction ledger
       let description;
       if (type === 'new') {
         description = 'Yêu cầu truyện mới';
       }
       
+      // Hold the deposit in escrow until the request is approved or declined
+      const { balanceAfter } = await postPlatformCredit({
+        userId: user._id,
+        amount: -deposit,
+        type: 'request',
+        description: description || 'Cọc yêu cầu',
+        sourceId: newRequest._id,
+        sourceModel: 'Request',
+        performedBy: user._id
+      }, session);
+    
+      // Clear user cache to ensure fresh balance is returned by API calls
+      await clearUserCache(user._id, user.username);
+      
       await createTransaction({
         userId: user._id,
         amount: -deposit, // Negative amount for deductions
@@ -192,7 +186,7 @@ router.post('/', auth, async (req, res) => {
         sourceId: newRequest._id,
         sourceModel: 'Request',
         performedById: null, // User initiated
-        balanceAfter: user.balance
+        balanceAfter
       }, session);
     }
     
@@ -209,6 +203,9 @@ router.post('/', auth, async (req, res) => {
     res.status(201).json(newRequest);
   } catch (error) {
     await session.abortTransaction();
+    if (error.code === 'INSUFFICIENT_BALANCE') {
+      return res.status(400).json({ message: 'Insufficient balance' });
+    }
     console.error('Failed to create request:', error);
     res.status(500).json({ message: 'Failed to create request' });
   } finally {
@@ -249,7 +246,7 @@ router.post('/:requestId/like', auth, async (req, res) => {
     await request.save();
     
     // Clear requests cache since request likes were updated
-    clearRequestsCache();
+    await clearRequestsCache();
     
     res.json({ 
       liked: !alreadyLiked,
@@ -338,19 +335,21 @@ router.post('/:requestId/approve', auth, async (req, res) => {
     const totalAmount = request.deposit + totalContributions;
     const oldBalance = matchingNovel.novelBalance || 0;
     const oldBudget = matchingNovel.novelBudget || 0;
-    const newBalance = oldBalance + totalAmount;
-    const newBudget = oldBudget + totalAmount;
-    
-    await Novel.findByIdAndUpdate(
-      matchingNovel._id, 
-      { 
-        $inc: { 
-          novelBalance: totalAmount,
-          novelBudget: totalAmount 
-        } 
-      },
-      { session }
-    );
+    
+    // Release the escrowed deposit and contributions to the novel, and fund its unlock budget
+    const approval = await postLedgerEntry({
+      type: 'request',
+      description: `Yêu cầu được chấp nhận: ${request.title}`,
+      lines: [
+        { ...ledgerAccounts.novelBalance(matchingNovel._id), amount: totalAmount },
+        { ...ledgerAccounts.novelBudget(matchingNovel._id), amount: totalAmount },
+        { ...ledgerAccounts.platform(), amount: -2 * totalAmount }
+      ],
+      sourceId: request._id,
+      sourceModel: 'Request',
+      performedBy: req.user._id
+    }, session);
+    const newBalance = getBalanceAfter(approval, ledgerAccounts.novelBalance(matchingNovel._id)) ?? oldBalance;
     
     // Create separate ContributionHistory records for deposit and contributions
     // This ensures proper audit trail for all money transferred to the novel
@@ -414,10 +413,10 @@ router.post('/:requestId/approve', auth, async (req, res) => {
     await request.save({ session });
     
     // Clear requests cache since request was approved
-    clearRequestsCache();
+    await clearRequestsCache();
     
     // Clear contribution history cache since new contributions were added to the novel
-    clearContributionHistoryCache(matchingNovel._id);
+    await clearContributionHistoryCache(matchingNovel._id);
     
     // Record the transaction in UserTransaction ledger - no balance change since deposit was already deducted
     await createTransaction({
@@ -506,22 +505,26 @@ router.post('/:requestId/decline', auth, async (req, res) => {
       return res.status(404).json({ message: 'Người dùng không tồn tại' });
     }
     
-    // Store old balance for transaction record
-    const oldBalance = user.balance;
-    
     // Update request status
     request.status = 'declined';
     await request.save({ session });
     
     // Clear requests cache since request was declined
-    clearRequestsCache();
+    await clearRequestsCache();
     
     // Refund deposit to user
-    user.balance += request.deposit;
-    await user.save({ session });
+    await postPlatformCredit({
+      userId: user._id,
+      amount: request.deposit,
+      type: 'refund',
+      description: 'Hoàn lúa do admin từ chối yêu cầu',
+      sourceId: request._id,
+      sourceModel: 'Request',
+      performedBy: req.user._id
+    }, session);
     
     // Clear user cache to ensure fresh balance is returned by API calls
-    clearUserCache(user._id, user.username);
+    await clearUserCache(user._id, user.username);
     
     // Record the refund transaction in UserTransaction ledger
     await createTransaction({
@@ -531,8 +534,7 @@ router.post('/:requestId/decline', auth, async (req, res) => {
       description: `Hoàn lúa do admin từ chối yêu cầu`,
       sourceId: request._id,
       sourceModel: 'Request',
-      performedById: req.user._id, // Admin initiated
-      balanceAfter: user.balance
+      performedById: req.user._id // Admin initiated
     }, session);
     
     // For 'new' type requests, find and refund all pending contributions
@@ -558,12 +560,18 @@ router.post('/:requestId/decline', auth, async (req, res) => {
         for (const contribution of pendingContributions) {
           const contributor = await User.findById(contribution.user).session(session);
           if (contributor) {
-            const contributorOldBalance = contributor.balance;
-            contributor.balance += contribution.amount;
-            await contributor.save({ session });
+            await postPlatformCredit({
+              userId: contributor._id,
+              amount: contribution.amount,
+              type: 'refund',
+              description: 'Hoàn lúa do admin từ chối yêu cầu',
+              sourceId: contribution._id,
+              sourceModel: 'Contribution',
+              performedBy: req.user._id
+            }, session);
             
             // Clear contributor's cache
-            clearUserCache(contributor._id, contributor.username);
+            await clearUserCache(contributor._id, contributor.username);
             
             // Record the refund transaction
             await createTransaction({
@@ -573,8 +581,7 @@ router.post('/:requestId/decline', auth, async (req, res) => {
               description: `Hoàn lúa do admin từ chối yêu cầu`,
               sourceId: request._id,
               sourceModel: 'Request',
-              performedById: req.user._id, // Admin initiated
-              balanceAfter: contributor.balance
+              performedById: req.user._id // Admin initiated
             }, session);
             
             contributionsRefunded++;
@@ -639,15 +646,19 @@ router.post('/:requestId/withdraw', auth, async (req, res) => {
       return res.status(404).json({ message: 'Người dùng không tồn tại' });
     }
     
-    // Store old balance for transaction record
-    const oldBalance = user.balance;
-    
     // Refund deposit to user
-    user.balance += request.deposit;
-    await user.save({ session });
+    await postPlatformCredit({
+      userId: user._id,
+      amount: request.deposit,
+      type: 'refund',
+      description: 'Hoàn lúa từ việc rút lại yêu cầu',
+      sourceId: request._id,
+      sourceModel: 'Request',
+      performedBy: user._id
+    }, session);
     
     // Clear user cache to ensure fresh balance is returned by API calls
-    clearUserCache(user._id, user.username);
+    await clearUserCache(user._id, user.username);
     
     // Record the refund transaction in UserTransaction ledger
     await createTransaction({
@@ -657,8 +668,7 @@ router.post('/:requestId/withdraw', auth, async (req, res) => {
       description: `Hoàn lúa từ việc rút lại yêu cầu`,
       sourceId: request._id,
       sourceModel: 'Request',
-      performedById: null, // User initiated
-      balanceAfter: user.balance
+      performedById: null // User initiated
     }, session);
     
     // For 'new' type requests, find and refund all pending contributions
@@ -683,12 +693,18 @@ router.post('/:requestId/withdraw', auth, async (req, res) => {
         for (const contribution of pendingContributions) {
           const contributor = await User.findById(contribution.user).session(session);
           if (contributor) {
-            const contributorOldBalance = contributor.balance;
-            contributor.balance += contribution.amount;
-            await contributor.save({ session });
+            await postPlatformCredit({
+              userId: contributor._id,
+              amount: contribution.amount,
+              type: 'refund',
+              description: 'Hoàn lúa do yêu cầu được rút lại',
+              sourceId: contribution._id,
+              sourceModel: 'Contribution',
+              performedBy: userId
+            }, session);
             
             // Clear contributor's cache
-            clearUserCache(contributor._id, contributor.username);
+            await clearUserCache(contributor._id, contributor.username);
             
             // Record the refund transaction
             await createTransaction({
@@ -698,8 +714,7 @@ router.post('/:requestId/withdraw', auth, async (req, res) => {
               description: `Hoàn lúa do yêu cầu được rút lại`,
               sourceId: request._id,
               sourceModel: 'Request',
-              performedById: null,
-              balanceAfter: contributor.balance
+              performedById: null
             }, session);
           }
         }
@@ -711,7 +726,7 @@ router.post('/:requestId/withdraw', auth, async (req, res) => {
     await request.save({ session });
     
     // Clear requests cache since request was withdrawn
-    clearRequestsCache();
+    await clearRequestsCache();
     
     await session.commitTransaction();
     res.json({ 
@@ -0,0 +1,48 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import admin from '../middleware/admin.js';
+import { searchNovels, rebuildSearchIndex, isSearchIndexRebuilding } from '../services/searchService.js';
+
+const router = express.Router();
+
+/**
+ * Send a search service error with its status, or a generic 500
+ */
+const handleSearchError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * Search novels and chapter text, with or without diacritics
+ * @route GET /api/search?q=&page=&limit=&genres=a,b&status=&ttsEnabled=&wordCount=
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, page, limit, genres, status, ttsEnabled, wordCount } = req.query;
+    const result = await searchNovels({ q, page, limit, genres, status, ttsEnabled, wordCount });
+    res.json(result);
+  } catch (error) {
+    handleSearchError(res, error, 'Lỗi khi tìm kiếm');
+  }
+});
+
+/**
+ * Re-create the search index from scratch (admin only)
+ * Runs in the background; the result is logged.
+ * @route POST /api/search/rebuild
+ */
+router.post('/rebuild', [auth, admin], async (req, res) => {
+  if (isSearchIndexRebuilding()) {
+    return res.status(409).json({ message: 'Chỉ mục tìm kiếm đang được dựng lại' });
+  }
+  rebuildSearchIndex()
+    .then(result => console.log('Search index rebuilt:', result))
+    .catch(error => console.error('Error rebuilding search index:', error));
+  res.status(202).json({ message: 'Đang dựng lại chỉ mục tìm kiếm' });
+});
+
+export default router;
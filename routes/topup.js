@@ -1,74 +1,37 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import User from '../models/User.js';
 import TopUpRequest from '../models/TopUpRequest.js';
 import TransactionInfo from '../models/TransactionInfo.js';
 import mongoose from 'mongoose';
-import { validatePrepaidCard } from '../integrations/cardProvider.js';
+import { submitPrepaidCard, generateCardTransactionId, getCardProviderAdapter, maskCardNumber } from '../integrations/cardProvider.js';
 import { getBankAccountInfo } from '../utils/paymentUtils.js';
 import paymentConfig from '../config/paymentConfig.js';
 import { createTransaction } from './userTransaction.js';
 import { broadcastEventToUser } from '../services/sseService.js';
+import { applyCardResult } from '../services/prepaidCardService.js';
+import { getEwalletAdapter, getEwalletIpnUrl } from '../integrations/ewalletProvider.js';
+import { normalizeCassoTransaction } from '../integrations/cassoClient.js';
+import { reconcileBankTransactions, rematchUnmatchedTransactions } from '../services/bankReconciliationService.js';
+import { postPlatformCredit } from '../services/ledgerService.js';
 
 const router = express.Router();
 
 // Set expiration time for pending requests (30 minutes)
 const PENDING_REQUEST_EXPIRY_TIME = 30 * 60 * 1000; // 30 minutes in milliseconds
 
-/**
- * Calculate balance to add based on amount paid
- * Uses the pricing tiers defined in the system
- */
-function calculateBalanceFromAmount(amountPaid) {
-  // Pricing tiers from the system
-  const pricingTiers = [
-    { price: 12000, balance: 100 },
-    { price: 20000, balance: 200 },
-    { price: 50000, balance: 520 },
-    { price: 100000, balance: 1100 },
-    { price: 200000, balance: 2250 },
-    { price: 350000, balance: 4000 }
-  ];
-  
-  // Find exact match first
-  const exactMatch = pricingTiers.find(tier => tier.price === amountPaid);
-  if (exactMatch) {
-    return exactMatch.balance;
-  }
-  
-  // Find the closest tier (for approximate amounts)
-  let closestTier = pricingTiers[0];
-  let smallestDifference = Math.abs(amountPaid - closestTier.price);
-  
-  for (const tier of pricingTiers) {
-    const difference = Math.abs(amountPaid - tier.price);
-    if (difference < smallestDifference) {
-      smallestDifference = difference;
-      closestTier = tier;
-    }
-  }
-  
-  // If the difference is reasonable (within 10%), use the tier's balance
-  const percentageDifference = smallestDifference / closestTier.price;
-  if (percentageDifference <= 0.1) { // Within 10%
-    return closestTier.balance;
-  }
-  
-  // Fallback: calculate proportionally based on the base rate (100 VND = ~1 rice)
-  return Math.floor(amountPaid / 100);
-}
-
 /**
  * User-initiated top-up request
  * @route POST /api/topup/request
  * @description Users can request to top up their account balance
  */
-router.post('/request', auth, async (req, res) => {
+router.post('/request', auth, idempotency, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
   try {
-    const { amount, balance, paymentMethod, details } = req.body;
+    const { amount, balance, paymentMethod, subMethod, details } = req.body;
     
     // Validate request data
     if (!amount || !balance || !paymentMethod) {
@@ -107,83 +70,21 @@ router.post('/request', auth, async (req, res) => {
       
       // Save the request
       await topUpRequest.save({ session });
+      await session.commitTransaction();
       
-      // Check for unmatched transactions that can now be matched
-      const unmatched = await TransactionInfo.findOne({ 
-        extractedContent: transferContent,
-        processed: false
-      });
+      // The transfer may have arrived before the request, check the unmatched queue
+      const matchedResults = await rematchUnmatchedTransactions({ requestId: topUpRequest._id });
+      const matched = matchedResults[matchedResults.length - 1];
       
-      if (unmatched) {
-        console.log(`Found matching unprocessed transaction for new request: ${unmatched.transactionId}`);
-        
-        // Create transaction data format
-        const transactionData = {
-          transactionId: unmatched.transactionId,
-          amount: unmatched.amount,
-          description: unmatched.description,
-          date: unmatched.date,
-          matched: true
-        };
-        
-        // Mark transaction as processed and matched
-        unmatched.processed = true;
-        unmatched.status = 'matched';
-        await unmatched.save({ session });
-        
-        // Update the request with transaction info
-        topUpRequest.bankTransactions.push(transactionData);
-        topUpRequest.receivedAmount = unmatched.amount;
-        topUpRequest.status = 'Completed';
-        topUpRequest.completedAt = new Date();
-        topUpRequest.details.bankReference = unmatched.transactionId;
-        topUpRequest.details.autoProcessed = true;
-        
-        // Remove expiration to prevent TTL deletion of completed requests
-        topUpRequest.expiresAt = undefined;
-        
-        await topUpRequest.save({ session });
-        
-        // Update user balance
-        await User.findByIdAndUpdate(
-          req.user._id,
-          { $inc: { balance: topUpRequest.balance } },
-          { session }
-        );
-        
-        // Record in transaction ledger
-        await createTransaction({
-          userId: req.user._id,
-          amount: topUpRequest.balance,
-          type: 'topup',
-          description: `Nạp tiền qua chuyển khoản ngân hàng (tự động - khớp với giao dịch trước đó)`,
-          sourceId: topUpRequest._id,
-          sourceModel: 'TopUpRequest',
-          performedById: null, // Automatic process
-          balanceAfter: req.user.balance + topUpRequest.balance
-        }, session);
-        
-        await session.commitTransaction();
-        
-        // Broadcast balance update event to user via SSE
-        broadcastEventToUser('balance_updated', {
-          userId: req.user._id,
-          balanceAdded: topUpRequest.balance,
-          newBalance: req.user.balance + topUpRequest.balance,
-          reason: 'topup',
-          description: 'Nạp tiền qua chuyển khoản ngân hàng (tự động - khớp với giao dịch trước đó)'
-        }, req.user._id);
-        
+      if (matched && matched.status !== 'partial') {
         return res.status(200).json({ 
           message: 'Đã tìm thấy giao dịch chuyển khoản khớp với mã của bạn. Tài khoản đã được cập nhật.',
           requestId: topUpRequest._id,
           status: 'Completed',
-          balanceAdded: topUpRequest.balance
+          balanceAdded: matched.balanceAdded
         });
       }
       
-      await session.commitTransaction();
-      
       return res.status(200).json({ 
         message: 'Top-up request received. Please complete the bank transfer with the exact amount and reference.',
         requestId: topUpRequest._id,
@@ -201,90 +102,130 @@ router.post('/request', auth, async (req, res) => {
         return res.status(400).json({ message: 'Missing prepaid card details' });
       }
       
+      if (!getCardProviderAdapter(details.provider)) {
+        return res.status(400).json({ message: 'Unsupported card provider' });
+      }
+      
+      const transactionId = generateCardTransactionId(details.provider);
+      
+      // Store masked card number for security, never the PIN
       topUpRequest.details = {
         provider: details.provider,
-        cardNumber: details.cardNumber,
-        cardPin: details.cardPin
+        cardNumber: maskCardNumber(details.cardNumber),
+        transactionId
       };
       
-      // Validate the card immediately
-      const validationResult = await validatePrepaidCard(
-        details.provider,
-        details.cardNumber,
-        details.cardPin
-      );
+      // Pending cards wait for the provider callback, which can take longer than a bank transfer
+      topUpRequest.expiresAt = new Date(Date.now() + paymentConfig.cardGateway.pendingExpiryMs);
       
-      // Store masked card number for security
-      topUpRequest.details.cardNumber = validationResult.cardNumber;
+      // Save before submitting the card so the provider callback can always find the request
+      await topUpRequest.save({ session });
+      await session.commitTransaction();
       
-      if (!validationResult.valid) {
-        // Save the failed request for record keeping
-        topUpRequest.status = 'Failed';
-        topUpRequest.notes = validationResult.message;
-        await topUpRequest.save({ session });
-        await session.commitTransaction();
-        
-        return res.status(400).json({ 
-          message: validationResult.message || 'Invalid card details',
-          requestId: topUpRequest._id,
-          status: 'Failed'
+      const cardResult = await submitPrepaidCard({
+        provider: details.provider,
+        transactionId,
+        cardNumber: details.cardNumber,
+        cardPin: details.cardPin,
+        declaredValue: amount
+      });
+      
+      const settledRequest = await applyCardResult(topUpRequest._id, cardResult);
+      
+      // Already settled by a callback that arrived before the submit call returned
+      const finalRequest = settledRequest || await TopUpRequest.findById(topUpRequest._id);
+      
+      if (finalRequest.status === 'Pending') {
+        return res.status(202).json({
+          message: 'Thẻ đang được nhà mạng xử lý. Số dư sẽ được cộng khi có kết quả.',
+          requestId: finalRequest._id,
+          status: 'Pending'
         });
       }
       
-      // If card value doesn't match expected amount, adjust or reject
-      if (validationResult.amount !== amount) {
-        // Option 2: Reject the card
-        topUpRequest.status = 'Failed';
-        topUpRequest.notes = `Card value (${validationResult.amount}) does not match expected amount (${amount})`;
-        await topUpRequest.save({ session });
-        await session.commitTransaction();
-        
+      if (finalRequest.status !== 'Completed') {
         return res.status(400).json({
-          message: `Card value (${validationResult.amount}) does not match expected amount (${amount})`,
-          requestId: topUpRequest._id,
-          status: 'Failed'
+          message: finalRequest.notes || 'Invalid card details',
+          requestId: finalRequest._id,
+          status: finalRequest.status
         });
       }
       
-      // Card is valid, update request and user balance
-      topUpRequest.status = 'Completed';
-      topUpRequest.completedAt = new Date();
+      return res.status(200).json({ 
+        message: finalRequest.details.wrongDenomination
+          ? 'Thẻ sai mệnh giá, số dư đã được cộng sau khi trừ phí phạt'
+          : 'Card accepted and balance added to your account',
+        requestId: finalRequest._id,
+        status: 'Completed',
+        balanceAdded: finalRequest.details.creditedBalance ?? finalRequest.balance,
+        wrongDenomination: finalRequest.details.wrongDenomination
+      });
+    } else if (paymentMethod === 'ewallet') {
+      const adapter = getEwalletAdapter(subMethod);
+      if (!adapter) {
+        return res.status(400).json({ message: 'Unsupported e-wallet' });
+      }
       
-      // Remove expiration to prevent TTL deletion of completed requests
-      topUpRequest.expiresAt = undefined;
+      const orderId = adapter.generateOrderId();
       
-      await topUpRequest.save({ session });
+      topUpRequest.subMethod = subMethod;
+      topUpRequest.details = { orderId };
       
-      // Update user balance (no bonus)
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $inc: { balance: topUpRequest.balance } },
-        { session }
-      );
+      // Unpaid orders are closed by the reconciliation job, so keep the request around past the order timeout
+      topUpRequest.expiresAt = new Date(Date.now() + paymentConfig.ewalletGateway.pendingExpiryMs);
       
+      // Save before creating the order so the IPN can always find the request
+      await topUpRequest.save({ session });
       await session.commitTransaction();
       
-      // Broadcast balance update event to user via SSE
-      broadcastEventToUser('balance_updated', {
-        userId: req.user._id,
-        balanceAdded: topUpRequest.balance,
-        newBalance: req.user.balance + topUpRequest.balance,
-        reason: 'topup',
-        description: 'Nạp tiền qua thẻ trả trước'
-      }, req.user._id);
-      
-      return res.status(200).json({ 
-        message: 'Card accepted and balance added to your account',
-        requestId: topUpRequest._id,
-        status: 'Completed',
-        balanceAdded: topUpRequest.balance
-      });
+      try {
+        const order = await adapter.createOrder({
+          orderId,
+          amount,
+          description: `Nạp ${balance} lúa - ${req.user.username}`,
+          userId: req.user._id,
+          ipnUrl: getEwalletIpnUrl(subMethod),
+          redirectUrl: paymentConfig.ewalletGateway.redirectUrl
+        });
+        
+        topUpRequest.details = { ...topUpRequest.details, ...order };
+        await topUpRequest.save();
+        
+        return res.status(200).json({
+          message: 'Đã tạo đơn thanh toán. Vui lòng hoàn tất thanh toán trên ví điện tử.',
+          requestId: topUpRequest._id,
+          status: 'Pending',
+          payment: {
+            subMethod,
+            orderId,
+            payUrl: order.payUrl,
+            deeplink: order.deeplink,
+            qrCode: order.qrCode
+          }
+        });
+      } catch (orderError) {
+        console.error(`Failed to create ${subMethod} order:`, orderError.message);
+        
+        topUpRequest.status = 'Failed';
+        topUpRequest.notes = orderError.message || 'Không thể tạo đơn thanh toán';
+        topUpRequest.expiresAt = undefined;
+        await topUpRequest.save();
+        
+        return res.status(502).json({
+          message: 'Không thể tạo đơn thanh toán ví điện tử, vui lòng thử lại sau',
+          requestId: topUpRequest._id,
+          status: 'Failed'
+        });
+      }
     } else {
       await session.abortTransaction();
       return res.status(400).json({ message: 'Invalid payment method' });
     }
   } catch (error) {
-    await session.abortTransaction();
+    // Some branches commit the request before calling out to a payment provider
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
     console.error('Top-up request error:', error);
     res.status(500).json({ message: 'Failed to process top-up request' });
   } finally {
@@ -353,6 +294,19 @@ router.get('/pending', auth, async (req, res) => {
         
         // Add bank account info for convenience
         formattedRequest.ourBankAccount = getBankAccountInfo();
+      } else if (request.paymentMethod === 'ewallet') {
+        formattedRequest.subMethod = request.subMethod;
+        formattedRequest.ewalletInfo = {
+          orderId: request.details.orderId,
+          payUrl: request.details.payUrl,
+          deeplink: request.details.deeplink,
+          qrCode: request.details.qrCode
+        };
+      } else if (request.paymentMethod === 'prepaidCard') {
+        formattedRequest.cardInfo = {
+          provider: request.details.provider,
+          cardNumber: request.details.cardNumber // Already masked during processing
+        };
       }
       
       return formattedRequest;
@@ -434,6 +388,13 @@ router.delete('/request/:requestId', auth, async (req, res) => {
       });
     }
     
+    // The card has already been sent to the provider and can still be charged
+    if (request.paymentMethod === 'prepaidCard') {
+      return res.status(400).json({
+        message: 'Thẻ đang được nhà mạng xử lý, không thể huỷ yêu cầu'
+      });
+    }
+    
     // Update request status
     request.status = 'Cancelled';
     request.notes = 'Cancelled by user';
@@ -516,382 +477,9 @@ router.post('/process-bank-transfer', async (req, res) => {
       return res.status(400).json({ message: 'Invalid webhook data format' });
     }
     
-    // Process each transaction in the webhook
-    const results = [];
+    // Match through the same reconciliation core as the hourly job and statement imports
+    const { results } = await reconcileBankTransactions(data.map(normalizeCassoTransaction));
     
-    for (const transaction of data) {
-      // Extract necessary information from Casso transaction format
-      const { 
-        description,    // Transfer content/description
-        amount,         // Amount (in test data)
-        tid,            // Transaction ID (tid in test data, transId in production)
-        bank_sub_acc_id, // Bank account ID (different naming in test vs production)
-      } = transaction;
-      
-      // Use either creditAmount (production) or amount (test)
-      const creditAmount = transaction.creditAmount || amount;
-      // Use either transId (production) or tid (test)
-      const transId = transaction.transId || tid;
-      
-      // Skip if important data is missing
-      if (!description || !creditAmount || !transId) {
-        results.push({
-          transId: transId || 'unknown',
-          status: 'failed',
-          message: 'Missing required transaction data'
-        });
-        continue;
-      }
-
-      // Extract the transfer content using regex to find isolated 8-character alphanumeric strings
-      // Look for 8-character alphanumeric strings that are surrounded by delimiters or at start/end
-      const transferContentRegex = /(^|[^a-zA-Z0-9])([a-zA-Z0-9]{8})([^a-zA-Z0-9]|$)/g;
-      let matches = [];
-      let match;
-      
-      // Extract all potential matches
-      while ((match = transferContentRegex.exec(description)) !== null) {
-        matches.push(match[2]); // The actual match is in the 2nd capture group
-      }
-      
-      // If no matches found with delimiter approach, fallback to simple 8-char detection
-      if (matches.length === 0) {
-        const simpleRegex = /[a-zA-Z0-9]{8}/g;
-        matches = description.match(simpleRegex) || [];
-      }
-      
-      let actualTransferContent = '';
-      
-      if (matches && matches.length > 0) {
-        // Prioritize matches that have mixed case and numbers
-        const idealMatch = matches.find(m => 
-          /[a-z]/.test(m) && 
-          /[A-Z]/.test(m) && 
-          /[0-9]/.test(m)
-        );
-        
-        // If no ideal match, use the last match as fallback
-        actualTransferContent = idealMatch || matches[matches.length - 1];
-        
-        console.log(`Found potential transfer content: ${actualTransferContent} from description: ${description}`);
-      } else {
-        // Fallback to the old method if no 8-char codes found
-        actualTransferContent = description.split('-').pop();
-        console.log(`Using fallback method, extracted: ${actualTransferContent} from: ${description}`);
-      }
-      
-      // Additional fallback: Check if any 8-character sequence matches an existing transfer content
-      if (!actualTransferContent || actualTransferContent.length !== 8) {
-        try {
-          // Find all pending bank transfer requests to match against their transfer contents
-          const pendingRequests = await TopUpRequest.find({
-            'paymentMethod': 'bank',
-            'status': 'Pending'
-          }).select('details.transferContent').lean();
-          
-          // Extract all transfer contents to match against
-          const existingTransferContents = pendingRequests
-            .map(req => req.details?.transferContent)
-            .filter(Boolean);
-          
-          if (existingTransferContents.length > 0) {
-            console.log(`Checking for matches against ${existingTransferContents.length} existing transfer contents`);
-            
-            // Check if any part of the description matches an existing transfer content
-            const foundMatch = existingTransferContents.find(transferContent => 
-              description.includes(transferContent) && transferContent.length === 8
-            );
-            
-            if (foundMatch) {
-              actualTransferContent = foundMatch;
-              console.log(`Found exact match with existing transfer content: ${actualTransferContent}`);
-            }
-          }
-        } catch (err) {
-          console.error('Error checking for existing transfer content matches:', err);
-        }
-      }
-
-      // Check if this transaction has already been processed (idempotency)
-      const existingTransaction = await TopUpRequest.findOne({
-        'bankTransactions.transactionId': transId
-      });
-
-      if (existingTransaction) {
-        results.push({
-          transId,
-          status: 'skipped',
-          message: 'Transaction already processed',
-          requestId: existingTransaction._id
-        });
-        continue;
-      }
-
-      // First, try to find a request with matching transfer content
-      let pendingRequest = await TopUpRequest.findOne({
-        'details.transferContent': actualTransferContent,
-        'status': 'Pending',
-        'paymentMethod': 'bank'
-      });
-
-      // Store transaction data regardless of whether we find a matching request
-      const transactionData = {
-        transactionId: transId,
-        amount: creditAmount,
-        description: description,
-        date: new Date(transaction.when || Date.now()),
-        matched: !!pendingRequest
-      };
-
-      if (!pendingRequest) {
-        console.log(`Unmatched bank transfer: ${description}, amount: ${creditAmount}, transaction: ${transId}`);
-        
-        // Store unmatched transaction for future matching
-        try {
-          await TransactionInfo.create({
-            transactionId: transId,
-            description: description,
-            extractedContent: actualTransferContent,
-            amount: creditAmount,
-            bankName: transaction.bankName || 'Unknown',
-            bankAccount: bank_sub_acc_id,
-            date: new Date(transaction.when || Date.now())
-          });
-          
-          console.log(`Stored unmatched transaction ${transId} with reference ${actualTransferContent} for future matching`);
-        } catch (err) {
-          // Handle duplicate transaction ID (idempotency)
-          if (err.code === 11000) {
-            console.log(`Transaction ${transId} already stored`);
-          } else {
-            console.error(`Error storing unmatched transaction: ${err.message}`);
-          }
-        }
-        
-        // Create a TopUpRequest record for this standalone bank transaction
-        // so it appears in the admin's "Giao dịch gần đây" section
-        const session = await mongoose.startSession();
-        session.startTransaction();
-        
-        try {
-          // Try to find a user based on the transfer content or use a default system user
-          let targetUser = null;
-          
-          // Try to extract username from transfer content (if it follows pattern like "Topup-username")
-          if (actualTransferContent && actualTransferContent.includes('Topup-')) {
-            const extractedUsername = actualTransferContent.replace('Topup-', '');
-            targetUser = await User.findOne({ username: extractedUsername }).session(session);
-          }
-          
-          // If no user found from transfer content, try to find any user that might have this transfer content in recent requests
-          if (!targetUser) {
-            const recentRequest = await TopUpRequest.findOne({
-              'details.transferContent': actualTransferContent,
-              'paymentMethod': 'bank'
-            }).populate('user').session(session);
-            
-            if (recentRequest) {
-              targetUser = recentRequest.user;
-            }
-          }
-          
-          // If still no user found, skip creating TopUpRequest but log it
-          if (!targetUser) {
-            await session.abortTransaction();
-            results.push({
-              transId,
-              status: 'pending_review',
-              message: 'No matching user found, stored for manual review'
-            });
-            continue;
-          }
-          
-          // Calculate balance to add (using standard conversion rate)
-          const balanceToAdd = calculateBalanceFromAmount(creditAmount);
-          
-          // Create a standalone TopUpRequest for this bank transaction
-          const standaloneRequest = new TopUpRequest({
-            user: targetUser._id,
-            amount: creditAmount,
-            receivedAmount: creditAmount,
-            balance: balanceToAdd,
-            bonus: 0,
-            paymentMethod: 'bank',
-            status: 'Completed',
-            completedAt: new Date(),
-            expiresAt: undefined, // Ensure completed requests don't expire
-            details: {
-              bankName: transaction.bankName || 'Unknown',
-              accountName: targetUser.username,
-              accountNumber: bank_sub_acc_id || 'Unknown',
-              transferContent: actualTransferContent,
-              bankReference: transId,
-              autoProcessed: true,
-              cassoProcessed: true,
-              standaloneTransaction: true // Flag to indicate this wasn't user-initiated
-            },
-            notes: 'Tự động tạo từ giao dịch ngân hàng'
-          });
-          
-          // Add the bank transaction data
-          standaloneRequest.bankTransactions.push(transactionData);
-          
-          await standaloneRequest.save({ session });
-          
-          // Update user balance
-          const prevBalance = targetUser.balance || 0;
-          targetUser.balance = prevBalance + balanceToAdd;
-          await targetUser.save({ session });
-          
-          // Create UserTransaction record
-          await createTransaction({
-            userId: targetUser._id,
-            amount: balanceToAdd,
-            type: 'topup',
-            description: `Nạp tiền qua chuyển khoản ngân hàng (tự động)`,
-            sourceId: standaloneRequest._id,
-            sourceModel: 'TopUpRequest',
-            performedById: null, // Automatic process
-            balanceAfter: targetUser.balance
-          }, session);
-          
-          await session.commitTransaction();
-          
-          // Broadcast balance update event to user via SSE
-          broadcastEventToUser('balance_updated', {
-            userId: targetUser._id,
-            balanceAdded: balanceToAdd,
-            newBalance: targetUser.balance,
-            reason: 'topup',
-            description: 'Nạp tiền qua chuyển khoản ngân hàng (tự động)'
-          }, targetUser._id);
-          
-          results.push({
-            transId,
-            status: 'success',
-            message: 'Standalone bank transfer processed successfully',
-            requestId: standaloneRequest._id,
-            username: targetUser.username,
-            balanceAdded: balanceToAdd
-          });
-          
-        } catch (error) {
-          await session.abortTransaction();
-          console.error('Error creating standalone TopUpRequest:', error);
-          results.push({
-            transId,
-            status: 'failed',
-            message: 'Failed to create standalone request'
-          });
-        } finally {
-          session.endSession();
-        }
-        
-        continue;
-      }
-
-      // Verify the amount matches (allowing for minor differences)
-      const amountDifference = Math.abs(pendingRequest.amount - creditAmount);
-      const isDifferent = amountDifference > 100; // Allow for small variance (e.g., 100 VND)
-
-      // Log amount mismatch for monitoring
-      if (isDifferent) {
-        console.log(`Amount mismatch for transfer: ${description}, expected: ${pendingRequest.amount}, received: ${creditAmount}, request ID: ${pendingRequest._id}`);
-      }
-
-      // Start a transaction for data consistency
-      const session = await mongoose.startSession();
-      session.startTransaction();
-
-      try {
-        if (isDifferent) {
-          // If amount doesn't match, add a note but still process
-          pendingRequest.notes = `Auto-processed with amount mismatch. Expected: ${pendingRequest.amount}, Received: ${creditAmount}`;
-        }
-
-        // Add transaction to the request's transaction history
-        pendingRequest.bankTransactions.push(transactionData);
-        
-        // Update the receivedAmount
-        pendingRequest.receivedAmount = creditAmount;
-
-        // Update the request
-        pendingRequest.status = 'Completed';
-        pendingRequest.completedAt = new Date();
-        pendingRequest.details.bankReference = transId;
-        pendingRequest.details.autoProcessed = true;
-        pendingRequest.details.cassoProcessed = true;
-        
-        // Remove expiration to prevent TTL deletion of completed requests
-        pendingRequest.expiresAt = undefined;
-        
-        await pendingRequest.save({ session });
-
-        // Get the user and previous balance
-        const user = await User.findById(pendingRequest.user).session(session);
-        if (!user) {
-          await session.abortTransaction();
-          results.push({
-            transId,
-            status: 'failed',
-            message: 'User not found'
-          });
-          continue;
-        }
-
-        const prevBalance = user.balance || 0;
-        user.balance = prevBalance + pendingRequest.balance;
-        await user.save({ session });
-
-        // Record in UserTransaction ledger
-        let description = `Nạp tiền qua chuyển khoản ngân hàng (tự động)`;
-        if (isDifferent) {
-          description += ` (Ghi nhận chênh lệch số tiền)`;
-        }
-
-        await createTransaction({
-          userId: user._id,
-          amount: pendingRequest.balance,
-          type: 'topup',
-          description,
-          sourceId: pendingRequest._id,
-          sourceModel: 'TopUpRequest',
-          performedById: null, // Automatic process
-          balanceAfter: user.balance
-        }, session);
-
-        await session.commitTransaction();
-
-        // Broadcast balance update event to user via SSE
-        broadcastEventToUser('balance_updated', {
-          userId: user._id,
-          balanceAdded: pendingRequest.balance,
-          newBalance: user.balance,
-          reason: 'topup',
-          description: description
-        }, user._id);
-
-        results.push({
-          transId,
-          status: 'success',
-          message: 'Bank transfer processed successfully',
-          requestId: pendingRequest._id,
-          username: user.username,
-          balanceAdded: pendingRequest.balance
-        });
-      } catch (error) {
-        await session.abortTransaction();
-        console.error('Error processing bank transfer:', error);
-        results.push({
-          transId,
-          status: 'failed',
-          message: 'Failed to process bank transfer'
-        });
-      } finally {
-        session.endSession();
-      }
-    }
-
     // Return summary of all processed transactions
     return res.status(200).json({
       message: 'Casso webhook processed',
@@ -1070,9 +658,15 @@ router.post('/process-unmatched/:transactionId', auth, async (req, res) => {
     await topUpRequest.save({ session });
     
     // Update user balance
-    const prevBalance = user.balance || 0;
-    user.balance = prevBalance + balance;
-    await user.save({ session });
+    const { balanceAfter } = await postPlatformCredit({
+      userId: user._id,
+      amount: balance,
+      type: 'topup',
+      description: 'Nạp tiền qua chuyển khoản ngân hàng (xử lý thủ công bởi admin)',
+      sourceId: topUpRequest._id,
+      sourceModel: 'TopUpRequest',
+      performedBy: req.user._id
+    }, session);
     
     // Mark transaction as processed and matched
     transaction.processed = true;
@@ -1088,7 +682,7 @@ router.post('/process-unmatched/:transactionId', auth, async (req, res) => {
       sourceId: topUpRequest._id,
       sourceModel: 'TopUpRequest',
       performedById: req.user._id,
-      balanceAfter: user.balance
+      balanceAfter
     }, session);
     
     await session.commitTransaction();
@@ -1097,7 +691,7 @@ router.post('/process-unmatched/:transactionId', auth, async (req, res) => {
     broadcastEventToUser('balance_updated', {
       userId: user._id,
       balanceAdded: balance,
-      newBalance: user.balance,
+      newBalance: balanceAfter,
       reason: 'topup',
       description: 'Nạp tiền qua chuyển khoản ngân hàng (xử lý thủ công bởi admin)'
     }, user._id);
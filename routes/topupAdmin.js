@@ -1,19 +1,34 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
 import User from '../models/User.js';
 import TopUpAdmin from '../models/TopUpAdmin.js';
 import TopUpRequest from '../models/TopUpRequest.js';
 import mongoose from 'mongoose';
 import { createTransaction } from './userTransaction.js';
 import { clearUserCache } from '../utils/userCache.js';
+import multer from 'multer';
+import { parseBankStatement, STATEMENT_FORMATS } from '../integrations/bankStatementParser.js';
+import { reconcileBankTransactions } from '../services/bankReconciliationService.js';
+import { postPlatformCredit } from '../services/ledgerService.js';
+import { recordAuditLog, snapshotFields } from '../services/auditLogService.js';
 
 const router = express.Router();
 
+// Bank statements are parsed in memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB file size limit
+    files: 1
+  }
+});
+
 /**
  * Create a top-up transaction (Admin only)
  * @route POST /api/topup-admin
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   
@@ -52,12 +67,19 @@ router.post('/', auth, async (req, res) => {
     console.log(`💰 [Admin TopUp] Admin ${req.user.username} adding ${amount} 🌾 to ${user.username}`);
     console.log(`💰 [Admin TopUp] User balance before topup: ${oldBalance} 🌾`);
     
-    user.balance = oldBalance + amount;
-    await user.save({ session });
-    console.log(`💰 [Admin TopUp] User balance after topup: ${user.balance} 🌾`);
+    const { balanceAfter } = await postPlatformCredit({
+      userId: user._id,
+      amount,
+      type: 'admin_topup',
+      description: 'Admin phát 🌾',
+      sourceId: transaction._id,
+      sourceModel: 'TopUpAdmin',
+      performedBy: req.user._id
+    }, session);
+    console.log(`💰 [Admin TopUp] User balance after topup: ${balanceAfter} 🌾`);
     
     // Clear user cache to ensure fresh balance is returned by API calls
-    clearUserCache(user._id, user.username);
+    await clearUserCache(user._id, user.username);
     console.log(`🗑️ [Admin TopUp] Cleared user cache for ${user.username} (ID: ${user._id})`);
     
     // Record in UserTransaction ledger
@@ -69,7 +91,7 @@ router.post('/', auth, async (req, res) => {
       sourceId: transaction._id,
       sourceModel: 'TopUpAdmin',
       performedById: req.user._id,
-      balanceAfter: user.balance
+      balanceAfter
     }, session);
     
     // Populate user and admin information
@@ -224,6 +246,9 @@ router.post('/process-request/:requestId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Yêu cầu đang không chờ xử lý' });
     }
     
+    const auditedFields = ['status', 'balance', 'notes'];
+    const before = snapshotFields(request, auditedFields);
+    
     if (action === 'confirm') {
       // Get the user
       const user = await User.findById(request.user).session(session);
@@ -255,14 +280,21 @@ router.post('/process-request/:requestId', auth, async (req, res) => {
       console.log(`💰 [TopUp Request] User balance before topup: ${oldBalance} 🌾`);
       console.log(`💰 [TopUp Request] Adding ${finalBalance} 🌾 to balance`);
       
-      user.balance = oldBalance + finalBalance;
-      console.log(`💰 [TopUp Request] User balance after topup: ${user.balance} 🌾`);
-      
       await request.save({ session });
-      await user.save({ session });
+      
+      const { balanceAfter } = await postPlatformCredit({
+        userId: user._id,
+        amount: finalBalance,
+        type: 'topup',
+        description: 'Nạp tiền (xác nhận bởi admin)',
+        sourceId: request._id,
+        sourceModel: 'TopUpRequest',
+        performedBy: req.user._id
+      }, session);
+      console.log(`💰 [TopUp Request] User balance after topup: ${balanceAfter} 🌾`);
       
       // Clear user cache to ensure fresh balance is returned by API calls
-      clearUserCache(user._id, user.username);
+      await clearUserCache(user._id, user.username);
       console.log(`🗑️ [TopUp Request] Cleared user cache for ${user.username} (ID: ${user._id})`);
       
       // Record in UserTransaction ledger
@@ -275,9 +307,19 @@ router.post('/process-request/:requestId', auth, async (req, res) => {
         sourceId: request._id,
         sourceModel: 'TopUpRequest',
         performedById: req.user._id,
-        balanceAfter: user.balance
+        balanceAfter
       }, session);
       
+      await recordAuditLog(req, {
+        action: 'topup_request.confirm',
+        targetType: 'topup_request',
+        targetId: request._id,
+        targetLabel: user.username,
+        before,
+        after: snapshotFields(request, auditedFields),
+        metadata: { credited: finalBalance, userBalanceBefore: oldBalance, userBalanceAfter: balanceAfter }
+      }, { session });
+      
       await session.commitTransaction();
       
       return res.status(200).json({ 
@@ -304,6 +346,15 @@ router.post('/process-request/:requestId', auth, async (req, res) => {
         balanceAfter: (await User.findById(request.user).session(session)).balance || 0
       }, session);
       
+      await recordAuditLog(req, {
+        action: 'topup_request.decline',
+        targetType: 'topup_request',
+        targetId: request._id,
+        before,
+        after: snapshotFields(request, auditedFields),
+        reason: req.body.reason
+      }, { session });
+      
       await session.commitTransaction();
       
       return res.status(200).json({ 
@@ -639,10 +690,19 @@ router.post('/revoke-transaction/:transactionId', auth, async (req, res) => {
     const actualSubtracted = currentBalance - newBalance;
     
     // Update user balance
-    user.balance = newBalance;
-    await user.save({ session });
+    await postPlatformCredit({
+      userId: user._id,
+      amount: -actualSubtracted,
+      type: 'admin_topup',
+      description: `Thu hồi giao dịch phát 🌾 bởi admin (Giao dịch gốc: ${transactionId})`,
+      sourceId: transaction._id,
+      sourceModel: 'TopUpAdmin',
+      performedBy: req.user._id
+    }, session);
     
     // Mark transaction as revoked
+    const auditedFields = ['status', 'revokedAt', 'notes'];
+    const before = snapshotFields(transaction, auditedFields);
     transaction.status = 'Revoked';
     transaction.revokedAt = new Date();
     transaction.revokedBy = req.user._id;
@@ -650,7 +710,7 @@ router.post('/revoke-transaction/:transactionId', auth, async (req, res) => {
     await transaction.save({ session });
     
     // Clear user cache to ensure fresh balance is returned by API calls
-    clearUserCache(user._id, user.username);
+    await clearUserCache(user._id, user.username);
    
     // Record revocation in UserTransaction ledger
     await createTransaction({
@@ -664,6 +724,17 @@ router.post('/revoke-transaction/:transactionId', auth, async (req, res) => {
       balanceAfter: newBalance
     }, session);
     
+    await recordAuditLog(req, {
+      action: 'topup_admin.revoke',
+      targetType: 'topup_admin',
+      targetId: transaction._id,
+      targetLabel: user.username,
+      before,
+      after: snapshotFields(transaction, auditedFields),
+      reason: req.body?.reason,
+      metadata: { originalAmount: amountToSubtract, actualSubtracted, userBalanceBefore: currentBalance, userBalanceAfter: newBalance }
+    }, { session });
+    
     await session.commitTransaction();
     
     res.json({ 
@@ -686,4 +757,55 @@ router.post('/revoke-transaction/:transactionId', auth, async (req, res) => {
   }
 });
 
+/**
+ * Import a bank statement export and reconcile it (Admin only)
+ * Accepts a .csv or .xlsx statement in the "statement" field. Credits are matched
+ * against pending bank requests; the rest go to the unmatched transactions queue.
+ * @route POST /api/topup-admin/bank-statements/import
+ */
+router.post('/bank-statements/import', auth, statementUpload.single('statement'), async (req, res) => {
+  try {
+    // Verify user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Truy cập bị từ chối' });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({ message: 'Vui lòng tải lên file sao kê (.csv hoặc .xlsx)' });
+    }
+    
+    const { format } = req.body;
+    if (format && !STATEMENT_FORMATS[format]) {
+      return res.status(400).json({ 
+        message: `Định dạng sao kê không hỗ trợ. Hỗ trợ: ${Object.keys(STATEMENT_FORMATS).join(', ')}` 
+      });
+    }
+    
+    let statement;
+    try {
+      statement = await parseBankStatement(req.file.buffer, {
+        filename: req.file.originalname,
+        format
+      });
+    } catch (parseError) {
+      return res.status(400).json({ message: `Không đọc được file sao kê: ${parseError.message}` });
+    }
+    
+    console.log(`🏦 [Statement Import] ${req.user.username} imported ${statement.transactions.length} credits (${statement.format}) from ${req.file.originalname}`);
+    
+    const { results, summary } = await reconcileBankTransactions(statement.transactions);
+    
+    res.json({
+      message: 'Đã đối soát sao kê ngân hàng',
+      format: statement.format,
+      skippedRows: statement.skipped,
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error('Failed to import bank statement:', error);
+    res.status(500).json({ message: 'Lỗi khi nhập sao kê ngân hàng' });
+  }
+});
+
 export default router; 
\ No newline at end of file
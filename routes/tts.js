@@ -1,7 +1,9 @@
 import express from 'express';
 import { auth } from '../middleware/auth.js';
-import { generateTTS, getTTSUsage, getTTSPricing } from '../services/ttsService.js';
+import { generateTTS, getTTSPricing, listTTSVoices, isKnownTTSVoice } from '../services/ttsService.js';
+import { reserveTTSCharge, settleTTSUsage, releaseTTSReservation, getTTSUsage } from '../services/ttsBillingService.js';
 import { body, validationResult } from 'express-validator';
+import { loadChapterForAccess, resolveChapterAccess } from '../services/chapterAccessService.js';
 
 const router = express.Router();
 
@@ -10,6 +12,66 @@ router.use((req, res, next) => {
     next();
 });
 
+/**
+ * Send the 503 response when no provider can narrate the requested voice
+ */
+const sendUnavailable = (res, error) => {
+    return res.status(503).json({
+        success: false,
+        message: error.message.replace(/^TTS generation failed: /, ''),
+        error: 'TTS_UNAVAILABLE'
+    });
+};
+
+/**
+ * Send the 402 response for a user who cannot pay for a generation
+ */
+const sendInsufficientBalance = (res, error) => {
+    return res.status(402).json({
+        success: false,
+        message: error.message,
+        error: 'INSUFFICIENT_BALANCE',
+        requiredAmount: error.quote?.amount
+    });
+};
+
+/**
+ * Charge the user, generate the audio, then settle the charge
+ * Nothing reaches the provider until the price is paid; a failed generation is refunded.
+ */
+const generateAndBill = async ({ user, text, languageCode, voiceName, audioConfig, chapterInfo, chapterId, novelId, req }) => {
+    const reservation = await reserveTTSCharge({
+        user,
+        text,
+        languageCode,
+        audioConfig,
+        chapterId,
+        novelId,
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+    });
+
+    const startedAt = Date.now();
+    let result;
+    try {
+        result = await generateTTS({
+            text,
+            languageCode,
+            voiceName,
+            audioConfig,
+            userId: user.id,
+            characterCount: text.length,
+            chapterInfo
+        });
+    } catch (error) {
+        await releaseTTSReservation(reservation, error);
+        throw error;
+    }
+
+    const billing = await settleTTSUsage(reservation, result, { processingTimeMs: Date.now() - startedAt });
+    return { result, billing };
+};
+
 // Validation middleware for TTS generation
 const validateTTSRequest = [
     body('text')
@@ -23,12 +85,11 @@ const validateTTSRequest = [
     body('voiceName')
         .optional()
         .custom((value) => {
-            // Accept new simplified names or legacy Google Cloud format
-            const validVoices = ['nu', 'nam'];
+            // Accept any provider's voice or the legacy Google Cloud format
             const legacyPattern = /^vi-VN-(Standard|Wavenet|Neural2)-(A|B|C|D)$/;
-            return validVoices.includes(value) || legacyPattern.test(value);
+            return isKnownTTSVoice(value) || legacyPattern.test(value);
         })
-        .withMessage('Invalid Vietnamese voice name (use "nu" or "nam")'),
+        .withMessage('Invalid Vietnamese voice name (see GET /api/tts/voices)'),
     body('audioConfig.speakingRate')
         .optional()
         .isFloat({ min: 0.25, max: 4.0 })
@@ -45,7 +106,7 @@ const validateTTSRequest = [
 
 /**
  * @route POST /api/tts/generate
- * @desc Generate TTS audio from text using Google Cloud TTS
+ * @desc Generate TTS audio from text with the provider of the requested voice
  * @access Private (requires authentication)
  */
 router.post('/generate', [auth, ...validateTTSRequest], async (req, res) => {
@@ -69,8 +130,29 @@ router.post('/generate', [auth, ...validateTTSRequest], async (req, res) => {
             chapterInfo = {}
         } = req.body;
 
-        const userId = req.user.id;
-        const characterCount = text.length;
+        let chapter = null;
+
+        // Narration of a chapter is only allowed for readers who can read that chapter
+        if (chapterInfo.chapterId) {
+            chapter = await loadChapterForAccess(chapterInfo.chapterId);
+            if (!chapter) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Chapter not found',
+                    error: 'CHAPTER_NOT_FOUND'
+                });
+            }
+
+            const access = await resolveChapterAccess(req.user, chapter);
+            if (!access.hasAccess) {
+                return res.status(403).json({
+                    success: false,
+                    message: access.accessMessage,
+                    error: 'ACCESS_DENIED',
+                    accessReason: access.reason
+                });
+            }
+        }
 
         // Default audio configuration
         const defaultAudioConfig = {
@@ -81,30 +163,46 @@ router.post('/generate', [auth, ...validateTTSRequest], async (req, res) => {
             ...audioConfig
         };
 
-        // Generate TTS audio
-        const result = await generateTTS({
+        // Charge the reader for a fresh generation first; cached audio is refunded down to its price
+        const { result, billing } = await generateAndBill({
+            user: req.user,
             text,
             languageCode,
             voiceName,
             audioConfig: defaultAudioConfig,
-            userId,
-            characterCount,
-            chapterInfo
+            chapterInfo,
+            chapterId: chapter?._id || chapterInfo.chapterId,
+            novelId: chapter?.novelId?._id,
+            req
         });
 
         // TTS generation completed successfully
         res.json({
             success: true,
             audioUrl: result.audioUrl,
+            timingsUrl: result.timingsUrl || null,
             characterCount: result.characterCount,
             estimatedCostVND: result.estimatedCostVND,
             duration: result.duration,
+            durationMs: result.durationMs,
             voiceUsed: result.voiceUsed,
-            cacheHit: result.cacheHit || false
+            provider: result.provider,
+            cacheHit: result.cacheHit || false,
+            charged: billing.charged,
+            freeCharacters: billing.usage.freeCharacters,
+            balance: billing.balanceAfter
         });
 
     } catch (error) {
         console.error('TTS generation error:', error.message);
+
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            return sendInsufficientBalance(res, error);
+        }
+
+        if (error.code === 'TTS_UNAVAILABLE') {
+            return sendUnavailable(res, error);
+        }
         
         // Handle specific error types
         if (error.message.includes('quota')) {
@@ -146,10 +244,9 @@ router.post('/generate', [auth, ...validateTTSRequest], async (req, res) => {
  */
 router.get('/usage', auth, async (req, res) => {
     try {
-        const userId = req.user.id;
         const { period = 'month' } = req.query; // month, week, day
         
-        const usage = await getTTSUsage(userId, period);
+        const usage = await getTTSUsage(req.user, period);
         
         res.json({
             success: true,
@@ -157,9 +254,14 @@ router.get('/usage', auth, async (req, res) => {
                 totalCharacters: usage.totalCharacters,
                 totalRequests: usage.totalRequests,
                 totalCostVND: usage.totalCostVND,
+                totalCharged: usage.totalCharged,
+                freeCharacters: usage.freeCharacters,
+                billableCharacters: usage.billableCharacters,
+                cacheHits: usage.cacheHits,
                 period: period,
                 startDate: usage.startDate,
                 endDate: usage.endDate,
+                monthlyFreeCharacters: usage.monthlyFreeCharacters,
                 remainingQuota: usage.remainingQuota
             }
         });
@@ -186,6 +288,8 @@ router.get('/pricing', async (req, res) => {
             pricing: {
                 costPerCharacterVND: pricing.costPerCharacterVND,
                 costPer1000CharactersVND: pricing.costPer1000CharactersVND,
+                luaPerThousandCharacters: pricing.luaPerThousandCharacters,
+                cachedPriceRatio: pricing.cachedPriceRatio,
                 freeQuotaPerMonth: pricing.freeQuotaPerMonth,
                 supportedVoices: pricing.supportedVoices,
                 qualityLevel: pricing.qualityLevel, // Changed from qualityLevels to qualityLevel
@@ -212,18 +316,19 @@ router.get('/test', auth, async (req, res) => {
         
         console.log('TTS test request from user:', req.user.id);
         
-        const result = await generateTTS({
+        const audioConfig = {
+            audioEncoding: 'MP3',
+            speakingRate: 1.0,
+            pitch: 0.0,
+            volumeGainDb: 0.0
+        };
+        const { result } = await generateAndBill({
+            user: req.user,
             text: testText,
             languageCode: 'vi-VN',
             voiceName: 'nu', // Use simplified voice name
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: 1.0,
-                pitch: 0.0,
-                volumeGainDb: 0.0
-            },
-            userId: req.user.id,
-            characterCount: testText.length
+            audioConfig,
+            req
         });
 
         res.json({
@@ -234,6 +339,12 @@ router.get('/test', auth, async (req, res) => {
         });
     } catch (error) {
         console.error('TTS test error:', error);
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+            return sendInsufficientBalance(res, error);
+        }
+        if (error.code === 'TTS_UNAVAILABLE') {
+            return sendUnavailable(res, error);
+        }
         res.status(500).json({
             success: false,
             message: 'TTS test failed',
@@ -244,36 +355,30 @@ router.get('/test', auth, async (req, res) => {
 
 /**
  * @route GET /api/tts/voices
- * @desc Get available Vietnamese voices
+ * @desc Get available Vietnamese voices of every provider
  * @access Public
  */
 router.get('/voices', async (req, res) => {
     try {
-        const voices = [
-            {
-                value: 'nu',
-                label: 'Nữ',
-                gender: 'FEMALE',
-                description: 'Giọng nữ tiếng Việt (Standard quality)',
-                googleVoice: 'vi-VN-Standard-A',
-                sampleRate: 24000
-            },
-            {
-                value: 'nam',
-                label: 'Nam',
-                gender: 'MALE',
-                description: 'Giọng nam tiếng Việt (Standard quality)',
-                googleVoice: 'vi-VN-Standard-D',
-                sampleRate: 24000
-            }
-        ];
+        const voices = listTTSVoices().map(voice => ({
+            value: voice.value,
+            label: voice.label,
+            gender: voice.gender,
+            description: voice.description,
+            provider: voice.provider,
+            providerVoice: voice.providerVoice,
+            // Kept for clients that still read the Google voice ID
+            ...(voice.provider === 'google' && { googleVoice: voice.providerVoice }),
+            sampleRate: voice.sampleRate,
+            available: voice.available
+        }));
 
         res.json({
             success: true,
             voices,
-            recommendedVoice: 'nu',
+            recommendedVoice: voices.find(voice => voice.available)?.value || 'nu',
             totalVoices: voices.length,
-            quality: 'Standard'
+            providers: [...new Set(voices.map(voice => voice.provider))]
         });
     } catch (error) {
         console.error('TTS voices retrieval error:', error);
@@ -5,6 +5,7 @@ import fs from 'fs';
 import axios from 'axios';
 import { v4 as uuidv4 } from 'uuid';
 import { auth } from '../middleware/auth.js';
+import { bunnyStorageConfig, uploadBufferToBunny } from '../integrations/bunnyStorage.js';
 
 const router = express.Router();
 
@@ -31,32 +32,6 @@ const upload = multer({
   }
 });
 
-// Bunny.net API configuration
-const BUNNY_STORAGE_API_URL = process.env.BUNNY_STORAGE_API_URL || 'https://storage.bunnycdn.com';
-const BUNNY_STORAGE_ZONE = process.env.BUNNY_STORAGE_ZONE || 'valvrareteam';
-const BUNNY_API_KEY = process.env.BUNNY_API_KEY;
-const BUNNY_CDN_URL = process.env.BUNNY_CDN_URL || 'https://valvrareteam.b-cdn.net';
-
-// Helper function to retry axios requests
-const axiosRetry = async (config, maxRetries = 3, delay = 1000) => {
-  let lastError = null;
-  
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await axios(config);
-    } catch (error) {
-      console.error(`Attempt ${attempt + 1}/${maxRetries} failed:`, error.code || error.message);
-      lastError = error;
-      
-      // If we're out of retries, throw the error
-      if (attempt >= maxRetries - 1) throw error;
-      
-      // Wait before next retry with exponential backoff
-      await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, attempt)));
-    }
-  }
-};
-
 /**
  * @route GET /api/upload/test-bunny-connection
  * @desc Test connectivity to bunny.net
@@ -66,11 +41,12 @@ router.get('/test-bunny-connection', auth, async (req, res) => {
   try {
     // Make a simple HEAD request to test connectivity
     console.log('Testing connection to Bunny.net...');
-    console.log(`Storage URL: ${BUNNY_STORAGE_API_URL}/${BUNNY_STORAGE_ZONE}`);
+    const { storageApiUrl, storageZone, apiKey } = bunnyStorageConfig;
+    console.log(`Storage URL: ${storageApiUrl}/${storageZone}`);
     
-    const response = await axios.head(`${BUNNY_STORAGE_API_URL}/${BUNNY_STORAGE_ZONE}/`, {
+    const response = await axios.head(`${storageApiUrl}/${storageZone}/`, {
       headers: {
-        'AccessKey': BUNNY_API_KEY
+        'AccessKey': apiKey
       },
       timeout: 5000 // 5 second timeout
     });
@@ -108,13 +84,13 @@ router.post('/bunny', auth, upload.single('file'), async (req, res) => {
   try {
     console.log(`[🧪] Upload handler hit`);
     console.log(`[🧪] File received:`, req.file?.originalname);
-    console.log(`[🧪] BUNNY_API_KEY loaded:`, !!BUNNY_API_KEY);
+    console.log(`[🧪] BUNNY_API_KEY loaded:`, !!bunnyStorageConfig.apiKey);
 
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    if (!BUNNY_API_KEY) {
+    if (!bunnyStorageConfig.apiKey) {
       return res.status(500).json({ message: 'Bunny.net API key not configured' });
     }
 
@@ -137,34 +113,13 @@ router.post('/bunny', auth, upload.single('file'), async (req, res) => {
     // Read file into buffer to avoid streaming issues
     const fileBuffer = fs.readFileSync(filePath);
     
-    // Bunny Storage API endpoint
-    const bunnyStorageUrl = `${BUNNY_STORAGE_API_URL}/${BUNNY_STORAGE_ZONE}${storagePath}`;
-    console.log(`[🧪] Final Bunny upload URL: ${bunnyStorageUrl}`);
-    
     try {
-      // Use axios with retry for the PUT request
-      const uploadResponse = await axiosRetry({
-        method: 'put',
-        url: bunnyStorageUrl,
-        data: fileBuffer,
-        headers: {
-          'AccessKey': BUNNY_API_KEY,
-          'Content-Type': 'application/octet-stream',
-          'Content-Length': stats.size
-        },
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-        timeout: 30000 // 30 second timeout
-      }, 3); // 3 retries
-      
-      console.log(`[✅] Bunny upload response:`, uploadResponse.status);
+      const cdnUrl = await uploadBufferToBunny(fileBuffer, storagePath);
       
       // Delete the local file after successful upload
       fs.unlinkSync(filePath);
       filePath = null;
       
-      // Generate and return the CDN URL
-      const cdnUrl = `${BUNNY_CDN_URL}${storagePath}`;
       return res.status(200).json({ 
         url: cdnUrl,
         success: true 
@@ -4,7 +4,7 @@ import { auth } from '../middleware/auth.js';
 import UserChapterInteraction from '../models/UserChapterInteraction.js';
 import UserNovelInteraction from '../models/UserNovelInteraction.js';
 import Chapter from '../models/Chapter.js';
-import NodeCache from 'node-cache';
+import { createCache, invalidateCacheTags, novelTag, chapterTag, userTag } from '../utils/cacheStore.js';
 import { broadcastEvent } from '../services/sseService.js';
 import { createLikedChapterNotification } from '../services/notificationService.js';
 
@@ -24,8 +24,8 @@ const router = express.Router();
  * These indexes will eliminate the duplicate query patterns and improve response times significantly.
  */
 
-// Create in-memory cache for chapter interactions (5 minutes TTL)
-const interactionCache = new NodeCache({ stdTTL: 300, checkperiod: 60 });
+// Cache for chapter interactions (5 minutes TTL)
+const interactionCache = createCache('chapter-interactions', { ttl: 300 });
 
 // Query deduplication cache to prevent multiple identical requests
 const pendingQueries = new Map();
@@ -64,7 +64,7 @@ router.get('/stats/:chapterId', async (req, res) => {
     
     // Try to get from cache first
     const cacheKey = getChapterStatsCacheKey(chapterId);
-    const cachedStats = interactionCache.get(cacheKey);
+    const cachedStats = await interactionCache.get(cacheKey);
     
     if (cachedStats) {
       return res.json(cachedStats);
@@ -98,7 +98,7 @@ router.get('/stats/:chapterId', async (req, res) => {
     });
     
     // Cache the result
-    interactionCache.set(cacheKey, result);
+    await interactionCache.set(cacheKey, result, { tags: [chapterTag(chapterId)] });
 
     res.json(result);
   } catch (err) {
@@ -123,7 +123,7 @@ router.get('/user/:chapterId', auth, async (req, res) => {
     
     // Try to get from cache first
     const cacheKey = getUserInteractionCacheKey(userId, chapterId);
-    const cachedInteraction = interactionCache.get(cacheKey);
+    const cachedInteraction = await interactionCache.get(cacheKey);
     
     if (cachedInteraction) {
       return res.json(cachedInteraction);
@@ -147,7 +147,7 @@ router.get('/user/:chapterId', auth, async (req, res) => {
     });
     
     // Cache the result
-    interactionCache.set(cacheKey, result);
+    await interactionCache.set(cacheKey, result, { tags: [userTag(userId), chapterTag(chapterId)] });
     
     return res.json(result);
   } catch (err) {
@@ -165,7 +165,7 @@ router.get('/user/:chapterId', auth, async (req, res) => {
 });
 
 // Cache for staff user lookups to avoid repeated queries
-const staffUserCache = new NodeCache({ stdTTL: 600, checkperiod: 120 }); // 10 minutes TTL
+const staffUserCache = createCache('staff-users', { ttl: 600 }); // 10 minutes TTL
 
 /**
  * Toggle like status for a chapter (OPTIMIZED Facebook-style with metadata and real-time updates)
@@ -252,8 +252,7 @@ router.post('/like', auth, async (req, res) => {
     ]);
 
     // Invalidate related caches
-    interactionCache.del(getUserInteractionCacheKey(userId, chapterId));
-    interactionCache.del(getChapterStatsCacheKey(chapterId));
+    await interactionCache.del(getUserInteractionCacheKey(userId, chapterId), getChapterStatsCacheKey(chapterId));
     
     // Clear server-side chapter caches to prevent stale data after refresh
     try {
@@ -309,7 +308,7 @@ async function handleFirstTimeLikeNotification(chapter, likerId) {
     if (notificationTarget) {
       // OPTIMIZATION 6: Cache staff user lookups
       const cacheKey = `staff_user_${notificationTarget}`;
-      let staffUser = staffUserCache.get(cacheKey);
+      let staffUser = await staffUserCache.get(cacheKey);
       
       if (!staffUser) {
         // Only do database lookup if not in cache
@@ -346,7 +345,7 @@ async function handleFirstTimeLikeNotification(chapter, likerId) {
         
         // Cache the result (even if null to avoid repeated failed lookups)
         if (staffUser) {
-          staffUserCache.set(cacheKey, staffUser);
+          await staffUserCache.set(cacheKey, staffUser, { tags: [userTag(staffUser._id)] });
         }
       }
 
@@ -408,10 +407,8 @@ router.post('/bookmark', auth, async (req, res) => {
         }
       );
       
-      // Invalidate all bookmark caches for this user and novel
-      // Note: NodeCache doesn't support pattern deletion, so we'll clear the entire cache
-      // This is acceptable since it's in-memory and will be repopulated quickly
-      interactionCache.flushAll();
+      // Invalidate all bookmark caches for this user, whichever chapter held the old bookmark
+      await invalidateCacheTags(userTag(userId));
     }
 
     // Update or create interaction for this chapter
@@ -458,8 +455,10 @@ router.post('/bookmark', auth, async (req, res) => {
     };
     
     // Invalidate related caches
-    interactionCache.del(getUserInteractionCacheKey(userId, chapterId));
-    interactionCache.del(`user:${userId}:novel:${chapter.novelId}:bookmark`);
+    await interactionCache.del(
+      getUserInteractionCacheKey(userId, chapterId),
+      `user:${userId}:novel:${chapter.novelId}:bookmark`
+    );
     
     return res.json(result);
   } catch (err) {
@@ -489,7 +488,7 @@ router.get('/bookmark/:novelId', auth, async (req, res) => {
     
     // Try to get from cache first
     const cacheKey = `user:${userId}:novel:${novelId}:bookmark`;
-    const cachedBookmark = interactionCache.get(cacheKey);
+    const cachedBookmark = await interactionCache.get(cacheKey);
     
     if (cachedBookmark) {
       return res.json(cachedBookmark);
@@ -504,7 +503,7 @@ router.get('/bookmark/:novelId', auth, async (req, res) => {
 
     if (!interactionExists) {
       const result = { bookmarkedChapter: null };
-      interactionCache.set(cacheKey, result);
+      await interactionCache.set(cacheKey, result, { tags: [userTag(userId), novelTag(novelId)] });
       return res.json(result);
     }
     
@@ -525,7 +524,7 @@ router.get('/bookmark/:novelId', auth, async (req, res) => {
         );
         
         const result = { bookmarkedChapter: null };
-        interactionCache.set(cacheKey, result);
+        await interactionCache.set(cacheKey, result, { tags: [userTag(userId), novelTag(novelId)] });
         return res.json(result);
       }
       
@@ -537,12 +536,12 @@ router.get('/bookmark/:novelId', auth, async (req, res) => {
       };
       
       // Cache the result
-      interactionCache.set(cacheKey, result);
+      await interactionCache.set(cacheKey, result, { tags: [userTag(userId), novelTag(novelId)] });
       
       return res.json(result);
     } catch (populateErr) {
       const result = { bookmarkedChapter: null };
-      interactionCache.set(cacheKey, result);
+      await interactionCache.set(cacheKey, result, { tags: [userTag(userId), novelTag(novelId)] });
       return res.json(result);
     }
   } catch (err) {
@@ -630,8 +629,7 @@ router.post('/recently-read', auth, async (req, res) => {
     );
 
     // Invalidate related caches
-    interactionCache.del(`user:${userId}:recently-read`);
-    interactionCache.del(getUserInteractionCacheKey(userId, chapterId));
+    await interactionCache.del(`user:${userId}:recently-read`, getUserInteractionCacheKey(userId, chapterId));
 
     res.json({ 
       success: true, 
@@ -654,7 +652,7 @@ router.get('/recently-read', auth, async (req, res) => {
 
     // Try to get from cache first
     const cacheKey = `user:${userId}:recently-read`;
-    const cachedData = interactionCache.get(cacheKey);
+    const cachedData = await interactionCache.get(cacheKey);
     
     if (cachedData) {
       return res.json(cachedData);
@@ -776,7 +774,7 @@ router.get('/recently-read', auth, async (req, res) => {
     }));
 
     // Cache the result for 5 minutes
-    interactionCache.set(cacheKey, formattedData);
+    await interactionCache.set(cacheKey, formattedData, { tags: [userTag(userId)] });
 
     res.json(formattedData);
   } catch (err) {
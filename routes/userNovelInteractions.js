@@ -5,73 +5,40 @@ import UserNovelInteraction from '../models/UserNovelInteraction.js';
 import UserChapterInteraction from '../models/UserChapterInteraction.js';
 import Novel from '../models/Novel.js';
 import { validateNovelExists } from '../utils/novelValidation.js';
+import { createCache, invalidateCacheTags, novelTag, userTag } from '../utils/cacheStore.js';
 
 const router = express.Router();
 
-// Simple in-memory cache for user interaction stats
-const userStatsCache = new Map();
-const USER_STATS_CACHE_TTL = 1000 * 60 * 5; // 5 minutes
-const MAX_USER_STATS_CACHE_SIZE = 100;
+// User interaction stats, per user
+const USER_STATS_TAG = 'novel-interaction-user-stats';
+const userStatsCache = createCache('novel-interaction-user-stats', { ttl: 60 * 5 }); // 5 minutes
 
-// Enhanced caching for novel stats to prevent duplicate aggregations
-const novelStatsCache = new Map();
-const NOVEL_STATS_CACHE_TTL = 1000 * 60 * 10; // 10 minutes - longer since stats don't change frequently
-const MAX_NOVEL_STATS_CACHE_SIZE = 500;
+// Novel stats, tagged with the novel; longer since stats don't change frequently
+const NOVEL_STATS_TAG = 'novel-interaction-stats';
+const novelStatsCache = createCache('novel-interaction-stats', { ttl: 60 * 10 }); // 10 minutes
 
 // Query deduplication cache for user interactions
 const pendingUserQueries = new Map();
 
-// Cache for user interactions to avoid repeated lookups
-const userInteractionCache = new Map();
-const USER_INTERACTION_CACHE_TTL = 1000 * 60 * 3; // 3 minutes - balance between freshness and performance
-const MAX_USER_INTERACTION_CACHE_SIZE = 200;
+// A user's interaction with a novel
+const userInteractionsTag = (novelId) => `user-novel-interactions:${novelId}`;
+const userInteractionCache = createCache('user-novel-interactions', { ttl: 60 * 3 }); // 3 minutes
 
-// Cache for novel reviews to avoid repeated queries
-const reviewsCache = new Map();
-const REVIEWS_CACHE_TTL = 1000 * 60 * 5; // 5 minutes - reviews don't change very frequently
-const MAX_REVIEWS_CACHE_SIZE = 100;
+// Review pages of a novel
+const reviewsTag = (novelId) => `novel-reviews:${novelId}`;
+const reviewsCache = createCache('novel-reviews', { ttl: 60 * 5 }); // 5 minutes
 
 // Helper function to manage user stats cache
-const getCachedUserStats = (userId) => {
-  const cached = userStatsCache.get(userId);
-  if (cached && Date.now() - cached.timestamp < USER_STATS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedUserStats = (userId) => userStatsCache.get(userId);
 
 const setCachedUserStats = (userId, data) => {
-  if (userStatsCache.size >= MAX_USER_STATS_CACHE_SIZE) {
-    const oldestKey = userStatsCache.keys().next().value;
-    userStatsCache.delete(oldestKey);
-  }
-  
-  userStatsCache.set(userId, {
-    data,
-    timestamp: Date.now()
-  });
+  return userStatsCache.set(userId, data, { tags: [USER_STATS_TAG, userTag(userId)] });
 };
 
 // Novel stats cache helpers
-const getCachedNovelStats = (novelId) => {
-  const cached = novelStatsCache.get(novelId);
-  if (cached && Date.now() - cached.timestamp < NOVEL_STATS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedNovelStats = (novelId) => novelStatsCache.get(novelId);
 
-const setCachedNovelStats = (novelId, data) => {
-  if (novelStatsCache.size >= MAX_NOVEL_STATS_CACHE_SIZE) {
-    const oldestKey = novelStatsCache.keys().next().value;
-    novelStatsCache.delete(oldestKey);
-  }
-  
-  novelStatsCache.set(novelId, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const setCachedNovelStats = (novelId, data) => novelStatsCache.set(novelId, data, { tags: [NOVEL_STATS_TAG, novelTag(novelId)] });
 
 // Query deduplication helper for user interactions
 const dedupUserQuery = async (key, queryFn) => {
@@ -92,95 +59,44 @@ const dedupUserQuery = async (key, queryFn) => {
 
 // Clear user stats cache
 const clearUserStatsCache = (userId = null) => {
-  if (userId) {
-    userStatsCache.delete(userId);
-  } else {
-    userStatsCache.clear();
-  }
+  return userId ? userStatsCache.del(userId) : invalidateCacheTags(USER_STATS_TAG);
 };
 
 // Clear novel stats cache
 const clearNovelStatsCache = (novelId = null) => {
-  if (novelId) {
-    novelStatsCache.delete(novelId);
-  } else {
-    novelStatsCache.clear();
-  }
+  return novelId ? novelStatsCache.del(novelId) : invalidateCacheTags(NOVEL_STATS_TAG);
 };
 
 // User interaction cache helpers
-const getCachedUserInteraction = (userId, novelId) => {
-  const cacheKey = `user_${userId}_novel_${novelId}`;
-  const cached = userInteractionCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < USER_INTERACTION_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedUserInteraction = (userId, novelId) => userInteractionCache.get(`${userId}:${novelId}`);
 
 const setCachedUserInteraction = (userId, novelId, data) => {
-  if (userInteractionCache.size >= MAX_USER_INTERACTION_CACHE_SIZE) {
-    const oldestKey = userInteractionCache.keys().next().value;
-    userInteractionCache.delete(oldestKey);
-  }
-  
-  const cacheKey = `user_${userId}_novel_${novelId}`;
-  userInteractionCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
+  return userInteractionCache.set(`${userId}:${novelId}`, data, {
+    tags: [userInteractionsTag(novelId), userTag(userId)]
   });
 };
 
+// Without a user, every user's interaction with the novel (or with any novel) is cleared
 const clearUserInteractionCache = (userId = null, novelId = null) => {
   if (userId && novelId) {
-    const cacheKey = `user_${userId}_novel_${novelId}`;
-    userInteractionCache.delete(cacheKey);
-  } else if (novelId) {
-    // Clear all user interactions for a specific novel
-    for (const key of userInteractionCache.keys()) {
-      if (key.includes(`novel_${novelId}`)) {
-        userInteractionCache.delete(key);
-      }
-    }
-  } else {
-    userInteractionCache.clear();
+    return userInteractionCache.del(`${userId}:${novelId}`);
   }
+  return invalidateCacheTags(novelId ? userInteractionsTag(novelId) : 'user-novel-interactions:*');
 };
 
 // Reviews cache helpers
 const getCachedReviews = (novelId, page, limit, userId) => {
-  const cacheKey = `reviews_${novelId}_${page}_${limit}_${userId || 'anonymous'}`;
-  const cached = reviewsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < REVIEWS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
+  return reviewsCache.get(`${novelId}_${page}_${limit}_${userId || 'anonymous'}`);
 };
 
 const setCachedReviews = (novelId, page, limit, userId, data) => {
-  if (reviewsCache.size >= MAX_REVIEWS_CACHE_SIZE) {
-    const oldestKey = reviewsCache.keys().next().value;
-    reviewsCache.delete(oldestKey);
-  }
-  
-  const cacheKey = `reviews_${novelId}_${page}_${limit}_${userId || 'anonymous'}`;
-  reviewsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
+  return reviewsCache.set(`${novelId}_${page}_${limit}_${userId || 'anonymous'}`, data, {
+    tags: [reviewsTag(novelId)]
   });
 };
 
 const clearReviewsCache = (novelId = null) => {
-  if (novelId) {
-    // Clear all reviews for a specific novel
-    for (const key of reviewsCache.keys()) {
-      if (key.includes(`reviews_${novelId}`)) {
-        reviewsCache.delete(key);
-      }
-    }
-  } else {
-    reviewsCache.clear();
-  }
+  return invalidateCacheTags(novelId ? reviewsTag(novelId) : 'novel-reviews:*');
 };
 
 /**
@@ -192,7 +108,7 @@ router.get('/stats/:novelId', async (req, res) => {
     const novelId = req.params.novelId;
     
     // First check cache
-    const cachedStats = getCachedNovelStats(novelId);
+    const cachedStats = await getCachedNovelStats(novelId);
     if (cachedStats) {
       return res.json(cachedStats);
     }
@@ -247,7 +163,7 @@ router.get('/stats/:novelId', async (req, res) => {
       };
 
       // Cache the results
-      setCachedNovelStats(novelId, statsData);
+      await setCachedNovelStats(novelId, statsData);
       
       return statsData;
     });
@@ -269,7 +185,7 @@ router.get('/user/:novelId', auth, async (req, res) => {
     const userId = req.user._id;
 
     // First check cache
-    const cachedInteraction = getCachedUserInteraction(userId, novelId);
+    const cachedInteraction = await getCachedUserInteraction(userId, novelId);
     if (cachedInteraction) {
       return res.json(cachedInteraction);
     }
@@ -299,7 +215,7 @@ router.get('/user/:novelId', auth, async (req, res) => {
     });
 
     // Cache the result for future requests
-    setCachedUserInteraction(userId, novelId, interaction);
+    await setCachedUserInteraction(userId, novelId, interaction);
     
     res.json(interaction);
   } catch (err) {
@@ -344,10 +260,10 @@ router.post('/like', auth, async (req, res) => {
     await interaction.save();
 
     // Clear caches for this user and novel
-    clearUserStatsCache(userId);
-    clearNovelStatsCache(novelId); // Clear novel stats cache
-    clearUserInteractionCache(userId, novelId); // Clear user interaction cache
-    clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
+    await clearUserStatsCache(userId);
+    await clearNovelStatsCache(novelId); // Clear novel stats cache
+    await clearUserInteractionCache(userId, novelId); // Clear user interaction cache
+    await clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
     pendingUserQueries.delete(`novel_stats_${novelId}`);
     pendingUserQueries.delete(`user_interaction_${userId}_${novelId}`);
     
@@ -355,7 +271,7 @@ router.post('/like', auth, async (req, res) => {
     try {
       const { clearUserStatsCache: clearStats } = await import('./users.js');
       if (clearStats) {
-        clearStats(userId.toString());
+        await clearStats(userId.toString());
       }
     } catch (error) {
       console.warn('Could not clear user stats cache:', error.message);
@@ -365,7 +281,7 @@ router.post('/like', auth, async (req, res) => {
     try {
       const { clearNovelCaches } = await import('../utils/cacheUtils.js');
       if (clearNovelCaches) {
-        clearNovelCaches();
+        await clearNovelCaches(novelId);
       }
       
       // Also clear specific user cache entries from novels route
@@ -451,10 +367,10 @@ router.post('/rate', auth, async (req, res) => {
     await interaction.save();
 
     // Clear caches for this user and novel
-    clearUserStatsCache(userId);
-    clearNovelStatsCache(novelId); // Clear novel stats cache
-    clearUserInteractionCache(userId, novelId); // Clear user interaction cache
-    clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
+    await clearUserStatsCache(userId);
+    await clearNovelStatsCache(novelId); // Clear novel stats cache
+    await clearUserInteractionCache(userId, novelId); // Clear user interaction cache
+    await clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
     pendingUserQueries.delete(`novel_stats_${novelId}`);
     pendingUserQueries.delete(`user_interaction_${userId}_${novelId}`);
     
@@ -462,7 +378,7 @@ router.post('/rate', auth, async (req, res) => {
     try {
       const { clearUserStatsCache: clearStats } = await import('./users.js');
       if (clearStats) {
-        clearStats(userId.toString());
+        await clearStats(userId.toString());
       }
     } catch (error) {
       console.warn('Could not clear user stats cache:', error.message);
@@ -472,7 +388,7 @@ router.post('/rate', auth, async (req, res) => {
     try {
       const { clearNovelCaches } = await import('../utils/cacheUtils.js');
       if (clearNovelCaches) {
-        clearNovelCaches();
+        await clearNovelCaches(novelId);
       }
       
       // Also clear specific user cache entries from novels route
@@ -545,10 +461,10 @@ router.delete('/rate/:novelId', auth, async (req, res) => {
     await interaction.save();
 
     // Clear caches for this user and novel
-    clearUserStatsCache(userId);
-    clearNovelStatsCache(novelId); // Clear novel stats cache
-    clearUserInteractionCache(userId, novelId); // Clear user interaction cache
-    clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
+    await clearUserStatsCache(userId);
+    await clearNovelStatsCache(novelId); // Clear novel stats cache
+    await clearUserInteractionCache(userId, novelId); // Clear user interaction cache
+    await clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
     pendingUserQueries.delete(`novel_stats_${novelId}`);
     pendingUserQueries.delete(`user_interaction_${userId}_${novelId}`);
     
@@ -556,7 +472,7 @@ router.delete('/rate/:novelId', auth, async (req, res) => {
     try {
       const { clearUserStatsCache: clearStats } = await import('./users.js');
       if (clearStats) {
-        clearStats(userId.toString());
+        await clearStats(userId.toString());
       }
     } catch (error) {
       console.warn('Could not clear user stats cache:', error.message);
@@ -566,7 +482,7 @@ router.delete('/rate/:novelId', auth, async (req, res) => {
     try {
       const { clearNovelCaches } = await import('../utils/cacheUtils.js');
       if (clearNovelCaches) {
-        clearNovelCaches();
+        await clearNovelCaches(novelId);
       }
       
       // Also clear specific user cache entries from novels route
@@ -649,10 +565,10 @@ router.post('/bookmark', auth, async (req, res) => {
     await interaction.save();
     
     // Clear caches for this user and novel
-    clearUserStatsCache(userId);
-    clearNovelStatsCache(novelId); // Clear novel stats cache
-    clearUserInteractionCache(userId, novelId); // Clear user interaction cache
-    clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
+    await clearUserStatsCache(userId);
+    await clearNovelStatsCache(novelId); // Clear novel stats cache
+    await clearUserInteractionCache(userId, novelId); // Clear user interaction cache
+    await clearReviewsCache(novelId); // Clear reviews cache since a rating/review was added/updated
     pendingUserQueries.delete(`novel_stats_${novelId}`);
     pendingUserQueries.delete(`user_interaction_${userId}_${novelId}`);
     
@@ -660,7 +576,7 @@ router.post('/bookmark', auth, async (req, res) => {
     try {
       const { clearUserStatsCache: clearStats } = await import('./users.js');
       if (clearStats) {
-        clearStats(userId.toString());
+        await clearStats(userId.toString());
       }
     } catch (error) {
       console.warn('Could not clear user stats cache:', error.message);
@@ -684,7 +600,7 @@ router.post('/bookmark', auth, async (req, res) => {
       try {
         const { clearNovelCaches } = await import('../utils/cacheUtils.js');
         if (clearNovelCaches) {
-          clearNovelCaches();
+          await clearNovelCaches(novelId);
         }
         
         // Also clear guest cache (delayed to avoid interfering with current user)
@@ -891,7 +807,7 @@ router.get('/reviews/:novelId', async (req, res) => {
     const userId = req.user?._id;
 
     // First check cache
-    const cachedReviews = getCachedReviews(novelId, page, limit, userId);
+    const cachedReviews = await getCachedReviews(novelId, page, limit, userId);
     if (cachedReviews) {
       return res.json(cachedReviews);
     }
@@ -943,7 +859,7 @@ router.get('/reviews/:novelId', async (req, res) => {
     };
     
     // Cache the result for future requests
-    setCachedReviews(novelId, page, limit, userId, reviewsResponse);
+    await setCachedReviews(novelId, page, limit, userId, reviewsResponse);
     
     return res.json(reviewsResponse);
   } catch (err) {
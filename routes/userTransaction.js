@@ -350,4 +350,58 @@ export const createRentalTransactions = async (rentalData, session) => {
     console.error('Failed to create rental transactions:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Create both user and novel transaction records for a permanent chapter/module purchase
+ * @param {Object} purchaseData - Purchase transaction data
+ * @param {Object} session - Mongoose session for transaction
+ */
+export const createPurchaseTransactions = async (purchaseData, session) => {
+  try {
+    const { 
+      userId, 
+      novelId, 
+      contentType,
+      contentTitle, 
+      purchaseAmount, 
+      novelBalanceAfter, 
+      purchaseId,
+      username
+    } = purchaseData;
+    
+    // Import novel transaction function
+    const { createNovelTransaction } = await import('./novelTransactions.js');
+    
+    const contentLabel = contentType === 'module' ? 'tập' : 'chương';
+    
+    // Create user transaction record (deduction)
+    const userTransaction = await createTransaction({
+      userId: userId,
+      amount: -purchaseAmount,
+      type: 'purchase',
+      description: `Mua vĩnh viễn ${contentLabel} "${contentTitle}"`,
+      sourceId: purchaseId,
+      sourceModel: 'ContentPurchase'
+    }, session);
+    
+    // Create novel transaction record (addition)
+    const novelTransaction = await createNovelTransaction({
+      novel: novelId,
+      amount: purchaseAmount,
+      type: 'purchase',
+      description: `Mua vĩnh viễn ${contentLabel} "${contentTitle}" bởi ${username}`,
+      balanceAfter: novelBalanceAfter,
+      sourceId: purchaseId,
+      sourceModel: 'ContentPurchase',
+      performedBy: userId
+    }, session);
+    
+    return {
+      userTransaction,
+      novelTransaction
+    };
+  } catch (error) {
+    console.error('Failed to create purchase transactions:', error);
+    throw error;
+  }
+};
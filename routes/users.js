@@ -13,10 +13,12 @@ import Chapter from '../models/Chapter.js';
 import UserChapterInteraction from '../models/UserChapterInteraction.js';
 import { getCachedUserById, getCachedUserByUsername, clearUserCache, clearAllUserCaches } from '../utils/userCache.js';
 import { batchGetUsers } from '../utils/batchUserCache.js';
+import { createCache, invalidateCacheTags } from '../utils/cacheStore.js';
 import ForumPost from '../models/ForumPost.js';
 import Report from '../models/Report.js';
 import BlogPost from '../models/BlogPost.js';
 import { createLikedBlogPostNotification } from '../services/notificationService.js';
+import { recordAuditLog, snapshotFields } from '../services/auditLogService.js';
 
 const router = express.Router();
 
@@ -38,7 +40,7 @@ router.get('/:userId/stats', auth, async (req, res) => {
     
     const stats = await dedupUserStatsQuery(cacheKey, async () => {
       // Check cache first
-      const cachedStats = getCachedUserStats(userId);
+      const cachedStats = await getCachedUserStats(userId);
       if (cachedStats) {
         return cachedStats;
       }
@@ -83,7 +85,7 @@ router.get('/:userId/stats', auth, async (req, res) => {
       };
 
       // Cache the results
-      setCachedUserStats(userId, userStats);
+      await setCachedUserStats(userId, userStats);
       
       return userStats;
     });
@@ -95,44 +97,25 @@ router.get('/:userId/stats', auth, async (req, res) => {
   }
 });
 
-// Simple in-memory cache for user stats
-const userStatsCache = new Map();
-const USER_STATS_CACHE_TTL = 1000 * 60 * 15; // 15 minutes (increased from 5)
-const MAX_USER_STATS_CACHE_SIZE = 200;
+// User stats and complete profiles, keyed by user ID or profile key
+const USER_STATS_TAG = 'user-stats';
+const userStatsCache = createCache('user-stats', { ttl: 60 * 15 }); // 15 minutes
 
 // Query deduplication cache for user stats
 const pendingUserStatsQueries = new Map();
 
-// Simple in-memory cache for blog posts
-const blogPostsCache = new Map();
-const BLOG_POSTS_CACHE_TTL = 1000 * 60 * 5; // 5 minutes
-const MAX_BLOG_POSTS_CACHE_SIZE = 100;
+// Blog post pages of a user
+const blogPostsTag = (userId) => `blog-posts:${userId}`;
+const blogPostsCache = createCache('blog-posts', { ttl: 60 * 5 }); // 5 minutes
 
-// Simple in-memory cache for admin data
-const adminCache = new Map();
-const ADMIN_CACHE_TTL = 1000 * 60 * 2; // 2 minutes
-const MAX_ADMIN_CACHE_SIZE = 50;
+// Admin dashboard lists
+const ADMIN_DATA_TAG = 'admin-data';
+const adminCache = createCache('admin-data', { ttl: 60 * 2 }); // 2 minutes
 
 // Helper function to manage user stats cache
-const getCachedUserStats = (userId) => {
-  const cached = userStatsCache.get(userId);
-  if (cached && Date.now() - cached.timestamp < USER_STATS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedUserStats = (key) => userStatsCache.get(key);
 
-const setCachedUserStats = (userId, data) => {
-  if (userStatsCache.size >= MAX_USER_STATS_CACHE_SIZE) {
-    const oldestKey = userStatsCache.keys().next().value;
-    userStatsCache.delete(oldestKey);
-  }
-  
-  userStatsCache.set(userId, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const setCachedUserStats = (key, data) => userStatsCache.set(key, data, { tags: [USER_STATS_TAG] });
 
 // Query deduplication helper for user stats
 const dedupUserStatsQuery = async (key, queryFn) => {
@@ -152,82 +135,29 @@ const dedupUserStatsQuery = async (key, queryFn) => {
 };
 
 // Clear user stats cache
-const clearUserStatsCache = (userId = null) => {
-  if (userId) {
-    userStatsCache.delete(userId);
-  } else {
-    userStatsCache.clear();
-  }
+const clearUserStatsCache = (key = null) => {
+  return key ? userStatsCache.del(key) : invalidateCacheTags(USER_STATS_TAG);
 };
 
 // Helper function to manage blog posts cache
-const getCachedBlogPosts = (userId, page = 1) => {
-  const cacheKey = `${userId}_page_${page}`;
-  const cached = blogPostsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < BLOG_POSTS_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedBlogPosts = (userId, page = 1) => blogPostsCache.get(`${userId}_page_${page}`);
 
 const setCachedBlogPosts = (userId, page = 1, data) => {
-  const cacheKey = `${userId}_page_${page}`;
-  
-  // Implement LRU-like cache management
-  if (blogPostsCache.size >= MAX_BLOG_POSTS_CACHE_SIZE) {
-    const oldestKey = blogPostsCache.keys().next().value;
-    blogPostsCache.delete(oldestKey);
-  }
-  
-  blogPostsCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
+  return blogPostsCache.set(`${userId}_page_${page}`, data, { tags: [blogPostsTag(userId)] });
 };
 
+// Without a user every user's pages are cleared
 const clearBlogPostsCache = (userId = null) => {
-  if (userId) {
-    // Clear all pages for this user
-    const keysToDelete = [];
-    for (const key of blogPostsCache.keys()) {
-      if (key.startsWith(`${userId}_page_`)) {
-        keysToDelete.push(key);
-      }
-    }
-    keysToDelete.forEach(key => blogPostsCache.delete(key));
-  } else {
-    blogPostsCache.clear();
-  }
+  return invalidateCacheTags(userId ? blogPostsTag(userId) : 'blog-posts:*');
 };
 
 // Helper functions for admin cache management
-const getCachedAdminData = (key) => {
-  const cached = adminCache.get(key);
-  if (cached && Date.now() - cached.timestamp < ADMIN_CACHE_TTL) {
-    return cached.data;
-  }
-  return null;
-};
+const getCachedAdminData = (key) => adminCache.get(key);
 
-const setCachedAdminData = (key, data) => {
-  // Implement LRU-like cache management
-  if (adminCache.size >= MAX_ADMIN_CACHE_SIZE) {
-    const oldestKey = adminCache.keys().next().value;
-    adminCache.delete(oldestKey);
-  }
-  
-  adminCache.set(key, {
-    data,
-    timestamp: Date.now()
-  });
-};
+const setCachedAdminData = (key, data) => adminCache.set(key, data, { tags: [ADMIN_DATA_TAG] });
 
 const clearAdminCache = (key = null) => {
-  if (key) {
-    adminCache.delete(key);
-  } else {
-    adminCache.clear();
-  }
+  return key ? adminCache.del(key) : invalidateCacheTags(ADMIN_DATA_TAG);
 };
 
 /**
@@ -260,7 +190,7 @@ router.post('/:displayNameSlug/avatar', auth, async (req, res) => {
     ).select('-password');
 
     // Clear all user caches after avatar update
-    clearAllUserCaches(user);
+    await clearAllUserCaches(user);
 
     res.json({ avatar: user.avatar });
   } catch (error) {
@@ -432,7 +362,7 @@ router.put('/:displayNameSlug/intro', auth, async (req, res) => {
     await user.save();
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(req.user._id);
+    await clearUserResolutionCache(req.user._id);
 
     res.json({ 
       intro: user.intro
@@ -970,7 +900,7 @@ router.post('/:username/follows', auth, async (req, res) => {
     try {
       const { clearNovelCaches } = await import('../utils/cacheUtils.js');
       if (clearNovelCaches) {
-        await clearNovelCaches();
+        await clearNovelCaches(novelId);
       }
     } catch (error) {
       console.warn('Could not clear novel caches:', error.message);
@@ -1032,7 +962,7 @@ router.delete('/:username/follows/:novelId', auth, async (req, res) => {
       try {
         const { clearNovelCaches } = await import('../utils/cacheUtils.js');
         if (clearNovelCaches) {
-          clearNovelCaches();
+          await clearNovelCaches(req.params.novelId);
         }
         
         // Also clear specific user cache entries from novels route
@@ -1262,22 +1192,36 @@ router.post('/ban/:username', auth, async (req, res) => {
       return res.status(403).json({ message: 'Cannot ban an admin' });
     }
 
+    const before = snapshotFields(userToBan, ['isBanned']);
     userToBan.isBanned = true;
     await userToBan.save();
 
     // Delete all comments by the banned user
+    let deletedComments = 0;
     try {
       const commentsResult = await Comment.deleteMany({ user: userToBan._id });
+      deletedComments = commentsResult.deletedCount;
       console.log(`Deleted ${commentsResult.deletedCount} comments for banned user: ${userToBan.username}`);
     } catch (commentError) {
       console.error('Error deleting user comments during ban:', commentError);
       // Continue with ban even if comment deletion fails
     }
 
+    await recordAuditLog(req, {
+      action: 'user.ban',
+      targetType: 'user',
+      targetId: userToBan._id,
+      targetLabel: userToBan.username,
+      before,
+      after: snapshotFields(userToBan, ['isBanned']),
+      reason: req.body?.reason,
+      metadata: { deletedComments }
+    });
+
     // Clear all user caches after banning
-    clearAllUserCaches(userToBan);
+    await clearAllUserCaches(userToBan);
     // Clear admin cache since banned users list changed
-    clearAdminCache('banned_users');
+    await clearAdminCache('banned_users');
 
     res.json({ 
       message: 'User banned successfully. All comments have been removed.',
@@ -1308,13 +1252,24 @@ router.delete('/ban/:username', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const before = snapshotFields(userToUnban, ['isBanned']);
     userToUnban.isBanned = false;
     await userToUnban.save();
 
+    await recordAuditLog(req, {
+      action: 'user.unban',
+      targetType: 'user',
+      targetId: userToUnban._id,
+      targetLabel: userToUnban.username,
+      before,
+      after: snapshotFields(userToUnban, ['isBanned']),
+      reason: req.body?.reason
+    });
+
     // Clear all user caches after unbanning
-    clearAllUserCaches(userToUnban);
+    await clearAllUserCaches(userToUnban);
     // Clear admin cache since banned users list changed
-    clearAdminCache('banned_users');
+    await clearAdminCache('banned_users');
 
     res.json({ 
       message: 'User unbanned successfully',
@@ -1342,7 +1297,7 @@ router.get('/banned', auth, async (req, res) => {
 
     // Check cache first
     const cacheKey = 'banned_users';
-    let bannedUsers = getCachedAdminData(cacheKey);
+    let bannedUsers = await getCachedAdminData(cacheKey);
     
     if (!bannedUsers) {
       bannedUsers = await User.find({ isBanned: true })
@@ -1350,7 +1305,7 @@ router.get('/banned', auth, async (req, res) => {
         .lean();
       
       // Cache the result
-      setCachedAdminData(cacheKey, bannedUsers);
+      await setCachedAdminData(cacheKey, bannedUsers);
     }
 
     res.json(bannedUsers);
@@ -1485,7 +1440,7 @@ router.get('/admin-task-count', auth, async (req, res) => {
 
     // Check cache first
     const cacheKey = 'admin_task_counts';
-    let result = getCachedAdminData(cacheKey);
+    let result = await getCachedAdminData(cacheKey);
     
     if (!result) {
       // Count pending forum posts and pending reports in parallel
@@ -1503,7 +1458,7 @@ router.get('/admin-task-count', auth, async (req, res) => {
       };
       
       // Cache the result
-      setCachedAdminData(cacheKey, result);
+      await setCachedAdminData(cacheKey, result);
     }
 
     res.json(result);
@@ -1554,7 +1509,7 @@ router.put('/:id', auth, async (req, res) => {
     }
 
     // Clear all user caches when data changes
-    clearAllUserCaches(user);
+    await clearAllUserCaches(user);
 
     res.json(user);
   } catch (err) {
@@ -1572,56 +1527,23 @@ const normalizeText = (text) => {
   return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
 };
 
-// User resolution cache to prevent duplicate queries
-const userResolutionCache = new Map();
-const allUsersCache = { data: null, timestamp: 0 };
-const USER_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const ALL_USERS_CACHE_TTL = 2 * 60 * 1000; // 2 minutes for all users query
+// Display name slug -> user, tagged with the user found; misses are cached under user-resolution:none
+const resolvedUserTag = (userId) => `user-resolution:${userId || 'none'}`;
+const userResolutionCache = createCache('user-resolution', { ttl: 60 * 5 }); // 5 minutes
 
-// Clear expired cache entries
-const clearExpiredUserCache = () => {
-  const now = Date.now();
-  for (const [key, value] of userResolutionCache.entries()) {
-    if (now - value.timestamp > USER_CACHE_TTL) {
-      userResolutionCache.delete(key);
-    }
-  }
-};
+// Usernames and display names of every user, for the normalized slug search
+const ALL_USERS_BASIC_TAG = 'all-users-basic';
+const allUsersCache = createCache('all-users-basic', { ttl: 60 * 2 }); // 2 minutes
 
 // Get all users with caching
-const getAllUsersBasicInfo = async () => {
-  const now = Date.now();
-  
-  // Check if cached data is still valid
-  if (allUsersCache.data && (now - allUsersCache.timestamp) < ALL_USERS_CACHE_TTL) {
-    return allUsersCache.data;
-  }
-  
-  // Fetch fresh data
-  const users = await User.find({}).select('username displayName').lean();
-  
-  // Update cache
-  allUsersCache.data = users;
-  allUsersCache.timestamp = now;
-  
-  return users;
+const getAllUsersBasicInfo = () => {
+  return allUsersCache.wrap('all', () => User.find({}).select('username displayName').lean(), {
+    tags: [ALL_USERS_BASIC_TAG]
+  });
 };
 
-// Helper function to resolve display name slug to user with caching
-const resolveUserByDisplayName = async (displayNameSlug) => {
-  // Check cache first
-  const cacheKey = `user_${displayNameSlug.toLowerCase()}`;
-  const cached = userResolutionCache.get(cacheKey);
-  
-  if (cached && (Date.now() - cached.timestamp) < USER_CACHE_TTL) {
-    return cached.user;
-  }
-
-  // Clear expired entries periodically
-  if (userResolutionCache.size > 100) {
-    clearExpiredUserCache();
-  }
-
+// Find the user a display name slug refers to
+const findUserByDisplayName = async (displayNameSlug) => {
   // Convert URL slug back to potential display name variations
   const potentialDisplayNames = [
     displayNameSlug,
@@ -1633,14 +1555,9 @@ const resolveUserByDisplayName = async (displayNameSlug) => {
   for (const displayName of potentialDisplayNames) {
     const user = await User.findOne({ 
       displayName: { $regex: new RegExp(`^${escapeRegex(displayName)}$`, 'i') }
-    }).select('-password');
+    }).select('-password').lean();
     
     if (user) {
-      // Cache the result
-      userResolutionCache.set(cacheKey, {
-        user,
-        timestamp: Date.now()
-      });
       return user;
     }
   }
@@ -1652,37 +1569,27 @@ const resolveUserByDisplayName = async (displayNameSlug) => {
   const allUsers = await getAllUsersBasicInfo();
   
   for (const user of allUsers) {
-    if (user.displayName && normalizeText(user.displayName) === normalizedSlug) {
+    if ((user.displayName && normalizeText(user.displayName) === normalizedSlug) ||
+        (user.username && normalizeText(user.username) === normalizedSlug)) {
       // Return the full user object without password
-      const fullUser = await User.findById(user._id).select('-password');
-      // Cache the result
-      userResolutionCache.set(cacheKey, {
-        user: fullUser,
-        timestamp: Date.now()
-      });
-      return fullUser;
-    }
-    if (user.username && normalizeText(user.username) === normalizedSlug) {
-      // Return the full user object without password
-      const fullUser = await User.findById(user._id).select('-password');
-      // Cache the result
-      userResolutionCache.set(cacheKey, {
-        user: fullUser,
-        timestamp: Date.now()
-      });
-      return fullUser;
+      return User.findById(user._id).select('-password').lean();
     }
   }
   
-  // Cache null result to prevent repeated lookups
-  userResolutionCache.set(cacheKey, {
-    user: null,
-    timestamp: Date.now()
-  });
-  
   return null;
 };
 
+// Helper function to resolve display name slug to user with caching
+// Null results are cached too, to prevent repeated lookups
+const resolveUserByDisplayName = async (displayNameSlug) => {
+  const user = await userResolutionCache.wrap(
+    displayNameSlug.toLowerCase(),
+    async () => (await findUserByDisplayName(displayNameSlug)) || false,
+    { tags: (found) => [resolvedUserTag(found && found._id)] }
+  );
+  return user || null;
+};
+
 // Search users (admin only)
 router.get('/search/:query', [auth, admin], async (req, res) => {
   try {
@@ -1924,7 +1831,7 @@ router.delete('/id/:userId/ongoing-modules/:moduleId', auth, async (req, res) =>
     });
 
     // Clear user stats cache since module data changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
 
     res.json({ message: 'Module removed from ongoing successfully' });
   } catch (error) {
@@ -1952,7 +1859,7 @@ router.delete('/id/:userId/completed-modules/:moduleId', auth, async (req, res)
     });
 
     // Clear user stats cache since module data changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
 
     res.json({ message: 'Module removed from completed successfully' });
   } catch (error) {
@@ -2351,12 +2258,12 @@ router.get('/id/:userId/role-modules', async (req, res) => {
       });
 
       // Clear user stats cache since module data changed
-      clearUserStatsCache(userId);
+      await clearUserStatsCache(userId);
       
       // Also clear complete profile cache
       const user = await User.findById(userId).select('userNumber');
       if (user) {
-        clearUserStatsCache(`complete_profile_${user.userNumber}`);
+        await clearUserStatsCache(`complete_profile_${user.userNumber}`);
       }
 
       // Re-run the aggregation to get the updated data including the newly added modules
@@ -2522,12 +2429,12 @@ router.post('/id/:userId/move-module-to-completed', auth, async (req, res) => {
     });
 
     // Clear user stats cache since module data changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
     
     // Also clear complete profile cache
     const user = await User.findById(userId).select('userNumber');
     if (user) {
-      clearUserStatsCache(`complete_profile_${user.userNumber}`);
+      await clearUserStatsCache(`complete_profile_${user.userNumber}`);
     }
 
     res.json({ message: 'Module moved to completed successfully' });
@@ -2565,12 +2472,12 @@ router.post('/id/:userId/move-module-to-ongoing', auth, async (req, res) => {
     });
 
     // Clear user stats cache since module data changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
     
     // Also clear complete profile cache
     const user = await User.findById(userId).select('userNumber');
     if (user) {
-      clearUserStatsCache(`complete_profile_${user.userNumber}`);
+      await clearUserStatsCache(`complete_profile_${user.userNumber}`);
     }
 
     res.json({ message: 'Module moved to ongoing successfully' });
@@ -2610,7 +2517,7 @@ router.put('/id/:userId/reorder-ongoing-modules', auth, async (req, res) => {
     });
 
     // Clear user stats cache since module order changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
 
     res.json({ message: 'Ongoing modules reordered successfully' });
   } catch (error) {
@@ -2649,7 +2556,7 @@ router.put('/id/:userId/reorder-completed-modules', auth, async (req, res) => {
     });
 
     // Clear user stats cache since module order changed
-    clearUserStatsCache(userId);
+    await clearUserStatsCache(userId);
 
     res.json({ message: 'Completed modules reordered successfully' });
   } catch (error) {
@@ -2699,12 +2606,12 @@ router.put('/id/:userId/interests', auth, async (req, res) => {
     });
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(userId);
+    await clearUserResolutionCache(userId);
     
     // Also clear complete profile cache
     const user = await User.findById(userId).select('userNumber');
     if (user) {
-      clearUserStatsCache(`complete_profile_${user.userNumber}`);
+      await clearUserStatsCache(`complete_profile_${user.userNumber}`);
     }
 
     res.json({ 
@@ -2718,22 +2625,12 @@ router.put('/id/:userId/interests', auth, async (req, res) => {
 });
 
 // Clear user resolution cache when user data changes
+// Misses go too, since a renamed user may now match a slug that found nobody
 const clearUserResolutionCache = (userId = null) => {
-  if (userId) {
-    // Clear specific user entries - we need to iterate since cache keys are by displayName/username
-    for (const [key, value] of userResolutionCache.entries()) {
-      if (value.user && value.user._id.toString() === userId.toString()) {
-        userResolutionCache.delete(key);
-      }
-    }
-  } else {
-    // Clear all entries
-    userResolutionCache.clear();
-  }
-  
-  // Also clear the all users cache since user data changed
-  allUsersCache.data = null;
-  allUsersCache.timestamp = 0;
+  return invalidateCacheTags(
+    userId ? [resolvedUserTag(userId), resolvedUserTag(null)] : 'user-resolution:*',
+    ALL_USERS_BASIC_TAG
+  );
 };
 
 // Export cache clearing function for use by other routes
@@ -2926,7 +2823,7 @@ router.get('/number/:userNumber/public-profile-complete', async (req, res) => {
     const cacheKey = `complete_profile_${userNumber}`;
     
     if (!forceRefresh) {
-      const cachedProfile = getCachedUserStats(cacheKey);
+      const cachedProfile = await getCachedUserStats(cacheKey);
       if (cachedProfile) {
         return res.json(cachedProfile);
       }
@@ -3037,7 +2934,7 @@ router.get('/number/:userNumber/public-profile-complete', async (req, res) => {
     };
     
     // Cache the result for 5 minutes
-    setCachedUserStats(cacheKey, completeProfile);
+    await setCachedUserStats(cacheKey, completeProfile);
     
     res.json(completeProfile);
 
@@ -3093,7 +2990,7 @@ router.post('/number/:userNumber/avatar', auth, async (req, res) => {
     ).select('-password');
 
     // Clear all user caches after avatar update
-    clearAllUserCaches(user);
+    await clearAllUserCaches(user);
 
     res.json({ avatar: user.avatar });
   } catch (error) {
@@ -3501,7 +3398,7 @@ router.put('/number/:userNumber/intro', auth, async (req, res) => {
     await user.save();
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(req.user._id);
+    await clearUserResolutionCache(req.user._id);
 
     res.json({ 
       intro: user.intro
@@ -3555,11 +3452,11 @@ router.put('/number/:userNumber/wallpaper', auth, async (req, res) => {
     await user.save();
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(req.user._id);
+    await clearUserResolutionCache(req.user._id);
     
     // Clear profile cache to ensure fresh data on reload
     const cacheKey = `complete_profile_${user.userNumber}`;
-    clearUserStatsCache(cacheKey);
+    await clearUserStatsCache(cacheKey);
 
     res.json({ 
       message: 'Wallpaper updated successfully',
@@ -3603,11 +3500,11 @@ router.delete('/number/:userNumber/wallpaper', auth, async (req, res) => {
     await user.save();
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(req.user._id);
+    await clearUserResolutionCache(req.user._id);
     
     // Clear profile cache to ensure fresh data on reload
     const cacheKey = `complete_profile_${user.userNumber}`;
-    clearUserStatsCache(cacheKey);
+    await clearUserStatsCache(cacheKey);
 
     res.json({ 
       message: 'Wallpaper removed successfully'
@@ -3657,11 +3554,11 @@ router.put('/number/:userNumber/wallpaper-position', auth, async (req, res) => {
     await user.save();
 
     // Clear user resolution cache since user data changed
-    clearUserResolutionCache(req.user._id);
+    await clearUserResolutionCache(req.user._id);
     
     // Clear profile cache to ensure fresh data on reload
     const cacheKey = `complete_profile_${user.userNumber}`;
-    clearUserStatsCache(cacheKey);
+    await clearUserStatsCache(cacheKey);
 
     res.json({
       message: 'Wallpaper position updated successfully',
@@ -3750,7 +3647,7 @@ router.get('/id/:userId/blog-posts', (req, res, next) => {
     // Check cache first (only for page 1 with default limit to optimize most common case)
     let result = null;
     if (page === 1 && normalizedLimit === 10) {
-      result = getCachedBlogPosts(userId, page);
+      result = await getCachedBlogPosts(userId, page);
     }
     
     if (!result) {
@@ -3769,7 +3666,7 @@ router.get('/id/:userId/blog-posts', (req, res, next) => {
       
       // Cache the result (only for page 1 with default limit)
       if (page === 1 && normalizedLimit === 10) {
-        setCachedBlogPosts(userId, page, result);
+        await setCachedBlogPosts(userId, page, result);
       }
     }
     
@@ -3841,10 +3738,10 @@ router.post('/id/:userId/blog-posts', auth, async (req, res) => {
     await blogPost.save();
     
     // Clear user stats cache since blog post count changed
-    clearUserStatsCache(userId);
-    clearUserStatsCache(`complete_profile_${req.user.userNumber}`);
+    await clearUserStatsCache(userId);
+    await clearUserStatsCache(`complete_profile_${req.user.userNumber}`);
     // Clear blog posts cache since new post was created
-    clearBlogPostsCache(userId);
+    await clearBlogPostsCache(userId);
     
     res.status(201).json(blogPost);
   } catch (error) {
@@ -3901,7 +3798,7 @@ router.put('/id/:userId/blog-posts/:postId', auth, async (req, res) => {
     await blogPost.save();
     
     // Clear blog posts cache since post was updated
-    clearBlogPostsCache(userId);
+    await clearBlogPostsCache(userId);
     
     res.json(blogPost);
   } catch (error) {
@@ -3938,10 +3835,10 @@ router.delete('/id/:userId/blog-posts/:postId', auth, async (req, res) => {
     await BlogPost.findByIdAndDelete(postId);
     
     // Clear user stats cache since blog post count changed
-    clearUserStatsCache(userId);
-    clearUserStatsCache(`complete_profile_${req.user.userNumber}`);
+    await clearUserStatsCache(userId);
+    await clearUserStatsCache(`complete_profile_${req.user.userNumber}`);
     // Clear blog posts cache since post was deleted
-    clearBlogPostsCache(userId);
+    await clearBlogPostsCache(userId);
     
     res.json({ message: 'Blog post deleted successfully' });
   } catch (error) {
@@ -4035,7 +3932,7 @@ router.post('/id/:userId/blog-posts/:postId/like', auth, async (req, res) => {
     }
     
     // Clear blog posts cache since like count changed
-    clearBlogPostsCache(userId);
+    await clearBlogPostsCache(userId);
     
     res.json({
       message: result.likedByUser ? 'Liked blog post' : 'Unliked blog post',
@@ -4079,7 +3976,7 @@ router.patch('/id/:userId/blog-posts/:postId/toggle-homepage', auth, async (req,
     await blogPost.save();
     
     // Clear blog posts cache since visibility changed
-    clearBlogPostsCache(userId);
+    await clearBlogPostsCache(userId);
     
     res.json({
       message: 'Homepage visibility updated successfully',
@@ -4135,10 +4032,10 @@ router.delete('/number/:userNumber/cache', auth, async (req, res) => {
 
     // Clear various caches related to this user
     const cacheKey = `complete_profile_${userNumber}`;
-    clearUserStatsCache(cacheKey);
-    clearUserStatsCache(targetUser._id.toString());
-    clearUserResolutionCache(targetUser._id);
-    clearBlogPostsCache(targetUser._id.toString());
+    await clearUserStatsCache(cacheKey);
+    await clearUserStatsCache(targetUser._id.toString());
+    await clearUserResolutionCache(targetUser._id);
+    await clearBlogPostsCache(targetUser._id.toString());
     
     res.json({ message: 'Profile cache cleared successfully' });
   } catch (error) {
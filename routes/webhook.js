@@ -1,24 +1,123 @@
 import express from 'express';
 import TopUpRequest from '../models/TopUpRequest.js';
-import User from '../models/User.js';
-import mongoose from 'mongoose';
+import { getCardProviderAdapter } from '../integrations/cardProvider.js';
+import { applyCardResult } from '../services/prepaidCardService.js';
+import { getEwalletAdapter } from '../integrations/ewalletProvider.js';
+import { applyEwalletResult } from '../services/ewalletService.js';
 
 const router = express.Router();
 
 /**
- * Generic webhook handler for future payment methods
+ * Prepaid card provider callback
+ * Providers POST the final result of cards they accepted as pending.
+ * The provider is taken from ?provider= or the payload's telco field.
  * 
- * @route POST /api/webhook/payment
+ * @route POST /api/webhooks/payment
  */
 router.post('/payment', async (req, res) => {
-  console.log('Received payment webhook:', req.body);
-  
   try {
-    res.status(200).json({ message: 'Webhook endpoint ready for configuration' });
+    const payload = req.body || {};
+    const provider = req.query.provider || payload.telco;
+    
+    const adapter = getCardProviderAdapter(provider);
+    if (!adapter) {
+      return res.status(400).json({ message: 'Unknown card provider' });
+    }
+    
+    if (!adapter.verifyCallback(payload)) {
+      console.warn(`Rejected card callback with invalid signature from ${provider}:`, payload.transaction_id);
+      return res.status(401).json({ message: 'Invalid callback signature' });
+    }
+    
+    const result = adapter.parseCallback(payload);
+    
+    const topUpRequest = await TopUpRequest.findOne({
+      paymentMethod: 'prepaidCard',
+      'details.transactionId': result.transactionId
+    });
+    
+    if (!topUpRequest) {
+      return res.status(404).json({ message: 'Top-up request not found' });
+    }
+    
+    if (topUpRequest.details.provider !== provider) {
+      return res.status(400).json({ message: 'Provider does not match top-up request' });
+    }
+    
+    // Settlement is idempotent, so provider retries are acknowledged without side effects
+    const settledRequest = await applyCardResult(topUpRequest._id, result);
+    
+    res.status(200).json({
+      message: settledRequest ? 'Callback processed' : 'Callback already processed',
+      transactionId: result.transactionId
+    });
   } catch (error) {
     console.error('Payment webhook error:', error);
     res.status(500).json({ message: 'Internal server error' });
   }
 });
 
-export default router; 
\ No newline at end of file
+/**
+ * Build the IPN handler for an e-wallet
+ * Each provider expects its own acknowledgement format, which the adapter supplies.
+ * 
+ * @param {string} walletName - E-wallet name (TopUpRequest.subMethod)
+ * @returns {Function} Express handler
+ */
+const handleEwalletIpn = (walletName) => async (req, res) => {
+  const adapter = getEwalletAdapter(walletName);
+  
+  const reply = ({ status, body }) => (body ? res.status(status).json(body) : res.status(status).end());
+  
+  if (!adapter) {
+    console.warn(`Rejected ${walletName} IPN: e-wallet is not configured`);
+    return res.status(404).json({ message: 'E-wallet is not configured' });
+  }
+  
+  try {
+    const payload = req.body || {};
+    
+    // Each provider has its own way of being told the signature was bad
+    if (!adapter.verifyIpn(payload)) {
+      console.warn(`Rejected ${walletName} IPN with invalid signature`);
+      return reply(adapter.ipnResponse(false));
+    }
+    
+    const result = adapter.parseIpn(payload);
+    
+    const topUpRequest = await TopUpRequest.findOne({
+      paymentMethod: 'ewallet',
+      subMethod: walletName,
+      'details.orderId': result.orderId
+    });
+    
+    if (!topUpRequest) {
+      console.warn(`${walletName} IPN for unknown order ${result.orderId}`);
+      return res.status(404).json({ message: 'Top-up request not found' });
+    }
+    
+    // Settlement is idempotent, so provider retries are acknowledged without side effects
+    await applyEwalletResult(topUpRequest._id, result);
+    
+    reply(adapter.ipnResponse(true));
+  } catch (error) {
+    console.error(`${walletName} IPN error:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+/**
+ * MoMo payment notification (IPN)
+ * 
+ * @route POST /api/webhooks/momo
+ */
+router.post('/momo', handleEwalletIpn('momo'));
+
+/**
+ * ZaloPay payment callback
+ * 
+ * @route POST /api/webhooks/zalopay
+ */
+router.post('/zalopay', handleEwalletIpn('zalopay'));
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  getWorkflowBoard,
+  claimWorkflowStep,
+  releaseWorkflowClaim,
+  completeWorkflowStep,
+  setWorkflowStage
+} from '../services/chapterWorkflowService.js';
+
+const router = express.Router();
+
+/**
+ * Send a workflow service error with its status, or a generic 500
+ */
+const handleWorkflowError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message, code: error.code });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({ message: fallbackMessage });
+};
+
+/**
+ * List a novel's chapters by workflow stage (novel staff only)
+ * @route GET /api/workflow/novels/:novelId/board
+ */
+router.get('/novels/:novelId/board', auth, async (req, res) => {
+  try {
+    const board = await getWorkflowBoard(req.params.novelId, req.user);
+    res.json(board);
+  } catch (error) {
+    handleWorkflowError(res, error, 'Lỗi khi tải tiến độ truyện');
+  }
+});
+
+/**
+ * Claim the current step of a chapter
+ * @route POST /api/workflow/chapters/:chapterId/claim
+ */
+router.post('/chapters/:chapterId/claim', auth, async (req, res) => {
+  try {
+    const workflow = await claimWorkflowStep(req.params.chapterId, req.user);
+    res.json(workflow);
+  } catch (error) {
+    handleWorkflowError(res, error, 'Lỗi khi nhận bước của chương');
+  }
+});
+
+/**
+ * Release a claim
+ * @route DELETE /api/workflow/chapters/:chapterId/claim
+ */
+router.delete('/chapters/:chapterId/claim', auth, async (req, res) => {
+  try {
+    const workflow = await releaseWorkflowClaim(req.params.chapterId, req.user);
+    res.json(workflow);
+  } catch (error) {
+    handleWorkflowError(res, error, 'Lỗi khi huỷ nhận bước của chương');
+  }
+});
+
+/**
+ * Complete the current step and pass the chapter to the next role
+ * @route POST /api/workflow/chapters/:chapterId/complete
+ */
+router.post('/chapters/:chapterId/complete', auth, async (req, res) => {
+  try {
+    const workflow = await completeWorkflowStep(req.params.chapterId, req.user);
+    res.json(workflow);
+  } catch (error) {
+    handleWorkflowError(res, error, 'Lỗi khi hoàn tất bước của chương');
+  }
+});
+
+/**
+ * Move a chapter to any stage (admin, moderator or the novel's pj_user)
+ * @route PUT /api/workflow/chapters/:chapterId/stage
+ */
+router.put('/chapters/:chapterId/stage', auth, async (req, res) => {
+  try {
+    const workflow = await setWorkflowStage(req.params.chapterId, req.body.stage, req.user);
+    res.json(workflow);
+  } catch (error) {
+    handleWorkflowError(res, error, 'Lỗi khi chuyển bước của chương');
+  }
+});
+
+export default router;
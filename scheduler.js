@@ -1,27 +1,91 @@
 import cron from 'node-cron';
 import { verifyBankTransfers } from './services/bankTransferVerifier.js';
+import { reconcileEwalletRequests } from './services/ewalletService.js';
+import { checkBalanceInvariants } from './services/ledgerService.js';
+import { publishScheduledContent } from './services/scheduledPublishingService.js';
+import { processAudiobookQueue } from './services/audiobookService.js';
+import { expireWorkflowClaims } from './services/chapterWorkflowService.js';
+import { rebuildSearchIndex, isSearchIndexRebuilding } from './services/searchService.js';
+import {
+  deliverNewChapterNotifications,
+  deliverFollowCommentNotifications,
+  NEW_CHAPTER_NOTIFICATIONS_JOB,
+  FOLLOW_COMMENT_NOTIFICATIONS_JOB
+} from './services/notificationService.js';
+import {
+  cleanupExpiredRentals,
+  RENTAL_CLEANUP_JOB,
+  RENTAL_CLEANUP_INTERVAL_MINUTES
+} from './services/moduleRentService.js';
+import { registerJobType, enqueueJob, runExclusive } from './services/jobQueue.js';
 import mongoose from 'mongoose';
 import TopUpRequest from './models/TopUpRequest.js';
 
+export const BANK_VERIFICATION_JOB = 'payments.verify-bank-transfers';
+
+/**
+ * Register the handlers of background job types
+ * Every instance registers them; its job worker only claims types it knows.
+ */
+const registerJobTypes = () => {
+  registerJobType(NEW_CHAPTER_NOTIFICATIONS_JOB, deliverNewChapterNotifications);
+  registerJobType(FOLLOW_COMMENT_NOTIFICATIONS_JOB, deliverFollowCommentNotifications);
+
+  registerJobType(BANK_VERIFICATION_JOB, async () => {
+    const result = await verifyBankTransfers();
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    console.log('Bank transfer verification completed:', result);
+    return result;
+  }, { maxAttempts: 3, backoffMs: 2 * 60 * 1000 });
+
+  registerJobType(RENTAL_CLEANUP_JOB, cleanupExpiredRentals, { maxAttempts: 3 });
+};
+
+/**
+ * Schedule a task that runs on one instance per tick
+ * The task's own errors are its to log; this only reports lock failures.
+ */
+const scheduleExclusive = (name, expression, task) => {
+  cron.schedule(expression, async () => {
+    try {
+      await runExclusive(name, task);
+    } catch (error) {
+      console.error(`Error running scheduled task ${name}:`, error);
+    }
+  });
+};
+
 /**
  * Initialize all scheduled tasks
  */
 export const initScheduler = () => {
   console.log('Initializing scheduled tasks...');
+
+  registerJobTypes();
   
-  // Run bank transfer verification hourly
-  cron.schedule('0 * * * *', async () => {
-    console.log('Running scheduled bank transfer verification...');
+  // Queue bank transfer verification hourly; the job is retried if the bank feed is down
+  scheduleExclusive('bank-transfer-verification', '0 * * * *', async () => {
+    console.log('Queueing scheduled bank transfer verification...');
+    try {
+      await enqueueJob(BANK_VERIFICATION_JOB);
+    } catch (error) {
+      console.error('Error queueing bank transfer verification:', error);
+    }
+  });
+
+  // Queue expired rental cleanup
+  scheduleExclusive('rental-cleanup', `*/${RENTAL_CLEANUP_INTERVAL_MINUTES} * * * *`, async () => {
     try {
-      const result = await verifyBankTransfers();
-      console.log('Bank transfer verification completed:', result);
+      await enqueueJob(RENTAL_CLEANUP_JOB);
     } catch (error) {
-      console.error('Error in scheduled bank transfer verification:', error);
+      console.error('Error queueing rental cleanup:', error);
     }
   });
 
   // Clean up expired requests daily at midnight
-  cron.schedule('0 0 * * *', async () => {
+  scheduleExclusive('expired-topup-cleanup', '0 0 * * *', async () => {
     console.log('Running cleanup of expired requests...');
     try {
       await cleanupExpiredRequests();
@@ -30,8 +94,8 @@ export const initScheduler = () => {
     }
   });
   
-  // Handle stuck requests daily at 1 AM
-  cron.schedule('0 1 * * *', async () => {
+  // Reconcile pending e-wallet payments with the providers every 10 minutes
+  scheduleExclusive('ewallet-reconciliation', '*/10 * * * *', async () => {
     console.log('Checking for stuck payment requests...');
     try {
       await handleStuckRequests();
@@ -39,6 +103,65 @@ export const initScheduler = () => {
       console.error('Error in handling stuck requests:', error);
     }
   });
+
+  // Check stored balances against the ledger nightly at 3 AM
+  scheduleExclusive('ledger-invariant-check', '0 3 * * *', async () => {
+    console.log('Running ledger balance invariant check...');
+    try {
+      const result = await checkBalanceInvariants();
+      console.log('Ledger invariant check completed:', result);
+    } catch (error) {
+      console.error('Error in ledger invariant check:', error);
+    }
+  });
+  
+  // Publish scheduled chapters and modules every minute
+  scheduleExclusive('scheduled-publishing', '* * * * *', async () => {
+    try {
+      const result = await publishScheduledContent();
+      if (result.chapters > 0 || result.modules > 0) {
+        console.log('Scheduled publishing completed:', result);
+      }
+    } catch (error) {
+      console.error('Error in scheduled publishing:', error);
+    }
+  });
+  
+  // Pick up queued and retried audiobook jobs every 30 seconds
+  scheduleExclusive('audiobook-queue', '*/30 * * * * *', async () => {
+    try {
+      const processed = await processAudiobookQueue();
+      if (processed > 0) {
+        console.log(`Processed ${processed} audiobook jobs`);
+      }
+    } catch (error) {
+      console.error('Error processing audiobook queue:', error);
+    }
+  });
+
+  // Release lapsed chapter workflow claims every 15 minutes
+  scheduleExclusive('workflow-claim-expiry', '*/15 * * * *', async () => {
+    try {
+      const released = await expireWorkflowClaims();
+      if (released > 0) {
+        console.log(`Released ${released} expired workflow claims`);
+      }
+    } catch (error) {
+      console.error('Error releasing expired workflow claims:', error);
+    }
+  });
+
+  // Rebuild the search index nightly at 4 AM to catch writes that were not queued
+  scheduleExclusive('search-index-rebuild', '0 4 * * *', async () => {
+    if (isSearchIndexRebuilding()) return;
+    console.log('Rebuilding search index...');
+    try {
+      const result = await rebuildSearchIndex();
+      console.log('Search index rebuilt:', result);
+    } catch (error) {
+      console.error('Error rebuilding search index:', error);
+    }
+  });
   
   console.log('Scheduler initialized successfully');
 };
@@ -57,7 +180,9 @@ export const cleanupExpiredRequests = async () => {
     const expiredRequests = await TopUpRequest.updateMany(
       { 
         status: 'Pending',
-        createdAt: { $lt: cutoffDate }
+        createdAt: { $lt: cutoffDate },
+        // Paid e-wallet orders with a mismatched amount wait for an admin instead
+        'details.needsReview': { $ne: true }
       },
       {
         $set: {
@@ -84,42 +209,22 @@ export const cleanupExpiredRequests = async () => {
 
 /**
  * Handle stuck requests (e.g., payment initiated but not completed)
+ * Asks MoMo/ZaloPay for the status of pending e-wallet orders instead of
+ * guessing from their age; unpaid orders are only failed after the order timeout.
  * 
  * @returns {Promise<Object>} Summary of the operation
  */
 export const handleStuckRequests = async () => {
   try {
-    // Find e-wallet payments (Momo, ZaloPay) that are pending for more than 4 hours
-    const cutoffDate = new Date(Date.now() - 4 * 60 * 60 * 1000);
-    
-    const stuckRequests = await TopUpRequest.find({
-      status: 'Pending',
-      paymentMethod: 'ewallet',
-      createdAt: { $lt: cutoffDate }
-    });
-    
-    console.log(`Found ${stuckRequests.length} stuck e-wallet requests`);
+    const summary = await reconcileEwalletRequests();
     
-    let processedCount = 0;
-    
-    for (const request of stuckRequests) {
-      try {
-        // Here you would check the payment status with the e-wallet provider
-        // For now, we'll just mark them as failed
-        request.status = 'Failed';
-        request.notes = 'Automatically marked as failed (payment not completed in 4 hours)';
-        await request.save();
-        processedCount++;
-      } catch (error) {
-        console.error(`Error processing stuck request ${request._id}:`, error);
-      }
-    }
+    console.log(`Reconciled ${summary.total} pending e-wallet requests:`, summary);
     
     return {
       success: true,
-      total: stuckRequests.length,
-      processed: processedCount,
-      message: `Processed ${processedCount} of ${stuckRequests.length} stuck requests`
+      ...summary,
+      processed: summary.completed + summary.failed,
+      message: `Processed ${summary.completed + summary.failed} of ${summary.total} stuck requests`
     };
   } catch (error) {
     console.error('Stuck requests handling error:', error);
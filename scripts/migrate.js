@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { getMigrationStatus, migrateUp, migrateDown } from '../services/migrationRunner.js';
+import { flushSearchIndexQueue } from '../services/searchService.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  status                 List applied and pending migrations
+  up                     Apply pending migrations
+  down                   Roll back the most recent migration
+
+Options:
+  --dry-run              Report what would change without writing
+  --to <version>         up: stop after this version; down: roll back everything after it
+  --steps <n>            down: roll back this many migrations (default 1)`;
+
+/**
+ * Read the command and options from the command line
+ */
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = { dryRun: false, to: null, steps: 1 };
+
+  for (let i = 0; i < rest.length; i++) {
+    switch (rest[i]) {
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--to':
+        options.to = rest[++i];
+        if (!/^\d{4}$/.test(options.to || '')) {
+          throw new Error('--to needs a four-digit version, e.g. 0002');
+        }
+        break;
+      case '--steps':
+        options.steps = parseInt(rest[++i]);
+        if (!(options.steps > 0)) {
+          throw new Error('--steps needs a positive number');
+        }
+        break;
+      default:
+        throw new Error(`Unknown option ${rest[i]}`);
+    }
+  }
+
+  return { command, options };
+};
+
+const printStatus = (migrations) => {
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+  for (const migration of migrations) {
+    const appliedAt = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+    const flags = migration.reversible ? '' : ' (irreversible)';
+    console.log(`${migration.status.padEnd(8)} ${migration.version}-${migration.name}${flags} ${appliedAt}`.trimEnd());
+  }
+};
+
+async function migrate() {
+  try {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    if (!['status', 'up', 'down'].includes(command)) {
+      console.log(USAGE);
+      process.exit(command ? 1 : 0);
+    }
+
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    if (command === 'status') {
+      printStatus(await getMigrationStatus());
+    } else if (command === 'up') {
+      const results = await migrateUp(options);
+      console.log(results.length === 0
+        ? 'No pending migrations'
+        : `${options.dryRun ? 'Dry run:' : 'Applied'} ${results.length} migration(s)`);
+    } else {
+      const results = await migrateDown(options);
+      console.log(results.length === 0
+        ? 'Nothing to roll back'
+        : `${options.dryRun ? 'Dry run:' : 'Rolled back'} ${results.length} migration(s)`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    // Search index updates queued by migrations are written before the connection closes
+    await flushSearchIndexQueue();
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+migrate();
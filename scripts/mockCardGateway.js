@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Local mock of the prepaid card gateways, for testing the card top-up flow offline
+ * Usage: node scripts/mockCardGateway.js
+ *
+ * Point the providers at it, e.g.:
+ *   VIETTEL_API_URL=http://localhost:5055/viettel
+ *   MOBIPHONE_API_URL=http://localhost:5055/mobiphone
+ *   VINAPHONE_API_URL=http://localhost:5055/vinaphone
+ *
+ * The server and the mock must share the providers' *_SECRET_KEY values;
+ * providers without one are disabled on both sides.
+ *
+ * The outcome is chosen by the last four digits of the card serial:
+ *   ...0000  rejected immediately
+ *   ...1111  accepted immediately
+ *   ...2222  pending, then a wrong_value callback at half the declared value
+ *   ...3333  pending, then a failed callback
+ *   other    pending, then a success callback
+ */
+
+import express from 'express';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+// Load environment variables before reading the payment config
+dotenv.config();
+
+const { default: paymentConfig } = await import('../config/paymentConfig.js');
+const { generateCardValidationHash, generateCardCallbackHash, generateTransactionId } = await import('../utils/paymentUtils.js');
+
+const PORT = Number(process.env.MOCK_CARD_GATEWAY_PORT || 5055);
+const CALLBACK_DELAY_MS = Number(process.env.MOCK_CARD_CALLBACK_DELAY_MS || 5000);
+
+const app = express();
+app.use(express.json());
+
+/**
+ * Send a signed result callback the way a real provider would
+ */
+const sendCallback = async (telco, charge, status, cardValue, message) => {
+  const providerConfig = paymentConfig.cardProviders[telco];
+
+  const payload = {
+    partner_id: providerConfig.partnerId,
+    telco,
+    transaction_id: charge.transaction_id,
+    provider_transaction_id: charge.provider_transaction_id,
+    status,
+    card_value: cardValue,
+    declared_value: charge.declared_value,
+    message,
+    callback_hash: generateCardCallbackHash(telco, charge.transaction_id, status, cardValue)
+  };
+
+  try {
+    const response = await axios.post(charge.callback_url, payload, { timeout: 10000 });
+    console.log(`[${telco}] Callback ${charge.transaction_id} -> ${status}: ${response.status}`);
+  } catch (error) {
+    console.error(`[${telco}] Callback ${charge.transaction_id} failed:`, error.response?.status || error.message);
+  }
+};
+
+app.post('/:telco/charge', (req, res) => {
+  const { telco } = req.params;
+  const charge = req.body || {};
+  const providerConfig = paymentConfig.cardProviders[telco];
+
+  if (!providerConfig) {
+    return res.status(404).json({ status: 'failed', message: `Unknown telco: ${telco}` });
+  }
+
+  if (charge.partner_id !== providerConfig.partnerId ||
+      charge.secure_hash !== generateCardValidationHash(telco, charge.card_number, charge.card_pin)) {
+    return res.status(401).json({
+      status: 'failed',
+      transaction_id: charge.transaction_id,
+      message: 'Invalid signature'
+    });
+  }
+
+  const serial = String(charge.card_number || '');
+  const declaredValue = Number(charge.declared_value) || 0;
+  charge.provider_transaction_id = generateTransactionId(`MOCK_${telco.toUpperCase()}_`);
+
+  const respond = (status, cardValue, message) => res.json({
+    status,
+    transaction_id: charge.transaction_id,
+    provider_transaction_id: charge.provider_transaction_id,
+    card_value: cardValue,
+    declared_value: declaredValue,
+    message
+  });
+
+  if (serial.endsWith('0000')) {
+    return respond('failed', 0, 'Thẻ không hợp lệ hoặc đã được sử dụng');
+  }
+
+  if (serial.endsWith('1111')) {
+    return respond('success', declaredValue, 'Thẻ hợp lệ');
+  }
+
+  let outcome = ['success', declaredValue, 'Thẻ hợp lệ'];
+  if (serial.endsWith('2222')) {
+    outcome = ['wrong_value', Math.floor(declaredValue / 2), 'Sai mệnh giá'];
+  } else if (serial.endsWith('3333')) {
+    outcome = ['failed', 0, 'Thẻ không hợp lệ hoặc đã được sử dụng'];
+  }
+
+  setTimeout(() => sendCallback(telco, charge, ...outcome), CALLBACK_DELAY_MS);
+
+  return respond('pending', 0, 'Thẻ đang được xử lý');
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock card gateway listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the MoMo and ZaloPay APIs, for testing e-wallet top-ups offline
+ * Usage: node scripts/mockEwalletGateway.js
+ *
+ * Point the e-wallets at it, e.g.:
+ *   MOMO_API_URL=http://localhost:5056
+ *   ZALOPAY_API_URL=http://localhost:5056
+ *
+ * The server and the mock must share MOMO_SECRET_KEY, ZALOPAY_KEY1 and ZALOPAY_KEY2;
+ * an e-wallet without its keys is disabled.
+ *
+ * Orders stay unpaid until their payUrl is opened:
+ *   GET /pay/:wallet/:orderId                  pay and send the IPN
+ *   GET /pay/:wallet/:orderId?result=failed    fail (MoMo sends an IPN, ZaloPay does not)
+ *   GET /pay/:wallet/:orderId?notify=0         change the status without an IPN,
+ *                                              so only the reconciliation job can see it
+ * Set MOCK_EWALLET_AUTO_PAY_MS to pay every order automatically after a delay.
+ */
+
+import express from 'express';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+// Load environment variables before reading the payment config
+dotenv.config();
+
+const { default: paymentConfig } = await import('../config/paymentConfig.js');
+const { generateHmacSignature, generateTransactionId } = await import('../utils/paymentUtils.js');
+const {
+  signMomoPayload,
+  MOMO_CREATE_SIGNATURE_FIELDS,
+  MOMO_QUERY_SIGNATURE_FIELDS,
+  MOMO_RESULT_SIGNATURE_FIELDS
+} = await import('../integrations/ewalletProvider.js');
+
+const PORT = Number(process.env.MOCK_EWALLET_GATEWAY_PORT || 5056);
+const BASE_URL = process.env.MOCK_EWALLET_GATEWAY_URL || `http://localhost:${PORT}`;
+const AUTO_PAY_MS = Number(process.env.MOCK_EWALLET_AUTO_PAY_MS || 0);
+
+// Orders keyed by `${wallet}:${orderId}`
+const orders = new Map();
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+/**
+ * Send the IPN for an order the way the real provider would
+ */
+const sendIpn = async (order) => {
+  let payload;
+
+  if (order.wallet === 'momo') {
+    payload = {
+      partnerCode: paymentConfig.ewallets.momo.partnerCode,
+      orderId: order.orderId,
+      requestId: order.requestId,
+      amount: order.amount,
+      orderInfo: order.orderInfo,
+      orderType: 'momo_wallet',
+      transId: order.transId,
+      resultCode: order.status === 'paid' ? 0 : 1006,
+      message: order.status === 'paid' ? 'Thành công.' : 'Giao dịch bị từ chối bởi người dùng.',
+      payType: 'qr',
+      responseTime: Date.now(),
+      extraData: ''
+    };
+    payload.signature = signMomoPayload(MOMO_RESULT_SIGNATURE_FIELDS, payload);
+  } else {
+    // ZaloPay only calls back for successful payments
+    if (order.status !== 'paid') {
+      return;
+    }
+    const data = JSON.stringify({
+      app_id: Number(paymentConfig.ewallets.zalopay.appId),
+      app_trans_id: order.orderId,
+      app_time: order.appTime,
+      app_user: order.appUser,
+      amount: order.amount,
+      embed_data: order.embedData,
+      item: '[]',
+      zp_trans_id: order.transId,
+      server_time: Date.now(),
+      channel: 38
+    });
+    payload = {
+      data,
+      mac: generateHmacSignature(data, paymentConfig.ewallets.zalopay.key2),
+      type: 1
+    };
+  }
+
+  try {
+    const response = await axios.post(order.ipnUrl, payload, { timeout: 10000 });
+    console.log(`[${order.wallet}] IPN ${order.orderId} -> ${order.status}: ${response.status}`);
+  } catch (error) {
+    console.error(`[${order.wallet}] IPN ${order.orderId} failed:`, error.response?.status || error.message);
+  }
+};
+
+const settleOrder = (order, paid, notify = true) => {
+  if (order.status !== 'unpaid') {
+    return;
+  }
+  order.status = paid ? 'paid' : 'failed';
+  order.transId = paid ? Number(generateTransactionId().slice(-12)) : 0;
+  if (notify) {
+    sendIpn(order);
+  }
+};
+
+const registerOrder = (order) => {
+  orders.set(`${order.wallet}:${order.orderId}`, order);
+  if (AUTO_PAY_MS > 0) {
+    setTimeout(() => settleOrder(order, true), AUTO_PAY_MS);
+  }
+};
+
+// MoMo: create payment
+app.post('/v2/gateway/api/create', (req, res) => {
+  const payload = req.body || {};
+
+  if (payload.partnerCode !== paymentConfig.ewallets.momo.partnerCode ||
+      payload.signature !== signMomoPayload(MOMO_CREATE_SIGNATURE_FIELDS, payload)) {
+    return res.json({ orderId: payload.orderId, resultCode: 11007, message: 'Chữ ký không hợp lệ.' });
+  }
+
+  registerOrder({
+    wallet: 'momo',
+    orderId: payload.orderId,
+    requestId: payload.requestId,
+    amount: Number(payload.amount),
+    orderInfo: payload.orderInfo,
+    ipnUrl: payload.ipnUrl,
+    status: 'unpaid'
+  });
+
+  res.json({
+    partnerCode: payload.partnerCode,
+    orderId: payload.orderId,
+    requestId: payload.requestId,
+    amount: Number(payload.amount),
+    responseTime: Date.now(),
+    message: 'Thành công.',
+    resultCode: 0,
+    payUrl: `${BASE_URL}/pay/momo/${payload.orderId}`,
+    deeplink: `momo://app?action=payWithApp&orderId=${payload.orderId}`,
+    qrCodeUrl: `${BASE_URL}/pay/momo/${payload.orderId}`
+  });
+});
+
+// MoMo: query payment status
+app.post('/v2/gateway/api/query', (req, res) => {
+  const payload = req.body || {};
+
+  if (payload.signature !== signMomoPayload(MOMO_QUERY_SIGNATURE_FIELDS, payload)) {
+    return res.json({ orderId: payload.orderId, resultCode: 11007, message: 'Chữ ký không hợp lệ.' });
+  }
+
+  const order = orders.get(`momo:${payload.orderId}`);
+  if (!order) {
+    return res.json({ orderId: payload.orderId, resultCode: 42, message: 'Không tìm thấy giao dịch.' });
+  }
+
+  const resultCode = { unpaid: 1000, paid: 0, failed: 1006 }[order.status];
+  res.json({
+    partnerCode: payload.partnerCode,
+    orderId: order.orderId,
+    requestId: payload.requestId,
+    extraData: '',
+    amount: order.amount,
+    transId: order.transId || 0,
+    payType: 'qr',
+    resultCode,
+    message: resultCode === 0 ? 'Thành công.' : (resultCode === 1000 ? 'Giao dịch đang chờ thanh toán.' : 'Giao dịch bị từ chối bởi người dùng.'),
+    responseTime: Date.now()
+  });
+});
+
+// ZaloPay: create order
+app.post('/v2/create', (req, res) => {
+  const order = req.body || {};
+  const { appId, key1 } = paymentConfig.ewallets.zalopay;
+
+  const expectedMac = generateHmacSignature(
+    [order.app_id, order.app_trans_id, order.app_user, order.amount, order.app_time, order.embed_data, order.item].join('|'),
+    key1
+  );
+  if (String(order.app_id) !== String(appId) || order.mac !== expectedMac) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_code: -402, sub_return_message: 'Mac không hợp lệ' });
+  }
+
+  registerOrder({
+    wallet: 'zalopay',
+    orderId: order.app_trans_id,
+    amount: Number(order.amount),
+    appTime: Number(order.app_time),
+    appUser: order.app_user,
+    embedData: order.embed_data,
+    ipnUrl: order.callback_url,
+    status: 'unpaid'
+  });
+
+  res.json({
+    return_code: 1,
+    return_message: 'Giao dịch thành công',
+    sub_return_code: 1,
+    sub_return_message: 'Giao dịch thành công',
+    order_url: `${BASE_URL}/pay/zalopay/${order.app_trans_id}`,
+    zp_trans_token: generateTransactionId('MOCKZP_'),
+    order_token: generateTransactionId('MOCKZP_'),
+    qr_code: `${BASE_URL}/pay/zalopay/${order.app_trans_id}`
+  });
+});
+
+// ZaloPay: query order status
+app.post('/v2/query', (req, res) => {
+  const query = req.body || {};
+  const { key1 } = paymentConfig.ewallets.zalopay;
+
+  if (query.mac !== generateHmacSignature(`${query.app_id}|${query.app_trans_id}|${key1}`, key1)) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_message: 'Mac không hợp lệ' });
+  }
+
+  const order = orders.get(`zalopay:${query.app_trans_id}`);
+  if (!order) {
+    return res.json({ return_code: 2, return_message: 'Giao dịch thất bại', sub_return_message: 'Không tìm thấy giao dịch' });
+  }
+
+  const returnCode = { unpaid: 3, paid: 1, failed: 2 }[order.status];
+  res.json({
+    return_code: returnCode,
+    return_message: returnCode === 1 ? 'Giao dịch thành công' : (returnCode === 3 ? 'Giao dịch đang xử lý' : 'Giao dịch thất bại'),
+    is_processing: returnCode === 3,
+    amount: order.amount,
+    zp_trans_id: order.transId || 0
+  });
+});
+
+// Simulates the user paying (or abandoning) the order in the e-wallet app
+app.get('/pay/:wallet/:orderId', (req, res) => {
+  const order = orders.get(`${req.params.wallet}:${req.params.orderId}`);
+  if (!order) {
+    return res.status(404).send('Order not found');
+  }
+
+  settleOrder(order, req.query.result !== 'failed', req.query.notify !== '0');
+  res.send(`Order ${order.orderId}: ${order.status}`);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock e-wallet gateway (MoMo + ZaloPay) listening on ${BASE_URL}`);
+});
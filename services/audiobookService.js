@@ -0,0 +1,447 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import AudiobookJob from '../models/AudiobookJob.js';
+import ChapterAudio from '../models/ChapterAudio.js';
+import Chapter from '../models/Chapter.js';
+import Module from '../models/Module.js';
+import Novel from '../models/Novel.js';
+import { synthesizeNarration, uploadToBunnycdn, listTTSVoices } from './ttsService.js';
+import { broadcastEventToUser } from './sseService.js';
+import { isAdminOrModerator, isNovelPjUser, isNovelStaff } from './chapterAccessService.js';
+import { prepareNarrationText } from '../utils/narrationText.js';
+import { createSlug } from '../utils/slugUtils.js';
+
+/**
+ * Audiobook pre-generation
+ *
+ * Staff enqueue a chapter or a whole module of a TTS-enabled novel; the worker
+ * narrates one chapter at a time and stores a ChapterAudio asset per chapter and
+ * voice. Jobs live in MongoDB, so queued work survives restarts.
+ */
+
+// A running job whose heartbeat is older than this belongs to a dead worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Delay before retrying the failed chapters of a job, per attempt
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000];
+
+const createAudiobookError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Check whether a user may manage audiobook generation for a novel
+ *
+ * @param {Object} user - User
+ * @param {Object} novel - Novel with active staff
+ * @returns {boolean}
+ */
+export const canManageAudiobooks = (user, novel) => {
+  return isAdminOrModerator(user) || isNovelPjUser(user, novel) || isNovelStaff(user, novel);
+};
+
+/**
+ * Send job progress to the user who requested it
+ */
+const reportProgress = (job, extra = {}) => {
+  const done = job.chapters.filter(item => item.status === 'done' || item.status === 'skipped').length;
+  const failed = job.chapters.filter(item => item.status === 'failed').length;
+
+  broadcastEventToUser('audiobook_progress', {
+    jobId: job._id,
+    novelId: job.novel,
+    moduleId: job.module,
+    status: job.status,
+    total: job.chapters.length,
+    completed: done,
+    failed,
+    timestamp: new Date().toISOString(),
+    ...extra
+  }, job.requestedBy.toString());
+};
+
+/**
+ * Queue narration of a chapter or a module
+ *
+ * @param {Object} params
+ * @param {string} params.novelId - Novel ID
+ * @param {string} [params.moduleId] - Module to narrate entirely
+ * @param {string} [params.chapterId] - Single chapter to narrate
+ * @param {string} [params.voice] - Voice name from GET /api/tts/voices
+ * @param {boolean} [params.force] - Regenerate up-to-date assets too
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { job, created } where created is false if an identical job was already queued
+ */
+export const enqueueAudiobookJob = async ({ novelId, moduleId, chapterId, voice = 'nu', force = false }, user) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createAudiobookError('ID truyện không hợp lệ');
+  }
+  if (!listTTSVoices().some(candidate => candidate.value === voice)) {
+    throw createAudiobookError('Giọng đọc không hợp lệ');
+  }
+  if (!moduleId === !chapterId) {
+    throw createAudiobookError('Chọn một tập hoặc một chương để tạo audio');
+  }
+
+  const novel = await Novel.findById(novelId).select('title active ttsEnabled').lean();
+  if (!novel) {
+    throw createAudiobookError('Truyện không tồn tại', 404);
+  }
+  if (!novel.ttsEnabled) {
+    throw createAudiobookError('Truyện chưa bật tính năng đọc truyện (TTS)');
+  }
+  if (!canManageAudiobooks(user, novel)) {
+    throw createAudiobookError('Chỉ nhóm dịch hoặc admin mới có thể tạo audio cho truyện', 403);
+  }
+
+  let chapters;
+  let targetModuleId;
+  if (moduleId) {
+    if (!mongoose.Types.ObjectId.isValid(moduleId)) {
+      throw createAudiobookError('ID tập không hợp lệ');
+    }
+    const module = await Module.findOne({ _id: moduleId, novelId }).select('_id').lean();
+    if (!module) {
+      throw createAudiobookError('Tập không tồn tại', 404);
+    }
+    targetModuleId = module._id;
+    chapters = await Chapter.find({ moduleId, novelId }).select('title').sort({ order: 1 }).lean();
+  } else {
+    if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+      throw createAudiobookError('ID chương không hợp lệ');
+    }
+    chapters = await Chapter.find({ _id: chapterId, novelId }).select('title moduleId').lean();
+    targetModuleId = chapters[0]?.moduleId;
+  }
+
+  if (chapters.length === 0) {
+    throw createAudiobookError('Không có chương nào để tạo audio', 404);
+  }
+
+  // Enqueueing the same target twice just returns the job already in the queue
+  const chapterIds = chapters.map(chapter => chapter._id);
+  const existing = await AudiobookJob.findOne({
+    novel: novelId,
+    targetType: moduleId ? 'module' : 'chapter',
+    ...(moduleId ? { module: moduleId } : { 'chapters.chapter': chapterIds[0] }),
+    voice,
+    status: { $in: ['queued', 'running'] }
+  });
+  if (existing) {
+    return { job: existing, created: false };
+  }
+
+  const job = await AudiobookJob.create({
+    novel: novelId,
+    module: targetModuleId,
+    targetType: moduleId ? 'module' : 'chapter',
+    voice,
+    force: Boolean(force),
+    chapters: chapters.map(chapter => ({ chapter: chapter._id, title: chapter.title })),
+    requestedBy: user._id
+  });
+
+  return { job, created: true };
+};
+
+/**
+ * Narrate one chapter and store its audio asset
+ *
+ * @param {Object} job - Running AudiobookJob
+ * @param {Object} item - Job chapter entry
+ * @returns {Promise<string>} 'done' or 'skipped'
+ */
+const narrateChapter = async (job, item) => {
+  const chapter = await Chapter.findById(item.chapter).select('title content novelId moduleId').lean();
+  if (!chapter) {
+    item.error = 'Chương đã bị xóa';
+    return 'skipped';
+  }
+
+  const text = prepareNarrationText(chapter.content);
+  if (!text) {
+    item.error = 'Chương không có nội dung để đọc';
+    return 'skipped';
+  }
+
+  const contentHash = hashText(text);
+  if (!job.force) {
+    const current = await ChapterAudio.findOne({
+      chapter: chapter._id,
+      voice: job.voice,
+      contentHash,
+      status: 'ready'
+    }).select('_id').lean();
+    if (current) {
+      item.audio = current._id;
+      return 'skipped';
+    }
+  }
+
+  // No fallback voice: the audio is stored as job.voice and only regenerated when the text changes,
+  // so while the voice's provider is down the chapter fails and the job retries later
+  const { audioContent, durationMs, timings, chunkCount } = await synthesizeNarration(text, {
+    voiceName: job.voice,
+    allowFallback: false
+  });
+
+  // The hash in the filename keeps CDN caches from serving the audio of an older text
+  const filename = `audiobooks/${job.novel}/${createSlug(chapter.title).substring(0, 50) || 'chapter'}-${chapter._id}-${job.voice}-${contentHash.substring(0, 8)}.mp3`;
+  const audioUrl = await uploadToBunnycdn(audioContent, filename);
+  const timingsUrl = await uploadToBunnycdn(
+    Buffer.from(JSON.stringify(timings)),
+    filename.replace(/\.mp3$/, '.timings.json'),
+    'application/json'
+  );
+
+  const audio = await ChapterAudio.findOneAndUpdate(
+    { chapter: chapter._id, voice: job.voice },
+    {
+      $set: {
+        novel: chapter.novelId,
+        module: chapter.moduleId,
+        contentHash,
+        audioUrl,
+        timingsUrl,
+        characterCount: text.length,
+        chunkCount,
+        fileSize: audioContent.length,
+        duration: Math.round(durationMs / 1000),
+        durationMs,
+        status: 'ready',
+        job: job._id,
+        generatedAt: new Date()
+      },
+      $unset: { invalidatedAt: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  item.audio = audio._id;
+  return 'done';
+};
+
+/**
+ * Mark running jobs failed, along with the chapters they have not narrated
+ *
+ * @param {Object} filter - Jobs to fail; only running ones are touched
+ * @param {string} message - Recorded as the job's last error
+ */
+const failRunningJobs = async (filter, message) => {
+  const now = new Date();
+  await AudiobookJob.updateMany(
+    { ...filter, status: 'running' },
+    [
+      {
+        $set: {
+          status: 'failed',
+          finishedAt: now,
+          lastError: message,
+          chapters: {
+            $map: {
+              input: '$chapters',
+              as: 'item',
+              in: {
+                $cond: [
+                  { $eq: ['$$item.status', 'pending'] },
+                  { $mergeObjects: ['$$item', { status: 'failed' }] },
+                  '$$item'
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $unset: 'lockedAt' }
+    ]
+  );
+};
+
+/**
+ * Claim the next due job, including running jobs abandoned by a dead worker
+ * An abandoned job that has used up its attempts is failed instead of claimed.
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS);
+
+  await failRunningJobs(
+    { lockedAt: { $lt: staleBefore }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    'Worker stopped during the last attempt'
+  );
+
+  return AudiobookJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', nextRunAt: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: staleBefore }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Run one job until every chapter is done or has failed this attempt
+ *
+ * @param {Object} job - Claimed AudiobookJob
+ */
+const runJob = async (job) => {
+  job.startedAt = job.startedAt || new Date();
+  reportProgress(job);
+
+  for (const item of job.chapters) {
+    if (item.status !== 'pending') {
+      continue;
+    }
+
+    // Stop if the job was cancelled while running
+    const { status } = await AudiobookJob.findById(job._id).select('status').lean() || {};
+    if (status === 'cancelled') {
+      return;
+    }
+
+    item.attempts += 1;
+    try {
+      item.status = await narrateChapter(job, item);
+      item.error = item.status === 'skipped' ? item.error : undefined;
+    } catch (error) {
+      console.error(`Audiobook job ${job._id}: chapter ${item.chapter} failed:`, error.message);
+      item.error = error.message;
+      job.lastError = error.message;
+    }
+
+    job.lockedAt = new Date();
+    await AudiobookJob.updateOne(
+      { _id: job._id, status: 'running' },
+      { $set: { chapters: job.chapters, lockedAt: job.lockedAt, lastError: job.lastError, startedAt: job.startedAt } }
+    );
+    reportProgress(job, { chapterId: item.chapter, chapterStatus: item.status });
+  }
+
+  const pending = job.chapters.filter(item => item.status === 'pending');
+
+  if (pending.length === 0) {
+    job.status = 'completed';
+    job.finishedAt = new Date();
+  } else if (job.attempts < job.maxAttempts) {
+    // Retry the failed chapters later
+    job.status = 'queued';
+    job.nextRunAt = new Date(Date.now() + RETRY_DELAYS_MS[Math.min(job.attempts - 1, RETRY_DELAYS_MS.length - 1)]);
+  } else {
+    pending.forEach(item => { item.status = 'failed'; });
+    job.status = 'failed';
+    job.finishedAt = new Date();
+  }
+
+  job.lockedAt = undefined;
+  await AudiobookJob.updateOne(
+    { _id: job._id, status: 'running' },
+    {
+      $set: {
+        chapters: job.chapters,
+        status: job.status,
+        nextRunAt: job.nextRunAt,
+        finishedAt: job.finishedAt
+      },
+      $unset: { lockedAt: 1 }
+    }
+  );
+  reportProgress(job);
+};
+
+let isProcessing = false;
+
+/**
+ * Process queued audiobook jobs until the queue is empty
+ * Runs are serialized within the process; claiming keeps several processes apart.
+ *
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export const processAudiobookQueue = async () => {
+  if (isProcessing) {
+    return 0;
+  }
+  isProcessing = true;
+
+  let processed = 0;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Audiobook job ${job._id} crashed:`, error);
+        if (job.attempts < job.maxAttempts) {
+          await AudiobookJob.updateOne(
+            { _id: job._id, status: 'running' },
+            {
+              $set: { status: 'queued', nextRunAt: new Date(Date.now() + RETRY_DELAYS_MS[0]), lastError: error.message },
+              $unset: { lockedAt: 1 }
+            }
+          );
+        } else {
+          await failRunningJobs({ _id: job._id }, error.message);
+        }
+      }
+      processed++;
+    }
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Requeue the failed chapters of a finished job
+ *
+ * @param {string} jobId - AudiobookJob ID
+ * @returns {Promise<Object>} Requeued job
+ */
+export const retryAudiobookJob = async (jobId) => {
+  const job = await AudiobookJob.findOne({ _id: jobId, status: { $in: ['failed', 'completed', 'cancelled'] } });
+  if (!job) {
+    throw createAudiobookError('Chỉ có thể chạy lại tác vụ đã kết thúc', 404);
+  }
+
+  const retryable = job.chapters.filter(item => item.status === 'failed' || item.status === 'pending');
+  if (retryable.length === 0) {
+    throw createAudiobookError('Không có chương nào cần tạo lại');
+  }
+
+  retryable.forEach(item => {
+    item.status = 'pending';
+    item.attempts = 0;
+    item.error = undefined;
+  });
+  job.status = 'queued';
+  job.attempts = 0;
+  job.nextRunAt = new Date();
+  job.finishedAt = undefined;
+  await job.save();
+
+  return job;
+};
+
+/**
+ * Mark a chapter's audio as outdated after its content changed
+ *
+ * @param {string|Object} chapterId - Chapter ID
+ * @returns {Promise<number>} Number of assets invalidated
+ */
+export const invalidateChapterAudio = async (chapterId) => {
+  const result = await ChapterAudio.updateMany(
+    { chapter: chapterId, status: 'ready' },
+    { $set: { status: 'stale', invalidatedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import AuditLog, { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../models/AuditLog.js';
+import User from '../models/User.js';
+
+/**
+ * Audit log of privileged actions
+ *
+ * Routes call recordAuditLog() right after an admin or moderator changes
+ * something. Inside a transaction the entry is written with the change and
+ * a failed write aborts it; otherwise a failed write is logged and the action
+ * stands.
+ */
+
+// Rows in one CSV export
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  ['createdAt', entry => entry.createdAt?.toISOString()],
+  ['actorUsername', entry => entry.actorUsername],
+  ['actorRole', entry => entry.actorRole],
+  ['actor', entry => entry.actor],
+  ['action', entry => entry.action],
+  ['targetType', entry => entry.targetType],
+  ['targetId', entry => entry.targetId],
+  ['targetLabel', entry => entry.targetLabel],
+  ['reason', entry => entry.reason],
+  ['before', entry => JSON.stringify(entry.before || {})],
+  ['after', entry => JSON.stringify(entry.after || {})],
+  ['ip', entry => entry.ip]
+];
+
+const createAuditError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Copy the given fields of a document or object, for before/after snapshots
+ *
+ * @param {Object} source - Document or plain object
+ * @param {Array<string>} fields - Field names
+ * @returns {Object}
+ */
+export const snapshotFields = (source, fields) => {
+  const snapshot = {};
+  if (!source) return snapshot;
+  for (const field of fields) {
+    const value = typeof source.get === 'function' ? source.get(field) : source[field];
+    snapshot[field] = value === undefined ? null : value;
+  }
+  return snapshot;
+};
+
+/**
+ * Keep only the fields whose value differs between the snapshots
+ */
+const changedFields = (before = {}, after = {}) => {
+  const changed = { before: {}, after: {} };
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field] ?? null) === JSON.stringify(after[field] ?? null)) continue;
+    changed.before[field] = before[field] ?? null;
+    changed.after[field] = after[field] ?? null;
+  }
+  return changed;
+};
+
+/**
+ * Record a privileged action
+ *
+ * @param {Object} req - Request of the acting admin or moderator
+ * @param {Object} entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {string} entry.targetType - One of AUDIT_TARGET_TYPES
+ * @param {string|Object} entry.targetId
+ * @param {string} [entry.targetLabel] - e.g. username or novel title
+ * @param {Object} [entry.before] - Snapshot of the fields before the change
+ * @param {Object} [entry.after] - Snapshot of the same fields after it
+ * @param {string} [entry.reason]
+ * @param {Object} [entry.metadata] - Extra context, e.g. amounts moved
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Write inside this transaction and throw on failure
+ * @returns {Promise<Object|null>} The entry, or null when it could not be written outside a transaction
+ */
+export const recordAuditLog = async (req, {
+  action,
+  targetType,
+  targetId,
+  targetLabel,
+  before,
+  after,
+  reason = '',
+  metadata = {}
+}, { session = null } = {}) => {
+  const changed = changedFields(before, after);
+  const doc = {
+    actor: req.user._id,
+    actorUsername: req.user.username,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    targetLabel,
+    before: changed.before,
+    after: changed.after,
+    reason: typeof reason === 'string' ? reason.trim() : '',
+    ip: req.ip || req.socket?.remoteAddress,
+    userAgent: req.get?.('user-agent'),
+    metadata
+  };
+
+  if (session) {
+    const [created] = await AuditLog.create([doc], { session });
+    return created;
+  }
+
+  try {
+    return await AuditLog.create(doc);
+  } catch (error) {
+    console.error(`Failed to write audit log for ${action} on ${targetType} ${targetId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Build the MongoDB filter for audit log queries
+ *
+ * @param {Object} filters - { actor (ID or username), action, targetType, targetId, from, to }
+ * @returns {Promise<Object>}
+ */
+export const buildAuditLogQuery = async ({ actor, action, targetType, targetId, from, to } = {}) => {
+  const query = {};
+
+  if (actor) {
+    if (mongoose.Types.ObjectId.isValid(actor)) {
+      query.actor = actor;
+    } else {
+      const user = await User.findOne({ username: String(actor) }).select('_id').lean();
+      if (!user) {
+        throw createAuditError('Người dùng không tồn tại', 404);
+      }
+      query.actor = user._id;
+    }
+  }
+
+  if (action) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      throw createAuditError('Hành động không hợp lệ');
+    }
+    query.action = action;
+  }
+
+  if (targetType) {
+    if (!AUDIT_TARGET_TYPES.includes(targetType)) {
+      throw createAuditError('Loại đối tượng không hợp lệ');
+    }
+    query.targetType = targetType;
+  }
+
+  if (targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw createAuditError('ID đối tượng không hợp lệ');
+    }
+    query.targetId = targetId;
+  }
+
+  if (from || to) {
+    const range = {};
+    for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw createAuditError('Ngày không hợp lệ');
+      }
+      range[key] = date;
+    }
+    query.createdAt = range;
+  }
+
+  return query;
+};
+
+/**
+ * Find audit log entries, newest first
+ *
+ * @param {Object} filters - See buildAuditLogQuery
+ * @param {Object} [page] - { limit, offset }
+ * @returns {Promise<Object>} { entries, total }
+ */
+export const findAuditLogs = async (filters, { limit = 50, offset = 0 } = {}) => {
+  const query = await buildAuditLogQuery(filters);
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .populate('actor', 'username displayName avatar role')
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+  return { entries, total };
+};
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Reasons and usernames are user-typed; keep spreadsheets from running them as formulas
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write matching audit log entries as CSV, newest first
+ * Streams from a cursor so large exports do not sit in memory.
+ *
+ * @param {Object} filters - See buildAuditLogQuery
+ * @param {Object} output - Writable stream, e.g. the response
+ * @returns {Promise<number>} Rows written
+ */
+export const writeAuditLogCsv = async (filters, output) => {
+  const query = await buildAuditLogQuery(filters);
+
+  // BOM so spreadsheet apps read the Vietnamese text as UTF-8
+  output.write('\uFEFF' + CSV_COLUMNS.map(([name]) => name).join(',') + '\r\n');
+
+  let rows = 0;
+  const cursor = AuditLog.find(query).sort({ createdAt: -1 }).limit(MAX_EXPORT_ROWS).lean().cursor();
+  for await (const entry of cursor) {
+    const line = CSV_COLUMNS.map(([, read]) => escapeCsv(read(entry))).join(',') + '\r\n';
+    if (!output.write(line)) {
+      await new Promise(resolve => output.once('drain', resolve));
+    }
+    rows++;
+  }
+  return rows;
+};
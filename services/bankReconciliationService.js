@@ -0,0 +1,764 @@
+import mongoose from 'mongoose';
+import TopUpRequest from '../models/TopUpRequest.js';
+import TransactionInfo from '../models/TransactionInfo.js';
+import User from '../models/User.js';
+import { createTransaction } from '../routes/userTransaction.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearUserCache } from '../utils/userCache.js';
+import { postPlatformCredit } from './ledgerService.js';
+
+/**
+ * Bank transfer reconciliation
+ *
+ * The single matching core for incoming bank transfers, whatever their source:
+ * the Casso webhook, the Casso API pull on the hourly cron, or an imported
+ * bank statement. Every source is first normalized into a bank transaction:
+ *
+ *   { transactionId, amount, description, date, bankName, bankAccount, source }
+ *
+ * and then matched against pending bank TopUpRequests by their transferContent
+ * and remaining amount. Transfers that match nothing go to the TransactionInfo
+ * unmatched queue for admins, and are retried whenever a new request is created.
+ */
+
+// Allowed difference between the expected and received amount (VND)
+export const AMOUNT_TOLERANCE = 100;
+
+// Minimum score for a transfer to be applied to a request automatically
+const MIN_MATCH_SCORE = 75;
+
+// How far apart two sources may date the same transfer; statements often carry only the booking day
+const DUPLICATE_DATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calculate balance to add based on amount paid
+ * Uses the pricing tiers defined in the system
+ *
+ * @param {number} amountPaid - Amount in VND
+ * @returns {number} Balance (🌾) to credit
+ */
+export const calculateBalanceFromAmount = (amountPaid) => {
+  // Pricing tiers from the system
+  const pricingTiers = [
+    { price: 12000, balance: 100 },
+    { price: 20000, balance: 200 },
+    { price: 50000, balance: 520 },
+    { price: 100000, balance: 1100 },
+    { price: 200000, balance: 2250 },
+    { price: 350000, balance: 4000 }
+  ];
+
+  // Find exact match first
+  const exactMatch = pricingTiers.find(tier => tier.price === amountPaid);
+  if (exactMatch) {
+    return exactMatch.balance;
+  }
+
+  // Find the closest tier (for approximate amounts)
+  let closestTier = pricingTiers[0];
+  let smallestDifference = Math.abs(amountPaid - closestTier.price);
+
+  for (const tier of pricingTiers) {
+    const difference = Math.abs(amountPaid - tier.price);
+    if (difference < smallestDifference) {
+      smallestDifference = difference;
+      closestTier = tier;
+    }
+  }
+
+  // If the difference is reasonable (within 10%), use the tier's balance
+  const percentageDifference = smallestDifference / closestTier.price;
+  if (percentageDifference <= 0.1) { // Within 10%
+    return closestTier.balance;
+  }
+
+  // Fallback: calculate proportionally based on the base rate (100 VND = ~1 rice)
+  return Math.floor(amountPaid / 100);
+};
+
+/**
+ * Uppercase text without diacritics, as banks tend to print transfer contents
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toUpperCase();
+};
+
+// Text reduced to letters and digits, so "ABCD-1234" still matches "ABCD1234"
+const compactText = (text) => normalizeText(text).replace(/[^A-Z0-9]/g, '');
+
+const tokenize = (text) => normalizeText(text).split(/[^A-Z0-9]+/).filter(Boolean);
+
+/**
+ * Check whether two strings of equal length differ by at most one character
+ * Catches a mistyped character in the transfer content.
+ */
+const isOneSubstitutionAway = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let differences = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i] && ++differences > 1) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Extract the likely transfer content from a bank description
+ * Transfer contents are 8-character alphanumeric codes surrounded by whatever
+ * the bank adds (reference numbers, sender names, "CT tu ...").
+ *
+ * @param {string} description - Bank transaction description
+ * @returns {string} Best guess at the transfer content
+ */
+export const extractTransferContent = (description = '') => {
+  // Look for 8-character alphanumeric strings that are surrounded by delimiters or at start/end
+  const transferContentRegex = /(^|[^a-zA-Z0-9])([a-zA-Z0-9]{8})([^a-zA-Z0-9]|$)/g;
+  let matches = [];
+  let match;
+
+  while ((match = transferContentRegex.exec(description)) !== null) {
+    matches.push(match[2]);
+    // Allow adjacent codes to share a delimiter
+    transferContentRegex.lastIndex--;
+  }
+
+  // If no matches found with delimiter approach, fallback to simple 8-char detection
+  if (matches.length === 0) {
+    matches = description.match(/[a-zA-Z0-9]{8}/g) || [];
+  }
+
+  if (matches.length > 0) {
+    // Prioritize matches that have mixed case and numbers
+    const idealMatch = matches.find(m => /[a-z]/.test(m) && /[A-Z]/.test(m) && /[0-9]/.test(m));
+    return idealMatch || matches[matches.length - 1];
+  }
+
+  // Fallback to the old method if no 8-char codes found
+  return description.split('-').pop().trim() || description;
+};
+
+/**
+ * Score how well a bank transaction matches a pending request
+ *
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {Object} request - Pending bank TopUpRequest
+ * @returns {Object} { score, matchedBy }
+ */
+export const scoreRequestMatch = (transaction, request) => {
+  const target = compactText(request.details?.transferContent);
+  if (target.length < 6) {
+    return { score: 0, matchedBy: null };
+  }
+
+  const tokens = tokenize(transaction.description);
+  let score = 0;
+  let matchedBy = null;
+
+  if (tokens.includes(target)) {
+    score = 100;
+    matchedBy = 'content';
+  } else if (compactText(transaction.description).includes(target)) {
+    score = 90;
+    matchedBy = 'content-substring';
+  } else if (target.length >= 8 && tokens.some(token => isOneSubstitutionAway(token, target))) {
+    score = 60;
+    matchedBy = 'content-fuzzy';
+  }
+
+  if (score === 0) {
+    return { score, matchedBy };
+  }
+
+  // The remaining amount confirms a match, which a fuzzy content match needs to pass
+  const remainingAmount = request.amount - (request.receivedAmount || 0);
+  if (Math.abs(transaction.amount - remainingAmount) <= AMOUNT_TOLERANCE) {
+    score += 20;
+  }
+
+  return { score, matchedBy };
+};
+
+/**
+ * Pick the pending request a bank transaction belongs to
+ * Ties are left unmatched rather than guessed.
+ *
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {Array} pendingRequests - Pending bank TopUpRequests
+ * @returns {Object|null} { request, score, matchedBy } or null
+ */
+export const findMatchingRequest = (transaction, pendingRequests) => {
+  const scored = pendingRequests
+    .map(request => ({ request, ...scoreRequestMatch(transaction, request) }))
+    .filter(candidate => candidate.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return null;
+  }
+
+  if (scored.length > 1 && scored[1].score === scored[0].score) {
+    console.log(`Ambiguous bank transfer ${transaction.transactionId}: ${scored.length} requests match equally`);
+    return null;
+  }
+
+  return scored[0];
+};
+
+const loadPendingBankRequests = (filter = {}) => {
+  return TopUpRequest.find({
+    paymentMethod: 'bank',
+    status: 'Pending',
+    ...filter
+  });
+};
+
+/**
+ * Find the request that already holds a bank transaction, if any
+ * The Casso feed and a bank statement report the same transfer under different
+ * IDs (Casso tid vs bank reference or STMT_ hash), so besides the ID a transfer
+ * from another source with the same amount, date and transfer content counts as
+ * the same one. Transfers from the same source are told apart by their IDs.
+ *
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {Object} [session] - Read inside this transaction
+ * @returns {Promise<Object|null>} The request (only _id loaded), or null
+ */
+const findRecordedTransfer = async (transaction, session = null) => {
+  const byId = await TopUpRequest.findOne({
+    'bankTransactions.transactionId': transaction.transactionId
+  }).select('_id').session(session);
+
+  if (byId) {
+    return byId;
+  }
+
+  const content = compactText(extractTransferContent(transaction.description));
+  if (content.length < 6) {
+    return null;
+  }
+
+  const date = new Date(transaction.date || Date.now());
+  const from = new Date(date.getTime() - DUPLICATE_DATE_WINDOW_MS);
+  const to = new Date(date.getTime() + DUPLICATE_DATE_WINDOW_MS);
+
+  const candidates = await TopUpRequest.find({
+    paymentMethod: 'bank',
+    bankTransactions: {
+      $elemMatch: { amount: transaction.amount, date: { $gte: from, $lte: to } }
+    }
+  }).select('_id bankTransactions').session(session);
+
+  return candidates.find(request => request.bankTransactions.some(entry =>
+    entry.amount === transaction.amount &&
+    entry.date >= from && entry.date <= to &&
+    (!entry.source || entry.source !== transaction.source) &&
+    compactText(entry.description).includes(content)
+  )) || null;
+};
+
+const alreadyProcessedResult = (transaction, request) => ({
+  transId: transaction.transactionId,
+  status: 'skipped',
+  message: 'Transaction already processed',
+  requestId: request._id
+});
+
+/**
+ * Apply a matched bank transaction to its request
+ * Partial payments keep the request pending until the rest arrives;
+ * over-payments complete it and credit the excess at the standard rate.
+ *
+ * @param {string|Object} requestId - TopUpRequest ID
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {string|Object} [transactionInfoId] - Queued TransactionInfo this transaction came from
+ * @returns {Promise<Object|null>} Result, or null if the request was settled meanwhile
+ */
+const applyBankPayment = async (requestId, transaction, transactionInfoId = null) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const request = await TopUpRequest.findOne({
+      _id: requestId,
+      paymentMethod: 'bank',
+      status: 'Pending',
+      'bankTransactions.transactionId': { $ne: transaction.transactionId }
+    }).session(session);
+
+    if (!request) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    // The same transfer may already be recorded under another source's ID
+    const recorded = await findRecordedTransfer(transaction, session);
+    if (recorded) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const previousAmount = request.receivedAmount || 0;
+    const receivedAmount = previousAmount + transaction.amount;
+
+    request.bankTransactions.push({
+      transactionId: transaction.transactionId,
+      amount: transaction.amount,
+      description: transaction.description,
+      date: transaction.date,
+      source: transaction.source,
+      matched: true
+    });
+    request.receivedAmount = receivedAmount;
+    request.details = {
+      ...request.details,
+      bankReference: transaction.transactionId,
+      autoProcessed: true,
+      cassoProcessed: request.details.cassoProcessed || transaction.source === 'casso',
+      reconciliationSource: transaction.source
+    };
+    // Money has been received, so the request must not be deleted by the TTL index
+    request.expiresAt = undefined;
+
+    if (transactionInfoId) {
+      await TransactionInfo.updateOne(
+        { _id: transactionInfoId },
+        { $set: { processed: true, status: 'matched' } },
+        { session }
+      );
+    }
+
+    if (receivedAmount < request.amount - AMOUNT_TOLERANCE) {
+      request.details = { ...request.details, partialPayment: true, needsReview: true };
+      request.notes = `Đã nhận ${receivedAmount}/${request.amount} VND, chờ chuyển khoản bổ sung`;
+      await request.save({ session });
+      await session.commitTransaction();
+
+      console.log(`Partial bank payment for request ${request._id}: ${receivedAmount}/${request.amount}`);
+      return {
+        transId: transaction.transactionId,
+        status: 'partial',
+        message: 'Partial payment recorded, waiting for the remaining amount',
+        requestId: request._id,
+        receivedAmount
+      };
+    }
+
+    let balanceAdded = request.balance;
+    let description = 'Nạp tiền qua chuyển khoản ngân hàng (tự động)';
+    const overpaidAmount = receivedAmount - request.amount;
+
+    if (overpaidAmount > AMOUNT_TOLERANCE) {
+      const overpaidBalance = calculateBalanceFromAmount(overpaidAmount);
+      balanceAdded += overpaidBalance;
+      request.details = { ...request.details, overpaidAmount, overpaidBalance };
+      request.notes = `Chuyển thừa ${overpaidAmount} VND, cộng thêm ${overpaidBalance} 🌾`;
+      description += ` (chuyển thừa ${overpaidAmount} VND)`;
+    } else if (previousAmount > 0) {
+      request.notes = `Đã nhận đủ ${receivedAmount} VND qua ${request.bankTransactions.length} lần chuyển khoản`;
+    }
+
+    request.details = { ...request.details, needsReview: false };
+    request.status = 'Completed';
+    request.completedAt = new Date();
+    await request.save({ session });
+
+    await postPlatformCredit({
+      userId: request.user,
+      amount: balanceAdded,
+      type: 'topup',
+      description,
+      sourceId: request._id,
+      sourceModel: 'TopUpRequest'
+    }, session);
+    const user = await User.findById(request.user).select('username balance').session(session);
+
+    // Record in UserTransaction ledger
+    await createTransaction({
+      userId: user._id,
+      amount: balanceAdded,
+      type: 'topup',
+      description,
+      sourceId: request._id,
+      sourceModel: 'TopUpRequest',
+      metadata: {
+        bankReference: transaction.transactionId,
+        source: transaction.source
+      },
+      performedById: null // Automatic process
+    }, session);
+
+    await session.commitTransaction();
+
+    await clearUserCache(user._id, user.username);
+
+    // Broadcast balance update event to user via SSE
+    broadcastEventToUser('balance_updated', {
+      userId: user._id,
+      balanceAdded,
+      newBalance: user.balance,
+      reason: 'topup',
+      description
+    }, user._id);
+
+    return {
+      transId: transaction.transactionId,
+      status: overpaidAmount > AMOUNT_TOLERANCE ? 'overpaid' : 'success',
+      message: 'Bank transfer processed successfully',
+      requestId: request._id,
+      username: user.username,
+      balanceAdded
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Credit a transfer that matches no pending request but whose sender is known:
+ * a repeat transfer with the content of an earlier request, or "Topup-<username>".
+ * It gets its own completed request so it shows up in the admin's recent transactions.
+ *
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {string} transferContent - Content extracted from the description
+ * @returns {Promise<Object|null>} Result, or null if no user could be identified
+ *   (a 'skipped' result if the transfer turns out to be credited already)
+ */
+const creditStandaloneTransfer = async (transaction, transferContent) => {
+  let targetUser = null;
+
+  const usernameMatch = transaction.description.match(/topup-([a-zA-Z0-9_.]+)/i);
+  if (usernameMatch) {
+    targetUser = await User.findOne({ username: usernameMatch[1] });
+  }
+
+  if (!targetUser && transferContent) {
+    const previousRequest = await TopUpRequest.findOne({
+      'details.transferContent': transferContent,
+      paymentMethod: 'bank'
+    }).sort({ createdAt: -1 });
+
+    if (previousRequest) {
+      targetUser = await User.findById(previousRequest.user);
+    }
+  }
+
+  if (!targetUser) {
+    return null;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Checked again inside the transaction: a webhook and a feed pull may both
+    // have missed the pending request, and the winner has credited it by now
+    const recorded = await findRecordedTransfer(transaction, session);
+    if (recorded) {
+      await session.abortTransaction();
+      return alreadyProcessedResult(transaction, recorded);
+    }
+
+    // Claim the transfer ID; a concurrent standalone credit of it fails here
+    await TransactionInfo.create([{
+      transactionId: transaction.transactionId,
+      description: transaction.description,
+      extractedContent: transferContent || transaction.description,
+      amount: transaction.amount,
+      bankName: transaction.bankName || 'Unknown',
+      bankAccount: transaction.bankAccount,
+      date: transaction.date,
+      processed: true,
+      status: 'matched'
+    }], { session });
+
+    const balanceToAdd = calculateBalanceFromAmount(transaction.amount);
+    const description = 'Nạp tiền qua chuyển khoản ngân hàng (tự động)';
+
+    const standaloneRequest = new TopUpRequest({
+      user: targetUser._id,
+      amount: transaction.amount,
+      receivedAmount: transaction.amount,
+      balance: balanceToAdd,
+      bonus: 0,
+      paymentMethod: 'bank',
+      status: 'Completed',
+      completedAt: new Date(),
+      expiresAt: undefined, // Ensure completed requests don't expire
+      details: {
+        bankName: transaction.bankName || 'Unknown',
+        accountName: targetUser.username,
+        accountNumber: transaction.bankAccount || 'Unknown',
+        transferContent,
+        bankReference: transaction.transactionId,
+        autoProcessed: true,
+        cassoProcessed: transaction.source === 'casso',
+        reconciliationSource: transaction.source,
+        standaloneTransaction: true // Flag to indicate this wasn't user-initiated
+      },
+      notes: 'Tự động tạo từ giao dịch ngân hàng',
+      bankTransactions: [{
+        transactionId: transaction.transactionId,
+        amount: transaction.amount,
+        description: transaction.description,
+        date: transaction.date,
+        source: transaction.source,
+        matched: true
+      }]
+    });
+
+    await standaloneRequest.save({ session });
+
+    await postPlatformCredit({
+      userId: targetUser._id,
+      amount: balanceToAdd,
+      type: 'topup',
+      description,
+      sourceId: standaloneRequest._id,
+      sourceModel: 'TopUpRequest'
+    }, session);
+    const user = await User.findById(targetUser._id).select('username balance').session(session);
+
+    await createTransaction({
+      userId: user._id,
+      amount: balanceToAdd,
+      type: 'topup',
+      description,
+      sourceId: standaloneRequest._id,
+      sourceModel: 'TopUpRequest',
+      metadata: {
+        bankReference: transaction.transactionId,
+        source: transaction.source
+      },
+      performedById: null // Automatic process
+    }, session);
+
+    await session.commitTransaction();
+
+    await clearUserCache(user._id, user.username);
+
+    // Broadcast balance update event to user via SSE
+    broadcastEventToUser('balance_updated', {
+      userId: user._id,
+      balanceAdded: balanceToAdd,
+      newBalance: user.balance,
+      reason: 'topup',
+      description
+    }, user._id);
+
+    return {
+      transId: transaction.transactionId,
+      status: 'success',
+      message: 'Standalone bank transfer processed successfully',
+      requestId: standaloneRequest._id,
+      username: user.username,
+      balanceAdded: balanceToAdd
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    // Another run claimed the transfer ID first (duplicate key, or a write conflict while it is still open)
+    if (error.code === 11000 || error.code === 112) {
+      return {
+        transId: transaction.transactionId,
+        status: 'skipped',
+        message: 'Transaction already processed'
+      };
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reconcile one bank transaction
+ *
+ * @param {Object} transaction - Normalized bank transaction
+ * @param {Object} [options]
+ * @param {Array} [options.pendingRequests] - Preloaded pending requests, to avoid a query per transaction
+ * @returns {Promise<Object>} Result with transId, status and message
+ */
+export const reconcileBankTransaction = async (transaction, { pendingRequests } = {}) => {
+  const { transactionId, amount, description } = transaction;
+
+  if (!transactionId || !amount || !description) {
+    return {
+      transId: transactionId || 'unknown',
+      status: 'failed',
+      message: 'Missing required transaction data'
+    };
+  }
+
+  try {
+    // The same transfer can arrive from the webhook, the API pull and a statement
+    const recorded = await findRecordedTransfer(transaction);
+    if (recorded) {
+      return alreadyProcessedResult(transaction, recorded);
+    }
+
+    const queued = await TransactionInfo.findOne({ transactionId });
+    if (queued && (queued.processed || queued.status !== 'pending')) {
+      return {
+        transId: transactionId,
+        status: 'skipped',
+        message: `Transaction already ${queued.status}`
+      };
+    }
+
+    const candidates = pendingRequests || await loadPendingBankRequests();
+    const match = findMatchingRequest(transaction, candidates);
+
+    if (match) {
+      const result = await applyBankPayment(match.request._id, transaction, queued?._id);
+      if (result) {
+        console.log(`Matched bank transfer ${transactionId} to request ${match.request._id} (${match.matchedBy}, score ${match.score})`);
+        return { ...result, matchedBy: match.matchedBy };
+      }
+    }
+
+    if (queued) {
+      return {
+        transId: transactionId,
+        status: 'pending_review',
+        message: 'Transaction is already in the unmatched queue'
+      };
+    }
+
+    const transferContent = extractTransferContent(description);
+
+    const standaloneResult = await creditStandaloneTransfer(transaction, transferContent);
+    if (standaloneResult) {
+      return standaloneResult;
+    }
+
+    console.log(`Unmatched bank transfer: ${description}, amount: ${amount}, transaction: ${transactionId}`);
+
+    // Store unmatched transaction for future matching
+    try {
+      await TransactionInfo.create({
+        transactionId,
+        description,
+        extractedContent: transferContent,
+        amount,
+        bankName: transaction.bankName || 'Unknown',
+        bankAccount: transaction.bankAccount,
+        date: transaction.date
+      });
+    } catch (error) {
+      // Handle duplicate transaction ID (idempotency)
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    return {
+      transId: transactionId,
+      status: 'pending_review',
+      message: 'No matching request found, stored for manual review'
+    };
+  } catch (error) {
+    console.error(`Error reconciling bank transaction ${transactionId}:`, error);
+    return {
+      transId: transactionId,
+      status: 'failed',
+      message: 'Failed to process bank transfer'
+    };
+  }
+};
+
+/**
+ * Reconcile a batch of bank transactions
+ *
+ * @param {Array} transactions - Normalized bank transactions
+ * @returns {Promise<Object>} { results, summary } where summary counts results by status
+ */
+export const reconcileBankTransactions = async (transactions) => {
+  const results = [];
+  let pendingRequests = null;
+
+  for (const transaction of transactions) {
+    if (!pendingRequests) {
+      pendingRequests = await loadPendingBankRequests();
+    }
+
+    const result = await reconcileBankTransaction(transaction, { pendingRequests });
+    results.push(result);
+
+    // A request changed, reload the candidates before the next transaction
+    if (result.requestId && result.status !== 'skipped') {
+      pendingRequests = null;
+    }
+  }
+
+  const summary = results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, { total: results.length });
+
+  return { results, summary };
+};
+
+/**
+ * Retry the unmatched queue against pending requests
+ * Called on the cron and right after a user creates a bank request, since the
+ * transfer often arrives before the request does.
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.requestId] - Only try to match this request
+ * @returns {Promise<Array>} Results for the transactions that were applied
+ */
+export const rematchUnmatchedTransactions = async ({ requestId } = {}) => {
+  const queue = await TransactionInfo.find({ status: 'pending', processed: false }).sort({ date: 1 });
+  if (queue.length === 0) {
+    return [];
+  }
+
+  const results = [];
+  let pendingRequests = await loadPendingBankRequests(requestId ? { _id: requestId } : {});
+
+  for (const item of queue) {
+    if (pendingRequests.length === 0) {
+      break;
+    }
+
+    const transaction = {
+      transactionId: item.transactionId,
+      amount: item.amount,
+      description: item.description,
+      date: item.date,
+      bankName: item.bankName,
+      bankAccount: item.bankAccount,
+      source: 'queue'
+    };
+
+    const match = findMatchingRequest(transaction, pendingRequests);
+    if (!match) {
+      continue;
+    }
+
+    try {
+      const result = await applyBankPayment(match.request._id, transaction, item._id);
+      if (result) {
+        console.log(`Matched queued bank transfer ${item.transactionId} to request ${match.request._id}`);
+        results.push({ ...result, matchedBy: match.matchedBy });
+        pendingRequests = await loadPendingBankRequests(requestId ? { _id: requestId } : {});
+      }
+    } catch (error) {
+      console.error(`Error matching queued transaction ${item.transactionId}:`, error);
+    }
+  }
+
+  return results;
+};
@@ -1,27 +1,31 @@
+import mongoose from 'mongoose';
 import TopUpRequest from '../models/TopUpRequest.js';
-import User from '../models/User.js';
+import paymentConfig from '../config/paymentConfig.js';
+import { fetchCassoTransactions, isCassoApiConfigured } from '../integrations/cassoClient.js';
+import { reconcileBankTransactions, rematchUnmatchedTransactions } from './bankReconciliationService.js';
+import { postPlatformCredit } from './ledgerService.js';
 
 /**
  * Service to verify bank transfers by checking for matches
- * In a real implementation, this would connect to a bank API
- * or use a reconciliation service
+ * Matching itself lives in bankReconciliationService, shared with the Casso
+ * webhook and statement imports; this is the scheduled entry point.
  */
 
 /**
  * Verify pending bank transfers
- * This function would be called on a schedule (e.g., hourly)
+ * Re-reads the recent Casso feed to catch transfers whose webhook was missed,
+ * then retries the unmatched queue against requests created since.
  * 
  * @returns {Promise<Object>} Summary of verified transactions
  */
 export const verifyBankTransfers = async () => {
   try {
-    // Get all pending bank transfer requests
-    const pendingRequests = await TopUpRequest.find({
+    const pendingCount = await TopUpRequest.countDocuments({
       paymentMethod: 'bank',
       status: 'Pending'
-    }).populate('user', 'username');
+    });
     
-    if (pendingRequests.length === 0) {
+    if (pendingCount === 0) {
       return { 
         success: true, 
         message: 'No pending bank transfers found',
@@ -30,35 +34,29 @@ export const verifyBankTransfers = async () => {
       };
     }
     
-    console.log(`Checking ${pendingRequests.length} pending bank transfers`);
+    console.log(`Checking ${pendingCount} pending bank transfers`);
     
-    // Get recent bank transactions
-    // In a real implementation, this would fetch from a bank API
-    const bankTransactions = await mockGetBankTransactions();
+    let feedSummary = null;
+    if (isCassoApiConfigured()) {
+      const fromDate = new Date(Date.now() - paymentConfig.casso.lookbackDays * 24 * 60 * 60 * 1000);
+      const transactions = await fetchCassoTransactions({ fromDate });
+      ({ summary: feedSummary } = await reconcileBankTransactions(transactions));
+    } else {
+      console.log('CASSO_API_KEY not set, skipping bank feed pull');
+    }
     
-    let verifiedCount = 0;
+    const queueResults = await rematchUnmatchedTransactions();
     
-    // Process each pending request
-    for (const request of pendingRequests) {
-      try {
-        // Look for matching transaction
-        const match = findMatchingTransaction(request, bankTransactions);
-        
-        if (match) {
-          // Transaction matched, update request
-          await processMatchedTransaction(request, match);
-          verifiedCount++;
-        }
-      } catch (error) {
-        console.error(`Error processing request ${request._id}:`, error);
-      }
-    }
+    const verifiedCount = (feedSummary?.success || 0) + (feedSummary?.overpaid || 0) +
+      queueResults.filter(result => result.status !== 'partial').length;
     
     return {
       success: true,
       verified: verifiedCount,
-      total: pendingRequests.length,
-      message: `Verified ${verifiedCount} of ${pendingRequests.length} pending bank transfers`
+      total: pendingCount,
+      feed: feedSummary,
+      queueMatched: queueResults.length,
+      message: `Verified ${verifiedCount} of ${pendingCount} pending bank transfers`
     };
   } catch (error) {
     console.error('Bank transfer verification error:', error);
@@ -69,102 +67,6 @@ export const verifyBankTransfers = async () => {
   }
 };
 
-/**
- * Find a matching bank transaction for a top-up request
- * 
- * @param {Object} request - TopUpRequest document
- * @param {Array} transactions - Bank transactions
- * @returns {Object|null} Matching transaction or null if not found
- */
-const findMatchingTransaction = (request, transactions) => {
-  // Look for exact amount match and reference in description
-  return transactions.find(tx => {
-    // Check amount matches
-    const amountMatches = tx.amount === request.amount;
-    
-    // Check for reference code in description
-    const referenceCode = request.details.transferContent;
-    const usernameFound = request.user && request.user.username && 
-      tx.description.toLowerCase().includes(request.user.username.toLowerCase());
-    const referenceFound = referenceCode && 
-      tx.description.toLowerCase().includes(referenceCode.toLowerCase());
-    
-    return amountMatches && (usernameFound || referenceFound);
-  });
-};
-
-/**
- * Process a matched transaction
- * 
- * @param {Object} request - TopUpRequest document
- * @param {Object} transaction - Matching bank transaction
- * @returns {Promise<void>}
- */
-const processMatchedTransaction = async (request, transaction) => {
-  // Start session for transaction
-  const session = await mongoose.connection.startSession();
-  session.startTransaction();
-  
-  try {
-    // Update request status
-    request.status = 'Completed';
-    request.completedAt = new Date();
-    request.notes = `Matched with bank transaction: ${transaction.id}`;
-    await request.save({ session });
-    
-    // Update user balance
-    await User.findByIdAndUpdate(
-      request.user._id,
-      { $inc: { balance: request.balance + request.bonus } },
-      { session }
-    );
-    
-    await session.commitTransaction();
-    console.log(`Successfully processed bank transfer for request ${request._id}`);
-  } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    session.endSession();
-  }
-};
-
-/**
- * Mock function to get bank transactions
- * In production, this would be replaced with a real bank API call
- * 
- * @returns {Promise<Array>} List of bank transactions
- */
-const mockGetBankTransactions = async () => {
-  // This is a mock function for demonstration
-  // In a real implementation, you would integrate with your bank's API
-  
-  // For testing, we'll return some sample transactions
-  return [
-    {
-      id: 'BT' + Date.now().toString().substring(5),
-      amount: 20000,
-      description: 'Topup-testuser123',
-      date: new Date(),
-      sender: {
-        name: 'Test User',
-        account: '9876543210'
-      }
-    },
-    {
-      id: 'BT' + (Date.now() - 100000).toString().substring(5),
-      amount: 50000,
-      description: 'Chuyen khoan cho user456',
-      date: new Date(Date.now() - 3600000),
-      sender: {
-        name: 'Another User',
-        account: '1234567890'
-      }
-    },
-    // Add more mock transactions as needed
-  ];
-};
-
 /**
  * Manually verify a specific bank transfer request
  * This would be called from an admin interface
@@ -217,11 +119,15 @@ export const manuallyVerifyBankTransfer = async (requestId, adminUser, approve,
     
     // If approved, update user balance
     if (approve) {
-      await User.findByIdAndUpdate(
-        request.user,
-        { $inc: { balance: request.balance + request.bonus } },
-        { session }
-      );
+      await postPlatformCredit({
+        userId: request.user,
+        amount: request.balance + request.bonus,
+        type: 'topup',
+        description: 'Nạp tiền qua chuyển khoản ngân hàng (xác nhận thủ công)',
+        sourceId: request._id,
+        sourceModel: 'TopUpRequest',
+        performedBy: adminUser._id
+      }, session);
     }
     
     await session.commitTransaction();
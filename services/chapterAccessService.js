@@ -0,0 +1,406 @@
+import mongoose from 'mongoose';
+import Chapter from '../models/Chapter.js';
+import ModuleRental from '../models/ModuleRental.js';
+import ContentPurchase from '../models/ContentPurchase.js';
+
+/**
+ * Chapter Access Policy
+ *
+ * Single source of truth for "can user U read chapter C, and why (or why not)?".
+ * Every route that serves chapter content (or derives something from it, like TTS)
+ * goes through this module instead of re-implementing the mode checks.
+ *
+ * The decision is split in two:
+ * - evaluateChapterAccess / evaluateModuleAccess: pure, synchronous policy over
+ *   already-loaded data (user, chapter, novel, module, rental, purchase)
+ * - resolveChapterAccess / resolveModuleAccess: load the user's rental and
+ *   purchase entitlements when the policy needs them, then evaluate
+ */
+
+/**
+ * Reasons returned when access is granted
+ */
+export const ACCESS_GRANTED_REASONS = {
+  ADMIN: 'admin/moderator',
+  PJ_USER: 'pj_user',
+  DRAFT_STAFF: 'draft-staff-access',
+  MODULE_RENTAL: 'module-rental',
+  MODULE_PURCHASE: 'module-purchase',
+  PUBLISHED: 'published',
+  PROTECTED: 'protected-authenticated',
+  RENTAL: 'rental',
+  PURCHASE: 'purchase'
+};
+
+/**
+ * Reasons returned when access is denied
+ */
+export const ACCESS_DENIED_REASONS = {
+  LOGIN_REQUIRED: 'login-required',
+  DRAFT: 'draft',
+  PAID_MODULE: 'paid-module',
+  PAID_CHAPTER: 'paid-chapter'
+};
+
+/**
+ * Collect every identifier a staff entry may have been stored under
+ * @param {Object} user - User object
+ * @returns {Array<string>} Non-empty identifiers
+ */
+const getUserIdentifiers = (user) => [
+  user._id?.toString(),
+  user.id?.toString(),
+  user.username,
+  user.displayName,
+  user.userNumber?.toString()
+].filter(Boolean);
+
+/**
+ * Check whether a user appears in a staff value or list.
+ * Staff entries are Mixed: ObjectIds, id strings, usernames, userNumbers or populated user objects.
+ * @param {Array|*} staffList - Staff list (or single staff value)
+ * @param {Object} user - User object
+ * @returns {boolean}
+ */
+export const isUserInStaffList = (staffList, user) => {
+  if (!user || staffList === undefined || staffList === null || staffList === '') return false;
+
+  const userIdentifiers = getUserIdentifiers(user);
+  const entries = Array.isArray(staffList) ? staffList : [staffList];
+
+  return entries.some(staffValue => {
+    if (typeof staffValue === 'object' && staffValue !== null && !(staffValue instanceof mongoose.Types.ObjectId)) {
+      const staffIdentifiers = [
+        staffValue._id?.toString(),
+        staffValue.id?.toString(),
+        staffValue.username,
+        staffValue.displayName,
+        staffValue.userNumber?.toString()
+      ].filter(Boolean);
+      return userIdentifiers.some(id => staffIdentifiers.includes(id));
+    }
+    return staffValue !== undefined && staffValue !== null && userIdentifiers.includes(staffValue.toString());
+  });
+};
+
+/**
+ * Check if user is an admin or moderator
+ * @param {Object} user - User object (can be null)
+ * @returns {boolean}
+ */
+export const isAdminOrModerator = (user) => {
+  return !!user && (user.role === 'admin' || user.role === 'moderator');
+};
+
+/**
+ * Check if user is a pj_user assigned to the novel
+ * @param {Object} user - User object (can be null)
+ * @param {Object} novel - Novel with active staff
+ * @returns {boolean}
+ */
+export const isNovelPjUser = (user, novel) => {
+  return !!user && user.role === 'pj_user' && isUserInStaffList(novel?.active?.pj_user, user);
+};
+
+/**
+ * Check if user has a novel-level translator, editor or proofreader role
+ * @param {Object} user - User object (can be null)
+ * @param {Object} novel - Novel with active staff
+ * @returns {boolean}
+ */
+export const isNovelStaff = (user, novel) => {
+  if (!user || !novel?.active) return false;
+  return isUserInStaffList(novel.active.translator, user) ||
+         isUserInStaffList(novel.active.editor, user) ||
+         isUserInStaffList(novel.active.proofreader, user);
+};
+
+/**
+ * Check if a user is assigned to a specific chapter as translator, editor, or proofreader
+ * @param {Object} chapter - Chapter object with staff assignments
+ * @param {Object} user - User object with role and _id
+ * @returns {boolean} - True if user is assigned to this specific chapter
+ */
+export const hasChapterRole = (chapter, user) => {
+  if (!user || !chapter) return false;
+  return ['translator', 'editor', 'proofreader'].some(field => isUserInStaffList(chapter[field], user));
+};
+
+/**
+ * Check if user can see draft chapters of a novel
+ * Admin/moderator, the novel's pj_user and novel-level staff see every draft;
+ * chapter-level staff see the drafts they're assigned to.
+ * @param {Object} user - User object (can be null)
+ * @param {Object} novel - Novel with active staff
+ * @param {Object} chapter - Optional chapter for chapter-level role checks
+ * @returns {boolean}
+ */
+export const canUserSeeDraftChapters = (user, novel, chapter = null) => {
+  if (!user) return false;
+  if (isAdminOrModerator(user) || isNovelPjUser(user, novel) || isNovelStaff(user, novel)) {
+    return true;
+  }
+  return chapter ? hasChapterRole(chapter, user) : false;
+};
+
+/**
+ * Build rental information for a response from an active rental
+ * @param {Object} rental - ModuleRental document
+ * @returns {Object}
+ */
+const buildRentalInfo = (rental) => ({
+  hasActiveRental: true,
+  endTime: rental.endTime,
+  timeRemaining: Math.max(0, rental.endTime - new Date())
+});
+
+/**
+ * Build purchase information for a response from a purchase
+ * @param {Object} purchase - ContentPurchase document
+ * @returns {Object}
+ */
+const buildPurchaseInfo = (purchase) => ({
+  purchased: true,
+  contentType: purchase.contentType,
+  purchasedAt: purchase.createdAt
+});
+
+/**
+ * Evaluate the module-level gate. Pure function, no database access.
+ * @param {Object} params
+ * @param {Object} params.user - User object (null for anonymous)
+ * @param {Object} params.module - Module with mode
+ * @param {Object} params.novel - Novel with active staff
+ * @param {Object} params.rental - Active, valid rental for the module (or null)
+ * @param {Object} params.purchase - ContentPurchase for the module (or null)
+ * @returns {{hasAccess: boolean, reason: string}}
+ */
+export const evaluateModuleAccess = ({ user = null, module = null, novel = null, rental = null, purchase = null }) => {
+  if (isAdminOrModerator(user)) {
+    return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.ADMIN };
+  }
+  if (isNovelPjUser(user, novel)) {
+    return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PJ_USER };
+  }
+
+  if (module?.mode === 'draft') {
+    return canUserSeeDraftChapters(user, novel)
+      ? { hasAccess: true, reason: ACCESS_GRANTED_REASONS.DRAFT_STAFF }
+      : { hasAccess: false, reason: ACCESS_DENIED_REASONS.DRAFT };
+  }
+
+  if (module?.mode === 'paid') {
+    if (user && rental) {
+      return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.MODULE_RENTAL };
+    }
+    if (user && purchase?.contentType === 'module') {
+      return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.MODULE_PURCHASE };
+    }
+    return { hasAccess: false, reason: ACCESS_DENIED_REASONS.PAID_MODULE };
+  }
+
+  return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PUBLISHED };
+};
+
+/**
+ * Evaluate whether a user can read a chapter. Pure function, no database access.
+ *
+ * Order of checks:
+ * 1. Admin/moderator and the novel's pj_user always have access
+ * 2. Draft chapters are only visible to staff
+ * 3. A draft or paid module gates every chapter inside it
+ * 4. The chapter's own mode (published / protected / paid)
+ *
+ * @param {Object} params
+ * @param {Object} params.user - User object (null for anonymous)
+ * @param {Object} params.chapter - Chapter with mode and staff fields
+ * @param {Object} params.novel - Novel with active staff
+ * @param {Object} params.module - Module with mode
+ * @param {Object} params.rental - Active, valid rental for the chapter's module (or null)
+ * @param {Object} params.purchase - ContentPurchase covering the chapter or its module (or null)
+ * @returns {{hasAccess: boolean, reason: string}}
+ */
+export const evaluateChapterAccess = ({ user = null, chapter, novel = null, module = null, rental = null, purchase = null }) => {
+  if (isAdminOrModerator(user)) {
+    return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.ADMIN };
+  }
+  if (isNovelPjUser(user, novel)) {
+    return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PJ_USER };
+  }
+
+  if (chapter?.mode === 'draft') {
+    return canUserSeeDraftChapters(user, novel, chapter)
+      ? { hasAccess: true, reason: ACCESS_GRANTED_REASONS.DRAFT_STAFF }
+      : { hasAccess: false, reason: ACCESS_DENIED_REASONS.DRAFT };
+  }
+
+  // Module-level gate comes before the chapter's own mode: published chapters
+  // inside a paid module must not be readable without paying for the module
+  if (module?.mode === 'draft' || module?.mode === 'paid') {
+    return evaluateModuleAccess({ user, module, novel, rental, purchase });
+  }
+
+  switch (chapter?.mode) {
+    case 'protected':
+      return user
+        ? { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PROTECTED }
+        : { hasAccess: false, reason: ACCESS_DENIED_REASONS.LOGIN_REQUIRED };
+    case 'paid':
+      if (user && rental) {
+        return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.RENTAL };
+      }
+      if (user && purchase) {
+        return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PURCHASE };
+      }
+      return { hasAccess: false, reason: ACCESS_DENIED_REASONS.PAID_CHAPTER };
+    default:
+      return { hasAccess: true, reason: ACCESS_GRANTED_REASONS.PUBLISHED };
+  }
+};
+
+/**
+ * Get appropriate access message for denied chapter access
+ * @param {Object} chapterData - Chapter data with mode and module info
+ * @param {Object} user - Current user object (can be null)
+ * @returns {string} Access denial message
+ */
+export const getAccessMessage = (chapterData, user) => {
+  if (!user) {
+    if (chapterData.mode === 'protected') {
+      return 'Vui lòng đăng nhập để đọc chương này.';
+    }
+    if (chapterData.mode === 'paid') {
+      return `Chương này yêu cầu thanh toán ${chapterData.chapterBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập.`;
+    }
+    if (chapterData.module?.mode === 'paid') {
+      return `Module này yêu cầu thanh toán ${chapterData.module.moduleBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập với giá ${chapterData.module.rentBalance || 0} 🌾.`;
+    }
+    return 'Vui lòng đăng nhập để truy cập nội dung này.';
+  }
+
+  if (chapterData.mode === 'draft' || chapterData.module?.mode === 'draft') {
+    return 'Chương này đang ở chế độ nháp và không khả dụng cho người dùng.';
+  }
+
+  if (chapterData.mode === 'paid') {
+    return `Chương này yêu cầu thanh toán ${chapterData.chapterBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập.`;
+  }
+
+  if (chapterData.module?.mode === 'paid') {
+    return `Module này yêu cầu thanh toán ${chapterData.module.moduleBalance || 0} 🌾 để truy cập hoặc bạn có thể thuê tập với giá ${chapterData.module.rentBalance || 0} 🌾.`;
+  }
+
+  return 'Bạn không có quyền truy cập nội dung này.';
+};
+
+/**
+ * Load a user's rental and purchase entitlements for a module (and optionally a chapter in it)
+ * @param {Object} user - User object
+ * @param {string|ObjectId} moduleId - Module ID
+ * @param {string|ObjectId} chapterId - Optional chapter ID
+ * @returns {Promise<{rental: Object|null, purchase: Object|null, staleRental: Object|null}>}
+ *   staleRental is a rental still marked active whose time has run out
+ */
+export const loadEntitlements = async (user, moduleId, chapterId = null) => {
+  if (!user || !moduleId) {
+    return { rental: null, purchase: null, staleRental: null };
+  }
+
+  const [rental, purchase] = await Promise.all([
+    ModuleRental.findActiveRentalForUserModule(user._id, moduleId),
+    chapterId
+      ? ContentPurchase.findPurchaseForUserChapter(user._id, chapterId, moduleId)
+      : ContentPurchase.findModulePurchase(user._id, moduleId)
+  ]);
+
+  const valid = !!rental && rental.isValid();
+  return {
+    rental: valid ? rental : null,
+    purchase: purchase || null,
+    staleRental: rental && !valid ? rental : null
+  };
+};
+
+/**
+ * Resolve whether a user can read a chapter, loading entitlements only when the policy needs them
+ * @param {Object} user - User object (null for anonymous)
+ * @param {Object} chapterData - Chapter with `novel` (active staff) and `module` (mode, balances) attached
+ * @returns {Promise<Object>} { hasAccess, reason, rentalInfo?, purchaseInfo?, accessMessage? }
+ */
+export const resolveChapterAccess = async (user, chapterData) => {
+  const { novel = null, module = null } = chapterData;
+
+  const needsEntitlements = !!user &&
+    !isAdminOrModerator(user) &&
+    !isNovelPjUser(user, novel) &&
+    chapterData.mode !== 'draft' &&
+    (module?.mode === 'paid' || chapterData.mode === 'paid');
+
+  const { rental, purchase } = needsEntitlements
+    ? await loadEntitlements(user, chapterData.moduleId, chapterData._id)
+    : { rental: null, purchase: null };
+
+  const decision = evaluateChapterAccess({ user, chapter: chapterData, novel, module, rental, purchase });
+  const result = { ...decision };
+
+  if (decision.reason === ACCESS_GRANTED_REASONS.RENTAL || decision.reason === ACCESS_GRANTED_REASONS.MODULE_RENTAL) {
+    result.rentalInfo = buildRentalInfo(rental);
+  }
+  if (decision.reason === ACCESS_GRANTED_REASONS.PURCHASE || decision.reason === ACCESS_GRANTED_REASONS.MODULE_PURCHASE) {
+    result.purchaseInfo = buildPurchaseInfo(purchase);
+  }
+  if (!decision.hasAccess) {
+    result.accessMessage = getAccessMessage(chapterData, user);
+  }
+
+  return result;
+};
+
+/**
+ * Resolve the module-level gate for a user, always reporting any rental or purchase they hold
+ * @param {Object} user - User object (null for anonymous)
+ * @param {Object} module - Module with mode
+ * @param {Object} novel - Novel with active staff
+ * @returns {Promise<Object>} { hasAccess, reason, rental, staleRental, rentalInfo, purchaseInfo }
+ */
+export const resolveModuleAccess = async (user, module, novel = null) => {
+  const { rental, purchase, staleRental } = await loadEntitlements(user, module?._id);
+  const decision = evaluateModuleAccess({ user, module, novel, rental, purchase });
+
+  return {
+    ...decision,
+    rental,
+    staleRental,
+    rentalInfo: rental ? buildRentalInfo(rental) : { hasActiveRental: false },
+    purchaseInfo: purchase ? buildPurchaseInfo(purchase) : { purchased: false }
+  };
+};
+
+/**
+ * Load a chapter with the novel and module fields the access policy needs
+ * @param {string} chapterId - Chapter ID
+ * @returns {Promise<Object|null>} Lean chapter with `novel` and `module` attached
+ */
+export const loadChapterForAccess = async (chapterId) => {
+  if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+    return null;
+  }
+
+  const chapter = await Chapter.findById(chapterId)
+    .select('title mode chapterBalance moduleId novelId translator editor proofreader')
+    .populate('novelId', 'title active ttsEnabled')
+    .populate('moduleId', 'title mode moduleBalance rentBalance')
+    .lean();
+
+  if (!chapter) {
+    return null;
+  }
+
+  return {
+    ...chapter,
+    novel: chapter.novelId,
+    module: chapter.moduleId,
+    novelId: chapter.novelId?._id,
+    moduleId: chapter.moduleId?._id
+  };
+};
@@ -0,0 +1,316 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import Novel from '../models/Novel.js';
+import Module from '../models/Module.js';
+import Chapter from '../models/Chapter.js';
+import { parseChapterFile, IMAGE_PLACEHOLDER_PREFIX } from '../integrations/chapterFileParser.js';
+import { uploadBufferToBunny, deleteFromBunny } from '../integrations/bunnyStorage.js';
+import { recalculateNovelWordCount } from './wordCountService.js';
+import { recordChapterRevision } from './chapterRevisionService.js';
+import { isAdminOrModerator, isNovelPjUser, isNovelStaff } from './chapterAccessService.js';
+import { createNewChapterNotifications } from './notificationService.js';
+import { buildInitialWorkflow, notifyNovelStaff } from './chapterWorkflowService.js';
+import { queueSearchIndexUpdate } from './searchService.js';
+import { clearNovelCaches, notifyAllClients } from '../utils/cacheUtils.js';
+import { htmlToPlainText } from '../utils/chapterHtml.js';
+import { calculateWordCount } from '../utils/wordCount.js';
+
+/**
+ * Bulk chapter import from EPUB, DOCX and TXT files
+ *
+ * An import runs in two steps: a dry run that parses the file and returns what
+ * would be created, then a confirmed run with the same file (checked by its
+ * hash) that re-hosts the embedded images and creates every chapter in one
+ * transaction, appended after the module's last chapter.
+ */
+
+// Modes an import can create chapters in; paid chapters need a price each
+export const IMPORT_MODES = ['draft', 'published', 'protected'];
+
+const EXCERPT_LENGTH = 200;
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createImportError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const countImages = (content) => content.split(`src="${IMAGE_PLACEHOLDER_PREFIX}`).length - 1;
+
+/**
+ * Load the novel and module to import into, checking the user may create chapters
+ * Same rule as POST /api/chapters: admins, moderators, the novel's pj_user and novel staff.
+ */
+const loadImportTarget = async (novelId, moduleId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId) || !mongoose.Types.ObjectId.isValid(moduleId)) {
+    throw createImportError('ID không hợp lệ');
+  }
+
+  const novel = await Novel.findById(novelId).select('title active').lean();
+  if (!novel) {
+    throw createImportError('Truyện không tồn tại', 404);
+  }
+
+  if (!isAdminOrModerator(user) && !isNovelPjUser(user, novel) && !isNovelStaff(user, novel)) {
+    throw createImportError('Bạn cần là quản lý dự án, dịch giả, biên tập hoặc hiệu đính của truyện để nhập chương', 403);
+  }
+
+  const module = await Module.findOne({ _id: moduleId, novelId }).select('title mode').lean();
+  if (!module) {
+    throw createImportError('Tập không tồn tại', 404);
+  }
+
+  return { novel, module };
+};
+
+/**
+ * Parse an uploaded file, turning parser errors into 400 responses
+ */
+const parseUpload = (file) => {
+  if (!file) {
+    throw createImportError('Vui lòng tải lên file .epub, .docx hoặc .txt');
+  }
+  try {
+    return parseChapterFile(file.buffer, { filename: file.originalname });
+  } catch (error) {
+    throw createImportError(`Không đọc được file: ${error.message}`);
+  }
+};
+
+/**
+ * Get the order the next chapter of a module gets
+ */
+const getNextChapterOrder = async (moduleId, session = null) => {
+  const lastChapter = await Chapter.findOne({ moduleId })
+    .sort({ order: -1 })
+    .select('order')
+    .session(session)
+    .lean();
+  return lastChapter ? lastChapter.order + 1 : 0;
+};
+
+/**
+ * Parse a chapter file and describe the chapters an import would create
+ *
+ * @param {string} novelId - Novel ID
+ * @param {string} moduleId - Module to import into
+ * @param {Object} user - Requesting user
+ * @param {Object} file - Multer file with buffer and originalname
+ * @returns {Promise<Object>} { format, fileHash, chapters, imageCount, warnings }
+ */
+export const previewChapterImport = async (novelId, moduleId, user, file) => {
+  await loadImportTarget(novelId, moduleId, user);
+  const parsed = parseUpload(file);
+  const startOrder = await getNextChapterOrder(moduleId);
+
+  return {
+    format: parsed.format,
+    fileHash: hashFile(file.buffer),
+    chapters: parsed.chapters.map((chapter, index) => ({
+      index,
+      order: startOrder + index,
+      title: chapter.title,
+      wordCount: calculateWordCount(chapter.content),
+      footnoteCount: chapter.footnotes.length,
+      imageCount: countImages(chapter.content),
+      excerpt: htmlToPlainText(chapter.content).slice(0, EXCERPT_LENGTH)
+    })),
+    imageCount: parsed.images.length,
+    warnings: parsed.warnings
+  };
+};
+
+/**
+ * Delete uploaded import images again, e.g. after the import failed
+ * Failures are only logged; the import error is what the user needs to see.
+ */
+const deleteImportImages = async (storagePaths) => {
+  for (const storagePath of storagePaths) {
+    try {
+      await deleteFromBunny(storagePath);
+    } catch (error) {
+      console.error(`Chapter import: failed to delete orphaned image ${storagePath}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Upload the images of an import to Bunny
+ * If one fails, the ones already uploaded are deleted.
+ *
+ * @returns {Promise<Object>} { urls, storagePaths }, by image index
+ */
+const uploadImportImages = async (images, moduleId) => {
+  const urls = [];
+  const storagePaths = [];
+  for (const image of images) {
+    const storagePath = `/chapter-imports/${moduleId}/${Date.now()}-${uuidv4()}.${IMAGE_EXTENSIONS[image.mediaType]}`;
+    try {
+      urls.push(await uploadBufferToBunny(image.data, storagePath, image.mediaType));
+      storagePaths.push(storagePath);
+    } catch (error) {
+      console.error(`Chapter import: failed to upload image ${image.name}:`, error.message);
+      await deleteImportImages(storagePaths);
+      throw createImportError(`Không thể tải ảnh ${image.name} lên máy chủ, vui lòng thử lại`, 502);
+    }
+  }
+  return { urls, storagePaths };
+};
+
+/**
+ * Create the chapters of a previewed file
+ *
+ * @param {string} novelId - Novel ID
+ * @param {string} moduleId - Module to import into
+ * @param {Object} user - Requesting user
+ * @param {Object} file - Multer file with buffer and originalname
+ * @param {Object} options
+ * @param {string} options.fileHash - Hash returned by the preview of this file
+ * @param {string} [options.mode] - One of IMPORT_MODES, 'draft' by default
+ * @param {string} [options.translator] - Translator of every chapter
+ * @param {string} [options.editor] - Editor of every chapter
+ * @param {string} [options.proofreader] - Proofreader of every chapter
+ * @param {boolean} [options.overrideWorkflow] - Admin only: import into a public mode although the chapters start at translating
+ * @returns {Promise<Object>} { chapters, imageCount, warnings }
+ */
+export const importChapters = async (novelId, moduleId, user, file, {
+  fileHash,
+  mode = 'draft',
+  translator = '',
+  editor = '',
+  proofreader = '',
+  overrideWorkflow = false
+} = {}) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw createImportError(`Chế độ chương không hợp lệ. Hỗ trợ: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const { novel, module } = await loadImportTarget(novelId, moduleId, user);
+  // Throws before anything is uploaded when the chapters may not go public yet
+  const workflow = buildInitialWorkflow(mode, user, overrideWorkflow);
+
+  if (!fileHash) {
+    throw createImportError('Vui lòng xem trước file trước khi nhập chương');
+  }
+  if (file && hashFile(file.buffer) !== fileHash) {
+    throw createImportError('File khác với file đã xem trước, vui lòng xem trước lại', 409);
+  }
+  const parsed = parseUpload(file);
+
+  // Images are uploaded first: a failed upload aborts the import before anything is saved,
+  // and a failed transaction deletes them again
+  const { urls: imageUrls, storagePaths } = await uploadImportImages(parsed.images, moduleId);
+  const placeholderPattern = new RegExp(`${IMAGE_PLACEHOLDER_PREFIX}(\\d+)`, 'g');
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let createdChapters;
+  try {
+    const startOrder = await getNextChapterOrder(moduleId, session);
+
+    createdChapters = await Chapter.create(parsed.chapters.map((chapter, index) => {
+      const content = chapter.content.replace(placeholderPattern, (placeholder, imageIndex) => imageUrls[imageIndex]);
+      return {
+        novelId,
+        moduleId,
+        title: chapter.title,
+        content,
+        order: startOrder + index,
+        translator,
+        editor,
+        proofreader,
+        createdBy: user._id,
+        mode,
+        originallyDraft: mode === 'draft',
+        views: 0,
+        footnotes: chapter.footnotes,
+        chapterBalance: 0,
+        wordCount: calculateWordCount(content),
+        workflow
+      };
+    }), { session, ordered: true });
+
+    for (const chapter of createdChapters) {
+      await recordChapterRevision(chapter, { action: 'create', user }, session);
+    }
+
+    await Module.updateOne(
+      { _id: moduleId },
+      { $addToSet: { chapters: { $each: createdChapters.map(chapter => chapter._id) } } },
+      { session }
+    );
+
+    await recalculateNovelWordCount(novelId, session);
+
+    // Draft chapters don't bump the novel, same as single chapter creation
+    if (mode !== 'draft') {
+      await Novel.updateOne({ _id: novelId }, { updatedAt: new Date() }, { session });
+    }
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    await deleteImportImages(storagePaths);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  console.log(`📥 [Chapter Import] ${user.username} imported ${createdChapters.length} chapters (${parsed.format}) into "${module.title}" of "${novel.title}"`);
+
+  await clearNovelCaches(novelId);
+  queueSearchIndexUpdate({ chapterIds: createdChapters.map(chapter => chapter._id) });
+
+  const [firstChapter] = createdChapters;
+  if (mode !== 'draft') {
+    // One notification for the batch rather than one per chapter
+    try {
+      await createNewChapterNotifications(novelId.toString(), firstChapter._id.toString(), firstChapter.title);
+    } catch (notificationError) {
+      console.error('Error creating notifications for imported chapters:', notificationError);
+    }
+  }
+
+  const newChapterEvent = {
+    chapterId: firstChapter._id,
+    chapterTitle: firstChapter.title,
+    novelId,
+    novelTitle: novel.title,
+    isDraft: mode === 'draft',
+    importedCount: createdChapters.length,
+    timestamp: new Date().toISOString()
+  };
+  // Drafts, and chapters of a draft module, only reach the novel's staff
+  if (mode === 'draft' || module.mode === 'draft') {
+    await notifyNovelStaff(novelId, 'new_chapter', newChapterEvent);
+  } else {
+    notifyAllClients('new_chapter', newChapterEvent);
+  }
+
+  return {
+    chapters: createdChapters.map(chapter => ({
+      _id: chapter._id,
+      title: chapter.title,
+      order: chapter.order,
+      mode: chapter.mode,
+      wordCount: chapter.wordCount,
+      footnoteCount: chapter.footnotes.length
+    })),
+    imageCount: imageUrls.length,
+    warnings: parsed.warnings
+  };
+};
@@ -0,0 +1,199 @@
+import ChapterRevision from '../models/ChapterRevision.js';
+import { diffWords } from '../utils/wordDiff.js';
+
+/**
+ * Chapter revision history
+ *
+ * A revision is recorded in the same transaction as every save that changes a
+ * chapter's title, content or footnotes. Chapters created before revisions were
+ * kept get a 'baseline' revision of their old state on their first edit, so the
+ * text from before that edit can still be restored.
+ */
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createRevisionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const pickFootnotes = (footnotes = []) => footnotes.map(({ id, name, content }) => ({ id, name, content }));
+
+/**
+ * Check whether a save changes anything revisions keep track of
+ *
+ * @param {Object} before - Chapter before the save
+ * @param {Object} after - Chapter after the save
+ * @returns {boolean} Whether a revision should be recorded
+ */
+export const hasRevisionChanges = (before, after) => {
+  return before.title !== after.title ||
+    (before.content || '') !== (after.content || '') ||
+    JSON.stringify(pickFootnotes(before.footnotes)) !== JSON.stringify(pickFootnotes(after.footnotes));
+};
+
+/**
+ * Get the latest revision of a chapter
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} [session] - Mongoose session for transaction
+ * @returns {Promise<Object|null>} Latest revision without content
+ */
+const getLatestRevision = (chapterId, session = null) => {
+  return ChapterRevision.findOne({ chapter: chapterId })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber wordCount')
+    .session(session)
+    .lean();
+};
+
+/**
+ * Record the state of a chapter after a save
+ *
+ * @param {Object} chapter - Chapter as saved
+ * @param {Object} params
+ * @param {string} params.action - 'create', 'edit', 'rollback' or 'baseline'
+ * @param {Object} [params.user] - Editor
+ * @param {number} [params.restoredFrom] - Revision number restored by a rollback
+ * @param {Object} [session] - Mongoose session for transaction
+ * @returns {Promise<Object>} The new revision
+ */
+export const recordChapterRevision = async (chapter, { action, user = null, restoredFrom } = {}, session = null) => {
+  const latest = await getLatestRevision(chapter._id, session);
+  const wordCount = chapter.wordCount || 0;
+
+  const [revision] = await ChapterRevision.create([{
+    chapter: chapter._id,
+    novel: chapter.novelId,
+    revisionNumber: (latest?.revisionNumber || 0) + 1,
+    action,
+    title: chapter.title,
+    content: chapter.content || '',
+    footnotes: pickFootnotes(chapter.footnotes),
+    wordCount,
+    wordCountDelta: latest ? wordCount - latest.wordCount : 0,
+    editedBy: user?._id || null,
+    restoredFrom
+  }], { session });
+
+  return revision;
+};
+
+/**
+ * Record the current state of a chapter that has no revisions yet
+ * Call before applying an edit.
+ *
+ * @param {Object} chapter - Chapter before the edit
+ * @param {Object} [session] - Mongoose session for transaction
+ * @returns {Promise<Object|null>} The baseline revision, or null if the chapter already has revisions
+ */
+export const ensureBaselineRevision = async (chapter, session = null) => {
+  const existing = await ChapterRevision.exists({ chapter: chapter._id }).session(session);
+  if (existing) {
+    return null;
+  }
+  return recordChapterRevision(chapter, { action: 'baseline' }, session);
+};
+
+/**
+ * List the revisions of a chapter, newest first, without their content
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} [options]
+ * @param {number} [options.page] - Page number (1-based)
+ * @param {number} [options.limit] - Page size
+ * @returns {Promise<Object>} { revisions, pagination }
+ */
+export const listChapterRevisions = async (chapterId, { page = 1, limit = 20 } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const [revisions, total] = await Promise.all([
+    ChapterRevision.find({ chapter: chapterId })
+      .sort({ revisionNumber: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('-content -footnotes')
+      .populate('editedBy', 'username displayName')
+      .lean(),
+    ChapterRevision.countDocuments({ chapter: chapterId })
+  ]);
+
+  return {
+    revisions,
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Get one revision of a chapter with its content
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {number} revisionNumber - Revision number
+ * @param {Object} [session] - Mongoose session for transaction
+ * @returns {Promise<Object>} The revision
+ */
+export const getChapterRevision = async (chapterId, revisionNumber, session = null) => {
+  const number = parseInt(revisionNumber);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createRevisionError('Số phiên bản không hợp lệ');
+  }
+
+  const revision = await ChapterRevision.findOne({ chapter: chapterId, revisionNumber: number })
+    .populate('editedBy', 'username displayName')
+    .session(session)
+    .lean();
+  if (!revision) {
+    throw createRevisionError('Phiên bản không tồn tại', 404);
+  }
+
+  return revision;
+};
+
+/**
+ * Compare two revisions of a chapter word by word
+ * Without `from`, the revision before `to` is used; without `to`, the latest one.
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {number} [from] - Older revision number
+ * @param {number} [to] - Newer revision number
+ * @returns {Promise<Object>} { from, to, title, content, footnotes, wordCountDelta }
+ */
+export const diffChapterRevisions = async (chapterId, from, to) => {
+  let toNumber = to;
+  if (toNumber === undefined || toNumber === '') {
+    const latest = await getLatestRevision(chapterId);
+    if (!latest) {
+      throw createRevisionError('Chương chưa có lịch sử chỉnh sửa', 404);
+    }
+    toNumber = latest.revisionNumber;
+  }
+  const fromNumber = from === undefined || from === '' ? parseInt(toNumber) - 1 : from;
+
+  const [older, newer] = await Promise.all([
+    getChapterRevision(chapterId, fromNumber),
+    getChapterRevision(chapterId, toNumber)
+  ]);
+
+  const summarize = ({ revisionNumber, action, editedBy, createdAt, wordCount }) =>
+    ({ revisionNumber, action, editedBy, createdAt, wordCount });
+
+  return {
+    from: summarize(older),
+    to: summarize(newer),
+    title: diffWords(older.title, newer.title),
+    content: diffWords(older.content, newer.content),
+    footnotes: diffWords(
+      older.footnotes.map(note => `[${note.name ?? note.id}] ${note.content}`).join('\n'),
+      newer.footnotes.map(note => `[${note.name ?? note.id}] ${note.content}`).join('\n')
+    ),
+    wordCountDelta: newer.wordCount - older.wordCount
+  };
+};
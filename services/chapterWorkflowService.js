@@ -0,0 +1,534 @@
+import mongoose from 'mongoose';
+import Chapter from '../models/Chapter.js';
+import Module from '../models/Module.js';
+import Novel from '../models/Novel.js';
+import User from '../models/User.js';
+import { isAdminOrModerator, isNovelPjUser, isNovelStaff, isUserInStaffList } from './chapterAccessService.js';
+import { createWorkflowStepNotifications } from './notificationService.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearChapterCaches } from '../utils/cacheUtils.js';
+import { createCache, userTag, ALL_USERS_TAG } from '../utils/cacheStore.js';
+
+/**
+ * Chapter production workflow
+ *
+ * Every chapter moves through translating -> editing -> proofreading -> ready.
+ * A staff member claims the current stage while working on it; claims lapse
+ * after WORKFLOW_CLAIM_HOURS so an abandoned step can be picked up again.
+ * Completing a step notifies the next role of the novel's active staff, and
+ * a chapter can only leave draft once it is ready, unless an admin overrides.
+ * New chapters start at translating, including ones created in a public mode.
+ *
+ * Chapters created before the workflow have no stage and count as ready.
+ */
+
+export const WORKFLOW_STAGES = ['translating', 'editing', 'proofreading', 'ready'];
+
+// Novel.active (and chapter) role that works on each stage
+const STAGE_ROLES = {
+  translating: 'translator',
+  editing: 'editor',
+  proofreading: 'proofreader'
+};
+
+// Novel.active roles that see a novel's drafts
+const NOVEL_STAFF_ROLES = ['pj_user', 'translator', 'editor', 'proofreader'];
+
+const STAGE_LABELS = {
+  translating: 'dịch',
+  editing: 'biên tập',
+  proofreading: 'hiệu đính',
+  ready: 'sẵn sàng'
+};
+
+const CLAIM_HOURS = Number(process.env.WORKFLOW_CLAIM_HOURS) || 72;
+
+const EMPTY_CLAIM = { user: null, stage: null, claimedAt: null, expiresAt: null };
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createWorkflowError = (message, status = 400, code = undefined) => {
+  const error = new Error(message);
+  error.status = status;
+  if (code) error.code = code;
+  return error;
+};
+
+/**
+ * Get the stage of a chapter, treating chapters from before the workflow as ready
+ *
+ * @param {Object} chapter - Chapter with workflow
+ * @returns {string} One of WORKFLOW_STAGES
+ */
+export const getWorkflowStage = (chapter) => chapter?.workflow?.stage || 'ready';
+
+/**
+ * Build the workflow of a new chapter
+ * Every chapter starts at translating. Creating one straight into a public mode
+ * publishes unfinished work, so it follows the same rule as publishing a draft.
+ *
+ * @param {string} mode - Mode the chapter is created in
+ * @param {Object} user - User creating the chapter
+ * @param {boolean} [override] - Whether the user asked to publish regardless of the stage
+ * @returns {Object} Workflow to store on the chapter
+ */
+export const buildInitialWorkflow = (mode, user, override = false) => {
+  const workflow = { stage: WORKFLOW_STAGES[0] };
+  if (mode !== 'draft') {
+    workflow.publishOverride = checkPublishAllowed({ workflow }, user, override);
+  }
+  return workflow;
+};
+
+const isClaimActive = (claim, now = new Date()) => !!claim?.user && !!claim.expiresAt && claim.expiresAt > now;
+
+/**
+ * Check whether a user runs the workflow of a novel: admins, moderators and its pj_user
+ */
+const canManageWorkflow = (user, novel) => isAdminOrModerator(user) || isNovelPjUser(user, novel);
+
+/**
+ * Check whether a user may work on a stage of a chapter
+ * Novel-level staff of the stage's role and staff assigned to the chapter in that role qualify.
+ */
+const canWorkStage = (user, novel, chapter, stage) => {
+  if (canManageWorkflow(user, novel)) return true;
+  const role = STAGE_ROLES[stage];
+  return !!role && (isUserInStaffList(novel.active?.[role], user) || isUserInStaffList(chapter[role], user));
+};
+
+const hasStageStaff = (stage, novel, chapter) => {
+  const role = STAGE_ROLES[stage];
+  return (novel.active?.[role] || []).length > 0 || !!chapter[role];
+};
+
+/**
+ * Get the stage after the current one
+ * Steps nobody on the team does, like proofreading on a novel without a proofreader, are skipped.
+ */
+const getNextStage = (stage, novel, chapter) => {
+  let index = WORKFLOW_STAGES.indexOf(stage) + 1;
+  while (WORKFLOW_STAGES[index] !== 'ready' && !hasStageStaff(WORKFLOW_STAGES[index], novel, chapter)) {
+    index++;
+  }
+  return WORKFLOW_STAGES[index];
+};
+
+/**
+ * Resolve staff entries (ObjectIds, id strings, usernames, userNumbers or user objects) to user IDs
+ *
+ * @param {Array} staffEntries - Staff values
+ * @returns {Promise<Array<string>>} Unique user IDs
+ */
+const resolveStaffUserIds = async (staffEntries) => {
+  const values = staffEntries
+    .map(entry => (typeof entry === 'object' && entry !== null && !(entry instanceof mongoose.Types.ObjectId))
+      ? (entry._id || entry.username)
+      : entry)
+    .filter(Boolean)
+    .map(value => value.toString());
+
+  if (values.length === 0) return [];
+
+  const ids = values.filter(value => /^[0-9a-fA-F]{24}$/.test(value));
+  const names = values.filter(value => !ids.includes(value));
+  const numbers = names.filter(value => /^\d+$/.test(value)).map(Number);
+
+  const users = await User.find({
+    $or: [
+      { _id: { $in: ids } },
+      { username: { $in: names } },
+      { userNumber: { $in: numbers } }
+    ]
+  }).select('_id').lean();
+
+  return [...new Set(users.map(user => user._id.toString()))];
+};
+
+// Admins and moderators receive every staff event; the list changes rarely
+const managerIdsCache = createCache('workflow-manager-ids', { ttl: 60 * 5 }); // 5 minutes
+
+/**
+ * IDs of every admin and moderator
+ * Clearing one of them from the user cache also drops the list; a new
+ * moderator joins it within the TTL.
+ */
+const getManagerIds = () => managerIdsCache.wrap('admin-moderator', async () => {
+  const managers = await User.find({ role: { $in: ['admin', 'moderator'] } }).select('_id').lean();
+  return managers.map(manager => manager._id.toString());
+}, { tags: ids => [ALL_USERS_TAG, ...ids.map(userTag)] });
+
+/**
+ * Send a live event to a novel's staff, admins and moderators only
+ * Used for drafts and workflow changes, which readers must not see.
+ * Failures are logged rather than thrown, like other live updates.
+ *
+ * @param {string} novelId - Novel the event is about
+ * @param {string} eventName - SSE event name
+ * @param {Object} data - Event payload
+ * @param {Object} [chapter] - Chapter whose own translator, editor and proofreader also receive it
+ */
+export const notifyNovelStaff = async (novelId, eventName, data, chapter = null) => {
+  try {
+    const novel = await Novel.findById(novelId).select('active').lean();
+    const entries = NOVEL_STAFF_ROLES.flatMap(role => novel?.active?.[role] || []);
+    if (chapter) {
+      entries.push(...Object.values(STAGE_ROLES).map(role => chapter[role]).filter(Boolean));
+    }
+
+    const [staffIds, managerIds] = await Promise.all([
+      resolveStaffUserIds(entries),
+      getManagerIds()
+    ]);
+
+    const userIds = new Set([...staffIds, ...managerIds]);
+    for (const userId of userIds) {
+      broadcastEventToUser(eventName, data, userId);
+    }
+  } catch (error) {
+    console.error(`Error sending ${eventName} to novel staff:`, error);
+  }
+};
+
+/**
+ * Notify the staff of the stage a chapter moved to
+ * The novel's pj_user hears about chapters that are ready to publish.
+ */
+const notifyStageStaff = async (novel, chapter, stage, actor) => {
+  const role = STAGE_ROLES[stage] || 'pj_user';
+  const entries = [...(novel.active?.[role] || [])];
+  if (chapter[role]) entries.push(chapter[role]);
+
+  const userIds = (await resolveStaffUserIds(entries))
+    .filter(userId => userId !== actor._id.toString());
+
+  await createWorkflowStepNotifications(userIds, { novel, chapter, stage, actor });
+};
+
+/**
+ * Load a chapter and its novel for a workflow action
+ */
+const loadWorkflowChapter = async (chapterId) => {
+  if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+    throw createWorkflowError('ID chương không hợp lệ');
+  }
+  const chapter = await Chapter.findById(chapterId)
+    .select('title novelId moduleId mode translator editor proofreader workflow')
+    .lean();
+  if (!chapter) {
+    throw createWorkflowError('Chương không tồn tại', 404);
+  }
+  const novel = await Novel.findById(chapter.novelId).select('title active').lean();
+  if (!novel) {
+    throw createWorkflowError('Truyện không tồn tại', 404);
+  }
+  return { chapter, novel };
+};
+
+/**
+ * Shape a chapter's workflow for responses; lapsed claims are reported as none
+ */
+const formatWorkflow = (chapter, now = new Date()) => ({
+  chapterId: chapter._id,
+  stage: getWorkflowStage(chapter),
+  claim: isClaimActive(chapter.workflow?.claim, now) ? chapter.workflow.claim : null,
+  publishOverride: chapter.workflow?.publishOverride?.at ? chapter.workflow.publishOverride : null
+});
+
+const announceWorkflowChange = (chapter) => {
+  notifyNovelStaff(chapter.novelId, 'chapter_workflow_updated', {
+    novelId: chapter.novelId,
+    chapterId: chapter._id,
+    stage: getWorkflowStage(chapter),
+    timestamp: new Date().toISOString()
+  }, chapter);
+};
+
+/**
+ * Claim the current stage of a chapter
+ * Claiming again extends the user's own claim.
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The chapter's workflow
+ */
+export const claimWorkflowStep = async (chapterId, user) => {
+  const { chapter, novel } = await loadWorkflowChapter(chapterId);
+  const stage = getWorkflowStage(chapter);
+
+  if (stage === 'ready') {
+    throw createWorkflowError('Chương đã sẵn sàng, không còn bước nào để nhận');
+  }
+  if (!canWorkStage(user, novel, chapter, stage)) {
+    throw createWorkflowError(`Bạn không phụ trách bước ${STAGE_LABELS[stage]} của chương này`, 403);
+  }
+
+  const now = new Date();
+  const updated = await Chapter.findOneAndUpdate(
+    {
+      _id: chapter._id,
+      'workflow.stage': stage,
+      $or: [
+        { 'workflow.claim.user': null },
+        { 'workflow.claim.user': user._id },
+        { 'workflow.claim.expiresAt': { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        'workflow.claim': {
+          user: user._id,
+          stage,
+          claimedAt: now,
+          expiresAt: new Date(now.getTime() + CLAIM_HOURS * 60 * 60 * 1000)
+        }
+      }
+    },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw createWorkflowError('Bước này đang được người khác nhận hoặc chương vừa chuyển bước', 409);
+  }
+
+  announceWorkflowChange(updated);
+  return formatWorkflow(updated, now);
+};
+
+/**
+ * Give up a claim; managers may release anyone's
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The chapter's workflow
+ */
+export const releaseWorkflowClaim = async (chapterId, user) => {
+  const { chapter, novel } = await loadWorkflowChapter(chapterId);
+  const claim = chapter.workflow?.claim;
+
+  if (!isClaimActive(claim)) {
+    throw createWorkflowError('Chương không có ai nhận');
+  }
+  if (claim.user.toString() !== user._id.toString() && !canManageWorkflow(user, novel)) {
+    throw createWorkflowError('Bạn chỉ có thể huỷ bước mình đã nhận', 403);
+  }
+
+  const updated = await Chapter.findOneAndUpdate(
+    { _id: chapter._id, 'workflow.claim.user': claim.user },
+    { $set: { 'workflow.claim': EMPTY_CLAIM } },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw createWorkflowError('Người nhận bước này vừa thay đổi, vui lòng tải lại', 409);
+  }
+
+  announceWorkflowChange(updated);
+  return formatWorkflow(updated);
+};
+
+/**
+ * Move a chapter to a stage and notify that stage's staff
+ * The update only applies while the chapter is still in the expected stage.
+ */
+const moveToStage = async ({ chapter, novel, user, from, to, action, extraSet = {} }) => {
+  const updated = await Chapter.findOneAndUpdate(
+    { _id: chapter._id, 'workflow.stage': chapter.workflow?.stage ?? null },
+    {
+      $set: { 'workflow.stage': to, 'workflow.claim': EMPTY_CLAIM, ...extraSet },
+      $push: { 'workflow.history': { from, to, action, by: user._id, at: new Date() } }
+    },
+    { new: true }
+  ).lean();
+
+  if (!updated) {
+    throw createWorkflowError('Chương vừa được chuyển bước, vui lòng tải lại', 409);
+  }
+
+  console.log(`[Workflow] ${user.username} moved "${chapter.title}" from ${from} to ${to} (${action})`);
+
+  clearChapterCaches(chapter._id.toString());
+  announceWorkflowChange(updated);
+
+  if (to !== from) {
+    await notifyStageStaff(novel, updated, to, user);
+  }
+
+  return formatWorkflow(updated);
+};
+
+/**
+ * Complete the current stage of a chapter and pass it to the next role
+ * The user is recorded as the chapter's translator, editor or proofreader if none is set yet.
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The chapter's workflow
+ */
+export const completeWorkflowStep = async (chapterId, user) => {
+  const { chapter, novel } = await loadWorkflowChapter(chapterId);
+  const stage = getWorkflowStage(chapter);
+
+  if (stage === 'ready') {
+    throw createWorkflowError('Chương đã hoàn tất quy trình');
+  }
+
+  const claim = chapter.workflow?.claim;
+  const isManager = canManageWorkflow(user, novel);
+  if (isClaimActive(claim) && claim.user.toString() !== user._id.toString() && !isManager) {
+    throw createWorkflowError('Bước này đang được người khác nhận', 409);
+  }
+  if (!canWorkStage(user, novel, chapter, stage)) {
+    throw createWorkflowError(`Bạn không phụ trách bước ${STAGE_LABELS[stage]} của chương này`, 403);
+  }
+
+  const role = STAGE_ROLES[stage];
+  const extraSet = chapter[role] ? {} : { [role]: user._id.toString() };
+
+  return moveToStage({
+    chapter,
+    novel,
+    user,
+    from: stage,
+    to: getNextStage(stage, novel, chapter),
+    action: 'complete',
+    extraSet
+  });
+};
+
+/**
+ * Put a chapter in any stage, e.g. to send it back for another pass (managers only)
+ *
+ * @param {string} chapterId - Chapter ID
+ * @param {string} stage - One of WORKFLOW_STAGES
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The chapter's workflow
+ */
+export const setWorkflowStage = async (chapterId, stage, user) => {
+  if (!WORKFLOW_STAGES.includes(stage)) {
+    throw createWorkflowError(`Bước không hợp lệ. Hỗ trợ: ${WORKFLOW_STAGES.join(', ')}`);
+  }
+
+  const { chapter, novel } = await loadWorkflowChapter(chapterId);
+  if (!canManageWorkflow(user, novel)) {
+    throw createWorkflowError('Chỉ quản lý dự án mới có thể chuyển bước của chương', 403);
+  }
+
+  return moveToStage({
+    chapter,
+    novel,
+    user,
+    from: getWorkflowStage(chapter),
+    to: stage,
+    action: 'set'
+  });
+};
+
+/**
+ * List every chapter of a novel grouped by workflow stage (novel staff only)
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { novel, stages: [{ stage, chapters }], claimHours }
+ */
+export const getWorkflowBoard = async (novelId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createWorkflowError('ID truyện không hợp lệ');
+  }
+  const novel = await Novel.findById(novelId).select('title active').lean();
+  if (!novel) {
+    throw createWorkflowError('Truyện không tồn tại', 404);
+  }
+  if (!canManageWorkflow(user, novel) && !isNovelStaff(user, novel)) {
+    throw createWorkflowError('Chỉ nhân sự của truyện mới được xem tiến độ', 403);
+  }
+
+  const [modules, chapters] = await Promise.all([
+    Module.find({ novelId }).select('title order').lean(),
+    Chapter.find({ novelId })
+      .select('title order moduleId mode translator editor proofreader publishAt updatedAt workflow.stage workflow.claim')
+      .populate('workflow.claim.user', 'username displayName')
+      .lean()
+  ]);
+
+  const modulesById = new Map(modules.map(module => [module._id.toString(), module]));
+  const moduleOrder = (chapter) => modulesById.get(chapter.moduleId.toString())?.order ?? Infinity;
+  chapters.sort((a, b) => moduleOrder(a) - moduleOrder(b) || a.order - b.order);
+
+  const now = new Date();
+  const stages = WORKFLOW_STAGES.map(stage => ({ stage, chapters: [] }));
+  for (const chapter of chapters) {
+    const stage = getWorkflowStage(chapter);
+    const module = modulesById.get(chapter.moduleId.toString());
+    stages[WORKFLOW_STAGES.indexOf(stage)].chapters.push({
+      _id: chapter._id,
+      title: chapter.title,
+      order: chapter.order,
+      mode: chapter.mode,
+      module: module ? { _id: module._id, title: module.title } : null,
+      translator: chapter.translator,
+      editor: chapter.editor,
+      proofreader: chapter.proofreader,
+      publishAt: chapter.publishAt,
+      updatedAt: chapter.updatedAt,
+      claim: isClaimActive(chapter.workflow?.claim, now) ? chapter.workflow.claim : null
+    });
+  }
+
+  return {
+    novel: { _id: novel._id, title: novel.title },
+    stages,
+    claimHours: CLAIM_HOURS
+  };
+};
+
+/**
+ * Check that a chapter may leave draft
+ * Chapters that are not ready are blocked unless an admin asks to override.
+ *
+ * @param {Object} chapter - Chapter with workflow
+ * @param {Object} user - User publishing the chapter
+ * @param {boolean} [override] - Whether the user asked to publish regardless of the stage
+ * @returns {Object|null} Override record { by, at } to store, or null when none was needed
+ */
+export const checkPublishAllowed = (chapter, user, override = false) => {
+  const stage = getWorkflowStage(chapter);
+  if (stage === 'ready') {
+    return null;
+  }
+  if (!override) {
+    throw createWorkflowError(
+      `Chương đang ở bước ${STAGE_LABELS[stage]}, chỉ có thể đăng khi đã hoàn tất quy trình`,
+      409,
+      'WORKFLOW_NOT_READY'
+    );
+  }
+  if (user.role !== 'admin') {
+    throw createWorkflowError('Chỉ admin mới có thể đăng chương chưa hoàn tất quy trình', 403);
+  }
+  return { by: user._id, at: new Date() };
+};
+
+/**
+ * Query matching chapters that may be published by the scheduler
+ */
+export const PUBLISHABLE_WORKFLOW_QUERY = {
+  $or: [
+    { 'workflow.stage': { $in: ['ready', null] } },
+    { 'workflow.publishOverride.at': { $ne: null } }
+  ]
+};
+
+/**
+ * Release claims whose time ran out
+ *
+ * @returns {Promise<number>} Number of claims released
+ */
+export const expireWorkflowClaims = async () => {
+  const result = await Chapter.updateMany(
+    { 'workflow.claim.expiresAt': { $lte: new Date() } },
+    { $set: { 'workflow.claim': EMPTY_CLAIM } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,384 @@
+import axios from 'axios';
+import mongoose from 'mongoose';
+import Novel from '../models/Novel.js';
+import Module from '../models/Module.js';
+import Chapter from '../models/Chapter.js';
+import ContentPurchase from '../models/ContentPurchase.js';
+import { evaluateChapterAccess, loadEntitlements, isAdminOrModerator, isNovelPjUser } from './chapterAccessService.js';
+import { populateStaffNames } from '../utils/populateStaffNames.js';
+import { buildEpub, collectImageSources } from '../utils/epub.js';
+import { createSlug } from '../utils/slugUtils.js';
+
+/**
+ * EPUB export of modules and whole novels
+ *
+ * Only chapters the requester can read are exported, using the same policy as
+ * the reader; a module the user cannot open contributes no chapters.
+ */
+
+const IMAGE_LIMITS = {
+  maxImages: 200,
+  maxImageBytes: 5 * 1024 * 1024,
+  maxTotalBytes: 80 * 1024 * 1024,
+  timeoutMs: 15000,
+  // Parallel downloads, and the time after which the export goes on without the rest
+  concurrency: 6,
+  deadlineMs: 60000
+};
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+const DEFAULT_ILLUSTRATION = 'defaults/missing-image.png';
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createExportError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Hosts images are downloaded from: our CDN, plus any listed in EPUB_IMAGE_HOSTS
+ * Chapter HTML is written by users, so any other <img src> is left out rather
+ * than fetched by the server.
+ */
+const getAllowedImageHosts = () => {
+  const entries = [
+    process.env.BUNNY_CDN_URL || 'https://valvrareteam.b-cdn.net',
+    ...(process.env.EPUB_IMAGE_HOSTS || '').split(',')
+  ];
+  return new Set(entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      try {
+        return entry.includes('://') ? new URL(entry).hostname.toLowerCase() : entry.toLowerCase();
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean));
+};
+
+const isAllowedImageUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (protocol === 'https:' || protocol === 'http:') && getAllowedImageHosts().has(hostname.toLowerCase());
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Download an image for embedding
+ * Only allowed hosts are fetched, and redirects are not followed so they
+ * cannot lead anywhere else.
+ *
+ * @param {string} url - Image URL
+ * @param {AbortSignal} [signal] - Aborts the download
+ * @returns {Promise<Object|null>} { data, mediaType, extension }, or null if it can't be embedded
+ */
+const downloadImage = async (url, signal) => {
+  if (!isAllowedImageUrl(url)) {
+    return null;
+  }
+
+  try {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: IMAGE_LIMITS.timeoutMs,
+      maxContentLength: IMAGE_LIMITS.maxImageBytes,
+      maxRedirects: 0,
+      signal
+    });
+    const mediaType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES[mediaType]) {
+      return null;
+    }
+    return { data: Buffer.from(response.data), mediaType, extension: IMAGE_TYPES[mediaType] };
+  } catch (error) {
+    console.warn(`EPUB export: could not download image ${url}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Download the images used in the exported chapters, within the size limits
+ * A few downloads run at once, and whatever is unfinished at the deadline is
+ * dropped. Images that fail or exceed the limits are replaced by their alt text.
+ */
+const downloadChapterImages = async (chapters) => {
+  const sources = [...new Set(chapters.flatMap(chapter => collectImageSources(chapter.content)))]
+    .filter(isAllowedImageUrl)
+    .slice(0, IMAGE_LIMITS.maxImages);
+
+  const downloaded = new Array(sources.length).fill(null);
+  const controller = new AbortController();
+  const deadline = setTimeout(() => controller.abort(), IMAGE_LIMITS.deadlineMs);
+  let totalBytes = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < sources.length && totalBytes < IMAGE_LIMITS.maxTotalBytes && !controller.signal.aborted) {
+      const index = next++;
+      const image = await downloadImage(sources[index], controller.signal);
+      if (image && totalBytes + image.data.length <= IMAGE_LIMITS.maxTotalBytes) {
+        totalBytes += image.data.length;
+        downloaded[index] = image;
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(IMAGE_LIMITS.concurrency, sources.length) }, worker));
+  } finally {
+    clearTimeout(deadline);
+  }
+
+  const images = [];
+  downloaded.forEach((image, index) => {
+    if (image) {
+      images.push({ ...image, src: sources[index], href: `images/img-${images.length + 1}.${image.extension}` });
+    }
+  });
+  return images;
+};
+
+/**
+ * Download a cover, skipping the placeholder shown for missing illustrations
+ */
+const downloadCover = async (...urls) => {
+  for (const url of urls) {
+    if (url && !url.includes(DEFAULT_ILLUSTRATION)) {
+      const cover = await downloadImage(url);
+      if (cover && cover.extension !== 'svg') return cover;
+    }
+  }
+  return null;
+};
+
+/**
+ * Order a module's chapters as listed in Module.chapters
+ * Chapters missing from that list follow, by their order field.
+ */
+const sortByModuleOrder = (module, chapters) => {
+  const positions = new Map((module.chapters || []).map((id, index) => [id.toString(), index]));
+  return [...chapters].sort((a, b) => {
+    const positionA = positions.get(a._id.toString()) ?? Infinity;
+    const positionB = positions.get(b._id.toString()) ?? Infinity;
+    return positionA - positionB || a.order - b.order;
+  });
+};
+
+/**
+ * Keep the chapters of a module the user can read
+ *
+ * @param {Object} user - User object (null for anonymous)
+ * @param {Object} novel - Novel with active staff
+ * @param {Object} module - Module with mode
+ * @param {Array<Object>} chapters - Chapters of the module
+ * @param {Set<string>} purchasedChapterIds - Chapters the user bought one by one
+ * @returns {Promise<Array<Object>>} Readable chapters
+ */
+const filterReadableChapters = async (user, novel, module, chapters, purchasedChapterIds) => {
+  const needsEntitlements = !!user && !isAdminOrModerator(user) && !isNovelPjUser(user, novel) &&
+    (module.mode === 'paid' || chapters.some(chapter => chapter.mode === 'paid'));
+  const { rental, purchase: modulePurchase } = needsEntitlements
+    ? await loadEntitlements(user, module._id)
+    : { rental: null, purchase: null };
+
+  return chapters.filter(chapter => {
+    const purchase = modulePurchase || (purchasedChapterIds.has(chapter._id.toString()) ? { contentType: 'chapter' } : null);
+    return evaluateChapterAccess({ user, chapter, novel, module, rental, purchase }).hasAccess;
+  });
+};
+
+/**
+ * Load the chapters of some modules, keeping only those the user can read
+ *
+ * @returns {Promise<Array<Object>>} [{ module, chapters }] in module order
+ */
+const loadReadableSections = async (user, novel, modules) => {
+  const allChapters = await Chapter.find({ moduleId: { $in: modules.map(module => module._id) } })
+    .select('title content footnotes mode chapterBalance order moduleId translator editor proofreader')
+    .lean();
+
+  const purchasedChapterIds = new Set();
+  if (user && allChapters.some(chapter => chapter.mode === 'paid')) {
+    const purchases = await ContentPurchase.find({
+      userId: user._id,
+      contentType: 'chapter',
+      chapterId: { $in: allChapters.map(chapter => chapter._id) }
+    }).select('chapterId').lean();
+    purchases.forEach(purchase => purchasedChapterIds.add(purchase.chapterId.toString()));
+  }
+
+  const sections = [];
+  for (const module of modules) {
+    const moduleChapters = allChapters.filter(chapter => chapter.moduleId.toString() === module._id.toString());
+    const readable = await filterReadableChapters(user, novel, module, sortByModuleOrder(module, moduleChapters), purchasedChapterIds);
+    sections.push({ module, chapters: readable });
+  }
+
+  return sections;
+};
+
+/**
+ * Get the printable name of a populated staff entry
+ * IDs of users that no longer exist are left out.
+ */
+const getStaffName = (entry) => {
+  const name = typeof entry === 'string' ? entry : entry?.displayName || entry?.username;
+  return name && !/^[0-9a-f]{24}$/i.test(name) ? name : null;
+};
+
+/**
+ * Resolve display names of chapter staff for the credits line
+ */
+const withCredits = async (chapter) => {
+  const named = await populateStaffNames({
+    translator: chapter.translator,
+    editor: chapter.editor,
+    proofreader: chapter.proofreader
+  });
+  return {
+    ...chapter,
+    credits: {
+      translator: getStaffName(named.translator),
+      editor: getStaffName(named.editor),
+      proofreader: getStaffName(named.proofreader)
+    }
+  };
+};
+
+/**
+ * Package readable sections as an EPUB
+ */
+const packageEpub = async ({ identifier, title, novel, sections, coverUrls, titlePageLines }) => {
+  const chapters = sections.flatMap(section => section.chapters);
+  if (chapters.length === 0) {
+    throw createExportError('Không có chương nào bạn có thể đọc để xuất EPUB', 403);
+  }
+
+  const [cover, images, creditedSections] = await Promise.all([
+    downloadCover(...coverUrls),
+    downloadChapterImages(chapters),
+    Promise.all(sections.map(async section => ({
+      title: section.module.title,
+      chapters: await Promise.all(section.chapters.map(withCredits))
+    })))
+  ]);
+
+  const data = buildEpub({
+    identifier,
+    title,
+    author: novel.author,
+    illustrator: novel.illustrator,
+    description: novel.description,
+    titlePageLines,
+    cover,
+    images,
+    sections: creditedSections
+  });
+
+  return {
+    data,
+    filename: `${createSlug(title) || 'export'}.epub`,
+    chapterCount: chapters.length
+  };
+};
+
+/**
+ * Get the novel-level staff credits shown on the title page
+ */
+const getNovelCreditLines = async (novel) => {
+  const named = await populateStaffNames({ active: novel.active });
+  const join = (list) => (list || []).map(getStaffName).filter(Boolean).join(', ');
+  return [
+    ['Nhóm dịch', join(named.active?.pj_user)],
+    ['Dịch giả', join(named.active?.translator)],
+    ['Biên tập', join(named.active?.editor)],
+    ['Hiệu đính', join(named.active?.proofreader)]
+  ].filter(([, names]) => names).map(([role, names]) => `${role}: ${names}`);
+};
+
+const loadNovel = async (novelId) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createExportError('ID truyện không hợp lệ');
+  }
+  const novel = await Novel.findById(novelId)
+    .select('title author illustrator description illustration active')
+    .lean();
+  if (!novel) {
+    throw createExportError('Truyện không tồn tại', 404);
+  }
+  return novel;
+};
+
+/**
+ * Export one module as an EPUB
+ *
+ * @param {string} novelId - Novel ID
+ * @param {string} moduleId - Module ID
+ * @param {Object} user - Requesting user (null for anonymous)
+ * @returns {Promise<Object>} { data, filename, chapterCount }
+ */
+export const exportModuleEpub = async (novelId, moduleId, user) => {
+  const novel = await loadNovel(novelId);
+  if (!mongoose.Types.ObjectId.isValid(moduleId)) {
+    throw createExportError('ID tập không hợp lệ');
+  }
+
+  const module = await Module.findOne({ _id: moduleId, novelId })
+    .select('title illustration chapters mode moduleBalance rentBalance')
+    .lean();
+  if (!module) {
+    throw createExportError('Tập không tồn tại', 404);
+  }
+
+  const sections = await loadReadableSections(user, novel, [module]);
+
+  return packageEpub({
+    identifier: `urn:valvrare:module:${module._id}`,
+    title: `${novel.title} - ${module.title}`,
+    novel,
+    sections,
+    coverUrls: [module.illustration, novel.illustration],
+    titlePageLines: [module.title, ...await getNovelCreditLines(novel)]
+  });
+};
+
+/**
+ * Export every module of a novel as one EPUB
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} user - Requesting user (null for anonymous)
+ * @returns {Promise<Object>} { data, filename, chapterCount }
+ */
+export const exportNovelEpub = async (novelId, user) => {
+  const novel = await loadNovel(novelId);
+
+  const modules = await Module.find({ novelId })
+    .sort({ order: 1 })
+    .select('title illustration chapters mode moduleBalance rentBalance')
+    .lean();
+
+  const sections = await loadReadableSections(user, novel, modules);
+
+  return packageEpub({
+    identifier: `urn:valvrare:novel:${novel._id}`,
+    title: novel.title,
+    novel,
+    sections,
+    coverUrls: [novel.illustration, modules[0]?.illustration],
+    titlePageLines: await getNovelCreditLines(novel)
+  });
+};
@@ -0,0 +1,214 @@
+import mongoose from 'mongoose';
+import TopUpRequest from '../models/TopUpRequest.js';
+import User from '../models/User.js';
+import paymentConfig from '../config/paymentConfig.js';
+import { EWALLET_STATUS, getEwalletAdapter } from '../integrations/ewalletProvider.js';
+import { createTransaction } from '../routes/userTransaction.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearUserCache } from '../utils/userCache.js';
+import { postPlatformCredit } from './ledgerService.js';
+
+/**
+ * Service to settle MoMo/ZaloPay top-ups
+ * A payment result may arrive through the IPN or from the reconciliation job,
+ * possibly both, so settlement must be safe to run more than once.
+ */
+
+const EWALLET_NAMES = {
+  momo: 'MoMo',
+  zalopay: 'ZaloPay'
+};
+
+/**
+ * Apply a normalized e-wallet result to its top-up request
+ * A successful payment is credited even if the user cancelled the request meanwhile,
+ * since the money was received; failures only close requests that are still pending.
+ *
+ * @param {string|Object} topUpRequestId - TopUpRequest ID
+ * @param {Object} result - EwalletResult from the e-wallet adapter
+ * @returns {Promise<Object|null>} Updated request, or null if there was nothing to apply
+ */
+export const applyEwalletResult = async (topUpRequestId, result) => {
+  if (result.status === EWALLET_STATUS.PENDING) {
+    return null;
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const settleableStatuses = result.status === EWALLET_STATUS.SUCCESS ? ['Pending', 'Cancelled'] : ['Pending'];
+
+    const topUpRequest = await TopUpRequest.findOne({
+      _id: topUpRequestId,
+      paymentMethod: 'ewallet',
+      status: { $in: settleableStatuses }
+    }).session(session);
+
+    if (!topUpRequest) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const walletName = EWALLET_NAMES[topUpRequest.subMethod] || topUpRequest.subMethod;
+    topUpRequest.details = {
+      ...topUpRequest.details,
+      providerTransactionId: result.providerTransactionId || topUpRequest.details.providerTransactionId || null
+    };
+    // Remove expiration to prevent TTL deletion of settled requests
+    topUpRequest.expiresAt = undefined;
+
+    if (result.status === EWALLET_STATUS.FAILED) {
+      topUpRequest.status = 'Failed';
+      topUpRequest.notes = result.message || `Thanh toán ${walletName} không thành công`;
+      await topUpRequest.save({ session });
+      await session.commitTransaction();
+      return topUpRequest;
+    }
+
+    topUpRequest.receivedAmount = result.amount || topUpRequest.amount;
+
+    // The order amount is fixed by us, so a different paid amount needs a human to look at it
+    if (result.amount && result.amount !== topUpRequest.amount) {
+      topUpRequest.status = 'Pending';
+      topUpRequest.details = { ...topUpRequest.details, needsReview: true };
+      topUpRequest.notes = `Số tiền thanh toán (${result.amount}) không khớp với yêu cầu (${topUpRequest.amount}), cần admin kiểm tra`;
+      await topUpRequest.save({ session });
+      await session.commitTransaction();
+      return topUpRequest;
+    }
+
+    const description = `Nạp tiền qua ${walletName}`;
+
+    topUpRequest.status = 'Completed';
+    topUpRequest.completedAt = new Date();
+    await topUpRequest.save({ session });
+
+    await postPlatformCredit({
+      userId: topUpRequest.user,
+      amount: topUpRequest.balance,
+      type: 'topup',
+      description,
+      sourceId: topUpRequest._id,
+      sourceModel: 'TopUpRequest'
+    }, session);
+    const updatedUser = await User.findById(topUpRequest.user).select('username balance').session(session);
+
+    // Record in transaction ledger
+    await createTransaction({
+      userId: topUpRequest.user,
+      amount: topUpRequest.balance,
+      type: 'topup',
+      description,
+      sourceId: topUpRequest._id,
+      sourceModel: 'TopUpRequest',
+      metadata: {
+        subMethod: topUpRequest.subMethod,
+        orderId: topUpRequest.details.orderId,
+        providerTransactionId: topUpRequest.details.providerTransactionId
+      },
+      performedById: null // Automatic process
+    }, session);
+
+    await session.commitTransaction();
+
+    if (updatedUser) {
+      await clearUserCache(updatedUser._id, updatedUser.username);
+    }
+
+    // Broadcast balance update event to user via SSE
+    broadcastEventToUser('balance_updated', {
+      userId: topUpRequest.user,
+      balanceAdded: topUpRequest.balance,
+      newBalance: updatedUser?.balance,
+      reason: 'topup',
+      description
+    }, topUpRequest.user);
+
+    return topUpRequest;
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('E-wallet settlement error:', error);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reconcile pending e-wallet requests against the providers
+ * Asks each provider for the order status, settles paid and failed orders,
+ * and fails orders that are still unpaid after the order timeout. Orders of a
+ * provider whose adapter is disabled stay pending: nobody can tell whether
+ * they were paid.
+ *
+ * @returns {Promise<Object>} Summary of the reconciliation
+ */
+export const reconcileEwalletRequests = async () => {
+  const { reconcileAfterMs, orderTimeoutMs } = paymentConfig.ewalletGateway;
+  const now = Date.now();
+
+  const pendingRequests = await TopUpRequest.find({
+    status: 'Pending',
+    paymentMethod: 'ewallet',
+    'details.needsReview': { $ne: true },
+    createdAt: { $lt: new Date(now - reconcileAfterMs) }
+  });
+
+  const summary = {
+    total: pendingRequests.length,
+    completed: 0,
+    failed: 0,
+    stillPending: 0,
+    errors: 0
+  };
+
+  // Providers whose adapter is switched off; their orders may have been paid, so they wait
+  const disabledProviders = new Set();
+
+  for (const request of pendingRequests) {
+    try {
+      const adapter = getEwalletAdapter(request.subMethod);
+      if (!adapter) {
+        disabledProviders.add(request.subMethod);
+        summary.stillPending++;
+        continue;
+      }
+
+      const timedOut = now - request.createdAt.getTime() > orderTimeoutMs;
+
+      let result = { status: EWALLET_STATUS.PENDING };
+      if (request.details?.orderId) {
+        result = await adapter.queryOrder(request.details.orderId);
+      }
+
+      if (result.status === EWALLET_STATUS.PENDING && timedOut) {
+        result = {
+          ...result,
+          status: EWALLET_STATUS.FAILED,
+          message: 'Đơn thanh toán đã hết hạn mà chưa được thanh toán'
+        };
+      }
+
+      const settled = await applyEwalletResult(request._id, result);
+
+      if (!settled || settled.status === 'Pending') {
+        summary.stillPending++;
+      } else if (settled.status === 'Completed') {
+        summary.completed++;
+      } else {
+        summary.failed++;
+      }
+    } catch (error) {
+      // Leave the request pending; the next run will query it again
+      summary.errors++;
+      console.error(`Error reconciling e-wallet request ${request._id}:`, error.message);
+    }
+  }
+
+  if (disabledProviders.size > 0) {
+    console.warn(`Skipped pending e-wallet requests of disabled providers: ${[...disabledProviders].join(', ')}`);
+  }
+
+  return summary;
+};
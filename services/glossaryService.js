@@ -0,0 +1,251 @@
+import mongoose from 'mongoose';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import Novel from '../models/Novel.js';
+import Chapter from '../models/Chapter.js';
+import { isAdminOrModerator, isNovelPjUser, isNovelStaff, hasChapterRole } from './chapterAccessService.js';
+import { lintChapterText } from '../utils/chapterLint.js';
+
+/**
+ * Per-novel translation glossary
+ *
+ * Staff keep the agreed rendering of names and terms here; the lint check
+ * compares chapter text against it. Only admins, moderators, the novel's
+ * pj_user and its translators, editors and proofreaders can see or change it.
+ */
+
+const MAX_VARIANTS = 20;
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createGlossaryError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check whether a user may read and edit a novel's glossary
+ *
+ * @param {Object} user - User
+ * @param {Object} novel - Novel with active staff
+ * @returns {boolean}
+ */
+export const canManageGlossary = (user, novel) => {
+  return isAdminOrModerator(user) || isNovelPjUser(user, novel) || isNovelStaff(user, novel);
+};
+
+/**
+ * Load a novel whose glossary the user may manage
+ */
+const loadGlossaryNovel = async (novelId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createGlossaryError('ID truyện không hợp lệ');
+  }
+  const novel = await Novel.findById(novelId).select('title active').lean();
+  if (!novel) {
+    throw createGlossaryError('Truyện không tồn tại', 404);
+  }
+  if (!canManageGlossary(user, novel)) {
+    throw createGlossaryError('Chỉ nhân sự của truyện mới được dùng bảng thuật ngữ', 403);
+  }
+  return novel;
+};
+
+/**
+ * Validate the fields of a glossary term
+ *
+ * @param {Object} input - Request body
+ * @param {boolean} partial - Whether missing fields keep their current value
+ * @returns {Object} Fields to save
+ */
+const normalizeTermInput = (input, partial = false) => {
+  const fields = {};
+
+  for (const key of ['sourceTerm', 'preferred']) {
+    if (input[key] === undefined && partial) continue;
+    const value = typeof input[key] === 'string' ? input[key].trim() : '';
+    if (!value) {
+      throw createGlossaryError(key === 'sourceTerm' ? 'Thiếu thuật ngữ gốc' : 'Thiếu cách dịch chuẩn');
+    }
+    fields[key] = value;
+  }
+
+  if (input.forbiddenVariants !== undefined) {
+    if (!Array.isArray(input.forbiddenVariants)) {
+      throw createGlossaryError('forbiddenVariants phải là một danh sách');
+    }
+    const variants = [...new Set(input.forbiddenVariants
+      .filter(variant => typeof variant === 'string')
+      .map(variant => variant.trim())
+      .filter(Boolean))];
+    if (variants.length > MAX_VARIANTS) {
+      throw createGlossaryError(`Tối đa ${MAX_VARIANTS} cách dịch bị cấm cho mỗi thuật ngữ`);
+    }
+    fields.forbiddenVariants = variants;
+  } else if (!partial) {
+    fields.forbiddenVariants = [];
+  }
+
+  if (input.notes !== undefined) fields.notes = String(input.notes || '');
+  if (input.caseSensitive !== undefined) fields.caseSensitive = input.caseSensitive === true || input.caseSensitive === 'true';
+
+  return fields;
+};
+
+/**
+ * Turn a duplicate key error into a conflict
+ */
+const rethrowDuplicate = (error) => {
+  if (error.code === 11000) {
+    throw createGlossaryError('Thuật ngữ này đã có trong bảng thuật ngữ của truyện', 409);
+  }
+  if (error.name === 'ValidationError') {
+    throw createGlossaryError(error.message);
+  }
+  throw error;
+};
+
+/**
+ * List a novel's glossary
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} user - Requesting user
+ * @param {Object} [options]
+ * @param {string} [options.search] - Filter on source term, preferred rendering or variants
+ * @returns {Promise<Array<Object>>} Terms sorted by source term
+ */
+export const listGlossaryTerms = async (novelId, user, { search } = {}) => {
+  await loadGlossaryNovel(novelId, user);
+
+  const query = { novel: novelId };
+  if (search && String(search).trim()) {
+    const pattern = new RegExp(String(search).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ sourceTerm: pattern }, { preferred: pattern }, { forbiddenVariants: pattern }];
+  }
+
+  return GlossaryTerm.find(query)
+    .sort({ sourceTerm: 1 })
+    .populate('createdBy updatedBy', 'username displayName')
+    .lean();
+};
+
+/**
+ * Add a term to a novel's glossary
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} input - { sourceTerm, preferred, forbiddenVariants, notes, caseSensitive }
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The new term
+ */
+export const createGlossaryTerm = async (novelId, input, user) => {
+  await loadGlossaryNovel(novelId, user);
+  const fields = normalizeTermInput(input);
+
+  try {
+    const term = await GlossaryTerm.create({ ...fields, novel: novelId, createdBy: user._id });
+    return term.toObject();
+  } catch (error) {
+    rethrowDuplicate(error);
+  }
+};
+
+/**
+ * Load a term of a novel
+ */
+const loadTerm = async (novelId, termId) => {
+  if (!mongoose.Types.ObjectId.isValid(termId)) {
+    throw createGlossaryError('ID thuật ngữ không hợp lệ');
+  }
+  const term = await GlossaryTerm.findOne({ _id: termId, novel: novelId });
+  if (!term) {
+    throw createGlossaryError('Thuật ngữ không tồn tại', 404);
+  }
+  return term;
+};
+
+/**
+ * Update a glossary term
+ *
+ * @param {string} novelId - Novel ID
+ * @param {string} termId - Term ID
+ * @param {Object} input - Fields to change
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} The updated term
+ */
+export const updateGlossaryTerm = async (novelId, termId, input, user) => {
+  await loadGlossaryNovel(novelId, user);
+  const term = await loadTerm(novelId, termId);
+
+  Object.assign(term, normalizeTermInput(input, true), { updatedBy: user._id });
+  try {
+    await term.save();
+    return term.toObject();
+  } catch (error) {
+    rethrowDuplicate(error);
+  }
+};
+
+/**
+ * Remove a glossary term
+ *
+ * @param {string} novelId - Novel ID
+ * @param {string} termId - Term ID
+ * @param {Object} user - Requesting user
+ */
+export const deleteGlossaryTerm = async (novelId, termId, user) => {
+  await loadGlossaryNovel(novelId, user);
+  const term = await loadTerm(novelId, termId);
+  await term.deleteOne();
+};
+
+/**
+ * Check a chapter, or a draft body before it is saved, against the glossary
+ * Staff assigned to a chapter may check it even without a novel-level role.
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} params
+ * @param {string} [params.chapterId] - Saved chapter to check
+ * @param {string} [params.content] - Draft HTML to check instead
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} { issues, summary, termCount }; offsets index into the checked content
+ */
+export const lintChapter = async (novelId, { chapterId, content } = {}, user) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createGlossaryError('ID truyện không hợp lệ');
+  }
+  const novel = await Novel.findById(novelId).select('active').lean();
+  if (!novel) {
+    throw createGlossaryError('Truyện không tồn tại', 404);
+  }
+
+  let text = content;
+  let allowed = canManageGlossary(user, novel);
+
+  if (chapterId) {
+    if (!mongoose.Types.ObjectId.isValid(chapterId)) {
+      throw createGlossaryError('ID chương không hợp lệ');
+    }
+    const chapter = await Chapter.findOne({ _id: chapterId, novelId })
+      .select('content translator editor proofreader')
+      .lean();
+    if (!chapter) {
+      throw createGlossaryError('Chương không tồn tại', 404);
+    }
+    allowed = allowed || hasChapterRole(chapter, user);
+    if (text === undefined) text = chapter.content;
+  }
+
+  if (!allowed) {
+    throw createGlossaryError('Chỉ nhân sự của truyện mới được kiểm tra chương', 403);
+  }
+  if (typeof text !== 'string') {
+    throw createGlossaryError('Cần chapterId hoặc nội dung chương để kiểm tra');
+  }
+
+  const terms = await GlossaryTerm.find({ novel: novelId })
+    .select('sourceTerm preferred forbiddenVariants caseSensitive')
+    .lean();
+
+  return { ...lintChapterText(text, terms), termCount: terms.length };
+};
@@ -0,0 +1,376 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import ScheduleLock from '../models/ScheduleLock.js';
+
+/**
+ * Background job queue
+ *
+ * Request handlers enqueue named jobs instead of doing slow work inline; the
+ * worker of every instance claims due jobs from MongoDB one at a time, so a
+ * job runs once no matter how many instances are up. A failed job is retried
+ * with exponential backoff and, once out of attempts, kept as dead until an
+ * admin retries it.
+ *
+ * Cron schedules fire on every instance too; runExclusive() lets exactly one
+ * instance run each tick.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// A running job whose heartbeat is older than this belongs to a dead worker
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const HEARTBEAT_MS = STALE_LOCK_MS / 4;
+
+const DEFAULT_POLL_MS = 5 * 1000;
+const DEFAULT_CONCURRENCY = 2;
+
+// Failures remembered on the job
+const ERROR_HISTORY_LENGTH = 10;
+
+// Recorded on a job whose worker stopped heartbeating during its last attempt
+const ABANDONED_JOB_ERROR = 'Worker stopped during the last attempt';
+
+// Ticks are matched across instances by rounding to this, so instance clocks
+// must agree within half of it; no schedule may fire more often
+const SCHEDULE_SLOT_MS = 10 * 1000;
+
+// A schedule still marked running after this is assumed to have died with its instance
+const DEFAULT_SCHEDULE_STALE_MS = 60 * 60 * 1000;
+
+const createJobError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// name -> { handler, maxAttempts, backoffMs, maxBackoffMs }
+const jobTypes = new Map();
+
+/**
+ * Register the handler of a job type
+ *
+ * @param {string} name - Job type, e.g. 'notifications.new-chapter'
+ * @param {Function} handler - async (payload, job) => result; throw to fail the attempt
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead
+ * @param {number} [options.backoffMs] - Delay before the first retry; doubles on each retry
+ * @param {number} [options.maxBackoffMs] - Longest delay between retries
+ */
+export const registerJobType = (name, handler, {
+  maxAttempts = 5,
+  backoffMs = 30 * 1000,
+  maxBackoffMs = 60 * 60 * 1000
+} = {}) => {
+  jobTypes.set(name, { handler, maxAttempts, backoffMs, maxBackoffMs });
+};
+
+/**
+ * Names of the registered job types
+ * @returns {Array<string>}
+ */
+export const getJobTypes = () => [...jobTypes.keys()];
+
+let workerTimer = null;
+let isProcessing = false;
+let wakeRequested = false;
+let workerConcurrency = DEFAULT_CONCURRENCY;
+
+/**
+ * Queue a job
+ * The job runs on whichever instance claims it first, as soon as a worker is free.
+ *
+ * @param {string} name - Job type
+ * @param {Object} [payload] - Plain data handed to the handler; keep IDs as strings
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Do not run before this time
+ * @param {number} [options.maxAttempts] - Overrides the job type's default
+ * @returns {Promise<Object>} The queued job
+ */
+export const enqueueJob = async (name, payload = {}, { runAt, maxAttempts } = {}) => {
+  const job = await Job.create({
+    name,
+    payload,
+    nextRunAt: runAt || new Date(),
+    maxAttempts: maxAttempts || jobTypes.get(name)?.maxAttempts || 5
+  });
+
+  if (workerTimer && !runAt) {
+    wakeWorker();
+  }
+
+  return job;
+};
+
+/**
+ * Claim the next due job of a known type, including running jobs abandoned by a dead worker
+ * An abandoned job that has used up its attempts is marked dead instead; a
+ * job that keeps killing its worker must not be retried forever.
+ */
+const claimNextJob = async () => {
+  const names = getJobTypes();
+  if (names.length === 0) return null;
+
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS);
+
+  await Job.updateMany(
+    {
+      name: { $in: names },
+      status: 'running',
+      lockedAt: { $lt: staleBefore },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    [
+      {
+        $set: {
+          status: 'dead',
+          lastError: ABANDONED_JOB_ERROR,
+          finishedAt: now,
+          errorHistory: {
+            $slice: [
+              { $concatArrays: [{ $ifNull: ['$errorHistory', []] }, [{ attempt: '$attempts', message: ABANDONED_JOB_ERROR, at: now }]] },
+              -ERROR_HISTORY_LENGTH
+            ]
+          }
+        }
+      },
+      { $unset: ['lockedBy', 'lockedAt'] }
+    ]
+  );
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'queued', nextRunAt: { $lte: now } },
+        {
+          status: 'running',
+          lockedAt: { $lt: staleBefore },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] }
+        }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: now, startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Delay before the next attempt of a job that failed its nth attempt
+ */
+const retryDelay = (type, attempt) => {
+  const backoffMs = type?.backoffMs ?? 30 * 1000;
+  const maxBackoffMs = type?.maxBackoffMs ?? 60 * 60 * 1000;
+  return Math.min(maxBackoffMs, backoffMs * 2 ** (attempt - 1));
+};
+
+/**
+ * Run a claimed job and record the outcome
+ *
+ * @param {Object} job - Claimed Job document
+ */
+const runJob = async (job) => {
+  const type = jobTypes.get(job.name);
+  const owned = { _id: job._id, status: 'running', lockedBy: WORKER_ID };
+
+  const heartbeat = setInterval(() => {
+    Job.updateOne(owned, { $set: { lockedAt: new Date() } })
+      .catch(error => console.error(`Job ${job._id} heartbeat failed:`, error.message));
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  try {
+    const result = await type.handler(job.payload || {}, job);
+    await Job.updateOne(owned, {
+      $set: { status: 'completed', result, finishedAt: new Date() },
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+  } catch (error) {
+    const dead = job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.name} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error);
+
+    await Job.updateOne(owned, {
+      $set: dead
+        ? { status: 'dead', lastError: error.message, finishedAt: new Date() }
+        : { status: 'queued', lastError: error.message, nextRunAt: new Date(Date.now() + retryDelay(type, job.attempts)) },
+      $unset: { lockedBy: 1, lockedAt: 1 },
+      $push: {
+        errorHistory: {
+          $each: [{ attempt: job.attempts, message: error.message, at: new Date() }],
+          $slice: -ERROR_HISTORY_LENGTH
+        }
+      }
+    });
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Run due jobs until none are left
+ * Runs are serialized within the process up to the worker concurrency;
+ * claiming keeps several processes apart.
+ *
+ * @returns {Promise<number>} Number of jobs processed
+ */
+export const processJobs = async () => {
+  if (isProcessing) {
+    wakeRequested = true;
+    return 0;
+  }
+  isProcessing = true;
+
+  let processed = 0;
+  try {
+    do {
+      wakeRequested = false;
+      const lanes = Array.from({ length: workerConcurrency }, async () => {
+        let job;
+        while ((job = await claimNextJob())) {
+          await runJob(job);
+          processed++;
+        }
+      });
+      await Promise.all(lanes);
+      // Jobs queued while the lanes were draining may have been missed
+    } while (wakeRequested);
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+const wakeWorker = () => {
+  setImmediate(() => {
+    processJobs().catch(error => console.error('Job worker error:', error));
+  });
+};
+
+/**
+ * Start polling for due jobs on this instance
+ *
+ * @param {Object} [options]
+ * @param {number} [options.pollMs] - Interval between checks for due jobs
+ * @param {number} [options.concurrency] - Jobs run at the same time on this instance
+ */
+export const startJobWorker = ({
+  pollMs = Number(process.env.JOB_POLL_MS) || DEFAULT_POLL_MS,
+  concurrency = Number(process.env.JOB_WORKER_CONCURRENCY) || DEFAULT_CONCURRENCY
+} = {}) => {
+  if (workerTimer) return;
+  workerConcurrency = Math.max(1, concurrency);
+  workerTimer = setInterval(wakeWorker, pollMs);
+  wakeWorker();
+  console.log(`Job worker started (${WORKER_ID}, concurrency ${workerConcurrency})`);
+};
+
+/**
+ * Stop polling; jobs already running finish on their own
+ */
+export const stopJobWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Requeue a dead job with a fresh set of attempts
+ *
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Requeued job
+ */
+export const retryJob = async (jobId) => {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    {
+      $set: { status: 'queued', attempts: 0, nextRunAt: new Date() },
+      $unset: { finishedAt: 1 }
+    },
+    { new: true }
+  );
+  if (!job) {
+    throw createJobError('Chỉ có thể chạy lại tác vụ đã thất bại', 404);
+  }
+
+  if (workerTimer) {
+    wakeWorker();
+  }
+  return job;
+};
+
+/**
+ * Job counts per type and status
+ *
+ * @returns {Promise<Object>} { [name]: { queued, running, completed, dead } }
+ */
+export const getJobCounts = async () => {
+  const rows = await Job.aggregate([
+    { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const counts = {};
+  for (const { _id, count } of rows) {
+    counts[_id.name] = counts[_id.name] || { queued: 0, running: 0, completed: 0, dead: 0 };
+    counts[_id.name][_id.status] = count;
+  }
+  return counts;
+};
+
+/**
+ * Run a scheduled task on one instance only
+ * Every instance calls this on the same cron tick; the first to claim the
+ * tick runs the task and the others skip it. A tick is also skipped while the
+ * previous run of the schedule is still going on any instance.
+ *
+ * @param {string} name - Schedule name
+ * @param {Function} task - async () => result
+ * @param {Object} [options]
+ * @param {number} [options.staleMs] - Ignore a previous run still marked running after this long
+ * @returns {Promise<Object>} { ran: boolean, result }
+ */
+export const runExclusive = async (name, task, { staleMs = DEFAULT_SCHEDULE_STALE_MS } = {}) => {
+  const now = new Date();
+  const slot = Math.round(now.getTime() / SCHEDULE_SLOT_MS);
+
+  try {
+    await ScheduleLock.findOneAndUpdate(
+      {
+        _id: name,
+        slot: { $lt: slot },
+        $or: [{ running: false }, { startedAt: { $lt: new Date(now.getTime() - staleMs) } }]
+      },
+      { $set: { slot, running: true, owner: WORKER_ID, startedAt: now } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // The lock exists and did not match: another instance has this tick or is still running
+    if (error.code === 11000) {
+      return { ran: false };
+    }
+    throw error;
+  }
+
+  let failure = null;
+  try {
+    return { ran: true, result: await task() };
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    await ScheduleLock.updateOne(
+      { _id: name, owner: WORKER_ID, slot },
+      { $set: { running: false, finishedAt: new Date(), lastError: failure ? failure.message : null } }
+    ).catch(error => console.error(`Failed to release schedule lock ${name}:`, error.message));
+  }
+};
+
+/**
+ * State of every schedule lock, for the admin endpoint
+ * @returns {Promise<Array<Object>>}
+ */
+export const getScheduleLocks = async () => {
+  return ScheduleLock.find({}).sort({ _id: 1 }).lean();
+};
@@ -0,0 +1,384 @@
+import LedgerEntry from '../models/LedgerEntry.js';
+import LedgerDiscrepancy from '../models/LedgerDiscrepancy.js';
+import User from '../models/User.js';
+import Novel from '../models/Novel.js';
+
+/**
+ * Ledger service
+ *
+ * Every movement of 🌾 goes through postLedgerEntry, which records a balanced
+ * journal entry and updates the materialized balances (User.balance,
+ * Novel.novelBalance, Novel.novelBudget) in the same session. Routes keep
+ * writing UserTransaction/NovelTransaction rows for the user-facing history;
+ * the ledger is the source of truth the nightly invariant check compares against.
+ */
+
+// Accounts whose balance is also stored on a document
+const MATERIALIZED_ACCOUNTS = {
+  user_wallet: { model: User, field: 'balance' },
+  novel_balance: { model: Novel, field: 'novelBalance' },
+  novel_budget: { model: Novel, field: 'novelBudget' }
+};
+
+/**
+ * Account references for ledger lines
+ */
+export const ledgerAccounts = {
+  userWallet: (userId) => ({ accountType: 'user_wallet', accountId: userId }),
+  novelBalance: (novelId) => ({ accountType: 'novel_balance', accountId: novelId }),
+  novelBudget: (novelId) => ({ accountType: 'novel_budget', accountId: novelId }),
+  platform: () => ({ accountType: 'platform', accountId: null }),
+  tts: () => ({ accountType: 'tts', accountId: null })
+};
+
+// Amounts are 🌾 with at most a few decimals; anything closer than this is equal
+const BALANCE_TOLERANCE = 1e-9;
+
+/**
+ * Normalize the lines of a journal entry and check that they balance
+ * Zero lines are dropped, since they move nothing.
+ *
+ * @param {string} type - Entry type, for the error message
+ * @param {Array} lines - [{ accountType, accountId, amount }]
+ * @returns {Array} Lines with a non-zero amount and an explicit accountId
+ * @throws {Error} When the amounts do not sum to zero
+ */
+export const normalizeLedgerLines = (type, lines) => {
+  const normalized = lines
+    .filter(line => line.amount)
+    .map(line => ({ accountType: line.accountType, accountId: line.accountId ?? null, amount: line.amount }));
+
+  const total = normalized.reduce((sum, line) => sum + line.amount, 0);
+  if (Math.abs(total) > BALANCE_TOLERANCE) {
+    throw new Error(`Unbalanced ledger entry (${type}): lines sum to ${total}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Filter for applying a line to its materialized balance
+ * Debits from a user wallet only match while the wallet covers them, so a
+ * purchase can never overdraw it, even if a concurrent request spent the
+ * balance first.
+ *
+ * @param {Object} line - Normalized ledger line
+ * @param {boolean} [allowOverdraft] - Let the wallet go negative (admin corrections)
+ * @returns {Object} Query filter for the account's document
+ */
+export const buildBalanceUpdateFilter = (line, allowOverdraft = false) => {
+  const filter = { _id: line.accountId };
+  if (line.accountType === 'user_wallet' && line.amount < 0 && !allowOverdraft) {
+    filter.balance = { $gte: -line.amount };
+  }
+  return filter;
+};
+
+/**
+ * Compare a stored balance with the balance the ledger gives the account
+ * Missing balances count as zero.
+ *
+ * @param {number|null|undefined} storedBalance - Balance on the document
+ * @param {number|null|undefined} ledgerBalance - Sum of the account's ledger lines
+ * @returns {Object|null} { storedBalance, ledgerBalance, difference }, null when they agree
+ */
+export const findBalanceDiscrepancy = (storedBalance, ledgerBalance) => {
+  const stored = storedBalance || 0;
+  const ledger = ledgerBalance || 0;
+  const difference = stored - ledger;
+
+  if (Math.abs(difference) <= BALANCE_TOLERANCE) {
+    return null;
+  }
+  return { storedBalance: stored, ledgerBalance: ledger, difference };
+};
+
+/**
+ * Post a balanced journal entry and apply it to the materialized balances
+ * Must be called inside the caller's transaction so the entry and the business
+ * records it belongs to commit or roll back together.
+ *
+ * @param {Object} entry
+ * @param {string} entry.type - Entry type (see LedgerEntry)
+ * @param {string} entry.description - Human readable description
+ * @param {Array} entry.lines - [{ accountType, accountId, amount }], summing to zero
+ * @param {string|Object} [entry.sourceId] - Document that caused the movement
+ * @param {string} [entry.sourceModel] - Model name of the source document
+ * @param {string|Object} [entry.performedBy] - User who performed the action
+ * @param {Object} [entry.metadata] - Extra details
+ * @param {boolean} [entry.allowOverdraft] - Allow user wallets to go negative (admin corrections)
+ * @param {boolean} [entry.applyBalances] - Set to false to record balances that already exist
+ * @param {Object} session - Mongoose session for transaction
+ * @returns {Promise<Object|null>} { entry, balances } where balances maps "accountType:accountId"
+ *   to the balance after the entry; null if nothing moved
+ */
+export const postLedgerEntry = async (entry, session) => {
+  const {
+    type,
+    description,
+    sourceId,
+    sourceModel,
+    performedBy,
+    metadata,
+    allowOverdraft = false,
+    applyBalances = true
+  } = entry;
+
+  const lines = normalizeLedgerLines(type, entry.lines);
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const balances = {};
+
+  if (applyBalances) {
+    for (const line of lines) {
+      const materialized = MATERIALIZED_ACCOUNTS[line.accountType];
+      if (!materialized) {
+        continue;
+      }
+
+      const updated = await materialized.model.findOneAndUpdate(
+        buildBalanceUpdateFilter(line, allowOverdraft),
+        { $inc: { [materialized.field]: line.amount } },
+        { session, new: true, projection: { [materialized.field]: 1 } }
+      );
+
+      if (!updated) {
+        const exists = await materialized.model.exists({ _id: line.accountId }).session(session);
+        const error = new Error(exists
+          ? 'Số dư không đủ để thực hiện giao dịch'
+          : `Ledger account not found: ${line.accountType}:${line.accountId}`);
+        error.code = exists ? 'INSUFFICIENT_BALANCE' : 'ACCOUNT_NOT_FOUND';
+        throw error;
+      }
+
+      line.balanceAfter = updated[materialized.field];
+      balances[`${line.accountType}:${line.accountId}`] = line.balanceAfter;
+    }
+  }
+
+  const ledgerEntry = new LedgerEntry({
+    type,
+    description,
+    lines,
+    sourceId,
+    sourceModel,
+    performedBy,
+    metadata: metadata || {}
+  });
+  await ledgerEntry.save({ session });
+
+  return { entry: ledgerEntry, balances };
+};
+
+/**
+ * Get the balance an account had right after a posted entry
+ *
+ * @param {Object} result - Return value of postLedgerEntry
+ * @param {Object} account - Account reference from ledgerAccounts
+ * @returns {number|undefined} Balance after the entry
+ */
+export const getBalanceAfter = (result, account) => {
+  return result?.balances[`${account.accountType}:${account.accountId}`];
+};
+
+/**
+ * Lines of a payment from a user's wallet to a novel
+ * When the payment funds the budget, the platform issues the same amount again
+ * into the novel's unlock budget.
+ *
+ * @param {Object} payment - { userId, novelId, amount, fundsBudget }
+ * @returns {Array} Ledger lines
+ */
+export const buildUserToNovelPaymentLines = ({ userId, novelId, amount, fundsBudget = true }) => {
+  const lines = [
+    { ...ledgerAccounts.userWallet(userId), amount: -amount },
+    { ...ledgerAccounts.novelBalance(novelId), amount }
+  ];
+
+  if (fundsBudget) {
+    lines.push(
+      { ...ledgerAccounts.novelBudget(novelId), amount },
+      { ...ledgerAccounts.platform(), amount: -amount }
+    );
+  }
+
+  return lines;
+};
+
+/**
+ * Move 🌾 from a user's wallet to a novel
+ * Rentals, purchases, contributions and approved requests also fund the novel's
+ * unlock budget, which the platform issues alongside the payment.
+ *
+ * @param {Object} payment
+ * @param {string|Object} payment.userId - Paying user
+ * @param {string|Object} payment.novelId - Receiving novel
+ * @param {number} payment.amount - Amount in 🌾
+ * @param {boolean} [payment.fundsBudget] - Whether the payment also adds to novelBudget
+ * @param {Object} session - Mongoose session for transaction
+ * @returns {Promise<Object>} { entry, userBalanceAfter, novelBalanceAfter, novelBudgetAfter }
+ */
+export const postUserToNovelPayment = async ({ userId, novelId, amount, fundsBudget = true, ...entry }, session) => {
+  const lines = buildUserToNovelPaymentLines({ userId, novelId, amount, fundsBudget });
+  const result = await postLedgerEntry({ ...entry, lines }, session);
+
+  return {
+    entry: result?.entry,
+    userBalanceAfter: getBalanceAfter(result, ledgerAccounts.userWallet(userId)),
+    novelBalanceAfter: getBalanceAfter(result, ledgerAccounts.novelBalance(novelId)),
+    novelBudgetAfter: getBalanceAfter(result, ledgerAccounts.novelBudget(novelId))
+  };
+};
+
+/**
+ * Credit a user's wallet with 🌾 issued by the platform (top-ups, admin grants)
+ * A negative amount takes 🌾 back, e.g. when an admin revokes a top-up.
+ *
+ * @param {Object} credit
+ * @param {string|Object} credit.userId - User to credit
+ * @param {number} credit.amount - Amount in 🌾
+ * @param {Object} session - Mongoose session for transaction
+ * @returns {Promise<Object>} { entry, balanceAfter }
+ */
+export const postPlatformCredit = async ({ userId, amount, ...entry }, session) => {
+  const result = await postLedgerEntry({
+    ...entry,
+    lines: [
+      { ...ledgerAccounts.userWallet(userId), amount },
+      { ...ledgerAccounts.platform(), amount: -amount }
+    ]
+  }, session);
+
+  return {
+    entry: result?.entry,
+    balanceAfter: getBalanceAfter(result, ledgerAccounts.userWallet(userId))
+  };
+};
+
+/**
+ * Record balances that existed before the ledger as opening entries
+ * Only accounts without any ledger lines are backfilled, so this is safe to re-run.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count the accounts without posting entries
+ * @returns {Promise<Object>} Number of accounts backfilled per account type
+ */
+export const backfillOpeningBalances = async ({ dryRun = false } = {}) => {
+  const summary = {};
+
+  for (const [accountType, { model, field }] of Object.entries(MATERIALIZED_ACCOUNTS)) {
+    const ledgerBalances = await LedgerEntry.getAccountBalances(accountType);
+    const documents = model.find({ [field]: { $nin: [0, null] } }).select(field).lean().cursor();
+
+    summary[accountType] = 0;
+
+    for await (const document of documents) {
+      if (ledgerBalances.has(String(document._id))) {
+        continue;
+      }
+
+      if (dryRun) {
+        summary[accountType]++;
+        continue;
+      }
+
+      await postLedgerEntry({
+        type: 'opening_balance',
+        description: 'Số dư đầu kỳ khi chuyển sang sổ cái',
+        lines: [
+          { accountType, accountId: document._id, amount: document[field] },
+          { ...ledgerAccounts.platform(), amount: -document[field] }
+        ],
+        applyBalances: false
+      });
+      summary[accountType]++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Compare one stored balance with the ledger and record the outcome
+ *
+ * @returns {Promise<boolean>} Whether the account disagrees with the ledger
+ */
+const recheckAccount = async (accountType, accountId) => {
+  const { model, field } = MATERIALIZED_ACCOUNTS[accountType];
+
+  const [document, ledgerBalance] = await Promise.all([
+    model.findById(accountId).select(field).lean(),
+    LedgerEntry.getAccountBalance(accountType, accountId)
+  ]);
+
+  const discrepancy = findBalanceDiscrepancy(document?.[field], ledgerBalance);
+  if (!discrepancy) {
+    return false;
+  }
+
+  await LedgerDiscrepancy.findOneAndUpdate(
+    { accountType, accountId, status: 'open' },
+    {
+      $set: { ...discrepancy, lastCheckedAt: new Date() },
+      $setOnInsert: { detectedAt: new Date() }
+    },
+    { upsert: true }
+  );
+
+  return true;
+};
+
+/**
+ * Check that every materialized balance agrees with the ledger
+ * Mismatches are recorded as open LedgerDiscrepancy documents for admins;
+ * previously flagged accounts that agree again are marked resolved.
+ *
+ * @returns {Promise<Object>} Summary of the check
+ */
+export const checkBalanceInvariants = async () => {
+  const summary = { checked: 0, discrepancies: 0, resolved: 0 };
+  const flagged = new Set();
+
+  for (const [accountType, { model, field }] of Object.entries(MATERIALIZED_ACCOUNTS)) {
+    const ledgerBalances = await LedgerEntry.getAccountBalances(accountType);
+
+    const documents = model.find({
+      $or: [
+        { [field]: { $nin: [0, null] } },
+        { _id: { $in: [...ledgerBalances.keys()] } }
+      ]
+    }).select(field).lean().cursor();
+
+    for await (const document of documents) {
+      summary.checked++;
+
+      const discrepancy = findBalanceDiscrepancy(document[field], ledgerBalances.get(String(document._id)));
+      if (!discrepancy) {
+        continue;
+      }
+
+      // Balances move while the check runs, so confirm against fresh values before flagging
+      if (await recheckAccount(accountType, document._id)) {
+        summary.discrepancies++;
+        flagged.add(`${accountType}:${document._id}`);
+        console.error(`⚠️ [Ledger] ${accountType} ${document._id}: stored ${discrepancy.storedBalance}, ledger ${discrepancy.ledgerBalance}`);
+      }
+    }
+  }
+
+  // Close discrepancies that no longer reproduce
+  const openDiscrepancies = await LedgerDiscrepancy.find({ status: 'open' }).select('accountType accountId');
+  for (const discrepancy of openDiscrepancies) {
+    if (flagged.has(`${discrepancy.accountType}:${discrepancy.accountId}`)) {
+      continue;
+    }
+    discrepancy.status = 'resolved';
+    discrepancy.resolvedAt = new Date();
+    await discrepancy.save();
+    summary.resolved++;
+  }
+
+  return summary;
+};
@@ -0,0 +1,267 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Migration from '../models/Migration.js';
+import MigrationLock from '../models/MigrationLock.js';
+
+/**
+ * Versioned data migrations
+ *
+ * Each file in migrations/ is named <version>-<name>.js, e.g.
+ * 0002-backfill-novel-slugs.js, and runs in version order. A migration
+ * module exports:
+ *
+ *   description: string
+ *   up({ dryRun, log }) => Promise<Object>     // returns a summary, stored with the record
+ *   down({ dryRun, log }) => Promise<Object>   // optional; without it the migration cannot be rolled back
+ *
+ * With dryRun set a migration must not write; it reports what it would change.
+ * A migration that fails on any row throws, so it is not recorded and runs again.
+ * Migrations import services and utils, never routes.
+ * Applied versions are recorded in the migrations collection, and a lease in
+ * MigrationLock keeps concurrent runs from applying the same migration twice.
+ * Run them with scripts/migrate.js.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.resolve(__dirname, '../migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d{4})-([a-z0-9-]+)\.js$/;
+
+const LOCK_ID = 'migrations';
+// A run renews its lease while it works; one that stops renewing has died
+const LOCK_TTL_MS = 2 * 60 * 1000;
+const LOCK_RENEW_MS = 30 * 1000;
+
+const RUNNER_ID = `${os.hostname()}:${process.pid}`;
+
+const createMigrationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Load every migration file, ordered by version
+ *
+ * @param {string} [directory]
+ * @returns {Promise<Array<Object>>} [{ version, name, file, description, up, down }]
+ */
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const files = fs.existsSync(directory) ? fs.readdirSync(directory).sort() : [];
+  const migrations = [];
+  const seen = new Set();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name] = match;
+    if (seen.has(version)) {
+      throw createMigrationError(`Duplicate migration version ${version} (${file})`);
+    }
+    seen.add(version);
+
+    const definition = await import(pathToFileURL(path.join(directory, file)).href);
+    if (typeof definition.up !== 'function') {
+      throw createMigrationError(`Migration ${file} does not export up()`);
+    }
+
+    migrations.push({
+      version,
+      name,
+      file,
+      description: definition.description || '',
+      up: definition.up,
+      down: typeof definition.down === 'function' ? definition.down : null
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * Applied and pending migrations
+ *
+ * @returns {Promise<Array<Object>>} [{ version, name, description, status, appliedAt, reversible }]
+ *   status is 'applied', 'pending', or 'missing' for records without a file
+ */
+export const getMigrationStatus = async () => {
+  const [migrations, records] = await Promise.all([
+    loadMigrations(),
+    Migration.find({}).sort({ version: 1 }).lean()
+  ]);
+  const applied = new Map(records.map(record => [record.version, record]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    description: migration.description,
+    status: applied.has(migration.version) ? 'applied' : 'pending',
+    appliedAt: applied.get(migration.version)?.appliedAt || null,
+    reversible: Boolean(migration.down)
+  }));
+
+  for (const record of records) {
+    if (!migrations.some(migration => migration.version === record.version)) {
+      status.push({
+        version: record.version,
+        name: record.name,
+        description: '',
+        status: 'missing',
+        appliedAt: record.appliedAt,
+        reversible: false
+      });
+    }
+  }
+
+  return status.sort((a, b) => a.version.localeCompare(b.version));
+};
+
+/**
+ * Take the migration lease, or throw if another run holds it
+ *
+ * @returns {Promise<Function>} release()
+ */
+const acquireLock = async () => {
+  const now = new Date();
+  try {
+    await MigrationLock.findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lt: now } },
+      { $set: { owner: RUNNER_ID, lockedAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const holder = await MigrationLock.findById(LOCK_ID).lean();
+    throw createMigrationError(
+      `Migrations are already running (${holder?.owner || 'unknown'} since ${holder?.lockedAt?.toISOString() || '?'})`,
+      409
+    );
+  }
+
+  const renewal = setInterval(() => {
+    MigrationLock.updateOne(
+      { _id: LOCK_ID, owner: RUNNER_ID },
+      { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+    ).catch(error => console.error('Failed to renew migration lock:', error.message));
+  }, LOCK_RENEW_MS);
+  renewal.unref();
+
+  return async () => {
+    clearInterval(renewal);
+    await MigrationLock.deleteOne({ _id: LOCK_ID, owner: RUNNER_ID });
+  };
+};
+
+/**
+ * Run a batch of migrations under the lease; dry runs write nothing, so they skip it
+ */
+const withLock = async (dryRun, run) => {
+  if (dryRun) {
+    return run();
+  }
+  const release = await acquireLock();
+  try {
+    return await run();
+  } finally {
+    await release().catch(error => console.error('Failed to release migration lock:', error.message));
+  }
+};
+
+const prefixedLog = (migration) => (...args) => console.log(`[${migration.version}-${migration.name}]`, ...args);
+
+/**
+ * Apply pending migrations in version order
+ * Stops at the first failure; migrations applied before it stay applied.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.to] - Last version to apply (default: all)
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Array<Object>>} [{ version, name, result, durationMs }]
+ */
+export const migrateUp = async ({ to = null, dryRun = false } = {}) => {
+  return withLock(dryRun, async () => {
+    const migrations = await loadMigrations();
+    // Read after taking the lease, so a run that just finished is seen
+    const applied = new Set(await Migration.distinct('version'));
+    const pending = migrations.filter(migration => {
+      return !applied.has(migration.version) && (!to || migration.version <= to);
+    });
+
+    const results = [];
+    for (const migration of pending) {
+      const log = prefixedLog(migration);
+      log(dryRun ? 'dry run' : 'applying', migration.description ? `- ${migration.description}` : '');
+
+      const startedAt = Date.now();
+      const result = await migration.up({ dryRun, log });
+      const durationMs = Date.now() - startedAt;
+
+      if (!dryRun) {
+        await Migration.create({
+          version: migration.version,
+          name: migration.name,
+          durationMs,
+          result,
+          appliedBy: RUNNER_ID
+        });
+      }
+
+      log(dryRun ? 'would apply' : 'applied', `in ${durationMs}ms`, result ?? '');
+      results.push({ version: migration.version, name: migration.name, result, durationMs });
+    }
+
+    return results;
+  });
+};
+
+/**
+ * Roll back applied migrations, newest first
+ *
+ * @param {Object} [options]
+ * @param {number} [options.steps] - How many to roll back (default 1)
+ * @param {string} [options.to] - Roll back every migration after this version instead
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Array<Object>>} [{ version, name, result, durationMs }]
+ */
+export const migrateDown = async ({ steps = 1, to = null, dryRun = false } = {}) => {
+  return withLock(dryRun, async () => {
+    const migrations = await loadMigrations();
+    const records = await Migration.find({}).sort({ version: -1 }).lean();
+
+    const targets = to ? records.filter(record => record.version > to) : records.slice(0, steps);
+
+    // Check the whole batch first so it does not stop halfway at an irreversible one
+    const plan = targets.map(record => {
+      const migration = migrations.find(candidate => candidate.version === record.version);
+      if (!migration) {
+        throw createMigrationError(`Migration ${record.version}-${record.name} is applied but its file is missing`);
+      }
+      if (!migration.down) {
+        throw createMigrationError(`Migration ${record.version}-${record.name} cannot be rolled back`);
+      }
+      return migration;
+    });
+
+    const results = [];
+    for (const migration of plan) {
+      const log = prefixedLog(migration);
+      log(dryRun ? 'dry run of rollback' : 'rolling back');
+
+      const startedAt = Date.now();
+      const result = await migration.down({ dryRun, log });
+      const durationMs = Date.now() - startedAt;
+
+      if (!dryRun) {
+        await Migration.deleteOne({ version: migration.version });
+      }
+
+      log(dryRun ? 'would roll back' : 'rolled back', `in ${durationMs}ms`, result ?? '');
+      results.push({ version: migration.version, name: migration.name, result, durationMs });
+    }
+
+    return results;
+  });
+};
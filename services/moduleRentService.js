@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import Module from '../models/Module.js';
+import Chapter from '../models/Chapter.js';
+import ModuleRental from '../models/ModuleRental.js';
+
+/**
+ * Module rent balances and rentals
+ *
+ * A rent module's rentBalance is a tenth of the chapterBalance of its paid
+ * chapters. Rent modules whose paid content falls to 200 🌾, or to their
+ * current rentBalance, switch to published. Expired rentals are deactivated
+ * by a background job.
+ */
+
+export const RENTAL_CLEANUP_JOB = 'rentals.cleanup-expired';
+
+// Expired rentals are deactivated this often; reads already ignore them by end time
+export const RENTAL_CLEANUP_INTERVAL_MINUTES = 10;
+
+// Rent modules at or below this much paid chapter balance switch to published
+const RENT_SWITCH_THRESHOLD = 200;
+
+/**
+ * Sum the chapterBalance of a module's paid chapters
+ * @param {string} moduleIdString - The module ID
+ * @param {object} session - MongoDB session (optional)
+ * @returns {Promise<{ totalChapterBalance: number, chapterCount: number }>}
+ */
+const sumPaidChapterBalance = async (moduleIdString, session = null) => {
+  const moduleObjectId = mongoose.Types.ObjectId.createFromHexString(moduleIdString);
+
+  // Get all paid chapters in this module using aggregation for better performance
+  const paidChaptersResult = await Chapter.aggregate([
+    {
+      $match: {
+        moduleId: moduleObjectId,
+        mode: 'paid',
+        chapterBalance: { $gt: 0 }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalBalance: { $sum: '$chapterBalance' },
+        chapterCount: { $sum: 1 }
+      }
+    }
+  ]).session(session);
+
+  return {
+    totalChapterBalance: paidChaptersResult[0]?.totalBalance || 0,
+    chapterCount: paidChaptersResult[0]?.chapterCount || 0
+  };
+};
+
+const shouldSwitchToPublished = (module, totalChapterBalance) => {
+  return totalChapterBalance <= RENT_SWITCH_THRESHOLD || totalChapterBalance <= module.rentBalance;
+};
+
+const describeSwitchReason = (module, totalChapterBalance) => {
+  return totalChapterBalance <= RENT_SWITCH_THRESHOLD
+    ? `total paid chapter balance: ${totalChapterBalance} ≤ ${RENT_SWITCH_THRESHOLD} 🌾`
+    : `total paid chapter balance: ${totalChapterBalance} ≤ current rentBalance: ${module.rentBalance} 🌾`;
+};
+
+/**
+ * Work out what calculateAndUpdateModuleRentBalance would write, without writing
+ * @param {string} moduleId - The module ID
+ * @param {object} session - MongoDB session (optional)
+ * @returns {Promise<Object|null>} { rentBalance, previousRentBalance, mode, previousMode, totalChapterBalance, chapterCount }, null when the module does not exist
+ */
+export const computeModuleRentBalance = async (moduleId, session = null) => {
+  if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
+    throw new Error(`Invalid module ID: ${moduleId}`);
+  }
+
+  const moduleIdString = String(moduleId);
+  const module = await Module.findById(moduleIdString).select('mode rentBalance').session(session).lean();
+  if (!module) {
+    return null;
+  }
+
+  const { totalChapterBalance, chapterCount } = await sumPaidChapterBalance(moduleIdString, session);
+  const switchToPublished = module.mode === 'rent' && shouldSwitchToPublished(module, totalChapterBalance);
+
+  return {
+    // rentBalance = totalChapterBalance / 10 (rounded down)
+    rentBalance: Math.max(0, Math.floor(totalChapterBalance / 10)),
+    previousRentBalance: module.rentBalance || 0,
+    mode: switchToPublished ? 'published' : module.mode,
+    previousMode: module.mode,
+    totalChapterBalance,
+    chapterCount
+  };
+};
+
+/**
+ * Calculate and update rentBalance for a module
+ * rentBalance = (sum of all chapterBalance of paid chapters within that module) / 10
+ * Auto-switches rent modules to published when total paid chapter balance ≤ 200
+ *
+ * IMPORTANT: This function should ONLY be used when:
+ * - Initially setting a module to 'rent' mode
+ * - Adding paid chapters to a module
+ * - Removing paid chapters from a module
+ * - Moving paid chapters between modules
+ * - Recalculating every module (migrations/0004-recalculate-module-rent-balances.js)
+ *
+ * DO NOT use this function when chapters are unlocked (changed from 'paid' to 'published').
+ * For that case, use checkAndSwitchRentModuleToPublished() instead.
+ *
+ * @param {string} moduleId - The module ID
+ * @param {object} session - MongoDB session (optional)
+ * @returns {Promise<number>} The calculated rentBalance
+ */
+export const calculateAndUpdateModuleRentBalance = async (moduleId, session = null) => {
+  try {
+    const calculated = await computeModuleRentBalance(moduleId, session);
+    const moduleIdString = String(moduleId);
+    if (!calculated) {
+      console.warn(`Module ${moduleIdString} not found, skipping rentBalance calculation`);
+      return 0;
+    }
+
+    // Prepare update data
+    const updateData = {
+      rentBalance: calculated.rentBalance,
+      updatedAt: new Date()
+    };
+    if (calculated.mode !== calculated.previousMode) {
+      updateData.mode = calculated.mode;
+    }
+
+    // Update the module's rentBalance and potentially mode
+    const updatedModule = await Module.findByIdAndUpdate(
+      moduleIdString,
+      updateData,
+      { new: true, session }
+    );
+
+    if (!updatedModule) {
+      throw new Error(`Failed to update module ${moduleIdString}`);
+    }
+
+    console.log(`Updated module ${moduleIdString} rentBalance: ${calculated.rentBalance} 🌾 (from ${calculated.chapterCount} paid chapters totaling ${calculated.totalChapterBalance} 🌾)${updateData.mode ? ` - Mode changed to: ${updateData.mode}` : ''}`);
+
+    return calculated.rentBalance;
+  } catch (error) {
+    console.error(`Error calculating module rentBalance for ${moduleId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Check if a rent module should be auto-switched to published mode
+ * This function checks if total paid chapter balance ≤ 200 OR ≤ current rentBalance and switches the module
+ * WITHOUT recalculating the rentBalance (rentBalance should remain unchanged when chapters are unlocked)
+ * @param {string} moduleId - The module ID
+ * @param {object} session - MongoDB session (optional)
+ * @returns {Promise<Object|boolean>} { switched, module }, or false for modules not in rent mode
+ */
+export const checkAndSwitchRentModuleToPublished = async (moduleId, session = null) => {
+  try {
+    // Validate moduleId
+    if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
+      throw new Error(`Invalid module ID: ${moduleId}`);
+    }
+
+    // Convert moduleId to string if it's an ObjectId
+    const moduleIdString = String(moduleId);
+
+    // Get module info first to check current mode
+    const module = await Module.findById(moduleIdString).session(session);
+    if (!module || module.mode !== 'rent') {
+      // Only process rent modules
+      return false;
+    }
+
+    const { totalChapterBalance } = await sumPaidChapterBalance(moduleIdString, session);
+
+    // Auto-switch from rent to published if total paid chapter balance ≤ 200 OR ≤ current rentBalance
+    if (shouldSwitchToPublished(module, totalChapterBalance)) {
+      const updatedModule = await Module.findByIdAndUpdate(
+        moduleIdString,
+        {
+          mode: 'published',
+          updatedAt: new Date()
+        },
+        { session, new: true }
+      );
+
+      console.log(`Auto-switched module ${moduleIdString} from rent to published mode (${describeSwitchReason(module, totalChapterBalance)})`);
+
+      // Send real-time notification to clients about the mode change
+      // Note: This is called within a transaction, so we'll send the notification after the transaction commits
+      // For now, we'll return the module info so the caller can send the notification
+      return { switched: true, module: updatedModule };
+    }
+
+    return { switched: false };
+  } catch (error) {
+    console.error(`Error checking rent module ${moduleId} for auto-switching:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Conditionally recalculate rent balance for a module based on its recalculateRentOnUnlock setting
+ * This function should be called when chapters are unlocked via contribution
+ * @param {string} moduleId - The module ID
+ * @param {object} session - MongoDB session (optional)
+ * @returns {Promise<number>} The calculated rentBalance (0 if not recalculated)
+ */
+export const conditionallyRecalculateRentBalance = async (moduleId, session = null) => {
+  try {
+    // Validate moduleId
+    if (!moduleId || !mongoose.Types.ObjectId.isValid(moduleId)) {
+      throw new Error(`Invalid module ID: ${moduleId}`);
+    }
+
+    // Convert moduleId to string if it's an ObjectId
+    const moduleIdString = String(moduleId);
+
+    // Get module info first to check settings
+    const module = await Module.findById(moduleIdString).session(session);
+    if (!module) {
+      console.warn(`Module ${moduleIdString} not found, skipping rent balance recalculation`);
+      return 0;
+    }
+
+    // Only recalculate if module is in rent mode and has the recalculateRentOnUnlock flag enabled
+    if (module.mode === 'rent' && module.recalculateRentOnUnlock) {
+      console.log(`Recalculating rent balance for module ${moduleIdString} due to chapter unlock (recalculateRentOnUnlock enabled)`);
+      return await calculateAndUpdateModuleRentBalance(moduleIdString, session);
+    }
+
+    // If not in rent mode or flag is disabled, still check for auto-switching to published
+    if (module.mode === 'rent') {
+      const switchResult = await checkAndSwitchRentModuleToPublished(moduleIdString, session);
+      if (switchResult.switched) {
+        console.log(`Module ${moduleIdString} switched to published mode due to chapter unlock`);
+      }
+    }
+
+    return 0;
+  } catch (error) {
+    console.error(`Error conditionally recalculating rent balance for module ${moduleId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Handler of the RENTAL_CLEANUP_JOB job: deactivate rentals past their end time
+ * @returns {Promise<Object>} { modifiedCount }
+ */
+export const cleanupExpiredRentals = async () => {
+  const result = await ModuleRental.cleanupExpiredRentals();
+  if (result.modifiedCount > 0) {
+    console.log(`Cleaned up ${result.modifiedCount} expired rentals`);
+  }
+  return { modifiedCount: result.modifiedCount };
+};
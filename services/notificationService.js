@@ -6,6 +6,11 @@ import Chapter from '../models/Chapter.js';
 import Comment from '../models/Comment.js';
 import UserNovelInteraction from '../models/UserNovelInteraction.js';
 import { broadcastEvent, broadcastEventToUser } from './sseService.js';
+import { enqueueJob } from './jobQueue.js';
+
+// Job types of the follower fan-outs, registered in scheduler.js
+export const NEW_CHAPTER_NOTIFICATIONS_JOB = 'notifications.new-chapter';
+export const FOLLOW_COMMENT_NOTIFICATIONS_JOB = 'notifications.follow-comment';
 
 /**
  * Create a notification for report feedback
@@ -178,56 +183,86 @@ export const createCommentReplyNotification = async (originalCommenterId, replyC
 };
 
 /**
- * Create notifications for new chapter (for bookmarked novels)
+ * Queue notifications for a new chapter (for bookmarked novels)
+ * Readers are notified by the job worker; this only records the job, so it
+ * is cheap to await from a request handler.
  * @param {string} novelId - ID of the novel
  * @param {string} chapterId - ID of the new chapter
  * @param {string} chapterTitle - Title of the new chapter
  */
 export const createNewChapterNotifications = async (novelId, chapterId, chapterTitle) => {
   try {
-    const novel = await Novel.findById(novelId);
-    if (!novel) return;
-
-    // Find all users who have bookmarked this novel using UserNovelInteraction
-    const bookmarkedInteractions = await UserNovelInteraction.find({
-      novelId: novelId,
-      bookmarked: true
-    }).select('userId');
+    await enqueueJob(NEW_CHAPTER_NOTIFICATIONS_JOB, {
+      novelId: novelId.toString(),
+      chapterId: chapterId.toString(),
+      chapterTitle
+    });
+  } catch (error) {
+    console.error('Error queueing new chapter notifications:', error);
+  }
+};
 
-    const bookmarkedUsers = bookmarkedInteractions.map(interaction => ({ _id: interaction.userId }));
+/**
+ * Skip users who already got a fan-out notification in an earlier attempt of the same job
+ */
+const withoutAlreadyNotified = async (notifications, query, job) => {
+  if (!job || job.attempts <= 1) return notifications;
+  const notified = new Set((await Notification.distinct('userId', query)).map(id => id.toString()));
+  return notifications.filter(notification => !notified.has(notification.userId.toString()));
+};
 
-    if (bookmarkedUsers.length === 0) return;
+/**
+ * Notify every reader who bookmarked the novel of a new chapter
+ * Handler of the NEW_CHAPTER_NOTIFICATIONS_JOB job; throws so the job is retried.
+ * @param {Object} payload - { novelId, chapterId, chapterTitle }
+ * @param {Object} [job] - The running job
+ * @returns {Promise<Object>} { notified }
+ */
+export const deliverNewChapterNotifications = async ({ novelId, chapterId, chapterTitle }, job = null) => {
+  const novel = await Novel.findById(novelId);
+  if (!novel) return { notified: 0 };
+
+  // Find all users who have bookmarked this novel using UserNovelInteraction
+  const bookmarkedInteractions = await UserNovelInteraction.find({
+    novelId: novelId,
+    bookmarked: true
+  }).select('userId');
+
+  const bookmarkedUsers = bookmarkedInteractions.map(interaction => ({ _id: interaction.userId }));
+
+  if (bookmarkedUsers.length === 0) return { notified: 0 };
+
+  const message = `<b>${novel.title}</b> đã cập nhật <b>${chapterTitle}</b>`;
+
+  // Create notifications for all bookmarked users
+  const notifications = await withoutAlreadyNotified(bookmarkedUsers.map(user => ({
+    userId: user._id,
+    type: 'new_chapter',
+    title: 'Chương mới',
+    message,
+    relatedNovel: novelId,
+    relatedChapter: chapterId,
+    data: {
+      novelId,
+      novelTitle: novel.title,
+      chapterId,
+      chapterTitle
+    }
+  })), { type: 'new_chapter', relatedChapter: chapterId }, job);
 
-    const message = `<b>${novel.title}</b> đã cập nhật <b>${chapterTitle}</b>`;
+  if (notifications.length === 0) return { notified: 0 };
 
-    // Create notifications for all bookmarked users
-    const notifications = bookmarkedUsers.map(user => ({
-      userId: user._id,
-      type: 'new_chapter',
-      title: 'Chương mới',
-      message,
-      relatedNovel: novelId,
-      relatedChapter: chapterId,
-      data: {
-        novelId,
-        novelTitle: novel.title,
-        chapterId,
-        chapterTitle
-      }
-    }));
+  const savedNotifications = await Notification.insertMany(notifications);
+  
+  // Broadcast new notification events to each specific user
+  savedNotifications.forEach(notification => {
+    broadcastEventToUser('new_notification', {
+      userId: notification.userId,
+      notification: notification.toObject()
+    }, notification.userId);
+  });
 
-    const savedNotifications = await Notification.insertMany(notifications);
-    
-    // Broadcast new notification events to each specific user
-    savedNotifications.forEach(notification => {
-      broadcastEventToUser('new_notification', {
-        userId: notification.userId,
-        notification: notification.toObject()
-      }, notification.userId);
-    });
-  } catch (error) {
-    console.error('Error creating new chapter notifications:', error);
-  }
+  return { notified: savedNotifications.length };
 };
 
 /**
@@ -275,7 +310,8 @@ export const markAllNotificationsAsRead = async (userId) => {
 };
 
 /**
- * Create notifications for new comments on followed novels
+ * Queue notifications for a new comment on a followed novel
+ * Followers are notified by the job worker.
  * @param {string} novelId - ID of the novel
  * @param {string} commentId - ID of the new comment
  * @param {string} commenterId - ID of the user who made the comment
@@ -283,76 +319,93 @@ export const markAllNotificationsAsRead = async (userId) => {
  */
 export const createFollowCommentNotifications = async (novelId, commentId, commenterId, chapterId = null) => {
   try {
-    const novel = await Novel.findById(novelId);
-    if (!novel) return;
-
-    // Find all users who are following this novel using UserNovelInteraction
-    const followedInteractions = await UserNovelInteraction.find({
-      novelId: novelId,
-      followed: true
-    }).select('userId');
-
-    const followedUsers = followedInteractions.map(interaction => ({ _id: interaction.userId }));
-
-    if (followedUsers.length === 0) return;
-
-    // Get commenter info
-    const commenter = await User.findById(commenterId).select('displayName username');
-    if (!commenter) return;
-
-    const commenterDisplayName = commenter.displayName || commenter.username;
-
-    let message;
-    let linkData = { 
-      novelId, 
-      novelTitle: novel.title,
-      commentId 
-    };
+    await enqueueJob(FOLLOW_COMMENT_NOTIFICATIONS_JOB, {
+      novelId: novelId.toString(),
+      commentId: commentId.toString(),
+      commenterId: commenterId.toString(),
+      chapterId: chapterId ? chapterId.toString() : null
+    });
+  } catch (error) {
+    console.error('Error queueing follow comment notifications:', error);
+  }
+};
 
-    if (chapterId) {
-      const chapter = await Chapter.findById(chapterId);
-      if (chapter) {
-        message = `<i>${commenterDisplayName}</i> đã bình luận tại <b>${chapter.title}</b> trong truyện <b>${novel.title}</b>`;
-        linkData.chapterId = chapterId;
-        linkData.chapterTitle = chapter.title;
-      } else {
-        message = `<i>${commenterDisplayName}</i> đã bình luận trong truyện <b>${novel.title}</b>`;
-      }
+/**
+ * Notify every follower of the novel of a new comment
+ * Handler of the FOLLOW_COMMENT_NOTIFICATIONS_JOB job; throws so the job is retried.
+ * @param {Object} payload - { novelId, commentId, commenterId, chapterId }
+ * @param {Object} [job] - The running job
+ * @returns {Promise<Object>} { notified }
+ */
+export const deliverFollowCommentNotifications = async ({ novelId, commentId, commenterId, chapterId = null }, job = null) => {
+  const novel = await Novel.findById(novelId);
+  if (!novel) return { notified: 0 };
+
+  // Find all users who are following this novel using UserNovelInteraction
+  const followedInteractions = await UserNovelInteraction.find({
+    novelId: novelId,
+    followed: true
+  }).select('userId');
+
+  const followedUsers = followedInteractions.map(interaction => ({ _id: interaction.userId }));
+
+  if (followedUsers.length === 0) return { notified: 0 };
+
+  // Get commenter info
+  const commenter = await User.findById(commenterId).select('displayName username');
+  if (!commenter) return { notified: 0 };
+
+  const commenterDisplayName = commenter.displayName || commenter.username;
+
+  let message;
+  let linkData = { 
+    novelId, 
+    novelTitle: novel.title,
+    commentId 
+  };
+
+  if (chapterId) {
+    const chapter = await Chapter.findById(chapterId);
+    if (chapter) {
+      message = `<i>${commenterDisplayName}</i> đã bình luận tại <b>${chapter.title}</b> trong truyện <b>${novel.title}</b>`;
+      linkData.chapterId = chapterId;
+      linkData.chapterTitle = chapter.title;
     } else {
       message = `<i>${commenterDisplayName}</i> đã bình luận trong truyện <b>${novel.title}</b>`;
     }
+  } else {
+    message = `<i>${commenterDisplayName}</i> đã bình luận trong truyện <b>${novel.title}</b>`;
+  }
+
+  // Create notifications for all following users (excluding the commenter)
+  const notifications = await withoutAlreadyNotified(followedUsers
+    .filter(user => user._id.toString() !== commenterId) // Don't notify the commenter
+    .map(user => ({
+      userId: user._id,
+      type: 'follow_comment',
+      title: 'Bình luận mới',
+      message,
+      relatedUser: commenterId,
+      relatedNovel: novelId,
+      relatedChapter: chapterId,
+      relatedComment: commentId,
+      data: linkData
+    })), { type: 'follow_comment', relatedComment: commentId }, job);
 
-    // Create notifications for all following users (excluding the commenter)
-    const notifications = followedUsers
-      .filter(user => user._id.toString() !== commenterId) // Don't notify the commenter
-      .map(user => ({
-        userId: user._id,
-        type: 'follow_comment',
-        title: 'Bình luận mới',
-        message,
-        relatedUser: commenterId,
-        relatedNovel: novelId,
-        relatedChapter: chapterId,
-        relatedComment: commentId,
-        data: linkData
-      }));
-
-    if (notifications.length === 0) return;
+  if (notifications.length === 0) return { notified: 0 };
 
-    const savedNotifications = await Notification.insertMany(notifications);
-    
-    // Broadcast new notification events to each specific user
-    savedNotifications.forEach(notification => {
-      broadcastEventToUser('new_notification', {
-        userId: notification.userId,
-        notification: notification.toObject()
-      }, notification.userId);
-    });
+  const savedNotifications = await Notification.insertMany(notifications);
+  
+  // Broadcast new notification events to each specific user
+  savedNotifications.forEach(notification => {
+    broadcastEventToUser('new_notification', {
+      userId: notification.userId,
+      notification: notification.toObject()
+    }, notification.userId);
+  });
 
-    console.log(`Follow comment notifications created for ${savedNotifications.length} users`);
-  } catch (error) {
-    console.error('Error creating follow comment notifications:', error);
-  }
+  console.log(`Follow comment notifications created for ${savedNotifications.length} users`);
+  return { notified: savedNotifications.length };
 };
 
 /**
@@ -876,6 +929,117 @@ export const createLikedBlogPostNotification = async (blogAuthorId, blogPostId,
   }
 };
 
+/**
+ * Create notification for the outcome of a refund request or chargeback
+ * @param {Object} refund - Settled RefundRequest
+ */
+export const createRefundOutcomeNotification = async (refund) => {
+  try {
+    const targetLabels = {
+      topup: 'nạp tiền',
+      rental: 'mở tạm thời tập',
+      gift: 'tặng quà'
+    };
+    const targetLabel = targetLabels[refund.targetType] || 'giao dịch';
+
+    let title;
+    let message;
+    if (refund.kind === 'chargeback') {
+      title = 'Giao dịch nạp tiền bị hoàn trả';
+      message = `Giao dịch nạp tiền của bạn đã bị cổng thanh toán hoàn trả, <b>${refund.approvedAmount} 🌾</b> đã được thu hồi`;
+    } else if (refund.status === 'approved') {
+      const partial = refund.approvedAmount < refund.requestedAmount;
+      title = partial ? 'Yêu cầu hoàn tiền được chấp nhận một phần' : 'Yêu cầu hoàn tiền được chấp nhận';
+      message = refund.targetType === 'topup'
+        ? `Yêu cầu hoàn giao dịch ${targetLabel} đã được chấp nhận: <b>${refund.approvedAmount} 🌾</b> (${refund.moneyAmount || 0} VND)`
+        : `Yêu cầu hoàn giao dịch ${targetLabel} đã được chấp nhận: <b>${refund.approvedAmount} 🌾</b> đã được hoàn vào tài khoản`;
+    } else {
+      title = 'Yêu cầu hoàn tiền bị từ chối';
+      message = `Yêu cầu hoàn giao dịch ${targetLabel} của bạn đã bị từ chối`;
+    }
+
+    if (refund.adminNote && refund.adminNote.trim()) {
+      message += `<br><b>Ghi chú:</b> ${refund.adminNote.trim()}`;
+    }
+
+    const notification = new Notification({
+      userId: refund.user,
+      type: 'refund_processed',
+      title,
+      message,
+      relatedNovel: refund.novel || undefined,
+      data: {
+        refundId: refund._id,
+        kind: refund.kind,
+        targetType: refund.targetType,
+        status: refund.status,
+        requestedAmount: refund.requestedAmount,
+        approvedAmount: refund.approvedAmount || 0
+      }
+    });
+
+    await notification.save();
+
+    broadcastEventToUser('new_notification', {
+      userId: refund.user,
+      notification: notification.toObject()
+    }, refund.user);
+  } catch (error) {
+    console.error('Error creating refund outcome notification:', error);
+  }
+};
+
+/**
+ * Create notifications for staff whose workflow step a chapter has reached
+ * @param {Array<string>} userIds - IDs of the staff to notify
+ * @param {Object} params
+ * @param {Object} params.novel - Novel with _id and title
+ * @param {Object} params.chapter - Chapter with _id and title
+ * @param {string} params.stage - Stage the chapter moved to
+ * @param {Object} params.actor - User who completed the previous step
+ */
+export const createWorkflowStepNotifications = async (userIds, { novel, chapter, stage, actor }) => {
+  try {
+    if (!userIds.length) return;
+
+    const stageMessages = {
+      editing: 'đã dịch xong, đang chờ biên tập',
+      proofreading: 'đã biên tập xong, đang chờ hiệu đính',
+      ready: 'đã hoàn tất, sẵn sàng để đăng'
+    };
+    const message = `<b>${chapter.title}</b> của <b>${novel.title}</b> ${stageMessages[stage] || `đã chuyển sang bước ${stage}`}`;
+
+    const notifications = userIds.map(userId => ({
+      userId,
+      type: 'workflow_step',
+      title: 'Chương chờ xử lí',
+      message,
+      relatedNovel: novel._id,
+      relatedChapter: chapter._id,
+      relatedUser: actor._id,
+      data: {
+        novelId: novel._id,
+        novelTitle: novel.title,
+        chapterId: chapter._id,
+        chapterTitle: chapter.title,
+        stage,
+        actorName: actor.displayName || actor.username
+      }
+    }));
+
+    const savedNotifications = await Notification.insertMany(notifications);
+
+    savedNotifications.forEach(notification => {
+      broadcastEventToUser('new_notification', {
+        userId: notification.userId,
+        notification: notification.toObject()
+      }, notification.userId);
+    });
+  } catch (error) {
+    console.error('Error creating workflow step notifications:', error);
+  }
+};
+
 /**
  * Get unread notification count for a user
  * @param {string} userId - ID of the user
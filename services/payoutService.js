@@ -0,0 +1,414 @@
+import mongoose from 'mongoose';
+import Novel from '../models/Novel.js';
+import User from '../models/User.js';
+import PayoutRequest from '../models/PayoutRequest.js';
+import paymentConfig from '../config/paymentConfig.js';
+import { createNovelTransaction } from '../routes/novelTransactions.js';
+import { postLedgerEntry, ledgerAccounts, getBalanceAfter } from './ledgerService.js';
+import { isNovelStaff, isUserInStaffList } from './chapterAccessService.js';
+
+/**
+ * Translator payouts
+ *
+ * A payout takes 🌾 out of Novel.novelBalance and splits it between the users
+ * listed in Novel.active. Each role gets a percentage (Novel.revenueSplit or the
+ * platform default), shared equally between the users holding that role; roles
+ * without any registered user give their share to the other roles.
+ */
+
+export const STAFF_ROLES = ['translator', 'editor', 'proofreader', 'pj_user'];
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const createPayoutError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Check whether a user may request payouts for a novel: any of its active staff,
+ * project owner included
+ *
+ * @param {Object} user - User object
+ * @param {Object} novel - Novel with `active`
+ * @returns {boolean}
+ */
+export const isPayoutStaff = (user, novel) => {
+  return isNovelStaff(user, novel) || isUserInStaffList(novel?.active?.pj_user, user);
+};
+
+/**
+ * Resolve the registered users of each staff role
+ * Staff entries are Mixed (ObjectIds, id strings, usernames, display names,
+ * userNumbers or populated users); entries that name no user cannot be paid
+ * and are left out.
+ *
+ * @param {Object} novel - Novel with `active`
+ * @param {Object} [session] - Read inside this transaction
+ * @returns {Promise<Object>} role -> array of user ID strings
+ */
+export const resolveNovelStaffUserIds = async (novel, session = null) => {
+  const isIdString = (entry) => typeof entry === 'string' && OBJECT_ID_PATTERN.test(entry);
+  const isName = (entry) => (typeof entry === 'string' && !isIdString(entry)) || typeof entry === 'number';
+
+  const names = [...new Set(STAFF_ROLES
+    .flatMap(role => novel.active?.[role] || [])
+    .filter(isName)
+    .map(String))];
+
+  const users = names.length === 0 ? [] : await User.find({
+    $or: [
+      { username: { $in: names } },
+      { displayName: { $in: names } },
+      { userNumber: { $in: names.filter(name => /^\d+$/.test(name)).map(Number) } }
+    ]
+  }).select('_id username displayName userNumber').session(session).lean();
+
+  const toUserId = (entry) => {
+    if (isName(entry)) {
+      return users.find(user => isUserInStaffList(String(entry), user))?._id.toString() || null;
+    }
+    // ObjectId, id string or populated user
+    return entry?._id?.toString() || (isIdString(entry) || entry instanceof mongoose.Types.ObjectId ? entry.toString() : null);
+  };
+
+  const staff = {};
+  for (const role of STAFF_ROLES) {
+    staff[role] = [...new Set((novel.active?.[role] || []).map(toUserId).filter(Boolean))];
+  }
+  return staff;
+};
+
+/**
+ * Get the role percentages configured for a novel
+ *
+ * @param {Object} novel - Novel document
+ * @returns {Object} role -> percent, summing to 100
+ */
+export const getRevenueSplit = (novel) => {
+  const configured = novel.revenueSplit;
+  const hasConfigured = configured && STAFF_ROLES.some(role => configured[role] > 0);
+  const source = hasConfigured ? configured : paymentConfig.payouts.defaultSplit;
+
+  return Object.fromEntries(STAFF_ROLES.map(role => [role, Number(source[role]) || 0]));
+};
+
+/**
+ * Validate a revenue split submitted by an admin or project owner
+ *
+ * @param {Object} split - role -> percent
+ * @returns {Object} Normalized split
+ */
+export const validateRevenueSplit = (split = {}) => {
+  const normalized = {};
+  for (const role of STAFF_ROLES) {
+    const percent = Number(split[role] ?? 0);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+      throw createPayoutError(`Tỉ lệ chia cho ${role} không hợp lệ`);
+    }
+    normalized[role] = percent;
+  }
+
+  const total = STAFF_ROLES.reduce((sum, role) => sum + normalized[role], 0);
+  if (Math.abs(total - 100) > 0.001) {
+    throw createPayoutError(`Tổng tỉ lệ chia phải bằng 100% (hiện tại ${total}%)`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Split an amount of 🌾 between a novel's staff
+ * Rounding leftovers go to the recipients with the largest shares, so the
+ * allocations always add up to the amount.
+ *
+ * @param {Object} novel - Novel with `revenueSplit`
+ * @param {Object} staff - role -> user ID strings, from resolveNovelStaffUserIds
+ * @param {number} amount - 🌾 to split
+ * @returns {Array} [{ user, roles, percent, amount }]
+ */
+export const computeAllocations = (novel, staff, amount) => {
+  const split = getRevenueSplit(novel);
+
+  // Redistribute the share of roles nobody registered holds
+  const fundedRoles = STAFF_ROLES.filter(role => staff[role].length > 0 && split[role] > 0);
+  const fundedTotal = fundedRoles.reduce((sum, role) => sum + split[role], 0);
+  if (fundedTotal === 0) {
+    throw createPayoutError('Truyện chưa có thành viên nhóm dịch nào có tài khoản để nhận tiền');
+  }
+
+  const recipients = new Map();
+  for (const role of fundedRoles) {
+    const rolePercent = split[role] / fundedTotal * 100;
+    for (const userId of staff[role]) {
+      const recipient = recipients.get(userId) || { user: userId, roles: [], percent: 0 };
+      recipient.roles.push(role);
+      recipient.percent += rolePercent / staff[role].length;
+      recipients.set(userId, recipient);
+    }
+  }
+
+  const allocations = [...recipients.values()]
+    .map(recipient => ({
+      ...recipient,
+      percent: Math.round(recipient.percent * 100) / 100,
+      exact: amount * recipient.percent / 100
+    }))
+    .sort((a, b) => b.exact - a.exact);
+
+  allocations.forEach(allocation => {
+    allocation.amount = Math.floor(allocation.exact);
+  });
+  let leftover = amount - allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+  for (let i = 0; leftover > 0; i = (i + 1) % allocations.length, leftover--) {
+    allocations[i].amount++;
+  }
+
+  return allocations.map(({ exact, ...allocation }) => allocation);
+};
+
+/**
+ * Create a payout request for a novel
+ *
+ * @param {Object} params
+ * @param {string} params.novelId - Novel to pay out from
+ * @param {number} [params.amount] - 🌾 to pay out, defaults to the available balance
+ * @param {string} [params.note] - Note for the admin
+ * @param {Object} requester - Staff member or admin creating the request
+ * @returns {Promise<Object>} Created PayoutRequest
+ */
+export const createPayoutRequest = async ({ novelId, amount, note }, requester) => {
+  if (!mongoose.Types.ObjectId.isValid(novelId)) {
+    throw createPayoutError('ID truyện không hợp lệ');
+  }
+
+  const novel = await Novel.findById(novelId).select('title active novelBalance revenueSplit');
+  if (!novel) {
+    throw createPayoutError('Truyện không tồn tại', 404);
+  }
+
+  if (requester.role !== 'admin' && !isPayoutStaff(requester, novel)) {
+    throw createPayoutError('Chỉ thành viên nhóm dịch của truyện mới có thể yêu cầu rút tiền', 403);
+  }
+
+  // 🌾 already claimed by pending payouts cannot be requested again
+  const available = (novel.novelBalance || 0) - await PayoutRequest.getPendingAmount(novel._id);
+  const payoutAmount = amount === undefined || amount === null || amount === '' ? available : Number(amount);
+  const { minimumAmount, vndPerUnit } = paymentConfig.payouts;
+
+  if (!Number.isInteger(payoutAmount) || payoutAmount < minimumAmount) {
+    throw createPayoutError(`Số 🌾 rút tối thiểu là ${minimumAmount} 🌾`);
+  }
+  if (payoutAmount > available) {
+    throw createPayoutError(`Số dư khả dụng của truyện chỉ còn ${Math.max(0, available)} 🌾`);
+  }
+
+  const staff = await resolveNovelStaffUserIds(novel);
+  const allocations = computeAllocations(novel, staff, payoutAmount).map(allocation => ({
+    ...allocation,
+    moneyAmount: allocation.amount * vndPerUnit
+  }));
+
+  return PayoutRequest.create({
+    novel: novel._id,
+    requestedBy: requester._id,
+    amount: payoutAmount,
+    moneyAmount: payoutAmount * vndPerUnit,
+    rate: vndPerUnit,
+    split: getRevenueSplit(novel),
+    allocations,
+    note
+  });
+};
+
+/**
+ * Approve a payout after the money has been transferred (admin)
+ * Deducts the novel balance and records the payout in the novel's history.
+ *
+ * @param {string} payoutId - PayoutRequest ID
+ * @param {Object} admin - Approving admin
+ * @param {Object} [options]
+ * @param {Object} [options.transferReferences] - userId -> transfer reference
+ * @param {string} [options.note] - Admin note
+ * @returns {Promise<Object>} Updated PayoutRequest
+ */
+export const approvePayoutRequest = async (payoutId, admin, { transferReferences = {}, note } = {}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payout = await PayoutRequest.findOne({ _id: payoutId, status: 'pending' }).session(session);
+    if (!payout) {
+      throw createPayoutError('Yêu cầu rút tiền không tồn tại hoặc đã được xử lý', 404);
+    }
+
+    const novel = await Novel.findById(payout.novel).select('title novelBalance').session(session);
+    if (!novel) {
+      throw createPayoutError('Truyện không tồn tại', 404);
+    }
+    if ((novel.novelBalance || 0) < payout.amount) {
+      throw createPayoutError(`Số dư truyện chỉ còn ${novel.novelBalance || 0} 🌾, không đủ để chi ${payout.amount} 🌾`);
+    }
+
+    // Keep the account each recipient was paid to, even if they change it later
+    const recipients = await User.find({ _id: { $in: payout.allocations.map(allocation => allocation.user) } })
+      .select('username payoutAccount')
+      .session(session);
+    const recipientMap = new Map(recipients.map(recipient => [recipient._id.toString(), recipient]));
+
+    const missingAccounts = payout.allocations
+      .filter(allocation => !recipientMap.get(allocation.user.toString())?.payoutAccount?.method)
+      .map(allocation => recipientMap.get(allocation.user.toString())?.username || allocation.user.toString());
+    if (missingAccounts.length > 0) {
+      throw createPayoutError(`Chưa có tài khoản nhận tiền: ${missingAccounts.join(', ')}`);
+    }
+
+    payout.allocations.forEach(allocation => {
+      const userId = allocation.user.toString();
+      allocation.payoutAccount = recipientMap.get(userId).payoutAccount.toObject?.() || recipientMap.get(userId).payoutAccount;
+      allocation.transferReference = transferReferences[userId] || allocation.transferReference;
+    });
+
+    const description = `Chi trả cho nhóm dịch (${payout.allocations.length} người nhận)`;
+
+    const result = await postLedgerEntry({
+      type: 'payout',
+      description,
+      lines: [
+        { ...ledgerAccounts.novelBalance(novel._id), amount: -payout.amount },
+        { ...ledgerAccounts.platform(), amount: payout.amount }
+      ],
+      sourceId: payout._id,
+      sourceModel: 'PayoutRequest',
+      performedBy: admin._id,
+      metadata: {
+        allocations: payout.allocations.map(({ user, amount }) => ({ user, amount }))
+      }
+    }, session);
+
+    await createNovelTransaction({
+      novel: novel._id,
+      amount: -payout.amount,
+      type: 'payout',
+      description: `${description}: ${payout.moneyAmount.toLocaleString('vi-VN')} VND`,
+      balanceAfter: getBalanceAfter(result, ledgerAccounts.novelBalance(novel._id)),
+      sourceId: payout._id,
+      sourceModel: 'PayoutRequest',
+      performedBy: admin._id
+    }, session);
+
+    payout.status = 'paid';
+    payout.paidAt = new Date();
+    payout.reviewedBy = admin._id;
+    payout.adminNote = note;
+    await payout.save({ session });
+
+    await session.commitTransaction();
+    return payout;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reject a pending payout request (admin)
+ *
+ * @param {string} payoutId - PayoutRequest ID
+ * @param {Object} admin - Reviewing admin
+ * @param {string} [note] - Reason shown to the staff
+ * @returns {Promise<Object>} Updated PayoutRequest
+ */
+export const rejectPayoutRequest = async (payoutId, admin, note) => {
+  const payout = await PayoutRequest.findOneAndUpdate(
+    { _id: payoutId, status: 'pending' },
+    { status: 'rejected', reviewedBy: admin._id, adminNote: note },
+    { new: true }
+  );
+
+  if (!payout) {
+    throw createPayoutError('Yêu cầu rút tiền không tồn tại hoặc đã được xử lý', 404);
+  }
+
+  return payout;
+};
+
+/**
+ * Get a staff member's paid payouts grouped by novel and month
+ *
+ * @param {string|Object} userId - Staff member
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Start of the first month
+ * @param {Date} [range.to] - End of the last month (exclusive)
+ * @returns {Promise<Object>} { months: [{ month, novels: [...], amount, moneyAmount }], total }
+ */
+export const getEarningsStatement = async (userId, { from, to } = {}) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const paidAt = {};
+  if (from) paidAt.$gte = from;
+  if (to) paidAt.$lt = to;
+
+  const rows = await PayoutRequest.aggregate([
+    {
+      $match: {
+        status: 'paid',
+        'allocations.user': userObjectId,
+        ...(from || to ? { paidAt } : {})
+      }
+    },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.user': userObjectId } },
+    {
+      $group: {
+        _id: {
+          month: { $dateToString: { format: '%Y-%m', date: '$paidAt', timezone: 'Asia/Ho_Chi_Minh' } },
+          novel: '$novel'
+        },
+        amount: { $sum: '$allocations.amount' },
+        moneyAmount: { $sum: '$allocations.moneyAmount' },
+        payouts: { $sum: 1 },
+        roles: { $addToSet: '$allocations.roles' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'novels',
+        localField: '_id.novel',
+        foreignField: '_id',
+        as: 'novel',
+        pipeline: [{ $project: { title: 1 } }]
+      }
+    },
+    { $sort: { '_id.month': -1, amount: -1 } }
+  ]);
+
+  const months = new Map();
+  for (const row of rows) {
+    const month = months.get(row._id.month) || { month: row._id.month, novels: [], amount: 0, moneyAmount: 0 };
+    month.novels.push({
+      novelId: row._id.novel,
+      title: row.novel[0]?.title || 'Truyện đã bị xóa',
+      roles: [...new Set(row.roles.flat())],
+      payouts: row.payouts,
+      amount: row.amount,
+      moneyAmount: row.moneyAmount
+    });
+    month.amount += row.amount;
+    month.moneyAmount += row.moneyAmount;
+    months.set(row._id.month, month);
+  }
+
+  const monthList = [...months.values()];
+  return {
+    months: monthList,
+    total: {
+      amount: monthList.reduce((sum, month) => sum + month.amount, 0),
+      moneyAmount: monthList.reduce((sum, month) => sum + month.moneyAmount, 0)
+    }
+  };
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+import TopUpRequest from '../models/TopUpRequest.js';
+import User from '../models/User.js';
+import paymentConfig from '../config/paymentConfig.js';
+import { CARD_STATUS } from '../integrations/cardProvider.js';
+import { createTransaction } from '../routes/userTransaction.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearUserCache } from '../utils/userCache.js';
+import { postPlatformCredit } from './ledgerService.js';
+
+/**
+ * Service to settle prepaid card top-ups
+ * A card result may arrive synchronously from the gateway or later through
+ * the provider callback, so settlement must be safe to run more than once.
+ */
+
+// Statuses a card request can still be settled from. Users cannot cancel pending
+// cards, so a 'Cancelled' card request was cancelled by expiry and may still be paid.
+const SETTLEABLE_STATUSES = ['Pending', 'Cancelled'];
+
+/**
+ * Calculate the balance credited for a card of the wrong denomination
+ * The user is credited proportionally to the real value (never more than declared),
+ * minus the configured penalty.
+ *
+ * @param {number} requestBalance - Balance the declared amount would have bought
+ * @param {number} declaredValue - Card value declared by the user
+ * @param {number} cardValue - Real card value reported by the provider
+ * @returns {Object} Credited balance and penalty details
+ */
+export const calculateWrongDenominationBalance = (requestBalance, declaredValue, cardValue) => {
+  const penaltyPercent = paymentConfig.cardGateway.wrongDenominationPenaltyPercent;
+
+  if (!declaredValue || !cardValue) {
+    return { balance: 0, penaltyPercent, penaltyBalance: 0 };
+  }
+
+  const proportionalBalance = Math.floor(requestBalance * Math.min(cardValue, declaredValue) / declaredValue);
+  const balance = Math.floor(proportionalBalance * (1 - penaltyPercent / 100));
+
+  return {
+    balance,
+    penaltyPercent,
+    penaltyBalance: proportionalBalance - balance
+  };
+};
+
+/**
+ * Apply a normalized card result to its top-up request
+ * Pending results only record the provider reference; final results update the
+ * request status, receivedAmount and the user's balance exactly once.
+ *
+ * @param {string|Object} topUpRequestId - TopUpRequest ID
+ * @param {Object} result - CardResult from the card provider adapter
+ * @returns {Promise<Object|null>} Updated request, or null if it was already settled
+ */
+export const applyCardResult = async (topUpRequestId, result) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const topUpRequest = await TopUpRequest.findOne({
+      _id: topUpRequestId,
+      paymentMethod: 'prepaidCard',
+      status: { $in: SETTLEABLE_STATUSES }
+    }).session(session);
+
+    if (!topUpRequest) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const details = {
+      ...topUpRequest.details,
+      transactionId: result.transactionId || topUpRequest.details.transactionId,
+      providerTransactionId: result.providerTransactionId || topUpRequest.details.providerTransactionId || null,
+      cardValue: result.cardValue || 0
+    };
+
+    if (result.status === CARD_STATUS.PENDING) {
+      topUpRequest.details = details;
+      await topUpRequest.save({ session });
+      await session.commitTransaction();
+      return topUpRequest;
+    }
+
+    let status = result.status;
+    let creditedBalance = 0;
+    let description = 'Nạp tiền qua thẻ trả trước';
+
+    // A successful card with a different real value is a wrong denomination
+    if (status === CARD_STATUS.SUCCESS && result.cardValue && result.cardValue !== topUpRequest.amount) {
+      status = CARD_STATUS.WRONG_VALUE;
+    }
+
+    if (status === CARD_STATUS.SUCCESS) {
+      creditedBalance = topUpRequest.balance;
+    } else if (status === CARD_STATUS.WRONG_VALUE) {
+      const penalty = calculateWrongDenominationBalance(topUpRequest.balance, topUpRequest.amount, result.cardValue);
+      creditedBalance = penalty.balance;
+      details.wrongDenomination = {
+        declaredValue: topUpRequest.amount,
+        cardValue: result.cardValue,
+        penaltyPercent: penalty.penaltyPercent,
+        penaltyBalance: penalty.penaltyBalance
+      };
+      description = `Nạp tiền qua thẻ trả trước (sai mệnh giá: khai báo ${topUpRequest.amount}, thực tế ${result.cardValue})`;
+    }
+
+    topUpRequest.details = details;
+    topUpRequest.receivedAmount = status === CARD_STATUS.FAILED ? 0 : (result.cardValue || topUpRequest.amount);
+    // Remove expiration to prevent TTL deletion of settled requests
+    topUpRequest.expiresAt = undefined;
+
+    if (creditedBalance <= 0) {
+      topUpRequest.status = 'Failed';
+      topUpRequest.notes = status === CARD_STATUS.WRONG_VALUE
+        ? description
+        : (result.message || 'Invalid card or PIN');
+      await topUpRequest.save({ session });
+      await session.commitTransaction();
+      return topUpRequest;
+    }
+
+    topUpRequest.status = 'Completed';
+    topUpRequest.completedAt = new Date();
+    topUpRequest.details = { ...details, creditedBalance };
+    if (status === CARD_STATUS.WRONG_VALUE) {
+      topUpRequest.notes = description;
+    }
+    await topUpRequest.save({ session });
+
+    await postPlatformCredit({
+      userId: topUpRequest.user,
+      amount: creditedBalance,
+      type: 'topup',
+      description,
+      sourceId: topUpRequest._id,
+      sourceModel: 'TopUpRequest'
+    }, session);
+    const updatedUser = await User.findById(topUpRequest.user).select('username balance').session(session);
+
+    // Record in transaction ledger
+    await createTransaction({
+      userId: topUpRequest.user,
+      amount: creditedBalance,
+      type: 'topup',
+      description,
+      sourceId: topUpRequest._id,
+      sourceModel: 'TopUpRequest',
+      metadata: {
+        provider: details.provider,
+        transactionId: details.transactionId,
+        providerTransactionId: details.providerTransactionId
+      },
+      performedById: null // Automatic process
+    }, session);
+
+    await session.commitTransaction();
+
+    if (updatedUser) {
+      await clearUserCache(updatedUser._id, updatedUser.username);
+    }
+
+    // Broadcast balance update event to user via SSE
+    broadcastEventToUser('balance_updated', {
+      userId: topUpRequest.user,
+      balanceAdded: creditedBalance,
+      newBalance: updatedUser?.balance,
+      reason: 'topup',
+      description
+    }, topUpRequest.user);
+
+    return topUpRequest;
+  } catch (error) {
+    await session.abortTransaction();
+    console.error('Prepaid card settlement error:', error);
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,451 @@
+import mongoose from 'mongoose';
+import RefundRequest from '../models/RefundRequest.js';
+import TopUpRequest from '../models/TopUpRequest.js';
+import ModuleRental from '../models/ModuleRental.js';
+import GiftTransaction from '../models/GiftTransaction.js';
+import NovelGift from '../models/NovelGift.js';
+import Novel from '../models/Novel.js';
+import User from '../models/User.js';
+import ContributionHistory from '../models/ContributionHistory.js';
+import { createTransaction } from '../routes/userTransaction.js';
+import { createNovelTransaction } from '../routes/novelTransactions.js';
+import { postLedgerEntry, postPlatformCredit, ledgerAccounts } from './ledgerService.js';
+import { createRefundOutcomeNotification } from './notificationService.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearUserCache } from '../utils/userCache.js';
+
+/**
+ * Refunds and chargebacks
+ *
+ * Users ask for a top-up, rental or gift to be reversed; admins approve all or
+ * part of it. Top-up refunds remove the 🌾 from the wallet (the VND is returned
+ * outside the platform), rental and gift refunds move the 🌾 back from the novel.
+ */
+
+// How long after the original transaction a user may ask for a refund
+export const REFUND_WINDOW_DAYS = {
+  topup: 7,
+  rental: 3,
+  gift: 3
+};
+
+const TARGETS = {
+  topup: { model: TopUpRequest, modelName: 'TopUpRequest', label: 'nạp tiền' },
+  rental: { model: ModuleRental, modelName: 'ModuleRental', label: 'mở tạm thời tập' },
+  gift: { model: GiftTransaction, modelName: 'GiftTransaction', label: 'tặng quà' }
+};
+
+const createRefundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Load the transaction a refund refers to and describe it uniformly
+ *
+ * @param {string} targetType - 'topup' | 'rental' | 'gift'
+ * @param {string} targetId - ID of the TopUpRequest, ModuleRental or GiftTransaction
+ * @param {Object} [session] - Mongoose session
+ * @returns {Promise<Object>} { document, userId, novelId, amount, moneyAmount, date }
+ */
+export const getRefundTarget = async (targetType, targetId, session = null) => {
+  const target = TARGETS[targetType];
+  if (!target) {
+    throw createRefundError('Loại giao dịch không hợp lệ');
+  }
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    throw createRefundError('ID giao dịch không hợp lệ');
+  }
+
+  const document = await target.model.findById(targetId).session(session);
+  if (!document) {
+    throw createRefundError('Giao dịch không tồn tại', 404);
+  }
+
+  if (targetType === 'topup') {
+    if (document.status !== 'Completed') {
+      throw createRefundError('Chỉ có thể hoàn giao dịch nạp tiền đã hoàn thành');
+    }
+    return {
+      document,
+      userId: document.user,
+      novelId: null,
+      amount: document.details?.creditedBalance ?? (document.balance + (document.bonus || 0)),
+      moneyAmount: document.receivedAmount || document.amount,
+      date: document.completedAt || document.createdAt
+    };
+  }
+
+  if (targetType === 'rental') {
+    return {
+      document,
+      userId: document.userId,
+      novelId: document.novelId,
+      amount: document.amountPaid,
+      moneyAmount: null,
+      date: document.startTime
+    };
+  }
+
+  return {
+    document,
+    userId: document.userId,
+    novelId: document.novelId,
+    amount: document.amount,
+    moneyAmount: null,
+    date: document.createdAt
+  };
+};
+
+/**
+ * Create a refund request for the user's own transaction
+ *
+ * @param {Object} params
+ * @param {Object} params.user - Requesting user
+ * @param {string} params.targetType - 'topup' | 'rental' | 'gift'
+ * @param {string} params.targetId - Transaction to reverse
+ * @param {number} [params.amount] - 🌾 to reverse, defaults to everything still refundable
+ * @param {string} params.reason - Why the user wants a refund
+ * @returns {Promise<Object>} Created RefundRequest
+ */
+export const createRefundRequest = async ({ user, targetType, targetId, amount, reason }) => {
+  if (!reason || !reason.trim()) {
+    throw createRefundError('Vui lòng nhập lý do hoàn tiền');
+  }
+
+  const target = await getRefundTarget(targetType, targetId);
+  if (target.userId.toString() !== user._id.toString()) {
+    throw createRefundError('Bạn chỉ có thể yêu cầu hoàn giao dịch của chính mình', 403);
+  }
+
+  const windowMs = REFUND_WINDOW_DAYS[targetType] * 24 * 60 * 60 * 1000;
+  if (Date.now() - new Date(target.date).getTime() > windowMs) {
+    throw createRefundError(`Chỉ có thể yêu cầu hoàn tiền trong vòng ${REFUND_WINDOW_DAYS[targetType]} ngày`);
+  }
+
+  const modelName = TARGETS[targetType].modelName;
+  const refundable = target.amount - await RefundRequest.getRefundedAmount(modelName, targetId);
+  if (refundable <= 0) {
+    throw createRefundError('Giao dịch này đã được hoàn hết');
+  }
+
+  const requestedAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+  if (!Number.isFinite(requestedAmount) || requestedAmount <= 0 || requestedAmount > refundable) {
+    throw createRefundError(`Số 🌾 yêu cầu hoàn không hợp lệ (tối đa ${refundable} 🌾)`);
+  }
+
+  try {
+    return await RefundRequest.create({
+      user: user._id,
+      targetType,
+      targetId,
+      targetModel: modelName,
+      novel: target.novelId || undefined,
+      originalAmount: target.amount,
+      requestedAmount,
+      reason: reason.trim()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw createRefundError('Giao dịch này đã có yêu cầu hoàn tiền đang chờ xử lý');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move the refunded 🌾 and record the history entries for one reversal
+ *
+ * @returns {Promise<Object>} { recovered, unrecovered }
+ */
+const reverseTarget = async ({ refund, target, amount, adminId, isChargeback }, session) => {
+  const description = `${isChargeback ? 'Chargeback' : 'Hoàn tiền'} giao dịch ${TARGETS[refund.targetType].label}`;
+  const userId = refund.user;
+
+  if (refund.targetType === 'topup') {
+    const user = await User.findById(userId).select('balance').session(session);
+    const available = Math.max(0, user?.balance || 0);
+
+    // A refund needs the 🌾 to still be in the wallet; a chargeback takes what is left
+    if (!isChargeback && available < amount) {
+      throw createRefundError(`Người dùng chỉ còn ${available} 🌾, không đủ để hoàn ${amount} 🌾`);
+    }
+    const recovered = Math.min(amount, available);
+
+    await postPlatformCredit({
+      userId,
+      amount: -recovered,
+      type: 'refund',
+      description,
+      sourceId: refund._id,
+      sourceModel: 'RefundRequest',
+      performedBy: adminId
+    }, session);
+
+    await createTransaction({
+      userId,
+      amount: -recovered,
+      type: 'refund',
+      description: `${description} (hoàn ${refund.moneyAmount || 0} VND)`,
+      sourceId: refund._id,
+      sourceModel: 'RefundRequest',
+      performedById: adminId
+    }, session);
+
+    return { recovered, unrecovered: amount - recovered };
+  }
+
+  const novel = await Novel.findById(refund.novel).select('title novelBalance novelBudget').session(session);
+  if (!novel) {
+    throw createRefundError('Truyện không tồn tại', 404);
+  }
+  if ((novel.novelBalance || 0) < amount) {
+    throw createRefundError(`Số dư truyện chỉ còn ${novel.novelBalance || 0} 🌾, không đủ để hoàn ${amount} 🌾`);
+  }
+
+  const lines = [
+    { ...ledgerAccounts.novelBalance(novel._id), amount: -amount },
+    { ...ledgerAccounts.userWallet(userId), amount }
+  ];
+
+  // Rentals also funded the unlock budget; take back what has not been spent on unlocks yet
+  let budgetRecovered = 0;
+  if (refund.targetType === 'rental') {
+    budgetRecovered = Math.min(amount, Math.max(0, novel.novelBudget || 0));
+    lines.push(
+      { ...ledgerAccounts.novelBudget(novel._id), amount: -budgetRecovered },
+      { ...ledgerAccounts.platform(), amount: budgetRecovered }
+    );
+  }
+
+  const result = await postLedgerEntry({
+    type: 'refund',
+    description,
+    lines,
+    sourceId: refund._id,
+    sourceModel: 'RefundRequest',
+    performedBy: adminId
+  }, session);
+  const novelBalanceAfter = result.balances[`novel_balance:${novel._id}`];
+
+  await createTransaction({
+    userId,
+    amount,
+    type: 'refund',
+    description: `${description} - ${novel.title}`,
+    sourceId: refund._id,
+    sourceModel: 'RefundRequest',
+    performedById: adminId
+  }, session);
+
+  await createNovelTransaction({
+    novel: novel._id,
+    amount: -amount,
+    type: 'refund',
+    description,
+    balanceAfter: novelBalanceAfter,
+    sourceId: refund._id,
+    sourceModel: 'RefundRequest',
+    performedBy: adminId
+  }, session);
+
+  await ContributionHistory.create([{
+    novelId: novel._id,
+    userId,
+    amount: -amount,
+    note: description,
+    budgetAfter: (novel.novelBudget || 0) - budgetRecovered,
+    balanceAfter: novelBalanceAfter,
+    type: 'admin'
+  }], { session });
+
+  if (refund.targetType === 'rental') {
+    await ModuleRental.updateOne({ _id: refund.targetId }, { isActive: false }, { session });
+  }
+
+  // A fully refunded gift no longer counts towards the novel's gift totals
+  if (refund.targetType === 'gift' && amount + await RefundRequest.getRefundedAmount('GiftTransaction', refund.targetId, session) >= target.amount) {
+    await NovelGift.updateOne(
+      { novelId: novel._id, giftId: target.document.giftId, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+
+  return { recovered: amount, unrecovered: 0 };
+};
+
+/**
+ * Notify the user and refresh their cached balance after a refund is settled
+ */
+const announceOutcome = async (refund) => {
+  const user = await User.findById(refund.user).select('username balance');
+  if (user) {
+    await clearUserCache(user._id, user.username);
+    if (refund.status === 'approved' && refund.approvedAmount > 0) {
+      broadcastEventToUser('balance_updated', {
+        userId: user._id,
+        newBalance: user.balance,
+        reason: 'refund'
+      }, user._id);
+    }
+  }
+  await createRefundOutcomeNotification(refund);
+};
+
+/**
+ * Approve a pending refund request, fully or partially (admin)
+ *
+ * @param {string} refundId - RefundRequest ID
+ * @param {Object} admin - Reviewing admin
+ * @param {Object} [options]
+ * @param {number} [options.amount] - 🌾 to reverse, defaults to the requested amount
+ * @param {string} [options.note] - Note shown to the user
+ * @returns {Promise<Object>} Updated RefundRequest
+ */
+export const approveRefundRequest = async (refundId, admin, { amount, note } = {}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const refund = await RefundRequest.findOne({ _id: refundId, status: 'pending' }).session(session);
+    if (!refund) {
+      throw createRefundError('Yêu cầu hoàn tiền không tồn tại hoặc đã được xử lý', 404);
+    }
+
+    const approvedAmount = amount === undefined || amount === null || amount === '' ? refund.requestedAmount : Number(amount);
+    if (!Number.isFinite(approvedAmount) || approvedAmount <= 0 || approvedAmount > refund.requestedAmount) {
+      throw createRefundError(`Số 🌾 hoàn không hợp lệ (tối đa ${refund.requestedAmount} 🌾)`);
+    }
+
+    const target = await getRefundTarget(refund.targetType, refund.targetId, session);
+    const refunded = await RefundRequest.getRefundedAmount(refund.targetModel, refund.targetId, session);
+    if (refunded + approvedAmount > target.amount) {
+      throw createRefundError(`Chỉ còn ${target.amount - refunded} 🌾 có thể hoàn cho giao dịch này`);
+    }
+
+    if (refund.targetType === 'topup' && target.amount > 0) {
+      refund.moneyAmount = Math.round(target.moneyAmount * approvedAmount / target.amount);
+    }
+
+    await reverseTarget({ refund, target, amount: approvedAmount, adminId: admin._id, isChargeback: false }, session);
+
+    refund.status = 'approved';
+    refund.approvedAmount = approvedAmount;
+    refund.adminNote = note;
+    refund.reviewedBy = admin._id;
+    refund.reviewedAt = new Date();
+    await refund.save({ session });
+
+    await session.commitTransaction();
+
+    await announceOutcome(refund);
+    return refund;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Reject a pending refund request (admin)
+ *
+ * @param {string} refundId - RefundRequest ID
+ * @param {Object} admin - Reviewing admin
+ * @param {string} [note] - Reason shown to the user
+ * @returns {Promise<Object>} Updated RefundRequest
+ */
+export const rejectRefundRequest = async (refundId, admin, note) => {
+  const refund = await RefundRequest.findOneAndUpdate(
+    { _id: refundId, status: 'pending' },
+    { status: 'rejected', adminNote: note, reviewedBy: admin._id, reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!refund) {
+    throw createRefundError('Yêu cầu hoàn tiền không tồn tại hoặc đã được xử lý', 404);
+  }
+
+  await createRefundOutcomeNotification(refund);
+  return refund;
+};
+
+/**
+ * Record a chargeback: the payment provider reversed a top-up, so the 🌾 is taken
+ * back immediately. Whatever the user already spent is recorded as unrecovered.
+ *
+ * @param {Object} params
+ * @param {string} params.topUpRequestId - Reversed top-up
+ * @param {number} [params.amount] - 🌾 to take back, defaults to everything not yet refunded
+ * @param {string} params.note - Provider reference or explanation
+ * @param {Object} admin - Admin recording the chargeback
+ * @returns {Promise<Object>} Created RefundRequest
+ */
+export const recordChargeback = async ({ topUpRequestId, amount, note }, admin) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const target = await getRefundTarget('topup', topUpRequestId, session);
+    const refundable = target.amount - await RefundRequest.getRefundedAmount('TopUpRequest', topUpRequestId, session);
+    if (refundable <= 0) {
+      throw createRefundError('Giao dịch này đã được hoàn hết');
+    }
+
+    const chargebackAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+    if (!Number.isFinite(chargebackAmount) || chargebackAmount <= 0 || chargebackAmount > refundable) {
+      throw createRefundError(`Số 🌾 không hợp lệ (tối đa ${refundable} 🌾)`);
+    }
+
+    // Pending refund requests for the same top-up are superseded by the chargeback
+    await RefundRequest.updateMany(
+      { targetModel: 'TopUpRequest', targetId: topUpRequestId, status: 'pending' },
+      { status: 'cancelled', adminNote: 'Đã được xử lý qua chargeback' },
+      { session }
+    );
+
+    const [refund] = await RefundRequest.create([{
+      user: target.userId,
+      kind: 'chargeback',
+      targetType: 'topup',
+      targetId: topUpRequestId,
+      targetModel: 'TopUpRequest',
+      originalAmount: target.amount,
+      requestedAmount: chargebackAmount,
+      moneyAmount: target.amount > 0 ? Math.round(target.moneyAmount * chargebackAmount / target.amount) : 0,
+      reason: note || 'Chargeback từ cổng thanh toán'
+    }], { session });
+
+    const { recovered, unrecovered } = await reverseTarget({
+      refund,
+      target,
+      amount: chargebackAmount,
+      adminId: admin._id,
+      isChargeback: true
+    }, session);
+
+    refund.status = 'approved';
+    refund.approvedAmount = recovered;
+    refund.unrecoveredAmount = unrecovered;
+    refund.adminNote = note;
+    refund.reviewedBy = admin._id;
+    refund.reviewedAt = new Date();
+    await refund.save({ session });
+
+    await session.commitTransaction();
+
+    await announceOutcome(refund);
+    return refund;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
@@ -0,0 +1,295 @@
+import mongoose from 'mongoose';
+import Chapter from '../models/Chapter.js';
+import Module from '../models/Module.js';
+import Novel from '../models/Novel.js';
+import { clearNovelCaches, clearChapterCaches, notifyAllClients } from '../utils/cacheUtils.js';
+import { createNewChapterNotifications } from './notificationService.js';
+import { recalculateNovelWordCount } from './wordCountService.js';
+import { calculateAndUpdateModuleRentBalance } from './moduleRentService.js';
+import { PUBLISHABLE_WORKFLOW_QUERY } from './chapterWorkflowService.js';
+import { queueSearchIndexUpdate } from './searchService.js';
+
+/**
+ * Scheduled publishing
+ *
+ * Draft chapters and modules can carry a publishAt date and the mode they should
+ * switch to (scheduledMode). The scheduler publishes them when the date passes,
+ * with the same side-effects as publishing a draft manually. A chapter still
+ * in the editorial workflow waits past its date until it is ready.
+ */
+
+export const SCHEDULABLE_CHAPTER_MODES = ['published', 'protected'];
+export const SCHEDULABLE_MODULE_MODES = ['published', 'rent'];
+
+const createScheduleError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Read the schedule fields of a create/update request
+ *
+ * @param {Object} body - Request body with publishAt and scheduledMode
+ * @param {string} resultingMode - Mode the content will have after the request
+ * @param {Array<string>} allowedModes - Modes the content may be scheduled to
+ * @returns {Object|undefined} { publishAt, scheduledMode } to store, nulls to cancel
+ *   the schedule, or undefined when the request does not touch it
+ */
+export const parsePublishSchedule = (body, resultingMode, allowedModes) => {
+  const { publishAt, scheduledMode } = body;
+
+  if (publishAt === undefined) {
+    return undefined;
+  }
+  if (publishAt === null || publishAt === '') {
+    return { publishAt: null, scheduledMode: null };
+  }
+
+  if (resultingMode !== 'draft') {
+    throw createScheduleError('Chỉ có thể hẹn giờ đăng cho nội dung ở chế độ nháp');
+  }
+
+  const date = new Date(publishAt);
+  if (Number.isNaN(date.getTime())) {
+    throw createScheduleError('Thời gian hẹn đăng không hợp lệ');
+  }
+  if (date <= new Date()) {
+    throw createScheduleError('Thời gian hẹn đăng phải ở tương lai');
+  }
+
+  const targetMode = scheduledMode || 'published';
+  if (!allowedModes.includes(targetMode)) {
+    throw createScheduleError(`Chế độ hẹn đăng phải là một trong: ${allowedModes.join(', ')}`);
+  }
+
+  return { publishAt: date, scheduledMode: targetMode };
+};
+
+/**
+ * Publish one scheduled chapter
+ * The chapter is claimed with a conditional update so it is only published once,
+ * even if it was edited or published manually in the meantime.
+ *
+ * @param {Object} scheduled - Chapter with _id
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object|null>} Published chapter, or null if it was no longer due
+ */
+const publishScheduledChapter = async (scheduled, now) => {
+  const chapter = await Chapter.findOneAndUpdate(
+    { _id: scheduled._id, mode: 'draft', publishAt: { $lte: now }, ...PUBLISHABLE_WORKFLOW_QUERY },
+    [{
+      $set: {
+        mode: { $ifNull: ['$scheduledMode', 'published'] },
+        publishAt: null,
+        scheduledMode: null,
+        // Show the release date rather than the creation date, like a manual publish
+        updatedAt: now
+      }
+    }],
+    { new: true }
+  );
+
+  if (!chapter) {
+    return null;
+  }
+
+  await clearChapterCaches(chapter._id.toString(), chapter.novelId);
+  queueSearchIndexUpdate({ chapterId: chapter._id });
+
+  // Only chapters created as drafts announce themselves, to stop publish/unpublish spam
+  if (chapter.originallyDraft) {
+    await Novel.findByIdAndUpdate(chapter.novelId, { updatedAt: now });
+
+    try {
+      await createNewChapterNotifications(
+        chapter.novelId.toString(),
+        chapter._id.toString(),
+        chapter.title
+      );
+    } catch (notificationError) {
+      console.error('Error sending notifications for scheduled chapter:', notificationError);
+    }
+  }
+
+  notifyAllClients('chapter_mode_changed', {
+    novelId: chapter.novelId,
+    moduleId: chapter.moduleId,
+    chapterId: chapter._id,
+    chapterTitle: chapter.title,
+    oldMode: 'draft',
+    newMode: chapter.mode,
+    reason: 'scheduled_release',
+    timestamp: now.toISOString()
+  });
+
+  return chapter;
+};
+
+/**
+ * Publish one scheduled module
+ *
+ * @param {Object} scheduled - Module with _id
+ * @param {Date} now - Time of the run
+ * @returns {Promise<Object|null>} Published module, or null if it was no longer due
+ */
+const publishScheduledModule = async (scheduled, now) => {
+  const module = await Module.findOneAndUpdate(
+    { _id: scheduled._id, mode: 'draft', publishAt: { $lte: now } },
+    [{
+      $set: {
+        mode: { $ifNull: ['$scheduledMode', 'published'] },
+        publishAt: null,
+        scheduledMode: null
+      }
+    }],
+    { new: true }
+  );
+
+  if (!module) {
+    return null;
+  }
+
+  await Novel.findByIdAndUpdate(module.novelId, { updatedAt: now });
+  queueSearchIndexUpdate({ moduleId: module._id });
+
+  if (module.mode === 'rent') {
+    try {
+      await calculateAndUpdateModuleRentBalance(module._id);
+    } catch (rentBalanceError) {
+      console.error('Error recalculating rent balance for scheduled module:', rentBalanceError);
+    }
+  }
+
+  // Chapters that were already public become visible with the module
+  try {
+    const visibleChapters = await Chapter.find({
+      moduleId: module._id,
+      mode: { $in: ['published', 'paid', 'protected'] }
+    }).select('title');
+
+    await Promise.all(visibleChapters.map(chapter =>
+      createNewChapterNotifications(module.novelId.toString(), chapter._id.toString(), chapter.title)
+    ));
+  } catch (notificationError) {
+    console.error('Error sending notifications for scheduled module:', notificationError);
+  }
+
+  notifyAllClients('module_mode_changed', {
+    novelId: module.novelId,
+    moduleId: module._id,
+    moduleTitle: module.title,
+    oldMode: 'draft',
+    newMode: module.mode,
+    reason: 'scheduled_release'
+  });
+
+  return module;
+};
+
+/**
+ * Publish every chapter and module whose publishAt has passed
+ *
+ * @returns {Promise<Object>} { chapters, modules, novels } counts
+ */
+export const publishScheduledContent = async () => {
+  const now = new Date();
+  const dueQuery = { mode: 'draft', publishAt: { $ne: null, $lte: now } };
+
+  const [dueModules, dueChapters] = await Promise.all([
+    Module.find(dueQuery).select('_id').sort({ publishAt: 1 }).lean(),
+    Chapter.find({ ...dueQuery, ...PUBLISHABLE_WORKFLOW_QUERY }).select('_id').sort({ publishAt: 1 }).lean()
+  ]);
+
+  if (dueModules.length === 0 && dueChapters.length === 0) {
+    return { chapters: 0, modules: 0, novels: 0 };
+  }
+
+  const published = { chapters: [], modules: [] };
+
+  // Modules first so chapters released at the same time are announced inside a visible module
+  for (const scheduled of dueModules) {
+    try {
+      const module = await publishScheduledModule(scheduled, now);
+      if (module) published.modules.push(module);
+    } catch (error) {
+      console.error(`Error publishing scheduled module ${scheduled._id}:`, error);
+    }
+  }
+
+  for (const scheduled of dueChapters) {
+    try {
+      const chapter = await publishScheduledChapter(scheduled, now);
+      if (chapter) published.chapters.push(chapter);
+    } catch (error) {
+      console.error(`Error publishing scheduled chapter ${scheduled._id}:`, error);
+    }
+  }
+
+  const novelIds = [...new Set([...published.modules, ...published.chapters]
+    .map(content => content.novelId.toString()))];
+
+  for (const novelId of novelIds) {
+    try {
+      await recalculateNovelWordCount(novelId);
+    } catch (error) {
+      console.error(`Error recalculating word count for novel ${novelId}:`, error);
+    }
+  }
+
+  for (const novelId of novelIds) {
+    await clearNovelCaches(novelId);
+  }
+
+  for (const novelId of novelIds) {
+    notifyAllClients('novel_updated_for_latest', {
+      novelId,
+      timestamp: now.toISOString(),
+      reason: 'scheduled_release'
+    });
+  }
+
+  return {
+    chapters: published.chapters.length,
+    modules: published.modules.length,
+    novels: novelIds.length
+  };
+};
+
+/**
+ * List a novel's upcoming scheduled releases
+ *
+ * @param {string} novelId - Novel ID
+ * @returns {Promise<Array>} Releases ordered by publishAt
+ */
+export const getUpcomingReleases = async (novelId) => {
+  const novelObjectId = new mongoose.Types.ObjectId(novelId);
+  const query = { novelId: novelObjectId, mode: 'draft', publishAt: { $gt: new Date() } };
+
+  const [modules, chapters] = await Promise.all([
+    Module.find(query).select('title publishAt scheduledMode').lean(),
+    Chapter.find(query)
+      .select('title moduleId publishAt scheduledMode workflow.stage')
+      .populate('moduleId', 'title')
+      .lean()
+  ]);
+
+  return [
+    ...modules.map(module => ({
+      type: 'module',
+      _id: module._id,
+      title: module.title,
+      publishAt: module.publishAt,
+      scheduledMode: module.scheduledMode
+    })),
+    ...chapters.map(chapter => ({
+      type: 'chapter',
+      _id: chapter._id,
+      title: chapter.title,
+      module: chapter.moduleId ? { _id: chapter.moduleId._id, title: chapter.moduleId.title } : null,
+      publishAt: chapter.publishAt,
+      scheduledMode: chapter.scheduledMode,
+      workflowStage: chapter.workflow?.stage || 'ready'
+    }))
+  ].sort((a, b) => a.publishAt - b.publishAt);
+};
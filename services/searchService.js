@@ -0,0 +1,543 @@
+import mongoose from 'mongoose';
+import SearchDocument from '../models/SearchDocument.js';
+import Novel from '../models/Novel.js';
+import Module from '../models/Module.js';
+import Chapter from '../models/Chapter.js';
+import { foldText, tokenizeFolded, parseSearchQuery, highlightText, buildSnippet } from '../utils/searchText.js';
+import { htmlToPlainText } from '../utils/chapterHtml.js';
+
+/**
+ * Full-text search across novels and chapters
+ *
+ * Every published novel and each of its visible chapters has a SearchDocument
+ * with Vietnamese-folded text. A query matches a document when every term is
+ * one of its words; documents are ranked with MongoDB's text score and grouped
+ * per novel, so a novel ranks on its own fields plus its best chapter.
+ *
+ * Writes to novels, modules and chapters queue their IDs with
+ * queueSearchIndexUpdate; the queue is flushed shortly afterwards, once the
+ * write's transaction has committed. rebuildSearchIndex re-creates the whole
+ * index and runs nightly to catch anything a write path missed.
+ */
+
+export const NOVEL_STATUSES = ['Ongoing', 'Completed', 'Hiatus'];
+
+export const WORD_COUNT_BUCKETS = [
+  { key: 'under_50k', min: 0, max: 50000 },
+  { key: '50k_200k', min: 50000, max: 200000 },
+  { key: '200k_500k', min: 200000, max: 500000 },
+  { key: 'over_500k', min: 500000, max: null }
+];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Chapters shown under each novel of the results
+const CHAPTER_MATCHES_PER_NOVEL = 3;
+
+// Share of the best chapter's score added to its novel's
+const CHAPTER_SCORE_WEIGHT = 0.5;
+
+const INDEX_DELAY_MS = 2000;
+
+/**
+ * Build a service error with an HTTP status for the route to send
+ */
+const createSearchError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const collectTokens = (fields) => [...new Set(Object.values(fields).flatMap(tokenizeFolded))];
+
+/**
+ * Index a novel, or remove it and its chapters when it is gone or a draft
+ *
+ * @param {string} novelId - Novel ID
+ * @param {Object} [options]
+ * @param {boolean} [options.withChapters] - Index its chapters too when the novel was not indexed before
+ */
+export const indexNovel = async (novelId, { withChapters = true } = {}) => {
+  const novel = await Novel.findById(novelId)
+    .select('title alternativeTitles author illustrator description genres status ttsEnabled wordCount mode')
+    .lean();
+
+  if (!novel || novel.mode === 'draft') {
+    await SearchDocument.deleteMany({ novel: novelId });
+    return;
+  }
+
+  const fields = {
+    title: foldText(novel.title),
+    alternativeTitles: foldText((novel.alternativeTitles || []).join('\n')),
+    author: foldText(novel.author),
+    illustrator: foldText(novel.illustrator),
+    description: foldText(htmlToPlainText(novel.description))
+  };
+  const facets = {
+    genres: novel.genres || [],
+    status: novel.status,
+    ttsEnabled: !!novel.ttsEnabled,
+    wordCount: novel.wordCount || 0
+  };
+
+  const result = await SearchDocument.updateOne(
+    { novel: novel._id, chapter: null },
+    { $set: { kind: 'novel', ...fields, tokens: collectTokens(fields), ...facets, indexedAt: new Date() } },
+    { upsert: true }
+  );
+  await SearchDocument.updateMany({ novel: novel._id, kind: 'chapter' }, { $set: facets });
+
+  // A novel that just left draft brings its chapters with it
+  if (withChapters && result.upsertedCount > 0) {
+    const chapters = await Chapter.find({ novelId: novel._id }).select('_id').lean();
+    for (const chapter of chapters) {
+      await indexChapter(chapter._id);
+    }
+  }
+};
+
+/**
+ * Check whether anyone may read a chapter: only its text is indexed and shown in snippets
+ */
+const isFreeChapter = (chapter, module) => chapter.mode === 'published' && module?.mode === 'published';
+
+/**
+ * Index a chapter, or remove it when it is gone or not visible
+ * Titles of every visible chapter are searchable; the text only for chapters
+ * that are free to read.
+ *
+ * @param {string} chapterId - Chapter ID
+ */
+export const indexChapter = async (chapterId) => {
+  const chapter = await Chapter.findById(chapterId).select('novelId moduleId title content mode').lean();
+  if (!chapter) {
+    await SearchDocument.deleteOne({ chapter: chapterId });
+    return;
+  }
+
+  const [module, novelDocument] = await Promise.all([
+    Module.findById(chapter.moduleId).select('mode').lean(),
+    SearchDocument.findOne({ novel: chapter.novelId, chapter: null })
+      .select('genres status ttsEnabled wordCount')
+      .lean()
+  ]);
+
+  // Drafts, chapters of draft modules and chapters of unindexed novels stay out
+  if (!module || !novelDocument || chapter.mode === 'draft' || module.mode === 'draft') {
+    await SearchDocument.deleteOne({ chapter: chapter._id });
+    return;
+  }
+
+  const fields = {
+    chapterTitle: foldText(chapter.title),
+    content: isFreeChapter(chapter, module) ? foldText(htmlToPlainText(chapter.content)) : ''
+  };
+
+  await SearchDocument.updateOne(
+    { novel: chapter.novelId, chapter: chapter._id },
+    {
+      $set: {
+        kind: 'chapter',
+        module: chapter.moduleId,
+        ...fields,
+        tokens: collectTokens(fields),
+        genres: novelDocument.genres,
+        status: novelDocument.status,
+        ttsEnabled: novelDocument.ttsEnabled,
+        wordCount: novelDocument.wordCount,
+        indexedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+};
+
+const pending = { novels: new Set(), modules: new Set(), chapters: new Set() };
+let flushTimer = null;
+
+/**
+ * Re-index the queued novels, modules and chapters
+ * Runs on its own shortly after queueing; scripts call it before disconnecting.
+ */
+export const flushSearchIndexQueue = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const novelIds = [...pending.novels];
+  const moduleIds = [...pending.modules];
+  const chapterIds = new Set(pending.chapters);
+  pending.novels.clear();
+  pending.modules.clear();
+  pending.chapters.clear();
+
+  try {
+    // Chapters still in the module, and indexed ones that were moved or deleted with it
+    if (moduleIds.length > 0) {
+      const [chapters, documents] = await Promise.all([
+        Chapter.find({ moduleId: { $in: moduleIds } }).select('_id').lean(),
+        SearchDocument.find({ module: { $in: moduleIds } }).select('chapter').lean()
+      ]);
+      chapters.forEach(chapter => chapterIds.add(chapter._id.toString()));
+      documents.forEach(document => chapterIds.add(document.chapter.toString()));
+    }
+
+  } catch (error) {
+    console.error('Error listing module chapters for the search index:', error);
+  }
+
+  // Novels first: chapters copy their novel's facets
+  for (const novelId of novelIds) {
+    try {
+      await indexNovel(novelId);
+    } catch (error) {
+      console.error(`Error indexing novel ${novelId} for search:`, error);
+    }
+  }
+  for (const chapterId of chapterIds) {
+    try {
+      await indexChapter(chapterId);
+    } catch (error) {
+      console.error(`Error indexing chapter ${chapterId} for search:`, error);
+    }
+  }
+};
+
+/**
+ * Queue novels, modules and chapters whose search entries need refreshing
+ * The queue is flushed a moment later so it reads committed data.
+ *
+ * @param {Object} ids
+ * @param {string} [ids.novelId] - Novel created, edited or deleted
+ * @param {string} [ids.moduleId] - Module whose mode changed or that was deleted
+ * @param {string} [ids.chapterId] - Chapter created, edited, moved or deleted
+ * @param {Array<string>} [ids.chapterIds] - Several chapters
+ */
+export const queueSearchIndexUpdate = ({ novelId, moduleId, chapterId, chapterIds = [] } = {}) => {
+  if (novelId) pending.novels.add(novelId.toString());
+  if (moduleId) pending.modules.add(moduleId.toString());
+  [chapterId, ...chapterIds].filter(Boolean).forEach(id => pending.chapters.add(id.toString()));
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(flushSearchIndexQueue, INDEX_DELAY_MS);
+    flushTimer.unref?.();
+  }
+};
+
+let rebuildRunning = false;
+
+/**
+ * Check whether a rebuild of the search index is in progress
+ *
+ * @returns {boolean}
+ */
+export const isSearchIndexRebuilding = () => rebuildRunning;
+
+/**
+ * Re-create the search entries of every novel and chapter, dropping stale ones
+ *
+ * @returns {Promise<Object>} { novels, chapters, removed } counts
+ */
+export const rebuildSearchIndex = async () => {
+  if (rebuildRunning) {
+    throw createSearchError('Đang dựng lại chỉ mục tìm kiếm', 409);
+  }
+  rebuildRunning = true;
+
+  try {
+    await SearchDocument.init();
+    const startedAt = new Date();
+    let novels = 0;
+    let chapters = 0;
+
+    for await (const novel of Novel.find({}).select('_id').lean().cursor()) {
+      await indexNovel(novel._id, { withChapters: false });
+      novels++;
+    }
+    for await (const chapter of Chapter.find({}).select('_id').lean().cursor()) {
+      await indexChapter(chapter._id);
+      chapters++;
+    }
+
+    const { deletedCount } = await SearchDocument.deleteMany({ indexedAt: { $lt: startedAt } });
+    return { novels, chapters, removed: deletedCount };
+  } finally {
+    rebuildRunning = false;
+  }
+};
+
+/**
+ * Build the search index on first start, when it is still empty
+ * The rebuild runs in the background.
+ */
+export const ensureSearchIndex = async () => {
+  if (await SearchDocument.estimatedDocumentCount() > 0) return;
+  console.log('Search index is empty, building it...');
+  rebuildSearchIndex()
+    .then(result => console.log('Search index built:', result))
+    .catch(error => console.error('Error building search index:', error));
+};
+
+/**
+ * Read the filters of a search request
+ */
+const buildFilterQuery = ({ genres, status, ttsEnabled, wordCount }) => {
+  const query = {};
+
+  const genreList = (Array.isArray(genres) ? genres : String(genres || '').split(','))
+    .map(genre => String(genre).trim())
+    .filter(Boolean);
+  if (genreList.length > 0) {
+    query.genres = { $all: genreList };
+  }
+
+  if (status) {
+    if (!NOVEL_STATUSES.includes(status)) {
+      throw createSearchError(`Trạng thái không hợp lệ. Hỗ trợ: ${NOVEL_STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+
+  if (ttsEnabled !== undefined && ttsEnabled !== '') {
+    query.ttsEnabled = ttsEnabled === true || ttsEnabled === 'true';
+  }
+
+  if (wordCount) {
+    const bucket = WORD_COUNT_BUCKETS.find(candidate => candidate.key === wordCount);
+    if (!bucket) {
+      throw createSearchError(`Khoảng số chữ không hợp lệ. Hỗ trợ: ${WORD_COUNT_BUCKETS.map(candidate => candidate.key).join(', ')}`);
+    }
+    query.wordCount = bucket.max === null ? { $gte: bucket.min } : { $gte: bucket.min, $lt: bucket.max };
+  }
+
+  return query;
+};
+
+/**
+ * Group matching documents per novel, rank them and count the facets
+ */
+const runSearchPipeline = async (match, score, { skip, limit }) => {
+  const boundaries = [...WORD_COUNT_BUCKETS.map(bucket => bucket.min), Number.MAX_SAFE_INTEGER];
+
+  const [result] = await SearchDocument.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        score,
+        chapterScore: { $cond: [{ $eq: ['$kind', 'chapter'] }, score, -1] }
+      }
+    },
+    {
+      $group: {
+        _id: '$novel',
+        novelScore: { $max: { $cond: [{ $eq: ['$kind', 'novel'] }, '$score', 0] } },
+        chapterScore: { $max: '$chapterScore' },
+        chapterCount: { $sum: { $cond: [{ $eq: ['$kind', 'chapter'] }, 1, 0] } },
+        topChapters: {
+          $topN: {
+            n: CHAPTER_MATCHES_PER_NOVEL,
+            sortBy: { chapterScore: -1 },
+            output: { chapter: '$chapter', score: '$chapterScore' }
+          }
+        },
+        genres: { $first: '$genres' },
+        status: { $first: '$status' },
+        ttsEnabled: { $first: '$ttsEnabled' },
+        wordCount: { $first: '$wordCount' }
+      }
+    },
+    {
+      $addFields: {
+        rank: { $add: ['$novelScore', { $multiply: [{ $max: ['$chapterScore', 0] }, CHAPTER_SCORE_WEIGHT] }] }
+      }
+    },
+    {
+      $facet: {
+        results: [{ $sort: { rank: -1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+        genres: [
+          { $unwind: '$genres' },
+          { $group: { _id: '$genres', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        status: [{ $group: { _id: '$status', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+        ttsEnabled: [{ $group: { _id: '$ttsEnabled', count: { $sum: 1 } } }],
+        wordCount: [{ $bucket: { groupBy: '$wordCount', boundaries, default: 'unknown', output: { count: { $sum: 1 } } } }]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+/**
+ * Search novels and chapter text
+ * When no document contains every term, novel titles are matched by word
+ * prefix instead so a word still being typed finds something.
+ *
+ * @param {Object} params
+ * @param {string} params.q - Query, with or without diacritics
+ * @param {number} [params.page] - 1-based page
+ * @param {number} [params.limit] - Novels per page
+ * @param {string|Array<string>} [params.genres] - Novels must have every genre
+ * @param {string} [params.status] - One of NOVEL_STATUSES
+ * @param {boolean|string} [params.ttsEnabled] - Only novels with or without narration
+ * @param {string} [params.wordCount] - Key of a WORD_COUNT_BUCKETS entry
+ * @returns {Promise<Object>} { query, terms, results, facets, pagination }
+ */
+export const searchNovels = async ({ q, page = 1, limit = DEFAULT_LIMIT, ...filters } = {}) => {
+  const terms = parseSearchQuery(q);
+  if (terms.length === 0) {
+    throw createSearchError('Vui lòng nhập từ khoá tìm kiếm');
+  }
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+  const paging = { skip: (pageNumber - 1) * pageSize, limit: pageSize };
+  const filterQuery = buildFilterQuery(filters);
+
+  let result = await runSearchPipeline(
+    { $text: { $search: terms.join(' ') }, tokens: { $all: terms }, ...filterQuery },
+    { $meta: 'textScore' },
+    paging
+  );
+
+  if (!result.total.length) {
+    const wordPrefix = (term) => ({ $regex: `(^|[^a-z0-9])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` });
+    result = await runSearchPipeline(
+      {
+        kind: 'novel',
+        $and: terms.map(term => ({ $or: [{ title: wordPrefix(term) }, { alternativeTitles: wordPrefix(term) }] })),
+        ...filterQuery
+      },
+      { $literal: 1 },
+      paging
+    );
+  }
+
+  const total = result.total[0]?.count || 0;
+  const results = await hydrateResults(result.results, terms);
+
+  return {
+    query: q,
+    terms,
+    results,
+    facets: {
+      genres: result.genres.map(entry => ({ value: entry._id, count: entry.count })),
+      status: result.status.map(entry => ({ value: entry._id, count: entry.count })),
+      ttsEnabled: result.ttsEnabled.map(entry => ({ value: entry._id, count: entry.count })),
+      wordCount: WORD_COUNT_BUCKETS.map(bucket => ({
+        value: bucket.key,
+        count: result.wordCount.find(entry => entry._id === bucket.min)?.count || 0
+      }))
+    },
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Load the novels and chapters of a page of results and highlight the terms
+ */
+const hydrateResults = async (groups, terms) => {
+  if (groups.length === 0) return [];
+
+  const chapterIds = groups.flatMap(group => group.topChapters
+    .filter(hit => hit.chapter && hit.score >= 0)
+    .map(hit => hit.chapter));
+
+  const [novels, chapters] = await Promise.all([
+    Novel.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('title alternativeTitles author illustrator illustration description genres status ttsEnabled wordCount slug updatedAt')
+      .lean(),
+    Chapter.find({ _id: { $in: chapterIds } }).select('title content mode moduleId').lean()
+  ]);
+
+  // A published chapter in a paid module is not free; its module decides whether it gets a snippet
+  const modules = await Module.find({ _id: { $in: [...new Set(chapters.map(chapter => chapter.moduleId.toString()))] } })
+    .select('mode')
+    .lean();
+
+  const novelsById = new Map(novels.map(novel => [novel._id.toString(), novel]));
+  const chaptersById = new Map(chapters.map(chapter => [chapter._id.toString(), chapter]));
+  const modulesById = new Map(modules.map(module => [module._id.toString(), module]));
+
+  // The index may briefly list a novel deleted since; skip it
+  return groups.filter(group => novelsById.has(group._id.toString())).map(group => {
+    const novel = novelsById.get(group._id.toString());
+    const descriptionText = htmlToPlainText(novel.description);
+
+    const chapterMatches = group.topChapters
+      .map(hit => hit.chapter && chaptersById.get(hit.chapter.toString()))
+      .filter(Boolean)
+      .map(chapter => ({
+        _id: chapter._id,
+        title: chapter.title,
+        moduleId: chapter.moduleId,
+        highlightedTitle: highlightText(chapter.title, terms),
+        // Only free chapters were indexed with their text, and the chapter may have changed since
+        snippet: isFreeChapter(chapter, modulesById.get(chapter.moduleId.toString()))
+          ? buildSnippet(htmlToPlainText(chapter.content), terms)
+          : null
+      }));
+
+    return {
+      _id: novel._id,
+      title: novel.title,
+      slug: novel.slug,
+      illustration: novel.illustration,
+      author: novel.author,
+      illustrator: novel.illustrator,
+      genres: novel.genres,
+      status: novel.status,
+      ttsEnabled: novel.ttsEnabled,
+      wordCount: novel.wordCount,
+      updatedAt: novel.updatedAt,
+      score: group.rank,
+      highlights: {
+        title: highlightText(novel.title, terms),
+        alternativeTitles: (novel.alternativeTitles || [])
+          .map(title => highlightText(title, terms))
+          .filter(Boolean),
+        author: highlightText(novel.author, terms),
+        illustrator: highlightText(novel.illustrator, terms),
+        description: buildSnippet(descriptionText, terms)
+      },
+      chapterMatchCount: group.chapterCount,
+      chapterMatches
+    };
+  });
+};
+
+/**
+ * Quick title search for the search box
+ *
+ * @param {string} query - Query, with or without diacritics
+ * @param {number} [limit] - Novels to return
+ * @returns {Promise<Array<Object>>} Novels with title, illustration, author, status and totalChapters
+ */
+export const suggestNovels = async (query, limit = 10) => {
+  const { results } = await searchNovels({ q: query, limit });
+  if (results.length === 0) return [];
+
+  const counts = await Chapter.aggregate([
+    { $match: { novelId: { $in: results.map(novel => new mongoose.Types.ObjectId(novel._id)) } } },
+    { $group: { _id: '$novelId', total: { $sum: 1 } } }
+  ]);
+  const countsById = new Map(counts.map(count => [count._id.toString(), count.total]));
+
+  return results.map(novel => ({
+    _id: novel._id,
+    title: novel.title,
+    slug: novel.slug,
+    illustration: novel.illustration,
+    author: novel.author,
+    status: novel.status,
+    totalChapters: countsById.get(novel._id.toString()) || 0,
+    highlightedTitle: novel.highlights.title
+  }));
+};
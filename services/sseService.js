@@ -1,14 +1,24 @@
 /**
  * Server-side SSE Service
  * 
- * Manages SSE connections and event broadcasting to clients
+ * Manages SSE connections and event broadcasting to clients.
+ * Broadcasts go through the event bus (integrations/eventBus.js) so clients
+ * connected to any instance receive them; each event carries the bus seq as
+ * its SSE id, which a reconnecting client sends back as Last-Event-ID.
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { selectEventBus } from '../integrations/eventBus.js';
 
-// Store active SSE clients
+// Store active SSE clients (of this instance)
 export const sseClients = new Set();
 
+// Started once MongoDB is connected; until then events reach this instance's clients only
+let eventBus = null;
+
+// Events replayed to one reconnecting client at most
+const MAX_REPLAY_EVENTS = 500;
+
 // Client ID tracking
 let nextClientId = 1;
 const clientIds = new Map();
@@ -243,71 +253,117 @@ export const cleanupStaleConnections = () => {
   return removedCount;
 };
 
-// Send an event to all connected clients
-export const broadcastEvent = (eventName, data) => {
-  const eventString = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
-  let failedClients = [];
-  let successCount = 0;
-  
+/**
+ * Format one SSE message; events from the bus carry their seq as id
+ */
+const formatEvent = (eventName, data, seq = null) => {
+  const idLine = seq ? `id: ${seq}\n` : '';
+  return `${idLine}event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+};
 
+/**
+ * Write an event to this instance's clients, all of them or one user's
+ */
+const deliverToClients = (eventName, data, { seq = null, userId = null } = {}) => {
+  const eventString = formatEvent(eventName, data, seq);
+  let failedClients = [];
+  let sentCount = 0;
   
   sseClients.forEach(client => {
+    // Only send to clients belonging to the target user
+    if (userId && String(client.info?.userId) !== String(userId)) {
+      return;
+    }
     try {
       client.res.write(eventString);
-      successCount++;
+      sentCount++;
     } catch (error) {
       const clientId = clientIds.get(client) || 'unknown';
       const tabId = client.info?.tabId || 'unknown';
-      
-
-      
+      if (userId) {
+        console.error(`Error sending event to client ${clientId} (Tab: ${tabId}, User: ${userId}):`, error);
+      }
       // Mark for removal but don't remove during iteration
       failedClients.push(client);
     }
   });
   
   // Clean up failed clients after iteration
-  failedClients.forEach(client => {
-    const clientId = clientIds.get(client) || 'unknown';
-    const tabId = client.info?.tabId || 'unknown';
+  failedClients.forEach(client => removeClient(client));
+  return sentCount;
+};
 
-    removeClient(client);
+/**
+ * Publish through the bus, or deliver here directly when it is down or not started
+ */
+const publishEvent = (eventName, data, userId = null) => {
+  if (!eventBus) {
+    deliverToClients(eventName, data, { userId });
+    return;
+  }
+  eventBus.publish({ event: eventName, data, userId }).catch(error => {
+    console.error(`SSE event bus publish failed for ${eventName}, delivering locally:`, error.message);
+    deliverToClients(eventName, data, { userId });
   });
-  
+};
 
+/**
+ * Start receiving events published by every instance (call once MongoDB is connected)
+ */
+export const startEventFanout = async () => {
+  if (eventBus) return;
+  const bus = selectEventBus();
+  await bus.start(({ seq, event, data, userId }) => {
+    deliverToClients(event, data, { seq, userId });
+  });
+  eventBus = bus;
+  console.log(`SSE event fan-out started (${bus.name})`);
+};
+
+/**
+ * Send a reconnecting client the events it missed since its Last-Event-ID
+ * When the log no longer holds all of them the client is told to refetch.
+ * @param {Object} client - Client added with addClient
+ * @param {string|number} lastEventId - Last-Event-ID header or lastEventId query value
+ * @returns {Promise<number>} Events replayed
+ */
+export const replayMissedEvents = async (client, lastEventId) => {
+  const seq = Number(lastEventId);
+  if (!eventBus || !Number.isInteger(seq) || seq < 0) {
+    return 0;
+  }
+
+  const { events, complete } = await eventBus.replaySince(seq, {
+    userId: client.info?.userId || null,
+    limit: MAX_REPLAY_EVENTS
+  });
+
+  for (const busEvent of events) {
+    client.res.write(formatEvent(busEvent.event, busEvent.data, busEvent.seq));
+  }
+  if (!complete) {
+    client.res.write(formatEvent('replay_incomplete', {
+      lastEventId: seq,
+      message: 'Some events are no longer available; reload current data',
+      timestamp: Date.now()
+    }));
+  }
+  return events.length;
+};
+
+// Send an event to all connected clients, on every instance
+export const broadcastEvent = (eventName, data) => {
+  publishEvent(eventName, data);
 };
 
-// Send an event to clients belonging to a specific user
+// Send an event to clients belonging to a specific user, on every instance
 export const broadcastEventToUser = (eventName, data, targetUserId) => {
   if (!targetUserId) {
     console.error('broadcastEventToUser called without targetUserId');
     return;
   }
 
-  const eventString = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
-  let failedClients = [];
-  let sentCount = 0;
-  
-  sseClients.forEach(client => {
-    // Only send to clients belonging to the target user
-    if (client.info?.userId === targetUserId) {
-      try {
-        client.res.write(eventString);
-        sentCount++;
-      } catch (error) {
-        const clientId = clientIds.get(client) || 'unknown';
-        const tabId = client.info?.tabId || 'unknown';
-        console.error(`Error sending event to client ${clientId} (Tab: ${tabId}, User: ${targetUserId}):`, error);
-        // Mark for removal but don't remove during iteration
-        failedClients.push(client);
-      }
-    }
-  });
-  
-  // Clean up failed clients after iteration
-  failedClients.forEach(client => removeClient(client));
-  
-
+  publishEvent(eventName, data, String(targetUserId));
 };
 
 // For backward compatibility - alias broadcastEvent to broadcastMessage
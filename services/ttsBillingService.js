@@ -0,0 +1,401 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import TTSUsage from '../models/TTSUsage.js';
+import User from '../models/User.js';
+import paymentConfig from '../config/paymentConfig.js';
+import { postLedgerEntry, ledgerAccounts, getBalanceAfter } from './ledgerService.js';
+import { createTransaction } from '../routes/userTransaction.js';
+import { broadcastEventToUser } from './sseService.js';
+import { clearUserCache } from '../utils/userCache.js';
+
+/**
+ * TTS billing
+ *
+ * Every generation is recorded as a TTSUsage document. Characters are covered by
+ * the role's monthly free allowance first; the rest is charged in 🌾 from
+ * User.balance. Audio already on the CDN is charged at cachedPriceRatio.
+ * The full price is charged before the provider is called and the difference
+ * refunded afterwards, so audio is never produced for a user who cannot pay.
+ */
+
+// Texts up to this length are kept on the usage record for support/debugging
+const MAX_STORED_TEXT_LENGTH = 5000;
+
+/**
+ * Get the start and end of a usage period
+ *
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { startDate, endDate }
+ */
+export const getUsagePeriod = (period = 'month', now = new Date()) => {
+  switch (period) {
+    case 'day': {
+      const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      return { startDate, endDate: new Date(startDate.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    case 'week': {
+      const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - now.getDay());
+      return { startDate, endDate: new Date(startDate.getTime() + 7 * 24 * 60 * 60 * 1000) };
+    }
+    case 'month':
+    default:
+      return {
+        startDate: new Date(now.getFullYear(), now.getMonth(), 1),
+        endDate: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+      };
+  }
+};
+
+/**
+ * Get the free characters a user gets per month
+ *
+ * @param {Object} user - User with role
+ * @returns {number} Free characters per calendar month
+ */
+export const getMonthlyFreeCharacters = (user) => {
+  const allowances = paymentConfig.ttsBilling.monthlyFreeCharacters;
+  return allowances[user.role] ?? allowances.user;
+};
+
+/**
+ * Get the free characters a user has left this month
+ *
+ * @param {Object} user - User with _id and role
+ * @param {Object} [session] - Mongoose session for transaction
+ * @returns {Promise<number>} Remaining free characters
+ */
+export const getRemainingFreeCharacters = async (user, session = null) => {
+  const { startDate, endDate } = getUsagePeriod('month');
+  const [used] = await TTSUsage.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(user._id),
+        createdAt: { $gte: startDate, $lt: endDate },
+        freeCharacters: { $gt: 0 }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$freeCharacters' } } }
+  ]).session(session);
+
+  return Math.max(0, getMonthlyFreeCharacters(user) - (used?.total || 0));
+};
+
+/**
+ * Work out what a generation costs a user
+ *
+ * @param {Object} user - User with _id and role
+ * @param {number} characterCount - Characters narrated
+ * @param {Object} [options]
+ * @param {boolean} [options.cacheHit] - Audio was served from the CDN cache
+ * @param {Object} [options.session] - Mongoose session for transaction
+ * @returns {Promise<Object>} { freeCharacters, billableCharacters, amount }
+ */
+export const quoteTTSCharge = async (user, characterCount, { cacheHit = false, session = null } = {}) => {
+  const { luaPerThousandCharacters, cachedPriceRatio } = paymentConfig.ttsBilling;
+
+  // Cached audio costs us nothing to produce, so only a share of it counts
+  const chargedCharacters = cacheHit ? Math.ceil(characterCount * cachedPriceRatio) : characterCount;
+  if (chargedCharacters === 0) {
+    return { freeCharacters: 0, billableCharacters: 0, amount: 0 };
+  }
+
+  const remainingFree = await getRemainingFreeCharacters(user, session);
+  const freeCharacters = Math.min(chargedCharacters, remainingFree);
+  const billableCharacters = chargedCharacters - freeCharacters;
+
+  return {
+    freeCharacters,
+    billableCharacters,
+    amount: Math.ceil(billableCharacters * luaPerThousandCharacters / 1000)
+  };
+};
+
+/**
+ * Run billing writes in one transaction
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Move 🌾 between a user's wallet and the TTS account for a usage record
+ * A positive amount charges the user, a negative one refunds them.
+ *
+ * @returns {Promise<Object>} { balanceAfter, transaction }
+ */
+const postTTSBalanceChange = async (user, usage, amount, description, session) => {
+  const ledgerResult = await postLedgerEntry({
+    type: 'tts',
+    description,
+    lines: [
+      { ...ledgerAccounts.userWallet(user._id), amount: -amount },
+      { ...ledgerAccounts.tts(), amount }
+    ],
+    sourceId: usage._id,
+    sourceModel: 'TTSUsage',
+    performedBy: user._id
+  }, session);
+
+  const transaction = await createTransaction({
+    userId: user._id,
+    amount: -amount,
+    type: 'tts',
+    description,
+    sourceId: usage._id,
+    sourceModel: 'TTSUsage',
+    metadata: {
+      characterCount: usage.characterCount,
+      freeCharacters: usage.freeCharacters,
+      billableCharacters: usage.billableCharacters,
+      cacheHit: usage.cacheHit || false,
+      chapterId: usage.chapterId
+    },
+    performedById: user._id
+  }, session);
+
+  return {
+    balanceAfter: getBalanceAfter(ledgerResult, ledgerAccounts.userWallet(user._id)),
+    transaction
+  };
+};
+
+/**
+ * Tell the user's clients their balance moved
+ */
+const announceBalanceChange = async (user, change, balanceAfter) => {
+  await clearUserCache(user._id, user.username);
+
+  broadcastEventToUser('balance_updated', {
+    userId: user._id,
+    balanceAdded: change,
+    newBalance: balanceAfter,
+    reason: 'tts'
+  }, user._id);
+};
+
+/**
+ * Charge a user for a generation before calling the provider
+ * The quote assumes a cache miss, the most expensive outcome. The charge and a
+ * pending usage record holding the free characters are written in one
+ * transaction, so concurrent requests cannot spend the same balance or allowance.
+ * Settle the reservation with settleTTSUsage once the audio exists, or give it
+ * back with releaseTTSReservation when generation fails.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - User with _id, username and role
+ * @param {string} params.text - Text to narrate
+ * @param {string} params.languageCode - Language code
+ * @param {Object} params.audioConfig - Audio settings
+ * @param {string} [params.chapterId] - Narrated chapter
+ * @param {string} [params.novelId] - Novel of the chapter
+ * @param {string} [params.userAgent] - Client user agent
+ * @param {string} [params.ipAddress] - Client IP
+ * @returns {Promise<Object>} Reservation { user, usage, balanceAfter }
+ */
+export const reserveTTSCharge = async ({
+  user,
+  text,
+  languageCode,
+  audioConfig,
+  chapterId,
+  novelId,
+  userAgent,
+  ipAddress
+}) => {
+  const reservation = await withTransaction(async (session) => {
+    const quote = await quoteTTSCharge(user, text.length, { session });
+
+    const usage = new TTSUsage({
+      userId: user._id,
+      chapterId: mongoose.Types.ObjectId.isValid(chapterId) ? chapterId : undefined,
+      novelId: mongoose.Types.ObjectId.isValid(novelId) ? novelId : undefined,
+      characterCount: text.length,
+      text: text.length <= MAX_STORED_TEXT_LENGTH ? text : undefined,
+      textHash: crypto.createHash('sha256').update(text).digest('hex'),
+      languageCode,
+      audioConfig: {
+        speakingRate: audioConfig.speakingRate,
+        pitch: audioConfig.pitch,
+        volumeGainDb: audioConfig.volumeGainDb
+      },
+      costVND: 0,
+      freeCharacters: quote.freeCharacters,
+      billableCharacters: quote.billableCharacters,
+      chargedAmount: quote.amount,
+      userAgent,
+      ipAddress,
+      status: 'pending'
+    });
+
+    let balanceAfter;
+    if (quote.amount > 0) {
+      const description = `Đọc truyện bằng TTS: ${quote.billableCharacters.toLocaleString('vi-VN')} ký tự`;
+      try {
+        const charge = await postTTSBalanceChange(user, usage, quote.amount, description, session);
+        balanceAfter = charge.balanceAfter;
+        usage.transactionId = charge.transaction._id;
+      } catch (error) {
+        if (error.code === 'INSUFFICIENT_BALANCE') {
+          const { balance = 0 } = await User.findById(user._id).select('balance').session(session).lean() || {};
+          error.message = `Không đủ lúa để tạo audio. Cần ${quote.amount} 🌾, số dư hiện tại ${balance} 🌾`;
+          error.status = 402;
+          error.quote = quote;
+        }
+        throw error;
+      }
+    }
+
+    await usage.save({ session });
+    return { user, usage, balanceAfter };
+  });
+
+  if (reservation.usage.chargedAmount > 0) {
+    await announceBalanceChange(user, -reservation.usage.chargedAmount, reservation.balanceAfter);
+  }
+  return reservation;
+};
+
+/**
+ * Record a finished generation against its reservation
+ * Audio served from the CDN is charged at cachedPriceRatio, and the part of
+ * the reserved charge it does not cost is refunded.
+ *
+ * @param {Object} reservation - Return value of reserveTTSCharge
+ * @param {Object} result - generateTTS result
+ * @param {Object} [options]
+ * @param {number} [options.processingTimeMs] - Generation time
+ * @returns {Promise<Object>} { usage, charged, balanceAfter }
+ */
+export const settleTTSUsage = async (reservation, result, { processingTimeMs } = {}) => {
+  const { user } = reservation;
+  const { luaPerThousandCharacters, cachedPriceRatio } = paymentConfig.ttsBilling;
+
+  const settled = await withTransaction(async (session) => {
+    const usage = await TTSUsage.findById(reservation.usage._id).session(session);
+    const reserved = usage.chargedAmount;
+
+    // Never more than was reserved, whatever the provider reports
+    const chargedCharacters = Math.min(
+      usage.characterCount,
+      result.cacheHit ? Math.ceil(result.characterCount * cachedPriceRatio) : result.characterCount
+    );
+    const freeCharacters = Math.min(chargedCharacters, usage.freeCharacters);
+    const billableCharacters = chargedCharacters - freeCharacters;
+    const amount = Math.min(reserved, Math.ceil(billableCharacters * luaPerThousandCharacters / 1000));
+
+    Object.assign(usage, {
+      characterCount: result.characterCount,
+      voiceName: result.voiceUsed,
+      audioUrl: result.audioUrl,
+      audioDuration: result.duration,
+      costVND: result.estimatedCostVND || 0,
+      cacheHit: result.cacheHit || false,
+      freeCharacters,
+      billableCharacters,
+      chargedAmount: amount,
+      processingTimeMs,
+      status: result.cacheHit ? 'cached' : 'completed'
+    });
+
+    let balanceAfter = reservation.balanceAfter;
+    const refund = reserved - amount;
+    if (refund > 0) {
+      const refunded = await postTTSBalanceChange(user, usage, -refund, `Hoàn lúa TTS: audio có sẵn, ${refund} 🌾`, session);
+      balanceAfter = refunded.balanceAfter;
+    }
+
+    await usage.save({ session });
+    return { usage, charged: amount, balanceAfter, refund };
+  });
+
+  if (settled.refund > 0) {
+    await announceBalanceChange(user, settled.refund, settled.balanceAfter);
+  }
+  return { usage: settled.usage, charged: settled.charged, balanceAfter: settled.balanceAfter };
+};
+
+/**
+ * Give back a reservation whose generation failed
+ * The charge is refunded and the free characters are returned. Failures are
+ * logged so the caller can still report the generation error.
+ *
+ * @param {Object} reservation - Return value of reserveTTSCharge
+ * @param {Error} generationError - Why generation failed
+ */
+export const releaseTTSReservation = async (reservation, generationError) => {
+  const { user } = reservation;
+
+  try {
+    const released = await withTransaction(async (session) => {
+      const usage = await TTSUsage.findById(reservation.usage._id).session(session);
+      const refund = usage.chargedAmount;
+
+      let balanceAfter;
+      if (refund > 0) {
+        const refunded = await postTTSBalanceChange(user, usage, -refund, `Hoàn lúa TTS: tạo audio thất bại, ${refund} 🌾`, session);
+        balanceAfter = refunded.balanceAfter;
+      }
+
+      Object.assign(usage, {
+        freeCharacters: 0,
+        billableCharacters: 0,
+        chargedAmount: 0,
+        status: 'failed',
+        errorMessage: generationError?.message
+      });
+      await usage.save({ session });
+      return { refund, balanceAfter };
+    });
+
+    if (released.refund > 0) {
+      await announceBalanceChange(user, released.refund, released.balanceAfter);
+    }
+  } catch (error) {
+    console.error(`Failed to release TTS reservation ${reservation.usage._id}:`, error);
+  }
+};
+
+/**
+ * Get a user's TTS usage for a period from the usage records
+ *
+ * @param {Object} user - User with _id and role
+ * @param {string} [period] - 'day', 'week' or 'month'
+ * @returns {Promise<Object>} Usage totals and the remaining free allowance
+ */
+export const getTTSUsage = async (user, period = 'month') => {
+  const { startDate, endDate } = getUsagePeriod(period);
+
+  const [usage, remainingQuota] = await Promise.all([
+    TTSUsage.getUserUsage(user._id, startDate, endDate),
+    getRemainingFreeCharacters(user)
+  ]);
+
+  return {
+    totalCharacters: usage.totalCharacters,
+    totalRequests: usage.totalRequests,
+    totalCostVND: usage.totalCostVND,
+    totalCharged: usage.totalCharged,
+    freeCharacters: usage.freeCharacters,
+    billableCharacters: usage.billableCharacters,
+    cacheHits: usage.cacheHits,
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    monthlyFreeCharacters: getMonthlyFreeCharacters(user),
+    remainingQuota
+  };
+};
@@ -3,24 +3,26 @@ import path from 'path';
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import axios from 'axios';
-
-// Google Cloud TTS client will be initialized later
-let TextToSpeechClient = null;
-
-// Google Cloud TTS client (will be initialized when credentials are added)
-let ttsClient = null;
-
-// TTS Usage tracking (in-memory for now, should be moved to database)
-const usageCache = new Map();
+import paymentConfig from '../config/paymentConfig.js';
+import { buildNarrationChunks, buildTimingMap } from '../utils/narrationText.js';
+import { stitchMp3 } from '../utils/mp3.js';
+import { getTTSProvider, getTTSProviders } from '../integrations/ttsProvider.js';
 
 // Configuration
 const TTS_CONFIG = {
-    costPerCharacterUSD: 0.000004, // $4 per 1M characters
     usdToVndRate: 24500, // Approximate exchange rate
-    freeQuotaPerMonth: 1000000, // 1M characters free per month
     cacheDirectory: path.join(process.cwd(), 'public', 'tts-cache'), // Local fallback only
     maxCacheSizeMB: 1000, // 1GB cache limit
-    cacheExpiryHours: 168 // 7 days
+    cacheExpiryHours: 168, // 7 days
+    defaultVoice: 'nu',
+    // Provider whose voice of the same gender is used when a voice's own provider is down
+    fallbackProvider: process.env.TTS_FALLBACK_PROVIDER || 'local'
+};
+
+// Voice names sent by older clients
+const LEGACY_VOICE_ALIASES = {
+    'vi-VN-Standard-A': 'nu',
+    'vi-VN-Standard-D': 'nam'
 };
 
 // Bunny CDN Configuration
@@ -33,8 +35,8 @@ const BUNNY_CONFIG = {
 };
 
 // Calculate cost in VND
-const calculateCostVND = (characterCount) => {
-    const costUSD = characterCount * TTS_CONFIG.costPerCharacterUSD;
+const calculateCostVND = (characterCount, costPerCharacterUSD) => {
+    const costUSD = characterCount * costPerCharacterUSD;
     return Math.ceil(costUSD * TTS_CONFIG.usdToVndRate);
 };
 
@@ -52,7 +54,7 @@ const ensureCacheDirectory = () => {
 };
 
 // Upload audio buffer to Bunny CDN
-const uploadToBunnycdn = async (audioBuffer, filename) => {
+export const uploadToBunnycdn = async (audioBuffer, filename, contentType = 'audio/mpeg') => {
     if (!BUNNY_CONFIG.apiKey) {
         throw new Error('Bunny CDN API key not configured');
     }
@@ -72,7 +74,7 @@ const uploadToBunnycdn = async (audioBuffer, filename) => {
                 const response = await axios.put(bunnyStorageUrl, audioBuffer, {
                     headers: {
                         'AccessKey': BUNNY_CONFIG.apiKey,
-                        'Content-Type': 'audio/mpeg',
+                        'Content-Type': contentType,
                         'Content-Length': audioBuffer.length
                     },
                     timeout: 30000, // 30 second timeout
@@ -80,7 +82,7 @@ const uploadToBunnycdn = async (audioBuffer, filename) => {
                     maxBodyLength: Infinity
                 });
                 
-                console.log(`✅ TTS audio uploaded successfully (${audioBuffer.length} bytes)`);
+                console.log(`✅ TTS file uploaded successfully (${audioBuffer.length} bytes)`);
                 
                 // Return the CDN URL
                 return `${BUNNY_CONFIG.cdnUrl}${storagePath}`;
@@ -129,6 +131,22 @@ const checkBunnyCdnCache = async (filename) => {
     }
 };
 
+// Timing maps are stored next to the audio file
+const getTimingsFilename = (filename) => filename.replace(/\.mp3$/, '.timings.json');
+
+// Download a timing map from the CDN, or null if it doesn't exist
+const fetchTimings = async (timingsUrl) => {
+    try {
+        const response = await axios.get(timingsUrl, {
+            timeout: 3000,
+            validateStatus: (status) => status === 200
+        });
+        return response.data;
+    } catch (error) {
+        return null;
+    }
+};
+
 // Clean old cache files (local fallback only)
 const cleanCache = () => {
     try {
@@ -154,56 +172,50 @@ const cleanCache = () => {
 };
 
 
-// Initialize Google Cloud TTS client
-const initializeTTSClient = async () => {
-    try {
-        // Import Google Cloud TTS
-        const { TextToSpeechClient: TtsClient } = await import('@google-cloud/text-to-speech');
-        TextToSpeechClient = TtsClient;
-        
-        let clientConfig = {
-            projectId: process.env.GOOGLE_CLOUD_PROJECT_ID || 'tts-valvrareteam',
-            quotaProjectId: process.env.GOOGLE_CLOUD_PROJECT_ID || 'tts-valvrareteam',
-        };
+// Get the voices of every provider, with whether each can be used right now
+export const listTTSVoices = () => {
+    return getTTSProviders().flatMap(provider => provider.listVoices().map(voice => ({
+        ...voice,
+        provider: provider.name,
+        available: provider.isAvailable()
+    })));
+};
 
-        // Use service account JSON from environment variable
-        if (process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON) {
-            const credentials = JSON.parse(process.env.GOOGLE_APPLICATION_CREDENTIALS_JSON);
-            clientConfig.credentials = credentials;
-        }
-        
-        ttsClient = new TextToSpeechClient(clientConfig);
-        
-        // Test the connection by listing voices
-        await ttsClient.listVoices({ languageCode: 'vi-VN' });
-        console.log('Google Cloud TTS client initialized successfully');
-        return true;
-    } catch (error) {
-        console.error('Failed to initialize Google Cloud TTS client:', error.message);
-        console.log('TTS service will be unavailable until credentials are configured');
-        return false;
-    }
+// Check whether a voice name is offered by a provider or is a legacy alias
+export const isKnownTTSVoice = (value) => {
+    return Boolean(LEGACY_VOICE_ALIASES[value]) || listTTSVoices().some(voice => voice.value === value);
 };
 
+// Pick the voice and provider for a request; unknown names get the default voice,
+// and a voice whose provider is down is replaced by the fallback provider's voice
+// unless allowFallback is off (stored audio must be in the voice it is filed under)
+export const resolveTTSVoice = (requestedVoice, { allowFallback = true } = {}) => {
+    const value = LEGACY_VOICE_ALIASES[requestedVoice] || requestedVoice;
+    const voices = listTTSVoices();
+    const voice = voices.find(candidate => candidate.value === value)
+        || voices.find(candidate => candidate.value === TTS_CONFIG.defaultVoice);
+
+    if (voice?.available) {
+        return { voice, provider: getTTSProvider(voice.provider) };
+    }
 
-// Map simplified voice names to Google Cloud TTS voice IDs
-const VOICE_MAP = {
-    'nu': 'vi-VN-Standard-A',
-    'nam': 'vi-VN-Standard-D',
-    // Legacy support for old voice names
-    'vi-VN-Standard-A': 'vi-VN-Standard-A',
-    'vi-VN-Standard-D': 'vi-VN-Standard-D'
-};
+    const fallback = allowFallback && voices.find(candidate =>
+        candidate.provider === TTS_CONFIG.fallbackProvider &&
+        candidate.available &&
+        candidate.gender === voice?.gender
+    );
+    if (fallback) {
+        console.warn(`TTS provider for voice "${voice?.value}" unavailable, using ${fallback.provider} voice "${fallback.value}"`);
+        return { voice: fallback, provider: getTTSProvider(fallback.provider) };
+    }
 
-// Map Google voice IDs to simplified names for cache filenames
-const getSimplifiedVoiceName = (voiceName) => {
-    if (voiceName === 'nu' || voiceName === 'nam') return voiceName;
-    if (voiceName === 'vi-VN-Standard-A') return 'nu';
-    if (voiceName === 'vi-VN-Standard-D') return 'nam';
-    return 'nu'; // Default to female voice
+    const error = new Error('Dịch vụ đọc truyện hiện không khả dụng, vui lòng thử lại sau');
+    error.status = 503;
+    error.code = 'TTS_UNAVAILABLE';
+    throw error;
 };
 
-// Generate TTS audio using Google Cloud TTS
+// Generate TTS audio with the provider of the requested voice
 export const generateTTS = async (request) => {
 
     const {
@@ -216,14 +228,14 @@ export const generateTTS = async (request) => {
         chapterInfo = {}
     } = request;
     
-    // Map simplified voice name to Google Cloud TTS voice ID
-    const voiceName = VOICE_MAP[requestedVoice] || VOICE_MAP['nu'];
-
     try {
+        const { voice, provider } = resolveTTSVoice(requestedVoice);
+        const voiceName = voice.providerVoice;
+
         ensureCacheDirectory();
         
         // Generate meaningful filename with full info
-        const { novelSlug, novelTitle, moduleTitle, chapterTitle, chapterId, voiceName: voiceNameFromInfo } = chapterInfo;
+        const { novelSlug, novelTitle, moduleTitle, chapterTitle, chapterId } = chapterInfo;
         
         // Helper function to clean text for filename
         const cleanForFilename = (text, maxLength = 50) => {
@@ -240,13 +252,6 @@ export const generateTTS = async (request) => {
                 .substring(0, maxLength);
         };
         
-        // Extract voice identifier from voice name (simplified to just "nu" or "nam")
-        const extractVoiceId = (voiceName) => {
-            if (!voiceName) return 'nu'; // Default to female
-            // Use the simplified voice name helper
-            return getSimplifiedVoiceName(voiceName);
-        };
-
         let filename;
         if (chapterId || moduleTitle || chapterTitle || novelTitle) {
             // Use novel title if available, otherwise fall back to slug
@@ -255,7 +260,7 @@ export const generateTTS = async (request) => {
             
             const modulePart = moduleTitle ? cleanForFilename(moduleTitle, 20) : 'module';
             const chapterPart = chapterTitle ? cleanForFilename(chapterTitle, 30) : 'chapter';
-            const voicePart = extractVoiceId(voiceNameFromInfo || voiceName);
+            const voicePart = voice.value;
             const hashPart = generateCacheKey(text, voiceName, audioConfig).substring(0, 8);
             
             filename = `${novelPart}-${modulePart}-${chapterPart}-${voicePart}-${hashPart}.mp3`.replace(/--+/g, '-');
@@ -272,129 +277,50 @@ export const generateTTS = async (request) => {
             const bunnyUrl = `${BUNNY_CONFIG.cdnUrl}${storagePath}`;
             console.log(`✅ TTS cache hit on Bunny CDN: ${filename}`);
             
+            // Audio generated before timing maps existed has no timings file
+            const timingsUrl = `${BUNNY_CONFIG.cdnUrl}/${BUNNY_CONFIG.ttsFolder}/${getTimingsFilename(filename)}`;
+            const timings = await fetchTimings(timingsUrl);
+            
             const cacheResult = {
                 audioUrl: bunnyUrl,
+                timingsUrl: timings ? timingsUrl : null,
                 characterCount,
                 estimatedCostVND: 0, // No cost for cached content
                 voiceUsed: voiceName,
+                provider: provider.name,
                 cacheHit: true,
-                duration: Math.ceil(characterCount / 10)
+                duration: timings ? timings.durationMs / 1000 : Math.ceil(characterCount / 10),
+                durationMs: timings?.durationMs
             };
             return cacheResult;
         }
 
-        // Prepare TTS request
-        const ttsRequest = {
-            input: { text },
-            voice: {
-                languageCode,
-                name: voiceName
-            },
-            audioConfig: {
-                audioEncoding: 'MP3',
-                speakingRate: audioConfig.speakingRate || 1.0,
-                pitch: audioConfig.pitch || 0.0,
-                volumeGainDb: audioConfig.volumeGainDb || 0.0,
-                sampleRateHertz: 24000
-            }
-        };
+        // Synthesize sentence-aligned chunks and stitch them into one MP3
+        const narration = await synthesizeNarration(text, { languageCode, voice, provider, audioConfig });
 
-        let ttsResponse;
-        
-        if (ttsClient) {
-            // Use real Google Cloud TTS
-            // Check if text exceeds Google Cloud TTS limit (5000 bytes)
-            const textBytes = Buffer.byteLength(text, 'utf8');
-            
-            try {
-                if (textBytes > 5000) {
-                    // Text exceeds limit, chunk into smaller pieces
-                    
-                    // Split text into chunks that fit within the limit
-                    const chunks = [];
-                    const maxChunkSize = 4500; // Leave some buffer
-                    
-                    // Split by sentences to maintain natural speech flow
-                    const sentences = text.split(/[.!?]+/).filter(s => s.trim());
-                    let currentChunk = '';
-                    
-                    for (const sentence of sentences) {
-                        const potentialChunk = currentChunk + sentence + '.';
-                        if (Buffer.byteLength(potentialChunk, 'utf8') > maxChunkSize && currentChunk) {
-                            chunks.push(currentChunk.trim());
-                            currentChunk = sentence + '.';
-                        } else {
-                            currentChunk = potentialChunk;
-                        }
-                    }
-                    if (currentChunk.trim()) {
-                        chunks.push(currentChunk.trim());
-                    }
-                    
-                    // Generate TTS for each chunk
-                    const audioChunks = [];
-                    for (let i = 0; i < chunks.length; i++) {
-                        const chunkRequest = {
-                            ...ttsRequest,
-                            input: { text: chunks[i] }
-                        };
-                        
-                        const [response] = await ttsClient.synthesizeSpeech(chunkRequest);
-                        audioChunks.push(response.audioContent);
-                    }
-                    
-                    // Combine audio chunks (simple concatenation for MP3)
-                    const combinedAudio = Buffer.concat(audioChunks);
-                    
-                    ttsResponse = {
-                        audioContent: combinedAudio,
-                        characterCount,
-                        voiceUsed: voiceName,
-                        duration: Math.ceil(characterCount / 10),
-                        isChunked: true,
-                        chunkCount: chunks.length
-                    };
-                } else {
-                    // Text is within limit, proceed normally
-                    const [response] = await ttsClient.synthesizeSpeech(ttsRequest);
-                    
-                    ttsResponse = {
-                        audioContent: response.audioContent,
-                        characterCount,
-                        voiceUsed: voiceName,
-                        duration: Math.ceil(characterCount / 10)
-                    };
-                }
-                
-                } catch (googleError) {
-                    console.error('Google Cloud TTS API error:', googleError);
-                    throw new Error(`Google Cloud TTS failed: ${googleError.message}`);
-                }
-        } else {
-            // TTS client not initialized - fail the request
-            throw new Error('Google Cloud TTS service is not properly configured. Please check credentials and try again.');
-        }
-
-        // Upload audio to Bunny CDN
+        // Upload audio and its timing map to Bunny CDN
+        const timingsFilename = getTimingsFilename(filename);
+        const timingsContent = Buffer.from(JSON.stringify(narration.timings));
         let audioUrl;
+        let timingsUrl;
         try {
-            audioUrl = await uploadToBunnycdn(ttsResponse.audioContent, filename);
+            audioUrl = await uploadToBunnycdn(narration.audioContent, filename);
+            timingsUrl = await uploadToBunnycdn(timingsContent, timingsFilename, 'application/json');
             console.log(`✅ TTS audio uploaded to Bunny CDN: ${filename}`);
         } catch (bunnyError) {
             console.error('Failed to upload to Bunny CDN, falling back to local storage:', bunnyError.message);
             
             // Fallback to local storage if Bunny upload fails
             ensureCacheDirectory();
-            const cacheFilePath = path.join(TTS_CONFIG.cacheDirectory, filename);
-            fs.writeFileSync(cacheFilePath, ttsResponse.audioContent);
-            audioUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache/${filename}`;
+            fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, filename), narration.audioContent);
+            fs.writeFileSync(path.join(TTS_CONFIG.cacheDirectory, timingsFilename), timingsContent);
+            const localBaseUrl = `${process.env.BACKEND_URL || 'http://localhost:5000'}/tts-cache`;
+            audioUrl = `${localBaseUrl}/${filename}`;
+            timingsUrl = `${localBaseUrl}/${timingsFilename}`;
         }
         
-        // Track usage
-        trackTTSUsage(userId, characterCount);
-        
-        // Calculate cost
-        const estimatedCostVND = calculateCostVND(characterCount);
+        // Calculate cost (usage is recorded and billed by ttsBillingService)
+        const estimatedCostVND = calculateCostVND(characterCount, provider.pricing.costPerCharacterUSD);
         
         // Clean old local cache files periodically (fallback cleanup)
         if (Math.random() < 0.1) { // 10% chance
@@ -403,10 +329,14 @@ export const generateTTS = async (request) => {
 
         const result = {
             audioUrl,
-            characterCount: ttsResponse.characterCount,
+            timingsUrl,
+            characterCount,
             estimatedCostVND,
-            voiceUsed: ttsResponse.voiceUsed,
-            duration: ttsResponse.duration,
+            voiceUsed: narration.voiceUsed,
+            provider: provider.name,
+            duration: narration.durationMs / 1000,
+            durationMs: narration.durationMs,
+            chunkCount: narration.chunkCount,
             cacheHit: false
         };
         return result;
@@ -414,102 +344,65 @@ export const generateTTS = async (request) => {
     } catch (error) {
         console.error('❌ TTS service error:', error.message);
         console.error('❌ TTS service stack:', error.stack);
-        throw new Error(`TTS generation failed: ${error.message}`);
+        const wrapped = new Error(`TTS generation failed: ${error.message}`);
+        wrapped.code = error.code;
+        wrapped.status = error.status;
+        throw wrapped;
     }
 };
 
-// Track TTS usage for a user
-const trackTTSUsage = (userId, characterCount) => {
-    const today = new Date().toISOString().split('T')[0];
-    const userKey = `${userId}-${today}`;
-    
-    if (!usageCache.has(userKey)) {
-        usageCache.set(userKey, {
-            userId,
-            date: today,
-            totalCharacters: 0,
-            totalRequests: 0,
-            totalCostVND: 0
-        });
+// Synthesize a text of any length: split it at sentence boundaries into request-sized
+// chunks, stitch the MP3 parts into one stream and map each sentence to its audio time
+export const synthesizeNarration = async (text, { languageCode = 'vi-VN', voiceName = TTS_CONFIG.defaultVoice, voice, provider, audioConfig = {}, allowFallback = true } = {}) => {
+    if (!voice || !provider) {
+        ({ voice, provider } = resolveTTSVoice(voiceName, { allowFallback }));
     }
-    
-    const usage = usageCache.get(userKey);
-    usage.totalCharacters += characterCount;
-    usage.totalRequests += 1;
-    usage.totalCostVND += calculateCostVND(characterCount);
-    
-    usageCache.set(userKey, usage);
-    
-    // TODO: Save to database for persistence
-    // Track TTS usage in cache
-};
 
-// Get TTS usage for a user
-export const getTTSUsage = async (userId, period = 'month') => {
-    try {
-        const now = new Date();
-        let startDate, endDate;
-        
-        switch (period) {
-            case 'day':
-                startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-                endDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
-                break;
-            case 'week':
-                const dayOfWeek = now.getDay();
-                startDate = new Date(now.getTime() - dayOfWeek * 24 * 60 * 60 * 1000);
-                startDate.setHours(0, 0, 0, 0);
-                endDate = new Date(startDate.getTime() + 7 * 24 * 60 * 60 * 1000);
-                break;
-            case 'month':
-            default:
-                startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-                endDate = new Date(now.getFullYear(), now.getMonth() + 1, 1);
-                break;
-        }
-        
-        // Calculate usage from cache (TODO: query database)
-        let totalCharacters = 0;
-        let totalRequests = 0;
-        let totalCostVND = 0;
-        
-        for (const [key, usage] of usageCache.entries()) {
-            if (usage.userId === userId) {
-                const usageDate = new Date(usage.date);
-                if (usageDate >= startDate && usageDate < endDate) {
-                    totalCharacters += usage.totalCharacters;
-                    totalRequests += usage.totalRequests;
-                    totalCostVND += usage.totalCostVND;
-                }
-            }
+    const chunks = buildNarrationChunks(text, provider.maxBytes);
+    const audioParts = [];
+    const chunkMarks = [];
+
+    for (const chunk of chunks) {
+        // Providers that report SSML mark timepoints give measured sentence starts
+        if (provider.synthesizeWithMarks) {
+            const { audio, marks } = await provider.synthesizeWithMarks({ segments: chunk.segments, voice, languageCode, audioConfig });
+            audioParts.push(audio);
+            chunkMarks.push(marks);
+        } else {
+            audioParts.push(await provider.synthesize({ text: chunk.text, voice, languageCode, audioConfig }));
+            chunkMarks.push([]);
         }
-        
-        const remainingQuota = Math.max(0, TTS_CONFIG.freeQuotaPerMonth - totalCharacters);
-        
-        return {
-            totalCharacters,
-            totalRequests,
-            totalCostVND,
-            startDate: startDate.toISOString(),
-            endDate: endDate.toISOString(),
-            remainingQuota
-        };
-    } catch (error) {
-        console.error('Error getting TTS usage:', error);
-        throw new Error('Failed to retrieve TTS usage');
     }
+
+    const { audio, durationMs, parts } = stitchMp3(audioParts);
+
+    return {
+        audioContent: audio,
+        durationMs,
+        timings: buildTimingMap(chunks, parts, durationMs, chunkMarks),
+        voiceUsed: voice.providerVoice,
+        provider: provider.name,
+        chunkCount: chunks.length
+    };
 };
 
 // Get TTS pricing information
 export const getTTSPricing = async () => {
+    const defaultProvider = getTTSProviders()[0];
     return {
-        costPerCharacterVND: TTS_CONFIG.costPerCharacterUSD * TTS_CONFIG.usdToVndRate,
-        costPer1000CharactersVND: calculateCostVND(1000),
-        freeQuotaPerMonth: TTS_CONFIG.freeQuotaPerMonth,
-        supportedVoices: [
-            { value: 'nu', label: 'Nữ', googleVoice: 'vi-VN-Standard-A' },
-            { value: 'nam', label: 'Nam', googleVoice: 'vi-VN-Standard-D' }
-        ],
+        costPerCharacterVND: defaultProvider.pricing.costPerCharacterUSD * TTS_CONFIG.usdToVndRate,
+        costPer1000CharactersVND: calculateCostVND(1000, defaultProvider.pricing.costPerCharacterUSD),
+        luaPerThousandCharacters: paymentConfig.ttsBilling.luaPerThousandCharacters,
+        cachedPriceRatio: paymentConfig.ttsBilling.cachedPriceRatio,
+        freeQuotaPerMonth: paymentConfig.ttsBilling.monthlyFreeCharacters,
+        supportedVoices: listTTSVoices().map(voice => ({
+            value: voice.value,
+            label: voice.label,
+            provider: voice.provider,
+            providerVoice: voice.providerVoice,
+            costPer1000CharactersVND: calculateCostVND(1000, getTTSProvider(voice.provider).pricing.costPerCharacterUSD),
+            available: voice.available
+        })),
         qualityLevel: 'Standard quality voices',
         lastUpdated: new Date().toISOString()
     };
@@ -517,7 +410,8 @@ export const getTTSPricing = async () => {
 
 // Initialize TTS service function
 export const initializeTTSService = async () => {
-    await initializeTTSClient();
+    // A provider that fails to start only disables its own voices
+    await Promise.all(getTTSProviders().map(provider => provider.initialize()));
     ensureCacheDirectory();
     
     // Clean cache on startup
@@ -534,6 +428,5 @@ export const initializeTTSService = async () => {
 
 export default {
     generateTTS,
-    getTTSUsage,
     getTTSPricing
 };
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Chapter from '../models/Chapter.js';
+import Novel from '../models/Novel.js';
+import { queueSearchIndexUpdate } from './searchService.js';
+
+/**
+ * Helper function to recalculate and update novel word count with retry logic
+ * @param {string} novelId - The novel ID
+ * @param {object} session - MongoDB session (optional)
+ * @param {number} maxRetries - Maximum number of retry attempts
+ */
+export const recalculateNovelWordCount = async (novelId, session = null, maxRetries = 3) => {
+  let attempt = 0;
+  
+  while (attempt < maxRetries) {
+    try {
+      // Ensure novelId is a proper ObjectId (handle both string and ObjectId inputs)
+      const novelObjectId = mongoose.Types.ObjectId.isValid(novelId) 
+        ? (typeof novelId === 'string' ? mongoose.Types.ObjectId.createFromHexString(novelId) : novelId)
+        : null;
+      
+      if (!novelObjectId) {
+        throw new Error('Invalid novelId provided to recalculateNovelWordCount');
+      }
+      
+      // Aggregate total word count from all chapters in this novel
+      const result = await Chapter.aggregate([
+        { $match: { novelId: novelObjectId } },
+        { 
+          $group: {
+            _id: null,
+            totalWordCount: { $sum: '$wordCount' }
+          }
+        }
+      ]).session(session);
+
+      const totalWordCount = result.length > 0 ? result[0].totalWordCount : 0;
+
+      // Update the novel with the new word count using retry-safe options
+      await Novel.findByIdAndUpdate(
+        novelObjectId,
+        { wordCount: totalWordCount },
+        { 
+          session,
+          // Add options to handle write conflicts better
+          upsert: false,
+          new: true,
+          maxTimeMS: 5000 // 5 second timeout
+        }
+      );
+
+      // Word count is a search facet
+      queueSearchIndexUpdate({ novelId: novelObjectId });
+
+      return totalWordCount;
+    } catch (error) {
+      attempt++;
+      
+      // Check if this is a transient error that can be retried
+      const isRetryableError = error.errorLabels?.includes('TransientTransactionError') ||
+                              error.code === 112 || // WriteConflict
+                              error.code === 11000 || // DuplicateKey
+                              error.code === 16500; // InterruptedAtShutdown
+      
+      if (isRetryableError && attempt < maxRetries) {
+        console.warn(`Retrying novel word count update (attempt ${attempt}/${maxRetries}) for novel ${novelId}:`, error.message);
+        
+        // Exponential backoff with jitter
+        const baseDelay = Math.pow(2, attempt - 1) * 100; // 100ms, 200ms, 400ms
+        const jitter = Math.random() * 50; // Add up to 50ms random jitter
+        await new Promise(resolve => setTimeout(resolve, baseDelay + jitter));
+        
+        continue;
+      }
+      
+      console.error(`Error recalculating novel word count after ${attempt} attempts:`, error);
+      throw error;
+    }
+  }
+};
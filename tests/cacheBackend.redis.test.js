@@ -0,0 +1,76 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createRedisCacheBackend } from '../integrations/cacheBackend.js';
+
+/**
+ * Runs the cache backend contract against a real Redis server. Two backends on
+ * the same prefix stand in for two API instances sharing one cache. Skipped
+ * unless REDIS_URL points at a server it may write to.
+ */
+
+const REDIS_URL = process.env.REDIS_URL;
+
+describe('Redis cache backend', { skip: !REDIS_URL && 'REDIS_URL is not set' }, () => {
+  const prefix = `test:${process.pid}:${Date.now()}:`;
+  let first;
+  let second;
+
+  before(() => {
+    first = createRedisCacheBackend(REDIS_URL, { prefix });
+    second = createRedisCacheBackend(REDIS_URL, { prefix });
+  });
+
+  after(async () => {
+    await first.invalidateTags(['test:*']);
+    await Promise.all([first.close(), second.close()]);
+  });
+
+  test('an entry written by one instance is read by another, ObjectIds and Dates intact', async () => {
+    const value = { _id: new mongoose.Types.ObjectId(), readAt: new Date('2026-01-02T03:04:05Z'), title: 'Chương 1' };
+    await first.set('roundtrip', value, { ttlMs: 60000, tags: ['test:*'] });
+
+    const stored = await second.get('roundtrip');
+    assert.ok(stored._id instanceof mongoose.Types.ObjectId);
+    assert.equal(stored._id.toString(), value._id.toString());
+    assert.ok(stored.readAt instanceof Date);
+    assert.equal(stored.readAt.getTime(), value.readAt.getTime());
+    assert.equal(stored.title, value.title);
+  });
+
+  test('a miss returns undefined', async () => {
+    assert.equal(await first.get('missing'), undefined);
+  });
+
+  test('invalidating a tag on one instance removes the entry for every instance', async () => {
+    await first.set('tagged-a', 1, { ttlMs: 60000, tags: ['test:*', 'test:novel:1'] });
+    await first.set('tagged-b', 2, { ttlMs: 60000, tags: ['test:*', 'test:novel:2'] });
+
+    const removed = await second.invalidateTags(['test:novel:1']);
+
+    assert.equal(removed, 1);
+    assert.equal(await first.get('tagged-a'), undefined);
+    assert.equal(await first.get('tagged-b'), 2);
+  });
+
+  test('delete removes the named keys', async () => {
+    await first.set('deleted', 'x', { ttlMs: 60000, tags: ['test:*'] });
+    await second.delete(['deleted']);
+    assert.equal(await first.get('deleted'), undefined);
+  });
+
+  test('entries expire after their TTL', async () => {
+    await first.set('short-lived', 'x', { ttlMs: 50, tags: ['test:*'] });
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.equal(await second.get('short-lived'), undefined);
+  });
+
+  test('a lock held by one instance is refused to another until released', async () => {
+    assert.equal(await first.acquireLock('lock-target', 5000), true);
+    assert.equal(await second.acquireLock('lock-target', 5000), false);
+
+    await first.releaseLock('lock-target');
+    assert.equal(await second.acquireLock('lock-target', 5000), true);
+    await second.releaseLock('lock-target');
+  });
+});
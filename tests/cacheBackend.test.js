@@ -0,0 +1,85 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryCacheBackend } from '../integrations/cacheBackend.js';
+
+/**
+ * The in-process backend, the default when no Redis URL is set. Same contract
+ * as tests/cacheBackend.redis.test.js, plus the eviction only it does.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('memory cache backend', () => {
+  test('returns the stored value by reference, undefined on a miss', async () => {
+    const backend = createMemoryCacheBackend();
+    const value = { title: 'Chương 1' };
+    await backend.set('a', value, { ttlMs: 60000 });
+
+    assert.equal(await backend.get('a'), value);
+    assert.equal(await backend.get('missing'), undefined);
+  });
+
+  test('entries expire after their TTL', async () => {
+    const backend = createMemoryCacheBackend();
+    await backend.set('short-lived', 1, { ttlMs: 20 });
+    await sleep(40);
+    assert.equal(await backend.get('short-lived'), undefined);
+  });
+
+  test('invalidating a tag removes only the entries carrying it and counts each once', async () => {
+    const backend = createMemoryCacheBackend();
+    await backend.set('a', 1, { ttlMs: 60000, tags: ['novel:1', 'novel:*'] });
+    await backend.set('b', 2, { ttlMs: 60000, tags: ['novel:2', 'novel:*'] });
+    await backend.set('c', 3, { ttlMs: 60000, tags: ['user:1'] });
+
+    assert.equal(await backend.invalidateTags(['novel:1']), 1);
+    assert.equal(await backend.get('a'), undefined);
+    assert.equal(await backend.get('b'), 2);
+
+    assert.equal(await backend.invalidateTags(['novel:2', 'novel:*']), 1);
+    assert.equal(await backend.get('b'), undefined);
+    assert.equal(await backend.get('c'), 3);
+  });
+
+  test('invalidating a tag nothing carries removes nothing', async () => {
+    const backend = createMemoryCacheBackend();
+    assert.equal(await backend.invalidateTags(['novel:404']), 0);
+  });
+
+  test('rewriting a key replaces its tags', async () => {
+    const backend = createMemoryCacheBackend();
+    await backend.set('a', 1, { ttlMs: 60000, tags: ['old'] });
+    await backend.set('a', 2, { ttlMs: 60000, tags: ['new'] });
+
+    assert.equal(await backend.invalidateTags(['old']), 0);
+    assert.equal(await backend.get('a'), 2);
+    assert.equal(await backend.invalidateTags(['new']), 1);
+  });
+
+  test('delete removes the named keys', async () => {
+    const backend = createMemoryCacheBackend();
+    await backend.set('a', 1, { ttlMs: 60000 });
+    await backend.set('b', 2, { ttlMs: 60000 });
+    await backend.delete(['a']);
+
+    assert.equal(await backend.get('a'), undefined);
+    assert.equal(await backend.get('b'), 2);
+  });
+
+  test('beyond maxEntries the oldest entry is evicted', async () => {
+    const backend = createMemoryCacheBackend({ maxEntries: 2 });
+    await backend.set('a', 1, { ttlMs: 60000, tags: ['t'] });
+    await backend.set('b', 2, { ttlMs: 60000 });
+    await backend.set('c', 3, { ttlMs: 60000 });
+
+    assert.equal(await backend.get('a'), undefined);
+    assert.equal(await backend.get('c'), 3);
+    assert.deepEqual(await backend.describe(), { entries: 2, tags: 0, maxEntries: 2 });
+  });
+
+  test('locks always succeed in one process', async () => {
+    const backend = createMemoryCacheBackend();
+    assert.equal(await backend.acquireLock('a', 1000), true);
+    assert.equal(await backend.acquireLock('a', 1000), true);
+  });
+});
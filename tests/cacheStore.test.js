@@ -0,0 +1,229 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The store picks its backend on import; these tests run against the memory backend
+delete process.env.CACHE_REDIS_URL;
+delete process.env.REDIS_URL;
+
+const {
+  createCache,
+  invalidateCacheTags,
+  getCacheStats,
+  novelTag,
+  userTag,
+  ALL_NOVELS_TAG
+} = await import('../utils/cacheStore.js');
+
+/**
+ * Namespaces, tag invalidation, TTLs, load coalescing and the stats endpoint
+ * figures. Each test uses its own namespace so counters start at zero.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let namespaceCounter = 0;
+const freshCache = (options) => createCache(`test-${process.pid}-${++namespaceCounter}`, options);
+
+const statsOf = async (cache) => (await getCacheStats()).namespaces[cache.namespace];
+
+describe('cacheStore', () => {
+  test('uses the memory backend without a Redis URL', async () => {
+    const stats = await getCacheStats();
+    assert.equal(stats.backend, 'memory');
+    assert.equal(stats.shared, false);
+  });
+
+  test('namespaces keep equal keys apart', async () => {
+    const first = freshCache();
+    const second = freshCache();
+    await first.set('key', 'first');
+    await second.set('key', 'second');
+
+    assert.equal(await first.get('key'), 'first');
+    assert.equal(await second.get('key'), 'second');
+  });
+
+  test('undefined is never stored', async () => {
+    const cache = freshCache();
+    await cache.set('key', undefined);
+    assert.equal(await cache.get('key'), undefined);
+    assert.equal((await statsOf(cache)).sets, 0);
+  });
+
+  test('null is stored and returned as a hit', async () => {
+    const cache = freshCache();
+    await cache.set('key', null);
+    assert.equal(await cache.get('key'), null);
+    assert.equal((await statsOf(cache)).hits, 1);
+  });
+
+  test('entries expire after their TTL in seconds', async () => {
+    const cache = freshCache({ ttl: 0.02 });
+    await cache.set('default-ttl', 1);
+    await cache.set('own-ttl', 2, { ttl: 60 });
+    await sleep(40);
+
+    assert.equal(await cache.get('default-ttl'), undefined);
+    assert.equal(await cache.get('own-ttl'), 2);
+  });
+
+  test('invalidating a tag clears it in every namespace', async () => {
+    const first = freshCache();
+    const second = freshCache();
+    await first.set('a', 1, { tags: [novelTag('n1')] });
+    await second.set('b', 2, { tags: [novelTag('n1')] });
+    await second.set('c', 3, { tags: [novelTag('n2')] });
+
+    assert.equal(await invalidateCacheTags(novelTag('n1')), 2);
+    assert.equal(await first.get('a'), undefined);
+    assert.equal(await second.get('b'), undefined);
+    assert.equal(await second.get('c'), 3);
+  });
+
+  test('an id tag also files the entry under its family tag', async () => {
+    const cache = freshCache();
+    await cache.set('a', 1, { tags: [novelTag('n3')] });
+    await cache.set('b', 2, { tags: [userTag('u1')] });
+
+    await invalidateCacheTags(ALL_NOVELS_TAG);
+    assert.equal(await cache.get('a'), undefined);
+    assert.equal(await cache.get('b'), 2);
+  });
+
+  test('invalidateCacheTags accepts arrays and skips empty tags', async () => {
+    const cache = freshCache();
+    await cache.set('a', 1, { tags: ['tag-a'] });
+    await cache.set('b', 2, { tags: ['tag-b'] });
+
+    assert.equal(await invalidateCacheTags(['tag-a', null], 'tag-b', undefined), 2);
+    assert.equal(await invalidateCacheTags(), 0);
+  });
+
+  test('del removes keys of its own namespace only', async () => {
+    const first = freshCache();
+    const second = freshCache();
+    await first.set('key', 1);
+    await second.set('key', 2);
+    await first.del('key');
+
+    assert.equal(await first.get('key'), undefined);
+    assert.equal(await second.get('key'), 2);
+  });
+
+  describe('wrap', () => {
+    test('loads a missing entry once and serves it from the cache afterwards', async () => {
+      const cache = freshCache();
+      let loads = 0;
+      const load = async () => ++loads;
+
+      assert.equal(await cache.wrap('key', load), 1);
+      assert.equal(await cache.wrap('key', load), 1);
+      assert.equal(loads, 1);
+    });
+
+    test('concurrent callers share one load', async () => {
+      const cache = freshCache();
+      let loads = 0;
+      const load = async () => {
+        loads++;
+        await sleep(20);
+        return 'value';
+      };
+
+      const results = await Promise.all([cache.wrap('key', load), cache.wrap('key', load), cache.wrap('key', load)]);
+
+      assert.deepEqual(results, ['value', 'value', 'value']);
+      assert.equal(loads, 1);
+      assert.equal((await statsOf(cache)).coalesced, 2);
+    });
+
+    test('a failed load reaches every waiting caller and is not cached', async () => {
+      const cache = freshCache();
+      const load = async () => {
+        await sleep(10);
+        throw new Error('database down');
+      };
+
+      const results = await Promise.allSettled([cache.wrap('key', load), cache.wrap('key', load)]);
+      assert.deepEqual(results.map(result => result.status), ['rejected', 'rejected']);
+      assert.equal(await cache.wrap('key', async () => 'recovered'), 'recovered');
+    });
+
+    test('undefined results are returned but not stored', async () => {
+      const cache = freshCache();
+      let loads = 0;
+      const load = async () => {
+        loads++;
+        return undefined;
+      };
+
+      assert.equal(await cache.wrap('key', load), undefined);
+      assert.equal(await cache.wrap('key', load), undefined);
+      assert.equal(loads, 2);
+    });
+
+    test('bypass skips the cached value and refreshes it', async () => {
+      const cache = freshCache();
+      await cache.set('key', 'stale');
+
+      assert.equal(await cache.wrap('key', async () => 'fresh', { bypass: true }), 'fresh');
+      assert.equal(await cache.get('key'), 'fresh');
+    });
+
+    test('tags can be derived from the loaded value', async () => {
+      const cache = freshCache();
+      await cache.wrap('key', async () => ({ novelId: 'n4' }), { tags: value => [novelTag(value.novelId)] });
+
+      assert.equal(await invalidateCacheTags(novelTag('n4')), 1);
+      assert.equal(await cache.get('key'), undefined);
+    });
+
+    test('a load that an invalidation overtook is returned but not stored', async () => {
+      const cache = freshCache();
+      const pending = cache.wrap('key', async () => {
+        await sleep(20);
+        return 'read before the write';
+      }, { tags: [novelTag('n5')] });
+
+      await sleep(5);
+      await invalidateCacheTags(novelTag('n5'));
+
+      assert.equal(await pending, 'read before the write');
+      assert.equal(await cache.get('key'), undefined);
+    });
+
+    test('callers after an invalidation start a fresh load instead of joining the old one', async () => {
+      const cache = freshCache();
+      let loads = 0;
+      const load = async () => {
+        const run = ++loads;
+        await sleep(20);
+        return run;
+      };
+
+      const first = cache.wrap('key', load, { tags: [novelTag('n6')] });
+      await sleep(5);
+      await invalidateCacheTags(novelTag('n6'));
+      const second = cache.wrap('key', load, { tags: [novelTag('n6')] });
+
+      assert.equal(await first, 1);
+      assert.equal(await second, 2);
+    });
+  });
+
+  test('counts hits, misses and the hit rate per namespace', async () => {
+    const cache = freshCache();
+    await cache.get('key');
+    await cache.set('key', 1);
+    await cache.get('key');
+    await cache.get('key');
+    await cache.del('key');
+
+    const stats = await statsOf(cache);
+    assert.equal(stats.hits, 2);
+    assert.equal(stats.misses, 1);
+    assert.equal(stats.sets, 1);
+    assert.equal(stats.deletes, 1);
+    assert.equal(stats.hitRate, 0.667);
+  });
+});
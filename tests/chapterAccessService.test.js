@@ -0,0 +1,213 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  ACCESS_GRANTED_REASONS as GRANTED,
+  ACCESS_DENIED_REASONS as DENIED,
+  evaluateChapterAccess,
+  evaluateModuleAccess
+} from '../services/chapterAccessService.js';
+
+/**
+ * Table-driven checks of the chapter access policy: every role against every
+ * module mode × chapter mode, then the entitlement and staff cases that change
+ * the outcome for ordinary readers.
+ */
+
+const makeUser = (role, username) => ({
+  _id: new mongoose.Types.ObjectId(),
+  username,
+  displayName: username,
+  role
+});
+
+const USERS = {
+  admin: makeUser('admin', 'admin1'),
+  moderator: makeUser('moderator', 'mod1'),
+  pj_user: makeUser('pj_user', 'pj1'),
+  user: makeUser('user', 'reader1'),
+  anonymous: null
+};
+
+const translator = makeUser('user', 'translator1');
+const chapterEditor = makeUser('user', 'editor1');
+const unassignedPjUser = makeUser('pj_user', 'pj2');
+
+// Staff lists mix the shapes stored in production: ObjectIds, id strings and usernames
+const novel = {
+  _id: new mongoose.Types.ObjectId(),
+  active: {
+    pj_user: [USERS.pj_user._id],
+    translator: [translator.username],
+    editor: [],
+    proofreader: []
+  }
+};
+
+const MODULE_MODES = ['published', 'paid', 'draft'];
+const CHAPTER_MODES = ['published', 'protected', 'paid', 'draft'];
+
+const ALLOWED = (reason) => ({ hasAccess: true, reason });
+const BLOCKED = (reason) => ({ hasAccess: false, reason });
+
+const everyChapterMode = (outcome) => Object.fromEntries(CHAPTER_MODES.map(mode => [mode, outcome]));
+
+const READER_EXPECTATIONS = (protectedOutcome) => ({
+  published: {
+    published: ALLOWED(GRANTED.PUBLISHED),
+    protected: protectedOutcome,
+    paid: BLOCKED(DENIED.PAID_CHAPTER),
+    draft: BLOCKED(DENIED.DRAFT)
+  },
+  paid: {
+    published: BLOCKED(DENIED.PAID_MODULE),
+    protected: BLOCKED(DENIED.PAID_MODULE),
+    paid: BLOCKED(DENIED.PAID_MODULE),
+    draft: BLOCKED(DENIED.DRAFT)
+  },
+  draft: everyChapterMode(BLOCKED(DENIED.DRAFT))
+});
+
+// EXPECTED[role][moduleMode][chapterMode]
+const EXPECTED = {
+  admin: Object.fromEntries(MODULE_MODES.map(mode => [mode, everyChapterMode(ALLOWED(GRANTED.ADMIN))])),
+  moderator: Object.fromEntries(MODULE_MODES.map(mode => [mode, everyChapterMode(ALLOWED(GRANTED.ADMIN))])),
+  pj_user: Object.fromEntries(MODULE_MODES.map(mode => [mode, everyChapterMode(ALLOWED(GRANTED.PJ_USER))])),
+  user: READER_EXPECTATIONS(ALLOWED(GRANTED.PROTECTED)),
+  anonymous: READER_EXPECTATIONS(BLOCKED(DENIED.LOGIN_REQUIRED))
+};
+
+// EXPECTED_MODULE[role][moduleMode]
+const EXPECTED_MODULE = {
+  admin: { published: ALLOWED(GRANTED.ADMIN), paid: ALLOWED(GRANTED.ADMIN), draft: ALLOWED(GRANTED.ADMIN) },
+  moderator: { published: ALLOWED(GRANTED.ADMIN), paid: ALLOWED(GRANTED.ADMIN), draft: ALLOWED(GRANTED.ADMIN) },
+  pj_user: { published: ALLOWED(GRANTED.PJ_USER), paid: ALLOWED(GRANTED.PJ_USER), draft: ALLOWED(GRANTED.PJ_USER) },
+  user: { published: ALLOWED(GRANTED.PUBLISHED), paid: BLOCKED(DENIED.PAID_MODULE), draft: BLOCKED(DENIED.DRAFT) },
+  anonymous: { published: ALLOWED(GRANTED.PUBLISHED), paid: BLOCKED(DENIED.PAID_MODULE), draft: BLOCKED(DENIED.DRAFT) }
+};
+
+const chapterIn = (mode, extra = {}) => ({ _id: new mongoose.Types.ObjectId(), mode, ...extra });
+const moduleIn = (mode) => ({ _id: new mongoose.Types.ObjectId(), mode });
+
+describe('evaluateChapterAccess: role × module mode × chapter mode', () => {
+  for (const [role, user] of Object.entries(USERS)) {
+    for (const moduleMode of MODULE_MODES) {
+      for (const chapterMode of CHAPTER_MODES) {
+        const expected = EXPECTED[role][moduleMode][chapterMode];
+        test(`${role} / ${moduleMode} module / ${chapterMode} chapter -> ${expected.reason}`, () => {
+          const decision = evaluateChapterAccess({
+            user,
+            chapter: chapterIn(chapterMode),
+            novel,
+            module: moduleIn(moduleMode)
+          });
+          assert.deepEqual(decision, expected);
+        });
+      }
+    }
+  }
+});
+
+describe('evaluateModuleAccess: role × module mode', () => {
+  for (const [role, user] of Object.entries(USERS)) {
+    for (const moduleMode of MODULE_MODES) {
+      const expected = EXPECTED_MODULE[role][moduleMode];
+      test(`${role} / ${moduleMode} module -> ${expected.reason}`, () => {
+        assert.deepEqual(evaluateModuleAccess({ user, module: moduleIn(moduleMode), novel }), expected);
+      });
+    }
+  }
+});
+
+describe('entitlements and staff', () => {
+  const rental = { _id: new mongoose.Types.ObjectId() };
+  const chapterPurchase = { contentType: 'chapter' };
+  const modulePurchase = { contentType: 'module' };
+
+  const cases = [
+    {
+      name: 'reader with a rental reads a published chapter in a paid module',
+      params: { user: USERS.user, chapter: chapterIn('published'), module: moduleIn('paid'), rental },
+      expected: ALLOWED(GRANTED.MODULE_RENTAL)
+    },
+    {
+      name: 'reader who bought the module reads a published chapter in it',
+      params: { user: USERS.user, chapter: chapterIn('published'), module: moduleIn('paid'), purchase: modulePurchase },
+      expected: ALLOWED(GRANTED.MODULE_PURCHASE)
+    },
+    {
+      name: 'a chapter purchase does not open a paid module',
+      params: { user: USERS.user, chapter: chapterIn('published'), module: moduleIn('paid'), purchase: chapterPurchase },
+      expected: BLOCKED(DENIED.PAID_MODULE)
+    },
+    {
+      name: 'reader with a rental reads a paid chapter',
+      params: { user: USERS.user, chapter: chapterIn('paid'), module: moduleIn('published'), rental },
+      expected: ALLOWED(GRANTED.RENTAL)
+    },
+    {
+      name: 'reader who bought the chapter reads it',
+      params: { user: USERS.user, chapter: chapterIn('paid'), module: moduleIn('published'), purchase: chapterPurchase },
+      expected: ALLOWED(GRANTED.PURCHASE)
+    },
+    {
+      name: 'anonymous reader with a rental object is still refused',
+      params: { user: null, chapter: chapterIn('paid'), module: moduleIn('published'), rental },
+      expected: BLOCKED(DENIED.PAID_CHAPTER)
+    },
+    {
+      name: 'a rental does not open a draft chapter',
+      params: { user: USERS.user, chapter: chapterIn('draft'), module: moduleIn('paid'), rental },
+      expected: BLOCKED(DENIED.DRAFT)
+    },
+    {
+      name: 'novel translator sees a draft chapter',
+      params: { user: translator, chapter: chapterIn('draft'), module: moduleIn('published') },
+      expected: ALLOWED(GRANTED.DRAFT_STAFF)
+    },
+    {
+      name: 'novel translator sees chapters of a draft module',
+      params: { user: translator, chapter: chapterIn('published'), module: moduleIn('draft') },
+      expected: ALLOWED(GRANTED.DRAFT_STAFF)
+    },
+    {
+      name: 'novel translator still pays for a paid module',
+      params: { user: translator, chapter: chapterIn('published'), module: moduleIn('paid') },
+      expected: BLOCKED(DENIED.PAID_MODULE)
+    },
+    {
+      name: 'chapter editor sees the draft chapter they are assigned to',
+      params: {
+        user: chapterEditor,
+        chapter: chapterIn('draft', { editor: chapterEditor._id.toString() }),
+        module: moduleIn('published')
+      },
+      expected: ALLOWED(GRANTED.DRAFT_STAFF)
+    },
+    {
+      name: 'chapter editor does not see other chapters of a draft module',
+      params: {
+        user: chapterEditor,
+        chapter: chapterIn('published', { editor: chapterEditor._id.toString() }),
+        module: moduleIn('draft')
+      },
+      expected: BLOCKED(DENIED.DRAFT)
+    },
+    {
+      name: 'pj_user of another novel is treated as a reader',
+      params: { user: unassignedPjUser, chapter: chapterIn('draft'), module: moduleIn('published') },
+      expected: BLOCKED(DENIED.DRAFT)
+    },
+    {
+      name: 'chapter without a loaded module falls back to its own mode',
+      params: { user: USERS.user, chapter: chapterIn('paid'), module: null },
+      expected: BLOCKED(DENIED.PAID_CHAPTER)
+    }
+  ];
+
+  for (const { name, params, expected } of cases) {
+    test(name, () => {
+      assert.deepEqual(evaluateChapterAccess({ novel, ...params }), expected);
+    });
+  }
+});
@@ -0,0 +1,194 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractTextWithOffsets, lintChapterText, LINT_ISSUE_TYPES } from '../utils/chapterLint.js';
+
+/**
+ * Table-driven checks of the chapter linter: each issue type, with the
+ * offsets the editor highlights pointing at the right characters of the
+ * original HTML, entities and markup included.
+ */
+
+const term = (sourceTerm, preferred, forbiddenVariants = [], caseSensitive = false) => ({
+  _id: `term-${sourceTerm}`,
+  sourceTerm,
+  preferred,
+  forbiddenVariants,
+  caseSensitive
+});
+
+const GLOSSARY = [
+  term('魔王', 'Ma Vương', ['Quỷ Vương']),
+  term('Aria', 'Aria', ['Arya']),
+  term('Holy Sword', 'Thánh Kiếm', ['Kiếm Thánh'], true)
+];
+
+// Position of the nth occurrence of a fragment in the source
+const locate = (source, fragment, occurrence = 0) => {
+  let start = -1;
+  for (let i = 0; i <= occurrence; i++) {
+    start = source.indexOf(fragment, start + 1);
+  }
+  assert.ok(start !== -1, `${fragment} is in the source`);
+  return { start, end: start + fragment.length };
+};
+
+describe('extractTextWithOffsets', () => {
+  test('maps every character back to the HTML it came from', () => {
+    const html = '<p>Tôi&nbsp;<b>đi</b></p><p>&#8220;A&#x201D;</p>';
+    const { text, starts, ends } = extractTextWithOffsets(html);
+
+    assert.equal(text, '\nTôi\u00a0đi\n\n“A”\n');
+    assert.equal(html.slice(starts[4], ends[4]), '&nbsp;');
+    assert.equal(html.slice(starts[5], ends[5]), 'đ');
+    assert.equal(html.slice(starts[9], ends[9]), '&#8220;');
+    assert.equal(html.slice(starts[11], ends[11]), '&#x201D;');
+  });
+
+  test('skips scripts and styles', () => {
+    assert.equal(extractTextWithOffsets('a<script>"x"</script>b<style>p{}</style>c').text, 'abc');
+  });
+
+  test('keeps text that only looks like markup', () => {
+    assert.equal(extractTextWithOffsets('1 < 2 & 3 &bogus; <').text, '1 < 2 & 3 &bogus; <');
+  });
+});
+
+describe('lintChapterText', () => {
+  const CASES = [
+    {
+      name: 'a forbidden variant of a glossary term',
+      html: '<p>Quỷ Vương đã đến.</p>',
+      issues: [{ type: 'glossary_variant', fragment: 'Quỷ Vương', expected: 'Ma Vương' }]
+    },
+    {
+      name: 'a forbidden variant in any case',
+      html: 'arya cười.',
+      issues: [{ type: 'glossary_variant', fragment: 'arya', expected: 'Aria' }]
+    },
+    {
+      name: 'a source term left untranslated',
+      html: '<p>Cô ấy cầm Holy Sword lên.</p>',
+      issues: [{ type: 'glossary_untranslated', fragment: 'Holy Sword', expected: 'Thánh Kiếm' }]
+    },
+    {
+      name: 'a case-sensitive term in another case',
+      html: 'một holy sword cũ',
+      issues: []
+    },
+    {
+      name: 'a term split across whitespace and tags',
+      html: 'Quỷ <i>Vương</i>',
+      issues: [{ type: 'glossary_variant', fragment: 'Quỷ <i>Vương', expected: 'Ma Vương' }]
+    },
+    {
+      name: 'a variant only as part of a longer word',
+      html: 'Aryanna đến.',
+      issues: []
+    },
+    {
+      name: 'CJK text left in the chapter',
+      html: '<p>Anh ấy nói 你好吗 rồi đi.</p>',
+      issues: [{ type: 'untranslated_cjk', fragment: '你好吗' }]
+    },
+    {
+      name: 'a CJK glossary term is reported once, as untranslated',
+      html: 'Đó là 魔王.',
+      issues: [{ type: 'glossary_untranslated', fragment: '魔王', expected: 'Ma Vương' }]
+    },
+    {
+      name: 'an English sentence left in the chapter',
+      html: '<p>Cô ấy nói: What are you doing here?</p>',
+      issues: [{ type: 'untranslated_latin', fragment: 'What are you doing here' }]
+    },
+    {
+      name: 'an English run starts at a whole word, not the tail of an accented one',
+      html: 'Cô ấy hỏi do you know him',
+      issues: [{ type: 'untranslated_latin', fragment: 'do you know him' }]
+    },
+    {
+      name: 'Latin words without English function words',
+      html: 'Lorem ipsum dolor sit amet.',
+      issues: []
+    },
+    {
+      name: 'Vietnamese without diacritics is not English',
+      html: 'Toi di hoc ve muon.',
+      issues: []
+    },
+    {
+      name: 'an unclosed curly quote',
+      html: '<p>“Đi thôi, anh nói.</p>',
+      issues: [{ type: 'unbalanced_quote', fragment: '“' }]
+    },
+    {
+      name: 'a curly quote closed without opening',
+      html: 'Đi thôi” anh nói.',
+      issues: [{ type: 'unbalanced_quote', fragment: '”' }]
+    },
+    {
+      name: 'an odd number of straight quotes reports the last one',
+      html: 'Anh nói "đi" rồi "thôi.',
+      issues: [{ type: 'unbalanced_quote', fragment: '"', occurrence: 2 }]
+    },
+    {
+      name: 'an encoded quote is reported at its entity',
+      html: '<p>&ldquo;Chào</p>',
+      issues: [{ type: 'unbalanced_quote', fragment: '&ldquo;' }]
+    },
+    {
+      name: 'quotes balanced within each paragraph',
+      html: '<p>“Một.”</p><p>«Hai» và "ba"</p><p>「Bốn」</p>',
+      issues: []
+    },
+    {
+      name: 'a quote closed in the next paragraph',
+      html: '<p>“Một.</p><p>Hai.”</p>',
+      issues: [{ type: 'unbalanced_quote', fragment: '“' }, { type: 'unbalanced_quote', fragment: '”' }]
+    },
+    {
+      name: 'markup attributes are never matched',
+      html: '<p title="What are you doing here" class="Quỷ Vương">Xin chào.</p>',
+      issues: []
+    }
+  ];
+
+  for (const { name, html, issues } of CASES) {
+    test(name, () => {
+      const result = lintChapterText(html, GLOSSARY);
+
+      assert.deepEqual(
+        result.issues.map(({ type, start, end, expected }) => ({ type, start, end, expected })),
+        issues.map(({ type, fragment, occurrence, expected }) => ({ type, ...locate(html, fragment, occurrence), expected }))
+      );
+    });
+  }
+
+  test('issues are sorted by position and counted by type', () => {
+    const html = '<p>Quỷ Vương nói 你好 với Arya: “Đi.</p>';
+    const { issues, summary } = lintChapterText(html, GLOSSARY);
+
+    assert.deepEqual(issues.map(issue => issue.type), ['glossary_variant', 'untranslated_cjk', 'glossary_variant', 'unbalanced_quote']);
+    assert.deepEqual(issues.map(issue => issue.start), [...issues.map(issue => issue.start)].sort((a, b) => a - b));
+    assert.deepEqual(Object.keys(summary), LINT_ISSUE_TYPES);
+    assert.deepEqual(summary, {
+      glossary_variant: 2,
+      glossary_untranslated: 0,
+      untranslated_cjk: 1,
+      untranslated_latin: 0,
+      unbalanced_quote: 1
+    });
+  });
+
+  test('reports the matched text and the glossary term it belongs to', () => {
+    const [issue] = lintChapterText('Quỷ Vương', GLOSSARY).issues;
+
+    assert.equal(issue.text, 'Quỷ Vương');
+    assert.equal(issue.termId, 'term-魔王');
+    assert.match(issue.message, /Ma Vương/);
+  });
+
+  test('empty content has no issues', () => {
+    assert.deepEqual(lintChapterText('', GLOSSARY).issues, []);
+    assert.deepEqual(lintChapterText(null).issues, []);
+  });
+});
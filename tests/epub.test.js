@@ -0,0 +1,147 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { escapeXml, htmlToXhtml, collectImageSources, buildEpub } from '../utils/epub.js';
+import { readZip } from '../utils/zip.js';
+
+/**
+ * Table-driven checks of the editor HTML to XHTML conversion, then a whole
+ * book packaged and checked the way a reader app opens it.
+ */
+
+const hasUnzip = (() => {
+  try {
+    execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'epub-test-'));
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+describe('escapeXml', () => {
+  test('escapes markup characters and treats missing values as empty', () => {
+    assert.equal(escapeXml('<a href="x">Tom & Jerry</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&lt;/a&gt;');
+    assert.equal(escapeXml(null), '');
+    assert.equal(escapeXml(42), '42');
+  });
+});
+
+describe('htmlToXhtml', () => {
+  const CASES = [
+    { name: 'closes tags left open', html: '<p>Một<p><b>Hai', expected: '<p>Một<p><b>Hai</b></p></p>' },
+    { name: 'drops stray closing tags', html: 'Chữ</span></p>', expected: 'Chữ' },
+    { name: 'closes inner elements with their parent', html: '<p><i>nghiêng</p>', expected: '<p><i>nghiêng</i></p>' },
+    { name: 'self-closes void elements', html: 'a<br>b<hr class="x">', expected: 'a<br/>b<hr class="x"/>' },
+    { name: 'drops scripts, styles and comments', html: '<p>a</p><script>alert(1)</script><style>p{}</style><!-- note -->', expected: '<p>a</p>' },
+    { name: 'drops event handlers and script URLs', html: '<a href="javascript:alert(1)" onclick="x()" title="t">link</a>', expected: '<a title="t">link</a>' },
+    { name: 'drops namespaced Office markup', html: '<p>a<o:p></o:p></p>', expected: '<p>a</p>' },
+    { name: 'quotes bare and unquoted attributes', html: '<td colspan=2 nowrap>x</td>', expected: '<td colspan="2" nowrap="nowrap">x</td>' },
+    { name: 'turns named entities into numeric references', html: 'a&nbsp;b&hellip;&amp;', expected: 'a&#160;b&#8230;&#38;' },
+    { name: 'escapes unknown entities and bare ampersands', html: 'R&D &foo; <', expected: 'R&amp;D &amp;foo; &lt;' },
+    { name: 'keeps numeric references', html: '&#8220;x&#x201D;', expected: '&#8220;x&#x201D;' },
+    { name: 'returns an empty string for no content', html: '', expected: '' }
+  ];
+
+  for (const { name, html, expected } of CASES) {
+    test(name, () => {
+      assert.equal(htmlToXhtml(html), expected);
+    });
+  }
+
+  const IMAGE_CASES = [
+    {
+      name: 'points a mapped image at its local copy',
+      html: '<img src="https://cdn.example/a.jpg" alt="Minh họa" width="10">',
+      expected: '<img src="../images/a.jpg" alt="Minh họa"/>'
+    },
+    {
+      name: 'replaces an unmapped image with its alt text',
+      html: '<img src="https://elsewhere.example/b.jpg" alt="Bản đồ">',
+      expected: '[Bản đồ]'
+    },
+    {
+      name: 'drops an unmapped image without alt text',
+      html: 'x<img src="https://elsewhere.example/b.jpg">y',
+      expected: 'xy'
+    }
+  ];
+
+  const mapImage = (src) => src === 'https://cdn.example/a.jpg' ? '../images/a.jpg' : null;
+
+  for (const { name, html, expected } of IMAGE_CASES) {
+    test(name, () => {
+      assert.equal(htmlToXhtml(html, { mapImage }), expected);
+    });
+  }
+});
+
+describe('collectImageSources', () => {
+  test('returns absolute http(s) sources in document order', () => {
+    const html = `<img src="https://a.example/1.png"><img alt="x" src='http://b.example/2.jpg'>
+      <img src=/relative.png><img src="data:image/png;base64,AAAA">`;
+    assert.deepEqual(collectImageSources(html), ['https://a.example/1.png', 'http://b.example/2.jpg']);
+  });
+});
+
+describe('buildEpub', () => {
+  const book = {
+    identifier: 'urn:valvrare:module:test',
+    title: 'Tập 1 & những chuyện khác',
+    author: 'Tác giả',
+    description: '<p>Giới thiệu<br>ngắn',
+    cover: { data: Buffer.from('cover-bytes'), mediaType: 'image/jpeg', extension: 'jpg' },
+    images: [{ src: 'https://cdn.example/a.jpg', href: 'images/image-1.jpg', data: Buffer.from('img'), mediaType: 'image/jpeg' }],
+    sections: [{
+      title: 'Tập 1',
+      chapters: [
+        {
+          title: 'Chương 1',
+          content: '<p>Mở đầu[1]<img src="https://cdn.example/a.jpg" alt="a"></p>',
+          footnotes: [{ id: 1, name: '1', content: 'Chú thích' }],
+          credits: { translator: 'Người dịch' }
+        },
+        { title: 'Chương 2', content: '<p>Tiếp theo' }
+      ]
+    }],
+    modified: new Date('2026-03-04T05:06:07Z')
+  };
+
+  const epub = buildEpub(book);
+  const files = readZip(epub);
+
+  test('starts with the stored mimetype entry', () => {
+    assert.equal(epub.readUInt16LE(8), 0);
+    assert.equal(epub.toString('latin1', 30, 38), 'mimetype');
+    assert.equal(files.get('mimetype').toString(), 'application/epub+zip');
+  });
+
+  test('lists every page in the manifest and spine', () => {
+    const opf = files.get('OEBPS/content.opf').toString();
+    for (const page of ['text/cover.xhtml', 'text/title.xhtml', 'text/chapter-1.xhtml', 'text/chapter-2.xhtml', 'nav.xhtml', 'images/image-1.jpg']) {
+      assert.ok(files.has(`OEBPS/${page}`), page);
+      assert.match(opf, new RegExp(`href="${page}"`));
+    }
+    assert.match(opf, /<dc:title>Tập 1 &amp; những chuyện khác<\/dc:title>/);
+    assert.match(opf, /<meta property="dcterms:modified">2026-03-04T05:06:07Z<\/meta>/);
+  });
+
+  test('links footnote markers and local images in chapters', () => {
+    const chapter = files.get('OEBPS/text/chapter-1.xhtml').toString();
+    assert.match(chapter, /<a epub:type="noteref" class="noteref" id="ref-fn-1-1" href="#fn-1-1">\[1\]<\/a>/);
+    assert.match(chapter, /<aside epub:type="footnote" class="footnote" id="fn-1-1">/);
+    assert.match(chapter, /<img src="\.\.\/images\/image-1\.jpg" alt="a"\/>/);
+    assert.match(chapter, /Dịch: Người dịch/);
+  });
+
+  test('passes unzip -t', { skip: !hasUnzip && 'unzip is not installed' }, () => {
+    const file = path.join(workDir, 'book.epub');
+    fs.writeFileSync(file, epub);
+    assert.match(execFileSync('unzip', ['-t', file], { encoding: 'utf8' }), /No errors detected/);
+  });
+});
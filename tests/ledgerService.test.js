@@ -0,0 +1,201 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  ledgerAccounts,
+  normalizeLedgerLines,
+  buildBalanceUpdateFilter,
+  findBalanceDiscrepancy,
+  buildUserToNovelPaymentLines
+} from '../services/ledgerService.js';
+
+/**
+ * Table-driven checks of the ledger rules that need no database: entries must
+ * balance, wallet debits carry the overdraft guard, and the invariant check
+ * only flags balances that really disagree.
+ */
+
+const userId = new mongoose.Types.ObjectId();
+const novelId = new mongoose.Types.ObjectId();
+
+const line = (account, amount) => ({ ...account, amount });
+
+describe('normalizeLedgerLines', () => {
+  const BALANCED = [
+    {
+      name: 'a two-line transfer',
+      lines: [line(ledgerAccounts.userWallet(userId), -100), line(ledgerAccounts.novelBalance(novelId), 100)]
+    },
+    {
+      name: 'a split across several accounts',
+      lines: [
+        line(ledgerAccounts.userWallet(userId), -100),
+        line(ledgerAccounts.novelBalance(novelId), 70),
+        line(ledgerAccounts.platform(), 30)
+      ]
+    },
+    {
+      name: 'fractional amounts that sum to zero up to rounding',
+      lines: [
+        line(ledgerAccounts.userWallet(userId), -0.3),
+        line(ledgerAccounts.tts(), 0.1),
+        line(ledgerAccounts.tts(), 0.2)
+      ]
+    }
+  ];
+
+  for (const { name, lines } of BALANCED) {
+    test(`accepts ${name}`, () => {
+      assert.equal(normalizeLedgerLines('test', lines).length, lines.length);
+    });
+  }
+
+  const UNBALANCED = [
+    {
+      name: 'a debit without a credit',
+      lines: [line(ledgerAccounts.userWallet(userId), -100)]
+    },
+    {
+      name: 'a credit larger than the debit',
+      lines: [line(ledgerAccounts.userWallet(userId), -100), line(ledgerAccounts.novelBalance(novelId), 101)]
+    },
+    {
+      name: 'lines that only balance if a zero line counted',
+      lines: [line(ledgerAccounts.platform(), -5), line(ledgerAccounts.userWallet(userId), 0)]
+    }
+  ];
+
+  for (const { name, lines } of UNBALANCED) {
+    test(`rejects ${name}`, () => {
+      assert.throws(() => normalizeLedgerLines('purchase', lines), /Unbalanced ledger entry \(purchase\)/);
+    });
+  }
+
+  test('drops zero lines and gives system accounts a null accountId', () => {
+    const normalized = normalizeLedgerLines('test', [
+      { accountType: 'platform', amount: -10 },
+      line(ledgerAccounts.novelBudget(novelId), 0),
+      { ...line(ledgerAccounts.userWallet(userId), 10), balanceAfter: 99 }
+    ]);
+
+    assert.deepEqual(normalized, [
+      { accountType: 'platform', accountId: null, amount: -10 },
+      { accountType: 'user_wallet', accountId: userId, amount: 10 }
+    ]);
+  });
+
+  test('an entry where nothing moves normalizes to no lines', () => {
+    assert.deepEqual(normalizeLedgerLines('test', [line(ledgerAccounts.userWallet(userId), 0)]), []);
+  });
+});
+
+describe('buildBalanceUpdateFilter', () => {
+  const CASES = [
+    {
+      name: 'a wallet debit must be covered by the balance',
+      line: line(ledgerAccounts.userWallet(userId), -150),
+      allowOverdraft: false,
+      expected: { _id: userId, balance: { $gte: 150 } }
+    },
+    {
+      name: 'an admin correction may overdraw the wallet',
+      line: line(ledgerAccounts.userWallet(userId), -150),
+      allowOverdraft: true,
+      expected: { _id: userId }
+    },
+    {
+      name: 'a wallet credit needs no guard',
+      line: line(ledgerAccounts.userWallet(userId), 150),
+      allowOverdraft: false,
+      expected: { _id: userId }
+    },
+    {
+      name: 'novel balances are not guarded',
+      line: line(ledgerAccounts.novelBalance(novelId), -150),
+      allowOverdraft: false,
+      expected: { _id: novelId }
+    },
+    {
+      name: 'novel budgets are not guarded',
+      line: line(ledgerAccounts.novelBudget(novelId), -150),
+      allowOverdraft: false,
+      expected: { _id: novelId }
+    }
+  ];
+
+  for (const { name, line: ledgerLine, allowOverdraft, expected } of CASES) {
+    test(name, () => {
+      assert.deepEqual(buildBalanceUpdateFilter(ledgerLine, allowOverdraft), expected);
+    });
+  }
+});
+
+describe('findBalanceDiscrepancy', () => {
+  const AGREE = [
+    { name: 'equal balances', stored: 250, ledger: 250 },
+    { name: 'a missing document and no ledger lines', stored: undefined, ledger: undefined },
+    { name: 'a null stored balance and a zero ledger', stored: null, ledger: 0 },
+    { name: 'floating point noise', stored: 0.1 + 0.2, ledger: 0.3 }
+  ];
+
+  for (const { name, stored, ledger } of AGREE) {
+    test(`no discrepancy for ${name}`, () => {
+      assert.equal(findBalanceDiscrepancy(stored, ledger), null);
+    });
+  }
+
+  const DISAGREE = [
+    {
+      name: 'a stored balance above the ledger',
+      stored: 300,
+      ledger: 250,
+      expected: { storedBalance: 300, ledgerBalance: 250, difference: 50 }
+    },
+    {
+      name: 'a stored balance below the ledger',
+      stored: 200,
+      ledger: 250,
+      expected: { storedBalance: 200, ledgerBalance: 250, difference: -50 }
+    },
+    {
+      name: 'a balance never recorded in the ledger',
+      stored: 80,
+      ledger: undefined,
+      expected: { storedBalance: 80, ledgerBalance: 0, difference: 80 }
+    },
+    {
+      name: 'ledger lines for a document that is gone',
+      stored: undefined,
+      ledger: 40,
+      expected: { storedBalance: 0, ledgerBalance: 40, difference: -40 }
+    }
+  ];
+
+  for (const { name, stored, ledger, expected } of DISAGREE) {
+    test(`flags ${name}`, () => {
+      assert.deepEqual(findBalanceDiscrepancy(stored, ledger), expected);
+    });
+  }
+});
+
+describe('buildUserToNovelPaymentLines', () => {
+  test('a payment that funds the budget balances and moves the amount into both novel accounts', () => {
+    const lines = buildUserToNovelPaymentLines({ userId, novelId, amount: 120 });
+
+    assert.deepEqual(normalizeLedgerLines('purchase', lines), [
+      { accountType: 'user_wallet', accountId: userId, amount: -120 },
+      { accountType: 'novel_balance', accountId: novelId, amount: 120 },
+      { accountType: 'novel_budget', accountId: novelId, amount: 120 },
+      { accountType: 'platform', accountId: null, amount: -120 }
+    ]);
+  });
+
+  test('a payment that does not fund the budget only reaches the novel balance', () => {
+    const lines = buildUserToNovelPaymentLines({ userId, novelId, amount: 120, fundsBudget: false });
+
+    assert.deepEqual(normalizeLedgerLines('gift', lines), [
+      { accountType: 'user_wallet', accountId: userId, amount: -120 },
+      { accountType: 'novel_balance', accountId: novelId, amount: 120 }
+    ]);
+  });
+});
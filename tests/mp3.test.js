@@ -0,0 +1,224 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrameHeader, parseMp3Frames, stitchMp3 } from '../utils/mp3.js';
+
+/**
+ * Synthetic MP3 files built frame by frame: headers the parser must accept or
+ * reject, the tags and junk TTS providers wrap around the audio, and the
+ * single stream the stitcher makes of several files.
+ */
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames of 1152 samples
+const MPEG1_128K = [0xFF, 0xFB, 0x90, 0x00];
+// MPEG-2 Layer III, 32 kbps, 24 kHz, stereo: 96-byte frames of 576 samples (24 ms)
+const MPEG2_32K = [0xFF, 0xF3, 0x44, 0x00];
+// Same stream at 64 kbps: 192-byte frames
+const MPEG2_64K = [0xFF, 0xF3, 0x84, 0x00];
+// MPEG-2 Layer III, 32 kbps, 22.05 kHz
+const MPEG2_22K = [0xFF, 0xF3, 0x40, 0x00];
+
+const frameLength = (header) => parseFrameHeader(Buffer.from(header), 0).length;
+
+const audioFrame = (header, fill = 0x11) => {
+  const frame = Buffer.alloc(frameLength(header), fill);
+  Buffer.from(header).copy(frame);
+  return frame;
+};
+
+const infoFrame = (header) => {
+  const frame = audioFrame(header, 0);
+  const { sideInfoSize } = parseFrameHeader(frame, 0);
+  frame.write('Info', 4 + sideInfoSize, 'latin1');
+  return frame;
+};
+
+const id3v2Tag = (bodySize) => {
+  const tag = Buffer.alloc(10 + bodySize);
+  tag.write('ID3', 0, 'latin1');
+  tag[3] = 4;
+  // Syncsafe size: 7 bits per byte
+  tag[6] = (bodySize >> 21) & 0x7F;
+  tag[7] = (bodySize >> 14) & 0x7F;
+  tag[8] = (bodySize >> 7) & 0x7F;
+  tag[9] = bodySize & 0x7F;
+  return tag;
+};
+
+const id3v1Tag = () => {
+  const tag = Buffer.alloc(128);
+  tag.write('TAG', 0, 'latin1');
+  return tag;
+};
+
+const repeatFrames = (header, count) => Array.from({ length: count }, () => audioFrame(header));
+
+// A file the way a TTS provider returns it: ID3 tag, Info header, then audio
+const ttsFile = (header, count) => Buffer.concat([id3v2Tag(300), infoFrame(header), ...repeatFrames(header, count)]);
+
+describe('parseFrameHeader', () => {
+  const VALID = [
+    {
+      name: 'MPEG-1 128 kbps stereo',
+      header: MPEG1_128K,
+      expected: { length: 417, bitrate: 128000, sampleRate: 44100, samples: 1152, sideInfoSize: 32, isMpeg1: true, isMono: false }
+    },
+    {
+      name: 'MPEG-1 with the padding bit',
+      header: [0xFF, 0xFB, 0x92, 0x00],
+      expected: { length: 418, padding: 1 }
+    },
+    {
+      name: 'MPEG-1 mono',
+      header: [0xFF, 0xFB, 0x90, 0xC0],
+      expected: { sideInfoSize: 17, isMono: true }
+    },
+    {
+      name: 'MPEG-2 32 kbps at 24 kHz',
+      header: MPEG2_32K,
+      expected: { length: 96, bitrate: 32000, sampleRate: 24000, samples: 576, sideInfoSize: 17, isMpeg1: false }
+    },
+    {
+      name: 'MPEG-2.5 at 8 kHz',
+      header: [0xFF, 0xE3, 0x18, 0x00],
+      expected: { bitrate: 8000, sampleRate: 8000, length: 72 }
+    }
+  ];
+
+  for (const { name, header, expected } of VALID) {
+    test(`accepts ${name}`, () => {
+      const frame = parseFrameHeader(Buffer.from(header), 0);
+      assert.ok(frame);
+      for (const [field, value] of Object.entries(expected)) {
+        assert.equal(frame[field], value, field);
+      }
+    });
+  }
+
+  const INVALID = [
+    { name: 'a missing sync word', header: [0xFE, 0xFB, 0x90, 0x00] },
+    { name: 'the reserved MPEG version', header: [0xFF, 0xEB, 0x90, 0x00] },
+    { name: 'Layer II', header: [0xFF, 0xFD, 0x90, 0x00] },
+    { name: 'free-format bitrate', header: [0xFF, 0xFB, 0x00, 0x00] },
+    { name: 'the bad bitrate index', header: [0xFF, 0xFB, 0xF0, 0x00] },
+    { name: 'the reserved sample rate', header: [0xFF, 0xFB, 0x9C, 0x00] },
+    { name: 'a header cut short', header: [0xFF, 0xFB, 0x90] }
+  ];
+
+  for (const { name, header } of INVALID) {
+    test(`rejects ${name}`, () => {
+      assert.equal(parseFrameHeader(Buffer.from(header), 0), null);
+    });
+  }
+
+  test('reads the header at the given offset', () => {
+    const buffer = Buffer.from([0x00, 0x00, ...MPEG2_32K]);
+    assert.equal(parseFrameHeader(buffer, 2).offset, 2);
+    assert.equal(parseFrameHeader(buffer, 0), null);
+  });
+});
+
+describe('parseMp3Frames', () => {
+  const CASES = [
+    {
+      name: 'bare audio frames',
+      buffer: Buffer.concat(repeatFrames(MPEG2_32K, 10)),
+      frames: 10,
+      durationMs: 240
+    },
+    {
+      name: 'an ID3v2 tag and an Info header before the audio',
+      buffer: ttsFile(MPEG2_32K, 10),
+      frames: 10,
+      durationMs: 240
+    },
+    {
+      name: 'an ID3v1 tag after the audio',
+      buffer: Buffer.concat([...repeatFrames(MPEG2_32K, 5), id3v1Tag()]),
+      frames: 5,
+      durationMs: 120
+    },
+    {
+      name: 'junk between frames',
+      buffer: Buffer.concat([audioFrame(MPEG2_32K), Buffer.alloc(7), audioFrame(MPEG2_32K)]),
+      frames: 2,
+      durationMs: 48
+    },
+    {
+      name: 'a truncated last frame',
+      buffer: Buffer.concat([audioFrame(MPEG2_32K), audioFrame(MPEG2_32K).subarray(0, 50)]),
+      frames: 1,
+      durationMs: 24
+    },
+    {
+      name: 'MPEG-1 frames',
+      buffer: Buffer.concat(repeatFrames(MPEG1_128K, 3)),
+      frames: 3,
+      durationMs: Math.round(3 * 1152 * 1000 / 44100)
+    },
+    {
+      name: 'no audio at all',
+      buffer: Buffer.from('not audio'),
+      frames: 0,
+      durationMs: 0
+    }
+  ];
+
+  for (const { name, buffer, frames, durationMs } of CASES) {
+    test(`finds the audio in ${name}`, () => {
+      const result = parseMp3Frames(buffer);
+      assert.equal(result.frames.length, frames);
+      assert.equal(result.durationMs, durationMs);
+    });
+  }
+
+  test('keeps an Info-like frame that follows audio', () => {
+    const buffer = Buffer.concat([audioFrame(MPEG2_32K), infoFrame(MPEG2_32K)]);
+    assert.equal(parseMp3Frames(buffer).frames.length, 2);
+  });
+});
+
+describe('stitchMp3', () => {
+  test('joins files into one stream with a single Info header in front', () => {
+    const { audio, durationMs, parts } = stitchMp3([ttsFile(MPEG2_32K, 10), ttsFile(MPEG2_32K, 5)]);
+
+    assert.equal(durationMs, 360);
+    assert.deepEqual(parts, [{ startMs: 0, durationMs: 240 }, { startMs: 240, durationMs: 120 }]);
+
+    // Info frame (96 bytes), then the 15 audio frames, and no ID3 tags in between
+    assert.equal(audio.length, 96 * 16);
+    assert.equal(audio.toString('latin1', 21, 25), 'Info');
+    assert.equal(audio.readUInt32BE(29), 15);
+    assert.equal(audio.readUInt32BE(33), audio.length);
+    assert.equal(audio.indexOf('ID3'), -1);
+
+    const reparsed = parseMp3Frames(audio);
+    assert.equal(reparsed.frames.length, 15);
+    assert.equal(reparsed.durationMs, 360);
+  });
+
+  test('marks a stream with several bitrates as VBR', () => {
+    const { audio } = stitchMp3([ttsFile(MPEG2_32K, 2), ttsFile(MPEG2_64K, 2)]);
+    assert.equal(audio.toString('latin1', 21, 25), 'Xing');
+  });
+
+  test('gives a part without audio a zero duration at the current position', () => {
+    const { parts } = stitchMp3([ttsFile(MPEG2_32K, 10), Buffer.alloc(0), ttsFile(MPEG2_32K, 1)]);
+    assert.deepEqual(parts, [
+      { startMs: 0, durationMs: 240 },
+      { startMs: 240, durationMs: 0 },
+      { startMs: 240, durationMs: 24 }
+    ]);
+  });
+
+  test('returns empty audio when no part has any', () => {
+    assert.deepEqual(stitchMp3([Buffer.alloc(0), Buffer.from('junk')]), {
+      audio: Buffer.alloc(0),
+      durationMs: 0,
+      parts: [{ startMs: 0, durationMs: 0 }, { startMs: 0, durationMs: 0 }]
+    });
+  });
+
+  test('refuses parts with different sample rates', () => {
+    assert.throws(() => stitchMp3([ttsFile(MPEG2_32K, 2), ttsFile(MPEG2_22K, 2)]), /different sample rates \(24000 and 22050\)/);
+  });
+});
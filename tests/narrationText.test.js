@@ -0,0 +1,249 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_CHUNK_BYTES,
+  prepareNarrationText,
+  segmentSentences,
+  splitSentences,
+  buildNarrationChunks,
+  buildTimingMap
+} from '../utils/narrationText.js';
+
+/**
+ * Table-driven checks of narration text preparation: chapter HTML to plain
+ * text, Vietnamese sentence boundaries, chunks that fit one TTS request by
+ * UTF-8 size, and the sentence timing map the player highlights with.
+ */
+
+const byteLength = (text) => Buffer.byteLength(text, 'utf8');
+
+// Precomposed capital A with circumflex and grave: three bytes in UTF-8
+const THREE_BYTE_LETTER = 'Ầ';
+
+describe('prepareNarrationText', () => {
+  const CASES = [
+    {
+      name: 'paragraphs become lines',
+      html: '<p>Dòng một.</p><p>Dòng <b>hai</b>.</p>',
+      expected: 'Dòng một.\nDòng hai.'
+    },
+    {
+      name: 'line breaks are kept',
+      html: 'Trên<br>Dưới<br/>Cuối',
+      expected: 'Trên\nDưới\nCuối'
+    },
+    {
+      name: 'footnote references are not read',
+      html: '<p>Kiếm<sup><a href="#n1">[1]</a></sup> sắc[2] bén[*].</p>',
+      expected: 'Kiếm sắc bén.'
+    },
+    {
+      name: 'figures and scripts are not read',
+      html: '<figure><img src="a.jpg"><figcaption>Hình 1</figcaption></figure><script>x()</script>Chữ',
+      expected: 'Chữ'
+    },
+    {
+      name: 'entities are decoded',
+      html: '&ldquo;A&nbsp;&amp;&nbsp;B&rdquo;&hellip; &#65;&copy;',
+      expected: '“A & B”… A'
+    },
+    {
+      name: 'whitespace collapses',
+      html: '  Một   \t hai \n\n\n ba  ',
+      expected: 'Một hai\nba'
+    },
+    { name: 'empty content', html: '', expected: '' },
+    { name: 'content that is not a string', html: null, expected: '' }
+  ];
+
+  for (const { name, html, expected } of CASES) {
+    test(name, () => {
+      assert.equal(prepareNarrationText(html), expected);
+    });
+  }
+});
+
+describe('segmentSentences', () => {
+  const CASES = [
+    {
+      name: 'splits at a full stop before a capital',
+      text: 'Trời đã tối. Chúng tôi về nhà.',
+      expected: ['Trời đã tối.', 'Chúng tôi về nhà.']
+    },
+    {
+      name: 'splits at ! ? and …',
+      text: 'Thật sao? Đúng vậy! Ừ… Được.',
+      expected: ['Thật sao?', 'Đúng vậy!', 'Ừ…', 'Được.']
+    },
+    {
+      name: 'keeps repeated punctuation together',
+      text: 'Cái gì?!? Không thể nào...',
+      expected: ['Cái gì?!?', 'Không thể nào...']
+    },
+    {
+      name: 'keeps closing quotes and brackets with their sentence',
+      text: '“Đi thôi!” Anh nói. (Chắc vậy.) Rồi im lặng.',
+      expected: ['“Đi thôi!”', 'Anh nói.', '(Chắc vậy.)', 'Rồi im lặng.']
+    },
+    {
+      name: 'does not split decimals',
+      text: 'Giá là 3.5 triệu. Đắt quá.',
+      expected: ['Giá là 3.5 triệu.', 'Đắt quá.']
+    },
+    {
+      name: 'does not split before a lowercase word',
+      text: 'Sách, bút, v.v. và nhiều thứ khác. Ừm... thôi được.',
+      expected: ['Sách, bút, v.v. và nhiều thứ khác.', 'Ừm... thôi được.']
+    },
+    {
+      name: 'splits at line breaks without punctuation',
+      text: 'Chương một\nNgày xưa có một cô bé',
+      expected: ['Chương một', 'Ngày xưa có một cô bé']
+    },
+    {
+      name: 'skips blank lines',
+      text: 'A.\n\n\nB.',
+      expected: ['A.', 'B.']
+    },
+    { name: 'returns nothing for empty text', text: '', expected: [] }
+  ];
+
+  for (const { name, text, expected } of CASES) {
+    test(name, () => {
+      assert.deepEqual(splitSentences(text), expected);
+    });
+  }
+
+  test('offsets point at each sentence in the input', () => {
+    const text = '  “Chào!” Tôi là An.\n\nBạn tên gì?  ';
+    const segments = segmentSentences(text);
+
+    assert.equal(segments.length, 3);
+    for (const segment of segments) {
+      assert.equal(text.slice(segment.start, segment.end), segment.text);
+    }
+  });
+});
+
+describe('buildNarrationChunks', () => {
+  // Two sentences that fill a request to the byte, once joined by a space
+  const firstSentence = `${THREE_BYTE_LETTER.repeat(1497)}ab.`;
+  const EXACT_FIT = [
+    { name: 'exactly MAX_CHUNK_BYTES stays one chunk', second: 'Xong.', chunks: 1 },
+    { name: 'one byte over MAX_CHUNK_BYTES starts a new chunk', second: 'Xong!!', chunks: 2 },
+    { name: 'a sentence that fits by characters but not by bytes starts a new chunk', second: 'Đúng.', chunks: 2 }
+  ];
+
+  for (const { name, second, chunks } of EXACT_FIT) {
+    test(name, () => {
+      const text = `${firstSentence} ${second}`;
+      const result = buildNarrationChunks(text);
+
+      assert.equal(result.length, chunks);
+      assert.ok(result.every(chunk => byteLength(chunk.text) <= MAX_CHUNK_BYTES));
+      assert.equal(result.map(chunk => chunk.text).join(' '), text);
+    });
+  }
+
+  test('keeps Vietnamese sentences whole and every chunk within the byte limit', () => {
+    const sentences = Array.from({ length: 300 }, (_, i) => `Câu thứ ${i + 1}: những người đồng hành đã đến bờ sông Hương.`);
+    const text = sentences.join(' ');
+
+    const chunks = buildNarrationChunks(text);
+
+    // Character counts would fit in fewer requests; the limit is in bytes
+    assert.ok(text.length < MAX_CHUNK_BYTES * (chunks.length - 1));
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(byteLength(chunk.text) <= MAX_CHUNK_BYTES, `${byteLength(chunk.text)} bytes`);
+    }
+    assert.deepEqual(chunks.flatMap(chunk => chunk.segments.map(segment => segment.text)), sentences);
+  });
+
+  test('splits a sentence longer than the limit at commas, then spaces', () => {
+    const clauses = Array.from({ length: 150 }, () => 'người lữ khách mệt mỏi bước đi');
+    const text = `${clauses.join(', ')}.`;
+    assert.ok(byteLength(text) > MAX_CHUNK_BYTES);
+
+    const chunks = buildNarrationChunks(text);
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(byteLength(chunk.text) <= MAX_CHUNK_BYTES);
+      for (const segment of chunk.segments) {
+        assert.equal(text.slice(segment.start, segment.end), segment.text);
+      }
+    }
+    assert.equal(chunks.map(chunk => chunk.text).join(' '), text);
+  });
+
+  test('splits a clause without commas at spaces', () => {
+    const text = `${'dài '.repeat(30).trim()}.`;
+    const chunks = buildNarrationChunks(text, 40);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => byteLength(chunk.text) <= 40));
+    assert.equal(chunks.map(chunk => chunk.text).join(' '), text);
+  });
+
+  test('returns no chunks for empty text', () => {
+    assert.deepEqual(buildNarrationChunks(''), []);
+  });
+});
+
+describe('buildTimingMap', () => {
+  const segment = (text, start) => ({ text, start, end: start + text.length });
+
+  // One chunk of two sentences (10 and 30 characters), one chunk of one sentence
+  const chunks = [
+    { text: '', segments: [segment('a'.repeat(10), 0), segment('b'.repeat(30), 11)] },
+    { text: '', segments: [segment('c'.repeat(5), 42)] }
+  ];
+  const parts = [{ startMs: 0, durationMs: 1000 }, { startMs: 1000, durationMs: 500 }];
+
+  const CASES = [
+    {
+      name: 'shares a chunk between its sentences by length',
+      marks: [],
+      expected: [[0, 250], [250, 1000], [1000, 1500]]
+    },
+    {
+      name: 'uses measured mark timepoints',
+      marks: [[0, 400], [0]],
+      expected: [[0, 400], [400, 1000], [1000, 1500]]
+    },
+    {
+      name: 'clamps marks past the end of the chunk',
+      marks: [[0, 5000]],
+      expected: [[0, 1000], [1000, 1000], [1000, 1500]]
+    },
+    {
+      name: 'never moves time backwards',
+      marks: [[600, 100]],
+      expected: [[600, 600], [600, 1000], [1000, 1500]]
+    }
+  ];
+
+  for (const { name, marks, expected } of CASES) {
+    test(name, () => {
+      const map = buildTimingMap(chunks, parts, 1500, marks);
+
+      assert.equal(map.version, 1);
+      assert.equal(map.durationMs, 1500);
+      assert.deepEqual(map.sentences.map(sentence => [sentence.startMs, sentence.endMs]), expected);
+      assert.deepEqual(map.sentences.map(sentence => sentence.start), [0, 11, 42]);
+    });
+  }
+
+  test('a missing mark between measured ones falls back to the estimate', () => {
+    const even = [{ text: '', segments: [segment('xxx', 0), segment('yyy', 4), segment('zzz', 8)] }];
+    const map = buildTimingMap(even, [{ startMs: 0, durationMs: 900 }], 900, [[0, null, 100]]);
+
+    assert.deepEqual(map.sentences.map(sentence => [sentence.startMs, sentence.endMs]), [[0, 300], [300, 300], [300, 900]]);
+  });
+
+  test('a chunk without audio gets zero-length sentences', () => {
+    const map = buildTimingMap(chunks, [parts[0]], 1000);
+    assert.deepEqual(map.sentences[2], { text: 'ccccc', start: 42, end: 47, startMs: 0, endMs: 0 });
+  });
+});
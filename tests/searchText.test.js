@@ -0,0 +1,177 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  foldText,
+  parseSearchQuery,
+  highlightText,
+  buildSnippet,
+  buildDiacriticInsensitivePattern
+} from '../utils/searchText.js';
+
+/**
+ * Table-driven checks of Vietnamese search folding: what compares equal, how
+ * queries become terms, where snippets cut and highlight the original text,
+ * and the regex fallback for fields outside the search index.
+ */
+
+describe('foldText', () => {
+  const CASES = [
+    { input: 'Tiểu Thuyết', expected: 'tieu thuyet' },
+    { input: 'Đường đời', expected: 'duong doi' },
+    { input: 'ĐẶNG', expected: 'dang' },
+    { input: 'Ngưỡng mộ, ừ!', expected: 'nguong mo, u!' },
+    // Decomposed input folds the same as precomposed
+    { input: 'Tiểu'.normalize('NFD'), expected: 'tieu' },
+    { input: 'Re:Zero 2', expected: 're:zero 2' },
+    { input: '', expected: '' },
+    { input: null, expected: '' },
+    { input: undefined, expected: '' }
+  ];
+
+  for (const { input, expected } of CASES) {
+    test(`${JSON.stringify(input)} folds to ${JSON.stringify(expected)}`, () => {
+      assert.equal(foldText(input), expected);
+    });
+  }
+});
+
+describe('parseSearchQuery', () => {
+  const CASES = [
+    { name: 'folds and splits words', query: 'Tiểu Thuyết Hay', expected: ['tieu', 'thuyet', 'hay'] },
+    { name: 'drops repeated terms', query: 'kiếm KIẾM kiem', expected: ['kiem'] },
+    { name: 'splits at punctuation and regex metacharacters', query: 'a.b (c)* [d]+e?', expected: ['a', 'b', 'c', 'd', 'e'] },
+    { name: 'keeps numbers', query: 'Tập 12', expected: ['tap', '12'] },
+    { name: 'returns no terms for punctuation only', query: '.*+?', expected: [] },
+    { name: 'returns no terms for an empty query', query: '', expected: [] },
+    {
+      name: 'keeps at most ten terms',
+      query: 'một hai ba bốn năm sáu bảy tám chín mười mười_một',
+      expected: ['mot', 'hai', 'ba', 'bon', 'nam', 'sau', 'bay', 'tam', 'chin', 'muoi']
+    }
+  ];
+
+  for (const { name, query, expected } of CASES) {
+    test(name, () => {
+      assert.deepEqual(parseSearchQuery(query), expected);
+    });
+  }
+});
+
+describe('highlightText', () => {
+  const CASES = [
+    {
+      name: 'marks the original accented words',
+      text: 'Đường Về Nhà',
+      terms: ['duong', 'nha'],
+      expected: '<mark>Đường</mark> Về <mark>Nhà</mark>'
+    },
+    {
+      name: 'marks the word being typed by its prefix',
+      text: 'Thuyết minh',
+      terms: ['thuy'],
+      expected: '<mark>Thuy</mark>ết minh'
+    },
+    {
+      name: 'only matches at the start of a word',
+      text: 'Cái bàn',
+      terms: ['an'],
+      expected: null
+    },
+    {
+      name: 'treats regex metacharacters in terms literally',
+      text: 'axb a.b',
+      terms: ['a.b'],
+      expected: 'axb <mark>a.b</mark>'
+    },
+    {
+      name: 'escapes HTML in the text',
+      text: '<b>Kiếm</b> & khiên',
+      terms: ['kiem'],
+      expected: '&lt;b&gt;<mark>Kiếm</mark>&lt;/b&gt; &amp; khiên'
+    },
+    {
+      name: 'prefers the longest term at a position',
+      text: 'thuyết',
+      terms: ['thu', 'thuyet'],
+      expected: '<mark>thuyết</mark>'
+    }
+  ];
+
+  for (const { name, text, terms, expected } of CASES) {
+    test(name, () => {
+      assert.equal(highlightText(text, terms), expected);
+    });
+  }
+});
+
+describe('buildSnippet', () => {
+  test('returns the whole short text when it fits', () => {
+    assert.equal(buildSnippet('Anh ấy rút kiếm ra.', ['kiem']), 'Anh ấy rút <mark>kiếm</mark> ra.');
+  });
+
+  test('returns null when nothing matches', () => {
+    assert.equal(buildSnippet('Anh ấy rút kiếm ra.', ['khien']), null);
+    assert.equal(buildSnippet('', ['kiem']), null);
+  });
+
+  test('cuts at word boundaries around the match and marks the cuts', () => {
+    const words = Array.from({ length: 60 }, (_, i) => `từ${i}`);
+    words[30] = 'Kiếm';
+    const text = words.join(' ');
+
+    const snippet = buildSnippet(text, ['kiem'], { length: 80 });
+
+    assert.match(snippet, /^….*<mark>Kiếm<\/mark>.*…$/);
+    const inner = snippet.slice(1, -1).replace(/<\/?mark>/g, '');
+    assert.ok(text.includes(inner), 'the snippet is a slice of the text');
+    assert.ok(inner.length <= 80);
+    assert.ok(/^từ\d+ /.test(inner) && / từ\d+$/.test(inner), 'cuts fall between words');
+  });
+
+  test('picks the passage that matches the most distinct terms', () => {
+    const filler = 'lorem '.repeat(100);
+    const text = `kiếm ${filler}kiếm ${filler}khiên và kiếm ${filler}`;
+
+    const snippet = buildSnippet(text, ['kiem', 'khien'], { length: 60 });
+
+    assert.match(snippet, /<mark>khiên<\/mark> và <mark>kiếm<\/mark>/);
+  });
+
+  test('finds đ through d', () => {
+    assert.equal(buildSnippet('Con đường dài', ['duong']), 'Con <mark>đường</mark> dài');
+  });
+});
+
+describe('buildDiacriticInsensitivePattern', () => {
+  const MATCHES = [
+    { term: 'tieu thuyet', text: 'Tiểu Thuyết', expected: true },
+    { term: 'duong', text: 'ĐƯỜNG', expected: true },
+    { term: 'duong', text: 'đường', expected: true },
+    { term: 'duong', text: 'dương', expected: true },
+    { term: 'tieu', text: 'tiêu', expected: true },
+    { term: 'tieu', text: 'tao', expected: false },
+    // Metacharacters match only themselves
+    { term: 'c++', text: 'C++', expected: true },
+    { term: 'c++', text: 'ccc', expected: false },
+    { term: 'a.b', text: 'àxb', expected: false },
+    { term: 'a.b', text: 'À.B', expected: true },
+    { term: '(1)', text: 'Tập (1)', expected: true },
+    { term: '[x]', text: 'x', expected: false }
+  ];
+
+  for (const { term, text, expected } of MATCHES) {
+    test(`${JSON.stringify(term)} ${expected ? 'matches' : 'does not match'} ${JSON.stringify(text)}`, () => {
+      const pattern = new RegExp(buildDiacriticInsensitivePattern(term), 'i');
+      assert.equal(pattern.test(text), expected);
+    });
+  }
+
+  test('groups each letter with its accented variants', () => {
+    const source = buildDiacriticInsensitivePattern('d');
+    assert.match(source, /^\[[^\]]+\]$/);
+    for (const variant of ['d', 'D', 'đ', 'Đ']) {
+      assert.ok(source.includes(variant), variant);
+    }
+    assert.equal(buildDiacriticInsensitivePattern('1-2'), '1-2');
+  });
+});
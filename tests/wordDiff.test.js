@@ -0,0 +1,139 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenizeWords, diffWords } from '../utils/wordDiff.js';
+
+/**
+ * Table-driven checks of the word-level chapter diff: how text splits into
+ * tokens, the merged change runs reviewers see, and the word counts shown
+ * next to each revision.
+ */
+
+const equal = (text) => ({ type: 'equal', text });
+const insert = (text) => ({ type: 'insert', text });
+const remove = (text) => ({ type: 'delete', text });
+
+describe('tokenizeWords', () => {
+  const CASES = [
+    { input: 'Xin chào  thế\ngiới', expected: ['Xin', ' ', 'chào', '  ', 'thế', '\n', 'giới'] },
+    { input: '<p>Một <b>hai</b></p>', expected: ['<p>', 'Một', ' ', '<b>', 'hai', '</b>', '</p>'] },
+    { input: 'a,b. c', expected: ['a,b.', ' ', 'c'] },
+    { input: '', expected: [] },
+    { input: null, expected: [] }
+  ];
+
+  for (const { input, expected } of CASES) {
+    test(`splits ${JSON.stringify(input)}`, () => {
+      const tokens = tokenizeWords(input);
+      assert.deepEqual(tokens, expected);
+      assert.equal(tokens.join(''), input || '');
+    });
+  }
+});
+
+describe('diffWords', () => {
+  const CASES = [
+    {
+      name: 'identical texts',
+      before: 'Anh ấy đi.',
+      after: 'Anh ấy đi.',
+      changes: [equal('Anh ấy đi.')],
+      inserted: 0,
+      deleted: 0
+    },
+    {
+      name: 'a replaced word',
+      before: 'Cô ấy rút kiếm ra.',
+      after: 'Cô ấy rút dao ra.',
+      changes: [equal('Cô ấy rút '), remove('kiếm'), insert('dao'), equal(' ra.')],
+      inserted: 1,
+      deleted: 1
+    },
+    {
+      name: 'an inserted word',
+      before: 'Trời tối.',
+      after: 'Trời rất tối.',
+      changes: [equal('Trời '), insert('rất '), equal('tối.')],
+      inserted: 1,
+      deleted: 0
+    },
+    {
+      name: 'deleted words',
+      before: 'Một hai ba bốn',
+      after: 'Một bốn',
+      changes: [equal('Một '), remove('hai ba '), equal('bốn')],
+      inserted: 0,
+      deleted: 2
+    },
+    {
+      name: 'text added to an empty chapter',
+      before: '',
+      after: 'Mở đầu',
+      changes: [insert('Mở đầu')],
+      inserted: 2,
+      deleted: 0
+    },
+    {
+      name: 'a chapter emptied',
+      before: 'Hết rồi',
+      after: '',
+      changes: [remove('Hết rồi')],
+      inserted: 0,
+      deleted: 2
+    },
+    {
+      name: 'changed markup around the same word',
+      before: '<p>Chào</p>',
+      after: '<p><b>Chào</b></p>',
+      changes: [equal('<p>'), insert('<b>'), equal('Chào'), insert('</b>'), equal('</p>')],
+      inserted: 0,
+      deleted: 0
+    },
+    {
+      name: 'changed whitespace only',
+      before: 'a b',
+      after: 'a\nb',
+      changes: [equal('a'), remove(' '), insert('\n'), equal('b')],
+      inserted: 0,
+      deleted: 0
+    },
+    {
+      name: 'changes at both ends',
+      before: 'cũ giữa cũ',
+      after: 'mới giữa mới',
+      changes: [remove('cũ'), insert('mới'), equal(' giữa '), remove('cũ'), insert('mới')],
+      inserted: 2,
+      deleted: 2
+    }
+  ];
+
+  for (const { name, before, after, changes, inserted, deleted } of CASES) {
+    test(name, () => {
+      assert.deepEqual(diffWords(before, after), { changes, inserted, deleted });
+    });
+  }
+
+  test('the equal and deleted runs rebuild the old text, equal and inserted the new', () => {
+    const before = '<p>Ngày xưa có một cô bé tên là Tấm.</p><p>Cô sống với dì ghẻ.</p>';
+    const after = '<p>Ngày xửa ngày xưa, có cô bé tên Tấm.</p><p>Cô sống cùng dì ghẻ và Cám.</p>';
+    const { changes } = diffWords(before, after);
+
+    const rebuild = (skip) => changes.filter(change => change.type !== skip).map(change => change.text).join('');
+    assert.equal(rebuild('insert'), before);
+    assert.equal(rebuild('delete'), after);
+
+    // Runs of one type are merged
+    changes.slice(1).forEach((change, i) => assert.notEqual(change.type, changes[i].type));
+  });
+
+  test('a complete rewrite of a long chapter is reported as one replacement', () => {
+    const words = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+    const before = `Đầu ${words('cũ', 1600)} cuối`;
+    const after = `Đầu ${words('mới', 1600)} cuối`;
+
+    const { changes, inserted, deleted } = diffWords(before, after);
+
+    assert.deepEqual(changes.map(change => change.type), ['equal', 'delete', 'insert', 'equal']);
+    assert.equal(deleted, 1600);
+    assert.equal(inserted, 1600);
+  });
+});
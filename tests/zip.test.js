@@ -0,0 +1,121 @@
+import { describe, test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { crc32, createZip, readZip } from '../utils/zip.js';
+
+/**
+ * The ZIP writer against Info-ZIP's own integrity check, the reader against
+ * the writer, and the limits that keep an uploaded archive from filling memory.
+ */
+
+const hasUnzip = (() => {
+  try {
+    execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const ENTRIES = [
+  { name: 'mimetype', data: 'application/epub+zip', store: true },
+  { name: 'text/chương-1.xhtml', data: '<p>Xin chào thế giới</p>'.repeat(200) },
+  { name: 'images/blank.bin', data: Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0xFF]) },
+  { name: 'empty.txt', data: '' }
+];
+
+describe('crc32', () => {
+  const CASES = [
+    { input: '', expected: '00000000' },
+    { input: '123456789', expected: 'cbf43926' },
+    { input: 'The quick brown fox jumps over the lazy dog', expected: '414fa339' }
+  ];
+
+  for (const { input, expected } of CASES) {
+    test(`crc32(${JSON.stringify(input)}) is ${expected}`, () => {
+      assert.equal(crc32(Buffer.from(input)).toString(16).padStart(8, '0'), expected);
+    });
+  }
+});
+
+describe('createZip', () => {
+  test('passes unzip -t', { skip: !hasUnzip && 'unzip is not installed' }, () => {
+    const file = path.join(workDir, 'archive.zip');
+    fs.writeFileSync(file, createZip(ENTRIES, new Date('2026-03-04T05:06:08')));
+
+    const output = execFileSync('unzip', ['-t', file], { encoding: 'utf8' });
+    assert.match(output, /No errors detected/);
+  });
+
+  test('stores entries marked store and those deflate cannot shrink', () => {
+    const zip = createZip(ENTRIES);
+
+    // Method field of each local header, in archive order
+    const methods = [];
+    let offset = 0;
+    while (zip.readUInt32LE(offset) === 0x04034B50) {
+      methods.push(zip.readUInt16LE(offset + 8));
+      offset += 30 + zip.readUInt16LE(offset + 26) + zip.readUInt32LE(offset + 18);
+    }
+
+    assert.deepEqual(methods, [0, 8, 0, 0]);
+  });
+});
+
+describe('readZip', () => {
+  test('reads back every entry byte for byte', () => {
+    const files = readZip(createZip(ENTRIES));
+
+    assert.deepEqual([...files.keys()], ENTRIES.map(entry => entry.name));
+    for (const entry of ENTRIES) {
+      assert.deepEqual(files.get(entry.name), Buffer.from(entry.data));
+    }
+  });
+
+  test('skips directory entries', () => {
+    const files = readZip(createZip([{ name: 'OEBPS/', data: '' }, { name: 'OEBPS/a.txt', data: 'a' }]));
+    assert.deepEqual([...files.keys()], ['OEBPS/a.txt']);
+  });
+
+  const LIMITS = [
+    {
+      name: 'more entries than maxEntries',
+      entries: [{ name: 'a', data: 'a' }, { name: 'b', data: 'b' }, { name: 'c', data: 'c' }],
+      limits: { maxEntries: 2 },
+      error: /more than 2 entries/
+    },
+    {
+      name: 'entries that add up past maxTotalBytes',
+      entries: [{ name: 'a', data: 'x'.repeat(600) }, { name: 'b', data: 'y'.repeat(600) }],
+      limits: { maxTotalBytes: 1000 },
+      error: /too large once extracted/
+    },
+    {
+      name: 'a small deflated entry that expands past maxTotalBytes',
+      entries: [{ name: 'bomb', data: Buffer.alloc(1024 * 1024) }],
+      limits: { maxTotalBytes: 64 * 1024 },
+      error: /too large once extracted/
+    }
+  ];
+
+  for (const { name, entries, limits, error } of LIMITS) {
+    test(`rejects ${name}`, () => {
+      assert.throws(() => readZip(createZip(entries), limits), error);
+    });
+  }
+
+  test('accepts an archive exactly at the limits', () => {
+    const entries = [{ name: 'a', data: 'x'.repeat(500) }, { name: 'b', data: 'y'.repeat(500) }];
+    assert.equal(readZip(createZip(entries), { maxEntries: 2, maxTotalBytes: 1000 }).size, 2);
+  });
+
+  test('rejects data that is not a ZIP archive', () => {
+    assert.throws(() => readZip(Buffer.from('definitely not a zip file, just some text')), /Not a ZIP archive/);
+  });
+});
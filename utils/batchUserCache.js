@@ -1,13 +1,19 @@
 import User from '../models/User.js';
 import { getCachedUserById, getCachedUserByUsername, setCachedUser, globalUserQueryDedup, getCachedUser } from './userCache.js';
+import { createCache, invalidateCacheTags, userTag } from './cacheStore.js';
 
-// Batch lookup cache to prevent duplicate requests
-const batchLookupCache = new Map();
-const BATCH_LOOKUP_TTL = 1000 * 60 * 2; // 2 minutes
-const MAX_BATCH_CACHE_SIZE = 100;
+// Batch lookup cache to prevent duplicate requests, tagged with every user in the batch
+const BATCH_LOOKUP_TTL = 60 * 2; // 2 minutes
+const BATCH_LOOKUP_TAG = 'user-batches';
+const batchLookupCache = createCache('user-batches', { ttl: BATCH_LOOKUP_TTL });
 
-// Query deduplication for batch requests
-const pendingBatchQueries = new Map();
+/**
+ * Tags of a batch result: each user found, plus the tag that clears all batches
+ */
+const batchTags = (userMap) => {
+  const userIds = new Set(Object.values(userMap).map(user => user._id?.toString()).filter(Boolean));
+  return [BATCH_LOOKUP_TAG, ...[...userIds].map(userTag)];
+};
 
 /**
  * Batch user lookup with caching support
@@ -30,38 +36,10 @@ export const batchGetUsers = async (identifiers, options = {}) => {
     const sortedIdentifiers = [...identifiers].sort();
     const batchCacheKey = `batch_${sortedIdentifiers.join('_')}`;
     
-    // Check batch cache first
-    const cached = batchLookupCache.get(batchCacheKey);
-    if (cached && Date.now() - cached.timestamp < BATCH_LOOKUP_TTL) {
-      return cached.data;
-    }
-
-    // Use query deduplication to prevent multiple identical batch requests
-    if (pendingBatchQueries.has(batchCacheKey)) {
-      return await pendingBatchQueries.get(batchCacheKey);
-    }
-
-    const batchQueryPromise = performBatchLookup(identifiers, options);
-    pendingBatchQueries.set(batchCacheKey, batchQueryPromise);
-
-    try {
-      const result = await batchQueryPromise;
-      
-      // Cache the batch result
-      if (batchLookupCache.size >= MAX_BATCH_CACHE_SIZE) {
-        const oldestKey = batchLookupCache.keys().next().value;
-        batchLookupCache.delete(oldestKey);
-      }
-      
-      batchLookupCache.set(batchCacheKey, {
-        data: result,
-        timestamp: Date.now()
-      });
-
-      return result;
-    } finally {
-      pendingBatchQueries.delete(batchCacheKey);
-    }
+    // Check batch cache first; identical batch requests share one lookup
+    return await batchLookupCache.wrap(batchCacheKey, () => performBatchLookup(identifiers, options), {
+      tags: batchTags
+    });
   } catch (error) {
     console.error('Error in batch user lookup:', error);
     return {};
@@ -84,7 +62,7 @@ const performBatchLookup = async (identifiers, options = {}) => {
     try {
       // Check if it's an ObjectId - check cache directly without triggering new queries
       if (isValidObjectId(identifier)) {
-        const cached = getCachedUser(`id:${identifier}`);
+        const cached = await getCachedUser(`id:${identifier}`);
         if (cached) {
           if (process.env.NODE_ENV === 'development') {
           }
@@ -97,7 +75,7 @@ const performBatchLookup = async (identifiers, options = {}) => {
       }
       // Check if it's a username - check cache directly without triggering new queries
       else if (typeof identifier === 'string' && isNaN(parseInt(identifier))) {
-        const cached = getCachedUser(`username:${identifier}`);
+        const cached = await getCachedUser(`username:${identifier}`);
         if (cached) {
           return { identifier, type: 'username', cached, found: true };
         } else {
@@ -110,7 +88,7 @@ const performBatchLookup = async (identifiers, options = {}) => {
         
         // Try to get from individual cache by userNumber first
         const cacheKey = `userNumber:${userNumber}`;
-        const cached = getCachedUser(cacheKey);
+        const cached = await getCachedUser(cacheKey);
         if (cached) {
           if (process.env.NODE_ENV === 'development') {
           }
@@ -202,13 +180,8 @@ const performBatchLookup = async (identifiers, options = {}) => {
 
     // Cache each user individually and add to result map
     for (const user of users) {
-      // Cache by ObjectId
-      setCachedUser(`id:${user._id}`, user);
-      
-      // Cache by username
-      if (user.username) {
-        setCachedUser(`username:${user.username}`, user);
-      }
+      // Cache by ObjectId, username and userNumber
+      await setCachedUser(`id:${user._id}`, user);
 
       if (process.env.NODE_ENV === 'development') {
       }
@@ -241,7 +214,4 @@ const isValidObjectId = (id) => {
 /**
  * Clear batch user cache (call when user data changes)
  */
-export const clearBatchUserCache = () => {
-  batchLookupCache.clear();
-  pendingBatchQueries.clear();
-};
+export const clearBatchUserCache = () => invalidateCacheTags(BATCH_LOOKUP_TAG);
@@ -0,0 +1,277 @@
+/**
+ * Shared cache
+ *
+ * Every cache in the app is a namespace of one store whose backend is chosen
+ * at startup (integrations/cacheBackend.js): in-process memory by default,
+ * Redis when several instances must share entries and invalidations.
+ *
+ * Entries carry tags, and writes invalidate by tag instead of scanning keys:
+ *   novel:<id>    - anything built from one novel (details, dashboard, contributions)
+ *   chapter:<id>  - anything built from one chapter
+ *   user:<id>     - anything built from one user's profile or activity
+ *   novels        - listings that any novel change can reorder (homepage, hot, directory)
+ * A tag like novel:<id> also puts the entry under novel:*, which clears the
+ * whole family when the caller does not know which novel changed.
+ *
+ * wrap() loads a missing entry once: concurrent callers share the load, and
+ * with a shared backend other instances wait for it through a short lock.
+ */
+
+import { selectCacheBackend } from '../integrations/cacheBackend.js';
+
+const DEFAULT_TTL_SECONDS = 600;
+
+// How long a load may hold the cross-instance lock, and how long others poll for its result
+const LOAD_LOCK_MS = 10 * 1000;
+const LOAD_WAIT_MS = 3 * 1000;
+const LOAD_POLL_MS = 50;
+
+// Invalidations remembered so loads that started before them do not store stale data
+const RECENT_INVALIDATION_MS = 60 * 1000;
+
+export const NOVEL_LISTS_TAG = 'novels';
+export const novelTag = (novelId) => `novel:${novelId}`;
+export const chapterTag = (chapterId) => `chapter:${chapterId}`;
+export const userTag = (userId) => `user:${userId}`;
+export const ALL_NOVELS_TAG = 'novel:*';
+export const ALL_CHAPTERS_TAG = 'chapter:*';
+export const ALL_USERS_TAG = 'user:*';
+
+const backend = selectCacheBackend();
+
+// namespace -> counters
+const namespaceStats = new Map();
+// full key -> { promise, tags, startedAt }
+const inFlight = new Map();
+// [{ tags: Set, at }]
+let recentInvalidations = [];
+const invalidationStats = { calls: 0, entriesRemoved: 0, errors: 0 };
+
+/**
+ * Add the family tag (novel:*) of every id tag (novel:<id>)
+ */
+const expandTags = (tags) => {
+  const expanded = new Set();
+  for (const tag of tags) {
+    if (!tag) continue;
+    expanded.add(tag);
+    const separator = tag.indexOf(':');
+    if (separator > 0 && !tag.endsWith(':*')) {
+      expanded.add(`${tag.slice(0, separator)}:*`);
+    }
+  }
+  return [...expanded];
+};
+
+const wasInvalidatedSince = (tags, since) => {
+  return recentInvalidations.some(({ tags: invalidated, at }) => {
+    return at >= since && tags.some(tag => invalidated.has(tag));
+  });
+};
+
+// An unreachable backend fails every request; log each kind of failure once a minute
+const ERROR_LOG_INTERVAL_MS = 60 * 1000;
+const lastErrorLog = new Map();
+
+const logBackendError = (action, error) => {
+  const now = Date.now();
+  if (now - (lastErrorLog.get(action) || 0) < ERROR_LOG_INTERVAL_MS) return;
+  lastErrorLog.set(action, now);
+  console.error(`Cache ${action} failed (${backend.name}):`, error.message);
+};
+
+/**
+ * Create (or reuse) a cache namespace
+ *
+ * @param {string} namespace - Prefix of every key, and the name its stats are reported under
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Default lifetime of entries, in seconds
+ * @returns {Object} { get, set, del, wrap }
+ */
+export const createCache = (namespace, { ttl: defaultTtl = DEFAULT_TTL_SECONDS } = {}) => {
+  if (!namespaceStats.has(namespace)) {
+    namespaceStats.set(namespace, { hits: 0, misses: 0, sets: 0, deletes: 0, coalesced: 0, errors: 0 });
+  }
+  const stats = namespaceStats.get(namespace);
+  const fullKey = (key) => `${namespace}:${key}`;
+
+  const get = async (key) => {
+    try {
+      const value = await backend.get(fullKey(key));
+      if (value === undefined) stats.misses++;
+      else stats.hits++;
+      return value;
+    } catch (error) {
+      // An unreachable backend behaves like an empty cache
+      stats.errors++;
+      stats.misses++;
+      logBackendError('read', error);
+      return undefined;
+    }
+  };
+
+  const set = async (key, value, { ttl = defaultTtl, tags = [] } = {}) => {
+    if (value === undefined) return;
+    try {
+      await backend.set(fullKey(key), value, { ttlMs: ttl * 1000, tags: expandTags(tags) });
+      stats.sets++;
+    } catch (error) {
+      stats.errors++;
+      logBackendError('write', error);
+    }
+  };
+
+  const del = async (...keys) => {
+    const full = keys.filter(Boolean).map(fullKey);
+    full.forEach(key => inFlight.delete(key));
+    try {
+      await backend.delete(full);
+      stats.deletes += full.length;
+    } catch (error) {
+      stats.errors++;
+      logBackendError('delete', error);
+    }
+  };
+
+  const waitForValue = async (key) => {
+    const deadline = Date.now() + LOAD_WAIT_MS;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, LOAD_POLL_MS));
+      const value = await backend.get(fullKey(key)).catch(() => undefined);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  };
+
+  /**
+   * Return the cached value, or load, store and return it
+   *
+   * @param {string} key
+   * @param {Function} load - async () => value; undefined is returned but not stored
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Seconds
+   * @param {Array<string>|Function} [options.tags] - Tags, or (value) => tags when they depend on the result
+   * @param {boolean} [options.bypass] - Skip the read and refresh the entry
+   */
+  const wrap = async (key, load, { ttl = defaultTtl, tags = [], bypass = false } = {}) => {
+    if (!bypass) {
+      const cached = await get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    const id = fullKey(key);
+    const running = inFlight.get(id);
+    if (running) {
+      stats.coalesced++;
+      return running.promise;
+    }
+
+    const flight = {
+      tags: typeof tags === 'function' ? null : expandTags(tags),
+      startedAt: Date.now()
+    };
+    flight.promise = (async () => {
+      let locked = true;
+      if (backend.shared) {
+        locked = await backend.acquireLock(id, LOAD_LOCK_MS).catch(() => true);
+        if (!locked) {
+          // Another instance is loading it
+          const value = await waitForValue(key);
+          if (value !== undefined) {
+            stats.coalesced++;
+            return value;
+          }
+        }
+      }
+
+      try {
+        const value = await load();
+        const valueTags = typeof tags === 'function' ? (tags(value) || []) : tags;
+        if (!wasInvalidatedSince(expandTags(valueTags), flight.startedAt)) {
+          await set(key, value, { ttl, tags: valueTags });
+        }
+        return value;
+      } finally {
+        if (locked && backend.shared) {
+          backend.releaseLock(id).catch(error => logBackendError('unlock', error));
+        }
+      }
+    })();
+
+    inFlight.set(id, flight);
+    try {
+      return await flight.promise;
+    } finally {
+      if (inFlight.get(id) === flight) inFlight.delete(id);
+    }
+  };
+
+  return { namespace, get, set, del, wrap };
+};
+
+/**
+ * Remove every entry carrying one of the tags, in all namespaces
+ * Never throws: a failed invalidation is logged and counted.
+ *
+ * @param {...string} tags - e.g. novelTag(id), NOVEL_LISTS_TAG, ALL_USERS_TAG
+ * @returns {Promise<number>} Entries removed
+ */
+export const invalidateCacheTags = async (...tags) => {
+  const list = [...new Set(tags.flat().filter(Boolean))];
+  if (list.length === 0) return 0;
+
+  const now = Date.now();
+  const invalidated = new Set(list);
+  recentInvalidations = recentInvalidations.filter(entry => now - entry.at < RECENT_INVALIDATION_MS);
+  recentInvalidations.push({ tags: invalidated, at: now });
+
+  // Later callers start a fresh load instead of joining one that read old data
+  for (const [key, flight] of inFlight) {
+    if (flight.tags && flight.tags.some(tag => invalidated.has(tag))) {
+      inFlight.delete(key);
+    }
+  }
+
+  invalidationStats.calls++;
+  try {
+    const removed = await backend.invalidateTags(list);
+    invalidationStats.entriesRemoved += removed;
+    return removed;
+  } catch (error) {
+    invalidationStats.errors++;
+    logBackendError('invalidation', error);
+    return 0;
+  }
+};
+
+/**
+ * Hit/miss counters per namespace plus backend figures
+ *
+ * @returns {Promise<Object>}
+ */
+export const getCacheStats = async () => {
+  const namespaces = {};
+  for (const [namespace, counters] of namespaceStats) {
+    const lookups = counters.hits + counters.misses;
+    namespaces[namespace] = {
+      ...counters,
+      hitRate: lookups ? Number((counters.hits / lookups).toFixed(3)) : null
+    };
+  }
+
+  let backendInfo;
+  try {
+    backendInfo = await backend.describe();
+  } catch (error) {
+    backendInfo = { error: error.message };
+  }
+
+  return {
+    backend: backend.name,
+    shared: backend.shared,
+    ...backendInfo,
+    loadsInFlight: inFlight.size,
+    invalidations: { ...invalidationStats },
+    namespaces
+  };
+};
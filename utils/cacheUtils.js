@@ -4,102 +4,52 @@
  * Provides functions for cache management and SSE client notifications
  */
 
-import NodeCache from 'node-cache';
+import {
+  createCache,
+  invalidateCacheTags,
+  novelTag,
+  chapterTag,
+  NOVEL_LISTS_TAG,
+  ALL_NOVELS_TAG,
+  ALL_CHAPTERS_TAG
+} from './cacheStore.js';
+import { broadcastEvent } from '../services/sseService.js';
 
-// Initialize cache with 10-minute TTL by default
-export const cache = new NodeCache({ stdTTL: 600 });
-
-// Set of active SSE clients
-export const sseClients = new Set();
-
-// Store reference to external cache maps that need to be cleared
-let externalCacheMaps = [];
+// Cached route responses, 10-minute TTL by default
+export const cache = createCache('responses', { ttl: 600 });
 
 /**
- * Register an external cache map for clearing
- * @param {Map} cacheMap - The cache map to register
+ * Clear caches built from a novel, and the listings it appears in
+ * Without a novel ID every novel's entries are cleared.
+ * @param {string} novelId - Optional novel that changed
+ * @returns {Promise<number>} Entries removed
  */
-export const registerCacheMap = (cacheMap) => {
-  externalCacheMaps.push(cacheMap);
+export const clearNovelCaches = (novelId = null) => {
+  return invalidateCacheTags(NOVEL_LISTS_TAG, novelId ? novelTag(novelId) : ALL_NOVELS_TAG);
 };
 
 /**
- * Clear all novel-related caches
+ * Clear caches built from a chapter (for use in chapters.js)
+ * Listings are cleared too, since they show latest chapters and rankings.
+ * @param {string} chapterId - Optional chapter that changed; every chapter's entries without it
+ * @param {string} novelId - Optional novel the chapter belongs to, whose entries are cleared as well
+ * @returns {Promise<number>} Entries removed
  */
-export const clearNovelCaches = () => {
-  // Clear hot novels cache
-  cache.del('hot_novels');
-  // Clear novels list cache (all pages)
-  const keys = cache.keys();
-  keys.forEach(key => {
-    if (key.startsWith('novels_page_') || key.startsWith('novel_') || key.startsWith('chapter_')) {
-      cache.del(key);
-    }
-  });
-  
-  // Clear external cache maps (like queryCacheMap from novels route)
-  externalCacheMaps.forEach(cacheMap => {
-    if (cacheMap && typeof cacheMap.keys === 'function') {
-      const cacheKeys = Array.from(cacheMap.keys());
-      cacheKeys.forEach(key => {
-        // Clear novel fetch cache entries (format: 'novel:novelId:userRole:userId')
-        if (key.startsWith('novel:') || key.startsWith('novel-complete:') || key.startsWith('hot_novels')) {
-          cacheMap.delete(key);
-        }
-      });
-    }
-  });
-  
-  // Clear novel existence validation cache
-  try {
-    const { clearNovelExistsCache } = require('./novelValidation.js');
-    clearNovelExistsCache();
-  } catch (error) {
-    // Ignore if novel validation cache is not available
-  }
+export const clearChapterCaches = (chapterId = null, novelId = null) => {
+  return invalidateCacheTags(
+    NOVEL_LISTS_TAG,
+    chapterId ? chapterTag(chapterId) : ALL_CHAPTERS_TAG,
+    novelId ? novelTag(novelId) : null
+  );
 };
 
 /**
- * Clear chapter-specific caches (for use in chapters.js)
- * @param {string} chapterId - Optional specific chapter ID to clear
- */
-export const clearChapterCaches = (chapterId = null) => {
-  const keys = cache.keys();
-  keys.forEach(key => {
-    // Clear all chapter-related caches
-    if (key.startsWith('chapter_')) {
-      cache.del(key);
-    }
-    // If specific chapter ID provided, also clear novel caches
-    // since chapter changes affect novel data
-    if (chapterId && (key.startsWith('novel_') || key.startsWith('novels_page_'))) {
-      cache.del(key);
-    }
-  });
-  
-  // Also clear hot novels cache as chapter changes can affect rankings
-  cache.del('hot_novels');
-};
-
-/**
- * Send a notification to all connected SSE clients
+ * Send a notification to all connected SSE clients, on every instance
  * @param {string} eventName - The name of the event
  * @param {object} data - The data to send
  */
 export const notifyAllClients = (eventName, data) => {
-  const eventString = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
-  
-  sseClients.forEach(client => {
-    try {
-      client.write(eventString);
-    } catch (error) {
-      console.error(`Error sending SSE event to client:`, error);
-      // Remove problematic client
-      sseClients.delete(client);
-    }
-  });
-
-
+  broadcastEvent(eventName, data);
 };
 
 /**
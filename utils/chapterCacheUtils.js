@@ -4,49 +4,23 @@
  * to maintain consistency and avoid circular dependencies.
  */
 
-// Import cache clearing functions
 import { clearNovelCaches, notifyAllClients } from './cacheUtils.js';
+import { createCache, invalidateCacheTags } from './cacheStore.js';
 
-// Cache maps that will be shared across modules
-let commentsCache = null;
-let userCache = null;
-let chapterInteractionCache = null;
-let usernameCache = null;
-let userPermissionCache = null;
-
-// Initialize cache references (called from chapters.js)
-export const initializeCacheReferences = (caches) => {
-  commentsCache = caches.commentsCache;
-  userCache = caches.userCache;
-  chapterInteractionCache = caches.chapterInteractionCache;
-  usernameCache = caches.usernameCache;
-  userPermissionCache = caches.userPermissionCache;
-};
+// Comment pages of a chapter, one entry per reader and page
+export const chapterCommentsTag = (chapterId) => `chapter-comments:${chapterId}`;
+export const chapterCommentsCache = createCache('chapter-comments', { ttl: 60 * 2 }); // 2 minutes
 
 /**
  * Clear comments cache for a specific chapter
  * @param {string} chapterId - Chapter ID
  * @param {string} novelId - Novel ID (optional)
  */
-export const clearChapterCommentsCache = (chapterId, novelId = null) => {
-  if (!commentsCache) {
-    console.warn('Comments cache not initialized, clearing novel caches instead');
-    clearNovelCaches();
-    return;
-  }
-  
-  const keysToDelete = [];
-  for (const [key, value] of commentsCache.entries()) {
-    // Clear all cache entries that contain this chapterId
-    if (key.includes(`comments_${chapterId}_`) || 
-        (novelId && key.includes(`comments_${chapterId}_${novelId}_`))) {
-      keysToDelete.push(key);
-    }
-  }
-  keysToDelete.forEach(key => commentsCache.delete(key));
+export const clearChapterCommentsCache = async (chapterId, novelId = null) => {
+  await invalidateCacheTags(chapterCommentsTag(chapterId));
   
   // Also clear novel caches to ensure consistency
-  clearNovelCaches();
+  await clearNovelCaches(novelId);
   
   // Notify clients about the cache clear
   notifyAllClients('cache_clear', {
@@ -57,58 +31,6 @@ export const clearChapterCommentsCache = (chapterId, novelId = null) => {
   });
 };
 
-/**
- * Clear user-specific comment caches
- * @param {string} userId - User ID
- */
-export const clearUserCommentCaches = (userId) => {
-  if (!commentsCache) return 0;
-  
-  let clearedCount = 0;
-  const keysToDelete = [];
-  
-  for (const [key, value] of commentsCache.entries()) {
-    if (key.includes(`_${userId}_`) || key.includes(`_anon_`)) {
-      keysToDelete.push(key);
-    }
-  }
-  
-  keysToDelete.forEach(key => {
-    commentsCache.delete(key);
-    clearedCount++;
-  });
-  
-  return clearedCount;
-};
-
-/**
- * Clear all comment-related caches
- */
-export const clearAllCommentCaches = () => {
-  if (commentsCache) {
-    commentsCache.clear();
-    console.log('All comment caches cleared');
-  }
-  if (userCache) {
-    userCache.clear();
-    console.log('All user caches cleared');
-  }
-  if (chapterInteractionCache) {
-    chapterInteractionCache.clear();
-    console.log('All chapter interaction caches cleared');
-  }
-  if (usernameCache) {
-    usernameCache.clear();
-    console.log('All username caches cleared');
-  }
-  if (userPermissionCache) {
-    userPermissionCache.clear();
-    console.log('All user permission caches cleared');
-  }
-  
-  clearNovelCaches();
-};
-
 /**
  * Extract chapter and novel IDs from comment content
  * @param {Object} comment - Comment object
@@ -0,0 +1,217 @@
+/**
+ * Chapter HTML sanitising
+ *
+ * Reduces HTML from other sources (EPUB, DOCX, pasted content) to the markup
+ * the chapter reader renders. Unknown elements are unwrapped so their text is
+ * kept; scripts, styles and embedded objects are removed with their content.
+ */
+
+// Allowed elements and the attributes kept on each
+const ALLOWED_ELEMENTS = {
+  p: ['style'],
+  br: [],
+  hr: [],
+  h2: ['style'],
+  h3: ['style'],
+  h4: ['style'],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  sub: [],
+  sup: [],
+  blockquote: [],
+  ul: [],
+  ol: [],
+  li: [],
+  a: ['href'],
+  img: ['src', 'alt']
+};
+
+// Elements renamed to their allowed equivalent
+const ELEMENT_ALIASES = {
+  b: 'strong',
+  i: 'em',
+  cite: 'em',
+  del: 's',
+  strike: 's',
+  ins: 'u',
+  h1: 'h2',
+  h5: 'h4',
+  h6: 'h4',
+  div: 'p',
+  section: 'p',
+  article: 'p',
+  aside: 'p',
+  center: 'p',
+  pre: 'p'
+};
+
+const BLOCK_ELEMENTS = new Set(['p', 'h2', 'h3', 'h4', 'blockquote', 'ul', 'ol', 'li', 'hr']);
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img']);
+
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|form|noscript|template|svg|math|head|title|video|audio|canvas|button|select|textarea)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Left and justified text is the reader's default, so only these are kept
+const TEXT_ALIGNMENTS = new Set(['center', 'right']);
+
+/**
+ * Escape text, keeping entities that are already valid
+ */
+const escapeText = (text) => text
+  .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = (value) => escapeText(value).replace(/"/g, '&quot;');
+
+/**
+ * Read an attribute from a raw attribute string
+ *
+ * @param {string} rawAttributes - Attributes as written in the tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+export const getAttribute = (rawAttributes, name) => {
+  const pattern = new RegExp(`(?:^|\\s)${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i');
+  const match = rawAttributes.match(pattern);
+  return match ? (match[2] ?? match[3] ?? match[4]) : null;
+};
+
+/**
+ * Keep only text-align from an inline style
+ */
+const sanitizeStyle = (style) => {
+  const align = style?.match(/text-align\s*:\s*([a-z]+)/i)?.[1]?.toLowerCase();
+  return TEXT_ALIGNMENTS.has(align)
+    ? `text-align: ${align};`
+    : null;
+};
+
+/**
+ * Sanitise HTML to what the chapter reader supports
+ *
+ * @param {string} html - HTML fragment
+ * @param {Object} [options]
+ * @param {Function} [options.mapImage] - (src) => src to keep, or null to drop the image;
+ *   without it only http(s) images are kept
+ * @returns {string} Sanitised HTML
+ */
+export const sanitizeChapterHtml = (html, { mapImage } = {}) => {
+  if (!html) return '';
+
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+    .replace(/<[!?][^>]*>/g, '')
+    .replace(DROPPED_ELEMENTS, '');
+
+  const output = [];
+  const openElements = [];
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const closeUntil = (position) => {
+    while (openElements.length > position) {
+      output.push(`</${openElements.pop()}>`);
+    }
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    output.push(escapeText(source.slice(lastIndex, match.index)));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closing, rawName, rawAttributes] = match;
+    const lowerName = rawName.toLowerCase().replace(/^[a-z]+:/, '');
+    const name = ELEMENT_ALIASES[lowerName] || lowerName;
+    const allowedAttributes = ALLOWED_ELEMENTS[name];
+
+    if (!allowedAttributes) {
+      // Unknown elements are unwrapped; a block-level one still ends the line
+      if (!closing && /^(tr|td|th|dt|dd|figure|figcaption|header|footer|table)$/.test(lowerName)) {
+        output.push(' ');
+      }
+      continue;
+    }
+
+    if (closing) {
+      const position = openElements.lastIndexOf(name);
+      if (position !== -1) closeUntil(position);
+      continue;
+    }
+
+    // Blocks cannot nest inside paragraphs or headings; close them first
+    if (BLOCK_ELEMENTS.has(name)) {
+      const inlineParent = openElements.findIndex(element => ['p', 'h2', 'h3', 'h4'].includes(element));
+      if (inlineParent !== -1) closeUntil(inlineParent);
+      if (name === 'li' && openElements[openElements.length - 1] === 'li') closeUntil(openElements.length - 1);
+    }
+
+    const attributes = [];
+    for (const attribute of allowedAttributes) {
+      let value = getAttribute(rawAttributes, attribute);
+      if (value === null) continue;
+
+      if (attribute === 'style') {
+        value = sanitizeStyle(value);
+      } else if (attribute === 'href') {
+        value = /^(https?:|mailto:|#)/i.test(value.trim()) ? value.trim() : null;
+      } else if (attribute === 'src') {
+        value = mapImage ? mapImage(value) : (/^https?:\/\//i.test(value.trim()) ? value.trim() : null);
+      }
+      if (value !== null && value !== undefined) {
+        attributes.push(` ${attribute}="${escapeAttribute(value)}"`);
+      }
+    }
+
+    if (name === 'img') {
+      if (!attributes.some(attribute => attribute.startsWith(' src='))) {
+        const alt = getAttribute(rawAttributes, 'alt');
+        if (alt) output.push(`[${escapeText(alt)}]`);
+        continue;
+      }
+      if (!attributes.some(attribute => attribute.startsWith(' alt='))) attributes.push(' alt=""');
+    }
+
+    if (VOID_ELEMENTS.has(name)) {
+      output.push(`<${name}${attributes.join('')}>`);
+      continue;
+    }
+
+    output.push(`<${name}${attributes.join('')}>`);
+    openElements.push(name);
+  }
+
+  output.push(escapeText(source.slice(lastIndex)));
+  closeUntil(0);
+
+  return output.join('')
+    // Drop paragraphs left empty once unsupported markup is gone
+    .replace(/<(p|h2|h3|h4|strong|em|u|s|sub|sup|a)\b[^>]*>(\s|&nbsp;|&#160;)*<\/\1>/gi, '')
+    .replace(/<(p|h2|h3|h4|strong|em|u|s|sub|sup|a)\b[^>]*>(\s|&nbsp;|&#160;)*<\/\1>/gi, '')
+    .replace(/[ \t]*\n[\s]*/g, '\n')
+    .trim();
+};
+
+/**
+ * Get the plain text of an HTML fragment
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with collapsed whitespace
+ */
+export const htmlToPlainText = (html) => {
+  return String(html || '')
+    .replace(/<(br|\/p|\/li|\/h[1-6]|\/div)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;|&#160;/gi, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
@@ -0,0 +1,224 @@
+/**
+ * Consistency checks for chapter text
+ *
+ * Works on chapter HTML (plain text works too). Offsets in the reported issues
+ * index into that same string, so the editor can highlight the characters;
+ * markup itself is never matched.
+ */
+
+const BLOCK_TAGS = /^(p|div|br|li|h[1-6]|blockquote|tr|td|th|hr)$/i;
+
+const HTML_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  hellip: '…', ndash: '–', mdash: '—', ldquo: '“', rdquo: '”',
+  lsquo: '‘', rsquo: '’', laquo: '«', raquo: '»'
+};
+
+// Han, kana and hangul; a run of them is text left in the source language
+const CJK_RUN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff\uac00-\ud7af]+/g;
+
+// Four or more unaccented Latin words in a row; the tail of an accented word is not one
+const LATIN_RUN = /(?<![\p{L}\p{N}])[A-Za-z]+(?:['’][A-Za-z]+)*(?:[ \t,;:-]+[A-Za-z]+(?:['’][A-Za-z]+)*){3,}(?![\p{L}\p{N}])/gu;
+
+// English function words; Vietnamese written with its diacritics never matches these as a run
+const ENGLISH_WORDS = new Set([
+  'the', 'and', 'of', 'is', 'are', 'was', 'were', 'you', 'your', 'it', 'its', 'this', 'that',
+  'with', 'for', 'what', 'have', 'has', 'had', 'not', 'be', 'will', 'would', 'my', 'he', 'she',
+  'they', 'we', 'do', 'does', 'did', 'from', 'there', 'their', 'been', 'can', 'could', 'should'
+]);
+
+// Quote pairs checked per paragraph; straight quotes only need an even count
+const QUOTE_PAIRS = [['“', '”'], ['«', '»'], ['「', '」'], ['『', '』']];
+
+export const LINT_ISSUE_TYPES = [
+  'glossary_variant',
+  'glossary_untranslated',
+  'untranslated_cjk',
+  'untranslated_latin',
+  'unbalanced_quote'
+];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the text of chapter HTML with the source offsets of every character
+ * Block elements become line breaks so words and quotes don't run across paragraphs.
+ *
+ * @param {string} html - Chapter HTML or plain text
+ * @returns {Object} { text, starts, ends }: text[i] comes from html.slice(starts[i], ends[i])
+ */
+export const extractTextWithOffsets = (html) => {
+  const chars = [];
+  const starts = [];
+  const ends = [];
+  const push = (value, start, end) => {
+    for (let k = 0; k < value.length; k++) {
+      chars.push(value[k]);
+      starts.push(start);
+      ends.push(end);
+    }
+  };
+
+  let i = 0;
+  while (i < html.length) {
+    if (html[i] === '<' && /[a-zA-Z/!]/.test(html[i + 1] || '')) {
+      const close = html.indexOf('>', i);
+      if (close === -1) break;
+      const name = html.slice(i, close + 1).match(/^<\/?([a-zA-Z][\w-]*)/)?.[1] || '';
+
+      // Scripts and styles have no text to check
+      if (/^(script|style)$/i.test(name) && html[i + 1] !== '/') {
+        const end = html.toLowerCase().indexOf(`</${name.toLowerCase()}`, close);
+        i = end === -1 ? html.length : end;
+        continue;
+      }
+      if (BLOCK_TAGS.test(name)) push('\n', i, close + 1);
+      i = close + 1;
+      continue;
+    }
+
+    if (html[i] === '&') {
+      const entity = html.slice(i, i + 12).match(/^&(#\d+|#x[0-9a-f]+|[a-z]+);/i);
+      if (entity) {
+        const name = entity[1];
+        const decoded = name.startsWith('#x') || name.startsWith('#X')
+          ? String.fromCodePoint(parseInt(name.slice(2), 16))
+          : name.startsWith('#')
+            ? String.fromCodePoint(parseInt(name.slice(1), 10))
+            : HTML_ENTITIES[name.toLowerCase()] ?? entity[0];
+        push(decoded, i, i + entity[0].length);
+        i += entity[0].length;
+        continue;
+      }
+    }
+
+    push(html[i], i, i + 1);
+    i++;
+  }
+
+  return { text: chars.join(''), starts, ends };
+};
+
+/**
+ * Build a pattern matching a glossary term as a whole word
+ * Terms in CJK scripts are matched anywhere, since those don't separate words.
+ */
+const buildTermPattern = (term, caseSensitive) => {
+  const source = escapeRegExp(term.normalize('NFC').trim()).replace(/\s+/g, '\\s+');
+  const isCjk = new RegExp(CJK_RUN.source).test(term);
+  const bounded = isCjk ? source : `(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`;
+  return new RegExp(bounded, caseSensitive ? 'gu' : 'giu');
+};
+
+const findAll = (pattern, text) => [...text.matchAll(pattern)].map(match => ({
+  start: match.index,
+  end: match.index + match[0].length,
+  value: match[0]
+}));
+
+const overlaps = (range, ranges) => ranges.some(other => range.start < other.end && other.start < range.end);
+
+/**
+ * Check chapter text against a glossary and for common translation leftovers
+ *
+ * @param {string} html - Chapter HTML or plain text
+ * @param {Array<Object>} [terms] - Glossary terms { _id, sourceTerm, preferred, forbiddenVariants, caseSensitive }
+ * @returns {Object} { issues: [{ type, start, end, text, message, ... }], summary: { [type]: count } }
+ */
+export const lintChapterText = (html, terms = []) => {
+  const source = html || '';
+  const { text, starts, ends } = extractTextWithOffsets(source);
+  const issues = [];
+
+  const addIssue = (type, { start, end }, message, extra = {}) => {
+    issues.push({
+      type,
+      start: starts[start],
+      end: ends[end - 1],
+      text: text.slice(start, end),
+      message,
+      ...extra
+    });
+  };
+
+  const glossaryRanges = [];
+  for (const term of terms) {
+    const preferredRanges = findAll(buildTermPattern(term.preferred, term.caseSensitive), text);
+
+    for (const variant of term.forbiddenVariants || []) {
+      if (!variant || variant === term.preferred) continue;
+      for (const range of findAll(buildTermPattern(variant, term.caseSensitive), text)) {
+        // A variant contained in the preferred rendering is fine there
+        if (overlaps(range, preferredRanges)) continue;
+        glossaryRanges.push(range);
+        addIssue('glossary_variant', range, `Dùng "${term.preferred}" thay cho "${range.value}"`, {
+          termId: term._id,
+          expected: term.preferred
+        });
+      }
+    }
+
+    if (term.sourceTerm.toLowerCase() !== term.preferred.toLowerCase()) {
+      for (const range of findAll(buildTermPattern(term.sourceTerm, term.caseSensitive), text)) {
+        if (overlaps(range, preferredRanges)) continue;
+        glossaryRanges.push(range);
+        addIssue('glossary_untranslated', range, `"${range.value}" chưa được dịch thành "${term.preferred}"`, {
+          termId: term._id,
+          expected: term.preferred
+        });
+      }
+    }
+  }
+
+  for (const range of findAll(CJK_RUN, text)) {
+    if (overlaps(range, glossaryRanges)) continue;
+    addIssue('untranslated_cjk', range, `Còn chữ chưa dịch: "${range.value}"`);
+  }
+
+  for (const range of findAll(LATIN_RUN, text)) {
+    if (overlaps(range, glossaryRanges)) continue;
+    const words = range.value.toLowerCase().split(/[^a-z'’]+/);
+    if (!words.some(word => ENGLISH_WORDS.has(word))) continue;
+    addIssue('untranslated_latin', range, `Có thể còn câu tiếng Anh chưa dịch: "${range.value}"`);
+  }
+
+  // Quotes are balanced per paragraph
+  let lineStart = 0;
+  for (const line of text.split('\n')) {
+    const straight = [];
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '"') straight.push(lineStart + i);
+    }
+    if (straight.length % 2 === 1) {
+      const position = straight[straight.length - 1];
+      addIssue('unbalanced_quote', { start: position, end: position + 1 }, 'Thiếu dấu " đóng hoặc mở');
+    }
+
+    for (const [open, close] of QUOTE_PAIRS) {
+      const stack = [];
+      for (let i = 0; i < line.length; i++) {
+        if (line[i] === open) {
+          stack.push(lineStart + i);
+        } else if (line[i] === close) {
+          if (stack.length) {
+            stack.pop();
+          } else {
+            addIssue('unbalanced_quote', { start: lineStart + i, end: lineStart + i + 1 }, `Dấu ${close} không có dấu ${open} mở`);
+          }
+        }
+      }
+      for (const position of stack) {
+        addIssue('unbalanced_quote', { start: position, end: position + 1 }, `Dấu ${open} không có dấu ${close} đóng`);
+      }
+    }
+
+    lineStart += line.length + 1;
+  }
+
+  issues.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const summary = Object.fromEntries(LINT_ISSUE_TYPES.map(type => [type, 0]));
+  issues.forEach(issue => { summary[issue.type]++; });
+
+  return { issues, summary };
+};
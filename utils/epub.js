@@ -0,0 +1,379 @@
+import { createZip } from './zip.js';
+
+/**
+ * EPUB 3 packaging
+ *
+ * Turns already-loaded book data into an .epub file. Loading the data, access
+ * checks and downloading images happen in services/epubExportService.js.
+ */
+
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'hr', 'img', 'source', 'wbr']);
+
+// Elements whose content is never exported
+const DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|form|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Named entities are not defined in XHTML without a DTD, so they become numeric references
+const NAMED_ENTITIES = {
+  nbsp: 160, amp: 38, lt: 60, gt: 62, quot: 34, apos: 39,
+  hellip: 8230, ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217,
+  ldquo: 8220, rdquo: 8221, laquo: 171, raquo: 187, middot: 183,
+  bull: 8226, copy: 169, reg: 174, trade: 8482, deg: 176, times: 215,
+  shy: 173, zwj: 8205, zwnj: 8204, thinsp: 8201, ensp: 8194, emsp: 8195
+};
+
+/**
+ * Escape text for XML content or attribute values
+ *
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Escape text that may contain entities, keeping the valid ones
+ */
+const escapeText = (text) => text
+  .replace(/&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);|&/gi, (match, entity) => {
+    if (!entity) return '&amp;';
+    if (entity.startsWith('#')) return match;
+    const code = NAMED_ENTITIES[entity.toLowerCase()];
+    return code ? `&#${code};` : `&amp;${entity};`;
+  })
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Rebuild a tag's attributes as well-formed XML
+ * Event handlers, script URLs and namespaced attributes are dropped.
+ */
+const normalizeAttributes = (rawAttributes) => {
+  const attributes = [];
+  const seen = new Set();
+  const pattern = /([^\s=/"'<>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+  let match;
+
+  while ((match = pattern.exec(rawAttributes)) !== null) {
+    const name = match[1].toLowerCase();
+    if (seen.has(name) || name.startsWith('on') || name === 'xmlns' || (name.includes(':') && name !== 'xml:lang')) {
+      continue;
+    }
+    seen.add(name);
+
+    let value = match[2] ?? name;
+    if (/^["']/.test(value)) value = value.slice(1, -1);
+    if (/^\s*javascript:/i.test(value)) continue;
+
+    attributes.push(`${name}="${escapeText(value).replace(/"/g, '&quot;')}"`);
+  }
+
+  return attributes.length ? ` ${attributes.join(' ')}` : '';
+};
+
+/**
+ * Convert editor HTML into well-formed XHTML body content
+ * Tags left open are closed, stray closing tags are dropped and void elements
+ * are self-closed, which covers what the chapter editor produces.
+ *
+ * @param {string} html - HTML fragment
+ * @param {Object} [options]
+ * @param {Function} [options.mapImage] - (src) => local href, or null to replace the image with its alt text
+ * @returns {string} XHTML fragment
+ */
+export const htmlToXhtml = (html, { mapImage } = {}) => {
+  if (!html) return '';
+
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(DROPPED_ELEMENTS, '');
+
+  const output = [];
+  const openElements = [];
+  const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)([^>]*)>/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    output.push(escapeText(source.slice(lastIndex, match.index)));
+    lastIndex = tagPattern.lastIndex;
+
+    const [, closing, rawName, rawAttributes] = match;
+    const name = rawName.toLowerCase();
+
+    // Word/Office markup such as <o:p> is not valid without its namespace
+    if (name.includes(':')) continue;
+
+    if (closing) {
+      const position = openElements.lastIndexOf(name);
+      if (position === -1) continue;
+      while (openElements.length > position) {
+        output.push(`</${openElements.pop()}>`);
+      }
+      continue;
+    }
+
+    let attributes = normalizeAttributes(rawAttributes.replace(/\/\s*$/, ''));
+
+    if (name === 'img') {
+      const src = rawAttributes.match(/\bsrc\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+      const href = src && mapImage ? mapImage(src[2] ?? src[3] ?? src[4]) : null;
+      if (!href) {
+        const alt = rawAttributes.match(/\balt\s*=\s*("([^"]*)"|'([^']*)')/i);
+        const altText = alt?.[2] ?? alt?.[3];
+        if (altText) output.push(`[${escapeText(altText)}]`);
+        continue;
+      }
+      const alt = attributes.match(/ alt="[^"]*"/)?.[0] || ' alt=""';
+      attributes = ` src="${escapeXml(href)}"${alt}`;
+    }
+
+    if (VOID_ELEMENTS.has(name)) {
+      output.push(`<${name}${attributes}/>`);
+      continue;
+    }
+
+    output.push(`<${name}${attributes}>`);
+    openElements.push(name);
+  }
+
+  output.push(escapeText(source.slice(lastIndex)));
+  while (openElements.length) {
+    output.push(`</${openElements.pop()}>`);
+  }
+
+  return output.join('');
+};
+
+/**
+ * Collect the image URLs used in an HTML fragment
+ *
+ * @param {string} html - HTML fragment
+ * @returns {Array<string>} Absolute http(s) image URLs
+ */
+export const collectImageSources = (html) => {
+  const sources = [];
+  const pattern = /<img\b[^>]*?\bsrc\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const src = match[2] ?? match[3] ?? match[4];
+    if (/^https?:\/\//i.test(src)) sources.push(src);
+  }
+  return sources;
+};
+
+const xhtmlDocument = (title, body, bodyClass = '') => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="vi" lang="vi">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(title)}</title>
+<link rel="stylesheet" type="text/css" href="../styles/book.css"/>
+</head>
+<body${bodyClass ? ` class="${bodyClass}"` : ''}>
+${body}
+</body>
+</html>
+`;
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.6; margin: 0 5%; }
+h1, h2 { text-align: center; }
+p { text-indent: 1.5em; margin: 0 0 0.6em; }
+img { max-width: 100%; }
+.cover { margin: 0; padding: 0; text-align: center; }
+.cover img { height: 100%; max-height: 100vh; }
+.credits { text-align: center; font-style: italic; font-size: 0.9em; margin-bottom: 2em; }
+.credits p, .title-page p { text-indent: 0; }
+.title-page { text-align: center; }
+.footnotes { border-top: 1px solid #999; margin-top: 2em; font-size: 0.9em; }
+aside.footnote p { text-indent: 0; }
+a.noteref { vertical-align: super; font-size: 0.75em; text-decoration: none; }
+`;
+
+/**
+ * Render a chapter's footnotes as EPUB popup notes and link their markers
+ * A `[name]` marker in the text becomes a noteref to the matching note.
+ */
+const renderChapterBody = (chapter, chapterIndex, mapImage) => {
+  const footnotes = chapter.footnotes || [];
+  const noteId = (note) => `fn-${chapterIndex}-${note.id}`;
+
+  // Markers the editor already wrapped in a link are relinked to the EPUB notes
+  const html = (chapter.content || '').replace(/<a\b[^>]*>\s*(\[[^\]<]{1,20}\])\s*<\/a>/gi, '$1');
+  let body = htmlToXhtml(html, { mapImage });
+
+  for (const note of footnotes) {
+    const label = note.name || String(note.id);
+    const marker = `[${escapeText(label)}]`;
+    const position = body.indexOf(marker);
+    if (position === -1) continue;
+    body = `${body.slice(0, position)}<a epub:type="noteref" class="noteref" id="ref-${noteId(note)}" href="#${noteId(note)}">${marker}</a>${body.slice(position + marker.length)}`;
+  }
+
+  const credits = [
+    ['Dịch', chapter.credits?.translator],
+    ['Biên tập', chapter.credits?.editor],
+    ['Hiệu đính', chapter.credits?.proofreader]
+  ].filter(([, name]) => name).map(([role, name]) => `${role}: ${escapeXml(name)}`);
+
+  const notes = footnotes.map(note => {
+    const label = note.name || String(note.id);
+    return `<aside epub:type="footnote" class="footnote" id="${noteId(note)}"><p><a href="#ref-${noteId(note)}">[${escapeXml(label)}]</a> ${htmlToXhtml(note.content)}</p></aside>`;
+  });
+
+  return [
+    `<h2>${escapeXml(chapter.title)}</h2>`,
+    credits.length ? `<div class="credits"><p>${credits.join(' · ')}</p></div>` : '',
+    body,
+    notes.length ? `<section class="footnotes" epub:type="footnotes">\n${notes.join('\n')}\n</section>` : ''
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Build an EPUB 3 file
+ *
+ * @param {Object} book
+ * @param {string} book.identifier - Stable unique ID, e.g. 'urn:valvrare:module:<id>'
+ * @param {string} book.title - Book title
+ * @param {string} [book.language] - BCP 47 language
+ * @param {string} [book.author] - Original author
+ * @param {string} [book.illustrator] - Illustrator
+ * @param {string} [book.description] - Plain-text description
+ * @param {Array<string>} [book.titlePageLines] - Extra lines shown on the title page
+ * @param {Object} [book.cover] - { data, mediaType, extension }
+ * @param {Array<Object>} [book.images] - [{ src, href, data, mediaType }] images used in chapters
+ * @param {Array<Object>} book.sections - [{ title, chapters: [{ title, content, footnotes, credits }] }];
+ *   with one section its chapters form a flat table of contents
+ * @param {Date} [book.modified] - Last modification time
+ * @returns {Buffer} EPUB file
+ */
+export const buildEpub = (book) => {
+  const {
+    identifier,
+    title,
+    language = 'vi',
+    author,
+    illustrator,
+    description,
+    titlePageLines = [],
+    cover = null,
+    images = [],
+    sections,
+    modified = new Date()
+  } = book;
+
+  const imageHrefs = new Map(images.map(image => [image.src, image.href]));
+  const mapImage = (src) => imageHrefs.get(src) ? `../${imageHrefs.get(src)}` : null;
+
+  const files = [];
+  const manifest = [];
+  const spine = [];
+
+  const addPage = (id, href, content, properties) => {
+    files.push({ name: `OEBPS/${href}`, data: content });
+    manifest.push(`<item id="${id}" href="${href}" media-type="application/xhtml+xml"${properties ? ` properties="${properties}"` : ''}/>`);
+    spine.push(`<itemref idref="${id}"/>`);
+  };
+
+  if (cover) {
+    const coverHref = `images/cover.${cover.extension}`;
+    files.push({ name: `OEBPS/${coverHref}`, data: cover.data });
+    manifest.push(`<item id="cover-image" href="${coverHref}" media-type="${cover.mediaType}" properties="cover-image"/>`);
+    addPage('cover', 'text/cover.xhtml', xhtmlDocument(title, `<div class="cover"><img src="../${coverHref}" alt="${escapeXml(title)}"/></div>`, 'cover'));
+  }
+
+  const titlePage = [
+    `<h1>${escapeXml(title)}</h1>`,
+    author ? `<p>Tác giả: ${escapeXml(author)}</p>` : '',
+    illustrator ? `<p>Minh họa: ${escapeXml(illustrator)}</p>` : '',
+    ...titlePageLines.map(line => `<p>${escapeXml(line)}</p>`),
+    description ? `<div class="description">${htmlToXhtml(description)}</div>` : ''
+  ].filter(Boolean).join('\n');
+  addPage('title-page', 'text/title.xhtml', xhtmlDocument(title, `<div class="title-page">\n${titlePage}\n</div>`));
+
+  images.forEach((image, index) => {
+    files.push({ name: `OEBPS/${image.href}`, data: image.data });
+    manifest.push(`<item id="image-${index + 1}" href="${image.href}" media-type="${image.mediaType}"/>`);
+  });
+
+  const navSections = [];
+  let chapterIndex = 0;
+  for (const section of sections) {
+    const navChapters = [];
+    for (const chapter of section.chapters) {
+      chapterIndex++;
+      const href = `text/chapter-${chapterIndex}.xhtml`;
+      addPage(`chapter-${chapterIndex}`, href, xhtmlDocument(chapter.title, renderChapterBody(chapter, chapterIndex, mapImage)));
+      navChapters.push(`<li><a href="${href}">${escapeXml(chapter.title)}</a></li>`);
+    }
+    navSections.push({ title: section.title, items: navChapters });
+  }
+
+  const navList = navSections.length === 1
+    ? navSections[0].items.join('\n')
+    : navSections
+      .filter(section => section.items.length)
+      .map(section => `<li><span>${escapeXml(section.title)}</span>\n<ol>\n${section.items.join('\n')}\n</ol></li>`)
+      .join('\n');
+  const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+<meta charset="UTF-8"/>
+<title>Mục lục</title>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+<h1>Mục lục</h1>
+<ol>
+${navList}
+</ol>
+</nav>
+</body>
+</html>
+`;
+  files.push({ name: 'OEBPS/nav.xhtml', data: nav });
+  manifest.push('<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>');
+
+  files.push({ name: 'OEBPS/styles/book.css', data: STYLESHEET });
+  manifest.push('<item id="css" href="styles/book.css" media-type="text/css"/>');
+
+  const modifiedAt = modified.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:language>${language}</dc:language>
+${author ? `<dc:creator id="author">${escapeXml(author)}</dc:creator>\n<meta refines="#author" property="role" scheme="marc:relators">aut</meta>` : ''}
+${illustrator ? `<dc:contributor id="illustrator">${escapeXml(illustrator)}</dc:contributor>\n<meta refines="#illustrator" property="role" scheme="marc:relators">ill</meta>` : ''}
+<meta property="dcterms:modified">${modifiedAt}</meta>
+${cover ? '<meta name="cover" content="cover-image"/>' : ''}
+</metadata>
+<manifest>
+${manifest.join('\n')}
+</manifest>
+<spine>
+${spine.join('\n')}
+</spine>
+</package>
+`.replace(/\n{2,}/g, '\n');
+
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`;
+
+  return createZip([
+    // The mimetype must be the first entry, stored uncompressed
+    { name: 'mimetype', data: 'application/epub+zip', store: true },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    ...files
+  ], modified);
+};
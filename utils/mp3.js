@@ -0,0 +1,201 @@
+/**
+ * Minimal MPEG audio (Layer III) frame handling for stitching TTS audio
+ *
+ * Each synthesized chunk is a complete MP3 file, possibly with an ID3 tag and a
+ * Xing/Info header frame. Concatenating the files as-is leaves those headers in
+ * the middle of the stream and makes players compute the wrong duration, so the
+ * stitcher keeps only the audio frames and writes a single Info header in front.
+ */
+
+const BITRATES_KBPS = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000] // MPEG-2.5
+};
+
+/**
+ * Parse the 4-byte frame header at an offset
+ *
+ * @param {Buffer} buffer - MP3 data
+ * @param {number} offset - Position of the candidate header
+ * @returns {Object|null} Frame info, or null if there is no valid Layer III header
+ */
+export const parseFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length) return null;
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+  const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = (buffer[offset + 2] >> 4) & 0x0F;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  const channelMode = (buffer[offset + 3] >> 6) & 0x03;
+
+  // Only Layer III, no reserved/free-format values
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const isMpeg1 = versionBits === 3;
+  const bitrate = BITRATES_KBPS[isMpeg1 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+  const samples = isMpeg1 ? 1152 : 576;
+  const length = Math.floor((isMpeg1 ? 144 : 72) * bitrate / sampleRate) + padding;
+  const isMono = channelMode === 3;
+  const sideInfoSize = isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+
+  return { offset, length, padding, bitrate, sampleRate, samples, sideInfoSize, isMpeg1, isMono };
+};
+
+/**
+ * Skip an ID3v2 tag at the start of the data
+ */
+const getAudioStart = (buffer) => {
+  if (buffer.length >= 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+    // Tag size is a 28-bit syncsafe integer, excluding the 10-byte header (and footer if flagged)
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    const hasFooter = (buffer[5] & 0x10) !== 0;
+    return 10 + size + (hasFooter ? 10 : 0);
+  }
+  return 0;
+};
+
+/**
+ * Check whether a frame is a Xing/Info/VBRI header rather than audio
+ */
+const isHeaderFrame = (buffer, frame) => {
+  const xingOffset = frame.offset + 4 + frame.sideInfoSize;
+  const tag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+  if (tag === 'Xing' || tag === 'Info') return true;
+  return buffer.toString('latin1', frame.offset + 36, frame.offset + 40) === 'VBRI';
+};
+
+/**
+ * Find the audio frames of an MP3 file
+ *
+ * @param {Buffer} buffer - MP3 data
+ * @returns {Object} { frames, sampleRate, durationMs }
+ */
+export const parseMp3Frames = (buffer) => {
+  const frames = [];
+  let offset = getAudioStart(buffer);
+  let end = buffer.length;
+
+  // ID3v1 tag at the end
+  if (end >= 128 && buffer.toString('latin1', end - 128, end - 125) === 'TAG') {
+    end -= 128;
+  }
+
+  while (offset + 4 <= end) {
+    const frame = parseFrameHeader(buffer, offset);
+    if (!frame || offset + frame.length > end) {
+      // Resynchronize on the next byte; encoders sometimes leave junk between frames
+      offset++;
+      continue;
+    }
+
+    if (frames.length > 0 || !isHeaderFrame(buffer, frame)) {
+      frames.push(frame);
+    }
+    offset += frame.length;
+  }
+
+  const sampleRate = frames[0]?.sampleRate || 0;
+  const totalSamples = frames.reduce((sum, frame) => sum + frame.samples, 0);
+
+  return {
+    frames,
+    sampleRate,
+    durationMs: sampleRate ? Math.round(totalSamples * 1000 / sampleRate) : 0
+  };
+};
+
+/**
+ * Build an Info header frame describing the whole stream, so players show the
+ * right duration and can seek without scanning the file
+ */
+const buildInfoFrame = (buffer, template, frameCount, byteCount, isVbr) => {
+  // Same header as the first audio frame, without padding
+  const frame = Buffer.alloc(template.length - template.padding);
+  buffer.copy(frame, 0, template.offset, template.offset + 4);
+  frame[2] &= ~0x02;
+
+  const xingOffset = 4 + template.sideInfoSize;
+  if (xingOffset + 16 > frame.length) {
+    return null;
+  }
+
+  frame.write(isVbr ? 'Xing' : 'Info', xingOffset, 'latin1');
+  // Flags: frame count and byte count present
+  frame.writeUInt32BE(0x03, xingOffset + 4);
+  frame.writeUInt32BE(frameCount, xingOffset + 8);
+  frame.writeUInt32BE(byteCount + frame.length, xingOffset + 12);
+
+  return frame;
+};
+
+/**
+ * Join MP3 files into one valid stream
+ *
+ * @param {Array<Buffer>} buffers - MP3 files in playback order, with the same sample rate
+ * @returns {Object} { audio, durationMs, parts: [{ startMs, durationMs }] }
+ */
+export const stitchMp3 = (buffers) => {
+  const frameBuffers = [];
+  const parts = [];
+  let frameCount = 0;
+  let byteCount = 0;
+  let template = null;
+  let templateSource = null;
+  let sampleRate = 0;
+  let totalSamples = 0;
+  const bitrates = new Set();
+
+  for (const buffer of buffers) {
+    const { frames, sampleRate: partSampleRate } = parseMp3Frames(buffer);
+    if (frames.length === 0) {
+      parts.push({ startMs: sampleRate ? Math.round(totalSamples * 1000 / sampleRate) : 0, durationMs: 0 });
+      continue;
+    }
+
+    if (sampleRate && partSampleRate !== sampleRate) {
+      throw new Error(`Cannot stitch MP3 parts with different sample rates (${sampleRate} and ${partSampleRate})`);
+    }
+    sampleRate = partSampleRate;
+    if (!template) {
+      template = frames[0];
+      templateSource = buffer;
+    }
+
+    const startSamples = totalSamples;
+    for (const frame of frames) {
+      frameBuffers.push(buffer.subarray(frame.offset, frame.offset + frame.length));
+      byteCount += frame.length;
+      totalSamples += frame.samples;
+      bitrates.add(frame.bitrate);
+    }
+    frameCount += frames.length;
+
+    parts.push({
+      startMs: Math.round(startSamples * 1000 / sampleRate),
+      durationMs: Math.round((totalSamples - startSamples) * 1000 / sampleRate)
+    });
+  }
+
+  if (!template) {
+    return { audio: Buffer.alloc(0), durationMs: 0, parts };
+  }
+
+  const infoFrame = buildInfoFrame(templateSource, template, frameCount, byteCount, bitrates.size > 1);
+
+  return {
+    audio: Buffer.concat(infoFrame ? [infoFrame, ...frameBuffers] : frameBuffers),
+    durationMs: Math.round(totalSamples * 1000 / sampleRate),
+    parts
+  };
+};
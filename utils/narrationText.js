@@ -0,0 +1,222 @@
+/**
+ * Text preparation for TTS narration of chapters
+ */
+
+// Google Cloud TTS rejects requests over 5000 bytes; leave some buffer
+export const MAX_CHUNK_BYTES = 4500;
+
+const HTML_ENTITIES = {
+  '&nbsp;': ' ',
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&hellip;': '…',
+  '&ndash;': '–',
+  '&mdash;': '—',
+  '&ldquo;': '“',
+  '&rdquo;': '”',
+  '&lsquo;': '‘',
+  '&rsquo;': '’'
+};
+
+/**
+ * Turn chapter HTML into plain text for narration
+ * Footnote references and markup are removed; block elements become line breaks
+ * so paragraphs still end a sentence.
+ *
+ * @param {string} html - Chapter.content
+ * @returns {string} Plain text
+ */
+export const prepareNarrationText = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  return html
+    // Footnote references, e.g. <sup><a href="#note-1">[1]</a></sup>
+    .replace(/<sup\b[^>]*>[\s\S]*?<\/sup>/gi, '')
+    // Content that is never read aloud
+    .replace(/<(script|style|figure|figcaption)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(br|hr)\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z]+;|&#\d+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()]
+      ?? (entity.startsWith('&#') ? String.fromCharCode(parseInt(entity.slice(2), 10)) : ' '))
+    // Plain-text footnote markers such as [1] or [*]
+    .replace(/\[(\d{1,3}|\*{1,3})\]/g, '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+};
+
+// Characters that end a sentence, and closing marks that stay with the sentence they end
+const SENTENCE_TERMINATORS = new Set(['.', '!', '?', '…']);
+const CLOSING_MARKS = new Set(['"', "'", '”', '’', '»', ')', ']']);
+
+/**
+ * Split text into sentences at Vietnamese sentence boundaries
+ * A sentence ends at . ! ? … (keeping repeated punctuation and closing quotes or
+ * brackets) when followed by whitespace and a word that is not lowercase, or at
+ * a line break. Dots inside tokens such as "3.5" or "v.v" do not end a sentence.
+ *
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} [{ text, start, end }] with offsets into the input
+ */
+export const segmentSentences = (text) => {
+  const segments = [];
+  let start = 0;
+
+  const pushSegment = (end) => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed) {
+      const segmentStart = start + (raw.length - raw.trimStart().length);
+      segments.push({ text: trimmed, start: segmentStart, end: segmentStart + trimmed.length });
+    }
+    start = end;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      pushSegment(i);
+      continue;
+    }
+    if (!SENTENCE_TERMINATORS.has(text[i])) {
+      continue;
+    }
+
+    let end = i + 1;
+    while (end < text.length && SENTENCE_TERMINATORS.has(text[end])) end++;
+    while (end < text.length && CLOSING_MARKS.has(text[end])) end++;
+
+    // The next sentence starts with a capital; "v.v. và" or "ừm... thôi" continue the sentence
+    const next = text.slice(end).match(/^[ \t]*(\S)/)?.[1];
+    const continuesSentence = next && next !== next.toUpperCase();
+
+    if ((end === text.length || /\s/.test(text[end])) && !continuesSentence) {
+      pushSegment(end);
+    }
+    i = end - 1;
+  }
+  pushSegment(text.length);
+
+  return segments;
+};
+
+/**
+ * Split text into sentences
+ *
+ * @param {string} text - Plain text
+ * @returns {Array<string>} Sentences
+ */
+export const splitSentences = (text) => segmentSentences(text).map(segment => segment.text);
+
+/**
+ * Split a sentence that is too long on its own at commas, then at spaces
+ * Offsets of the pieces stay relative to the original text.
+ */
+const splitLongSegment = (segment, maxBytes) => {
+  const pieces = segment.text.split(/(?<=[,;:])\s+/).flatMap(piece =>
+    Buffer.byteLength(piece, 'utf8') > maxBytes ? piece.split(/\s+/) : [piece]
+  );
+
+  const parts = [];
+  let current = null;
+  let cursor = 0;
+
+  for (const piece of pieces) {
+    const pieceStart = segment.text.indexOf(piece, cursor);
+    cursor = pieceStart + piece.length;
+
+    if (current && Buffer.byteLength(`${current.text} ${piece}`, 'utf8') <= maxBytes) {
+      current.text = `${current.text} ${piece}`;
+      current.end = segment.start + cursor;
+      continue;
+    }
+
+    if (current) parts.push(current);
+    current = { text: piece, start: segment.start + pieceStart, end: segment.start + cursor };
+  }
+  if (current) parts.push(current);
+
+  return parts;
+};
+
+/**
+ * Group sentences into chunks that fit a single TTS request
+ *
+ * @param {string} text - Plain text
+ * @param {number} [maxBytes] - Maximum UTF-8 size of a chunk
+ * @returns {Array<Object>} [{ text, segments }] in reading order
+ */
+export const buildNarrationChunks = (text, maxBytes = MAX_CHUNK_BYTES) => {
+  const chunks = [];
+  let current = null;
+
+  for (const sentence of segmentSentences(text)) {
+    const segments = Buffer.byteLength(sentence.text, 'utf8') > maxBytes
+      ? splitLongSegment(sentence, maxBytes)
+      : [sentence];
+
+    for (const segment of segments) {
+      if (current && Buffer.byteLength(`${current.text} ${segment.text}`, 'utf8') <= maxBytes) {
+        current.text = `${current.text} ${segment.text}`;
+        current.segments.push(segment);
+        continue;
+      }
+
+      if (current) chunks.push(current);
+      current = { text: segment.text, segments: [segment] };
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+};
+
+/**
+ * Build the sentence timing map of a narration
+ * Chunk boundaries come from the audio itself. Within a chunk, sentence starts
+ * come from the provider's SSML mark timepoints when it reports them; otherwise
+ * time is shared between sentences by length.
+ *
+ * @param {Array<Object>} chunks - buildNarrationChunks result
+ * @param {Array<Object>} parts - { startMs, durationMs } of each chunk's audio
+ * @param {number} durationMs - Duration of the whole narration
+ * @param {Array<Array<number|null>>} [chunkMarks] - Per chunk, the measured start (ms into the chunk) of each segment
+ * @returns {Object} { version, durationMs, sentences: [{ text, start, end, startMs, endMs }] }
+ */
+export const buildTimingMap = (chunks, parts, durationMs, chunkMarks = []) => {
+  const sentences = [];
+
+  chunks.forEach((chunk, index) => {
+    const { startMs = 0, durationMs: chunkMs = 0 } = parts[index] || {};
+    const marks = chunkMarks[index] || [];
+    const totalLength = chunk.segments.reduce((sum, segment) => sum + segment.text.length, 0) || 1;
+
+    let elapsed = 0;
+    let previous = 0;
+    const offsets = chunk.segments.map((segment, i) => {
+      const estimated = elapsed;
+      elapsed += chunkMs * segment.text.length / totalLength;
+      const measured = Number.isFinite(marks[i]) ? Math.min(marks[i], chunkMs) : estimated;
+      // A missing mark between measured ones must not move time backwards
+      previous = Math.max(previous, measured);
+      return previous;
+    });
+
+    chunk.segments.forEach((segment, i) => {
+      const segmentEnd = i + 1 < offsets.length ? offsets[i + 1] : chunkMs;
+      sentences.push({
+        text: segment.text,
+        start: segment.start,
+        end: segment.end,
+        startMs: Math.round(startMs + offsets[i]),
+        endMs: Math.round(startMs + Math.max(segmentEnd, offsets[i]))
+      });
+    });
+  });
+
+  return { version: 1, durationMs, sentences };
+};
@@ -1,12 +1,8 @@
 import Novel from '../models/Novel.js';
+import { createCache, invalidateCacheTags, novelTag, ALL_NOVELS_TAG } from './cacheStore.js';
 
-// Cache for novel existence validation
-const novelExistsCache = new Map();
-const NOVEL_EXISTS_CACHE_TTL = 1000 * 60 * 10; // 10 minutes
-const MAX_NOVEL_EXISTS_CACHE_SIZE = 1000;
-
-// Query deduplication for novel existence checks
-const pendingNovelQueries = new Map();
+// Cache for novel existence validation (10 minutes), cleared with the novel's other caches
+const novelExistsCache = createCache('novel-exists', { ttl: 60 * 10 });
 
 /**
  * Optimized novel existence check with caching and query deduplication
@@ -19,42 +15,9 @@ export const validateNovelExists = async (novelId, options = {}) => {
     return null;
   }
 
-  const cacheKey = `novel_exists_${novelId}`;
-  
-  // Check cache first
-  const cached = novelExistsCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < NOVEL_EXISTS_CACHE_TTL) {
-    return cached.data;
-  }
-
-  // Use query deduplication to prevent multiple identical requests
-  if (pendingNovelQueries.has(cacheKey)) {
-    return await pendingNovelQueries.get(cacheKey);
-  }
-
-  // Start new query
-  const queryPromise = performNovelValidation(novelId, options);
-  pendingNovelQueries.set(cacheKey, queryPromise);
-
-  try {
-    const result = await queryPromise;
-    
-    // Cache the result
-    if (novelExistsCache.size >= MAX_NOVEL_EXISTS_CACHE_SIZE) {
-      const oldestKey = novelExistsCache.keys().next().value;
-      novelExistsCache.delete(oldestKey);
-    }
-    
-    novelExistsCache.set(cacheKey, {
-      data: result,
-      timestamp: Date.now()
-    });
-
-    return result;
-  } finally {
-    // Clean up pending query
-    pendingNovelQueries.delete(cacheKey);
-  }
+  return novelExistsCache.wrap(String(novelId), () => performNovelValidation(novelId, options), {
+    tags: [novelTag(novelId)]
+  });
 };
 
 /**
@@ -99,18 +62,17 @@ export const batchValidateNovels = async (novelIds, options = {}) => {
   const uncachedIds = [];
 
   // First pass: Check cache
-  for (const novelId of novelIds) {
-    if (!novelId) continue;
-    
-    const cacheKey = `novel_exists_${novelId}`;
-    const cached = novelExistsCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < NOVEL_EXISTS_CACHE_TTL) {
-      results[novelId] = cached.data;
+  const cachedEntries = await Promise.all(novelIds.map(novelId => {
+    return novelId ? novelExistsCache.get(String(novelId)) : undefined;
+  }));
+  novelIds.forEach((novelId, index) => {
+    if (!novelId) return;
+    if (cachedEntries[index] !== undefined) {
+      results[novelId] = cachedEntries[index];
     } else {
       uncachedIds.push(novelId);
     }
-  }
+  });
 
   // Second pass: Batch query uncached novels
   if (uncachedIds.length > 0) {
@@ -133,16 +95,7 @@ export const batchValidateNovels = async (novelIds, options = {}) => {
         results[novelId] = novel;
         
         // Cache individual result
-        const cacheKey = `novel_exists_${novelId}`;
-        if (novelExistsCache.size >= MAX_NOVEL_EXISTS_CACHE_SIZE) {
-          const oldestKey = novelExistsCache.keys().next().value;
-          novelExistsCache.delete(oldestKey);
-        }
-        
-        novelExistsCache.set(cacheKey, {
-          data: novel,
-          timestamp: Date.now()
-        });
+        await novelExistsCache.set(novelId, novel, { tags: [novelTag(novelId)] });
       }
 
       // Add null for novels that don't exist
@@ -151,11 +104,7 @@ export const batchValidateNovels = async (novelIds, options = {}) => {
           results[novelId] = null;
           
           // Cache null result (shorter TTL)
-          const cacheKey = `novel_exists_${novelId}`;
-          novelExistsCache.set(cacheKey, {
-            data: null,
-            timestamp: Date.now()
-          });
+          await novelExistsCache.set(String(novelId), null, { ttl: 60, tags: [novelTag(novelId)] });
         }
       }
     } catch (error) {
@@ -178,12 +127,9 @@ export const batchValidateNovels = async (novelIds, options = {}) => {
  */
 export const clearNovelExistsCache = (novelId = null) => {
   if (novelId) {
-    novelExistsCache.delete(`novel_exists_${novelId}`);
-    pendingNovelQueries.delete(`novel_exists_${novelId}`);
-  } else {
-    novelExistsCache.clear();
-    pendingNovelQueries.clear();
+    return novelExistsCache.del(String(novelId));
   }
+  return invalidateCacheTags(ALL_NOVELS_TAG);
 };
 
 /**
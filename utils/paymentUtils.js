@@ -14,6 +14,9 @@ export const generateCardValidationHash = (provider, cardNumber, cardPin) => {
   if (!providerConfig) {
     throw new Error(`Unknown card provider: ${provider}`);
   }
+  if (!providerConfig.secretKey) {
+    throw new Error(`Card provider ${provider} has no secret key configured`);
+  }
   
   const dataToHash = `${providerConfig.partnerId}|${cardNumber}|${cardPin}|${providerConfig.secretKey}`;
   
@@ -23,6 +26,46 @@ export const generateCardValidationHash = (provider, cardNumber, cardPin) => {
     .digest('hex');
 };
 
+/**
+ * Generate the hash a card provider signs its callbacks with
+ * 
+ * @param {string} provider - Card provider name
+ * @param {string} transactionId - Our transaction ID sent with the card
+ * @param {string} status - Result status reported by the provider
+ * @param {number} cardValue - Real card value reported by the provider
+ * @returns {string} Hash for callback verification
+ */
+export const generateCardCallbackHash = (provider, transactionId, status, cardValue) => {
+  const providerConfig = paymentConfig.cardProviders[provider];
+  if (!providerConfig) {
+    throw new Error(`Unknown card provider: ${provider}`);
+  }
+  if (!providerConfig.secretKey) {
+    throw new Error(`Card provider ${provider} has no secret key configured`);
+  }
+  
+  const dataToHash = `${providerConfig.partnerId}|${transactionId}|${status}|${cardValue || 0}|${providerConfig.secretKey}`;
+  
+  return crypto
+    .createHash('sha256')
+    .update(dataToHash)
+    .digest('hex');
+};
+
+/**
+ * Sign data with HMAC-SHA256, as used by the MoMo and ZaloPay APIs
+ * 
+ * @param {string} data - Raw signature string
+ * @param {string} key - Secret key
+ * @returns {string} Hex encoded signature
+ */
+export const generateHmacSignature = (data, key) => {
+  return crypto
+    .createHmac('sha256', key)
+    .update(data)
+    .digest('hex');
+};
+
 /**
  * Generate a unique transaction ID
  * 
@@ -0,0 +1,187 @@
+/**
+ * Vietnamese-folded text for search
+ *
+ * Folding strips tone and vowel marks, turns đ into d and lowercases, so
+ * "tieu thuyet" and "Tiểu Thuyết" compare equal. Folding one character at a
+ * time keeps offsets into the folded text usable on the original, which is
+ * how snippets highlight the original words.
+ */
+
+// Queries longer than this are cut; every term becomes an index lookup
+const MAX_QUERY_TERMS = 10;
+
+const DEFAULT_SNIPPET_LENGTH = 200;
+
+// Context shown before the first match of a snippet
+const SNIPPET_LEAD = 40;
+
+/**
+ * Fold text for comparison: no diacritics, đ as d, lower case
+ *
+ * @param {string} text - Any text
+ * @returns {string}
+ */
+export const foldText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[đĐ]/g, 'd')
+  .toLowerCase();
+
+/**
+ * Split folded text into words
+ *
+ * @param {string} folded - Output of foldText
+ * @returns {Array<string>}
+ */
+export const tokenizeFolded = (folded) => folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+/**
+ * Turn a user query into unique folded terms
+ *
+ * @param {string} query - Raw query
+ * @returns {Array<string>} At most MAX_QUERY_TERMS terms
+ */
+export const parseSearchQuery = (query) => {
+  return [...new Set(tokenizeFolded(foldText(query)))].slice(0, MAX_QUERY_TERMS);
+};
+
+/**
+ * Fold text keeping, for every folded character, the offset it came from
+ *
+ * @param {string} text - Original text
+ * @returns {Object} { folded, offsets }: offsets has one extra entry, the original length
+ */
+const foldWithOffsets = (text) => {
+  let folded = '';
+  const offsets = [];
+  for (let i = 0; i < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    const value = foldText(char);
+    for (let k = 0; k < value.length; k++) offsets.push(i);
+    folded += value;
+    i += char.length;
+  }
+  offsets.push(text.length);
+  return { folded, offsets };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Find where words start with one of the terms
+ * Prefix matches count, so the word being typed is highlighted too.
+ *
+ * @returns {Array<Object>} [{ start, end, term }] in original offsets, in text order
+ */
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+  const { folded, offsets } = foldWithOffsets(text);
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})`, 'gu');
+
+  return [...folded.matchAll(pattern)].map(match => ({
+    start: offsets[match.index],
+    end: offsets[match.index + match[0].length],
+    term: match[0]
+  }));
+};
+
+/**
+ * Render a slice of text as HTML with the matches inside it wrapped in <mark>
+ */
+const renderHighlighted = (text, matches, from, to) => {
+  let html = '';
+  let position = from;
+  for (const match of matches) {
+    if (match.start < from || match.end > to) continue;
+    html += escapeHtml(text.slice(position, match.start));
+    html += `<mark>${escapeHtml(text.slice(match.start, match.end))}</mark>`;
+    position = match.end;
+  }
+  return html + escapeHtml(text.slice(position, to));
+};
+
+/**
+ * Highlight every match of the terms in a short text, like a title
+ *
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Folded query terms
+ * @returns {string|null} Escaped HTML, or null when nothing matches
+ */
+export const highlightText = (text, terms) => {
+  const matches = findMatches(text || '', terms);
+  return matches.length ? renderHighlighted(text, matches, 0, text.length) : null;
+};
+
+/**
+ * Cut the passage of a long text that matches the most terms and highlight it
+ *
+ * @param {string} text - Original plain text
+ * @param {Array<string>} terms - Folded query terms
+ * @param {Object} [options]
+ * @param {number} [options.length] - Approximate snippet length in characters
+ * @returns {string|null} Escaped HTML with … where text was cut, or null when nothing matches
+ */
+export const buildSnippet = (text, terms, { length = DEFAULT_SNIPPET_LENGTH } = {}) => {
+  const matches = findMatches(text || '', terms);
+  if (matches.length === 0) return null;
+
+  // The window starting at the match that has the most distinct terms after it
+  let best = matches[0];
+  let bestCount = 0;
+  for (const match of matches) {
+    const covered = new Set(matches
+      .filter(other => other.start >= match.start && other.end <= match.start + length)
+      .map(other => other.term));
+    if (covered.size > bestCount) {
+      best = match;
+      bestCount = covered.size;
+    }
+  }
+
+  let from = Math.max(0, best.start - SNIPPET_LEAD);
+  if (from > 0) {
+    const space = text.indexOf(' ', from);
+    from = space !== -1 && space < best.start ? space + 1 : from;
+  }
+  let to = Math.min(text.length, from + length);
+  if (to < text.length) {
+    const space = text.lastIndexOf(' ', to);
+    to = space > best.end ? space : to;
+  }
+
+  return `${from > 0 ? '…' : ''}${renderHighlighted(text, matches, from, to)}${to < text.length ? '…' : ''}`;
+};
+
+// Every accented letter, by the plain letter it folds to
+const LETTER_VARIANTS = (() => {
+  const variants = {};
+  const ranges = [[0x00c0, 0x024f], [0x1ea0, 0x1ef9]];
+  for (const [first, last] of ranges) {
+    for (let code = first; code <= last; code++) {
+      const char = String.fromCharCode(code);
+      const base = foldText(char);
+      if (/^[a-z]$/.test(base)) {
+        (variants[base] ||= new Set([base, base.toUpperCase()])).add(char);
+      }
+    }
+  }
+  return Object.fromEntries(Object.entries(variants).map(([base, chars]) => [base, [...chars].join('')]));
+})();
+
+/**
+ * Build a regex source matching a folded term in unfolded text, whatever its diacritics
+ * For fields that are not in the search index, e.g. module titles; use with the i option.
+ *
+ * @param {string} term - Folded term
+ * @returns {string} Regex source, safe to embed
+ */
+export const buildDiacriticInsensitivePattern = (term) => {
+  return [...term].map(char => (LETTER_VARIANTS[char] ? `[${LETTER_VARIANTS[char]}]` : escapeRegExp(char))).join('');
+};
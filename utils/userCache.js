@@ -1,18 +1,20 @@
 import User from '../models/User.js';
+import { createCache, invalidateCacheTags, userTag, ALL_USERS_TAG } from './cacheStore.js';
 
 // Global user cache with enhanced caching for frequently accessed users
-const globalUserCache = new Map();
-const USER_CACHE_TTL = 1000 * 60 * 5; // 5 minutes
-const ADMIN_CACHE_TTL = 1000 * 60 * 10; // 10 minutes for admin user
-const MAX_USER_CACHE_SIZE = 500;
+// Entries are keyed by id:, username: and userNumber: and tagged with the user,
+// so clearing the user reaches every key and every batch lookup holding it
+const globalUserCache = createCache('users');
+const USER_CACHE_TTL = 60 * 5; // 5 minutes
+const ADMIN_CACHE_TTL = 60 * 10; // 10 minutes for admin user
+
+// Global user identifier resolution cache (userNumber -> ObjectId)
+const USER_ID_RESOLUTION_CACHE_TTL = 60 * 30; // 30 minutes (longer TTL since userNumbers rarely change)
+const userIdResolutionCache = createCache('user-ids', { ttl: USER_ID_RESOLUTION_CACHE_TTL });
 
 // Query deduplication cache to prevent multiple identical requests
 const pendingUserQueries = new Map();
 
-// Global user identifier resolution cache (userNumber -> ObjectId)
-const userIdResolutionCache = new Map();
-const USER_ID_RESOLUTION_CACHE_TTL = 1000 * 60 * 30; // 30 minutes (longer TTL since userNumbers rarely change)
-
 // Global user query deduplication by actual user ObjectId (works across individual and batch queries)
 const globalUserQueryDeduplication = new Map();
 
@@ -25,53 +27,30 @@ const getCacheTTL = (username, role) => {
 };
 
 // Enhanced user cache management
-export const getCachedUser = (key) => {
-  const cached = globalUserCache.get(key);
-  if (cached && Date.now() - cached.timestamp < cached.ttl) {
-    return cached.data;
-  }
-  return null;
+export const getCachedUser = async (key) => {
+  const cached = await globalUserCache.get(key);
+  return cached === undefined ? null : cached;
 };
 
-export const setCachedUser = (key, data, customTTL = null) => {
-  // Remove oldest entries if cache is too large
-  if (globalUserCache.size >= MAX_USER_CACHE_SIZE) {
-    const oldestKey = globalUserCache.keys().next().value;
-    globalUserCache.delete(oldestKey);
-  }
-  
+export const setCachedUser = async (key, data, customTTL = null) => {
   const ttl = customTTL || getCacheTTL(data.username, data.role);
-  
-  globalUserCache.set(key, {
-    data,
-    timestamp: Date.now(),
-    ttl
-  });
-  
+  const tags = data._id ? [userTag(data._id)] : [];
+
   // Also cache by all identifiers to prevent duplicate queries
-  if (data._id && key !== `id:${data._id}`) {
-    globalUserCache.set(`id:${data._id}`, {
-      data,
-      timestamp: Date.now(),
-      ttl
-    });
-  }
-  
-  if (data.username && key !== `username:${data.username}`) {
-    globalUserCache.set(`username:${data.username}`, {
-      data,
-      timestamp: Date.now(),
-      ttl
-    });
-  }
-  
-  if (data.userNumber && key !== `userNumber:${data.userNumber}`) {
-    globalUserCache.set(`userNumber:${data.userNumber}`, {
-      data,
-      timestamp: Date.now(),
-      ttl
-    });
-  }
+  const keys = new Set([key]);
+  if (data._id) keys.add(`id:${data._id}`);
+  if (data.username) keys.add(`username:${data.username}`);
+  if (data.userNumber) keys.add(`userNumber:${data.userNumber}`);
+
+  await Promise.all([...keys].map(cacheKey => globalUserCache.set(cacheKey, data, { ttl, tags })));
+};
+
+// Remember which ObjectId a userNumber belongs to
+const cacheUserNumberResolution = (user) => {
+  if (!user.userNumber) return;
+  return userIdResolutionCache.set(String(user.userNumber), user._id.toString(), {
+    tags: [userTag(user._id)]
+  });
 };
 
 // Helper to resolve any user identifier to ObjectId
@@ -87,20 +66,16 @@ const resolveUserIdentifierToObjectId = async (identifier) => {
   // If it's a userNumber, check resolution cache first
   if (!isNaN(parseInt(identifier))) {
     const userNumber = parseInt(identifier);
-    const cached = userIdResolutionCache.get(userNumber);
-    if (cached && Date.now() - cached.timestamp < USER_ID_RESOLUTION_CACHE_TTL) {
-      return cached.objectId;
+    const cached = await userIdResolutionCache.get(String(userNumber));
+    if (cached) {
+      return cached;
     }
     
     // Query database to resolve userNumber to ObjectId
-    const user = await User.findOne({ userNumber }, '_id').lean();
+    const user = await User.findOne({ userNumber }, '_id userNumber').lean();
     if (user) {
-      const objectId = user._id.toString();
-      userIdResolutionCache.set(userNumber, {
-        objectId,
-        timestamp: Date.now()
-      });
-      return objectId;
+      await cacheUserNumberResolution(user);
+      return user._id.toString();
     }
   }
   
@@ -180,18 +155,13 @@ export const getCachedUserById = async (userId) => {
   const cacheKey = `id:${userId}`;
   
   // Check cache first
-  const cached = getCachedUser(cacheKey);
+  const cached = await getCachedUser(cacheKey);
   if (cached) {
     if (process.env.NODE_ENV === 'development') {
     }
     return cached;
   }
   
-  if (process.env.NODE_ENV === 'development') {
-    // Log what keys are in cache for debugging
-    const cacheKeys = Array.from(globalUserCache.keys()).slice(0, 5); // Show first 5 keys
-  }
-  
   // Use global deduplication to prevent multiple identical requests across all systems
   return await globalUserQueryDedup(userId, async () => {
     // Log individual query for debugging duplicate issues
@@ -200,17 +170,11 @@ export const getCachedUserById = async (userId) => {
     
     const user = await User.findById(userId).select('-password').lean();
     if (user) {
-      // Cache by both ID and username
-      setCachedUser(cacheKey, user);
-      setCachedUser(`username:${user.username}`, user);
+      // Cache by ID, username and userNumber
+      await setCachedUser(cacheKey, user);
       
       // Also cache in userNumber resolution cache
-      if (user.userNumber) {
-        userIdResolutionCache.set(user.userNumber, {
-          objectId: user._id.toString(),
-          timestamp: Date.now()
-        });
-      }
+      await cacheUserNumberResolution(user);
       
       if (process.env.NODE_ENV === 'development') {
       }
@@ -224,7 +188,7 @@ export const getCachedUserByUsername = async (username) => {
   const cacheKey = `username:${username}`;
   
   // Check cache first
-  const cached = getCachedUser(cacheKey);
+  const cached = await getCachedUser(cacheKey);
   if (cached) {
     return cached;
   }
@@ -237,17 +201,11 @@ export const getCachedUserByUsername = async (username) => {
     
     const user = await User.findOne({ username }).select('-password').lean();
     if (user) {
-      // Cache by both username and ID
-      setCachedUser(cacheKey, user);
-      setCachedUser(`id:${user._id}`, user);
+      // Cache by username, ID and userNumber
+      await setCachedUser(cacheKey, user);
       
       // Also cache in userNumber resolution cache
-      if (user.userNumber) {
-        userIdResolutionCache.set(user.userNumber, {
-          objectId: user._id.toString(),
-          timestamp: Date.now()
-        });
-      }
+      await cacheUserNumberResolution(user);
     }
     return user;
   });
@@ -258,72 +216,56 @@ export { globalUserQueryDedup };
 
 // Clear user cache (call this when user data changes)
 export const clearUserCache = (userId = null, username = null, userNumber = null) => {
+  const pending = [];
   if (userId) {
-    globalUserCache.delete(`id:${userId}`);
+    // Reaches the user under every identifier, and the batch lookups that include them
+    pending.push(invalidateCacheTags(userTag(userId)));
     // Also clear global deduplication for this user
     globalUserQueryDeduplication.delete(`global_user_${userId}`);
   }
   if (username) {
-    globalUserCache.delete(`username:${username}`);
+    pending.push(globalUserCache.del(`username:${username}`));
   }
   if (userNumber) {
-    globalUserCache.delete(`userNumber:${userNumber}`);
+    pending.push(globalUserCache.del(`userNumber:${userNumber}`));
   }
   if (!userId && !username && !userNumber) {
     // Clear all user cache
-    globalUserCache.clear();
-    userIdResolutionCache.clear();
+    pending.push(invalidateCacheTags(ALL_USERS_TAG));
     globalUserQueryDeduplication.clear();
   }
 
-  // CRITICAL FIX: Also clear batch user cache when individual user data changes
-  // This is important because batch queries might have cached stale user data
-  if (userId || username || userNumber) {
-    try {
-      import('./batchUserCache.js').then(({ clearBatchUserCache }) => {
-        clearBatchUserCache();
-      }).catch(err => {
-        console.error('Failed to clear batch user cache:', err);
-      });
-    } catch (error) {
-      // Ignore if batch cache module is not available
-    }
+  // Without an ID the batch entries holding this user cannot be found by tag
+  if (!userId && (username || userNumber)) {
+    pending.push(import('./batchUserCache.js').then(({ clearBatchUserCache }) => {
+      return clearBatchUserCache();
+    }).catch(err => {
+      console.error('Failed to clear batch user cache:', err);
+    }));
   }
+
+  return Promise.all(pending);
 };
 
 // Comprehensive cache clearing for user data changes
-export const clearAllUserCaches = (user) => {
+export const clearAllUserCaches = async (user) => {
   if (!user) return;
   
-  // Clear individual user cache
-  clearUserCache(user._id, user.username, user.userNumber);
-  
-  // Clear batch user cache
-  import('./batchUserCache.js').then(({ clearBatchUserCache }) => {
-    clearBatchUserCache();
-  }).catch(err => {
-    console.error('Failed to clear batch user cache:', err);
-  });
+  // Clear individual user cache, batch lookups included
+  await clearUserCache(user._id, user.username, user.userNumber);
   
   // Clear user stats cache if available
   try {
-    import('../routes/users.js').then(({ clearUserStatsCache, clearUserResolutionCache }) => {
-      if (clearUserStatsCache) {
-        clearUserStatsCache(user._id?.toString());
-        if (user.userNumber) {
-          clearUserStatsCache(`complete_profile_${user.userNumber}`);
-        }
-      }
-      if (clearUserResolutionCache) {
-        clearUserResolutionCache(user._id);
-      }
-    }).catch(err => {
-      console.error('Failed to clear user stats cache:', err);
-    });
-  } catch (error) {
-    // Ignore if not available
+    const { clearUserStatsCache, clearUserResolutionCache } = await import('../routes/users.js');
+    const userId = user._id?.toString();
+    await Promise.all([
+      clearUserStatsCache(userId),
+      user.userNumber && clearUserStatsCache(`complete_profile_${user.userNumber}`),
+      clearUserResolutionCache(user._id)
+    ]);
+  } catch (err) {
+    console.error('Failed to clear user stats cache:', err);
   }
-  
 };
 
 // Pre-warm admin user cache at startup
@@ -0,0 +1,49 @@
+/**
+ * Server-side word counting function that replicates TinyMCE's algorithm
+ * @param {string} htmlContent - HTML content to count words in
+ * @returns {number} Word count using TinyMCE-compatible algorithm
+ */
+export const calculateWordCount = (htmlContent) => {
+  if (!htmlContent || typeof htmlContent !== 'string') return 0;
+  
+  // Step 1: Extract text from HTML exactly like TinyMCE
+  const tempDiv = { innerHTML: htmlContent };
+  // Simple HTML tag removal for server-side processing
+  let text = htmlContent.replace(/<[^>]*>/g, ' ');
+  
+  if (!text.trim()) return 0;
+  
+  // Step 2: Handle HTML entities
+  text = text.replace(/&nbsp;/g, ' ')
+             .replace(/&amp;/g, '&')
+             .replace(/&lt;/g, '<')
+             .replace(/&gt;/g, '>')
+             .replace(/&quot;/g, '"')
+             .replace(/&#39;/g, "'")
+             .replace(/&apos;/g, "'");
+  
+  // Step 3: Use TinyMCE's word counting approach
+  const wordRegex = /[\w\u00C0-\u024F\u1E00-\u1EFF\u0100-\u017F\u0180-\u024F\u0250-\u02AF\u1D00-\u1D7F\u1D80-\u1DBF]+/g;
+  
+  // Step 4: Find all word matches
+  const matches = text.match(wordRegex);
+  
+  if (!matches) return 0;
+  
+  // Step 5: Filter matches like TinyMCE does
+  const filteredMatches = matches.filter(match => {
+    // Filter out single standalone digits
+    if (match.length === 1 && /^\d$/.test(match)) {
+      return false;
+    }
+    
+    // Filter out single standalone letters that are likely not words
+    if (match.length === 1 && /^[a-zA-Z]$/.test(match)) {
+      return false;
+    }
+    
+    return true;
+  });
+  
+  return filteredMatches.length;
+};
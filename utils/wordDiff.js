@@ -0,0 +1,140 @@
+/**
+ * Word-level diff of chapter texts
+ */
+
+// Above this many changed tokens the middle of the texts is reported as replaced
+// as a whole, which keeps memory bounded when a chapter was rewritten entirely
+const MAX_EDIT_DISTANCE = 3000;
+
+/**
+ * Split HTML into words, whitespace and tags
+ * Tags are their own tokens so markup changes show up without splitting words.
+ *
+ * @param {string} text - Chapter content or title
+ * @returns {Array<string>} Tokens that join back into the input
+ */
+export const tokenizeWords = (text) => {
+  if (!text) return [];
+  return text.split(/(<[^>]*>|\s+)/).filter(token => token !== '');
+};
+
+/**
+ * Shortest edit script between two token lists (Myers' algorithm)
+ *
+ * @returns {Array<Object>|null} [{ type, token }] or null if the texts differ too much
+ */
+const myersDiff = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = maxD + 1;
+  const v = new Int32Array(2 * maxD + 3);
+  const trace = [];
+
+  let finalD = -1;
+  for (let d = 0; d <= maxD && finalD < 0; d++) {
+    // Only diagonals -d..d are read while backtracking step d
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        finalD = d;
+        break;
+      }
+    }
+  }
+
+  if (finalD < 0) return null;
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = finalD; d > 0; d--) {
+    const previous = trace[d];
+    const at = (k) => previous[k + d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', token: a[--x] });
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', token: b[--y] });
+    } else {
+      ops.push({ type: 'delete', token: a[--x] });
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', token: a[--x] });
+    y--;
+  }
+
+  return ops.reverse();
+};
+
+/**
+ * Compute a word-level diff between two texts
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object} { changes: [{ type: 'equal'|'insert'|'delete', text }], inserted, deleted }
+ *   inserted/deleted count words, not whitespace or tags
+ */
+export const diffWords = (before, after) => {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  // Common prefix and suffix are cheap to strip and usually most of a chapter
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const middleA = a.slice(prefix, a.length - suffix);
+  const middleB = b.slice(prefix, b.length - suffix);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map(token => ({ type: 'delete', token })),
+    ...middleB.map(token => ({ type: 'insert', token }))
+  ];
+
+  const ops = [
+    ...a.slice(0, prefix).map(token => ({ type: 'equal', token })),
+    ...middle,
+    ...a.slice(a.length - suffix).map(token => ({ type: 'equal', token }))
+  ];
+
+  // Merge runs of the same type
+  const changes = [];
+  let inserted = 0;
+  let deleted = 0;
+  for (const op of ops) {
+    const isWord = !/^\s+$/.test(op.token) && !op.token.startsWith('<');
+    if (isWord && op.type === 'insert') inserted++;
+    if (isWord && op.type === 'delete') deleted++;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.text += op.token;
+    } else {
+      changes.push({ type: op.type, text: op.token });
+    }
+  }
+
+  return { changes, inserted, deleted };
+};
@@ -0,0 +1,186 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP archive reader and writer
+ * Enough for EPUB and DOCX files: stored or deflated entries, no ZIP64.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 of a buffer, as used by ZIP
+ *
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+export const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {Array<Object>} entries - [{ name, data, store }] in archive order;
+ *   `store` keeps the entry uncompressed (EPUB requires this for `mimetype`)
+ * @param {Date} [modified] - Modification time written for every entry
+ * @returns {Buffer} ZIP file
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = entry.store ? data : zlib.deflateRawSync(data, { level: 9 });
+    // Keep already-compressed files (images) as they are when deflate doesn't help
+    const store = entry.store || compressed.length >= data.length;
+    const body = store ? data : compressed;
+    const method = store ? 0 : 8;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // no extra field
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014B50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+/**
+ * Read the files of a ZIP archive
+ * Entry sizes are checked against the limits before inflating, so a small
+ * archive that expands to gigabytes is rejected instead of filling memory.
+ *
+ * @param {Buffer} buffer - ZIP file
+ * @param {Object} [limits]
+ * @param {number} [limits.maxEntries] - Maximum number of entries
+ * @param {number} [limits.maxTotalBytes] - Maximum total uncompressed size
+ * @returns {Map<string, Buffer>} File contents by entry name (directories are skipped)
+ */
+export const readZip = (buffer, { maxEntries = 5000, maxTotalBytes = 200 * 1024 * 1024 } = {}) => {
+  // The end of central directory record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054B50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  const centralOffset = buffer.readUInt32LE(endOffset + 16);
+  if (entryCount > maxEntries) {
+    throw new Error(`ZIP archive has more than ${maxEntries} entries`);
+  }
+
+  const files = new Map();
+  let totalBytes = 0;
+  let offset = centralOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014B50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) {
+      throw new Error('Encrypted ZIP entries are not supported');
+    }
+
+    totalBytes += size;
+    if (totalBytes > maxTotalBytes) {
+      throw new Error('ZIP archive is too large once extracted');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034B50) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const body = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(body);
+    } else if (method === 8) {
+      data = zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+    files.set(name, data);
+  }
+
+  return files;
+};